@@ -29,7 +29,14 @@ import contactsRoutes from './routes/contacts-enhanced.js';
 import campaignsRoutes from './routes/campaigns.js';
 import templatesRoutes from './routes/templates.js';
 import adminTemplatesRoutes from './routes/admin-templates.js';
+import adminWalletRoutes from './routes/admin-wallets.js';
+import adminAuthRoutes from './routes/admin-auth.js';
+import adminShopRoutes from './routes/admin-shops.js';
+import adminJobRoutes from './routes/admin-jobs.js';
+import adminUserRoutes from './routes/admin-users.js';
+import adminAuditRoutes from './routes/admin-audit.js';
 import automationsRoutes from './routes/automations.js';
+import automationFlowRoutes from './routes/automation-flows.js';
 import automationWebhookRoutes from './routes/automation-webhooks.js';
 import reportsRoutes from './routes/reports.js';
 import discountsRoutes from './routes/discounts.js';
@@ -40,14 +47,26 @@ import mittoStatusRoutes from './routes/mitto-status.js';
 import trackingRoutes from './routes/tracking.js';
 import settingsRoutes from './routes/settings.js';
 import stripeWebhookRoutes from './routes/stripe-webhooks.js';
+import complianceWebhookRoutes from './routes/compliance-webhooks.js';
+import complianceRoutes from './routes/compliance.js';
 import audiencesRoutes from './routes/audiences.js';
 import shopifyRoutes from './routes/shopify.js';
 import docsRoutes from './routes/docs.js';
 import authRoutes from './routes/auth.js';
 import unsubscribeRoutes from './routes/unsubscribe.js';
+import shortLinkRoutes from './routes/short-links.js';
+import reportExportRoutes from './routes/report-exports.js';
 import optInRoutes from './routes/opt-in.js';
+import inboxRoutes from './routes/inbox.js';
+import webhookEndpointRoutes from './routes/webhook-endpoints.js';
+import apiKeyRoutes from './routes/api-keys.js';
+import notificationRoutes from './routes/notifications.js';
+import shopTemplateRoutes from './routes/shop-templates.js';
 // import { setDevShop } from './middlewares/dev-shop.js'; // Not used in current implementation
 import { resolveStore, requireStore } from './middlewares/store-resolution.js';
+import { apiKeyRateLimit } from './middlewares/rateLimits.js';
+import { requireAdmin } from './middlewares/admin-auth.js';
+import { getMaxImportBytes } from './services/contact-imports.js';
 
 initShopifyContext();
 
@@ -81,7 +100,11 @@ app.use(securityMonitor);
 app.use(metricsMiddleware);
 app.use(sanitizeRequest);
 app.use(validateContentType);
-app.use(validateRequestSize(5 * 1024 * 1024)); // 5MB limit
+app.use(
+  validateRequestSize(5 * 1024 * 1024, {
+    '/contacts/imports': getMaxImportBytes(),
+  }),
+); // 5MB limit (CSV uploads are streamed with their own limit)
 
 // API versioning
 app.use(apiVersioning);
@@ -185,7 +208,7 @@ app.use(
 );
 
 // mount
-app.use('/', mittoRoutes); // Mitto webhooks (no auth)
+app.use('/', mittoRoutes); // SMS provider webhooks (no auth)
 app.use('/api/mitto', resolveStore, requireStore, mittoStatusRoutes); // Mitto status refresh (requires auth)
 app.use('/', coreRoutes); // health, webhooks, auth helpers
 app.use('/api/opt-in', optInRoutes); // Public opt-in endpoint (no auth)
@@ -195,22 +218,33 @@ if (process.env.NODE_ENV !== 'production') app.use('/', docsRoutes); // Swagger
 app.use('/auth', authRoutes);
 
 // Store-scoped routes (require store context)
-app.use('/dashboard', resolveStore, requireStore, dashboardRoutes);
-app.use('/contacts', resolveStore, requireStore, contactsRoutes);
-app.use('/campaigns', resolveStore, requireStore, campaignsRoutes);
-app.use('/automations', resolveStore, requireStore, automationsRoutes);
-app.use('/reports', resolveStore, requireStore, reportsRoutes);
-app.use('/discounts', resolveStore, requireStore, discountsRoutes);
-app.use('/billing', resolveStore, requireStore, billingRoutes);
+// Shop API keys only reach the routes their scopes cover (services/api-key-rules.js);
+// apiKeyRateLimit applies each key's own limit on those mounts
+app.use('/dashboard', resolveStore, requireStore, apiKeyRateLimit, dashboardRoutes);
+app.use('/contacts', resolveStore, requireStore, apiKeyRateLimit, contactsRoutes);
+app.use('/campaigns', resolveStore, requireStore, apiKeyRateLimit, campaignsRoutes);
+app.use('/automations', resolveStore, requireStore, apiKeyRateLimit, automationsRoutes);
+app.use('/automation-flows', resolveStore, requireStore, apiKeyRateLimit, automationFlowRoutes);
+app.use('/reports', resolveStore, requireStore, apiKeyRateLimit, reportsRoutes);
+app.use('/discounts', resolveStore, requireStore, apiKeyRateLimit, discountsRoutes);
+app.use('/billing', resolveStore, requireStore, apiKeyRateLimit, billingRoutes);
 app.use('/subscriptions', resolveStore, requireStore, subscriptionRoutes);
-app.use('/settings', resolveStore, requireStore, settingsRoutes);
-app.use('/audiences', resolveStore, requireStore, audiencesRoutes);
+app.use('/settings', resolveStore, requireStore, apiKeyRateLimit, settingsRoutes);
+app.use('/audiences', resolveStore, requireStore, apiKeyRateLimit, audiencesRoutes);
 app.use('/shopify', resolveStore, requireStore, shopifyRoutes);
+app.use('/inbox', resolveStore, requireStore, apiKeyRateLimit, inboxRoutes);
+app.use('/webhook-endpoints', resolveStore, requireStore, apiKeyRateLimit, webhookEndpointRoutes);
+app.use('/api-keys', resolveStore, requireStore, apiKeyRoutes); // Key management (app session only)
+app.use('/notifications', resolveStore, requireStore, notificationRoutes);
+app.use('/compliance', resolveStore, requireStore, complianceRoutes); // Privacy requests (app session only)
+app.use('/shop-templates', resolveStore, requireStore, shopTemplateRoutes); // The shop's own templates (app session only)
 
 // Public routes (no store context required)
 // Note: /templates/:id/track requires store context, so apply resolveStore
 app.use('/templates', resolveStore, templatesRoutes);
 app.use('/unsubscribe', unsubscribeRoutes); // Unsubscribe (public, no auth required)
+app.use('/s', shortLinkRoutes); // Short link redirect with click tracking (public)
+app.use('/exports', reportExportRoutes); // Report export downloads (public, signed links)
 
 // Tracking routes (require store context for security)
 app.use('/tracking', resolveStore, requireStore, trackingRoutes); // ✅ Tracking endpoints now require store context
@@ -218,9 +252,16 @@ app.use('/tracking', resolveStore, requireStore, trackingRoutes); // ✅ Trackin
 // Webhook routes (no store context - validated by webhook signatures)
 app.use('/automation-webhooks', automationWebhookRoutes); // Automation webhooks
 app.use('/webhooks/stripe', stripeWebhookRoutes); // Stripe webhooks
+app.use('/webhooks', complianceWebhookRoutes); // Shopify privacy and uninstall webhooks
 
-// Admin routes (special handling)
-app.use('/admin/templates', resolveStore, requireStore, adminTemplatesRoutes);
+// Admin routes (platform admins only - admin session or ADMIN_API_TOKEN, never a shop session)
+app.use('/admin/auth', adminAuthRoutes); // Sign-in; guards its own session routes
+app.use('/admin/templates', requireAdmin, adminTemplatesRoutes);
+app.use('/admin/wallets', requireAdmin, adminWalletRoutes);
+app.use('/admin/shops', requireAdmin, adminShopRoutes);
+app.use('/admin/jobs', requireAdmin, adminJobRoutes);
+app.use('/admin/users', requireAdmin, adminUserRoutes);
+app.use('/admin/audit-log', requireAdmin, adminAuditRoutes);
 
 // Error handling - ensure JSON responses
 app.use(notFoundHandler);
@@ -41,6 +41,12 @@ export default {
     scopes: process.env.SCOPES || 'read_customers,write_customers,read_orders',
   },
 
+  // SMS provider selection (shops can override in their settings)
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'mitto',
+    loopbackFile: process.env.SMS_LOOPBACK_FILE || null,
+  },
+
   // Mitto SMS Configuration
   mitto: {
     apiBase: process.env.MITTO_API_BASE || 'https://messaging.mittoapi.com',
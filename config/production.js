@@ -71,6 +71,12 @@ export const productionConfig = {
     ],
   },
 
+  // SMS provider selection (shops can override in their settings)
+  sms: {
+    provider: process.env.SMS_PROVIDER || 'mitto',
+    loopbackFile: process.env.SMS_LOOPBACK_FILE || null,
+  },
+
   // Mitto SMS Configuration
   mitto: {
     apiBase: process.env.MITTO_API_BASE || 'https://messaging.mittoapi.com',
@@ -0,0 +1,33 @@
+import { logger } from '../utils/logger.js';
+import adminAuditService from '../services/admin-audit.js';
+import { sendPaginated } from '../utils/response.js';
+
+/**
+ * Admin Audit Controller
+ * Actions taken through the /admin API
+ */
+
+/**
+ * List audit entries
+ * @route GET /admin/audit-log
+ */
+export async function listAuditLog(req, res, next) {
+  try {
+    const result = await adminAuditService.listAuditLog(req.query);
+
+    return sendPaginated(res, result.entries, result.pagination, {
+      entries: result.entries,
+    });
+  } catch (error) {
+    logger.error('List admin audit log error', {
+      error: error.message,
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listAuditLog,
+};
@@ -0,0 +1,80 @@
+import { logger } from '../utils/logger.js';
+import adminAuthService from '../services/admin-auth.js';
+import { sendSuccess } from '../utils/response.js';
+
+/**
+ * Admin Auth Controller
+ * Platform admin sign-in and sessions
+ */
+
+/**
+ * Sign in with email and password
+ * @route POST /admin/auth/login
+ */
+export async function login(req, res, next) {
+  try {
+    const session = await adminAuthService.loginWithPassword(req.body, { ip: req.ip });
+
+    return sendSuccess(res, session, 'Signed in');
+  } catch (error) {
+    logger.error('Admin login error', {
+      error: error.message,
+      email: req.body?.email,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Sign in with an SSO token
+ * @route POST /admin/auth/sso
+ */
+export async function loginWithSso(req, res, next) {
+  try {
+    const session = await adminAuthService.loginWithSso(req.body.token, { ip: req.ip });
+
+    return sendSuccess(res, session, 'Signed in');
+  } catch (error) {
+    logger.error('Admin SSO login error', {
+      error: error.message,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Revoke the current session
+ * @route POST /admin/auth/logout
+ */
+export async function logout(req, res, next) {
+  try {
+    await adminAuthService.logout(req.admin);
+
+    return sendSuccess(res, null, 'Signed out');
+  } catch (error) {
+    logger.error('Admin logout error', {
+      error: error.message,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Current admin
+ * @route GET /admin/auth/me
+ */
+export async function me(req, res) {
+  const { actor, adminUserId, role, method } = req.admin;
+  return sendSuccess(res, { actor, adminUserId, role, method });
+}
+
+export default {
+  login,
+  loginWithSso,
+  logout,
+  me,
+};
@@ -0,0 +1,75 @@
+import { logger } from '../utils/logger.js';
+import adminJobsService from '../services/admin-jobs.js';
+import { sendSuccess, sendPaginated } from '../utils/response.js';
+
+/**
+ * Admin Jobs Controller
+ * Failed queue jobs and their replay
+ */
+
+/**
+ * Failed job counts per queue
+ * @route GET /admin/jobs
+ */
+export async function getFailedCounts(req, res, next) {
+  try {
+    const counts = await adminJobsService.getFailedCounts();
+
+    return sendSuccess(res, counts);
+  } catch (error) {
+    logger.error('Failed job counts error', {
+      error: error.message,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * List the failed jobs of a queue
+ * @route GET /admin/jobs/:queue/failed
+ */
+export async function listFailedJobs(req, res, next) {
+  try {
+    const result = await adminJobsService.listFailedJobs(req.params.queue, req.query);
+
+    return sendPaginated(res, result.jobs, result.pagination, {
+      jobs: result.jobs,
+    });
+  } catch (error) {
+    logger.error('List failed jobs error', {
+      error: error.message,
+      queue: req.params.queue,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Replay a failed job
+ * @route POST /admin/jobs/:queue/:jobId/replay
+ */
+export async function replayJob(req, res, next) {
+  try {
+    const { queue, jobId } = req.params;
+    const job = await adminJobsService.replayJob(req.admin, queue, jobId, req.body);
+
+    return sendSuccess(res, job, 'Job queued for replay', 202);
+  } catch (error) {
+    logger.error('Replay job error', {
+      error: error.message,
+      queue: req.params.queue,
+      jobId: req.params.jobId,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  getFailedCounts,
+  listFailedJobs,
+  replayJob,
+};
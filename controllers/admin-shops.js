@@ -0,0 +1,150 @@
+import { logger } from '../utils/logger.js';
+import { invalidateStoreCache } from '../middlewares/cache.js';
+import adminShopsService from '../services/admin-shops.js';
+import { sendSuccess, sendPaginated } from '../utils/response.js';
+
+/**
+ * Admin Shops Controller
+ * Cross-shop support tooling
+ */
+
+/**
+ * List and search shops
+ * @route GET /admin/shops
+ */
+export async function listShops(req, res, next) {
+  try {
+    const result = await adminShopsService.listShops(req.query);
+
+    return sendPaginated(res, result.shops, result.pagination, {
+      shops: result.shops,
+    });
+  } catch (error) {
+    logger.error('List shops error', {
+      error: error.message,
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Shop overview (wallet, subscription, recent activity)
+ * @route GET /admin/shops/:shopId
+ */
+export async function getShop(req, res, next) {
+  try {
+    const overview = await adminShopsService.getShopOverview(req.params.shopId);
+
+    return sendSuccess(res, overview);
+  } catch (error) {
+    logger.error('Get shop overview error', {
+      error: error.message,
+      shopId: req.params.shopId,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Grant credits to a shop
+ * @route POST /admin/shops/:shopId/credits
+ */
+export async function grantCredits(req, res, next) {
+  try {
+    const { shopId } = req.params;
+    const result = await adminShopsService.grantCredits(req.admin, shopId, req.body);
+
+    await Promise.all(
+      ['billing:balance', 'billing:history', 'dashboard'].map(pattern =>
+        invalidateStoreCache(shopId, pattern),
+      ),
+    );
+
+    return sendSuccess(res, result, 'Credits granted');
+  } catch (error) {
+    logger.error('Grant credits error', {
+      error: error.message,
+      shopId: req.params.shopId,
+      body: req.body,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Suspend a shop
+ * @route POST /admin/shops/:shopId/suspend
+ */
+export async function suspendShop(req, res, next) {
+  try {
+    const shop = await adminShopsService.suspendShop(req.admin, req.params.shopId, req.body);
+
+    return sendSuccess(res, shop, 'Shop suspended');
+  } catch (error) {
+    logger.error('Suspend shop error', {
+      error: error.message,
+      shopId: req.params.shopId,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Lift a shop suspension
+ * @route POST /admin/shops/:shopId/unsuspend
+ */
+export async function unsuspendShop(req, res, next) {
+  try {
+    const shop = await adminShopsService.unsuspendShop(req.admin, req.params.shopId, req.body);
+
+    return sendSuccess(res, shop, 'Shop unsuspended');
+  } catch (error) {
+    logger.error('Unsuspend shop error', {
+      error: error.message,
+      shopId: req.params.shopId,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Start a read-only impersonation of a shop
+ * @route POST /admin/shops/:shopId/impersonate
+ */
+export async function impersonateShop(req, res, next) {
+  try {
+    const session = await adminShopsService.startImpersonation(
+      req.admin,
+      req.params.shopId,
+      req.body,
+    );
+
+    return sendSuccess(res, session, 'Read-only impersonation started');
+  } catch (error) {
+    logger.error('Impersonate shop error', {
+      error: error.message,
+      shopId: req.params.shopId,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listShops,
+  getShop,
+  grantCredits,
+  suspendShop,
+  unsuspendShop,
+  impersonateShop,
+};
@@ -2,6 +2,14 @@ import prisma from '../services/prisma.js';
 import { logger } from '../utils/logger.js';
 import { sendSuccess, sendCreated, sendPaginated } from '../utils/response.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
+import {
+  createVersionedTemplate,
+  notifyForkedShops,
+  saveTemplateVersion,
+} from '../services/shop-templates.js';
+import { VersionSource } from '../services/template-rules.js';
+import { recordAdminAction } from '../services/admin-audit.js';
+import { AdminAction } from '../services/admin-rules.js';
 
 /**
  * Create a new template (admin only)
@@ -15,8 +23,8 @@ export async function createTemplate(req, res, _next) {
       throw new ValidationError('Title, category, and content are required');
     }
 
-    const template = await prisma.template.create({
-      data: {
+    const template = await createVersionedTemplate(
+      {
         title,
         category,
         content,
@@ -24,6 +32,14 @@ export async function createTemplate(req, res, _next) {
         tags,
         isPublic: true, // Templates are public by default
       },
+      VersionSource.admin,
+    );
+
+    await recordAdminAction(req.admin, {
+      action: AdminAction.templateCreated,
+      targetType: 'template',
+      targetId: template.id,
+      metadata: { title: template.title },
     });
 
     logger.info('Template created', {
@@ -50,31 +66,37 @@ export async function updateTemplate(req, res, _next) {
     const { id } = req.params;
     const { title, category, content, previewImage, tags, isPublic } = req.body;
 
-    // Check if template exists
-    const existingTemplate = await prisma.template.findUnique({
-      where: { id },
+    // Check if template exists (shop templates are managed by their shop)
+    const existingTemplate = await prisma.template.findFirst({
+      where: { id, shopId: null },
     });
 
     if (!existingTemplate) {
       throw new NotFoundError('Template');
     }
 
-    const template = await prisma.template.update({
-      where: { id },
-      data: {
-        ...(title !== undefined && { title }),
-        ...(category !== undefined && { category }),
-        ...(content !== undefined && { content }),
-        ...(previewImage !== undefined && { previewImage }),
-        ...(tags !== undefined && { tags }),
-        ...(isPublic !== undefined && { isPublic }),
-      },
+    const { template, versioned } = await saveTemplateVersion(
+      existingTemplate,
+      { title, category, content, previewImage, tags, isPublic },
+      VersionSource.admin,
+    );
+
+    // Shops that forked the template can review and pull the change
+    const notifiedShops = versioned ? await notifyForkedShops(template) : 0;
+
+    await recordAdminAction(req.admin, {
+      action: AdminAction.templateUpdated,
+      targetType: 'template',
+      targetId: template.id,
+      metadata: { version: template.version, versioned, notifiedShops },
     });
 
     logger.info('Template updated', {
       templateId: template.id,
       title: template.title,
       category: template.category,
+      version: template.version,
+      notifiedShops,
     });
 
     return sendSuccess(res, template, 'Template updated successfully');
@@ -96,19 +118,26 @@ export async function deleteTemplate(req, res, _next) {
     const { id } = req.params;
 
     // Check if template exists
-    const existingTemplate = await prisma.template.findUnique({
-      where: { id },
+    const existingTemplate = await prisma.template.findFirst({
+      where: { id, shopId: null },
     });
 
     if (!existingTemplate) {
       throw new NotFoundError('Template');
     }
 
-    // Delete template (cascade will handle related records)
+    // Delete template (cascade will handle related records; forks are kept)
     await prisma.template.delete({
       where: { id },
     });
 
+    await recordAdminAction(req.admin, {
+      action: AdminAction.templateDeleted,
+      targetType: 'template',
+      targetId: id,
+      metadata: { title: existingTemplate.title },
+    });
+
     logger.info('Template deleted', {
       templateId: id,
       title: existingTemplate.title,
@@ -131,8 +160,8 @@ export async function getAllTemplatesAdmin(req, res, _next) {
   try {
     const { category, search, limit = 50, offset = 0 } = req.query;
 
-    // Build where clause for filtering
-    const where = {};
+    // Build where clause for filtering (global library only)
+    const where = { shopId: null };
 
     if (category) {
       where.category = category;
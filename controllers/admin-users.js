@@ -0,0 +1,76 @@
+import { logger } from '../utils/logger.js';
+import adminUsersService from '../services/admin-users.js';
+import { sendSuccess, sendCreated } from '../utils/response.js';
+
+/**
+ * Admin Users Controller
+ * Platform admin accounts
+ */
+
+/**
+ * List admin users
+ * @route GET /admin/users
+ */
+export async function listAdminUsers(req, res, next) {
+  try {
+    const adminUsers = await adminUsersService.listAdminUsers();
+
+    return sendSuccess(res, adminUsers);
+  } catch (error) {
+    logger.error('List admin users error', {
+      error: error.message,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Create an admin user
+ * @route POST /admin/users
+ */
+export async function createAdminUser(req, res, next) {
+  try {
+    const adminUser = await adminUsersService.createAdminUser(req.admin, req.body);
+
+    return sendCreated(res, adminUser, 'Admin user created');
+  } catch (error) {
+    logger.error('Create admin user error', {
+      error: error.message,
+      email: req.body?.email,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update an admin user
+ * @route PATCH /admin/users/:id
+ */
+export async function updateAdminUser(req, res, next) {
+  try {
+    const adminUser = await adminUsersService.updateAdminUser(
+      req.admin,
+      req.params.id,
+      req.body,
+    );
+
+    return sendSuccess(res, adminUser, 'Admin user updated');
+  } catch (error) {
+    logger.error('Update admin user error', {
+      error: error.message,
+      adminUserId: req.params.id,
+      actor: req.admin?.actor,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+};
@@ -0,0 +1,116 @@
+import { logger } from '../utils/logger.js';
+import { invalidateStoreCache } from '../middlewares/cache.js';
+import reconciliationService from '../services/wallet-reconciliation.js';
+import { recordAdminAction } from '../services/admin-audit.js';
+import { AdminAction } from '../services/admin-rules.js';
+import { sendSuccess, sendPaginated } from '../utils/response.js';
+
+/**
+ * Admin Wallets Controller
+ * Support tooling: wallet ledger reconciliation and audited corrections
+ */
+
+/**
+ * List recorded reconciliations
+ * @route GET /admin/wallets/reconciliations
+ */
+export async function listReconciliations(req, res, next) {
+  try {
+    const result = await reconciliationService.listReconciliations(req.query);
+
+    return sendPaginated(res, result.reconciliations, result.pagination, {
+      reconciliations: result.reconciliations,
+    });
+  } catch (error) {
+    logger.error('List wallet reconciliations error', {
+      error: error.message,
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Queue a reconciliation of every wallet
+ * @route POST /admin/wallets/reconciliations/run
+ */
+export async function runReconciliation(req, res, next) {
+  try {
+    const jobId = await reconciliationService.enqueueWalletReconciliation();
+
+    logger.info('Wallet reconciliation queued', { jobId, actor: req.admin.actor });
+    return sendSuccess(res, { jobId }, 'Wallet reconciliation queued', 202);
+  } catch (error) {
+    logger.error('Queue wallet reconciliation error', {
+      error: error.message,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Reconcile the wallet of a shop (read-only)
+ * @route GET /admin/wallets/:shopId/reconciliation
+ */
+export async function reconcileShop(req, res, next) {
+  try {
+    const report = await reconciliationService.reconcileShop(req.params.shopId);
+
+    return sendSuccess(res, report);
+  } catch (error) {
+    logger.error('Reconcile wallet error', {
+      error: error.message,
+      shopId: req.params.shopId,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Correct the wallet of a shop
+ * @route POST /admin/wallets/:shopId/reconciliation/correct
+ */
+export async function correctShop(req, res, next) {
+  try {
+    const { shopId } = req.params;
+    const result = await reconciliationService.correctShop(shopId, {
+      ...req.body,
+      actor: req.admin.actor,
+    });
+
+    await recordAdminAction(req.admin, {
+      action: AdminAction.walletCorrected,
+      shopId,
+      targetType: 'wallet_reconciliation',
+      targetId: result.reconciliation?.id,
+      reason: req.body.auditReason,
+      metadata: { trust: req.body.trust },
+    });
+
+    await Promise.all(
+      ['billing:balance', 'billing:history', 'dashboard'].map(pattern =>
+        invalidateStoreCache(shopId, pattern),
+      ),
+    );
+
+    return sendSuccess(res, result, 'Wallet corrected');
+  } catch (error) {
+    logger.error('Correct wallet error', {
+      error: error.message,
+      shopId: req.params.shopId,
+      body: req.body,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listReconciliations,
+  runReconciliation,
+  reconcileShop,
+  correctShop,
+};
@@ -0,0 +1,175 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import apiKeysService from '../services/api-keys.js';
+import {
+  API_SCOPES,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE,
+} from '../services/api-key-rules.js';
+import { sendSuccess, sendCreated } from '../utils/response.js';
+
+/**
+ * API Keys Controller
+ * Shop API keys for server-to-server access
+ */
+
+/**
+ * List the scopes a key can be granted
+ * @route GET /api-keys/scopes
+ */
+export async function listScopes(req, res) {
+  return sendSuccess(res, {
+    scopes: API_SCOPES,
+    defaultRateLimitPerMinute: DEFAULT_RATE_LIMIT_PER_MINUTE,
+    maxRateLimitPerMinute: MAX_RATE_LIMIT_PER_MINUTE,
+  });
+}
+
+/**
+ * List API keys
+ * @route GET /api-keys
+ */
+export async function list(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const apiKeys = await apiKeysService.listApiKeys(storeId);
+
+    return sendSuccess(res, { apiKeys });
+  } catch (error) {
+    logger.error('List API keys error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get an API key
+ * @route GET /api-keys/:id
+ */
+export async function getOne(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const apiKey = await apiKeysService.getApiKeyById(storeId, req.params.id);
+
+    return sendSuccess(res, apiKey);
+  } catch (error) {
+    logger.error('Get API key error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      apiKeyId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Create an API key
+ * @route POST /api-keys
+ */
+export async function create(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const apiKey = await apiKeysService.createApiKey(storeId, req.body);
+
+    return sendCreated(
+      res,
+      apiKey,
+      'API key created. Store the key now, it will not be shown again.',
+    );
+  } catch (error) {
+    logger.error('Create API key error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      name: req.body?.name,
+      scopes: req.body?.scopes,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update an API key
+ * @route PUT /api-keys/:id
+ */
+export async function update(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const apiKey = await apiKeysService.updateApiKey(
+      storeId,
+      req.params.id,
+      req.body,
+    );
+
+    return sendSuccess(res, apiKey, 'API key updated successfully');
+  } catch (error) {
+    logger.error('Update API key error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      apiKeyId: req.params.id,
+      body: req.body,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Revoke an API key
+ * @route DELETE /api-keys/:id
+ */
+export async function revoke(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const apiKey = await apiKeysService.revokeApiKey(storeId, req.params.id);
+
+    return sendSuccess(res, apiKey, 'API key revoked');
+  } catch (error) {
+    logger.error('Revoke API key error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      apiKeyId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Replace the secret of an API key
+ * @route POST /api-keys/:id/rotate
+ */
+export async function rotate(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const apiKey = await apiKeysService.rotateApiKey(storeId, req.params.id);
+
+    return sendSuccess(
+      res,
+      apiKey,
+      'API key rotated. The previous key no longer works.',
+    );
+  } catch (error) {
+    logger.error('Rotate API key error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      apiKeyId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listScopes,
+  list,
+  getOne,
+  create,
+  update,
+  revoke,
+  rotate,
+};
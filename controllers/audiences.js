@@ -2,7 +2,12 @@ import prisma from '../services/prisma.js';
 import { logger } from '../utils/logger.js';
 import { getStoreId } from '../middlewares/store-resolution.js';
 import { sendSuccess, sendPaginated } from '../utils/response.js';
-import { ValidationError } from '../utils/errors.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import {
+  countSegmentContacts,
+  countStoredSegmentContacts,
+  getSegmentContactWhere,
+} from '../services/segments.js';
 
 /**
  * Get predefined audiences for campaign targeting
@@ -39,23 +44,17 @@ export async function getAudiences(req, res, next) {
       }),
     ]);
 
-    // Get custom segments
-    const segments = await prisma.segment.findMany({
+    // Get custom segments (rule-based segments are counted live)
+    const segmentRows = await prisma.segment.findMany({
       where: { shopId },
-      include: {
-        _count: {
-          select: {
-            memberships: {
-              where: {
-                contact: {
-                  smsConsent: 'opted_in',
-                },
-              },
-            },
-          },
-        },
-      },
+      select: { id: true, name: true, ruleJson: true },
     });
+    const segments = await Promise.all(
+      segmentRows.map(async segment => ({
+        ...segment,
+        contactCount: await countStoredSegmentContacts(shopId, segment),
+      })),
+    );
 
     // Build predefined audiences
     const audiences = [
@@ -92,8 +91,8 @@ export async function getAudiences(req, res, next) {
       name: segment.name,
       description: `Custom segment: ${segment.name}`,
       type: 'segment',
-      contactCount: segment._count.memberships,
-      isAvailable: segment._count.memberships > 0,
+      contactCount: segment.contactCount,
+      isAvailable: segment.contactCount > 0,
       segmentId: segment.id,
     }));
 
@@ -134,7 +133,7 @@ export async function getAudienceDetails(req, res, next) {
     const shopId = getStoreId(req);
     const { page = 1, limit = 50 } = req.query;
 
-    const whereClause = {
+    let whereClause = {
       shopId,
       smsConsent: 'opted_in',
     };
@@ -149,49 +148,41 @@ export async function getAudienceDetails(req, res, next) {
     } else if (audienceId.startsWith('segment:')) {
       const segmentId = audienceId.split(':')[1];
 
-      // Get segment members
-      const memberships = await prisma.segmentMembership.findMany({
-        where: {
-          segmentId,
-          contact: {
-            smsConsent: 'opted_in',
-          },
-        },
-        include: {
-          contact: true,
-        },
-        skip: (page - 1) * limit,
-        take: parseInt(limit),
-      });
-
-      const contacts = memberships.map(m => m.contact);
-      const totalCount = await prisma.segmentMembership.count({
-        where: {
+      // Static segments resolve through memberships, dynamic ones through their rules
+      try {
+        whereClause = await getSegmentContactWhere(shopId, segmentId);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        // A stored rule that no longer validates lists no contacts
+        logger.warn('Stored segment rule is invalid', {
+          shopId,
           segmentId,
-          contact: {
-            smsConsent: 'opted_in',
+          error: error.message,
+        });
+        return sendPaginated(
+          res,
+          [],
+          {
+            page: parseInt(page),
+            pageSize: parseInt(limit),
+            total: 0,
+            totalPages: 0,
+            hasNextPage: false,
+            hasPrevPage: parseInt(page) > 1,
           },
-        },
-      });
-
-      return sendPaginated(
-        res,
-        contacts,
-        {
-          page: parseInt(page),
-          pageSize: parseInt(limit),
-          total: totalCount,
-          totalPages: Math.ceil(totalCount / parseInt(limit)),
-          hasNextPage: parseInt(page) < Math.ceil(totalCount / parseInt(limit)),
-          hasPrevPage: parseInt(page) > 1,
-        },
-        { audienceId },
-      );
+          { audienceId, invalidSegment: true },
+        );
+      }
+      if (!whereClause) {
+        throw new NotFoundError('Segment');
+      }
     } else {
       throw new ValidationError('Invalid audience ID');
     }
 
-    // Get contacts for predefined audiences
+    // Get contacts for the resolved audience
     const [contacts, totalCount] = await Promise.all([
       prisma.contact.findMany({
         where: whereClause,
@@ -283,19 +274,13 @@ export async function validateAudience(req, res, next) {
             id: segmentId,
             shopId,
           },
+          select: { id: true, ruleJson: true },
         });
 
         if (!segment) {
           error = 'Segment not found';
         } else {
-          contactCount = await prisma.segmentMembership.count({
-            where: {
-              segmentId,
-              contact: {
-                smsConsent: 'opted_in',
-              },
-            },
-          });
+          contactCount = await countSegmentContacts(shopId, segment);
           isValid = contactCount > 0;
         }
       } else {
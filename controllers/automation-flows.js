@@ -0,0 +1,157 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import flowsService from '../services/flows.js';
+import { sendSuccess, sendCreated } from '../utils/response.js';
+
+/**
+ * Automation Flows Controller
+ * Custom multi-step automation flows and their per-node stats
+ */
+
+function logError(message, req, error, extra = {}) {
+  logger.error(message, {
+    error: error.message,
+    storeId: getStoreId(req),
+    ...extra,
+    requestId: req.id,
+  });
+}
+
+/**
+ * List flows
+ * @route GET /automation-flows
+ */
+export async function listFlows(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const flows = await flowsService.listFlows(storeId, req.query);
+
+    return sendSuccess(res, flows);
+  } catch (error) {
+    logError('List automation flows error', req, error, { query: req.query });
+    next(error);
+  }
+}
+
+/**
+ * Create a flow (as a draft)
+ * @route POST /automation-flows
+ */
+export async function createFlow(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const flow = await flowsService.createFlow(storeId, req.body);
+
+    return sendCreated(res, flow, 'Flow created successfully');
+  } catch (error) {
+    logError('Create automation flow error', req, error);
+    next(error);
+  }
+}
+
+/**
+ * Get a flow with its graph
+ * @route GET /automation-flows/:id
+ */
+export async function getFlow(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const flow = await flowsService.getFlow(storeId, req.params.id);
+
+    return sendSuccess(res, flow);
+  } catch (error) {
+    logError('Get automation flow error', req, error, { flowId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Update a flow
+ * @route PUT /automation-flows/:id
+ */
+export async function updateFlow(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const flow = await flowsService.updateFlow(storeId, req.params.id, req.body);
+
+    return sendSuccess(res, flow, 'Flow updated successfully');
+  } catch (error) {
+    logError('Update automation flow error', req, error, { flowId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Delete a flow
+ * @route DELETE /automation-flows/:id
+ */
+export async function deleteFlow(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    await flowsService.deleteFlow(storeId, req.params.id);
+
+    return sendSuccess(res, null, 'Flow deleted successfully');
+  } catch (error) {
+    logError('Delete automation flow error', req, error, { flowId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Activate a flow
+ * @route POST /automation-flows/:id/activate
+ */
+export async function activateFlow(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const flow = await flowsService.activateFlow(storeId, req.params.id);
+
+    return sendSuccess(res, flow, 'Flow activated');
+  } catch (error) {
+    logError('Activate automation flow error', req, error, { flowId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Pause a flow (cancels runs in progress)
+ * @route POST /automation-flows/:id/pause
+ */
+export async function pauseFlow(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await flowsService.pauseFlow(storeId, req.params.id);
+
+    return sendSuccess(res, result, 'Flow paused');
+  } catch (error) {
+    logError('Pause automation flow error', req, error, { flowId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Per-node and per-run stats of a flow
+ * @route GET /automation-flows/:id/stats
+ */
+export async function getFlowStats(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const stats = await flowsService.getFlowStats(storeId, req.params.id);
+
+    return sendSuccess(res, stats);
+  } catch (error) {
+    logError('Automation flow stats error', req, error, { flowId: req.params.id });
+    next(error);
+  }
+}
+
+export default {
+  listFlows,
+  createFlow,
+  getFlow,
+  updateFlow,
+  deleteFlow,
+  activateFlow,
+  pauseFlow,
+  getFlowStats,
+};
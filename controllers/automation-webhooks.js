@@ -9,6 +9,11 @@ import {
   getAbandonedCheckout,
 } from '../services/shopify-graphql.js';
 import { cancelAutomationsForOrder } from '../services/automation-scheduler.js';
+import { matchDiscountRedemptions } from '../services/discount-codes.js';
+import { attributeOrder } from '../services/attribution.js';
+import { handleCustomerWebhook } from '../services/customer-sync.js';
+import { startFlowsForTrigger } from '../services/flows.js';
+import { FlowTrigger } from '../services/flow-rules.js';
 
 /**
  * Convert numeric order ID to Shopify GID format
@@ -187,6 +192,55 @@ export async function handleOrderCreated(req, res, _next) {
       }
     }
 
+    // Match unique discount codes redeemed by this order to their campaign
+    try {
+      await matchDiscountRedemptions(shop.id, {
+        orderId: id,
+        discountCodes: orderData.discountCodes?.length
+          ? orderData.discountCodes
+          : req.body.discount_codes,
+        totalPrice: orderData.totalPrice ?? req.body.total_price,
+        currency: orderData.currency,
+      });
+    } catch (discountError) {
+      // Don't fail the webhook if matching fails
+      logger.warn('Failed to match discount code redemptions', {
+        shopId: shop.id,
+        orderId: id,
+        error: discountError.message,
+      });
+    }
+
+    // Attribute the order to the SMS that led to it (after code matching,
+    // a redeemed unique code wins over clicks and views)
+    try {
+      await attributeOrder(shop.id, contact, {
+        orderId: id,
+        orderedAt: req.body.created_at || orderData.processedAt,
+        totalPrice: orderData.totalPrice ?? req.body.total_price,
+        currency: orderData.currency,
+      });
+    } catch (attributionError) {
+      // Don't fail the webhook if attribution fails
+      logger.warn('Failed to attribute order', {
+        shopId: shop.id,
+        orderId: id,
+        error: attributionError.message,
+      });
+    }
+
+    // Custom flows started by new orders (never throws)
+    const orderTotal = orderData.totalPrice ?? req.body.total_price;
+    await startFlowsForTrigger(shop.id, contact.id, FlowTrigger.orderPlaced, {
+      orderId: id.toString(),
+      orderValue: orderTotal != null ? Number(orderTotal) : null,
+      variables: {
+        orderNumber: orderData.orderNumber,
+        totalPrice: orderTotal,
+        currency: orderData.currency,
+      },
+    });
+
     // Queue automation job instead of processing synchronously
     // This allows for retry on failure and doesn't block webhook response
     try {
@@ -395,6 +449,20 @@ export async function handleAbandonedCheckout(req, res, _next) {
       },
     });
 
+    // Custom flows started by abandoned checkouts (never throws)
+    const subtotalPrice = payload.subtotalPriceSet?.shopMoney?.amount;
+    await startFlowsForTrigger(shop.id, contact.id, FlowTrigger.checkoutAbandoned, {
+      checkoutId: checkoutId.toString(),
+      orderValue: subtotalPrice != null ? Number(subtotalPrice) : null,
+      variables: {
+        checkout: {
+          abandonedCheckoutUrl: payload.abandonedCheckoutUrl,
+          subtotalPriceSet: payload.subtotalPriceSet,
+        },
+        currency: payload.subtotalPriceSet?.shopMoney?.currencyCode,
+      },
+    });
+
     // Queue automation job with delay
     try {
       const job = await automationQueue.add(
@@ -683,6 +751,16 @@ export async function handleOrderFulfilled(req, res, _next) {
       ...fulfillmentData,
     };
 
+    // Custom flows started by fulfilled orders (never throws)
+    await startFlowsForTrigger(shop.id, contact.id, FlowTrigger.orderFulfilled, {
+      orderId: id.toString(),
+      variables: {
+        orderNumber: orderData.orderNumber,
+        trackingNumber: orderData.trackingNumber,
+        trackingUrls: orderData.trackingUrls,
+      },
+    });
+
     // Queue immediate fulfillment notification automation
     try {
       await automationQueue.add(
@@ -825,10 +903,46 @@ export async function handleOrderFulfilled(req, res, _next) {
   }
 }
 
+/**
+ * Sync a Shopify customer webhook onto contacts (see services/customer-sync.js)
+ * @param {string} topic - customers/create | customers/update | customers/delete
+ */
+function handleCustomerTopic(topic) {
+  return async (req, res, next) => {
+    const shopDomain = req.webhookMetadata?.shopDomain;
+    try {
+      if (!shopDomain || !req.body?.id) {
+        throw new ValidationError('Shop domain and customer id are required');
+      }
+
+      const result = await handleCustomerWebhook(shopDomain, topic, req.body);
+      return sendSuccess(res, result, 'Customer webhook processed');
+    } catch (error) {
+      logger.error('Customer webhook processing failed', {
+        topic,
+        shopDomain,
+        shopifyCustomerId: req.body?.id,
+        error: error.message,
+      });
+      next(error);
+    }
+  };
+}
+
+/**
+ * Handle Shopify customer webhooks
+ */
+export const handleCustomerCreated = handleCustomerTopic('customers/create');
+export const handleCustomerUpdated = handleCustomerTopic('customers/update');
+export const handleCustomerDeleted = handleCustomerTopic('customers/delete');
+
 export default {
   handleOrderCreated,
   handleOrderFulfilled,
   handleCartAbandoned,
   handleAbandonedCheckout,
+  handleCustomerCreated,
+  handleCustomerUpdated,
+  handleCustomerDeleted,
   triggerAutomationManually,
 };
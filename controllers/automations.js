@@ -7,6 +7,7 @@ import {
   getAvailableVariables,
   getVariableDescriptions,
 } from '../services/automation-variables.js';
+import { useTemplate } from '../services/shop-templates.js';
 
 /**
  * Create a new user automation
@@ -16,7 +17,9 @@ export async function createUserAutomation(req, res, next) {
   try {
     const shopId = getStoreId(req);
     // Body is already validated by Zod middleware
-    const { name, trigger, message, status } = req.body;
+    const { name, trigger, templateId, status } = req.body;
+    const message =
+      req.body.message ?? (await useTemplate(shopId, templateId)).content;
 
     // Create custom automation (not system default)
     const automation = await prisma.automation.create({
@@ -151,7 +154,7 @@ export async function updateUserAutomation(req, res, next) {
     const { id } = req.params;
     // Body is already validated by Zod middleware
     // Accept both frontend-friendly format and backend format
-    const { userMessage, isActive, message, status } = req.body;
+    const { userMessage, isActive, message, status, templateId } = req.body;
 
     // ✅ Security: Get storeId from context
     const shopId = getStoreId(req);
@@ -189,6 +192,11 @@ export async function updateUserAutomation(req, res, next) {
       throw new NotFoundError('Automation');
     }
 
+    // A template only fills in the message when none is given
+    if (templateId && finalUserMessage === undefined) {
+      finalUserMessage = (await useTemplate(shopId, templateId)).content;
+    }
+
     // Update the user automation
     const updatedUserAutomation = await prisma.userAutomation.update({
       where: { id },
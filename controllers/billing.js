@@ -5,6 +5,10 @@ import { getSubscriptionStatus } from '../services/subscription.js';
 import { calculateTopupPrice } from '../services/subscription.js';
 import { createCreditTopupCheckoutSession } from '../services/stripe.js';
 import prisma from '../services/prisma.js';
+import lowBalanceService from '../services/low-balance.js';
+import { listAutoTopUps } from '../services/auto-topup.js';
+import billingProfileService, { getShopVat } from '../services/billing-profiles.js';
+import invoiceService from '../services/invoices.js';
 import { sendSuccess, sendPaginated, sendError } from '../utils/response.js';
 
 /**
@@ -254,6 +258,7 @@ export async function createPurchase(req, res, next) {
  */
 export async function calculateTopup(req, res, next) {
   try {
+    const storeId = getStoreId(req);
     const credits = parseInt(req.query.credits);
 
     if (!credits || !Number.isInteger(credits) || credits <= 0) {
@@ -265,12 +270,13 @@ export async function calculateTopup(req, res, next) {
       );
     }
 
-    const priceBreakdown = calculateTopupPrice(credits);
+    const priceBreakdown = calculateTopupPrice(credits, await getShopVat(storeId));
 
     return sendSuccess(res, priceBreakdown, 'Price calculated successfully');
   } catch (error) {
     logger.error('Calculate top-up error', {
       error: error.message,
+      storeId: getStoreId(req),
       query: req.query,
     });
     next(error);
@@ -287,8 +293,9 @@ export async function createTopup(req, res, next) {
     const shopDomain = req.ctx?.store?.shopDomain;
     const { credits, successUrl, cancelUrl } = req.body;
 
-    // Calculate price
-    const priceBreakdown = calculateTopupPrice(credits);
+    // Calculate price with the VAT of the shop's billing profile
+    const vat = await getShopVat(storeId);
+    const priceBreakdown = calculateTopupPrice(credits, vat);
 
     // Create Stripe checkout session
     const session = await createCreditTopupCheckoutSession({
@@ -297,6 +304,7 @@ export async function createTopup(req, res, next) {
       credits,
       priceEur: priceBreakdown.priceEurWithVat,
       currency: 'EUR',
+      vat,
       successUrl,
       cancelUrl,
     });
@@ -386,6 +394,190 @@ export async function getBillingHistory(req, res, next) {
   }
 }
 
+/**
+ * Get low balance alert and auto top-up settings
+ * @route GET /billing/low-balance
+ */
+export async function getLowBalanceSettings(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const settings = await lowBalanceService.getLowBalanceSettings(storeId);
+
+    return sendSuccess(res, settings);
+  } catch (error) {
+    logger.error('Get low balance settings error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update low balance alert and auto top-up settings
+ * @route PUT /billing/low-balance
+ */
+export async function updateLowBalanceSettings(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const settings = await lowBalanceService.updateLowBalanceSettings(
+      storeId,
+      req.body,
+    );
+
+    return sendSuccess(res, settings, 'Low balance settings updated successfully');
+  } catch (error) {
+    logger.error('Update low balance settings error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      body: req.body,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Auto top-up attempts
+ * @route GET /billing/auto-top-ups
+ */
+export async function getAutoTopUps(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await listAutoTopUps(storeId, req.query);
+
+    return sendPaginated(res, result.autoTopUps, result.pagination, {
+      autoTopUps: result.autoTopUps,
+    });
+  } catch (error) {
+    logger.error('Get auto top-ups error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get the billing profile and the VAT that applies to it
+ * @route GET /billing/profile
+ */
+export async function getBillingProfile(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await billingProfileService.getBillingProfile(storeId);
+
+    return sendSuccess(res, result);
+  } catch (error) {
+    logger.error('Get billing profile error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Create or replace the billing profile
+ * @route PUT /billing/profile
+ */
+export async function updateBillingProfile(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await billingProfileService.updateBillingProfile(
+      storeId,
+      req.body,
+    );
+
+    return sendSuccess(res, result, 'Billing profile updated successfully');
+  } catch (error) {
+    logger.error('Update billing profile error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * List invoices
+ * @route GET /billing/invoices
+ */
+export async function listInvoices(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await invoiceService.listInvoices(storeId, req.query);
+
+    return sendPaginated(res, result.invoices, result.pagination, {
+      invoices: result.invoices,
+    });
+  } catch (error) {
+    logger.error('List invoices error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get an invoice
+ * @route GET /billing/invoices/:id
+ */
+export async function getInvoice(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const invoice = await invoiceService.getInvoice(storeId, req.params.id);
+
+    return sendSuccess(res, invoice);
+  } catch (error) {
+    logger.error('Get invoice error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      invoiceId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Download an invoice as a PDF
+ * @route GET /billing/invoices/:id/pdf
+ */
+export async function downloadInvoice(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { fileName, buffer } = await invoiceService.getInvoicePdf(
+      storeId,
+      req.params.id,
+    );
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': String(buffer.length),
+      'Cache-Control': 'private, no-store',
+    });
+    return res.send(buffer);
+  } catch (error) {
+    logger.error('Download invoice error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      invoiceId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
 export default {
   getBalance,
   getPackages,
@@ -394,4 +586,12 @@ export default {
   createTopup,
   getHistory,
   getBillingHistory,
+  getLowBalanceSettings,
+  updateLowBalanceSettings,
+  getAutoTopUps,
+  getBillingProfile,
+  updateBillingProfile,
+  listInvoices,
+  getInvoice,
+  downloadInvoice,
 };
@@ -1,6 +1,7 @@
 import { getStoreId } from '../middlewares/store-resolution.js';
 import { logger } from '../utils/logger.js';
 import campaignsService from '../services/campaigns.js';
+import campaignRunsService from '../services/campaign-runs.js';
 import { sendSuccess, sendCreated, sendPaginated } from '../utils/response.js';
 
 /**
@@ -443,6 +444,38 @@ export async function metrics(req, res, next) {
   }
 }
 
+/**
+ * List the runs of a recurring campaign with per-run metrics
+ * @route GET /campaigns/:id/runs
+ */
+export async function runs(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const result = await campaignRunsService.listCampaignRuns(storeId, id, {
+      page: req.query.page,
+      pageSize: req.query.pageSize,
+    });
+
+    return sendPaginated(res, result.runs, result.pagination, {
+      campaign: result.campaign,
+      runs: result.runs,
+    });
+  } catch (error) {
+    logger.error('List campaign runs error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      campaignId: req.params.id,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
 /**
  * Get campaign preview (recipient count and estimated cost)
  * @route GET /campaigns/:id/preview
@@ -840,6 +873,7 @@ export default {
   sendNow,
   schedule,
   cancel,
+  runs,
   metrics,
   status,
   stats,
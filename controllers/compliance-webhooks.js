@@ -0,0 +1,101 @@
+import { logger } from '../utils/logger.js';
+import complianceService from '../services/compliance.js';
+import { ComplianceTopic } from '../services/compliance-rules.js';
+
+/**
+ * Compliance Webhooks Controller
+ * Shopify's mandatory privacy webhooks and app/uninstalled. Each request is
+ * recorded before we answer 200; anything else answers 500 so Shopify
+ * retries the delivery.
+ */
+
+function getShopDomain(req) {
+  return req.webhookMetadata?.shopDomain || req.body?.shop_domain || req.body?.myshopify_domain;
+}
+
+async function receive(req, res, topic) {
+  const shopDomain = getShopDomain(req);
+  try {
+    if (!shopDomain) {
+      logger.warn('Compliance webhook without shop domain', { topic, requestId: req.id });
+      return res.status(200).send('OK');
+    }
+
+    const { request, duplicate } = await complianceService.receiveComplianceWebhook({
+      topic,
+      webhookId: req.get('X-Shopify-Webhook-Id') || null,
+      shopDomain,
+      payload: req.body,
+    });
+
+    logger.info('Compliance webhook recorded', {
+      topic,
+      shopDomain,
+      complianceRequestId: request.id,
+      status: request.status,
+      duplicate,
+    });
+    return res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Compliance webhook error', {
+      topic,
+      shopDomain,
+      error: error.message,
+      requestId: req.id,
+    });
+    return res.status(500).send('Error');
+  }
+}
+
+/**
+ * Customer data request
+ * @route POST /webhooks/customers/data_request
+ */
+export function handleCustomersDataRequest(req, res) {
+  return receive(req, res, ComplianceTopic.customersDataRequest);
+}
+
+/**
+ * Customer redact
+ * @route POST /webhooks/customers/redact
+ */
+export function handleCustomersRedact(req, res) {
+  return receive(req, res, ComplianceTopic.customersRedact);
+}
+
+/**
+ * Shop redact (48 hours after uninstall)
+ * @route POST /webhooks/shop/redact
+ */
+export function handleShopRedact(req, res) {
+  return receive(req, res, ComplianceTopic.shopRedact);
+}
+
+/**
+ * App uninstalled: deactivate the shop and schedule its purge
+ * @route POST /webhooks/app_uninstalled
+ */
+export async function handleAppUninstalled(req, res) {
+  const shopDomain = getShopDomain(req);
+  try {
+    if (shopDomain) {
+      logger.info('App uninstall webhook received', { shopDomain });
+      await complianceService.handleAppUninstalled(shopDomain);
+    }
+    return res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Error handling app uninstall', {
+      shopDomain,
+      error: error.message,
+      requestId: req.id,
+    });
+    return res.status(500).send('Error');
+  }
+}
+
+export default {
+  handleCustomersDataRequest,
+  handleCustomersRedact,
+  handleShopRedact,
+  handleAppUninstalled,
+};
@@ -0,0 +1,67 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import complianceService from '../services/compliance.js';
+import { sendPaginated } from '../utils/response.js';
+
+/**
+ * Compliance Controller
+ * Shopify privacy requests received for the merchant's shop and the
+ * exports of customer data requests
+ */
+
+/**
+ * List privacy requests
+ * @route GET /compliance/requests
+ */
+export async function listRequests(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await complianceService.listComplianceRequests(storeId, req.query);
+
+    return sendPaginated(res, result.requests, result.pagination, {
+      requests: result.requests,
+    });
+  } catch (error) {
+    logger.error('List compliance requests error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Download the export of a customer data request
+ * @route GET /compliance/requests/:id/export
+ */
+export async function downloadExport(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { fileName, bundle } = await complianceService.getDataRequestExport(
+      storeId,
+      req.params.id,
+    );
+
+    res.set({
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store',
+    });
+    return res.send(JSON.stringify(bundle, null, 2));
+  } catch (error) {
+    logger.error('Download compliance export error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      complianceRequestId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listRequests,
+  downloadExport,
+};
@@ -3,6 +3,26 @@ import { logger } from '../utils/logger.js';
 import contactsService from '../services/contacts.js';
 import { sendSuccess, sendCreated, sendPaginated } from '../utils/response.js';
 import { ValidationError } from '../utils/errors.js';
+import {
+  createContactImport,
+  getContactImport,
+  startContactImport,
+  openContactImportErrors,
+} from '../services/contact-imports.js';
+import {
+  startCustomerSync,
+  listCustomerSyncs,
+  getCustomerSync,
+} from '../services/customer-sync.js';
+import {
+  getContactConsentAudit,
+  CONSENT_AUDIT_COLUMNS,
+} from '../services/consent.js';
+import {
+  CSV_BOM,
+  formatCsvHeader,
+  formatCsvRow,
+} from '../utils/export-format.js';
 
 /**
  * Enhanced Contacts Controller
@@ -81,6 +101,48 @@ export async function getOne(req, res, next) {
   }
 }
 
+/**
+ * Get the consent audit trail of a contact (GDPR/TCPA evidence)
+ * @route GET /contacts/:id/consent?format=json|csv
+ */
+export async function consentAudit(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { id } = req.params;
+
+    const audit = await getContactConsentAudit(storeId, id);
+
+    if (req.query.format !== 'csv') {
+      return sendSuccess(res, audit);
+    }
+
+    const csv =
+      CSV_BOM +
+      formatCsvHeader(CONSENT_AUDIT_COLUMNS) +
+      audit.entries
+        .map(entry => formatCsvRow(CONSENT_AUDIT_COLUMNS, entry))
+        .join('');
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="consent-${id}.csv"`,
+      'Cache-Control': 'private, no-store',
+    });
+    return res.send(csv);
+  } catch (error) {
+    logger.error('Get contact consent audit error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      contactId: req.params.id,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
 /**
  * Create a new contact
  * @route POST /contacts
@@ -295,13 +357,222 @@ export async function importCsv(req, res, next) {
   }
 }
 
+/**
+ * Upload a CSV file for import (raw text/csv body)
+ * Returns the headers, sample rows and a suggested column mapping.
+ * @route POST /contacts/imports?fileName=contacts.csv
+ */
+export async function uploadImport(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const contactImport = await createContactImport(storeId, req, {
+      fileName: req.query.fileName,
+    });
+
+    return sendCreated(res, contactImport, 'File uploaded');
+  } catch (error) {
+    logger.error('Upload contact import error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get contact import status, progress and report
+ * @route GET /contacts/imports/:id
+ */
+export async function getImport(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const contactImport = await getContactImport(storeId, req.params.id);
+
+    return sendSuccess(res, contactImport);
+  } catch (error) {
+    logger.error('Get contact import error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      importId: req.params.id,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Validate (dryRun) or run an uploaded import with a column mapping
+ * @route POST /contacts/imports/:id/start
+ */
+export async function startImport(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const contactImport = await startContactImport(
+      storeId,
+      req.params.id,
+      req.body,
+    );
+
+    return sendSuccess(
+      res,
+      contactImport,
+      req.body.dryRun ? 'Validation queued' : 'Import queued',
+      202,
+    );
+  } catch (error) {
+    logger.error('Start contact import error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      importId: req.params.id,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Download the rows that could not be imported, with the reason per row
+ * @route GET /contacts/imports/:id/errors
+ */
+export async function downloadImportErrors(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const { stream, fileName } = await openContactImportErrors(
+      storeId,
+      req.params.id,
+    );
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${fileName.replace(/"/g, '')}"`,
+      'Cache-Control': 'private, no-store',
+    });
+
+    stream.on('error', error => {
+      logger.error('Contact import error file stream error', {
+        importId: req.params.id,
+        error: error.message,
+        requestId: req.id,
+      });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Download contact import errors error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      importId: req.params.id,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Start a backfill of contacts from all Shopify customers
+ * @route POST /contacts/shopify-sync
+ */
+export async function startShopifySync(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const sync = await startCustomerSync(storeId);
+
+    return sendSuccess(res, sync, 'Customer sync queued', 202);
+  } catch (error) {
+    logger.error('Start Shopify customer sync error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * List the latest Shopify customer syncs
+ * @route GET /contacts/shopify-sync
+ */
+export async function listShopifySyncs(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const syncs = await listCustomerSyncs(storeId);
+
+    return sendSuccess(res, { syncs });
+  } catch (error) {
+    logger.error('List Shopify customer syncs error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get a Shopify customer sync with its progress and counts
+ * @route GET /contacts/shopify-sync/:id
+ */
+export async function getShopifySync(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+
+    const sync = await getCustomerSync(storeId, req.params.id);
+
+    return sendSuccess(res, sync);
+  } catch (error) {
+    logger.error('Get Shopify customer sync error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      syncId: req.params.id,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
 export default {
   list,
   getOne,
+  consentAudit,
   create,
   update,
   remove,
   stats,
   getBirthdayContacts,
   importCsv,
+  uploadImport,
+  getImport,
+  startImport,
+  downloadImportErrors,
+  startShopifySync,
+  listShopifySyncs,
+  getShopifySync,
 };
@@ -0,0 +1,135 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import inboxService from '../services/inbox.js';
+import { sendSuccess, sendCreated, sendPaginated } from '../utils/response.js';
+
+/**
+ * Inbox Controller
+ * Two-way SMS conversations with customers
+ */
+
+/**
+ * List conversations
+ * @route GET /inbox/conversations
+ */
+export async function listConversations(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await inboxService.listConversations(storeId, req.query);
+
+    return sendPaginated(res, result.conversations, result.pagination, {
+      conversations: result.conversations,
+    });
+  } catch (error) {
+    logger.error('List conversations error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get unread counters
+ * @route GET /inbox/unread-count
+ */
+export async function unreadCount(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const counts = await inboxService.getUnreadCount(storeId);
+
+    return sendSuccess(res, counts);
+  } catch (error) {
+    logger.error('Get inbox unread count error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get a conversation with its message history
+ * @route GET /inbox/conversations/:id
+ */
+export async function getConversation(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const thread = await inboxService.getConversationThread(
+      storeId,
+      req.params.id,
+      req.query,
+    );
+
+    return sendSuccess(res, thread);
+  } catch (error) {
+    logger.error('Get conversation error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      conversationId: req.params.id,
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Mark a conversation as read
+ * @route POST /inbox/conversations/:id/read
+ */
+export async function markRead(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const conversation = await inboxService.markConversationRead(
+      storeId,
+      req.params.id,
+    );
+
+    return sendSuccess(res, conversation, 'Conversation marked as read');
+  } catch (error) {
+    logger.error('Mark conversation read error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      conversationId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Reply to a conversation
+ * @route POST /inbox/conversations/:id/reply
+ */
+export async function reply(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await inboxService.replyToConversation(
+      storeId,
+      req.params.id,
+      req.body.text,
+    );
+
+    return sendCreated(res, result, 'Reply sent');
+  } catch (error) {
+    logger.error('Reply to conversation error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      conversationId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listConversations,
+  unreadCount,
+  getConversation,
+  markRead,
+  reply,
+};
@@ -8,6 +8,7 @@ import {
   refreshMessageStatus,
   refreshMessageStatusBulk,
 } from '../services/mitto-status.js';
+import { getProviderForShop } from '../services/sms-provider.js';
 
 /**
  * Refresh single message status from Mitto
@@ -128,12 +129,12 @@ export async function getStatus(req, res, next) {
       });
     }
 
-    const { getMessageStatus } = await import('../services/mitto.js');
-    const status = await getMessageStatus(messageId);
+    const provider = await getProviderForShop(getStoreId(req));
+    const status = await provider.getStatus(messageId);
 
     return sendSuccess(res, status);
   } catch (error) {
-    if (error.message?.includes('not found') || error.status === 404) {
+    if (error.message?.includes('not found') || error.status === 404 || error.statusCode === 404) {
       return res.status(404).json({
         ok: false,
         message: error.message || 'Message not found',
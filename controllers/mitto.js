@@ -1,85 +1,71 @@
-import crypto from 'crypto';
 import prisma from '../services/prisma.js';
 import { sendSuccess } from '../utils/response.js';
-import { AuthenticationError } from '../utils/errors.js';
+import { AuthenticationError, NotFoundError } from '../utils/errors.js';
 import { updateCampaignAggregates } from '../services/campaignAggregates.js';
 import { logger } from '../utils/logger.js';
-
-function verifyMittoSignature(req) {
-  const secret = process.env.MITTO_WEBHOOK_SECRET;
-  if (!secret) return true; // skip if not configured
-  const sig = req.header('x-mitto-signature') || '';
-  const body = JSON.stringify(req.body || {});
-  const mac = crypto.createHmac('sha256', secret).update(body).digest('hex');
-  return sig === mac;
-}
+import { processInboundKeyword } from '../services/inbound-keywords.js';
+import { resolveInboundShop, recordInboundMessage } from '../services/inbox.js';
+import { getProvider, SmsProviderName } from '../services/sms-provider.js';
+import { emitMessageStatusEvent } from '../services/webhooks.js';
 
 /**
- * Map Mitto deliveryStatus → our internal status
- * Mitto sends: "Sent", "Delivered", "Failure" (capitalized)
- * We only use "sent" and "failed" - map "Delivered" to "sent"
+ * Resolve the provider a webhook is addressed to
+ * /webhooks/mitto/* always means Mitto, /webhooks/sms/:provider/* names it
  */
-function mapStatus(s) {
-  const v = String(s || '').toLowerCase().trim();
-  // Mitto's exact values: "Delivered" → "sent", "Sent" → "sent", "Failure" → "failed"
-  if (v === 'delivered' || v === 'delivrd' || v === 'completed' || v === 'ok') {
-    // Map delivered to sent (we don't track delivered separately)
-    return 'sent';
-  }
-  if (v === 'failure' || v === 'failed' || v === 'undelivered' || v === 'expired' || v === 'rejected' || v === 'error') {
-    return 'failed';
-  }
-  if (v === 'sent' || v === 'queued' || v === 'accepted' || v === 'submitted' || v === 'enroute') {
-    return 'sent';
+function resolveWebhookProvider(req) {
+  try {
+    return getProvider(req.params.provider || SmsProviderName.mitto);
+  } catch {
+    return null;
   }
-  return 'unknown';
 }
 
 export async function deliveryReport(req, res) {
+  const provider = resolveWebhookProvider(req);
+  if (!provider) {
+    return res.status(404).json({ ok: false, error: 'Unknown SMS provider' });
+  }
+
   try {
-    if (!verifyMittoSignature(req)) {
-      throw new AuthenticationError('Invalid Mitto webhook signature');
+    if (!provider.verifyWebhook(req)) {
+      throw new AuthenticationError(`Invalid ${provider.name} webhook signature`);
     }
 
-    const body = req.body || {};
-    const events = Array.isArray(body) ? body : [body];
+    const events = provider.parseDlr(req.body || {});
 
     let updated = 0;
     const affectedCampaigns = new Set(); // Track campaignIds that need aggregate updates
 
     for (const ev of events) {
-      // Mitto webhook format: { messageId, deliveryStatus, ... }
-      // Also support alternative field names for flexibility
-      const providerId = ev?.messageId || ev?.message_id || ev?.id || ev?.MessageId || null;
-      // Mitto sends deliveryStatus (not status)
-      const statusIn = ev?.deliveryStatus || ev?.status || ev?.Status || ev?.dlr_status || ev?.delivery_status || null;
-      const doneAtRaw = ev?.updatedAt || ev?.doneAt || ev?.timestamp || ev?.Timestamp || ev?.createdAt || new Date().toISOString();
-      let doneAt = new Date(doneAtRaw);
-      const errorDesc = ev?.error || ev?.Error || ev?.description || ev?.errorMessage || null;
-
-      // Validate doneAt date
-      if (isNaN(doneAt.getTime())) {
-        doneAt = new Date();
-      }
+      const providerId = ev.messageId;
+      const statusIn = ev.status;
+      const doneAt = ev.doneAt;
+      const errorDesc = ev.error;
 
       if (!providerId) {
-        logger.warn('DLR webhook missing messageId', { event: ev });
+        logger.warn('DLR webhook missing messageId', { provider: provider.name, event: ev.raw });
         continue;
       }
 
-      // Map Mitto status to our internal status
-      const newStatus = mapStatus(statusIn);
+      const newStatus = ev.internalStatus;
 
       if (newStatus === 'unknown') {
-        logger.warn('Unknown DLR status', { providerId, statusIn, event: ev });
+        logger.warn('Unknown DLR status', { provider: provider.name, providerId, statusIn, event: ev.raw });
         continue;
       }
 
       // Find CampaignRecipient by providerMessageId (primary lookup for bulk SMS)
+      // mittoMessageId holds the message ID of whichever provider sent it
       const recipient = await prisma.campaignRecipient.findFirst({
         where: { mittoMessageId: providerId },
-        select: { id: true, campaignId: true, status: true, shopId: true },
-        include: {
+        select: {
+          id: true,
+          campaignId: true,
+          contactId: true,
+          phoneE164: true,
+          status: true,
+          sentAt: true,
+          deliveryStatus: true,
           campaign: {
             select: { shopId: true },
           },
@@ -112,12 +98,31 @@ export async function deliveryReport(req, res) {
 
         updated++;
         affectedCampaigns.add(recipient.campaignId);
+
+        if (recipient.deliveryStatus !== statusIn) {
+          await emitMessageStatusEvent(recipient.campaign.shopId, {
+            messageId: providerId,
+            phoneE164: recipient.phoneE164,
+            contactId: recipient.contactId,
+            campaignId: recipient.campaignId,
+            deliveryStatus: statusIn,
+            internalStatus: newStatus,
+            error: errorDesc,
+          });
+        }
       }
 
       // Also update MessageLog if exists (for non-campaign messages or fallback)
       const log = await prisma.messageLog.findFirst({
         where: { providerMsgId: providerId },
-        select: { id: true, campaignId: true },
+        select: {
+          id: true,
+          shopId: true,
+          campaignId: true,
+          automationId: true,
+          phoneE164: true,
+          deliveryStatus: true,
+        },
       });
 
       if (log) {
@@ -127,7 +132,7 @@ export async function deliveryReport(req, res) {
             deliveryStatus: statusIn,
             status: newStatus === 'sent' ? 'sent' : 'failed',
             updatedAt: new Date(),
-            payload: ev,
+            payload: ev.raw,
           },
         });
 
@@ -135,6 +140,19 @@ export async function deliveryReport(req, res) {
         if (log.campaignId && !affectedCampaigns.has(log.campaignId)) {
           affectedCampaigns.add(log.campaignId);
         }
+
+        // Campaign messages were reported with their recipient
+        if (!recipient && log.deliveryStatus !== statusIn) {
+          await emitMessageStatusEvent(log.shopId, {
+            messageId: providerId,
+            phoneE164: log.phoneE164,
+            campaignId: log.campaignId,
+            automationId: log.automationId,
+            deliveryStatus: statusIn,
+            internalStatus: newStatus,
+            error: errorDesc,
+          });
+        }
       }
     }
 
@@ -167,6 +185,7 @@ export async function deliveryReport(req, res) {
     }
 
     logger.info('DLR webhook processed', {
+      provider: provider.name,
       eventsReceived: events.length,
       updated,
       affectedCampaigns: affectedCampaigns.size,
@@ -187,54 +206,43 @@ export async function deliveryReport(req, res) {
 
 export async function inboundMessage(req, res, next) {
   try {
-    if (!verifyMittoSignature(req)) {
-      throw new AuthenticationError('Invalid Mitto webhook signature');
+    const provider = resolveWebhookProvider(req);
+    if (!provider) {
+      throw new NotFoundError('SMS provider');
     }
-    const payload = req.body || {};
-    const from = payload.from || payload.msisdn || null;
+    if (!provider.verifyWebhook(req)) {
+      throw new AuthenticationError(`Invalid ${provider.name} webhook signature`);
+    }
+    const { from, to, text, raw: payload } = provider.parseInbound(req.body || {});
 
-    // Try to resolve shopId from phone number (find contact with this phone)
-    let shopId = 'unknown';
+    let shopId = null;
     if (from) {
       try {
-        const contact = await prisma.contact.findFirst({
-          where: { phoneE164: from },
-          select: { shopId: true },
-        });
-        if (contact) {
-          shopId = contact.shopId;
-        } else {
-          // If no contact found, try to find from recent outbound messages
-          const recentMessage = await prisma.messageLog.findFirst({
-            where: {
-              phoneE164: from,
-              direction: 'outbound',
-            },
-            orderBy: { createdAt: 'desc' },
-            select: { shopId: true },
-          });
-          if (recentMessage) {
-            shopId = recentMessage.shopId;
-          }
-        }
+        shopId = await resolveInboundShop({ from, to });
       } catch (lookupError) {
         logger.warn('Failed to resolve shopId for inbound message', {
           phoneE164: from,
           error: lookupError.message,
         });
-        // Continue with 'unknown' shopId
       }
     }
 
-    await prisma.messageLog.create({
-      data: {
-        shopId,
-        phoneE164: from || '',
-        direction: 'inbound',
-        provider: 'mitto',
-        status: 'received',
-        payload,
-      },
+    // Messages of unknown shops cannot be answered or shown in an inbox
+    if (!shopId) {
+      logger.warn('Inbound message for unknown shop ignored', {
+        phoneE164: from,
+        to,
+        provider: provider.name,
+      });
+      return sendSuccess(res, { ok: true, keyword: null });
+    }
+
+    await recordInboundMessage({
+      shopId,
+      phoneE164: from,
+      text,
+      provider: provider.name,
+      payload,
     });
 
     logger.info('Inbound message received', {
@@ -242,7 +250,28 @@ export async function inboundMessage(req, res, next) {
       phoneE164: from,
     });
 
-    return sendSuccess(res, { ok: true });
+    // Handle STOP/START/HELP keywords (never fail the webhook because of it)
+    let keyword = { matched: false };
+    if (text) {
+      try {
+        keyword = await processInboundKeyword({
+          shopId,
+          phoneE164: from,
+          text,
+        });
+      } catch (keywordError) {
+        logger.error('Failed to process inbound keyword', {
+          shopId,
+          phoneE164: from,
+          error: keywordError.message,
+        });
+      }
+    }
+
+    return sendSuccess(res, {
+      ok: true,
+      keyword: keyword.matched ? keyword.action : null,
+    });
   } catch (e) {
     next(e);
   }
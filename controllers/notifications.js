@@ -0,0 +1,83 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import notificationsService from '../services/notifications.js';
+import { sendSuccess, sendPaginated } from '../utils/response.js';
+
+/**
+ * Notifications Controller
+ * In-app notifications of the merchant (low balance, auto top-ups)
+ */
+
+/**
+ * List notifications
+ * @route GET /notifications
+ */
+export async function list(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await notificationsService.listNotifications(storeId, req.query);
+
+    return sendPaginated(res, result.notifications, result.pagination, {
+      notifications: result.notifications,
+      unreadCount: result.unreadCount,
+    });
+  } catch (error) {
+    logger.error('List notifications error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Mark a notification as read
+ * @route POST /notifications/:id/read
+ */
+export async function markRead(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const notification = await notificationsService.markNotificationRead(
+      storeId,
+      req.params.id,
+    );
+
+    return sendSuccess(res, notification);
+  } catch (error) {
+    logger.error('Mark notification read error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      notificationId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Mark all notifications as read
+ * @route POST /notifications/read-all
+ */
+export async function markAllRead(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const updated = await notificationsService.markAllNotificationsRead(storeId);
+
+    return sendSuccess(res, { updated }, 'Notifications marked as read');
+  } catch (error) {
+    logger.error('Mark all notifications read error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  list,
+  markRead,
+  markAllRead,
+};
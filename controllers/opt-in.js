@@ -6,6 +6,111 @@ import contactsService, {
   normalizePhone,
   isValidPhoneE164,
 } from '../services/contacts.js';
+import {
+  ConsentSource,
+  setContactConsent,
+  isDoubleOptInEnabled,
+  requestOptInConfirmation,
+  getOptInConfirmation,
+  confirmOptInByToken,
+} from '../services/consent.js';
+import { startFlowsForTrigger } from '../services/flows.js';
+import { FlowTrigger } from '../services/flow-rules.js';
+
+async function scheduleWelcome(contactId, shopId) {
+  try {
+    const { scheduleWelcomeSeries } = await import(
+      '../services/welcome-series.js'
+    );
+    await scheduleWelcomeSeries(contactId, shopId);
+    logger.info('Welcome series scheduled for opted-in contact', {
+      contactId,
+      shopId,
+    });
+  } catch (welcomeError) {
+    // Don't fail opt-in if welcome series scheduling fails
+    logger.warn('Failed to schedule welcome series', {
+      contactId,
+      shopId,
+      error: welcomeError.message,
+    });
+  }
+
+  // Custom flows started by new subscribers (never throws)
+  await startFlowsForTrigger(shopId, contactId, FlowTrigger.subscribed);
+}
+
+/**
+ * Update an existing contact with the opt-in form data
+ * Always update with new data if provided, otherwise keep existing.
+ * Consent is changed separately (see applyOptInConsent).
+ */
+async function updateOptInContact(contact, contactData) {
+  const updateData = {
+    updatedAt: new Date(),
+  };
+
+  // Update firstName if provided
+  if (contactData.firstName && contactData.firstName.trim()) {
+    updateData.firstName = contactData.firstName.trim();
+  }
+
+  // Update lastName if provided
+  if (contactData.lastName && contactData.lastName.trim()) {
+    updateData.lastName = contactData.lastName.trim();
+  }
+
+  // Update gender if provided
+  if (contactData.gender) {
+    updateData.gender = contactData.gender;
+  }
+
+  // Update birthDate if provided
+  if (contactData.birthDate && contactData.birthDate.trim()) {
+    const birthDate = new Date(contactData.birthDate);
+    if (!isNaN(birthDate.getTime()) && birthDate <= new Date()) {
+      updateData.birthDate = birthDate;
+    }
+  }
+
+  return prisma.contact.update({
+    where: { id: contact.id },
+    data: updateData,
+  });
+}
+
+/**
+ * Opt in an existing contact, or ask them to confirm with double opt-in
+ * @returns {Promise<Object>} { contact, pendingConfirmation }
+ */
+async function applyOptInConsent(shopId, contact, doubleOptIn, consentContext) {
+  if (contact.smsConsent === 'opted_in') {
+    return { contact, pendingConfirmation: false };
+  }
+
+  if (doubleOptIn) {
+    await requestOptInConfirmation(shopId, contact, {
+      source: consentContext.meta.formSource,
+      ipAddress: consentContext.ipAddress,
+      userAgent: consentContext.userAgent,
+    });
+    return { contact, pendingConfirmation: true };
+  }
+
+  const result = await setContactConsent(
+    shopId,
+    contact.id,
+    'opted_in',
+    consentContext,
+  );
+
+  // Schedule welcome series if contact just opted in (wasn't opted in before)
+  if (result.changed) {
+    await scheduleWelcome(contact.id, shopId);
+  }
+
+  return { contact: result.contact, pendingConfirmation: false };
+}
 
 /**
  * Public opt-in endpoint handler
@@ -73,7 +178,6 @@ export async function handleOptIn(req, res, next) {
     // Prepare contact data
     const contactData = {
       phoneE164,
-      smsConsent: 'opted_in',
       firstName: firstName.trim(),
       lastName: lastName.trim(),
       gender: gender || null,
@@ -90,11 +194,19 @@ export async function handleOptIn(req, res, next) {
         lastName: contactData.lastName,
         gender: contactData.gender,
         birthDate: contactData.birthDate,
-        smsConsent: contactData.smsConsent,
         tags: contactData.tags,
       },
     });
 
+    const consentContext = {
+      source: ConsentSource.opt_in_form,
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
+      userAgent: req.headers['user-agent'] || null,
+      meta: { formSource: source },
+    };
+    const doubleOptIn = await isDoubleOptInEnabled(shop.id);
+    let pendingConfirmation = false;
+
     // Check for existing contact by phone
     let contact = await prisma.contact.findFirst({
       where: {
@@ -104,104 +216,56 @@ export async function handleOptIn(req, res, next) {
     });
 
     if (contact) {
-      // Store previous consent status before update
-      const previousConsent = contact.smsConsent;
-
-      // Update existing contact with SMS consent and new data
-      // Always update with new data if provided, otherwise keep existing
-      const updateData = {
-        smsConsent: 'opted_in',
-        updatedAt: new Date(),
-      };
-
-      // Update firstName if provided
-      if (contactData.firstName && contactData.firstName.trim()) {
-        updateData.firstName = contactData.firstName.trim();
-      }
-
-      // Update lastName if provided
-      if (contactData.lastName && contactData.lastName.trim()) {
-        updateData.lastName = contactData.lastName.trim();
-      }
-
-      // Update gender if provided
-      if (contactData.gender) {
-        updateData.gender = contactData.gender;
-      }
-
-      // Update birthDate if provided
-      if (contactData.birthDate && contactData.birthDate.trim()) {
-        const birthDate = new Date(contactData.birthDate);
-        if (!isNaN(birthDate.getTime()) && birthDate <= new Date()) {
-          updateData.birthDate = birthDate;
-        }
-      }
-
       logger.info('Updating existing contact via opt-in', {
         contactId: contact.id,
         shopId: shop.id,
-        updateData,
-        previousConsent,
+        previousConsent: contact.smsConsent,
+        doubleOptIn,
       });
 
-      contact = await prisma.contact.update({
-        where: { id: contact.id },
-        data: updateData,
-      });
+      contact = await updateOptInContact(contact, contactData);
+      ({ contact, pendingConfirmation } = await applyOptInConsent(
+        shop.id,
+        contact,
+        doubleOptIn,
+        consentContext,
+      ));
 
-      logger.info('Contact updated with SMS consent via opt-in', {
+      logger.info('Contact updated via opt-in', {
         contactId: contact.id,
         shopId: shop.id,
         source,
+        pendingConfirmation,
       });
-
-      // Schedule welcome series if contact just opted in (wasn't opted in before)
-      if (previousConsent !== 'opted_in' && updateData.smsConsent === 'opted_in') {
-        try {
-          const { scheduleWelcomeSeries } = await import(
-            '../services/welcome-series.js'
-          );
-          await scheduleWelcomeSeries(contact.id, shop.id);
-          logger.info('Welcome series scheduled for opted-in contact', {
-            contactId: contact.id,
-            shopId: shop.id,
-          });
-        } catch (welcomeError) {
-          logger.warn('Failed to schedule welcome series', {
-            contactId: contact.id,
-            shopId: shop.id,
-            error: welcomeError.message,
-          });
-        }
-      }
     } else {
-      // Create new contact with SMS consent
+      // Create new contact (unconfirmed until double opt-in completes)
       try {
-        contact = await contactsService.createContact(shop.id, contactData);
+        contact = await contactsService.createContact(
+          shop.id,
+          {
+            ...contactData,
+            smsConsent: doubleOptIn ? 'unknown' : 'opted_in',
+          },
+          consentContext,
+        );
 
         logger.info('Contact created via opt-in', {
           contactId: contact.id,
           shopId: shop.id,
           source,
+          doubleOptIn,
         });
 
-        // Schedule welcome series for new contact
-        try {
-          const { scheduleWelcomeSeries } = await import(
-            '../services/welcome-series.js'
-          );
-          await scheduleWelcomeSeries(contact.id, shop.id);
-          logger.info('Welcome series scheduled for new contact', {
-            contactId: contact.id,
-            shopId: shop.id,
-          });
-        } catch (welcomeError) {
-          // Don't fail opt-in if welcome series scheduling fails
-          logger.warn('Failed to schedule welcome series', {
-            contactId: contact.id,
-            shopId: shop.id,
-            error: welcomeError.message,
+        if (doubleOptIn) {
+          await requestOptInConfirmation(shop.id, contact, {
+            source,
+            ipAddress: consentContext.ipAddress,
+            userAgent: consentContext.userAgent,
           });
+          pendingConfirmation = true;
+        } else {
+          // Schedule welcome series for new contact
+          await scheduleWelcome(contact.id, shop.id);
         }
       } catch (error) {
         // If contact creation fails due to duplicate, try to find and update
@@ -214,61 +278,13 @@ export async function handleOptIn(req, res, next) {
           });
 
           if (contact) {
-            // Update existing contact with new data
-            const updateData = {
-              smsConsent: 'opted_in',
-              updatedAt: new Date(),
-            };
-
-            // Update firstName if provided
-            if (contactData.firstName && contactData.firstName.trim()) {
-              updateData.firstName = contactData.firstName.trim();
-            }
-
-            // Update lastName if provided
-            if (contactData.lastName && contactData.lastName.trim()) {
-              updateData.lastName = contactData.lastName.trim();
-            }
-
-            // Update gender if provided
-            if (contactData.gender) {
-              updateData.gender = contactData.gender;
-            }
-
-            // Update birthDate if provided
-            if (contactData.birthDate && contactData.birthDate.trim()) {
-              const birthDate = new Date(contactData.birthDate);
-              if (!isNaN(birthDate.getTime()) && birthDate <= new Date()) {
-                updateData.birthDate = birthDate;
-              }
-            }
-
-            const previousConsent = contact.smsConsent;
-
-            contact = await prisma.contact.update({
-              where: { id: contact.id },
-              data: updateData,
-            });
-
-            // Schedule welcome series if contact just opted in (wasn't opted in before)
-            if (previousConsent !== 'opted_in' && updateData.smsConsent === 'opted_in') {
-              try {
-                const { scheduleWelcomeSeries } = await import(
-                  '../services/welcome-series.js'
-                );
-                await scheduleWelcomeSeries(contact.id, shop.id);
-                logger.info('Welcome series scheduled for opted-in contact', {
-                  contactId: contact.id,
-                  shopId: shop.id,
-                });
-              } catch (welcomeError) {
-                logger.warn('Failed to schedule welcome series', {
-                  contactId: contact.id,
-                  shopId: shop.id,
-                  error: welcomeError.message,
-                });
-              }
-            }
+            contact = await updateOptInContact(contact, contactData);
+            ({ contact, pendingConfirmation } = await applyOptInConsent(
+              shop.id,
+              contact,
+              doubleOptIn,
+              consentContext,
+            ));
           }
         } else {
           throw error;
@@ -288,8 +304,11 @@ export async function handleOptIn(req, res, next) {
           ? contact.birthDate.toISOString().split('T')[0]
           : null,
         gender: contact.gender,
+        pendingConfirmation,
       },
-      'Successfully opted in to SMS marketing',
+      pendingConfirmation
+        ? 'Please confirm your subscription by replying YES to the SMS we sent'
+        : 'Successfully opted in to SMS marketing',
     );
   } catch (error) {
     // Extract request ID from headers if available
@@ -314,6 +333,59 @@ export async function handleOptIn(req, res, next) {
   }
 }
 
+/**
+ * Get double opt-in confirmation page data (does not confirm)
+ * @route GET /api/opt-in/confirm/:token
+ */
+export async function getConfirmation(req, res, next) {
+  try {
+    const confirmation = await getOptInConfirmation(req.params.token);
+
+    return sendSuccess(res, confirmation);
+  } catch (error) {
+    logger.error('Get opt-in confirmation error', {
+      error: error.message,
+      stack: error.stack,
+      token: `${req.params.token?.substring(0, 20)}...`,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Confirm a double opt-in from the signed SMS link
+ * @route POST /api/opt-in/confirm/:token
+ */
+export async function confirmOptIn(req, res, next) {
+  try {
+    const confirmation = await confirmOptInByToken(req.params.token, {
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
+      userAgent: req.headers['user-agent'] || null,
+    });
+
+    return sendSuccess(
+      res,
+      confirmation,
+      'Your subscription to SMS messages is confirmed',
+    );
+  } catch (error) {
+    logger.error('Confirm opt-in error', {
+      error: error.message,
+      stack: error.stack,
+      token: `${req.params.token?.substring(0, 20)}...`,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
 export default {
   handleOptIn,
+  getConfirmation,
+  confirmOptIn,
 };
@@ -6,7 +6,13 @@ import {
   getAutomationInsights,
   getCreditUsage,
   getContactInsights,
+  getRevenueAttribution,
 } from '../services/reports.js';
+import {
+  createReportExport,
+  getReportExport,
+  openReportExportDownload,
+} from '../services/report-exports.js';
 import prisma from '../services/prisma.js';
 import { sendSuccess } from '../utils/response.js';
 import { NotFoundError } from '../utils/errors.js';
@@ -39,6 +45,12 @@ export async function overview(req, res, next) {
     // Get contact insights
     const contactInsights = await getContactInsights(storeId, { from, to });
 
+    // Get attributed revenue and ROI
+    const revenueAttribution = await getRevenueAttribution(storeId, {
+      from,
+      to,
+    });
+
     return sendSuccess(res, {
       overview: {
         totalCampaigns: kpis.overview.totalCampaigns,
@@ -51,6 +63,7 @@ export async function overview(req, res, next) {
       automationInsights: automationInsights.summary,
       creditUsage: creditUsage.summary,
       contactInsights: contactInsights.summary,
+      revenueAttribution: revenueAttribution.summary,
       recentActivity: kpis.recentActivity,
       health: kpis.health,
       dateRange: {
@@ -498,6 +511,33 @@ export async function credits(req, res, next) {
   }
 }
 
+export async function attribution(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const { from, to } = req.query;
+
+    logger.info('Revenue attribution report requested', { storeId, from, to });
+
+    const revenueAttribution = await getRevenueAttribution(storeId, {
+      from,
+      to,
+    });
+
+    return sendSuccess(res, revenueAttribution);
+  } catch (error) {
+    logger.error('Revenue attribution report error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      query: req.query,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
 export async function kpis(req, res, next) {
   try {
     const storeId = getStoreId(req);
@@ -558,39 +598,20 @@ export async function contacts(req, res, next) {
 export async function exportData(req, res, next) {
   try {
     const storeId = getStoreId(req);
-    const { type = 'overview', format = 'csv' } = req.query;
+    const { type, format, from, to } = req.query;
 
     logger.info('Export requested', { storeId, type, format });
 
-    // Generate export data based on type
-    let exportData = {};
-
-    switch (type) {
-    case 'campaigns':
-      exportData = await getCampaignPerformance(storeId, req.query);
-      break;
-    case 'automations':
-      exportData = await getAutomationInsights(storeId, req.query);
-      break;
-    case 'credits':
-      exportData = await getCreditUsage(storeId, req.query);
-      break;
-    case 'contacts':
-      exportData = await getContactInsights(storeId, req.query);
-      break;
-    default:
-      exportData = await getKPIs(storeId);
-    }
-
-    // For now, return the data directly
-    // In production, you'd generate a file and return a download URL
-    return sendSuccess(res, {
-      exportData,
+    // Files are generated by the report-export worker, poll
+    // GET /reports/exports/:id until a download URL is available
+    const reportExport = await createReportExport(storeId, {
+      type,
       format,
-      reportType: type,
-      generatedAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      from,
+      to,
     });
+
+    return sendSuccess(res, reportExport, 'Export queued', 202);
   } catch (error) {
     logger.error('Export error', {
       error: error.message,
@@ -604,3 +625,63 @@ export async function exportData(req, res, next) {
     next(error);
   }
 }
+
+export async function exportStatus(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const reportExport = await getReportExport(storeId, req.params.id);
+
+    return sendSuccess(res, reportExport);
+  } catch (error) {
+    logger.error('Export status error', {
+      error: error.message,
+      stack: error.stack,
+      storeId: getStoreId(req),
+      exportId: req.params.id,
+      requestId: req.id,
+      path: req.path,
+      method: req.method,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Download an export file through its signed link (public, no store context)
+ * @route GET /exports/:id/download?expires=&signature=
+ */
+export async function downloadExport(req, res, next) {
+  try {
+    const { stream, fileName, contentType, fileSize } =
+      await openReportExportDownload(req.params.id, {
+        expires: req.query.expires,
+        signature: req.query.signature,
+      });
+
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'private, no-store',
+    });
+    if (fileSize) {
+      res.set('Content-Length', String(fileSize));
+    }
+
+    stream.on('error', error => {
+      logger.error('Export download stream error', {
+        exportId: req.params.id,
+        error: error.message,
+        requestId: req.id,
+      });
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.warn('Export download failed', {
+      exportId: req.params.id,
+      error: error.message,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
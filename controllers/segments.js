@@ -0,0 +1,153 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import segmentsService from '../services/segments.js';
+import { sendSuccess, sendCreated } from '../utils/response.js';
+
+/**
+ * Segments Controller
+ * Uses service layer for segment management and rule evaluation
+ */
+
+/**
+ * List segments
+ * @route GET /audiences/segments
+ */
+export async function list(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const segments = await segmentsService.listSegments(storeId);
+
+    return sendSuccess(res, { segments });
+  } catch (error) {
+    logger.error('List segments error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get a single segment
+ * @route GET /audiences/segments/:id
+ */
+export async function getOne(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const segment = await segmentsService.getSegmentById(
+      storeId,
+      req.params.id,
+    );
+
+    return sendSuccess(res, segment);
+  } catch (error) {
+    logger.error('Get segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      segmentId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Create a segment
+ * @route POST /audiences/segments
+ */
+export async function create(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const segment = await segmentsService.createSegment(storeId, req.body);
+
+    return sendCreated(res, segment, 'Segment created successfully');
+  } catch (error) {
+    logger.error('Create segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      body: req.body,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update a segment
+ * @route PUT /audiences/segments/:id
+ */
+export async function update(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const segment = await segmentsService.updateSegment(
+      storeId,
+      req.params.id,
+      req.body,
+    );
+
+    return sendSuccess(res, segment, 'Segment updated successfully');
+  } catch (error) {
+    logger.error('Update segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      segmentId: req.params.id,
+      body: req.body,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Delete a segment
+ * @route DELETE /audiences/segments/:id
+ */
+export async function remove(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    await segmentsService.deleteSegment(storeId, req.params.id);
+
+    return sendSuccess(res, null, 'Segment deleted successfully');
+  } catch (error) {
+    logger.error('Delete segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      segmentId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Preview the audience size of a rule before saving
+ * @route POST /audiences/segments/preview
+ */
+export async function preview(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await segmentsService.previewSegment(
+      storeId,
+      req.body.ruleJson,
+    );
+
+    return sendSuccess(res, result);
+  } catch (error) {
+    logger.error('Preview segment error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  list,
+  getOne,
+  create,
+  update,
+  remove,
+  preview,
+};
@@ -4,6 +4,22 @@ import { getStoreId } from '../middlewares/store-resolution.js';
 import { sendSuccess } from '../utils/response.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
 import * as settingsService from '../services/settings.js';
+import {
+  DEFAULT_CLICK_WINDOW_DAYS,
+  DEFAULT_VIEW_WINDOW_HOURS,
+} from '../services/attribution-rules.js';
+import { getSyncSettings } from '../services/customer-sync-rules.js';
+
+// Shopify customer sync settings with their defaults
+function formatSyncSettings(settings) {
+  const sync = getSyncSettings(settings);
+  return {
+    customerSyncEnabled: sync.enabled,
+    customerSyncConsentMode: sync.consentMode,
+    customerSyncConfirmedOptInOnly: sync.confirmedOptInOnly,
+    customerSyncDeleteContacts: sync.deleteContacts,
+  };
+}
 
 /**
  * Get current user settings
@@ -82,6 +98,26 @@ export async function getSettings(req, res, next) {
       senderName: settings.senderName || null,
       timezone: settings.timezone || 'UTC',
       currency: settings.currency || shop.currency || 'EUR',
+      // Inbound keywords (added on top of built-in STOP/START/HELP)
+      stopKeywords: settings.stopKeywords || [],
+      startKeywords: settings.startKeywords || [],
+      helpKeywords: settings.helpKeywords || [],
+      helpReplyText: settings.helpReplyText || null,
+      smsProvider: settings.smsProvider || null,
+      // Quiet hours (local time in timezone), null = disabled
+      quietHoursStart: settings.quietHoursStart || null,
+      quietHoursEnd: settings.quietHoursEnd || null,
+      // Double opt-in for opt-in form subscribers
+      doubleOptInEnabled: Boolean(settings.doubleOptInEnabled),
+      // Welcome series: discount copied by unique welcome codes
+      welcomeDiscountId: settings.welcomeDiscountId || null,
+      // Revenue attribution windows
+      attributionClickWindowDays:
+        settings.attributionClickWindowDays ?? DEFAULT_CLICK_WINDOW_DAYS,
+      attributionViewWindowHours:
+        settings.attributionViewWindowHours ?? DEFAULT_VIEW_WINDOW_HOURS,
+      // Shopify customer sync
+      ...formatSyncSettings(settings),
       // Additional data
       recentTransactions: shop.billingTransactions,
       usageGuide,
@@ -289,6 +325,30 @@ export async function updateSettings(req, res, next) {
       updateData.currency = normalizedCurrency;
     }
 
+    // Inbound keyword, SMS provider, quiet hours and double opt-in
+    // configuration (validated by the service)
+    for (const field of [
+      'stopKeywords',
+      'startKeywords',
+      'helpKeywords',
+      'helpReplyText',
+      'smsProvider',
+      'quietHoursStart',
+      'quietHoursEnd',
+      'doubleOptInEnabled',
+      'welcomeDiscountId',
+      'attributionClickWindowDays',
+      'attributionViewWindowHours',
+      'customerSyncEnabled',
+      'customerSyncConsentMode',
+      'customerSyncConfirmedOptInOnly',
+      'customerSyncDeleteContacts',
+    ]) {
+      if (settingsData[field] !== undefined) {
+        updateData[field] = settingsData[field];
+      }
+    }
+
     // Update settings
     const updatedSettings = await settingsService.updateSettings(
       shopId,
@@ -310,6 +370,18 @@ export async function updateSettings(req, res, next) {
         senderName: updatedSettings.senderName || null,
         timezone: updatedSettings.timezone || 'UTC',
         currency: updatedSettings.currency || 'EUR',
+        stopKeywords: updatedSettings.stopKeywords || [],
+        startKeywords: updatedSettings.startKeywords || [],
+        helpKeywords: updatedSettings.helpKeywords || [],
+        helpReplyText: updatedSettings.helpReplyText || null,
+        smsProvider: updatedSettings.smsProvider || null,
+        quietHoursStart: updatedSettings.quietHoursStart || null,
+        quietHoursEnd: updatedSettings.quietHoursEnd || null,
+        doubleOptInEnabled: Boolean(updatedSettings.doubleOptInEnabled),
+        welcomeDiscountId: updatedSettings.welcomeDiscountId || null,
+        attributionClickWindowDays: updatedSettings.attributionClickWindowDays,
+        attributionViewWindowHours: updatedSettings.attributionViewWindowHours,
+        ...formatSyncSettings(updatedSettings),
         updatedAt: updatedSettings.updatedAt,
       },
       'Settings updated successfully',
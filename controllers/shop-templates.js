@@ -0,0 +1,327 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import shopTemplatesService from '../services/shop-templates.js';
+import { sendSuccess, sendCreated, sendPaginated } from '../utils/response.js';
+
+/**
+ * Shop Templates Controller
+ * The shop's own templates, their folders and version history
+ */
+
+function logError(message, req, error, extra = {}) {
+  logger.error(message, {
+    error: error.message,
+    storeId: getStoreId(req),
+    ...extra,
+    requestId: req.id,
+  });
+}
+
+/**
+ * List template folders
+ * @route GET /shop-templates/folders
+ */
+export async function listFolders(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const folders = await shopTemplatesService.listFolders(storeId);
+
+    return sendSuccess(res, folders);
+  } catch (error) {
+    logError('List template folders error', req, error);
+    next(error);
+  }
+}
+
+/**
+ * Create a template folder
+ * @route POST /shop-templates/folders
+ */
+export async function createFolder(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const folder = await shopTemplatesService.createFolder(storeId, req.body);
+
+    return sendCreated(res, folder, 'Folder created successfully');
+  } catch (error) {
+    logError('Create template folder error', req, error);
+    next(error);
+  }
+}
+
+/**
+ * Rename a template folder
+ * @route PUT /shop-templates/folders/:folderId
+ */
+export async function renameFolder(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const folder = await shopTemplatesService.renameFolder(
+      storeId,
+      req.params.folderId,
+      req.body,
+    );
+
+    return sendSuccess(res, folder, 'Folder renamed successfully');
+  } catch (error) {
+    logError('Rename template folder error', req, error, { folderId: req.params.folderId });
+    next(error);
+  }
+}
+
+/**
+ * Delete a template folder (its templates become unfiled)
+ * @route DELETE /shop-templates/folders/:folderId
+ */
+export async function deleteFolder(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    await shopTemplatesService.deleteFolder(storeId, req.params.folderId);
+
+    return sendSuccess(res, null, 'Folder deleted successfully');
+  } catch (error) {
+    logError('Delete template folder error', req, error, { folderId: req.params.folderId });
+    next(error);
+  }
+}
+
+/**
+ * List the shop's templates
+ * @route GET /shop-templates
+ */
+export async function listTemplates(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await shopTemplatesService.listShopTemplates(storeId, req.query);
+
+    return sendPaginated(res, result.templates, result.pagination, {
+      templates: result.templates,
+      categories: result.categories,
+    });
+  } catch (error) {
+    logError('List shop templates error', req, error, { query: req.query });
+    next(error);
+  }
+}
+
+/**
+ * Get a shop template
+ * @route GET /shop-templates/:id
+ */
+export async function getTemplate(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const template = await shopTemplatesService.getShopTemplate(storeId, req.params.id);
+
+    return sendSuccess(res, template);
+  } catch (error) {
+    logError('Get shop template error', req, error, { templateId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Create a shop template
+ * @route POST /shop-templates
+ */
+export async function createTemplate(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const template = await shopTemplatesService.createShopTemplate(storeId, req.body);
+
+    return sendCreated(res, template, 'Template created successfully');
+  } catch (error) {
+    logError('Create shop template error', req, error);
+    next(error);
+  }
+}
+
+/**
+ * Fork a library template into the shop
+ * @route POST /shop-templates/fork
+ */
+export async function forkTemplate(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const template = await shopTemplatesService.forkTemplate(storeId, req.body);
+
+    return sendCreated(res, template, 'Template forked successfully');
+  } catch (error) {
+    logError('Fork template error', req, error, { templateId: req.body?.templateId });
+    next(error);
+  }
+}
+
+/**
+ * Update a shop template
+ * @route PUT /shop-templates/:id
+ */
+export async function updateTemplate(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const template = await shopTemplatesService.updateShopTemplate(
+      storeId,
+      req.params.id,
+      req.body,
+    );
+
+    return sendSuccess(res, template, 'Template updated successfully');
+  } catch (error) {
+    logError('Update shop template error', req, error, { templateId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Delete a shop template
+ * @route DELETE /shop-templates/:id
+ */
+export async function deleteTemplate(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    await shopTemplatesService.deleteShopTemplate(storeId, req.params.id);
+
+    return sendSuccess(res, null, 'Template deleted successfully');
+  } catch (error) {
+    logError('Delete shop template error', req, error, { templateId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * List the versions of a shop template
+ * @route GET /shop-templates/:id/versions
+ */
+export async function listVersions(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await shopTemplatesService.listVersions(storeId, req.params.id, req.query);
+
+    return sendPaginated(res, result.versions, result.pagination, {
+      versions: result.versions,
+    });
+  } catch (error) {
+    logError('List template versions error', req, error, { templateId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Get a version of a shop template
+ * @route GET /shop-templates/:id/versions/:version
+ */
+export async function getVersion(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const version = await shopTemplatesService.getVersion(
+      storeId,
+      req.params.id,
+      req.params.version,
+    );
+
+    return sendSuccess(res, version);
+  } catch (error) {
+    logError('Get template version error', req, error, {
+      templateId: req.params.id,
+      version: req.params.version,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Compare two versions of a shop template
+ * @route GET /shop-templates/:id/diff
+ */
+export async function diffVersions(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const diff = await shopTemplatesService.diffTemplateVersions(
+      storeId,
+      req.params.id,
+      req.query,
+    );
+
+    return sendSuccess(res, diff);
+  } catch (error) {
+    logError('Diff template versions error', req, error, {
+      templateId: req.params.id,
+      query: req.query,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Restore a version of a shop template
+ * @route POST /shop-templates/:id/versions/:version/restore
+ */
+export async function restoreVersion(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const template = await shopTemplatesService.restoreVersion(
+      storeId,
+      req.params.id,
+      req.params.version,
+    );
+
+    return sendSuccess(res, template, 'Template version restored successfully');
+  } catch (error) {
+    logError('Restore template version error', req, error, {
+      templateId: req.params.id,
+      version: req.params.version,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Compare a forked template with its library template
+ * @route GET /shop-templates/:id/source-diff
+ */
+export async function getSourceDiff(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const diff = await shopTemplatesService.getSourceDiff(storeId, req.params.id);
+
+    return sendSuccess(res, diff);
+  } catch (error) {
+    logError('Template source diff error', req, error, { templateId: req.params.id });
+    next(error);
+  }
+}
+
+/**
+ * Pull the latest library template into a forked template
+ * @route POST /shop-templates/:id/source-sync
+ */
+export async function syncWithSource(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const template = await shopTemplatesService.syncWithSource(storeId, req.params.id);
+
+    return sendSuccess(res, template, 'Template updated from the library');
+  } catch (error) {
+    logError('Template source sync error', req, error, { templateId: req.params.id });
+    next(error);
+  }
+}
+
+export default {
+  listFolders,
+  createFolder,
+  renameFolder,
+  deleteFolder,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  forkTemplate,
+  updateTemplate,
+  deleteTemplate,
+  listVersions,
+  getVersion,
+  diffVersions,
+  restoreVersion,
+  getSourceDiff,
+  syncWithSource,
+};
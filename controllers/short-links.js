@@ -0,0 +1,37 @@
+import { logger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import { resolveShortLinkClick } from '../services/short-links.js';
+
+/**
+ * Redirect a short link to its target URL
+ * @route GET /s/:code
+ */
+export async function redirectShortLink(req, res, next) {
+  try {
+    const { code } = req.params;
+
+    const targetUrl = await resolveShortLinkClick(code, {
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
+      userAgent: req.headers['user-agent'] || null,
+    });
+
+    if (!targetUrl) {
+      throw new NotFoundError('Short link');
+    }
+
+    // Clicks must reach the server every time to be counted
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, targetUrl);
+  } catch (error) {
+    logger.warn('Short link redirect failed', {
+      code: req.params.code,
+      error: error.message,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  redirectShortLink,
+};
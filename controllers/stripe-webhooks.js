@@ -5,6 +5,9 @@ import {
 } from '../services/stripe.js';
 import billingService from '../services/billing.js';
 import { credit } from '../services/wallet.js';
+import { CreditLotSource } from '../services/credit-lot-rules.js';
+import { issueInvoice } from '../services/invoices.js';
+import { InvoiceType } from '../services/invoice-rules.js';
 import {
   activateSubscription,
   allocateFreeCredits,
@@ -16,6 +19,9 @@ import { sendSuccess } from '../utils/response.js';
 import { ValidationError } from '../utils/errors.js';
 import { PaymentStatus } from '../utils/prismaEnums.js';
 
+// Stripe invoices that pay a subscription period
+const SUBSCRIPTION_BILLING_REASONS = ['subscription_create', 'subscription_cycle'];
+
 const stripe = process.env.STRIPE_SECRET_KEY
   ? new Stripe(process.env.STRIPE_SECRET_KEY, {
     apiVersion: '2024-06-20',
@@ -350,6 +356,7 @@ async function handleCheckoutSessionCompletedForTopup(session) {
             priceEur,
             purchasedAt: new Date().toISOString(),
           },
+          lot: { source: CreditLotSource.purchase },
         },
         tx,
       );
@@ -372,6 +379,22 @@ async function handleCheckoutSessionCompletedForTopup(session) {
     );
     throw err;
   }
+
+  await issueInvoice({
+    shopId,
+    sourceKey: `topup:${session.id}`,
+    type: InvoiceType.credits,
+    description: `Top-up of ${credits} SMS credits`,
+    credits,
+    currency: session.currency || 'EUR',
+    totalCents: actualAmountCents,
+    // VAT the price was computed with at checkout
+    vat: metadata.vatTreatment
+      ? { rate: Number(metadata.vatRate), treatment: metadata.vatTreatment }
+      : undefined,
+    stripeSessionId: session.id,
+    stripePaymentIntentId: session.payment_intent || null,
+  });
 }
 
 /**
@@ -456,6 +479,52 @@ async function handlePaymentIntentFailed(paymentIntent) {
   }
 }
 
+/**
+ * Issue our invoice for a paid subscription period (first and renewals)
+ * The subscription metadata carries the shop, as the first invoice can be
+ * paid before checkout.session.completed stores the Stripe customer.
+ */
+async function issueSubscriptionInvoice(invoice) {
+  if (!SUBSCRIPTION_BILLING_REASONS.includes(invoice.billing_reason)) {
+    return;
+  }
+
+  const metadata = invoice.subscription_details?.metadata || {};
+  const shop = await prisma.shop.findFirst({
+    where: metadata.shopId
+      ? { id: metadata.shopId }
+      : { stripeCustomerId: invoice.customer },
+    select: { id: true, planType: true },
+  });
+  if (!shop) {
+    logger.warn(
+      { invoiceId: invoice.id, customerId: invoice.customer },
+      'Shop not found for subscription invoice',
+    );
+    return;
+  }
+
+  const planType = metadata.planType || shop.planType;
+  const period = invoice.lines?.data?.[0]?.period;
+  const periodStart = period?.start || invoice.period_start;
+  const periodEnd = period?.end || invoice.period_end;
+
+  await issueInvoice({
+    shopId: shop.id,
+    sourceKey: `subscription:${invoice.id}`,
+    type: InvoiceType.subscription,
+    description: planType
+      ? `${planType.charAt(0).toUpperCase()}${planType.slice(1)} plan subscription`
+      : 'Subscription',
+    currency: invoice.currency || 'EUR',
+    totalCents: invoice.amount_paid,
+    periodStart: periodStart ? new Date(periodStart * 1000) : null,
+    periodEnd: periodEnd ? new Date(periodEnd * 1000) : null,
+    stripeInvoiceId: invoice.id,
+    stripePaymentIntentId: invoice.payment_intent || null,
+  });
+}
+
 /**
  * Handle invoice.payment_succeeded event
  * This is fired for subscription renewals
@@ -466,6 +535,8 @@ async function handleInvoicePaymentSucceeded(invoice) {
     'Processing invoice payment succeeded',
   );
 
+  await issueSubscriptionInvoice(invoice);
+
   // Skip subscription_create invoices - they are handled by checkout.session.completed
   // This prevents race conditions where invoice.payment_succeeded fires before checkout.session.completed
   if (invoice.billing_reason === 'subscription_create') {
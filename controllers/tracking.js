@@ -1,5 +1,5 @@
 import prisma from '../services/prisma.js';
-import { getMessageStatus } from '../services/mitto.js';
+import { getProviderForShop } from '../services/sms-provider.js';
 import { logger } from '../utils/logger.js';
 import { getStoreId } from '../middlewares/store-resolution.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
@@ -46,9 +46,10 @@ export async function getMittoMessageStatus(req, res, next) {
       throw new NotFoundError('Message');
     }
 
-    // Fetch latest status from Mitto API
+    // Fetch latest status from the shop's SMS provider
     try {
-      const mittoStatus = await getMessageStatus(messageId);
+      const provider = await getProviderForShop(storeId);
+      const mittoStatus = await provider.getStatus(messageId);
 
       // Update database with latest status if it changed
       if (mittoStatus.deliveryStatus !== messageLog.deliveryStatus) {
@@ -215,10 +216,11 @@ export async function bulkUpdateDeliveryStatus(req, res, next) {
     const results = [];
 
     const storeId = getStoreId(req); // ✅ Security: Get store ID
+    const provider = await getProviderForShop(storeId);
 
     for (const messageId of messageIds) {
       try {
-        const mittoStatus = await getMessageStatus(messageId);
+        const mittoStatus = await provider.getStatus(messageId);
 
         // ✅ Security: Update message log with shopId validation
         await prisma.messageLog.updateMany({
@@ -3,7 +3,8 @@ import { sendSuccess } from '../utils/response.js';
 import { NotFoundError, ValidationError } from '../utils/errors.js';
 import { verifyUnsubscribeToken } from '../utils/unsubscribe.js';
 import prisma from '../services/prisma.js';
-import contactsService from '../services/contacts.js';
+import { setContactConsent, ConsentSource } from '../services/consent.js';
+import { cancelAutomationsForContact } from '../services/automation-scheduler.js';
 
 /**
  * Get unsubscribe page data (verify token and get contact/store info)
@@ -86,7 +87,22 @@ export async function getUnsubscribeInfo(req, res, next) {
 
       // Create click events for each campaign (avoid duplicates)
       if (recentRecipients.length > 0) {
-        const clickEvents = recentRecipients.map(recipient => ({
+        // One unsubscribe click per campaign recipient
+        const earlierClicks = await prisma.clickEvent.findMany({
+          where: { recipientId: { in: recentRecipients.map(r => r.id) } },
+          select: { recipientId: true, linkType: true },
+        });
+        const trackedIds = new Set(
+          earlierClicks
+            .filter(event => event.linkType === 'unsubscribe')
+            .map(event => event.recipientId),
+        );
+        const clickerIds = new Set(earlierClicks.map(event => event.recipientId));
+        const untrackedRecipients = recentRecipients.filter(
+          recipient => !trackedIds.has(recipient.id),
+        );
+
+        const clickEvents = untrackedRecipients.map(recipient => ({
           campaignId: recipient.campaignId,
           recipientId: recipient.id,
           contactId,
@@ -96,22 +112,29 @@ export async function getUnsubscribeInfo(req, res, next) {
           userAgent: req.headers['user-agent'] || null,
         }));
 
-        // Use createMany with skipDuplicates to avoid duplicate clicks
         await prisma.clickEvent.createMany({
           data: clickEvents,
-          skipDuplicates: true, // Skip if same campaign+recipient+linkType already exists
         });
 
-        // Update campaign metrics (increment totalClicked)
-        const campaignIds = [...new Set(recentRecipients.map(r => r.campaignId))];
-        await prisma.campaignMetrics.updateMany({
-          where: {
-            campaignId: { in: campaignIds },
-          },
-          data: {
-            totalClicked: { increment: 1 },
-          },
-        });
+        // totalClicked counts people: only campaigns the contact had not
+        // clicked in yet
+        const campaignIds = [
+          ...new Set(
+            recentRecipients
+              .filter(recipient => !clickerIds.has(recipient.id))
+              .map(r => r.campaignId),
+          ),
+        ];
+        if (campaignIds.length > 0) {
+          await prisma.campaignMetrics.updateMany({
+            where: {
+              campaignId: { in: campaignIds },
+            },
+            data: {
+              totalClicked: { increment: 1 },
+            },
+          });
+        }
 
         logger.debug('Click events tracked', {
           contactId,
@@ -190,11 +213,17 @@ export async function processUnsubscribe(req, res, next) {
       throw new NotFoundError('Contact');
     }
 
-    // Update contact SMS consent to opted_out
-    await contactsService.updateContact(shopId, contactId, {
-      smsConsent: 'opted_out',
+    // Update contact SMS consent to opted_out (audited in ConsentEvent)
+    const { changed } = await setContactConsent(shopId, contactId, 'opted_out', {
+      source: ConsentSource.unsubscribe_link,
+      ipAddress: req.ip || req.headers['x-forwarded-for'] || null,
+      userAgent: req.headers['user-agent'] || null,
     });
 
+    if (changed) {
+      await cancelAutomationsForContact(shopId, contactId);
+    }
+
     logger.info('Contact unsubscribed successfully', {
       contactId,
       shopId,
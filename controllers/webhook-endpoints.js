@@ -0,0 +1,233 @@
+import { getStoreId } from '../middlewares/store-resolution.js';
+import { logger } from '../utils/logger.js';
+import webhooksService from '../services/webhooks.js';
+import { SUBSCRIBABLE_EVENTS, ALL_EVENTS } from '../services/webhook-events.js';
+import { sendSuccess, sendCreated, sendPaginated } from '../utils/response.js';
+
+/**
+ * Webhook Endpoints Controller
+ * Merchant endpoints receiving signed messaging events
+ */
+
+/**
+ * List the event types endpoints can subscribe to
+ * @route GET /webhook-endpoints/events
+ */
+export async function listEvents(req, res) {
+  return sendSuccess(res, { events: SUBSCRIBABLE_EVENTS, all: ALL_EVENTS });
+}
+
+/**
+ * List webhook endpoints
+ * @route GET /webhook-endpoints
+ */
+export async function list(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const endpoints = await webhooksService.listEndpoints(storeId);
+
+    return sendSuccess(res, { endpoints });
+  } catch (error) {
+    logger.error('List webhook endpoints error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Get a webhook endpoint
+ * @route GET /webhook-endpoints/:id
+ */
+export async function getOne(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const endpoint = await webhooksService.getEndpointById(storeId, req.params.id);
+
+    return sendSuccess(res, endpoint);
+  } catch (error) {
+    logger.error('Get webhook endpoint error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      endpointId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Register a webhook endpoint
+ * @route POST /webhook-endpoints
+ */
+export async function create(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const endpoint = await webhooksService.createEndpoint(storeId, req.body);
+
+    return sendCreated(
+      res,
+      endpoint,
+      'Webhook endpoint created. Store the signing secret now, it will not be shown again.',
+    );
+  } catch (error) {
+    logger.error('Create webhook endpoint error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      body: req.body,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Update a webhook endpoint
+ * @route PUT /webhook-endpoints/:id
+ */
+export async function update(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const endpoint = await webhooksService.updateEndpoint(
+      storeId,
+      req.params.id,
+      req.body,
+    );
+
+    return sendSuccess(res, endpoint, 'Webhook endpoint updated successfully');
+  } catch (error) {
+    logger.error('Update webhook endpoint error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      endpointId: req.params.id,
+      body: req.body,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Delete a webhook endpoint
+ * @route DELETE /webhook-endpoints/:id
+ */
+export async function remove(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    await webhooksService.deleteEndpoint(storeId, req.params.id);
+
+    return sendSuccess(res, null, 'Webhook endpoint deleted successfully');
+  } catch (error) {
+    logger.error('Delete webhook endpoint error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      endpointId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Rotate the signing secret of an endpoint
+ * @route POST /webhook-endpoints/:id/rotate-secret
+ */
+export async function rotateSecret(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const endpoint = await webhooksService.rotateEndpointSecret(
+      storeId,
+      req.params.id,
+    );
+
+    return sendSuccess(res, endpoint, 'Signing secret rotated');
+  } catch (error) {
+    logger.error('Rotate webhook secret error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      endpointId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Send a test event to an endpoint
+ * @route POST /webhook-endpoints/:id/test
+ */
+export async function sendTest(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const delivery = await webhooksService.sendTestEvent(storeId, req.params.id);
+
+    return sendSuccess(res, delivery, 'Test event queued', 202);
+  } catch (error) {
+    logger.error('Send webhook test event error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      endpointId: req.params.id,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Delivery log
+ * @route GET /webhook-endpoints/deliveries
+ */
+export async function listDeliveries(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const result = await webhooksService.listDeliveries(storeId, req.query);
+
+    return sendPaginated(res, result.deliveries, result.pagination, {
+      deliveries: result.deliveries,
+    });
+  } catch (error) {
+    logger.error('List webhook deliveries error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      query: req.query,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+/**
+ * Send a delivery again
+ * @route POST /webhook-endpoints/deliveries/:deliveryId/redeliver
+ */
+export async function redeliver(req, res, next) {
+  try {
+    const storeId = getStoreId(req);
+    const delivery = await webhooksService.redeliver(storeId, req.params.deliveryId);
+
+    return sendSuccess(res, delivery, 'Delivery queued', 202);
+  } catch (error) {
+    logger.error('Redeliver webhook error', {
+      error: error.message,
+      storeId: getStoreId(req),
+      deliveryId: req.params.deliveryId,
+      requestId: req.id,
+    });
+    next(error);
+  }
+}
+
+export default {
+  listEvents,
+  list,
+  getOne,
+  create,
+  update,
+  remove,
+  rotateSecret,
+  sendTest,
+  listDeliveries,
+  redeliver,
+};
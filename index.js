@@ -9,6 +9,8 @@ import {
   startPeriodicStatusUpdates,
   startScheduledCampaignsProcessor,
   startBirthdayAutomationScheduler,
+  startWalletMaintenanceScheduler,
+  startComplianceScheduler,
 } from './services/scheduler.js';
 import { startEventPoller } from './workers/event-poller.js';
 
@@ -42,6 +44,12 @@ const server = app.listen(PORT, () => {
 
   // Start birthday automation scheduler (runs daily at midnight UTC)
   startBirthdayAutomationScheduler();
+
+  // Start wallet maintenance (hourly credit lot expiry, daily reconciliation)
+  startWalletMaintenanceScheduler();
+
+  // Start compliance scheduler (hourly purge of uninstalled shops)
+  startComplianceScheduler();
 });
 
 // Graceful shutdown handler
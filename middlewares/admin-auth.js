@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { authenticateSession } from '../services/admin-auth.js';
+import {
+  ADMIN_SESSION_PREFIX,
+  AdminAuthMethod,
+  AdminRole,
+  hasPermission,
+} from '../services/admin-rules.js';
+
+/**
+ * Admin Authentication Middleware
+ * The /admin API is authenticated with an admin session token
+ * (Authorization: Bearer as_..., see services/admin-auth.js) or with the
+ * ADMIN_API_TOKEN shared secret, never with a shop session or API key.
+ * The shared secret acts as a super admin; its X-Admin-Actor header names
+ * the support agent for audit records.
+ */
+
+const ADMIN_TOKEN_HEADER = 'x-admin-token';
+const ADMIN_ACTOR_HEADER = 'x-admin-actor';
+
+function tokensMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function unauthorized(res, message, code) {
+  return res.status(401).json({
+    success: false,
+    error: 'Unauthorized',
+    message,
+    code,
+  });
+}
+
+function getSessionToken(req) {
+  const authorization = req.get('authorization');
+  if (typeof authorization === 'string' && authorization.startsWith('Bearer ')) {
+    const token = authorization.slice('Bearer '.length).trim();
+    if (token.startsWith(ADMIN_SESSION_PREFIX)) {
+      return token;
+    }
+  }
+  return null;
+}
+
+/**
+ * Require an admin
+ * Sets req.admin = { actor, adminUserId, role, method, sessionId, ip }
+ */
+export async function requireAdmin(req, res, next) {
+  try {
+    const sessionToken = getSessionToken(req);
+    if (sessionToken) {
+      const session = await authenticateSession(sessionToken);
+      if (!session) {
+        logger.warn('Invalid admin session', { path: req.originalUrl, ip: req.ip });
+        return unauthorized(res, 'The admin session is invalid or expired.', 'INVALID_ADMIN_SESSION');
+      }
+
+      req.admin = {
+        actor: session.adminUser.email,
+        adminUserId: session.adminUser.id,
+        role: session.adminUser.role,
+        method: session.method,
+        sessionId: session.sessionId,
+        ip: req.ip,
+      };
+      return next();
+    }
+
+    const expected = process.env.ADMIN_API_TOKEN;
+    const provided = req.get(ADMIN_TOKEN_HEADER);
+    if (!provided) {
+      return unauthorized(res, 'Admin authentication is required.', 'ADMIN_AUTH_REQUIRED');
+    }
+    if (!expected) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin API disabled',
+        message: 'ADMIN_API_TOKEN is not configured.',
+        code: 'ADMIN_API_DISABLED',
+      });
+    }
+    if (!tokensMatch(provided, expected)) {
+      logger.warn('Invalid admin token', { path: req.originalUrl, ip: req.ip });
+      return unauthorized(res, 'A valid admin token is required.', 'INVALID_ADMIN_TOKEN');
+    }
+
+    req.admin = {
+      actor: req.get(ADMIN_ACTOR_HEADER)?.trim().slice(0, 200) || 'admin-token',
+      adminUserId: null,
+      role: AdminRole.superAdmin,
+      method: AdminAuthMethod.token,
+      sessionId: null,
+      ip: req.ip,
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Require a permission of the authenticated admin (after requireAdmin)
+ * @param {string} permission - AdminPermission
+ */
+export function requireAdminPermission(permission) {
+  return (req, res, next) => {
+    if (!hasPermission(req.admin?.role, permission)) {
+      logger.warn('Admin permission denied', {
+        actor: req.admin?.actor,
+        role: req.admin?.role,
+        permission,
+        path: req.originalUrl,
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `This action needs the ${permission} permission.`,
+        code: 'ADMIN_PERMISSION_DENIED',
+        requiredPermission: permission,
+      });
+    }
+    next();
+  };
+}
+
+export default {
+  requireAdmin,
+  requireAdminPermission,
+};
@@ -1,5 +1,6 @@
 import rateLimit from 'express-rate-limit';
 import { getStoreId } from './store-resolution.js';
+import { DEFAULT_RATE_LIMIT_PER_MINUTE } from '../services/api-key-rules.js';
 
 /**
  * Rate Limiting Configuration
@@ -147,6 +148,35 @@ export const rlReportsExport = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * API key rate limit
+ * Each key has its own budget (rateLimitPerMinute), applied on top of the
+ * per-store limits. Requests authenticated otherwise are not counted.
+ */
+export const apiKeyRateLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: req =>
+    req.ctx?.apiKey?.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+  keyGenerator: req => `apikey:${req.ctx.apiKey.id}`,
+  skip: req => !req.ctx?.apiKey,
+  handler: standardHandler,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Admin sign-in rate limit
+ * 10 attempts per 15 minutes per IP (there is no store to key on)
+ */
+export const adminLoginRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: req => `admin-login:${req.ip}`,
+  handler: standardHandler,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 export default {
   generalRateLimit,
   strictRateLimit,
@@ -158,4 +188,6 @@ export default {
   rlReportsOverview,
   rlReportsGeneral,
   rlReportsExport,
+  apiKeyRateLimit,
+  adminLoginRateLimit,
 };
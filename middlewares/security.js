@@ -215,6 +215,16 @@ export const validateContentType = (req, res, next) => {
       return next();
     }
 
+    // File uploads streamed as the raw request body
+    const csvUploadRoutes = ['/contacts/imports'];
+    if (
+      csvUploadRoutes.includes(req.path) &&
+      contentType &&
+      contentType.includes('text/csv')
+    ) {
+      return next();
+    }
+
     if (!contentType || !contentType.includes('application/json')) {
       return res.status(400).json({
         error: 'invalid_content_type',
@@ -227,15 +237,17 @@ export const validateContentType = (req, res, next) => {
 };
 
 // Request size validation
-export const validateRequestSize = (maxSize = 1024 * 1024) => {
+// pathLimits: { [path]: maxSize } for routes accepting larger uploads
+export const validateRequestSize = (maxSize = 1024 * 1024, pathLimits = {}) => {
   // 1MB default
   return (req, res, next) => {
     const contentLength = parseInt(req.headers['content-length'] || '0');
+    const limit = pathLimits[req.path] ?? maxSize;
 
-    if (contentLength > maxSize) {
+    if (contentLength > limit) {
       return res.status(413).json({
         error: 'request_too_large',
-        message: `Request size exceeds ${maxSize} bytes`,
+        message: `Request size exceeds ${limit} bytes`,
       });
     }
 
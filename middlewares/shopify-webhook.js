@@ -67,10 +67,12 @@ function verifyShopifyWebhookSignature(req) {
     .digest('base64');
 
   // Compare HMACs (use timing-safe comparison to prevent timing attacks)
-  const isValid = crypto.timingSafeEqual(
-    Buffer.from(calculatedHmac),
-    Buffer.from(hmacHeader),
-  );
+  // timingSafeEqual throws on buffers of different length
+  const calculatedBuffer = Buffer.from(calculatedHmac);
+  const receivedBuffer = Buffer.from(hmacHeader);
+  const isValid =
+    calculatedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(calculatedBuffer, receivedBuffer);
 
   if (!isValid) {
     logger.warn('Shopify webhook signature verification failed', {
@@ -6,6 +6,16 @@ import {
   verifyShopifySessionToken,
   generateAppToken,
 } from '../services/auth.js';
+import { authenticateApiKey } from '../services/api-keys.js';
+import {
+  extractApiKey,
+  getRequestScope,
+  hasScope,
+} from '../services/api-key-rules.js';
+import {
+  isImpersonationToken,
+  isReadOnlyMethod,
+} from '../services/admin-rules.js';
 
 /**
  * Store Resolution Middleware - Single Source of Truth
@@ -14,17 +24,114 @@ import {
  * all subsequent operations are scoped to the correct store (tenant).
  *
  * Sources (in order of precedence):
+ * 0. Shop API key (Authorization: Bearer ak_... or X-Api-Key) - server-to-server
  * 1. JWT Token (Authorization: Bearer <token>) - App JWT or Shopify session token
  * 2. Shopify headers with shop domain
  * 3. App installation context
  * 4. Explicit store ID in headers (for internal services)
+ *
+ * App JWTs issued to platform admins for impersonation (see
+ * services/admin-shops.js) resolve the shop like any app JWT but only allow
+ * read requests. Suspended shops are rejected by requireStore.
+ */
+
+function buildStoreContext(store) {
+  return {
+    id: store.id,
+    shopDomain: store.shopDomain,
+    credits: store.credits,
+    currency: store.settings?.currency || 'EUR',
+    timezone: store.settings?.timezone || 'UTC',
+    senderNumber: store.settings?.senderNumber,
+    senderName: store.settings?.senderName,
+    settings: store.settings,
+    suspendedAt: store.suspendedAt || null,
+    createdAt: store.createdAt,
+    updatedAt: store.updatedAt,
+  };
+}
+
+/**
+ * Authenticate a request made with a shop API key
+ * Keys only reach the routes their scopes cover, resolved from the full
+ * request URL (see services/api-key-rules.js); per-key rate limits are
+ * applied by apiKeyRateLimit.
  */
+async function resolveApiKeyStore(req, res, next, key) {
+  const apiKey = await authenticateApiKey(key, { ip: req.ip });
+  if (!apiKey) {
+    logger.warn('Invalid API key', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key',
+      message: 'The API key is invalid, expired or revoked.',
+      code: 'INVALID_API_KEY',
+    });
+  }
+
+  const requiredScope = getRequestScope(req.originalUrl, req.method);
+  if (!requiredScope) {
+    logger.warn('API key used on an unsupported route', {
+      storeId: apiKey.shopId,
+      apiKeyId: apiKey.id,
+      method: req.method,
+      path: req.originalUrl,
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'API key not supported',
+      message: 'This endpoint cannot be used with an API key.',
+      code: 'API_KEY_NOT_SUPPORTED',
+    });
+  }
+  if (!hasScope(apiKey.scopes, requiredScope)) {
+    logger.warn('API key scope denied', {
+      storeId: apiKey.shopId,
+      apiKeyId: apiKey.id,
+      method: req.method,
+      path: req.originalUrl,
+      requiredScope,
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient scope',
+      message: `This API key needs the ${requiredScope} scope.`,
+      code: 'INSUFFICIENT_SCOPE',
+      requiredScope,
+    });
+  }
+
+  req.ctx = {
+    store: buildStoreContext(apiKey.shop),
+    apiKey: {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes,
+      rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    },
+  };
+  req.logger = logger;
+
+  logger.debug('Store resolved from API key', {
+    storeId: apiKey.shopId,
+    apiKeyId: apiKey.id,
+  });
+
+  next();
+}
 
 export async function resolveStore(req, res, next) {
   try {
+    // Method 0: Shop API key (server-to-server access)
+    const apiKey = extractApiKey(req.headers);
+    if (apiKey) {
+      return await resolveApiKeyStore(req, res, next, apiKey);
+    }
+
     let storeId = null;
     let shopDomain = null;
     let store = null;
+    let impersonation = null;
 
     // Method 1: JWT Token Authentication (PRIORITY METHOD)
     // Check Authorization header for Bearer token
@@ -37,6 +144,12 @@ export async function resolveStore(req, res, next) {
       try {
         // Try to verify as our app JWT token first
         const decoded = verifyAppToken(token);
+        if (isImpersonationToken(decoded)) {
+          impersonation = {
+            actor: decoded.actor,
+            adminUserId: decoded.adminUserId || null,
+          };
+        }
 
         if (decoded.storeId) {
           storeId = decoded.storeId;
@@ -373,20 +486,32 @@ export async function resolveStore(req, res, next) {
       });
     }
 
+    if (impersonation) {
+      if (!isReadOnlyMethod(req.method)) {
+        logger.warn('Write blocked during impersonation', {
+          storeId,
+          actor: impersonation.actor,
+          method: req.method,
+          path: req.originalUrl,
+        });
+        return res.status(403).json({
+          success: false,
+          error: 'Read-only session',
+          message: 'Impersonation sessions cannot make changes.',
+          code: 'IMPERSONATION_READ_ONLY',
+        });
+      }
+      logger.info('Impersonated request', {
+        storeId,
+        actor: impersonation.actor,
+        path: req.originalUrl,
+      });
+    }
+
     // Attach store context to request
     req.ctx = {
-      store: {
-        id: store.id,
-        shopDomain: store.shopDomain,
-        credits: store.credits,
-        currency: store.settings?.currency || 'EUR',
-        timezone: store.settings?.timezone || 'UTC',
-        senderNumber: store.settings?.senderNumber,
-        senderName: store.settings?.senderName,
-        settings: store.settings,
-        createdAt: store.createdAt,
-        updatedAt: store.updatedAt,
-      },
+      store: buildStoreContext(store),
+      ...(impersonation && { impersonation }),
     };
 
     // Add store context to logger for this request
@@ -423,6 +548,15 @@ export function requireStore(req, res, next) {
       code: 'STORE_CONTEXT_REQUIRED',
     });
   }
+  // Admins impersonating a suspended shop can still look at it
+  if (req.ctx.store.suspendedAt && !req.ctx.impersonation) {
+    return res.status(403).json({
+      success: false,
+      error: 'Shop suspended',
+      message: 'This shop has been suspended. Please contact support.',
+      code: 'SHOP_SUSPENDED',
+    });
+  }
   next();
 }
 
@@ -0,0 +1,41 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "stopKeywords" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "startKeywords" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "helpKeywords" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "helpReplyText" TEXT;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "ConsentEvent" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT,
+    "phoneE164" TEXT NOT NULL,
+    "previousState" "SmsConsent",
+    "newState" "SmsConsent" NOT NULL,
+    "source" TEXT NOT NULL,
+    "keyword" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "meta" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ConsentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "ConsentEvent_shopId_createdAt_idx" ON "ConsentEvent"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "ConsentEvent_contactId_createdAt_idx" ON "ConsentEvent"("contactId", "createdAt");
+CREATE INDEX IF NOT EXISTS "ConsentEvent_shopId_phoneE164_idx" ON "ConsentEvent"("shopId", "phoneE164");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "ConsentEvent" ADD CONSTRAINT "ConsentEvent_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "ConsentEvent" ADD CONSTRAINT "ConsentEvent_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
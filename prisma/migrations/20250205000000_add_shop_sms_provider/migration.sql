@@ -0,0 +1,2 @@
+-- AlterTable (if column doesn't exist)
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "smsProvider" TEXT;
@@ -0,0 +1,17 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "recurrenceRule" JSONB;
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "nextRunAt" TIMESTAMP(3);
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "runCount" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "parentCampaignId" TEXT;
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "occurrence" INTEGER;
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "Campaign_status_nextRunAt_idx" ON "Campaign"("status", "nextRunAt");
+CREATE INDEX IF NOT EXISTS "Campaign_parentCampaignId_occurrence_idx" ON "Campaign"("parentCampaignId", "occurrence");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "Campaign" ADD CONSTRAINT "Campaign_parentCampaignId_fkey" FOREIGN KEY ("parentCampaignId") REFERENCES "Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,3 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "quietHoursStart" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "quietHoursEnd" TEXT;
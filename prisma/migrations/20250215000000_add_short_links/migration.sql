@@ -0,0 +1,63 @@
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "ShortLink" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "targetUrl" TEXT NOT NULL,
+    "linkType" TEXT NOT NULL DEFAULT 'link',
+    "campaignId" TEXT,
+    "recipientId" TEXT,
+    "contactId" TEXT,
+    "clicks" INTEGER NOT NULL DEFAULT 0,
+    "lastClickedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ShortLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "ShortLink_code_key" ON "ShortLink"("code");
+CREATE INDEX IF NOT EXISTS "ShortLink_shopId_createdAt_idx" ON "ShortLink"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "ShortLink_campaignId_idx" ON "ShortLink"("campaignId");
+CREATE INDEX IF NOT EXISTS "ShortLink_recipientId_idx" ON "ShortLink"("recipientId");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "CampaignRecipient"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "ShortLink" ADD CONSTRAINT "ShortLink_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Every short-link click is recorded, so clicks are no longer unique per
+-- campaign + recipient + linkType
+DROP INDEX IF EXISTS "ClickEvent_campaignId_recipientId_linkType_key";
+CREATE INDEX IF NOT EXISTS "ClickEvent_campaignId_recipientId_linkType_idx" ON "ClickEvent"("campaignId", "recipientId", "linkType");
+
+-- AlterTable (if column doesn't exist)
+ALTER TABLE "ClickEvent" ADD COLUMN IF NOT EXISTS "shortLinkId" TEXT;
+CREATE INDEX IF NOT EXISTS "ClickEvent_shortLinkId_idx" ON "ClickEvent"("shortLinkId");
+
+DO $$ BEGIN
+    ALTER TABLE "ClickEvent" ADD CONSTRAINT "ClickEvent_shortLinkId_fkey" FOREIGN KEY ("shortLinkId") REFERENCES "ShortLink"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,34 @@
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "ReportExport" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "filters" JSONB,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "rowCount" INTEGER NOT NULL DEFAULT 0,
+    "fileSize" INTEGER,
+    "fileName" TEXT,
+    "storage" TEXT,
+    "storageKey" TEXT,
+    "jobId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "expiresAt" TIMESTAMP(3),
+
+    CONSTRAINT "ReportExport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "ReportExport_shopId_createdAt_idx" ON "ReportExport"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "ReportExport_status_expiresAt_idx" ON "ReportExport"("status", "expiresAt");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "ReportExport" ADD CONSTRAINT "ReportExport_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
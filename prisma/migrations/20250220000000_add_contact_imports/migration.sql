@@ -0,0 +1,43 @@
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "ContactImport" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'uploaded',
+    "fileName" TEXT,
+    "fileSize" INTEGER NOT NULL DEFAULT 0,
+    "storage" TEXT,
+    "storageKey" TEXT,
+    "errorStorageKey" TEXT,
+    "headers" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "sampleRows" JSONB,
+    "delimiter" TEXT,
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "mapping" JSONB,
+    "options" JSONB,
+    "dryRun" BOOLEAN NOT NULL DEFAULT false,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedCount" INTEGER NOT NULL DEFAULT 0,
+    "skippedCount" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "report" JSONB,
+    "jobId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ContactImport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "ContactImport_shopId_createdAt_idx" ON "ContactImport"("shopId", "createdAt");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "ContactImport" ADD CONSTRAINT "ContactImport_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
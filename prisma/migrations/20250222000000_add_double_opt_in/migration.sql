@@ -0,0 +1,40 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "doubleOptInEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "ConsentConfirmation" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "contactId" TEXT NOT NULL,
+    "phoneE164" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "source" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "method" TEXT,
+    "confirmIpAddress" TEXT,
+    "confirmUserAgent" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "confirmedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ConsentConfirmation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "ConsentConfirmation_shopId_contactId_status_idx" ON "ConsentConfirmation"("shopId", "contactId", "status");
+CREATE INDEX IF NOT EXISTS "ConsentConfirmation_contactId_createdAt_idx" ON "ConsentConfirmation"("contactId", "createdAt");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "ConsentConfirmation" ADD CONSTRAINT "ConsentConfirmation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "ConsentConfirmation" ADD CONSTRAINT "ConsentConfirmation_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
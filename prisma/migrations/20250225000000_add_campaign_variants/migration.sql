@@ -0,0 +1,36 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "abTest" JSONB;
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "winnerVariantId" TEXT;
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "winnerSelectedAt" TIMESTAMP(3);
+ALTER TABLE "CampaignRecipient" ADD COLUMN IF NOT EXISTS "variantId" TEXT;
+ALTER TABLE "CampaignMetrics" ADD COLUMN IF NOT EXISTS "variantMetrics" JSONB;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "CampaignVariant" (
+    "id" TEXT NOT NULL,
+    "campaignId" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "weight" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CampaignVariant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "CampaignVariant_campaignId_label_key" ON "CampaignVariant"("campaignId", "label");
+CREATE INDEX IF NOT EXISTS "CampaignRecipient_campaignId_variantId_idx" ON "CampaignRecipient"("campaignId", "variantId");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "CampaignVariant" ADD CONSTRAINT "CampaignVariant_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "CampaignRecipient" ADD CONSTRAINT "CampaignRecipient_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "CampaignVariant"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
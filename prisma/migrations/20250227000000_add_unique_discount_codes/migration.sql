@@ -0,0 +1,43 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "uniqueDiscountCodes" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "Campaign" ADD COLUMN IF NOT EXISTS "uniqueDiscountId" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "welcomeDiscountId" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "welcomeCodesDiscountId" TEXT;
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "contactId" TEXT;
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "recipientId" TEXT;
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "source" TEXT NOT NULL DEFAULT 'campaign';
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "discountId" TEXT;
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "syncedAt" TIMESTAMP(3);
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "redeemedAt" TIMESTAMP(3);
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "orderId" TEXT;
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "orderTotal" DOUBLE PRECISION;
+ALTER TABLE "DiscountLink" ADD COLUMN IF NOT EXISTS "currency" TEXT;
+
+-- Links of deleted campaigns would break the new foreign key
+UPDATE "DiscountLink" SET "campaignId" = NULL
+WHERE "campaignId" IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM "Campaign" c WHERE c."id" = "DiscountLink"."campaignId");
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "DiscountLink_campaignId_redeemedAt_idx" ON "DiscountLink"("campaignId", "redeemedAt");
+CREATE INDEX IF NOT EXISTS "DiscountLink_recipientId_idx" ON "DiscountLink"("recipientId");
+CREATE INDEX IF NOT EXISTS "DiscountLink_shopId_contactId_source_idx" ON "DiscountLink"("shopId", "contactId", "source");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "DiscountLink" ADD CONSTRAINT "DiscountLink_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "DiscountLink" ADD CONSTRAINT "DiscountLink_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "DiscountLink" ADD CONSTRAINT "DiscountLink_recipientId_fkey" FOREIGN KEY ("recipientId") REFERENCES "CampaignRecipient"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,53 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "CampaignMetrics" ADD COLUMN IF NOT EXISTS "attributedOrders" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "CampaignMetrics" ADD COLUMN IF NOT EXISTS "attributedRevenue" DOUBLE PRECISION NOT NULL DEFAULT 0;
+ALTER TABLE "ShortLink" ADD COLUMN IF NOT EXISTS "automationId" TEXT;
+ALTER TABLE "MessageLog" ADD COLUMN IF NOT EXISTS "automationId" TEXT;
+ALTER TABLE "MessageLog" ADD COLUMN IF NOT EXISTS "credits" INTEGER;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "attributionClickWindowDays" INTEGER NOT NULL DEFAULT 7;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "attributionViewWindowHours" INTEGER NOT NULL DEFAULT 24;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "AttributedOrder" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "contactId" TEXT,
+    "campaignId" TEXT,
+    "automationId" TEXT,
+    "model" TEXT NOT NULL,
+    "touchAt" TIMESTAMP(3) NOT NULL,
+    "revenue" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT,
+    "orderedAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AttributedOrder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "AttributedOrder_shopId_orderId_key" ON "AttributedOrder"("shopId", "orderId");
+CREATE INDEX IF NOT EXISTS "AttributedOrder_shopId_orderedAt_idx" ON "AttributedOrder"("shopId", "orderedAt");
+CREATE INDEX IF NOT EXISTS "AttributedOrder_campaignId_idx" ON "AttributedOrder"("campaignId");
+CREATE INDEX IF NOT EXISTS "AttributedOrder_shopId_automationId_idx" ON "AttributedOrder"("shopId", "automationId");
+CREATE INDEX IF NOT EXISTS "ShortLink_shopId_contactId_automationId_idx" ON "ShortLink"("shopId", "contactId", "automationId");
+CREATE INDEX IF NOT EXISTS "MessageLog_shopId_automationId_createdAt_idx" ON "MessageLog"("shopId", "automationId", "createdAt");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "AttributedOrder" ADD CONSTRAINT "AttributedOrder_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "AttributedOrder" ADD CONSTRAINT "AttributedOrder_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "AttributedOrder" ADD CONSTRAINT "AttributedOrder_campaignId_fkey" FOREIGN KEY ("campaignId") REFERENCES "Campaign"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
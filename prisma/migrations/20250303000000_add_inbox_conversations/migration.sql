@@ -0,0 +1,37 @@
+-- AlterTable (if columns don't exist)
+ALTER TABLE "MessageLog" ADD COLUMN IF NOT EXISTS "text" TEXT;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "Conversation" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "phoneE164" TEXT NOT NULL,
+    "contactId" TEXT,
+    "lastMessageAt" TIMESTAMP(3) NOT NULL,
+    "lastMessageText" TEXT,
+    "lastDirection" TEXT NOT NULL,
+    "unreadCount" INTEGER NOT NULL DEFAULT 0,
+    "lastReadAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Conversation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "Conversation_shopId_phoneE164_key" ON "Conversation"("shopId", "phoneE164");
+CREATE INDEX IF NOT EXISTS "Conversation_shopId_lastMessageAt_idx" ON "Conversation"("shopId", "lastMessageAt");
+CREATE INDEX IF NOT EXISTS "Conversation_shopId_unreadCount_idx" ON "Conversation"("shopId", "unreadCount");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "Conversation" ADD CONSTRAINT "Conversation_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
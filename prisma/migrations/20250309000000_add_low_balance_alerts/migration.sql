@@ -0,0 +1,60 @@
+-- AlterTable (if not exists)
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "lowBalanceThreshold" INTEGER;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "lowBalanceAlertChannels" TEXT[] DEFAULT ARRAY['webhook', 'in_app']::TEXT[];
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "lowBalanceAlertEmail" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "autoTopUpEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "autoTopUpPackageId" TEXT;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "autoTopUpMonthlyCapCents" INTEGER;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "ShopNotification" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "message" TEXT NOT NULL,
+    "data" JSONB,
+    "readAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ShopNotification_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE IF NOT EXISTS "AutoTopUp" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "packageId" TEXT NOT NULL,
+    "purchaseId" TEXT,
+    "idempotencyKey" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "units" INTEGER NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "currency" VARCHAR(3) NOT NULL,
+    "balanceBefore" INTEGER NOT NULL,
+    "stripePaymentIntentId" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AutoTopUp_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "ShopNotification_shopId_createdAt_idx" ON "ShopNotification"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "ShopNotification_shopId_readAt_idx" ON "ShopNotification"("shopId", "readAt");
+CREATE UNIQUE INDEX IF NOT EXISTS "AutoTopUp_idempotencyKey_key" ON "AutoTopUp"("idempotencyKey");
+CREATE INDEX IF NOT EXISTS "AutoTopUp_shopId_createdAt_idx" ON "AutoTopUp"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AutoTopUp_shopId_status_idx" ON "AutoTopUp"("shopId", "status");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "ShopNotification" ADD CONSTRAINT "ShopNotification_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "AutoTopUp" ADD CONSTRAINT "AutoTopUp_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,51 @@
+-- AlterEnum (if not exists)
+ALTER TYPE "CreditTxnType" ADD VALUE IF NOT EXISTS 'expiry';
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "CreditLot" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "walletId" TEXT,
+    "source" VARCHAR(20) NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "remaining" INTEGER NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "expiredAt" TIMESTAMP(3),
+    "reason" VARCHAR(200),
+    "creditTransactionId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CreditLot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "CreditLot_creditTransactionId_key" ON "CreditLot"("creditTransactionId");
+CREATE INDEX IF NOT EXISTS "CreditLot_shopId_remaining_idx" ON "CreditLot"("shopId", "remaining");
+CREATE INDEX IF NOT EXISTS "CreditLot_expiresAt_remaining_idx" ON "CreditLot"("expiresAt", "remaining");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "CreditLot" ADD CONSTRAINT "CreditLot_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "CreditLot" ADD CONSTRAINT "CreditLot_walletId_fkey" FOREIGN KEY ("walletId") REFERENCES "Wallet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "CreditLot" ADD CONSTRAINT "CreditLot_creditTransactionId_fkey" FOREIGN KEY ("creditTransactionId") REFERENCES "CreditTransaction"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Backfill: existing balances become one non-expiring adjustment lot per wallet
+INSERT INTO "CreditLot" ("id", "shopId", "walletId", "source", "amount", "remaining", "reason", "createdAt", "updatedAt")
+SELECT gen_random_uuid()::text, w."shopId", w."id", 'adjustment', w."balance", w."balance", 'migration:opening_balance', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM "Wallet" w
+WHERE w."balance" > 0
+  AND NOT EXISTS (SELECT 1 FROM "CreditLot" l WHERE l."shopId" = w."shopId");
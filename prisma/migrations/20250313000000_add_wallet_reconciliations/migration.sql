@@ -0,0 +1,30 @@
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "WalletReconciliation" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "status" VARCHAR(20) NOT NULL,
+    "trigger" VARCHAR(20) NOT NULL,
+    "ledgerBalance" INTEGER NOT NULL,
+    "walletBalance" INTEGER NOT NULL,
+    "lotBalance" INTEGER NOT NULL,
+    "shopCredits" INTEGER NOT NULL,
+    "reservedCredits" INTEGER NOT NULL,
+    "issues" JSONB NOT NULL,
+    "corrections" JSONB,
+    "actor" VARCHAR(200),
+    "auditReason" VARCHAR(500),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WalletReconciliation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "WalletReconciliation_shopId_createdAt_idx" ON "WalletReconciliation"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "WalletReconciliation_status_createdAt_idx" ON "WalletReconciliation"("status", "createdAt");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "WalletReconciliation" ADD CONSTRAINT "WalletReconciliation_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,78 @@
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "BillingProfile" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "companyName" VARCHAR(200) NOT NULL,
+    "vatId" VARCHAR(20),
+    "email" VARCHAR(255),
+    "addressLine1" VARCHAR(200) NOT NULL,
+    "addressLine2" VARCHAR(200),
+    "city" VARCHAR(100) NOT NULL,
+    "postalCode" VARCHAR(20) NOT NULL,
+    "region" VARCHAR(100),
+    "country" VARCHAR(2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BillingProfile_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE IF NOT EXISTS "Invoice" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "number" VARCHAR(40) NOT NULL,
+    "year" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "sourceKey" VARCHAR(255) NOT NULL,
+    "type" VARCHAR(20) NOT NULL,
+    "description" VARCHAR(500) NOT NULL,
+    "credits" INTEGER,
+    "currency" VARCHAR(3) NOT NULL,
+    "netCents" INTEGER NOT NULL,
+    "vatRate" DOUBLE PRECISION NOT NULL,
+    "vatCents" INTEGER NOT NULL,
+    "totalCents" INTEGER NOT NULL,
+    "vatTreatment" VARCHAR(20) NOT NULL,
+    "vatNote" VARCHAR(500),
+    "seller" JSONB NOT NULL,
+    "customer" JSONB NOT NULL,
+    "periodStart" TIMESTAMP(3),
+    "periodEnd" TIMESTAMP(3),
+    "purchaseId" TEXT,
+    "stripeSessionId" TEXT,
+    "stripeInvoiceId" TEXT,
+    "stripePaymentIntentId" TEXT,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE IF NOT EXISTS "InvoiceSequence" (
+    "year" INTEGER NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InvoiceSequence_pkey" PRIMARY KEY ("year")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "BillingProfile_shopId_key" ON "BillingProfile"("shopId");
+CREATE UNIQUE INDEX IF NOT EXISTS "Invoice_number_key" ON "Invoice"("number");
+CREATE UNIQUE INDEX IF NOT EXISTS "Invoice_sourceKey_key" ON "Invoice"("sourceKey");
+CREATE UNIQUE INDEX IF NOT EXISTS "Invoice_year_sequence_key" ON "Invoice"("year", "sequence");
+CREATE INDEX IF NOT EXISTS "Invoice_shopId_issuedAt_idx" ON "Invoice"("shopId", "issuedAt");
+CREATE INDEX IF NOT EXISTS "Invoice_stripeSessionId_idx" ON "Invoice"("stripeSessionId");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "BillingProfile" ADD CONSTRAINT "BillingProfile_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
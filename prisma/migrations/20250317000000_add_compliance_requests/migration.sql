@@ -0,0 +1,32 @@
+-- AlterTable (if not exists)
+ALTER TABLE "Shop" ADD COLUMN IF NOT EXISTS "uninstalledAt" TIMESTAMP(3);
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "ComplianceRequest" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT,
+    "shopDomain" VARCHAR(255) NOT NULL,
+    "topic" VARCHAR(40) NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "webhookId" VARCHAR(255),
+    "shopifyCustomerId" VARCHAR(50),
+    "subject" JSONB,
+    "subjectHash" VARCHAR(64),
+    "ordersRequested" JSONB,
+    "scheduledFor" TIMESTAMP(3),
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "result" JSONB,
+    "exportData" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ComplianceRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "ComplianceRequest_webhookId_key" ON "ComplianceRequest"("webhookId");
+CREATE INDEX IF NOT EXISTS "ComplianceRequest_shopId_createdAt_idx" ON "ComplianceRequest"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "ComplianceRequest_shopDomain_topic_idx" ON "ComplianceRequest"("shopDomain", "topic");
+CREATE INDEX IF NOT EXISTS "ComplianceRequest_status_scheduledFor_idx" ON "ComplianceRequest"("status", "scheduledFor");
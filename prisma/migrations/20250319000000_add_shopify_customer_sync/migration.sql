@@ -0,0 +1,41 @@
+-- AlterTable (if not exists)
+ALTER TABLE "Contact" ADD COLUMN IF NOT EXISTS "shopifyCustomerId" VARCHAR(50);
+ALTER TABLE "Contact" ADD COLUMN IF NOT EXISTS "shopifyTags" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "Contact" ADD COLUMN IF NOT EXISTS "shopifySyncedAt" TIMESTAMP(3);
+
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "customerSyncEnabled" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "customerSyncConsentMode" VARCHAR(20) NOT NULL DEFAULT 'mirror';
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "customerSyncConfirmedOptInOnly" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ShopSettings" ADD COLUMN IF NOT EXISTS "customerSyncDeleteContacts" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "CustomerSync" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'pending',
+    "bulkOperationId" VARCHAR(255),
+    "objectCount" INTEGER NOT NULL DEFAULT 0,
+    "processedCount" INTEGER NOT NULL DEFAULT 0,
+    "createdCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedCount" INTEGER NOT NULL DEFAULT 0,
+    "skippedCount" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "CustomerSync_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "Contact_shopId_shopifyCustomerId_key" ON "Contact"("shopId", "shopifyCustomerId");
+CREATE INDEX IF NOT EXISTS "CustomerSync_shopId_createdAt_idx" ON "CustomerSync"("shopId", "createdAt");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "CustomerSync" ADD CONSTRAINT "CustomerSync_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
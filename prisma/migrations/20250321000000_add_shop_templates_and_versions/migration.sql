@@ -0,0 +1,76 @@
+-- AlterTable (if not exists)
+ALTER TABLE "Template" ADD COLUMN IF NOT EXISTS "shopId" TEXT;
+ALTER TABLE "Template" ADD COLUMN IF NOT EXISTS "folderId" TEXT;
+ALTER TABLE "Template" ADD COLUMN IF NOT EXISTS "forkedFromId" TEXT;
+ALTER TABLE "Template" ADD COLUMN IF NOT EXISTS "forkedFromVersion" INTEGER;
+ALTER TABLE "Template" ADD COLUMN IF NOT EXISTS "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "TemplateFolder" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "name" VARCHAR(80) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "TemplateFolder_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE IF NOT EXISTS "TemplateVersion" (
+    "id" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "source" VARCHAR(20) NOT NULL,
+    "restoredFromVersion" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TemplateVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "Template_shopId_folderId_idx" ON "Template"("shopId", "folderId");
+CREATE INDEX IF NOT EXISTS "Template_shopId_category_idx" ON "Template"("shopId", "category");
+CREATE INDEX IF NOT EXISTS "Template_forkedFromId_idx" ON "Template"("forkedFromId");
+CREATE UNIQUE INDEX IF NOT EXISTS "TemplateFolder_shopId_name_key" ON "TemplateFolder"("shopId", "name");
+CREATE UNIQUE INDEX IF NOT EXISTS "TemplateVersion_templateId_version_key" ON "TemplateVersion"("templateId", "version");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "Template" ADD CONSTRAINT "Template_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "Template" ADD CONSTRAINT "Template_folderId_fkey" FOREIGN KEY ("folderId") REFERENCES "TemplateFolder"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "Template" ADD CONSTRAINT "Template_forkedFromId_fkey" FOREIGN KEY ("forkedFromId") REFERENCES "Template"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "TemplateFolder" ADD CONSTRAINT "TemplateFolder_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "TemplateVersion" ADD CONSTRAINT "TemplateVersion_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "Template"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+-- Existing templates start at version 1
+INSERT INTO "TemplateVersion" ("id", "templateId", "version", "title", "category", "content", "tags", "source")
+SELECT 'tplv_' || t."id", t."id", 1, t."title", t."category", t."content", t."tags", 'created'
+FROM "Template" t
+WHERE NOT EXISTS (SELECT 1 FROM "TemplateVersion" v WHERE v."templateId" = t."id");
@@ -0,0 +1,69 @@
+-- AlterTable (if not exists)
+ALTER TABLE "Shop" ADD COLUMN IF NOT EXISTS "suspendedAt" TIMESTAMP(3);
+ALTER TABLE "Shop" ADD COLUMN IF NOT EXISTS "suspendedReason" VARCHAR(500);
+
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "AdminUser" (
+    "id" TEXT NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "name" VARCHAR(200),
+    "passwordHash" VARCHAR(255),
+    "role" VARCHAR(20) NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "lastLoginAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AdminUser_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE IF NOT EXISTS "AdminSession" (
+    "id" TEXT NOT NULL,
+    "adminUserId" TEXT NOT NULL,
+    "tokenHash" VARCHAR(64) NOT NULL,
+    "method" VARCHAR(20) NOT NULL,
+    "ip" VARCHAR(64),
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminSession_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE IF NOT EXISTS "AdminAuditLog" (
+    "id" TEXT NOT NULL,
+    "adminUserId" TEXT,
+    "actor" VARCHAR(255) NOT NULL,
+    "action" VARCHAR(50) NOT NULL,
+    "shopId" TEXT,
+    "targetType" VARCHAR(50),
+    "targetId" VARCHAR(255),
+    "reason" VARCHAR(500),
+    "metadata" JSONB,
+    "ip" VARCHAR(64),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE UNIQUE INDEX IF NOT EXISTS "AdminUser_email_key" ON "AdminUser"("email");
+CREATE UNIQUE INDEX IF NOT EXISTS "AdminSession_tokenHash_key" ON "AdminSession"("tokenHash");
+CREATE INDEX IF NOT EXISTS "AdminSession_adminUserId_createdAt_idx" ON "AdminSession"("adminUserId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AdminAuditLog_createdAt_idx" ON "AdminAuditLog"("createdAt");
+CREATE INDEX IF NOT EXISTS "AdminAuditLog_shopId_createdAt_idx" ON "AdminAuditLog"("shopId", "createdAt");
+CREATE INDEX IF NOT EXISTS "AdminAuditLog_action_createdAt_idx" ON "AdminAuditLog"("action", "createdAt");
+CREATE INDEX IF NOT EXISTS "AdminAuditLog_adminUserId_createdAt_idx" ON "AdminAuditLog"("adminUserId", "createdAt");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "AdminSession" ADD CONSTRAINT "AdminSession_adminUserId_fkey" FOREIGN KEY ("adminUserId") REFERENCES "AdminUser"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "AdminAuditLog" ADD CONSTRAINT "AdminAuditLog_adminUserId_fkey" FOREIGN KEY ("adminUserId") REFERENCES "AdminUser"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,45 @@
+-- CreateTable (if not exists)
+CREATE TABLE IF NOT EXISTS "AutomationFlow" (
+    "id" TEXT NOT NULL,
+    "shopId" TEXT NOT NULL,
+    "name" VARCHAR(120) NOT NULL,
+    "description" VARCHAR(500),
+    "trigger" VARCHAR(30) NOT NULL,
+    "status" VARCHAR(20) NOT NULL DEFAULT 'draft',
+    "graph" JSONB NOT NULL,
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "allowReentry" BOOLEAN NOT NULL DEFAULT false,
+    "activatedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AutomationFlow_pkey" PRIMARY KEY ("id")
+);
+
+CREATE TABLE IF NOT EXISTS "AutomationFlowNodeStat" (
+    "id" TEXT NOT NULL,
+    "flowId" TEXT NOT NULL,
+    "nodeId" VARCHAR(64) NOT NULL,
+    "event" VARCHAR(30) NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AutomationFlowNodeStat_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex (if not exists)
+CREATE INDEX IF NOT EXISTS "AutomationFlow_shopId_status_trigger_idx" ON "AutomationFlow"("shopId", "status", "trigger");
+CREATE UNIQUE INDEX IF NOT EXISTS "AutomationFlowNodeStat_flowId_nodeId_event_key" ON "AutomationFlowNodeStat"("flowId", "nodeId", "event");
+
+-- AddForeignKey (if not exists)
+DO $$ BEGIN
+    ALTER TABLE "AutomationFlow" ADD CONSTRAINT "AutomationFlow_shopId_fkey" FOREIGN KEY ("shopId") REFERENCES "Shop"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+DO $$ BEGIN
+    ALTER TABLE "AutomationFlowNodeStat" ADD CONSTRAINT "AutomationFlowNodeStat_flowId_fkey" FOREIGN KEY ("flowId") REFERENCES "AutomationFlow"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
@@ -0,0 +1,4 @@
+-- Delivery logs keep response headers only: receiver bodies are shown to the
+-- shop and could echo internal content
+ALTER TABLE "WebhookDelivery" ADD COLUMN IF NOT EXISTS "responseHeaders" JSONB;
+ALTER TABLE "WebhookDelivery" DROP COLUMN IF EXISTS "responseBody";
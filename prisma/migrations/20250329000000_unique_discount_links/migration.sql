@@ -0,0 +1,16 @@
+-- Keep the first code of a recipient minted twice by concurrent or retried
+-- sends; later duplicates stay for their redemptions but lose the recipient
+UPDATE "DiscountLink" AS d
+SET "recipientId" = NULL
+WHERE d."recipientId" IS NOT NULL
+  AND EXISTS (
+    SELECT 1 FROM "DiscountLink" AS first
+    WHERE first."campaignId" = d."campaignId"
+      AND first."recipientId" = d."recipientId"
+      AND (first."createdAt", first."id") < (d."createdAt", d."id")
+  );
+
+-- CreateIndex (unique, if not exists)
+DROP INDEX IF EXISTS "DiscountLink_shopId_code_idx";
+CREATE UNIQUE INDEX IF NOT EXISTS "DiscountLink_shopId_code_key" ON "DiscountLink"("shopId", "code");
+CREATE UNIQUE INDEX IF NOT EXISTS "DiscountLink_campaignId_recipientId_key" ON "DiscountLink"("campaignId", "recipientId");
@@ -0,0 +1,4 @@
+-- VAT charged on top of the package price of an automatic top-up; earlier
+-- attempts charged the package price as is and keep NULL
+ALTER TABLE "AutoTopUp" ADD COLUMN IF NOT EXISTS "vatRate" DOUBLE PRECISION;
+ALTER TABLE "AutoTopUp" ADD COLUMN IF NOT EXISTS "vatTreatment" VARCHAR(20);
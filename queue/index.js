@@ -23,6 +23,12 @@ class MockQueue {
   async getWaiting() {
     return [];
   }
+  async getFailed() {
+    return [];
+  }
+  async getFailedCount() {
+    return 0;
+  }
   async clean() {
     return [];
   }
@@ -118,6 +124,103 @@ export const allCampaignsStatusQueue = skipQueues
     },
   });
 
+// Report Export Queue (file generation and cleanup)
+export const exportQueue = skipQueues
+  ? new MockQueue('report-export', {})
+  : new Queue('report-export', {
+    connection: queueRedis,
+    defaultJobOptions: {
+      removeOnComplete: 50,
+      removeOnFail: 50,
+      attempts: 2,
+      backoff: {
+        type: 'fixed',
+        delay: 10000,
+      },
+    },
+  });
+
+// Contact Import Queue
+// Imports are not retried automatically: a failed run can be restarted
+// from the API once the cause is fixed
+export const importQueue = skipQueues
+  ? new MockQueue('contact-import', {})
+  : new Queue('contact-import', {
+    connection: queueRedis,
+    defaultJobOptions: {
+      removeOnComplete: 50,
+      removeOnFail: 50,
+      attempts: 1,
+    },
+  });
+
+// Outbound Webhook Queue (merchant endpoints)
+// Failing endpoints are retried for about two hours: 30s, 1m, 2m ... 64m
+export const webhookQueue = skipQueues
+  ? new MockQueue('webhook-delivery', {})
+  : new Queue('webhook-delivery', {
+    connection: queueRedis,
+    defaultJobOptions: {
+      removeOnComplete: 200,
+      removeOnFail: 200,
+      attempts: 8,
+      backoff: {
+        type: 'exponential',
+        delay: 30000,
+      },
+    },
+  });
+
+// Auto Top-up Queue (off-session Stripe charges on low balance)
+// Only network/Stripe outages are retried; the Stripe idempotency key
+// makes a retried charge safe
+export const autoTopUpQueue = skipQueues
+  ? new MockQueue('auto-topup', {})
+  : new Queue('auto-topup', {
+    connection: queueRedis,
+    defaultJobOptions: {
+      removeOnComplete: 100,
+      removeOnFail: 100,
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 60000,
+      },
+    },
+  });
+
+// Wallet Maintenance Queue (credit lot expiry, ledger reconciliation)
+export const walletMaintenanceQueue = skipQueues
+  ? new MockQueue('wallet-maintenance', {})
+  : new Queue('wallet-maintenance', {
+    connection: queueRedis,
+    defaultJobOptions: {
+      removeOnComplete: 50,
+      removeOnFail: 50,
+      attempts: 2,
+      backoff: {
+        type: 'fixed',
+        delay: 60000,
+      },
+    },
+  });
+
+// Compliance Queue (Shopify privacy requests, shop purges)
+export const complianceQueue = skipQueues
+  ? new MockQueue('compliance', {})
+  : new Queue('compliance', {
+    connection: queueRedis,
+    defaultJobOptions: {
+      removeOnComplete: 100,
+      removeOnFail: 100,
+      attempts: 3,
+      backoff: {
+        type: 'exponential',
+        delay: 60000,
+      },
+    },
+  });
+
 // Queue health check
 export const getQueueHealth = async () => {
   try {
@@ -127,12 +230,24 @@ export const getQueueHealth = async () => {
       automationWaiting,
       deliveryStatusWaiting,
       allCampaignsStatusWaiting,
+      exportWaiting,
+      importWaiting,
+      webhookWaiting,
+      autoTopUpWaiting,
+      walletMaintenanceWaiting,
+      complianceWaiting,
     ] = await Promise.all([
       smsQueue.getWaiting(),
       campaignQueue.getWaiting(),
       automationQueue.getWaiting(),
       deliveryStatusQueue.getWaiting(),
       allCampaignsStatusQueue.getWaiting(),
+      exportQueue.getWaiting(),
+      importQueue.getWaiting(),
+      webhookQueue.getWaiting(),
+      autoTopUpQueue.getWaiting(),
+      walletMaintenanceQueue.getWaiting(),
+      complianceQueue.getWaiting(),
     ]);
 
     return {
@@ -156,6 +271,30 @@ export const getQueueHealth = async () => {
         waiting: allCampaignsStatusWaiting.length,
         status: 'healthy',
       },
+      export: {
+        waiting: exportWaiting.length,
+        status: 'healthy',
+      },
+      import: {
+        waiting: importWaiting.length,
+        status: 'healthy',
+      },
+      webhook: {
+        waiting: webhookWaiting.length,
+        status: 'healthy',
+      },
+      autoTopUp: {
+        waiting: autoTopUpWaiting.length,
+        status: 'healthy',
+      },
+      walletMaintenance: {
+        waiting: walletMaintenanceWaiting.length,
+        status: 'healthy',
+      },
+      compliance: {
+        waiting: complianceWaiting.length,
+        status: 'healthy',
+      },
     };
   } catch (error) {
     return {
@@ -171,4 +310,10 @@ export default {
   automationQueue,
   deliveryStatusQueue,
   allCampaignsStatusQueue,
+  exportQueue,
+  importQueue,
+  webhookQueue,
+  autoTopUpQueue,
+  walletMaintenanceQueue,
+  complianceQueue,
 };
@@ -0,0 +1,35 @@
+import { logger } from '../../utils/logger.js';
+import { selectAbTestWinner } from '../../services/campaign-variants.js';
+
+/**
+ * Select the winner of a test-then-winner A/B campaign
+ * @param {Object} job - BullMQ job
+ * @param {string} job.data.campaignId - Campaign ID
+ * @param {string} job.data.shopId - Shop ID
+ */
+export async function handleAbTestWinner(job) {
+  const { campaignId, shopId } = job.data;
+
+  logger.info('Processing A/B test winner job', {
+    jobId: job.id,
+    campaignId,
+    shopId,
+  });
+
+  const result = await selectAbTestWinner(campaignId, shopId);
+
+  if (!result.ok) {
+    logger.warn('A/B test winner not selected', {
+      jobId: job.id,
+      campaignId,
+      shopId,
+      reason: result.reason,
+    });
+  }
+
+  return result;
+}
+
+export default {
+  handleAbTestWinner,
+};
@@ -0,0 +1,31 @@
+import { logger } from '../../utils/logger.js';
+import { runAutoTopUp } from '../../services/auto-topup.js';
+
+/**
+ * Handle auto top-up jobs
+ * Retryable Stripe errors throw so BullMQ retries with backoff; the last
+ * attempt marks the top-up as failed.
+ * @param {Object} job - BullMQ job
+ * @param {string} job.data.shopId - Shop ID
+ * @param {string} job.data.idempotencyKey - Top-up idempotency key
+ */
+export async function handleAutoTopUp(job) {
+  const { shopId, idempotencyKey } = job.data;
+  const attempt = job.attemptsMade + 1;
+
+  logger.info('Processing auto top-up job', {
+    jobId: job.id,
+    shopId,
+    idempotencyKey,
+    attempt,
+  });
+
+  return await runAutoTopUp(
+    { shopId, idempotencyKey },
+    { finalAttempt: attempt >= (job.opts?.attempts || 1) },
+  );
+}
+
+export default {
+  handleAutoTopUp,
+};
@@ -10,6 +10,7 @@ import {
   triggerCrossSell,
 } from '../../services/automations.js';
 import prisma from '../../services/prisma.js';
+import { executeFlowStep } from '../../services/flows.js';
 import {
   validateAndConsumeCredits,
   InsufficientCreditsError,
@@ -410,11 +411,13 @@ export async function handleWelcomeTrigger(job) {
     });
 
     // If this is part of a welcome series, check if contact has purchased
-    if (step !== undefined) {
+    // (series jobs carry the step in welcomeData)
+    const seriesStep = step ?? welcomeData?.step;
+    if (seriesStep !== undefined) {
       const { executeWelcomeSeriesStep } = await import(
         '../../services/welcome-series.js'
       );
-      return await executeWelcomeSeriesStep(contactId, shopId, step);
+      return await executeWelcomeSeriesStep(contactId, shopId, seriesStep);
     }
 
     // Validate credits before triggering automation
@@ -789,6 +792,39 @@ export async function handleDailyBirthdayCheck(_job) {
   }
 }
 
+/**
+ * Handle a custom flow step
+ * Resumes a contact's flow run after a wait node (see services/flows.js)
+ */
+export async function handleFlowStep(job) {
+  const { shopId, contactId, flowId, runId } = job.data;
+
+  try {
+    const result = await executeFlowStep(job.data, job.id);
+
+    logger.info('Flow step processed', {
+      jobId: job.id,
+      shopId,
+      contactId,
+      flowId,
+      runId,
+      result,
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Flow step job failed', {
+      jobId: job.id,
+      error: error.message,
+      stack: error.stack,
+      shopId,
+      flowId,
+      runId,
+    });
+    throw error;
+  }
+}
+
 export default {
   handleAbandonedCartTrigger,
   handleOrderConfirmationTrigger,
@@ -801,4 +837,5 @@ export default {
   handleDailyReengagementCheck,
   handleMonthlyWinBackCheck,
   handleDailyBirthdayCheck,
+  handleFlowStep,
 };
@@ -1,12 +1,14 @@
 import prisma from '../../services/prisma.js';
 import { logger } from '../../utils/logger.js';
 import { sendBulkSMSWithCredits } from '../../services/smsBulk.js';
-import { deliveryStatusQueue } from '../index.js';
+import { deliveryStatusQueue, smsQueue } from '../index.js';
 import { updateCampaignAggregates } from '../../services/campaignAggregates.js';
 import { replacePlaceholders } from '../../utils/personalization.js';
 import { appendUnsubscribeLink } from '../../utils/unsubscribe.js';
 import { shortenUrlsInText } from '../../utils/urlShortener.js';
 import { getDiscountCode } from '../../services/shopify.js';
+import { assignCampaignDiscountCodes } from '../../services/discount-codes.js';
+import { deferJobForQuietHours } from '../../services/quiet-hours.js';
 
 /**
  * Check if error is retryable (Phase 2.1: Rate limiting retry)
@@ -41,6 +43,18 @@ export async function handleBulkSMS(job) {
   }
 
   try {
+    // Quiet hours: the batch is re-queued for the end of the shop's quiet
+    // window, recipients stay pending until then
+    const deferred = await deferJobForQuietHours(job, smsQueue);
+    if (deferred) {
+      return {
+        ok: true,
+        processed: 0,
+        deferred: true,
+        deferredUntil: deferred.deferredUntil.toISOString(),
+      };
+    }
+
     // Fetch campaign recipients (idempotency: only process pending, unsent messages)
     const recipients = await prisma.campaignRecipient.findMany({
       where: {
@@ -61,8 +75,16 @@ export async function handleBulkSMS(job) {
         campaign: {
           select: {
             id: true,
+            name: true,
             message: true,
             discountId: true,
+            uniqueDiscountCodes: true,
+            uniqueDiscountId: true,
+          },
+        },
+        variant: {
+          select: {
+            message: true,
           },
         },
       },
@@ -97,9 +119,23 @@ export async function handleBulkSMS(job) {
       retryAttempt: job.attemptsMade || 0,
     }, 'Processing bulk SMS batch job');
 
+    // Unique codes: one single-use code per recipient. Failing to mint them
+    // fails the batch (retried) rather than sending without codes
+    let uniqueCodes = null;
+    if (
+      recipients[0]?.campaign?.uniqueDiscountCodes &&
+      recipients[0].campaign.discountId
+    ) {
+      uniqueCodes = await assignCampaignDiscountCodes(
+        shopId,
+        recipients[0].campaign,
+        recipients,
+      );
+    }
+
     // Fetch discount code if campaign has a discountId (fetch once, use for all recipients)
     let discountCode = '';
-    if (recipients[0]?.campaign?.discountId) {
+    if (!uniqueCodes && recipients[0]?.campaign?.discountId) {
       try {
         const shop = await prisma.shop.findUnique({
           where: { id: shopId },
@@ -130,22 +166,28 @@ export async function handleBulkSMS(job) {
     // Prepare messages for bulk sending
     const bulkMessages = await Promise.all(
       recipients.map(async (recipient) => {
-        // Get message template from campaign
-        let messageText = recipient.campaign.message;
+        // Get message template from the A/B test variant or the campaign
+        let messageText = recipient.variant?.message ?? recipient.campaign.message;
 
         // Replace personalization placeholders
         messageText = replacePlaceholders(messageText, {
           firstName: recipient.contact?.firstName || '',
           lastName: recipient.contact?.lastName || '',
-          discountCode,
+          discountCode: uniqueCodes?.get(recipient.id) ?? discountCode,
         });
 
         // Shorten any URLs in the message text FIRST (before adding unsubscribe link)
-        messageText = await shortenUrlsInText(messageText);
+        // Links are per recipient so clicks are attributed to them
+        messageText = await shortenUrlsInText(messageText, {
+          shopId,
+          campaignId,
+          recipientId: recipient.id,
+          contactId: recipient.contactId,
+        });
 
         // Append unsubscribe link AFTER shortening
         // CRITICAL: The unsubscribe URL must NOT be shortened because:
-        // 1. The custom shortener creates /s/{shortCode} URLs that have no route handler
+        // 1. Unsubscribe clicks are tracked by the unsubscribe page, not by short links
         // 2. The unsubscribe URL is already signed and secure
         // 3. We add it after shortening to ensure it's never processed by shortenUrlsInText
         const messageWithUnsubscribe = await appendUnsubscribeLink(
@@ -0,0 +1,36 @@
+import { logger } from '../../utils/logger.js';
+import {
+  processComplianceRequest,
+  runDueShopPurges,
+} from '../../services/compliance.js';
+
+/**
+ * Handle compliance jobs
+ * - process-request: carry out one privacy request
+ * - purge-due-shops: purge the shops uninstalled long enough ago
+ * @param {Object} job - BullMQ job
+ */
+export async function handleComplianceJob(job) {
+  logger.info('Processing compliance job', {
+    jobId: job.id,
+    jobName: job.name,
+    requestId: job.data?.requestId,
+  });
+
+  if (job.name === 'process-request') {
+    return processComplianceRequest(job.data.requestId);
+  }
+
+  if (job.name === 'purge-due-shops') {
+    const result = await runDueShopPurges();
+    logger.info('Shop purge sweep completed', result);
+    return result;
+  }
+
+  logger.warn('Unknown compliance job', { jobId: job.id, jobName: job.name });
+  return null;
+}
+
+export default {
+  handleComplianceJob,
+};
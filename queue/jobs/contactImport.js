@@ -0,0 +1,41 @@
+import { logger } from '../../utils/logger.js';
+import {
+  processContactImport,
+  deleteContactImportFiles,
+} from '../../services/contact-imports.js';
+import { runCustomerSync } from '../../services/customer-sync.js';
+
+/**
+ * Handle contact import jobs
+ * - process-contact-import: validate (dry run) or import an uploaded file
+ * - delete-contact-import-files: delete the files once retention ends
+ * - run-customer-sync: advance a Shopify customer backfill
+ * @param {Object} job - BullMQ job
+ * @param {string} job.data.importId - Contact import ID
+ * @param {string} job.data.syncId - Customer sync ID (run-customer-sync)
+ */
+export async function handleContactImport(job) {
+  const { importId, syncId, shopId } = job.data;
+
+  logger.info('Processing contact import job', {
+    jobId: job.id,
+    jobName: job.name,
+    importId,
+    syncId,
+    shopId,
+  });
+
+  if (job.name === 'run-customer-sync') {
+    return await runCustomerSync(syncId);
+  }
+
+  if (job.name === 'delete-contact-import-files') {
+    return await deleteContactImportFiles(importId);
+  }
+
+  return await processContactImport(importId);
+}
+
+export default {
+  handleContactImport,
+};
@@ -1,9 +1,10 @@
 import prisma from '../../services/prisma.js';
+import { MittoApiError } from '../../services/mitto.js';
 import {
   sendSms,
-  MittoApiError,
-  ValidationError,
-} from '../../services/mitto.js';
+  getProviderForShop,
+} from '../../services/sms-provider.js';
+import { ValidationError } from '../../utils/errors.js';
 import { logger } from '../../utils/logger.js';
 import {
   MessageDirection,
@@ -13,6 +14,7 @@ import { deliveryStatusQueue } from '../index.js';
 
 export async function handleMittoSend(job) {
   const { campaignId, shopId, phoneE164, message, sender } = job.data;
+  const provider = await getProviderForShop(shopId);
 
   try {
     // Skip credit consumption for campaign messages (credits already consumed at campaign level)
@@ -26,6 +28,7 @@ export async function handleMittoSend(job) {
       senderOverride: sender,
       shopId,
       skipCreditCheck: isCampaignMessage, // Skip credit check for campaign messages
+      provider,
     });
 
     const msgId = res?.messageId || null;
@@ -77,12 +80,13 @@ export async function handleMittoSend(job) {
         shopId,
         phoneE164,
         direction: MessageDirection.outbound,
-        provider: 'mitto',
+        provider: provider.name,
         providerMsgId: msgId,
         status: 'sent',
         campaignId,
         senderNumber: sender,
         deliveryStatus: 'Queued',
+        text: message,
       },
     });
 
@@ -198,7 +202,7 @@ export async function handleMittoSend(job) {
         shopId,
         phoneE164,
         direction: MessageDirection.outbound,
-        provider: 'mitto',
+        provider: provider.name,
         status: MessageStatus.failed,
         error: errorMessage,
         campaignId,
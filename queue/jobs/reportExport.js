@@ -0,0 +1,33 @@
+import { logger } from '../../utils/logger.js';
+import {
+  generateReportExport,
+  expireReportExport,
+} from '../../services/report-exports.js';
+
+/**
+ * Handle report export jobs
+ * - generate-report-export: render and store the export file
+ * - delete-report-export: delete the file once the export expired
+ * @param {Object} job - BullMQ job
+ * @param {string} job.data.exportId - Report export ID
+ */
+export async function handleReportExport(job) {
+  const { exportId, shopId } = job.data;
+
+  logger.info('Processing report export job', {
+    jobId: job.id,
+    jobName: job.name,
+    exportId,
+    shopId,
+  });
+
+  if (job.name === 'delete-report-export') {
+    return await expireReportExport(exportId);
+  }
+
+  return await generateReportExport(exportId);
+}
+
+export default {
+  handleReportExport,
+};
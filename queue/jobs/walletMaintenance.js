@@ -0,0 +1,35 @@
+import { logger } from '../../utils/logger.js';
+import { expireDueCreditLots } from '../../services/credit-lots.js';
+import { runWalletReconciliation } from '../../services/wallet-reconciliation.js';
+
+/**
+ * Handle wallet maintenance jobs
+ * - expire-credit-lots: expire due credit lots of all shops
+ * - reconcile-wallets: check every wallet against its ledger
+ * @param {Object} job - BullMQ job
+ */
+export async function handleWalletMaintenance(job) {
+  logger.info('Processing wallet maintenance job', {
+    jobId: job.id,
+    jobName: job.name,
+  });
+
+  if (job.name === 'expire-credit-lots') {
+    const result = await expireDueCreditLots();
+    logger.info('Credit lot expiry completed', result);
+    return result;
+  }
+
+  if (job.name === 'reconcile-wallets') {
+    const result = await runWalletReconciliation();
+    logger.info('Wallet reconciliation completed', result);
+    return result;
+  }
+
+  logger.warn('Unknown wallet maintenance job', { jobId: job.id, jobName: job.name });
+  return null;
+}
+
+export default {
+  handleWalletMaintenance,
+};
@@ -0,0 +1,29 @@
+import { logger } from '../../utils/logger.js';
+import { deliverWebhook } from '../../services/webhooks.js';
+
+/**
+ * Handle outbound webhook delivery jobs
+ * A failed attempt throws so BullMQ retries it with backoff; the last
+ * attempt marks the delivery as failed.
+ * @param {Object} job - BullMQ job
+ * @param {string} job.data.deliveryId - Webhook delivery ID
+ */
+export async function handleWebhookDelivery(job) {
+  const { deliveryId, shopId } = job.data;
+  const attempt = job.attemptsMade + 1;
+
+  logger.info('Processing webhook delivery job', {
+    jobId: job.id,
+    deliveryId,
+    shopId,
+    attempt,
+  });
+
+  return await deliverWebhook(deliveryId, {
+    finalAttempt: attempt >= (job.opts?.attempts || 1),
+  });
+}
+
+export default {
+  handleWebhookDelivery,
+};
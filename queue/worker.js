@@ -7,6 +7,13 @@ import {
   handleAllCampaignsStatusUpdate,
 } from './jobs/deliveryStatusUpdate.js';
 import { handleCampaignSend } from './jobs/campaignSend.js';
+import { handleAbTestWinner } from './jobs/abTestWinner.js';
+import { handleReportExport } from './jobs/reportExport.js';
+import { handleContactImport } from './jobs/contactImport.js';
+import { handleWebhookDelivery } from './jobs/webhookDelivery.js';
+import { handleAutoTopUp } from './jobs/autoTopUp.js';
+import { handleWalletMaintenance } from './jobs/walletMaintenance.js';
+import { handleComplianceJob } from './jobs/compliance.js';
 import {
   handleAbandonedCartTrigger,
   handleOrderConfirmationTrigger,
@@ -14,9 +21,11 @@ import {
   handleCustomerReengagementTrigger,
   handleBirthdayTrigger,
   handleWelcomeTrigger,
+  handleFlowStep,
   handleReviewRequestTrigger,
   handleCrossSellTrigger,
 } from './jobs/automationTriggers.js';
+import { deferAutomationForQuietHours } from '../services/automation-scheduler.js';
 import { logger } from '../utils/logger.js';
 
 // Skip workers in test mode for faster tests
@@ -85,6 +94,9 @@ export const campaignWorker = skipWorkers
   : new Worker(
     'campaign-send',
     async job => {
+      if (job.name === 'select-ab-winner') {
+        return await handleAbTestWinner(job);
+      }
       return await handleCampaignSend(job);
     },
     {
@@ -108,6 +120,23 @@ export const automationWorker = skipWorkers
 
       // Route to appropriate handler based on job name
       try {
+        // scheduleAutomation already moves jobs (delay 0 included) out of
+        // the shop's quiet hours when they are queued. Delayed jobs are
+        // checked again when due, since quiet hours may have changed since;
+        // jobs without a delay run as queued (e.g. order confirmations,
+        // added straight to the queue)
+        if (job.opts?.delay > 0) {
+          const deferred = await deferAutomationForQuietHours(job);
+          if (deferred) {
+            return {
+              success: false,
+              reason: 'quiet_hours',
+              deferredJobId: deferred.jobId,
+              deferredUntil: deferred.deferredUntil.toISOString(),
+            };
+          }
+        }
+
         switch (job.name) {
         case 'order-confirmation':
           return await handleOrderConfirmationTrigger(job);
@@ -125,6 +154,8 @@ export const automationWorker = skipWorkers
           return await handleBirthdayTrigger(job);
         case 'welcome':
           return await handleWelcomeTrigger(job);
+        case 'flow-step':
+          return await handleFlowStep(job);
         default:
           logger.warn('Unknown automation job type', {
             jobId: job.id,
@@ -196,6 +227,104 @@ export const allCampaignsStatusWorker = skipWorkers
     },
   );
 
+// Report Export Worker
+// Exports read large tables in batches, keep concurrency low
+export const exportWorker = skipWorkers
+  ? new MockWorker('report-export', () => {}, {})
+  : new Worker(
+    'report-export',
+    async job => {
+      return await handleReportExport(job);
+    },
+    {
+      connection: queueRedis,
+      concurrency: 2,
+      removeOnComplete: 50,
+      removeOnFail: 50,
+    },
+  );
+
+// Contact Import Worker
+export const importWorker = skipWorkers
+  ? new MockWorker('contact-import', () => {}, {})
+  : new Worker(
+    'contact-import',
+    async job => {
+      return await handleContactImport(job);
+    },
+    {
+      connection: queueRedis,
+      concurrency: 2,
+      removeOnComplete: 50,
+      removeOnFail: 50,
+    },
+  );
+
+// Outbound Webhook Worker
+// Deliveries mostly wait on merchant servers (10s timeout)
+export const webhookWorker = skipWorkers
+  ? new MockWorker('webhook-delivery', () => {}, {})
+  : new Worker(
+    'webhook-delivery',
+    async job => {
+      return await handleWebhookDelivery(job);
+    },
+    {
+      connection: queueRedis,
+      concurrency: 10,
+      removeOnComplete: 200,
+      removeOnFail: 200,
+    },
+  );
+
+// Auto Top-up Worker
+export const autoTopUpWorker = skipWorkers
+  ? new MockWorker('auto-topup', () => {}, {})
+  : new Worker(
+    'auto-topup',
+    async job => {
+      return await handleAutoTopUp(job);
+    },
+    {
+      connection: queueRedis,
+      concurrency: 2,
+      removeOnComplete: 100,
+      removeOnFail: 100,
+    },
+  );
+
+// Wallet Maintenance Worker
+export const walletMaintenanceWorker = skipWorkers
+  ? new MockWorker('wallet-maintenance', () => {}, {})
+  : new Worker(
+    'wallet-maintenance',
+    async job => {
+      return await handleWalletMaintenance(job);
+    },
+    {
+      connection: queueRedis,
+      concurrency: 1,
+      removeOnComplete: 50,
+      removeOnFail: 50,
+    },
+  );
+
+// Compliance Worker (privacy requests, shop purges)
+export const complianceWorker = skipWorkers
+  ? new MockWorker('compliance', () => {}, {})
+  : new Worker(
+    'compliance',
+    async job => {
+      return await handleComplianceJob(job);
+    },
+    {
+      connection: queueRedis,
+      concurrency: 1,
+      removeOnComplete: 100,
+      removeOnFail: 100,
+    },
+  );
+
 // Event handlers for SMS Worker
 smsWorker.on('completed', job => {
   logger.info(`SMS job completed: ${job.id}`, {
@@ -270,6 +399,69 @@ allCampaignsStatusWorker.on('failed', (job, err) => {
   });
 });
 
+// Event handlers for Report Export Worker
+exportWorker.on('completed', job => {
+  logger.info(`Report export job completed: ${job.id}`, {
+    duration: job.processedOn - job.timestamp,
+  });
+});
+
+exportWorker.on('failed', (job, err) => {
+  logger.error(`Report export job failed: ${job?.id}`, {
+    error: err.message,
+    attempts: job.attemptsMade,
+  });
+});
+
+// Event handlers for Contact Import Worker
+importWorker.on('completed', job => {
+  logger.info(`Contact import job completed: ${job.id}`, {
+    duration: job.processedOn - job.timestamp,
+  });
+});
+
+importWorker.on('failed', (job, err) => {
+  logger.error(`Contact import job failed: ${job?.id}`, {
+    error: err.message,
+    attempts: job.attemptsMade,
+  });
+});
+
+// Event handlers for Outbound Webhook Worker
+webhookWorker.on('failed', (job, err) => {
+  logger.warn(`Webhook delivery job failed: ${job?.id}`, {
+    error: err.message,
+    attempts: job.attemptsMade,
+  });
+});
+
+// Event handlers for Auto Top-up Worker
+autoTopUpWorker.on('failed', (job, err) => {
+  logger.error(`Auto top-up job failed: ${job?.id}`, {
+    error: err.message,
+    attempts: job.attemptsMade,
+  });
+});
+
+// Event handlers for Wallet Maintenance Worker
+walletMaintenanceWorker.on('failed', (job, err) => {
+  logger.error(`Wallet maintenance job failed: ${job?.id}`, {
+    jobName: job?.name,
+    error: err.message,
+    attempts: job?.attemptsMade,
+  });
+});
+
+// Event handlers for Compliance Worker
+complianceWorker.on('failed', (job, err) => {
+  logger.error(`Compliance job failed: ${job?.id}`, {
+    jobName: job?.name,
+    requestId: job?.data?.requestId,
+    error: err.message,
+    attempts: job?.attemptsMade,
+  });
+});
+
 // Graceful shutdown
 const gracefulShutdown = async () => {
   logger.info('Shutting down workers gracefully...');
@@ -280,6 +472,12 @@ const gracefulShutdown = async () => {
     automationWorker.close(),
     deliveryStatusWorker.close(),
     allCampaignsStatusWorker.close(),
+    exportWorker.close(),
+    importWorker.close(),
+    webhookWorker.close(),
+    autoTopUpWorker.close(),
+    walletMaintenanceWorker.close(),
+    complianceWorker.close(),
   ]);
 
   logger.info('All workers shut down');
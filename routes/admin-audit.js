@@ -0,0 +1,10 @@
+import express from 'express';
+import * as ctrl from '../controllers/admin-audit.js';
+import { validateQuery } from '../middlewares/validation.js';
+import { listAuditLogQuerySchema } from '../schemas/admin-audit.schema.js';
+
+const r = express.Router();
+
+r.get('/', validateQuery(listAuditLogQuerySchema), ctrl.listAuditLog);
+
+export default r;
@@ -0,0 +1,18 @@
+import express from 'express';
+import * as ctrl from '../controllers/admin-auth.js';
+import { validateBody } from '../middlewares/validation.js';
+import { requireAdmin } from '../middlewares/admin-auth.js';
+import { adminLoginRateLimit } from '../middlewares/rateLimits.js';
+import { passwordLoginSchema, ssoLoginSchema } from '../schemas/admin-auth.schema.js';
+
+const r = express.Router();
+
+// Sign-in (no admin session yet)
+r.post('/login', adminLoginRateLimit, validateBody(passwordLoginSchema), ctrl.login);
+r.post('/sso', adminLoginRateLimit, validateBody(ssoLoginSchema), ctrl.loginWithSso);
+
+// Current session
+r.get('/me', requireAdmin, ctrl.me);
+r.post('/logout', requireAdmin, ctrl.logout);
+
+export default r;
@@ -0,0 +1,25 @@
+import express from 'express';
+import * as ctrl from '../controllers/admin-jobs.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import { requireAdminPermission } from '../middlewares/admin-auth.js';
+import { AdminPermission } from '../services/admin-rules.js';
+import {
+  listFailedJobsQuerySchema,
+  replayJobSchema,
+} from '../schemas/admin-jobs.schema.js';
+
+const r = express.Router();
+
+// Failed jobs per queue
+r.get('/', ctrl.getFailedCounts);
+r.get('/:queue/failed', validateQuery(listFailedJobsQuerySchema), ctrl.listFailedJobs);
+
+// Replay (audited)
+r.post(
+  '/:queue/:jobId/replay',
+  requireAdminPermission(AdminPermission.replayJobs),
+  validateBody(replayJobSchema),
+  ctrl.replayJob,
+);
+
+export default r;
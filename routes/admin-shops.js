@@ -0,0 +1,44 @@
+import express from 'express';
+import * as ctrl from '../controllers/admin-shops.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import { requireAdminPermission } from '../middlewares/admin-auth.js';
+import { AdminPermission } from '../services/admin-rules.js';
+import {
+  listShopsQuerySchema,
+  grantCreditsSchema,
+  adminReasonSchema,
+} from '../schemas/admin-shops.schema.js';
+
+const r = express.Router();
+
+// Search and overview
+r.get('/', validateQuery(listShopsQuerySchema), ctrl.listShops);
+r.get('/:shopId', ctrl.getShop);
+
+// Support actions (audited)
+r.post(
+  '/:shopId/credits',
+  requireAdminPermission(AdminPermission.grantCredits),
+  validateBody(grantCreditsSchema),
+  ctrl.grantCredits,
+);
+r.post(
+  '/:shopId/suspend',
+  requireAdminPermission(AdminPermission.suspendShops),
+  validateBody(adminReasonSchema),
+  ctrl.suspendShop,
+);
+r.post(
+  '/:shopId/unsuspend',
+  requireAdminPermission(AdminPermission.suspendShops),
+  validateBody(adminReasonSchema),
+  ctrl.unsuspendShop,
+);
+r.post(
+  '/:shopId/impersonate',
+  requireAdminPermission(AdminPermission.impersonate),
+  validateBody(adminReasonSchema),
+  ctrl.impersonateShop,
+);
+
+export default r;
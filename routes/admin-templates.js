@@ -1,13 +1,17 @@
 import express from 'express';
 import * as ctrl from '../controllers/admin-templates.js';
+import { requireAdminPermission } from '../middlewares/admin-auth.js';
+import { AdminPermission } from '../services/admin-rules.js';
 
 const r = express.Router();
 
 // Admin template management routes
 r.get('/', ctrl.getAllTemplatesAdmin);
-r.post('/', ctrl.createTemplate);
 r.get('/:id/stats', ctrl.getTemplateStats);
-r.put('/:id', ctrl.updateTemplate);
-r.delete('/:id', ctrl.deleteTemplate);
+
+const canManage = requireAdminPermission(AdminPermission.manageTemplates);
+r.post('/', canManage, ctrl.createTemplate);
+r.put('/:id', canManage, ctrl.updateTemplate);
+r.delete('/:id', canManage, ctrl.deleteTemplate);
 
 export default r;
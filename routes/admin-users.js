@@ -0,0 +1,19 @@
+import express from 'express';
+import * as ctrl from '../controllers/admin-users.js';
+import { validateBody } from '../middlewares/validation.js';
+import { requireAdminPermission } from '../middlewares/admin-auth.js';
+import { AdminPermission } from '../services/admin-rules.js';
+import {
+  createAdminUserSchema,
+  updateAdminUserSchema,
+} from '../schemas/admin-users.schema.js';
+
+const r = express.Router();
+
+r.use(requireAdminPermission(AdminPermission.manageAdmins));
+
+r.get('/', ctrl.listAdminUsers);
+r.post('/', validateBody(createAdminUserSchema), ctrl.createAdminUser);
+r.patch('/:id', validateBody(updateAdminUserSchema), ctrl.updateAdminUser);
+
+export default r;
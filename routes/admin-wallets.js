@@ -0,0 +1,34 @@
+import express from 'express';
+import * as ctrl from '../controllers/admin-wallets.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import { requireAdminPermission } from '../middlewares/admin-auth.js';
+import { AdminPermission } from '../services/admin-rules.js';
+import {
+  listReconciliationsQuerySchema,
+  correctWalletSchema,
+} from '../schemas/admin-wallets.schema.js';
+
+const r = express.Router();
+
+// Recorded reconciliations and full run
+r.get(
+  '/reconciliations',
+  validateQuery(listReconciliationsQuerySchema),
+  ctrl.listReconciliations,
+);
+r.post(
+  '/reconciliations/run',
+  requireAdminPermission(AdminPermission.manageWallets),
+  ctrl.runReconciliation,
+);
+
+// Per-shop check and correction
+r.get('/:shopId/reconciliation', ctrl.reconcileShop);
+r.post(
+  '/:shopId/reconciliation/correct',
+  requireAdminPermission(AdminPermission.manageWallets),
+  validateBody(correctWalletSchema),
+  ctrl.correctShop,
+);
+
+export default r;
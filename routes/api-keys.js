@@ -0,0 +1,24 @@
+import express from 'express';
+import * as ctrl from '../controllers/api-keys.js';
+import { validateBody } from '../middlewares/validation.js';
+import {
+  createApiKeySchema,
+  updateApiKeySchema,
+} from '../schemas/api-keys.schema.js';
+
+const r = express.Router();
+
+// Scopes a key can be granted
+r.get('/scopes', ctrl.listScopes);
+
+// Key CRUD (DELETE revokes, the key stays listed)
+r.get('/', ctrl.list);
+r.post('/', validateBody(createApiKeySchema), ctrl.create);
+r.get('/:id', ctrl.getOne);
+r.put('/:id', validateBody(updateApiKeySchema), ctrl.update);
+r.delete('/:id', ctrl.revoke);
+
+// New secret for an existing key
+r.post('/:id/rotate', ctrl.rotate);
+
+export default r;
@@ -1,13 +1,49 @@
 import express from 'express';
 import { query, body } from 'express-validator';
 import * as ctrl from '../controllers/audiences.js';
+import * as segmentsCtrl from '../controllers/segments.js';
 import { handleValidation } from '../middlewares/validate.js';
+import { validateBody } from '../middlewares/validation.js';
+import {
+  createSegmentSchema,
+  updateSegmentSchema,
+  previewSegmentSchema,
+} from '../schemas/segments.schema.js';
+import { invalidateCampaignsCache } from '../middlewares/cache.js';
 
 const r = express.Router();
 
 // Get predefined audiences
 r.get('/', ctrl.getAudiences);
 
+// Segment CRUD (static and rule-based segments)
+r.get('/segments', segmentsCtrl.list);
+
+// Preview a segment rule (audience size) before saving
+r.post(
+  '/segments/preview',
+  validateBody(previewSegmentSchema),
+  segmentsCtrl.preview,
+);
+
+r.get('/segments/:id', segmentsCtrl.getOne);
+
+r.post(
+  '/segments',
+  validateBody(createSegmentSchema),
+  invalidateCampaignsCache,
+  segmentsCtrl.create,
+);
+
+r.put(
+  '/segments/:id',
+  validateBody(updateSegmentSchema),
+  invalidateCampaignsCache,
+  segmentsCtrl.update,
+);
+
+r.delete('/segments/:id', invalidateCampaignsCache, segmentsCtrl.remove);
+
 // Get audience details with contact list
 r.get(
   '/:audienceId/details',
@@ -10,6 +10,8 @@ import prisma from '../services/prisma.js';
 import { logger } from '../utils/logger.js';
 import { sendSuccess } from '../utils/response.js';
 import { ValidationError } from '../utils/errors.js';
+import { cancelShopPurge } from '../services/compliance.js';
+import { isImpersonationToken } from '../services/admin-rules.js';
 
 const r = express.Router();
 
@@ -350,6 +352,8 @@ r.get('/callback', async (req, res, _next) => {
       }
     } else {
       // Update access token with retry logic
+      // A reinstall within the purge delay keeps the shop's data
+      const wasUninstalled = Boolean(store.uninstalledAt);
       retries = 3;
       lastError = null;
 
@@ -357,9 +361,12 @@ r.get('/callback', async (req, res, _next) => {
         try {
           store = await prisma.shop.update({
             where: { id: store.id },
-            data: { accessToken },
+            data: { accessToken, status: 'active', uninstalledAt: null },
             include: { settings: true },
           });
+          if (wasUninstalled) {
+            await cancelShopPurge(store.id);
+          }
 
           logger.info('Store access token updated', {
             storeId: store.id,
@@ -548,6 +555,19 @@ r.post('/refresh', async (req, res, next) => {
       });
     }
 
+    // Impersonation tokens are read-only and short-lived; refreshing one would
+    // turn it into a full shop token
+    if (isImpersonationToken(decoded)) {
+      logger.warn('Refresh attempted with impersonation token', {
+        storeId: decoded.storeId,
+        actor: decoded.actor,
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Impersonation tokens cannot be refreshed',
+      });
+    }
+
     // Get store
     const store = await prisma.shop.findUnique({
       where: { id: decoded.storeId },
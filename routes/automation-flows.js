@@ -0,0 +1,26 @@
+import express from 'express';
+import * as ctrl from '../controllers/automation-flows.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import {
+  listFlowsQuerySchema,
+  createFlowSchema,
+  updateFlowSchema,
+} from '../schemas/automation-flows.schema.js';
+
+const r = express.Router();
+
+// Flows
+r.get('/', validateQuery(listFlowsQuerySchema), ctrl.listFlows);
+r.post('/', validateBody(createFlowSchema), ctrl.createFlow);
+r.get('/:id', ctrl.getFlow);
+r.put('/:id', validateBody(updateFlowSchema), ctrl.updateFlow);
+r.delete('/:id', ctrl.deleteFlow);
+
+// Lifecycle
+r.post('/:id/activate', ctrl.activateFlow);
+r.post('/:id/pause', ctrl.pauseFlow);
+
+// Per-node stats
+r.get('/:id/stats', ctrl.getFlowStats);
+
+export default r;
@@ -25,6 +25,21 @@ r.post(
   validateShopifyWebhook,
   ctrl.handleAbandonedCheckout,
 );
+r.post(
+  '/shopify/customers/create',
+  validateShopifyWebhook,
+  ctrl.handleCustomerCreated,
+);
+r.post(
+  '/shopify/customers/update',
+  validateShopifyWebhook,
+  ctrl.handleCustomerUpdated,
+);
+r.post(
+  '/shopify/customers/delete',
+  validateShopifyWebhook,
+  ctrl.handleCustomerDeleted,
+);
 // Flow webhook endpoint (may not have Shopify signature)
 r.post('/flow/abandoned-checkout', ctrl.handleAbandonedCheckout);
 
@@ -7,6 +7,10 @@ import {
   billingHistoryQuerySchema,
   topupCalculateQuerySchema,
   topupCreateSchema,
+  lowBalanceSettingsSchema,
+  autoTopUpHistoryQuerySchema,
+  billingProfileSchema,
+  invoiceListQuerySchema,
 } from '../schemas/billing.schema.js';
 import { billingRateLimit } from '../middlewares/rateLimits.js';
 import {
@@ -65,4 +69,30 @@ r.post(
   ctrl.createPurchase,
 );
 
+// GET/PUT /billing/low-balance - Low balance alerts and auto top-up settings
+r.get('/low-balance', ctrl.getLowBalanceSettings);
+r.put(
+  '/low-balance',
+  validateBody(lowBalanceSettingsSchema),
+  ctrl.updateLowBalanceSettings,
+);
+
+// GET /billing/auto-top-ups - Auto top-up attempts
+r.get(
+  '/auto-top-ups',
+  validateQuery(autoTopUpHistoryQuerySchema),
+  ctrl.getAutoTopUps,
+);
+
+// GET/PUT /billing/profile - Billing profile (company, VAT ID, address)
+r.get('/profile', ctrl.getBillingProfile);
+r.put('/profile', validateBody(billingProfileSchema), ctrl.updateBillingProfile);
+
+// GET /billing/invoices - Invoices of top-ups, credit packs and subscription periods
+r.get('/invoices', validateQuery(invoiceListQuerySchema), ctrl.listInvoices);
+r.get('/invoices/:id', ctrl.getInvoice);
+
+// GET /billing/invoices/:id/pdf - Download an invoice
+r.get('/invoices/:id/pdf', ctrl.downloadInvoice);
+
 export default r;
@@ -6,6 +6,7 @@ import {
   updateCampaignSchema,
   listCampaignsQuerySchema,
   scheduleCampaignSchema,
+  listCampaignRunsQuerySchema,
 } from '../schemas/campaigns.schema.js';
 import {
   campaignsRateLimit,
@@ -95,6 +96,9 @@ r.post(
   ctrl.cancel,
 );
 
+// GET /campaigns/:id/runs - List runs of a recurring campaign with their metrics
+r.get('/:id/runs', validateQuery(listCampaignRunsQuerySchema), ctrl.runs);
+
 // GET /campaigns/:id/metrics - Get campaign metrics
 r.get('/:id/metrics', campaignMetricsCache, ctrl.metrics);
 
@@ -0,0 +1,13 @@
+import express from 'express';
+import * as ctrl from '../controllers/compliance-webhooks.js';
+import { validateShopifyWebhook } from '../middlewares/shopify-webhook.js';
+
+const r = express.Router();
+
+// Shopify privacy and uninstall webhooks (signature verification required)
+r.post('/customers/data_request', validateShopifyWebhook, ctrl.handleCustomersDataRequest);
+r.post('/customers/redact', validateShopifyWebhook, ctrl.handleCustomersRedact);
+r.post('/shop/redact', validateShopifyWebhook, ctrl.handleShopRedact);
+r.post('/app_uninstalled', validateShopifyWebhook, ctrl.handleAppUninstalled);
+
+export default r;
@@ -0,0 +1,11 @@
+import express from 'express';
+import * as ctrl from '../controllers/compliance.js';
+import { validateQuery } from '../middlewares/validation.js';
+import { listComplianceRequestsQuerySchema } from '../schemas/compliance.schema.js';
+
+const r = express.Router();
+
+r.get('/requests', validateQuery(listComplianceRequestsQuerySchema), ctrl.listRequests);
+r.get('/requests/:id/export', ctrl.downloadExport);
+
+export default r;
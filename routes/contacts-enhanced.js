@@ -2,12 +2,20 @@ import express from 'express';
 import {
   list,
   getOne,
+  consentAudit,
   create,
   update,
   remove,
   stats,
   getBirthdayContacts,
   importCsv,
+  uploadImport,
+  getImport,
+  startImport,
+  downloadImportErrors,
+  startShopifySync,
+  listShopifySyncs,
+  getShopifySync,
 } from '../controllers/contacts-enhanced.js';
 import { validateBody, validateQuery } from '../middlewares/validation.js';
 import {
@@ -15,6 +23,8 @@ import {
   updateContactSchema,
   listContactsQuerySchema,
   importContactsSchema,
+  startContactImportSchema,
+  consentAuditQuerySchema,
   birthdayContactsQuerySchema,
 } from '../schemas/contacts.schema.js';
 import {
@@ -57,9 +67,47 @@ router.get(
   getBirthdayContacts,
 );
 
+// POST /api/contacts/imports - Upload a CSV file (text/csv body, streamed)
+router.post('/imports', importRateLimit, uploadImport);
+
+// GET /api/contacts/imports/:id - Import status, progress and report
+router.get('/imports/:id', getImport);
+
+// POST /api/contacts/imports/:id/start - Validate (dry run) or run an import
+router.post(
+  '/imports/:id/start',
+  validateBody(startContactImportSchema),
+  invalidateContactsCache,
+  startImport,
+);
+
+// GET /api/contacts/imports/:id/errors - Download rows that failed
+router.get('/imports/:id/errors', downloadImportErrors);
+
+// POST /api/contacts/shopify-sync - Backfill contacts from all Shopify customers
+router.post(
+  '/shopify-sync',
+  importRateLimit,
+  invalidateContactsCache,
+  startShopifySync,
+);
+
+// GET /api/contacts/shopify-sync - Latest Shopify customer syncs
+router.get('/shopify-sync', listShopifySyncs);
+
+// GET /api/contacts/shopify-sync/:id - Sync status, progress and counts
+router.get('/shopify-sync/:id', getShopifySync);
+
 // GET /api/contacts/:id - Get single contact
 router.get('/:id', getOne);
 
+// GET /api/contacts/:id/consent - Consent audit trail (JSON or CSV export)
+router.get(
+  '/:id/consent',
+  validateQuery(consentAuditQuerySchema),
+  consentAudit,
+);
+
 // POST /api/contacts - Create new contact
 router.post(
   '/',
@@ -21,6 +21,7 @@ r.get('/health/config', (req, res) =>
     ok: true,
     shopify: shopifyDiag(),
     redis: !!process.env.REDIS_URL,
+    smsProvider: process.env.SMS_PROVIDER || 'mitto',
     mitto: {
       base: process.env.MITTO_API_BASE || '',
       hasKey: !!process.env.MITTO_API_KEY,
@@ -150,41 +151,7 @@ r.get('/health/full', async (req, res) => {
   res.json(out);
 });
 
-// app uninstall webhook (Shopify validates HMAC if you use Registry.process in a handler)
-r.post('/webhooks/app_uninstalled', async (req, res) => {
-  // Note: Shopify webhook validation should be implemented via Registry.process
-  // Cleanup shop data when app is uninstalled
-  const shopDomain = req.body?.myshopify_domain;
-  if (shopDomain) {
-    logger.info('App uninstall webhook received', { shopDomain });
-    // Note: Shop cleanup is handled via Prisma cascade deletes (onDelete: Cascade)
-    // All related data (campaigns, contacts, messages, etc.) will be automatically deleted
-    // when the Shop record is deleted. Manual cleanup is only needed if we want to
-    // preserve some data or perform additional actions (e.g., notify admin, export data).
-    try {
-      const prisma = (await import('../services/prisma.js')).default;
-      const shop = await prisma.shop.findUnique({
-        where: { shopDomain },
-        select: { id: true },
-      });
-      if (shop) {
-        // Mark shop as inactive instead of deleting (soft delete)
-        await prisma.shop.update({
-          where: { id: shop.id },
-          data: { status: 'inactive' },
-        });
-        logger.info('Shop marked as inactive', { shopId: shop.id, shopDomain });
-      }
-    } catch (error) {
-      logger.error('Error handling app uninstall', {
-        shopDomain,
-        error: error.message,
-      });
-      // Don't fail the webhook - Shopify expects 200 response
-    }
-  }
-  res.status(200).send('OK');
-});
+// app uninstall and privacy webhooks: routes/compliance-webhooks.js
 
 // example "whoami" with session token - requires store context
 // Use resolveStore middleware to extract store from token/headers
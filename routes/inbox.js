@@ -0,0 +1,34 @@
+import express from 'express';
+import * as ctrl from '../controllers/inbox.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import {
+  listConversationsQuerySchema,
+  conversationThreadQuerySchema,
+  replySchema,
+} from '../schemas/inbox.schema.js';
+
+const r = express.Router();
+
+// Conversations, most recent first
+r.get(
+  '/conversations',
+  validateQuery(listConversationsQuerySchema),
+  ctrl.listConversations,
+);
+
+// Unread counters (inbox badge)
+r.get('/unread-count', ctrl.unreadCount);
+
+// Conversation with its message history
+r.get(
+  '/conversations/:id',
+  validateQuery(conversationThreadQuerySchema),
+  ctrl.getConversation,
+);
+
+r.post('/conversations/:id/read', ctrl.markRead);
+
+// Reply (charged like any other SMS)
+r.post('/conversations/:id/reply', validateBody(replySchema), ctrl.reply);
+
+export default r;
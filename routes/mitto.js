@@ -4,4 +4,7 @@ const r = Router();
 // Adjust paths to match Mitto webhook config
 r.post('/webhooks/mitto/dlr', ctrl.deliveryReport);
 r.post('/webhooks/mitto/inbound', ctrl.inboundMessage);
+// Provider-agnostic webhooks (e.g. /webhooks/sms/loopback/dlr)
+r.post('/webhooks/sms/:provider/dlr', ctrl.deliveryReport);
+r.post('/webhooks/sms/:provider/inbound', ctrl.inboundMessage);
 export default r;
@@ -0,0 +1,12 @@
+import express from 'express';
+import * as ctrl from '../controllers/notifications.js';
+import { validateQuery } from '../middlewares/validation.js';
+import { listNotificationsQuerySchema } from '../schemas/notifications.schema.js';
+
+const r = express.Router();
+
+r.get('/', validateQuery(listNotificationsQuerySchema), ctrl.list);
+r.post('/read-all', ctrl.markAllRead);
+r.post('/:id/read', ctrl.markRead);
+
+export default r;
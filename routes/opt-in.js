@@ -1,5 +1,9 @@
 import express from 'express';
-import { handleOptIn } from '../controllers/opt-in.js';
+import {
+  handleOptIn,
+  getConfirmation,
+  confirmOptIn,
+} from '../controllers/opt-in.js';
 import { validateBody } from '../middlewares/validation.js';
 import { optInSchema } from '../schemas/opt-in.schema.js';
 import { rateLimitConfig } from '../config/security.js';
@@ -17,4 +21,10 @@ router.use(rateLimitConfig.sms);
 // POST /api/opt-in - Public opt-in endpoint
 router.post('/', validateBody(optInSchema), handleOptIn);
 
+// GET /api/opt-in/confirm/:token - Double opt-in confirmation page info
+router.get('/confirm/:token', getConfirmation);
+
+// POST /api/opt-in/confirm/:token - Confirm double opt-in
+router.post('/confirm/:token', confirmOptIn);
+
 export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import { downloadExport } from '../controllers/reports.js';
+import { rateLimitConfig } from '../config/security.js';
+
+const router = express.Router();
+
+/**
+ * Report Export Download Routes
+ * Public downloads authorized by a signed, expiring link
+ * (see GET /reports/exports/:id for the URL)
+ */
+
+router.use(rateLimitConfig.general);
+
+// GET /exports/:id/download?expires=&signature=
+router.get('/:id/download', downloadExport);
+
+export default router;
@@ -4,6 +4,8 @@ import {
   rlReportsGeneral,
   rlReportsExport,
 } from '../middlewares/rateLimits.js';
+import { validateQuery } from '../middlewares/validation.js';
+import { exportReportQuerySchema } from '../schemas/reports.schema.js';
 import * as ctrl from '../controllers/reports.js';
 const r = Router();
 
@@ -18,8 +20,15 @@ r.get('/automations', rlReportsGeneral, ctrl.automations);
 r.get('/messaging', rlReportsGeneral, ctrl.messaging);
 r.get('/credits', rlReportsGeneral, ctrl.credits);
 r.get('/contacts', rlReportsGeneral, ctrl.contacts);
+r.get('/attribution', rlReportsGeneral, ctrl.attribution); // Attributed revenue and ROI
 
-// Export functionality
-r.get('/export', rlReportsExport, ctrl.exportData);
+// Export functionality (queued, poll the status endpoint for the download URL)
+r.get(
+  '/export',
+  rlReportsExport,
+  validateQuery(exportReportQuerySchema),
+  ctrl.exportData,
+);
+r.get('/exports/:id', rlReportsGeneral, ctrl.exportStatus);
 
 export default r;
@@ -0,0 +1,45 @@
+import express from 'express';
+import * as ctrl from '../controllers/shop-templates.js';
+import { validateBody, validateParams, validateQuery } from '../middlewares/validation.js';
+import {
+  templateFolderSchema,
+  listShopTemplatesQuerySchema,
+  createShopTemplateSchema,
+  updateShopTemplateSchema,
+  forkTemplateSchema,
+  listTemplateVersionsQuerySchema,
+  templateVersionParamsSchema,
+  templateDiffQuerySchema,
+} from '../schemas/shop-templates.schema.js';
+
+const r = express.Router();
+
+// Folders
+r.get('/folders', ctrl.listFolders);
+r.post('/folders', validateBody(templateFolderSchema), ctrl.createFolder);
+r.put('/folders/:folderId', validateBody(templateFolderSchema), ctrl.renameFolder);
+r.delete('/folders/:folderId', ctrl.deleteFolder);
+
+// Templates
+r.get('/', validateQuery(listShopTemplatesQuerySchema), ctrl.listTemplates);
+r.post('/', validateBody(createShopTemplateSchema), ctrl.createTemplate);
+r.post('/fork', validateBody(forkTemplateSchema), ctrl.forkTemplate);
+r.get('/:id', ctrl.getTemplate);
+r.put('/:id', validateBody(updateShopTemplateSchema), ctrl.updateTemplate);
+r.delete('/:id', ctrl.deleteTemplate);
+
+// Version history
+r.get('/:id/versions', validateQuery(listTemplateVersionsQuerySchema), ctrl.listVersions);
+r.get('/:id/versions/:version', validateParams(templateVersionParamsSchema), ctrl.getVersion);
+r.post(
+  '/:id/versions/:version/restore',
+  validateParams(templateVersionParamsSchema),
+  ctrl.restoreVersion,
+);
+r.get('/:id/diff', validateQuery(templateDiffQuerySchema), ctrl.diffVersions);
+
+// Library template a fork came from
+r.get('/:id/source-diff', ctrl.getSourceDiff);
+r.post('/:id/source-sync', ctrl.syncWithSource);
+
+export default r;
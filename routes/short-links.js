@@ -0,0 +1,17 @@
+import express from 'express';
+import { redirectShortLink } from '../controllers/short-links.js';
+import { rateLimitConfig } from '../config/security.js';
+
+const router = express.Router();
+
+/**
+ * Short Link Routes
+ * Public redirect for self-hosted short links sent in SMS
+ */
+
+router.use(rateLimitConfig.general);
+
+// GET /s/:code - Record the click and redirect to the target URL
+router.get('/:code', redirectShortLink);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import * as ctrl from '../controllers/webhook-endpoints.js';
+import { validateBody, validateQuery } from '../middlewares/validation.js';
+import {
+  createEndpointSchema,
+  updateEndpointSchema,
+  listDeliveriesQuerySchema,
+} from '../schemas/webhooks.schema.js';
+
+const r = express.Router();
+
+// Event types endpoints can subscribe to
+r.get('/events', ctrl.listEvents);
+
+// Delivery log (all endpoints)
+r.get(
+  '/deliveries',
+  validateQuery(listDeliveriesQuerySchema),
+  ctrl.listDeliveries,
+);
+r.post('/deliveries/:deliveryId/redeliver', ctrl.redeliver);
+
+// Endpoint CRUD
+r.get('/', ctrl.list);
+r.post('/', validateBody(createEndpointSchema), ctrl.create);
+r.get('/:id', ctrl.getOne);
+r.put('/:id', validateBody(updateEndpointSchema), ctrl.update);
+r.delete('/:id', ctrl.remove);
+
+// Signing secret rotation and test event
+r.post('/:id/rotate-secret', ctrl.rotateSecret);
+r.post('/:id/test', ctrl.sendTest);
+
+export default r;
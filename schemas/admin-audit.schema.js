@@ -0,0 +1,24 @@
+import { z } from 'zod';
+import { ADMIN_ACTIONS } from '../services/admin-rules.js';
+
+/**
+ * Admin Audit Log Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+/**
+ * List Audit Log Query Schema
+ */
+export const listAuditLogQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(50),
+  shopId: z.string().trim().min(1).optional(),
+  adminUserId: z.string().trim().min(1).optional(),
+  action: z.enum(ADMIN_ACTIONS).optional(),
+  from: z.string().trim().datetime().optional(),
+  to: z.string().trim().datetime().optional(),
+});
+
+export default {
+  listAuditLogQuerySchema,
+};
@@ -0,0 +1,26 @@
+import { z } from 'zod';
+
+/**
+ * Admin Auth Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+/**
+ * Password Login Schema
+ */
+export const passwordLoginSchema = z.object({
+  email: z.string().trim().email('A valid email is required').max(255),
+  password: z.string().min(1, 'Password is required').max(200),
+});
+
+/**
+ * SSO Login Schema
+ */
+export const ssoLoginSchema = z.object({
+  token: z.string().trim().min(1, 'SSO token is required').max(4096),
+});
+
+export default {
+  passwordLoginSchema,
+  ssoLoginSchema,
+};
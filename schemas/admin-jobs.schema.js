@@ -0,0 +1,30 @@
+import { z } from 'zod';
+
+/**
+ * Admin Job Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+/**
+ * List Failed Jobs Query Schema
+ */
+export const listFailedJobsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+});
+
+/**
+ * Replay Job Schema
+ */
+export const replayJobSchema = z.object({
+  reason: z
+    .string()
+    .trim()
+    .min(5, 'A reason is required')
+    .max(500, 'Reason too long'),
+});
+
+export default {
+  listFailedJobsQuerySchema,
+  replayJobSchema,
+};
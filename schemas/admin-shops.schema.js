@@ -0,0 +1,50 @@
+import { z } from 'zod';
+import { MAX_CREDIT_GRANT } from '../services/admin-rules.js';
+
+/**
+ * Admin Shop Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+const reasonSchema = z
+  .string()
+  .trim()
+  .min(5, 'A reason is required')
+  .max(500, 'Reason too long');
+
+/**
+ * List Shops Query Schema
+ */
+export const listShopsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  search: z.string().trim().min(1).max(255).optional(),
+  status: z.string().trim().min(1).max(20).optional(),
+  subscriptionStatus: z.enum(['active', 'inactive', 'cancelled']).optional(),
+  suspended: z
+    .enum(['true', 'false'])
+    .optional()
+    .transform(value => (value === undefined ? undefined : value === 'true')),
+});
+
+/**
+ * Grant Credits Schema
+ */
+export const grantCreditsSchema = z.object({
+  amount: z.number().int().positive().max(MAX_CREDIT_GRANT),
+  reason: reasonSchema,
+  expiresInDays: z.number().int().positive().max(3650).optional(), // Never expires if omitted
+});
+
+/**
+ * Admin Reason Schema (suspend, unsuspend, impersonate)
+ */
+export const adminReasonSchema = z.object({
+  reason: reasonSchema,
+});
+
+export default {
+  listShopsQuerySchema,
+  grantCreditsSchema,
+  adminReasonSchema,
+};
@@ -0,0 +1,38 @@
+import { z } from 'zod';
+import { ADMIN_ROLES } from '../services/admin-rules.js';
+
+/**
+ * Admin User Validation Schemas
+ * Using Zod for type-safe input validation
+ *
+ * Password strength is checked by services/admin-rules.js.
+ */
+
+/**
+ * Create Admin User Schema
+ */
+export const createAdminUserSchema = z.object({
+  email: z.string().trim().email('A valid email is required').max(255),
+  name: z.string().trim().min(1).max(200).optional(),
+  role: z.enum(ADMIN_ROLES),
+  password: z.string().max(200).optional(), // Omit for SSO-only admins
+});
+
+/**
+ * Update Admin User Schema
+ */
+export const updateAdminUserSchema = z
+  .object({
+    name: z.string().trim().min(1).max(200).optional(),
+    role: z.enum(ADMIN_ROLES).optional(),
+    isActive: z.boolean().optional(),
+    password: z.string().max(200).optional(),
+  })
+  .refine(data => Object.values(data).some(value => value !== undefined), {
+    message: 'At least one field must be provided for update',
+  });
+
+export default {
+  createAdminUserSchema,
+  updateAdminUserSchema,
+};
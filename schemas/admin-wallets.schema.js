@@ -0,0 +1,38 @@
+import { z } from 'zod';
+import {
+  ReconciliationStatus,
+  TrustSource,
+} from '../services/wallet-reconciliation-rules.js';
+
+/**
+ * Admin Wallet Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+/**
+ * List Reconciliations Query Schema
+ */
+export const listReconciliationsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  status: z.enum(Object.values(ReconciliationStatus)).optional(),
+  shopId: z.string().trim().min(1).optional(),
+});
+
+/**
+ * Correct Wallet Schema
+ */
+export const correctWalletSchema = z.object({
+  trust: z.enum(Object.values(TrustSource)),
+  auditReason: z
+    .string()
+    .trim()
+    .min(5, 'Audit reason is required')
+    .max(500, 'Audit reason too long'),
+  releaseReservations: z.boolean().optional().default(true),
+});
+
+export default {
+  listReconciliationsQuerySchema,
+  correctWalletSchema,
+};
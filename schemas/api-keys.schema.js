@@ -0,0 +1,52 @@
+import { z } from 'zod';
+import {
+  API_SCOPES,
+  MAX_RATE_LIMIT_PER_MINUTE,
+} from '../services/api-key-rules.js';
+
+/**
+ * API Key Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+const scopesSchema = z
+  .array(z.enum(API_SCOPES))
+  .min(1, 'At least one scope is required');
+
+const rateLimitSchema = z.coerce
+  .number()
+  .int()
+  .min(1, 'Rate limit must be at least 1 request per minute')
+  .max(
+    MAX_RATE_LIMIT_PER_MINUTE,
+    `Rate limit cannot exceed ${MAX_RATE_LIMIT_PER_MINUTE} requests per minute`,
+  );
+
+/**
+ * Create API Key Schema
+ */
+export const createApiKeySchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name too long'),
+  scopes: scopesSchema,
+  rateLimitPerMinute: rateLimitSchema.optional(),
+  expiresAt: z.coerce.date().optional(),
+});
+
+/**
+ * Update API Key Schema
+ */
+export const updateApiKeySchema = z
+  .object({
+    name: z.string().trim().min(1, 'Name is required').max(100, 'Name too long').optional(),
+    scopes: scopesSchema.optional(),
+    rateLimitPerMinute: rateLimitSchema.optional(),
+    expiresAt: z.coerce.date().nullable().optional(),
+  })
+  .refine(data => Object.values(data).some(value => value !== undefined), {
+    message: 'At least one field must be provided for update',
+  });
+
+export default {
+  createApiKeySchema,
+  updateApiKeySchema,
+};
@@ -0,0 +1,147 @@
+import { z } from 'zod';
+import {
+  MAX_FLOW_NODES,
+  MAX_BRANCHES,
+  FLOW_TRIGGERS,
+  FLOW_STATUSES,
+  COMPARISON_OPERATORS,
+  WAIT_UNITS,
+  ConditionType,
+  NodeType,
+} from '../services/flow-rules.js';
+
+/**
+ * Automation Flow Validation Schemas
+ * Using Zod for type-safe input validation
+ *
+ * These check the shape of each node; links, waits and loops are checked on
+ * the whole graph by services/flow-rules.js.
+ */
+
+const nodeIdSchema = z
+  .string()
+  .trim()
+  .min(1)
+  .max(64)
+  .regex(/^[A-Za-z0-9_-]+$/, 'Node ids may only contain letters, digits, - and _');
+
+const conditionSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal(ConditionType.hasPurchased),
+    value: z.boolean().default(true),
+    sinceEntry: z.boolean().optional(), // Only orders placed after entering the flow
+  }),
+  z.object({
+    type: z.literal(ConditionType.clicked),
+    value: z.boolean().default(true),
+  }),
+  z.object({
+    type: z.literal(ConditionType.hasTag),
+    tag: z.string().trim().min(1).max(100),
+  }),
+  z.object({
+    type: z.literal(ConditionType.orderValue),
+    operator: z.enum(COMPARISON_OPERATORS),
+    value: z.number().nonnegative(),
+  }),
+]);
+
+// Builder-only fields, ignored by the engine
+const nodeBase = {
+  id: nodeIdSchema,
+  label: z.string().trim().max(100).optional(),
+  position: z.object({ x: z.number(), y: z.number() }).optional(),
+};
+
+const nodeSchema = z.discriminatedUnion('type', [
+  z.object({
+    ...nodeBase,
+    type: z.literal(NodeType.trigger),
+    next: nodeIdSchema.optional(),
+  }),
+  z.object({
+    ...nodeBase,
+    type: z.literal(NodeType.wait),
+    delay: z.object({
+      amount: z.number().int().positive(),
+      unit: z.enum(WAIT_UNITS),
+    }),
+    next: nodeIdSchema.optional(),
+  }),
+  z.object({
+    ...nodeBase,
+    type: z.literal(NodeType.condition),
+    condition: conditionSchema,
+    yes: nodeIdSchema.optional(),
+    no: nodeIdSchema.optional(),
+  }),
+  z.object({
+    ...nodeBase,
+    type: z.literal(NodeType.branch),
+    branches: z
+      .array(z.object({ condition: conditionSchema, next: nodeIdSchema.optional() }))
+      .min(1)
+      .max(MAX_BRANCHES),
+    defaultNext: nodeIdSchema.optional(),
+  }),
+  z.object({
+    ...nodeBase,
+    type: z.literal(NodeType.sendSms),
+    message: z
+      .string()
+      .trim()
+      .min(1)
+      .max(1600, 'Message must be less than 1600 characters (SMS limit)')
+      .optional(), // Defaults to the template's content
+    templateId: z.string().trim().min(1).optional(), // Shop or library template
+    next: nodeIdSchema.optional(),
+  }),
+  z.object({
+    ...nodeBase,
+    type: z.literal(NodeType.exit),
+  }),
+]);
+
+const graphSchema = z.object({
+  nodes: z.array(nodeSchema).min(1).max(MAX_FLOW_NODES),
+});
+
+/**
+ * List Flows Query Schema
+ */
+export const listFlowsQuerySchema = z.object({
+  status: z.enum(FLOW_STATUSES).optional(),
+  trigger: z.enum(FLOW_TRIGGERS).optional(),
+});
+
+/**
+ * Create Flow Schema
+ */
+export const createFlowSchema = z.object({
+  name: z.string().trim().min(1, 'Flow name is required').max(120),
+  description: z.string().trim().max(500).optional(),
+  trigger: z.enum(FLOW_TRIGGERS),
+  graph: graphSchema,
+  allowReentry: z.boolean().optional(),
+});
+
+/**
+ * Update Flow Schema
+ */
+export const updateFlowSchema = z
+  .object({
+    name: z.string().trim().min(1).max(120).optional(),
+    description: z.string().trim().max(500).nullable().optional(),
+    trigger: z.enum(FLOW_TRIGGERS).optional(),
+    graph: graphSchema.optional(),
+    allowReentry: z.boolean().optional(),
+  })
+  .refine(data => Object.values(data).some(value => value !== undefined), {
+    message: 'Nothing to update',
+  });
+
+export default {
+  listFlowsQuerySchema,
+  createFlowSchema,
+  updateFlowSchema,
+};
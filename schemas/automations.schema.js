@@ -29,21 +29,28 @@ const automationStatusSchema = z.enum(['draft', 'active', 'paused']);
 /**
  * Create automation request schema
  */
-export const createAutomationSchema = z.object({
-  name: z
-    .string()
-    .trim()
-    .min(1, 'Automation name is required')
-    .max(255, 'Automation name must be less than 255 characters'),
-  trigger: automationTriggerSchema,
-  message: z
-    .string()
-    .trim()
-    .min(10, 'Message must be at least 10 characters')
-    .max(1600, 'Message must be less than 1600 characters (SMS limit)'),
-  status: automationStatusSchema.optional().default('draft'),
-  triggerConditions: z.record(z.any()).optional().default({}),
-});
+export const createAutomationSchema = z
+  .object({
+    name: z
+      .string()
+      .trim()
+      .min(1, 'Automation name is required')
+      .max(255, 'Automation name must be less than 255 characters'),
+    trigger: automationTriggerSchema,
+    message: z
+      .string()
+      .trim()
+      .min(10, 'Message must be at least 10 characters')
+      .max(1600, 'Message must be less than 1600 characters (SMS limit)')
+      .optional(), // Defaults to the template's content
+    templateId: z.string().trim().min(1).optional(), // Shop or library template
+    status: automationStatusSchema.optional().default('draft'),
+    triggerConditions: z.record(z.any()).optional().default({}),
+  })
+  .refine(data => !!data.message || !!data.templateId, {
+    message: 'Message is required',
+    path: ['message'],
+  });
 
 /**
  * Update automation request schema
@@ -64,6 +71,7 @@ export const updateAutomationSchema = z.object({
     .max(1600)
     .optional(),
   isActive: z.boolean().optional(),
+  templateId: z.string().trim().min(1).optional(), // Used when no message is given
 });
 
 /**
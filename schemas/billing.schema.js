@@ -1,4 +1,6 @@
 import { z } from 'zod';
+import { ALERT_CHANNELS } from '../services/balance-alerts.js';
+import { InvoiceType } from '../services/invoice-rules.js';
 
 /**
  * Billing Validation Schemas
@@ -184,11 +186,85 @@ export const topupCreateSchema = z.object({
     ),
 });
 
+/**
+ * Low Balance Settings Schema
+ * Consistency rules (email channel, auto top-up package and cap) are
+ * checked by services/balance-alerts.js.
+ */
+export const lowBalanceSettingsSchema = z
+  .object({
+    threshold: z
+      .number()
+      .int()
+      .min(0, 'Threshold cannot be negative')
+      .max(1000000, 'Threshold too high')
+      .nullable()
+      .optional(),
+    alertChannels: z.array(z.enum(ALERT_CHANNELS)).optional(),
+    alertEmail: z.string().trim().email('Invalid email').nullable().optional(),
+    autoTopUp: z
+      .object({
+        enabled: z.boolean().optional(),
+        packageId: z.string().trim().min(1).nullable().optional(),
+        monthlyCapCents: z
+          .number()
+          .int()
+          .positive('Monthly cap must be positive')
+          .nullable()
+          .optional(),
+      })
+      .optional(),
+  })
+  .refine(data => Object.values(data).some(value => value !== undefined), {
+    message: 'At least one field must be provided for update',
+  });
+
+/**
+ * Auto Top-up History Query Schema
+ */
+export const autoTopUpHistoryQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+});
+
+/**
+ * Billing Profile Schema
+ * The VAT ID format is checked against the country by
+ * services/vat-rules.js.
+ */
+export const billingProfileSchema = z.object({
+  companyName: z.string().trim().min(1, 'Company name is required').max(200),
+  vatId: z.string().trim().max(20, 'VAT ID too long').nullable().optional(),
+  email: z.string().trim().email('Invalid email').max(255).nullable().optional(),
+  addressLine1: z.string().trim().min(1, 'Address is required').max(200),
+  addressLine2: z.string().trim().max(200).nullable().optional(),
+  city: z.string().trim().min(1, 'City is required').max(100),
+  postalCode: z.string().trim().min(1, 'Postal code is required').max(20),
+  region: z.string().trim().max(100).nullable().optional(),
+  country: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z]{2}$/, 'Country must be an ISO 3166-1 alpha-2 code'),
+});
+
+/**
+ * Invoice List Query Schema
+ */
+export const invoiceListQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  type: z.enum(Object.values(InvoiceType)).optional(),
+});
+
 export default {
   createPurchaseSchema,
   transactionHistoryQuerySchema,
   billingHistoryQuerySchema,
   topupCalculateQuerySchema,
   topupCreateSchema,
+  lowBalanceSettingsSchema,
+  autoTopUpHistoryQuerySchema,
+  billingProfileSchema,
+  invoiceListQuerySchema,
   currencySchema,
 };
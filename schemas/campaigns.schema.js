@@ -39,6 +39,54 @@ const audienceSchema = z.string().refine(
   },
 );
 
+// Recurrence rule validation (interval limits per frequency are checked by
+// services/campaign-recurrence.js)
+const recurrenceSchema = z
+  .object({
+    frequency: z.enum(['daily', 'weekly', 'monthly']),
+    interval: z.number().int().positive().max(365).default(1),
+    weekdays: z.array(z.number().int().min(0).max(6)).min(1).max(7).optional(),
+    dayOfMonth: z.number().int().min(1).max(31).optional(),
+    endAt: z
+      .string()
+      .trim()
+      .datetime({ message: 'End date must be a valid ISO 8601 datetime string' })
+      .optional()
+      .nullable(),
+    maxOccurrences: z.number().int().positive().max(1000).optional().nullable(),
+  })
+  .refine(data => data.frequency !== 'weekly' || !!data.weekdays, {
+    message: 'Weekdays are required for weekly recurrence',
+    path: ['weekdays'],
+  })
+  .refine(data => data.frequency !== 'monthly' || !!data.dayOfMonth, {
+    message: 'Day of month is required for monthly recurrence',
+    path: ['dayOfMonth'],
+  });
+
+// A/B test variants (weights and test limits are checked by
+// services/campaign-ab-test.js)
+const variantSchema = z.object({
+  label: z.string().trim().min(1).max(10).optional(),
+  message: z
+    .string()
+    .trim()
+    .min(1, 'Variant message is required')
+    .max(1600, 'Message is too long (max 1600 characters)'),
+  weight: z.number().int().min(1).max(99).optional(),
+});
+
+const variantsSchema = z
+  .array(variantSchema)
+  .min(2, 'At least two variants are required')
+  .max(5, 'At most five variants are allowed');
+
+const abTestSchema = z.object({
+  mode: z.enum(['split', 'winner']).default('split'),
+  testPercent: z.number().int().min(5).max(50).optional(),
+  waitHours: z.number().min(1).max(72).optional(),
+});
+
 /**
  * Create Campaign Schema
  */
@@ -53,7 +101,11 @@ export const createCampaignSchema = z
       .string()
       .trim()
       .min(1, 'Campaign message is required')
-      .max(1600, 'Message is too long (max 1600 characters)'),
+      .max(1600, 'Message is too long (max 1600 characters)')
+      .optional(), // Defaults to the first variant's message, then the template's
+    templateId: z.string().trim().min(1).optional(), // Shop or library template
+    variants: variantsSchema.optional(),
+    abTest: abTestSchema.optional(),
     audience: audienceSchema.default('all'),
     discountId: z
       .string()
@@ -63,6 +115,7 @@ export const createCampaignSchema = z
       .refine(val => !val || val.length > 0, {
         message: 'Discount ID cannot be an empty string',
       }), // Optional - campaign can be created without discount
+    uniqueDiscountCodes: z.boolean().default(false), // One single-use code per recipient
     scheduleType: scheduleTypeSchema.default('immediate'),
     scheduleAt: z
       .string()
@@ -75,8 +128,21 @@ export const createCampaignSchema = z
         message: 'Schedule date cannot be an empty string',
       }),
     recurringDays: z.number().int().positive().max(365).optional(),
+    recurrence: recurrenceSchema.optional(),
     priority: campaignPrioritySchema.default('normal'),
   })
+  .refine(data => !!data.message || !!data.variants || !!data.templateId, {
+    message: 'Campaign message is required',
+    path: ['message'],
+  })
+  .refine(data => !data.abTest || !!data.variants, {
+    message: 'A/B test requires variants',
+    path: ['abTest'],
+  })
+  .refine(data => !data.uniqueDiscountCodes || !!data.discountId, {
+    message: 'Unique discount codes require a discount',
+    path: ['uniqueDiscountCodes'],
+  })
   .refine(
     data => {
       if (data.scheduleType === 'scheduled') {
@@ -92,13 +158,14 @@ export const createCampaignSchema = z
   .refine(
     data => {
       if (data.scheduleType === 'recurring') {
-        return !!data.recurringDays && data.recurringDays > 0;
+        return !!data.recurrence || (!!data.recurringDays && data.recurringDays > 0);
       }
       return true;
     },
     {
-      message: 'Recurring days is required for recurring campaigns',
-      path: ['recurringDays'],
+      message:
+        'Recurrence or recurring days is required for recurring campaigns',
+      path: ['recurrence'],
     },
   )
   .refine(
@@ -135,6 +202,8 @@ export const updateCampaignSchema = z
       .min(1, 'Campaign message cannot be empty')
       .max(1600, 'Message is too long (max 1600 characters)')
       .optional(),
+    variants: variantsSchema.optional().nullable(), // null removes the A/B test
+    abTest: abTestSchema.optional(),
     audience: audienceSchema.optional(),
     discountId: z
       .string()
@@ -144,6 +213,7 @@ export const updateCampaignSchema = z
       .refine(val => val === null || val === undefined || val.length > 0, {
         message: 'Discount ID cannot be an empty string',
       }),
+    uniqueDiscountCodes: z.boolean().optional(),
     scheduleType: scheduleTypeSchema.optional(),
     scheduleAt: z
       .string()
@@ -157,6 +227,7 @@ export const updateCampaignSchema = z
         message: 'Schedule date cannot be an empty string',
       }),
     recurringDays: z.number().int().positive().max(365).optional().nullable(),
+    recurrence: recurrenceSchema.optional().nullable(),
     priority: campaignPrioritySchema.optional(),
   })
   .refine(
@@ -227,6 +298,15 @@ export const scheduleCampaignSchema = z.object({
       },
     ),
   recurringDays: z.number().int().positive().max(365).optional(),
+  recurrence: recurrenceSchema.optional(),
+});
+
+/**
+ * List Campaign Runs Query Schema
+ */
+export const listCampaignRunsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
 });
 
 export default {
@@ -234,4 +314,5 @@ export default {
   updateCampaignSchema,
   listCampaignsQuerySchema,
   scheduleCampaignSchema,
+  listCampaignRunsQuerySchema,
 };
@@ -0,0 +1,20 @@
+import { z } from 'zod';
+import { COMPLIANCE_TOPICS } from '../services/compliance-rules.js';
+
+/**
+ * Compliance Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+/**
+ * List Compliance Requests Query Schema
+ */
+export const listComplianceRequestsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  topic: z.enum(COMPLIANCE_TOPICS).optional(),
+});
+
+export default {
+  listComplianceRequestsQuerySchema,
+};
@@ -221,6 +221,44 @@ export const importContactsSchema = z.object({
     .max(1000, 'Maximum 1000 contacts per import'),
 });
 
+/**
+ * Start Contact Import Schema (CSV upload)
+ * mapping: { [csv header]: contact field }
+ */
+export const startContactImportSchema = z.object({
+  mapping: z.record(
+    z.string(),
+    z.enum([
+      'phone',
+      'firstName',
+      'lastName',
+      'email',
+      'gender',
+      'birthDate',
+      'smsConsent',
+      'tags',
+      'ignore',
+    ]),
+  ),
+  defaultCountry: z
+    .string()
+    .trim()
+    .regex(/^[A-Za-z]{2}$/, 'Default country must be an ISO 3166-1 alpha-2 code')
+    .transform(value => value.toUpperCase())
+    .optional(),
+  tags: z.array(z.string().trim().min(1).max(50)).max(20).default([]),
+  dateFormat: z.enum(['DMY', 'MDY']).default('DMY'),
+  updateExisting: z.boolean().default(true),
+  dryRun: z.boolean().default(false),
+});
+
+/**
+ * Consent Audit Export Query Schema
+ */
+export const consentAuditQuerySchema = z.object({
+  format: z.enum(['json', 'csv']).default('json'),
+});
+
 /**
  * Birthday Contacts Query Schema
  */
@@ -233,5 +271,7 @@ export default {
   updateContactSchema,
   listContactsQuerySchema,
   importContactsSchema,
+  startContactImportSchema,
+  consentAuditQuerySchema,
   birthdayContactsQuerySchema,
 };
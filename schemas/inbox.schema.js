@@ -0,0 +1,44 @@
+import { z } from 'zod';
+
+/**
+ * Inbox Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+/**
+ * List Conversations Query Schema
+ */
+export const listConversationsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  unread: z
+    .enum(['true', 'false'])
+    .optional()
+    .transform(value => value === 'true'),
+  q: z.string().trim().max(100).optional(),
+});
+
+/**
+ * Conversation Thread Query Schema
+ */
+export const conversationThreadQuerySchema = z.object({
+  before: z.coerce.date().optional(),
+  limit: z.coerce.number().int().positive().max(100).default(50),
+});
+
+/**
+ * Reply Schema
+ */
+export const replySchema = z.object({
+  text: z
+    .string()
+    .trim()
+    .min(1, 'Reply text is required')
+    .max(1600, 'Reply text too long'),
+});
+
+export default {
+  listConversationsQuerySchema,
+  conversationThreadQuerySchema,
+  replySchema,
+};
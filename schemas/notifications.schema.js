@@ -0,0 +1,22 @@
+import { z } from 'zod';
+
+/**
+ * Notifications Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+/**
+ * List Notifications Query Schema
+ */
+export const listNotificationsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  unread: z
+    .enum(['true', 'false'])
+    .optional()
+    .transform(value => value === 'true'),
+});
+
+export default {
+  listNotificationsQuerySchema,
+};
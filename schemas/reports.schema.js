@@ -0,0 +1,31 @@
+import { z } from 'zod';
+
+/**
+ * Reports Validation Schemas
+ */
+
+const dateSchema = z
+  .string()
+  .trim()
+  .refine(val => !isNaN(Date.parse(val)), {
+    message: 'Must be a valid date (YYYY-MM-DD or ISO 8601)',
+  });
+
+/**
+ * Export Report Query Schema
+ */
+export const exportReportQuerySchema = z
+  .object({
+    type: z.enum(['campaigns', 'automations', 'credits', 'contacts', 'messages']),
+    format: z.enum(['csv', 'xlsx', 'jsonl']).default('csv'),
+    from: dateSchema.optional(),
+    to: dateSchema.optional(),
+  })
+  .refine(data => !data.from || !data.to || new Date(data.from) <= new Date(data.to), {
+    message: 'from must be before to',
+    path: ['from'],
+  });
+
+export default {
+  exportReportQuerySchema,
+};
@@ -0,0 +1,53 @@
+import { z } from 'zod';
+
+/**
+ * Segment Validation Schemas
+ * Using Zod for type-safe input validation
+ *
+ * Structural validation of ruleJson (fields, operators, values) is done by
+ * services/segment-rules.js so the same rules apply on save and at send time.
+ */
+
+const ruleJsonSchema = z.record(z.string(), z.any());
+
+/**
+ * Create Segment Schema
+ */
+export const createSegmentSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(1, 'Segment name is required')
+    .max(200, 'Segment name too long'),
+  ruleJson: ruleJsonSchema.default({}),
+});
+
+/**
+ * Update Segment Schema
+ */
+export const updateSegmentSchema = z
+  .object({
+    name: z
+      .string()
+      .trim()
+      .min(1, 'Segment name cannot be empty')
+      .max(200, 'Segment name too long')
+      .optional(),
+    ruleJson: ruleJsonSchema.optional(),
+  })
+  .refine(data => data.name !== undefined || data.ruleJson !== undefined, {
+    message: 'At least one field must be provided for update',
+  });
+
+/**
+ * Preview Segment Schema
+ */
+export const previewSegmentSchema = z.object({
+  ruleJson: ruleJsonSchema,
+});
+
+export default {
+  createSegmentSchema,
+  updateSegmentSchema,
+  previewSegmentSchema,
+};
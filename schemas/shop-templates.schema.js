@@ -0,0 +1,120 @@
+import { z } from 'zod';
+
+/**
+ * Shop Template Validation Schemas
+ * Using Zod for type-safe input validation
+ */
+
+const folderNameSchema = z
+  .string()
+  .trim()
+  .min(1, 'Folder name is required')
+  .max(80, 'Folder name too long');
+
+const titleSchema = z
+  .string()
+  .trim()
+  .min(1, 'Template title is required')
+  .max(200, 'Template title too long');
+
+const categorySchema = z
+  .string()
+  .trim()
+  .min(1, 'Template category is required')
+  .max(100, 'Template category too long');
+
+const contentSchema = z
+  .string()
+  .trim()
+  .min(1, 'Template content is required')
+  .max(1600, 'Template content is too long (max 1600 characters)');
+
+const tagsSchema = z.array(z.string().trim().min(1).max(50)).max(20);
+
+/**
+ * Template Folder Schema (create and rename)
+ */
+export const templateFolderSchema = z.object({
+  name: folderNameSchema,
+});
+
+/**
+ * List Shop Templates Query Schema
+ */
+export const listShopTemplatesQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  folderId: z.string().trim().min(1).optional(), // 'none' for unfiled templates
+  category: z.string().trim().min(1).optional(),
+  search: z.string().trim().min(1).optional(),
+});
+
+/**
+ * Create Shop Template Schema
+ */
+export const createShopTemplateSchema = z.object({
+  title: titleSchema,
+  category: categorySchema,
+  content: contentSchema,
+  tags: tagsSchema.default([]),
+  folderId: z.string().trim().min(1).nullable().optional(),
+});
+
+/**
+ * Update Shop Template Schema
+ */
+export const updateShopTemplateSchema = z
+  .object({
+    title: titleSchema.optional(),
+    category: categorySchema.optional(),
+    content: contentSchema.optional(),
+    tags: tagsSchema.optional(),
+    folderId: z.string().trim().min(1).nullable().optional(),
+  })
+  .refine(data => Object.values(data).some(value => value !== undefined), {
+    message: 'At least one field must be provided for update',
+  });
+
+/**
+ * Fork Template Schema
+ */
+export const forkTemplateSchema = z.object({
+  templateId: z.string().trim().min(1, 'Template ID is required'),
+  title: titleSchema.optional(),
+  folderId: z.string().trim().min(1).nullable().optional(),
+});
+
+/**
+ * List Template Versions Query Schema
+ */
+export const listTemplateVersionsQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+});
+
+/**
+ * Template Version Params Schema
+ */
+export const templateVersionParamsSchema = z.object({
+  id: z.string().trim().min(1),
+  version: z.coerce.number().int().positive(),
+});
+
+/**
+ * Template Diff Query Schema
+ */
+export const templateDiffQuerySchema = z.object({
+  from: z.coerce.number().int().positive().optional(),
+  to: z.coerce.number().int().positive().optional(),
+});
+
+export default {
+  templateFolderSchema,
+  listShopTemplatesQuerySchema,
+  createShopTemplateSchema,
+  updateShopTemplateSchema,
+  forkTemplateSchema,
+  listTemplateVersionsQuerySchema,
+  templateVersionParamsSchema,
+  templateDiffQuerySchema,
+};
@@ -0,0 +1,58 @@
+import { z } from 'zod';
+import {
+  ALL_EVENTS,
+  SUBSCRIBABLE_EVENTS,
+  WebhookDeliveryStatus,
+  WebhookEvent,
+} from '../services/webhook-events.js';
+
+/**
+ * Outbound Webhook Validation Schemas
+ * Using Zod for type-safe input validation
+ *
+ * URL rules (HTTPS, public host) are checked by services/webhook-events.js.
+ */
+
+const eventsSchema = z
+  .array(z.enum([ALL_EVENTS, ...SUBSCRIBABLE_EVENTS]))
+  .min(1, 'At least one event is required');
+
+/**
+ * Create Endpoint Schema
+ */
+export const createEndpointSchema = z.object({
+  url: z.string().trim().url('URL is invalid').max(2048, 'URL too long'),
+  events: eventsSchema,
+  description: z.string().trim().max(200, 'Description too long').optional(),
+});
+
+/**
+ * Update Endpoint Schema
+ */
+export const updateEndpointSchema = z
+  .object({
+    url: z.string().trim().url('URL is invalid').max(2048, 'URL too long').optional(),
+    events: eventsSchema.optional(),
+    description: z.string().trim().max(200, 'Description too long').nullable().optional(),
+    active: z.boolean().optional(),
+  })
+  .refine(data => Object.values(data).some(value => value !== undefined), {
+    message: 'At least one field must be provided for update',
+  });
+
+/**
+ * List Deliveries Query Schema
+ */
+export const listDeliveriesQuerySchema = z.object({
+  page: z.coerce.number().int().positive().default(1),
+  pageSize: z.coerce.number().int().positive().max(100).default(20),
+  endpointId: z.string().optional(),
+  event: z.enum([...SUBSCRIBABLE_EVENTS, WebhookEvent.test]).optional(),
+  status: z.enum(Object.values(WebhookDeliveryStatus)).optional(),
+});
+
+export default {
+  createEndpointSchema,
+  updateEndpointSchema,
+  listDeliveriesQuerySchema,
+};
@@ -64,7 +64,7 @@ if (process.env.RENDER_INSTANCE_COUNT) {
 // Check URL shortener config
 const shortenerType = process.env.URL_SHORTENER_TYPE || 'custom';
 if (shortenerType === 'custom') {
-  warnings.push(`⚠️  Using custom URL shortener - ensure /s/:shortCode route exists or disable shortening`);
+  warnings.push(`⚠️  Using custom URL shortener - ensure URL_SHORTENER_BASE_URL routes /s/:code to this backend`);
   console.log(`\n⚠️  CUSTOM URL SHORTENER: Unsubscribe links should NOT be shortened`);
   console.log(`   → Current config: URL_SHORTENER_TYPE=${shortenerType}`);
   console.log(`   → Unsubscribe URLs now use full paths (fixed in latest commit)\n`);
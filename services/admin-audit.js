@@ -0,0 +1,84 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Admin Audit Service
+ * Every action taken through the /admin API is recorded with the admin who
+ * took it. Entries outlive the shops they concern.
+ */
+
+/**
+ * Record an admin action
+ * @param {Object} admin - req.admin { actor, adminUserId, ip }
+ * @param {Object} entry - { action, shopId?, targetType?, targetId?, reason?, metadata? }
+ * @returns {Promise<Object>} Audit entry
+ */
+export async function recordAdminAction(admin, entry) {
+  const log = await prisma.adminAuditLog.create({
+    data: {
+      adminUserId: admin?.adminUserId || null,
+      actor: admin?.actor || 'unknown',
+      action: entry.action,
+      shopId: entry.shopId || null,
+      targetType: entry.targetType || null,
+      targetId: entry.targetId ? String(entry.targetId) : null,
+      reason: entry.reason || null,
+      metadata: entry.metadata || undefined,
+      ip: admin?.ip || null,
+    },
+  });
+
+  logger.info('Admin action recorded', {
+    auditLogId: log.id,
+    action: log.action,
+    actor: log.actor,
+    shopId: log.shopId,
+  });
+
+  return log;
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} filters - { page, pageSize, shopId, adminUserId, action, from, to }
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+export async function listAuditLog(filters = {}) {
+  const { page = 1, pageSize = 50, shopId, adminUserId, action, from, to } = filters;
+  const where = {
+    ...(shopId && { shopId }),
+    ...(adminUserId && { adminUserId }),
+    ...(action && { action }),
+    ...((from || to) && {
+      createdAt: { ...(from && { gte: new Date(from) }), ...(to && { lte: new Date(to) }) },
+    }),
+  };
+
+  const [entries, total] = await Promise.all([
+    prisma.adminAuditLog.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: pageSize,
+      skip: (page - 1) * pageSize,
+    }),
+    prisma.adminAuditLog.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    entries,
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+export default {
+  recordAdminAction,
+  listAuditLog,
+};
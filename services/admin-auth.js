@@ -0,0 +1,182 @@
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { AppError, AuthenticationError } from '../utils/errors.js';
+import { recordAdminAction } from './admin-audit.js';
+import {
+  AdminAction,
+  AdminAuthMethod,
+  DUMMY_PASSWORD_HASH,
+  generateSessionToken,
+  getSsoEmail,
+  hashSessionToken,
+  isSessionActive,
+  isSessionTokenFormat,
+  verifyPassword,
+} from './admin-rules.js';
+
+/**
+ * Admin Auth Service
+ * Sign-in of platform admins (password or SSO token) and their sessions.
+ * SSO tokens are HS256 JWTs from the identity gateway, signed with
+ * ADMIN_SSO_SECRET and carrying the admin's email; the admin must already
+ * exist and be active.
+ */
+
+function formatAdmin(adminUser) {
+  return {
+    id: adminUser.id,
+    email: adminUser.email,
+    name: adminUser.name,
+    role: adminUser.role,
+  };
+}
+
+async function openSession(adminUser, method, ip) {
+  const { token, tokenHash, expiresAt } = generateSessionToken();
+
+  await prisma.$transaction([
+    prisma.adminSession.create({
+      data: { adminUserId: adminUser.id, tokenHash, method, ip, expiresAt },
+    }),
+    prisma.adminUser.update({
+      where: { id: adminUser.id },
+      data: { lastLoginAt: new Date() },
+    }),
+  ]);
+
+  await recordAdminAction(
+    { adminUserId: adminUser.id, actor: adminUser.email, ip },
+    { action: AdminAction.login, metadata: { method } },
+  );
+
+  return { token, expiresAt, admin: formatAdmin(adminUser) };
+}
+
+/**
+ * Sign in with email and password
+ * @param {Object} credentials - { email, password }
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<Object>} { token, expiresAt, admin }
+ * @throws {AuthenticationError} On any mismatch (without saying which)
+ */
+export async function loginWithPassword({ email, password }, { ip = null } = {}) {
+  const normalizedEmail = email.trim().toLowerCase();
+  const adminUser = await prisma.adminUser.findUnique({
+    where: { email: normalizedEmail },
+  });
+
+  // Always hash: unknown or inactive admins must not answer faster
+  const activeUser = adminUser?.isActive && adminUser.passwordHash ? adminUser : null;
+  const matches = await verifyPassword(
+    password,
+    activeUser?.passwordHash || DUMMY_PASSWORD_HASH,
+  );
+  const valid = Boolean(activeUser) && matches;
+  if (!valid) {
+    await recordAdminAction(
+      { adminUserId: adminUser?.id, actor: normalizedEmail, ip },
+      { action: AdminAction.loginFailed, metadata: { method: AdminAuthMethod.password } },
+    );
+    logger.warn('Admin login failed', { email: normalizedEmail, ip });
+    throw new AuthenticationError('Invalid email or password');
+  }
+
+  return openSession(adminUser, AdminAuthMethod.password, ip);
+}
+
+/**
+ * Sign in with an SSO token
+ * @param {string} ssoToken - JWT from the identity gateway
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<Object>} { token, expiresAt, admin }
+ */
+export async function loginWithSso(ssoToken, { ip = null } = {}) {
+  const secret = process.env.ADMIN_SSO_SECRET;
+  if (!secret) {
+    throw new AppError('Admin SSO is not configured', 503, 'admin_sso_disabled');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(ssoToken, secret, {
+      algorithms: ['HS256'],
+      ...(process.env.ADMIN_SSO_ISSUER && { issuer: process.env.ADMIN_SSO_ISSUER }),
+      ...(process.env.ADMIN_SSO_AUDIENCE && { audience: process.env.ADMIN_SSO_AUDIENCE }),
+    });
+  } catch (error) {
+    logger.warn('Invalid admin SSO token', { error: error.message, ip });
+    throw new AuthenticationError('Invalid SSO token');
+  }
+
+  const email = getSsoEmail(claims);
+  const adminUser = await prisma.adminUser.findUnique({ where: { email } });
+  if (!adminUser?.isActive) {
+    await recordAdminAction(
+      { adminUserId: adminUser?.id, actor: email, ip },
+      { action: AdminAction.loginFailed, metadata: { method: AdminAuthMethod.sso } },
+    );
+    throw new AuthenticationError('No active admin account for this SSO identity');
+  }
+
+  return openSession(adminUser, AdminAuthMethod.sso, ip);
+}
+
+/**
+ * Resolve the admin of a session token
+ * @param {string} token - Bearer token
+ * @returns {Promise<Object|null>} { sessionId, method, adminUser }, null if unusable
+ */
+export async function authenticateSession(token) {
+  if (!isSessionTokenFormat(token)) {
+    return null;
+  }
+
+  const session = await prisma.adminSession.findUnique({
+    where: { tokenHash: hashSessionToken(token) },
+    include: { adminUser: true },
+  });
+
+  if (!isSessionActive(session)) {
+    return null;
+  }
+
+  return { sessionId: session.id, method: session.method, adminUser: session.adminUser };
+}
+
+/**
+ * Revoke a session
+ * @param {Object} admin - req.admin
+ */
+export async function logout(admin) {
+  if (!admin.sessionId) {
+    return;
+  }
+
+  await prisma.adminSession.update({
+    where: { id: admin.sessionId },
+    data: { revokedAt: new Date() },
+  });
+  await recordAdminAction(admin, { action: AdminAction.logout });
+}
+
+/**
+ * Revoke every open session of an admin
+ * @param {string} adminUserId - Admin user ID
+ * @returns {Promise<number>} Sessions revoked
+ */
+export async function revokeSessions(adminUserId) {
+  const { count } = await prisma.adminSession.updateMany({
+    where: { adminUserId, revokedAt: null, expiresAt: { gt: new Date() } },
+    data: { revokedAt: new Date() },
+  });
+  return count;
+}
+
+export default {
+  loginWithPassword,
+  loginWithSso,
+  authenticateSession,
+  logout,
+  revokeSessions,
+};
@@ -0,0 +1,124 @@
+import queues from '../queue/index.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { recordAdminAction } from './admin-audit.js';
+import { AdminAction } from './admin-rules.js';
+
+/**
+ * Admin Jobs Service
+ * Failed BullMQ jobs of every queue, and their manual replay. A replayed
+ * job runs again with its original data and a fresh attempt count.
+ */
+
+const QUEUES = Object.fromEntries(Object.values(queues).map(queue => [queue.name, queue]));
+
+export const QUEUE_NAMES = Object.keys(QUEUES);
+
+function getQueue(queueName) {
+  const queue = QUEUES[queueName];
+  if (!queue) {
+    throw new NotFoundError(`Queue '${queueName}'`);
+  }
+  return queue;
+}
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    name: job.name,
+    shopId: job.data?.shopId || job.data?.storeId || null,
+    data: job.data,
+    failedReason: job.failedReason,
+    attemptsMade: job.attemptsMade,
+    createdAt: job.timestamp ? new Date(job.timestamp) : null,
+    failedAt: job.finishedOn ? new Date(job.finishedOn) : null,
+  };
+}
+
+/**
+ * Failed job counts of every queue
+ * @returns {Promise<Array>} [{ queue, failed }]
+ */
+export async function getFailedCounts() {
+  return Promise.all(
+    QUEUE_NAMES.map(async name => ({ queue: name, failed: await QUEUES[name].getFailedCount() })),
+  );
+}
+
+/**
+ * List the failed jobs of a queue, most recent first
+ * @param {string} queueName - Queue name (e.g. sms-send)
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Promise<Object>} { jobs, pagination }
+ */
+export async function listFailedJobs(queueName, filters = {}) {
+  const { page = 1, pageSize = 20 } = filters;
+  const queue = getQueue(queueName);
+  const start = (page - 1) * pageSize;
+
+  const [jobs, total] = await Promise.all([
+    queue.getFailed(start, start + pageSize - 1),
+    queue.getFailedCount(),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    jobs: jobs.filter(Boolean).map(formatJob),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Replay a failed job
+ * @param {Object} admin - Acting admin (req.admin)
+ * @param {string} queueName - Queue name
+ * @param {string} jobId - Job ID
+ * @param {Object} data - { reason }
+ * @returns {Promise<Object>} Job as it was when it failed
+ */
+export async function replayJob(admin, queueName, jobId, { reason }) {
+  const queue = getQueue(queueName);
+  const job = await queue.getJob(jobId);
+  if (!job) {
+    throw new NotFoundError('Job');
+  }
+
+  const state = await job.getState();
+  if (state !== 'failed') {
+    throw new ConflictError(`Only failed jobs can be replayed (job is ${state})`);
+  }
+
+  const failed = formatJob(job);
+  await job.retry('failed');
+
+  await recordAdminAction(admin, {
+    action: AdminAction.jobReplayed,
+    shopId: failed.shopId,
+    targetType: 'job',
+    targetId: `${queueName}:${jobId}`,
+    reason,
+    metadata: {
+      queue: queueName,
+      jobName: failed.name,
+      failedReason: failed.failedReason,
+      attemptsMade: failed.attemptsMade,
+    },
+  });
+  logger.info('Failed job replayed', { queue: queueName, jobId, actor: admin.actor });
+
+  return failed;
+}
+
+export default {
+  QUEUE_NAMES,
+  getFailedCounts,
+  listFailedJobs,
+  replayJob,
+};
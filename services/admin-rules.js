@@ -0,0 +1,260 @@
+import crypto from 'crypto';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Admin Rules
+ * Roles, permissions and credentials of platform admins. Admins sign in
+ * with a password or an SSO token and get a session token:
+ *
+ *   Authorization: Bearer as_<32 random characters>
+ *
+ * Only its SHA-256 hash is stored. The ADMIN_API_TOKEN shared secret keeps
+ * working as a super admin for automation and break-glass access.
+ */
+
+export const ADMIN_SESSION_PREFIX = 'as_';
+export const ADMIN_SESSION_TTL_HOURS = 12;
+export const IMPERSONATION_TTL_MINUTES = 30;
+export const MIN_PASSWORD_LENGTH = 12;
+export const MAX_CREDIT_GRANT = 100000;
+// `source` claim of the app JWTs issued for read-only impersonation
+export const IMPERSONATION_TOKEN_SOURCE = 'admin_impersonation';
+
+const SESSION_TOKEN_PATTERN = /^as_[A-Za-z0-9_-]{32}$/;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const SCRYPT_KEY_LENGTH = 64;
+const HOUR_MS = 60 * 60 * 1000;
+
+export const AdminRole = {
+  superAdmin: 'super_admin',
+  support: 'support',
+};
+
+export const ADMIN_ROLES = Object.values(AdminRole);
+
+export const AdminPermission = {
+  read: 'read',
+  impersonate: 'impersonate',
+  grantCredits: 'grant_credits',
+  suspendShops: 'suspend_shops',
+  replayJobs: 'replay_jobs',
+  manageTemplates: 'manage_templates',
+  manageWallets: 'manage_wallets',
+  manageAdmins: 'manage_admins',
+};
+
+const ROLE_PERMISSIONS = {
+  [AdminRole.superAdmin]: Object.values(AdminPermission),
+  [AdminRole.support]: [AdminPermission.read, AdminPermission.impersonate],
+};
+
+export const AdminAuthMethod = {
+  password: 'password',
+  sso: 'sso',
+  token: 'token',
+};
+
+export const AdminAction = {
+  login: 'auth.login',
+  loginFailed: 'auth.login_failed',
+  logout: 'auth.logout',
+  adminCreated: 'admin.created',
+  adminUpdated: 'admin.updated',
+  creditsGranted: 'shop.credits_granted',
+  shopSuspended: 'shop.suspended',
+  shopUnsuspended: 'shop.unsuspended',
+  impersonationStarted: 'shop.impersonation_started',
+  jobReplayed: 'job.replayed',
+  walletCorrected: 'wallet.corrected',
+  templateCreated: 'template.created',
+  templateUpdated: 'template.updated',
+  templateDeleted: 'template.deleted',
+};
+
+export const ADMIN_ACTIONS = Object.values(AdminAction);
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - AdminRole
+ * @param {string} permission - AdminPermission
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Check whether a request method only reads
+ * @param {string} method - HTTP method
+ * @returns {boolean}
+ */
+export function isReadOnlyMethod(method) {
+  return READ_METHODS.includes(String(method || '').toUpperCase());
+}
+
+/**
+ * Check whether a decoded app JWT was issued for admin impersonation
+ * Such tokens are read-only and must never be refreshed into a shop token.
+ * @param {Object|null} payload - Decoded token payload
+ * @returns {boolean}
+ */
+export function isImpersonationToken(payload) {
+  return payload?.source === IMPERSONATION_TOKEN_SOURCE;
+}
+
+/**
+ * Validate a new admin password
+ * @param {string} password - Password
+ * @throws {ValidationError} If too weak
+ */
+export function validatePassword(password) {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push({
+      field: 'password',
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+  } else if (!/[a-zA-Z]/.test(password) || !/[^a-zA-Z]/.test(password)) {
+    errors.push({
+      field: 'password',
+      message: 'Password must mix letters with digits or symbols',
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid password', errors);
+  }
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) =>
+      error ? reject(error) : resolve(key),
+    );
+  });
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Password
+ * @returns {Promise<string>} scrypt$<salt>$<hash> (base64url)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('base64url')}$${key.toString('base64url')}`;
+}
+
+/**
+ * Well-formed hash no password matches (all-zero key)
+ * Checked when no active admin is found, so unknown emails take as long
+ * as a wrong password.
+ */
+export const DUMMY_PASSWORD_HASH = `scrypt$${'A'.repeat(22)}$${'A'.repeat(86)}`;
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Password
+ * @param {string|null} stored - See hashPassword
+ * @returns {Promise<boolean>}
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof password !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64url');
+  const key = await scrypt(password, Buffer.from(salt, 'base64url'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+/**
+ * Hash a session token for storage and lookup
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a new admin session token
+ * @param {Date} [now] - Current time
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+export function generateSessionToken(now = new Date()) {
+  const token = `${ADMIN_SESSION_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    token,
+    tokenHash: hashSessionToken(token),
+    expiresAt: new Date(now.getTime() + ADMIN_SESSION_TTL_HOURS * HOUR_MS),
+  };
+}
+
+/**
+ * Check whether a string has the admin session token format
+ * @param {string} value - Candidate token
+ * @returns {boolean}
+ */
+export function isSessionTokenFormat(value) {
+  return typeof value === 'string' && SESSION_TOKEN_PATTERN.test(value);
+}
+
+/**
+ * Check whether a session can be used
+ * @param {Object} session - { revokedAt, expiresAt, adminUser: { isActive } }
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isSessionActive(session, now = new Date()) {
+  if (!session || session.revokedAt || session.adminUser?.isActive === false) {
+    return false;
+  }
+  return new Date(session.expiresAt) > now;
+}
+
+/**
+ * Read the admin identity out of verified SSO token claims
+ * @param {Object} claims - Decoded token payload
+ * @returns {string} Lowercased email
+ * @throws {ValidationError} If the token carries no usable email
+ */
+export function getSsoEmail(claims) {
+  const email = String(claims?.email || '').trim().toLowerCase();
+  if (!email || !email.includes('@')) {
+    throw new ValidationError('SSO token has no email claim');
+  }
+  if (claims.email_verified === false) {
+    throw new ValidationError('SSO email is not verified');
+  }
+  return email;
+}
+
+export default {
+  ADMIN_SESSION_PREFIX,
+  ADMIN_SESSION_TTL_HOURS,
+  IMPERSONATION_TTL_MINUTES,
+  MIN_PASSWORD_LENGTH,
+  MAX_CREDIT_GRANT,
+  IMPERSONATION_TOKEN_SOURCE,
+  AdminRole,
+  ADMIN_ROLES,
+  AdminPermission,
+  AdminAuthMethod,
+  AdminAction,
+  ADMIN_ACTIONS,
+  hasPermission,
+  isReadOnlyMethod,
+  isImpersonationToken,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  DUMMY_PASSWORD_HASH,
+  hashSessionToken,
+  generateSessionToken,
+  isSessionTokenFormat,
+  isSessionActive,
+  getSsoEmail,
+};
@@ -0,0 +1,279 @@
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { recordAdminAction } from './admin-audit.js';
+import { credit, getAvailableBalance } from './wallet.js';
+import { getLotBreakdown } from './credit-lots.js';
+import { CreditLotSource } from './credit-lot-rules.js';
+import { getSubscriptionStatus } from './subscription.js';
+import {
+  AdminAction,
+  IMPERSONATION_TOKEN_SOURCE,
+  IMPERSONATION_TTL_MINUTES,
+} from './admin-rules.js';
+
+/**
+ * Admin Shops Service
+ * Cross-shop support tooling: search, wallet and subscription overview,
+ * credit grants, suspension and read-only impersonation. Every change is
+ * recorded in the admin audit log.
+ */
+
+const GRANT_REASON = 'adjustment:admin_grant';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHOP_LIST_SELECT = {
+  id: true,
+  shopDomain: true,
+  shopName: true,
+  status: true,
+  country: true,
+  currency: true,
+  planType: true,
+  subscriptionStatus: true,
+  suspendedAt: true,
+  uninstalledAt: true,
+  createdAt: true,
+  wallet: { select: { balance: true } },
+};
+
+function formatShop({ wallet, ...shop }) {
+  return { ...shop, balance: wallet?.balance ?? 0 };
+}
+
+async function findShop(shopId, select = { id: true, shopDomain: true, suspendedAt: true }) {
+  const shop = await prisma.shop.findUnique({ where: { id: shopId }, select });
+  if (!shop) {
+    throw new NotFoundError('Shop');
+  }
+  return shop;
+}
+
+/**
+ * List and search shops
+ * @param {Object} filters - { page, pageSize, search, status, subscriptionStatus, suspended }
+ *   search matches the shop domain, name or ID
+ * @returns {Promise<Object>} { shops, pagination }
+ */
+export async function listShops(filters = {}) {
+  const { page = 1, pageSize = 20, search, status, subscriptionStatus, suspended } = filters;
+  const where = {
+    ...(status && { status }),
+    ...(subscriptionStatus && { subscriptionStatus }),
+    ...(suspended !== undefined && { suspendedAt: suspended ? { not: null } : null }),
+    ...(search && {
+      OR: [
+        { id: search },
+        { shopDomain: { contains: search, mode: 'insensitive' } },
+        { shopName: { contains: search, mode: 'insensitive' } },
+      ],
+    }),
+  };
+
+  const [shops, total] = await Promise.all([
+    prisma.shop.findMany({
+      where,
+      select: SHOP_LIST_SELECT,
+      orderBy: { createdAt: 'desc' },
+      take: pageSize,
+      skip: (page - 1) * pageSize,
+    }),
+    prisma.shop.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    shops: shops.map(formatShop),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Support overview of a shop
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { shop, wallet, subscription, counts,
+ *   recentTransactions, recentAdminActions }
+ */
+export async function getShopOverview(shopId) {
+  const shop = await findShop(shopId, {
+    ...SHOP_LIST_SELECT,
+    suspendedReason: true,
+    _count: { select: { contacts: true, campaigns: true, automations: true } },
+  });
+
+  const [available, lots, subscription, recentTransactions, recentAdminActions] =
+    await Promise.all([
+      getAvailableBalance(shopId),
+      getLotBreakdown(shopId),
+      getSubscriptionStatus(shopId),
+      prisma.creditTransaction.findMany({
+        where: { shopId },
+        orderBy: { createdAt: 'desc' },
+        take: 10,
+        select: {
+          id: true,
+          type: true,
+          amount: true,
+          balanceAfter: true,
+          reason: true,
+          createdAt: true,
+        },
+      }),
+      prisma.adminAuditLog.findMany({
+        where: { shopId },
+        orderBy: { createdAt: 'desc' },
+        take: 10,
+      }),
+    ]);
+
+  const { _count: counts, ...rest } = shop;
+  return {
+    shop: formatShop(rest),
+    wallet: { balance: rest.wallet?.balance ?? 0, available, lots },
+    subscription,
+    counts,
+    recentTransactions,
+    recentAdminActions,
+  };
+}
+
+/**
+ * Grant credits to a shop
+ * @param {Object} admin - Acting admin (req.admin)
+ * @param {string} shopId - Shop ID
+ * @param {Object} grant - { amount, reason, expiresInDays? } without
+ *   expiresInDays the credits never expire
+ * @returns {Promise<Object>} { balance, previousBalance, transactionId }
+ */
+export async function grantCredits(admin, shopId, { amount, reason, expiresInDays }) {
+  await findShop(shopId);
+
+  const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null;
+  const result = await credit(shopId, amount, {
+    reason: GRANT_REASON,
+    meta: { actor: admin.actor, adminUserId: admin.adminUserId, note: reason },
+    lot: { source: CreditLotSource.adjustment, expiresAt },
+  });
+
+  await recordAdminAction(admin, {
+    action: AdminAction.creditsGranted,
+    shopId,
+    targetType: 'credit_transaction',
+    targetId: result.txn.id,
+    reason,
+    metadata: { amount, expiresAt, balanceAfter: result.balance },
+  });
+
+  return {
+    balance: result.balance,
+    previousBalance: result.previousBalance,
+    transactionId: result.txn.id,
+  };
+}
+
+/**
+ * Suspend a shop
+ * @param {Object} admin - Acting admin (req.admin)
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - { reason }
+ * @returns {Promise<Object>} { id, suspendedAt, suspendedReason }
+ */
+export async function suspendShop(admin, shopId, { reason }) {
+  const shop = await findShop(shopId);
+  if (shop.suspendedAt) {
+    throw new ConflictError('Shop is already suspended');
+  }
+
+  const updated = await prisma.shop.update({
+    where: { id: shopId },
+    data: { suspendedAt: new Date(), suspendedReason: reason },
+    select: { id: true, suspendedAt: true, suspendedReason: true },
+  });
+
+  await recordAdminAction(admin, { action: AdminAction.shopSuspended, shopId, reason });
+  logger.warn('Shop suspended', { shopId, shopDomain: shop.shopDomain, actor: admin.actor });
+
+  return updated;
+}
+
+/**
+ * Lift the suspension of a shop
+ * @param {Object} admin - Acting admin (req.admin)
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - { reason }
+ * @returns {Promise<Object>} { id, suspendedAt, suspendedReason }
+ */
+export async function unsuspendShop(admin, shopId, { reason }) {
+  const shop = await findShop(shopId);
+  if (!shop.suspendedAt) {
+    throw new ConflictError('Shop is not suspended');
+  }
+
+  const updated = await prisma.shop.update({
+    where: { id: shopId },
+    data: { suspendedAt: null, suspendedReason: null },
+    select: { id: true, suspendedAt: true, suspendedReason: true },
+  });
+
+  await recordAdminAction(admin, {
+    action: AdminAction.shopUnsuspended,
+    shopId,
+    reason,
+    metadata: { suspendedAt: shop.suspendedAt },
+  });
+  logger.info('Shop unsuspended', { shopId, shopDomain: shop.shopDomain, actor: admin.actor });
+
+  return updated;
+}
+
+/**
+ * Issue a read-only app token to see the app as the shop
+ * The token is accepted by resolveStore for GET requests only.
+ * @param {Object} admin - Acting admin (req.admin)
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - { reason }
+ * @returns {Promise<Object>} { token, expiresAt, shop }
+ */
+export async function startImpersonation(admin, shopId, { reason }) {
+  const shop = await findShop(shopId);
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+
+  const token = jwt.sign(
+    {
+      storeId: shop.id,
+      shopDomain: shop.shopDomain,
+      source: IMPERSONATION_TOKEN_SOURCE,
+      readOnly: true,
+      actor: admin.actor,
+      adminUserId: admin.adminUserId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: `${IMPERSONATION_TTL_MINUTES}m` },
+  );
+
+  await recordAdminAction(admin, {
+    action: AdminAction.impersonationStarted,
+    shopId,
+    reason,
+    metadata: { expiresAt },
+  });
+
+  return { token, expiresAt, shop: { id: shop.id, shopDomain: shop.shopDomain } };
+}
+
+export default {
+  listShops,
+  getShopOverview,
+  grantCredits,
+  suspendShop,
+  unsuspendShop,
+  startImpersonation,
+};
@@ -0,0 +1,142 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { recordAdminAction } from './admin-audit.js';
+import { revokeSessions } from './admin-auth.js';
+import { AdminAction, hashPassword, validatePassword } from './admin-rules.js';
+
+/**
+ * Admin Users Service
+ * Platform admin accounts. An account without a password can only sign in
+ * through SSO.
+ */
+
+const ADMIN_USER_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  isActive: true,
+  lastLoginAt: true,
+  passwordHash: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+function formatAdminUser({ passwordHash, ...adminUser }) {
+  return { ...adminUser, hasPassword: Boolean(passwordHash) };
+}
+
+/**
+ * List admin users
+ * @returns {Promise<Array>} Admin users
+ */
+export async function listAdminUsers() {
+  const adminUsers = await prisma.adminUser.findMany({
+    select: ADMIN_USER_SELECT,
+    orderBy: { createdAt: 'asc' },
+  });
+  return adminUsers.map(formatAdminUser);
+}
+
+/**
+ * Create an admin user
+ * @param {Object} admin - Acting admin (req.admin)
+ * @param {Object} data - { email, name, role, password? }
+ * @returns {Promise<Object>} Admin user
+ */
+export async function createAdminUser(admin, { email, name, role, password }) {
+  const normalizedEmail = email.trim().toLowerCase();
+  if (password !== undefined) {
+    validatePassword(password);
+  }
+
+  const existing = await prisma.adminUser.findUnique({
+    where: { email: normalizedEmail },
+    select: { id: true },
+  });
+  if (existing) {
+    throw new ConflictError('An admin with this email already exists');
+  }
+
+  const adminUser = await prisma.adminUser.create({
+    data: {
+      email: normalizedEmail,
+      name: name || null,
+      role,
+      passwordHash: password ? await hashPassword(password) : null,
+    },
+    select: ADMIN_USER_SELECT,
+  });
+
+  await recordAdminAction(admin, {
+    action: AdminAction.adminCreated,
+    targetType: 'admin_user',
+    targetId: adminUser.id,
+    metadata: { email: adminUser.email, role },
+  });
+
+  return formatAdminUser(adminUser);
+}
+
+/**
+ * Update an admin user
+ * Deactivating an admin or changing their password or role signs them out.
+ * @param {Object} admin - Acting admin (req.admin)
+ * @param {string} adminUserId - Admin user ID
+ * @param {Object} data - { name, role, isActive, password }
+ * @returns {Promise<Object>} Admin user
+ */
+export async function updateAdminUser(admin, adminUserId, data) {
+  const adminUser = await prisma.adminUser.findUnique({ where: { id: adminUserId } });
+  if (!adminUser) {
+    throw new NotFoundError('Admin user');
+  }
+
+  const isSelf = admin.adminUserId === adminUserId;
+  if (isSelf && (data.isActive === false || (data.role && data.role !== adminUser.role))) {
+    throw new ConflictError('Admins cannot deactivate themselves or change their own role');
+  }
+  if (data.password !== undefined) {
+    validatePassword(data.password);
+  }
+
+  const updated = await prisma.adminUser.update({
+    where: { id: adminUserId },
+    data: {
+      ...(data.name !== undefined && { name: data.name }),
+      ...(data.role !== undefined && { role: data.role }),
+      ...(data.isActive !== undefined && { isActive: data.isActive }),
+      ...(data.password !== undefined && { passwordHash: await hashPassword(data.password) }),
+    },
+    select: ADMIN_USER_SELECT,
+  });
+
+  const signOut =
+    data.isActive === false ||
+    data.password !== undefined ||
+    (data.role !== undefined && data.role !== adminUser.role);
+  const revokedSessions = signOut ? await revokeSessions(adminUserId) : 0;
+
+  await recordAdminAction(admin, {
+    action: AdminAction.adminUpdated,
+    targetType: 'admin_user',
+    targetId: adminUserId,
+    metadata: {
+      fields: Object.keys(data).filter(field => data[field] !== undefined),
+      ...(data.role !== undefined && { role: data.role }),
+      ...(data.isActive !== undefined && { isActive: data.isActive }),
+      revokedSessions,
+    },
+  });
+
+  logger.info('Admin user updated', { adminUserId, actor: admin.actor, revokedSessions });
+
+  return formatAdminUser(updated);
+}
+
+export default {
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+};
@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * API Key Rules
+ * Key format, hashing and scopes of the per-shop API keys used for
+ * server-to-server access. A key is sent as a bearer token or in the
+ * X-Api-Key header:
+ *
+ *   Authorization: Bearer ak_<32 random characters>
+ *
+ * Only its SHA-256 hash is stored. Every route family reachable with a key
+ * maps to a read and a write scope; a write scope also grants read access.
+ * Routes missing from RESOURCE_SCOPES (key management, billing checkout,
+ * Shopify admin...) are not reachable with an API key: they answer 403
+ * with code API_KEY_NOT_SUPPORTED, while a key lacking the scope of a
+ * supported route gets INSUFFICIENT_SCOPE.
+ */
+
+export const API_KEY_PREFIX = 'ak_';
+export const API_KEY_HEADER = 'x-api-key';
+export const MAX_API_KEYS_PER_SHOP = 20;
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+export const MAX_RATE_LIMIT_PER_MINUTE = 1000;
+// lastUsedAt is written at most once per interval per key
+export const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+const API_KEY_PATTERN = /^ak_[A-Za-z0-9_-]{32}$/;
+const DISPLAY_PREFIX_LENGTH = 11;
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+export const ApiScope = {
+  contactsRead: 'contacts:read',
+  contactsWrite: 'contacts:write',
+  campaignsRead: 'campaigns:read',
+  campaignsWrite: 'campaigns:write',
+  campaignsSend: 'campaigns:send',
+  automationsRead: 'automations:read',
+  automationsWrite: 'automations:write',
+  inboxRead: 'inbox:read',
+  inboxWrite: 'inbox:write',
+  reportsRead: 'reports:read',
+  discountsRead: 'discounts:read',
+  billingRead: 'billing:read',
+  settingsRead: 'settings:read',
+  settingsWrite: 'settings:write',
+  webhooksRead: 'webhooks:read',
+  webhooksWrite: 'webhooks:write',
+};
+
+export const API_SCOPES = Object.values(ApiScope);
+
+/**
+ * Scopes of each mount path
+ * send lists the paths that dispatch messages and need campaigns:send.
+ */
+const RESOURCE_SCOPES = {
+  '/contacts': { read: ApiScope.contactsRead, write: ApiScope.contactsWrite },
+  '/audiences': { read: ApiScope.contactsRead, write: ApiScope.contactsWrite },
+  '/campaigns': {
+    read: ApiScope.campaignsRead,
+    write: ApiScope.campaignsWrite,
+    send: [
+      /^\/[^/]+\/(enqueue|send|schedule|cancel|retry-failed)\/?$/,
+    ],
+  },
+  '/automations': {
+    read: ApiScope.automationsRead,
+    write: ApiScope.automationsWrite,
+  },
+  '/automation-flows': {
+    read: ApiScope.automationsRead,
+    write: ApiScope.automationsWrite,
+  },
+  '/inbox': { read: ApiScope.inboxRead, write: ApiScope.inboxWrite },
+  '/dashboard': { read: ApiScope.reportsRead },
+  '/reports': { read: ApiScope.reportsRead },
+  '/discounts': { read: ApiScope.discountsRead },
+  '/billing': { read: ApiScope.billingRead },
+  '/settings': { read: ApiScope.settingsRead, write: ApiScope.settingsWrite },
+  '/webhook-endpoints': {
+    read: ApiScope.webhooksRead,
+    write: ApiScope.webhooksWrite,
+  },
+};
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Raw key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new API key
+ * @returns {Object} { key, prefix, keyHash }
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashApiKey(key),
+  };
+}
+
+/**
+ * Check whether a string has the API key format
+ * @param {string} value - Candidate key
+ * @returns {boolean}
+ */
+export function isApiKeyFormat(value) {
+  return typeof value === 'string' && API_KEY_PATTERN.test(value);
+}
+
+/**
+ * Extract an API key from request headers
+ * Bearer tokens that are not API keys (app JWTs, Shopify session tokens)
+ * are left to the other authentication methods.
+ * @param {Object} headers - Request headers (lowercase names)
+ * @returns {string|null} Key, null if the request does not use one
+ */
+export function extractApiKey(headers = {}) {
+  const headerKey = headers[API_KEY_HEADER];
+  if (typeof headerKey === 'string' && headerKey.trim()) {
+    return headerKey.trim();
+  }
+
+  const authorization = headers.authorization;
+  if (typeof authorization === 'string' && authorization.startsWith('Bearer ')) {
+    const token = authorization.slice('Bearer '.length).trim();
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return token;
+    }
+  }
+  return null;
+}
+
+/**
+ * Scope needed for a request
+ * @param {string} baseUrl - Mount path (e.g. /campaigns)
+ * @param {string} method - HTTP method
+ * @param {string} path - Path inside the mount (e.g. /123/send)
+ * @returns {string|null} Scope, null if API keys cannot access the route
+ */
+export function getRequiredScope(baseUrl, method, path = '/') {
+  const resource = RESOURCE_SCOPES[baseUrl];
+  if (!resource) {
+    return null;
+  }
+
+  const verb = String(method || 'GET').toUpperCase();
+  if (READ_METHODS.includes(verb)) {
+    return resource.read || null;
+  }
+  if (resource.send?.some(pattern => pattern.test(path))) {
+    return ApiScope.campaignsSend;
+  }
+  return resource.write || null;
+}
+
+/**
+ * Scope needed for a request, from its full URL
+ * Independent of where the authentication middleware is mounted.
+ * @param {string} url - Request URL (req.originalUrl)
+ * @param {string} method - HTTP method
+ * @returns {string|null} Scope, null if API keys cannot access the route
+ */
+export function getRequestScope(url, method) {
+  const pathname = String(url || '/').split('?')[0];
+  const baseUrl = Object.keys(RESOURCE_SCOPES).find(
+    mount => pathname === mount || pathname.startsWith(`${mount}/`),
+  );
+  if (!baseUrl) {
+    return null;
+  }
+  return getRequiredScope(baseUrl, method, pathname.slice(baseUrl.length) || '/');
+}
+
+/**
+ * Check whether granted scopes include a required scope
+ * @param {Array<string>} scopes - Granted scopes
+ * @param {string} required - Required scope
+ * @returns {boolean}
+ */
+export function hasScope(scopes, required) {
+  if (!required) {
+    return false;
+  }
+  const granted = scopes || [];
+  if (granted.includes(required)) {
+    return true;
+  }
+  const [resource, action] = required.split(':');
+  return action === 'read' && granted.includes(`${resource}:write`);
+}
+
+/**
+ * Validate requested scopes
+ * @param {Array<string>} scopes - Scopes
+ * @throws {ValidationError} If empty or unknown
+ */
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ValidationError('Invalid API key', [
+      { field: 'scopes', message: 'At least one scope is required' },
+    ]);
+  }
+  const unknown = scopes.filter(scope => !API_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new ValidationError('Invalid API key', [
+      { field: 'scopes', message: `Unknown scopes: ${unknown.join(', ')}` },
+    ]);
+  }
+}
+
+/**
+ * Check whether a key can be used
+ * @param {Object} apiKey - { revokedAt, expiresAt }
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isApiKeyActive(apiKey, now = new Date()) {
+  if (!apiKey || apiKey.revokedAt) {
+    return false;
+  }
+  return !apiKey.expiresAt || new Date(apiKey.expiresAt) > now;
+}
+
+/**
+ * Check whether lastUsedAt is stale enough to be written again
+ * @param {Date|null} lastUsedAt - Last recorded use
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function shouldRecordUsage(lastUsedAt, now = new Date()) {
+  return (
+    !lastUsedAt ||
+    now.getTime() - new Date(lastUsedAt).getTime() >= LAST_USED_UPDATE_INTERVAL_MS
+  );
+}
+
+export default {
+  API_KEY_PREFIX,
+  API_KEY_HEADER,
+  MAX_API_KEYS_PER_SHOP,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_RATE_LIMIT_PER_MINUTE,
+  LAST_USED_UPDATE_INTERVAL_MS,
+  ApiScope,
+  API_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  isApiKeyFormat,
+  extractApiKey,
+  getRequiredScope,
+  getRequestScope,
+  hasScope,
+  validateScopes,
+  isApiKeyActive,
+  shouldRecordUsage,
+};
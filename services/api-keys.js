@@ -0,0 +1,251 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import {
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+  MAX_API_KEYS_PER_SHOP,
+  generateApiKey,
+  hashApiKey,
+  isApiKeyActive,
+  isApiKeyFormat,
+  shouldRecordUsage,
+  validateScopes,
+} from './api-key-rules.js';
+
+/**
+ * API Keys Service
+ * Per-shop keys for server-to-server access (see services/api-key-rules.js).
+ * The raw key is only returned on creation and rotation; lookups go
+ * through its hash. Keys are authenticated by resolveStore.
+ */
+
+function formatApiKey(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    rateLimitPerMinute: apiKey.rateLimitPerMinute,
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    expiresAt: apiKey.expiresAt,
+    revokedAt: apiKey.revokedAt,
+    active: isApiKeyActive(apiKey),
+    createdAt: apiKey.createdAt,
+    updatedAt: apiKey.updatedAt,
+  };
+}
+
+async function getApiKey(shopId, apiKeyId) {
+  const apiKey = await prisma.apiKey.findFirst({
+    where: { id: apiKeyId, shopId },
+  });
+  if (!apiKey) {
+    throw new NotFoundError('API key');
+  }
+  return apiKey;
+}
+
+function assertFutureExpiry(expiresAt) {
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw new ValidationError('Invalid API key', [
+      { field: 'expiresAt', message: 'Expiry must be in the future' },
+    ]);
+  }
+}
+
+/**
+ * List the API keys of a shop, revoked ones last
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Array>} Keys (without secrets)
+ */
+export async function listApiKeys(shopId) {
+  const apiKeys = await prisma.apiKey.findMany({
+    where: { shopId },
+    orderBy: [{ revokedAt: { sort: 'desc', nulls: 'first' } }, { createdAt: 'desc' }],
+  });
+  return apiKeys.map(formatApiKey);
+}
+
+/**
+ * Get an API key
+ * @param {string} shopId - Shop ID
+ * @param {string} apiKeyId - Key ID
+ * @returns {Promise<Object>} Key (without secret)
+ */
+export async function getApiKeyById(shopId, apiKeyId) {
+  return formatApiKey(await getApiKey(shopId, apiKeyId));
+}
+
+/**
+ * Create an API key
+ * The key is only returned here and on rotation.
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - { name, scopes, rateLimitPerMinute?, expiresAt? }
+ * @returns {Promise<Object>} Key with its secret
+ */
+export async function createApiKey(shopId, data) {
+  validateScopes(data.scopes);
+  assertFutureExpiry(data.expiresAt);
+
+  const count = await prisma.apiKey.count({
+    where: { shopId, revokedAt: null },
+  });
+  if (count >= MAX_API_KEYS_PER_SHOP) {
+    throw new ConflictError(
+      `A shop can have at most ${MAX_API_KEYS_PER_SHOP} active API keys`,
+    );
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      shopId,
+      name: data.name,
+      prefix,
+      keyHash,
+      scopes: [...new Set(data.scopes)],
+      rateLimitPerMinute: data.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+      expiresAt: data.expiresAt ? new Date(data.expiresAt) : null,
+    },
+  });
+
+  logger.info('API key created', {
+    shopId,
+    apiKeyId: apiKey.id,
+    scopes: apiKey.scopes,
+  });
+
+  return { ...formatApiKey(apiKey), key };
+}
+
+/**
+ * Update the name, scopes or rate limit of an API key
+ * @param {string} shopId - Shop ID
+ * @param {string} apiKeyId - Key ID
+ * @param {Object} data - { name?, scopes?, rateLimitPerMinute?, expiresAt? }
+ * @returns {Promise<Object>} Key (without secret)
+ */
+export async function updateApiKey(shopId, apiKeyId, data) {
+  const existing = await getApiKey(shopId, apiKeyId);
+  if (existing.revokedAt) {
+    throw new ConflictError('Revoked API keys cannot be updated');
+  }
+  if (data.scopes !== undefined) validateScopes(data.scopes);
+  assertFutureExpiry(data.expiresAt);
+
+  const updateData = {};
+  if (data.name !== undefined) updateData.name = data.name;
+  if (data.scopes !== undefined) updateData.scopes = [...new Set(data.scopes)];
+  if (data.rateLimitPerMinute !== undefined) {
+    updateData.rateLimitPerMinute = data.rateLimitPerMinute;
+  }
+  if (data.expiresAt !== undefined) {
+    updateData.expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+  }
+
+  const apiKey = await prisma.apiKey.update({
+    where: { id: apiKeyId },
+    data: updateData,
+  });
+
+  logger.info('API key updated', { shopId, apiKeyId });
+
+  return formatApiKey(apiKey);
+}
+
+/**
+ * Replace the secret of an API key
+ * The previous key stops working immediately.
+ * @param {string} shopId - Shop ID
+ * @param {string} apiKeyId - Key ID
+ * @returns {Promise<Object>} Key with its new secret
+ */
+export async function rotateApiKey(shopId, apiKeyId) {
+  const existing = await getApiKey(shopId, apiKeyId);
+  if (existing.revokedAt) {
+    throw new ConflictError('Revoked API keys cannot be rotated');
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+  const apiKey = await prisma.apiKey.update({
+    where: { id: apiKeyId },
+    data: { prefix, keyHash },
+  });
+
+  logger.info('API key rotated', { shopId, apiKeyId });
+
+  return { ...formatApiKey(apiKey), key };
+}
+
+/**
+ * Revoke an API key
+ * Revoked keys are kept so their last use stays visible.
+ * @param {string} shopId - Shop ID
+ * @param {string} apiKeyId - Key ID
+ * @returns {Promise<Object>} Key (without secret)
+ */
+export async function revokeApiKey(shopId, apiKeyId) {
+  const existing = await getApiKey(shopId, apiKeyId);
+  if (existing.revokedAt) {
+    return formatApiKey(existing);
+  }
+
+  const apiKey = await prisma.apiKey.update({
+    where: { id: apiKeyId },
+    data: { revokedAt: new Date() },
+  });
+
+  logger.info('API key revoked', { shopId, apiKeyId });
+
+  return formatApiKey(apiKey);
+}
+
+/**
+ * Authenticate a raw API key
+ * Records the last use (at most once a minute per key) without delaying
+ * the request.
+ * @param {string} key - Raw key
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<Object|null>} Key with its shop and settings, null if invalid
+ */
+export async function authenticateApiKey(key, context = {}) {
+  if (!isApiKeyFormat(key)) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashApiKey(key) },
+    include: { shop: { include: { settings: true } } },
+  });
+  if (!apiKey || !isApiKeyActive(apiKey)) {
+    return null;
+  }
+
+  const now = new Date();
+  if (shouldRecordUsage(apiKey.lastUsedAt, now)) {
+    prisma.apiKey
+      .update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: now, lastUsedIp: context.ip || null },
+      })
+      .catch(error => {
+        logger.warn('Failed to record API key usage', {
+          apiKeyId: apiKey.id,
+          error: error.message,
+        });
+      });
+  }
+
+  return apiKey;
+}
+
+export default {
+  listApiKeys,
+  getApiKeyById,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+};
@@ -0,0 +1,163 @@
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Revenue Attribution Rules
+ * Decide which SMS an order is credited to. Candidate "touches" of the
+ * ordering contact:
+ *
+ * - discount: a unique discount code of a campaign was redeemed by the order
+ * - click: a tracked link was clicked within the click window before the order
+ * - view: an SMS was delivered (or sent, for automations) within the view
+ *   window before the order
+ *
+ * A redeemed code always wins, then the last click, then the last view.
+ * Touches after the order (e.g. the order confirmation SMS) never count.
+ *
+ * Touch format: { model, at: Date, campaignId?, automationId? }
+ */
+
+export const AttributionModel = {
+  discount: 'discount',
+  click: 'click',
+  view: 'view',
+};
+
+export const DEFAULT_CLICK_WINDOW_DAYS = 7;
+export const DEFAULT_VIEW_WINDOW_HOURS = 24;
+const CLICK_WINDOW_DAYS = [1, 30];
+const VIEW_WINDOW_HOURS = [0, 168];
+
+const MODEL_PRIORITY = [
+  AttributionModel.discount,
+  AttributionModel.click,
+  AttributionModel.view,
+];
+
+/**
+ * Validate attribution windows from settings
+ * @param {Object} windows - { attributionClickWindowDays?, attributionViewWindowHours? }
+ * @throws {ValidationError} If a window is out of range
+ */
+export function validateAttributionWindows(windows) {
+  const errors = [];
+  const { attributionClickWindowDays: clickDays, attributionViewWindowHours: viewHours } =
+    windows;
+
+  if (
+    clickDays !== undefined &&
+    (!Number.isInteger(clickDays) ||
+      clickDays < CLICK_WINDOW_DAYS[0] ||
+      clickDays > CLICK_WINDOW_DAYS[1])
+  ) {
+    errors.push({
+      field: 'attributionClickWindowDays',
+      message: `Click window must be between ${CLICK_WINDOW_DAYS[0]} and ${CLICK_WINDOW_DAYS[1]} days`,
+    });
+  }
+  if (
+    viewHours !== undefined &&
+    (!Number.isInteger(viewHours) ||
+      viewHours < VIEW_WINDOW_HOURS[0] ||
+      viewHours > VIEW_WINDOW_HOURS[1])
+  ) {
+    errors.push({
+      field: 'attributionViewWindowHours',
+      message: `View window must be between ${VIEW_WINDOW_HOURS[0]} and ${VIEW_WINDOW_HOURS[1]} hours`,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid attribution windows', errors);
+  }
+}
+
+/**
+ * Attribution windows of a shop in milliseconds
+ * @param {Object|null} settings - ShopSettings
+ * @returns {Object} { clickMs, viewMs }
+ */
+export function getAttributionWindows(settings) {
+  const clickDays =
+    settings?.attributionClickWindowDays ?? DEFAULT_CLICK_WINDOW_DAYS;
+  const viewHours =
+    settings?.attributionViewWindowHours ?? DEFAULT_VIEW_WINDOW_HOURS;
+  return {
+    clickMs: clickDays * 24 * 60 * 60 * 1000,
+    viewMs: viewHours * 60 * 60 * 1000,
+  };
+}
+
+/**
+ * Pick the touch an order is attributed to
+ * @param {Array<Object>} touches - Candidate touches
+ * @param {Date} orderedAt - Order time
+ * @param {Object} windows - { clickMs, viewMs }
+ * @returns {Object|null} Winning touch, null if none is eligible
+ */
+export function pickAttribution(touches, orderedAt, windows) {
+  const orderTime = orderedAt.getTime();
+  const windowFor = {
+    [AttributionModel.click]: windows.clickMs,
+    [AttributionModel.view]: windows.viewMs,
+  };
+
+  const eligible = touches.filter(touch => {
+    // A redeemed code is proof on its own, whenever it was sent
+    if (touch.model === AttributionModel.discount) {
+      return true;
+    }
+    const age = orderTime - touch.at.getTime();
+    // A zero window disables the model
+    return windowFor[touch.model] > 0 && age >= 0 && age <= windowFor[touch.model];
+  });
+
+  eligible.sort(
+    (a, b) =>
+      MODEL_PRIORITY.indexOf(a.model) - MODEL_PRIORITY.indexOf(b.model) ||
+      b.at.getTime() - a.at.getTime(),
+  );
+  return eligible[0] || null;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compute return on SMS spend
+ * Credits are valued at the credit price; ROI is only computed when revenue
+ * and credit price are in the same currency (no conversion).
+ * @param {Object} params - { revenue, currency, credits, creditPrice, creditCurrency }
+ * @returns {Object} { revenue, currency, credits, cost, costCurrency, revenuePerCredit, roi }
+ */
+export function computeRoi({
+  revenue,
+  currency,
+  credits,
+  creditPrice,
+  creditCurrency,
+}) {
+  const cost = round2(credits * creditPrice);
+  const comparable = !currency || currency === creditCurrency;
+
+  return {
+    revenue: round2(revenue),
+    currency: currency || creditCurrency,
+    credits,
+    cost,
+    costCurrency: creditCurrency,
+    revenuePerCredit: credits > 0 ? round2(revenue / credits) : null,
+    // Percent: 100 means revenue was twice the SMS cost
+    roi: comparable && cost > 0 ? round2(((revenue - cost) / cost) * 100) : null,
+  };
+}
+
+export default {
+  AttributionModel,
+  DEFAULT_CLICK_WINDOW_DAYS,
+  DEFAULT_VIEW_WINDOW_HOURS,
+  validateAttributionWindows,
+  getAttributionWindows,
+  pickAttribution,
+  computeRoi,
+};
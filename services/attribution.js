@@ -0,0 +1,207 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import {
+  AttributionModel,
+  getAttributionWindows,
+  pickAttribution,
+} from './attribution-rules.js';
+
+/**
+ * Revenue Attribution Service
+ * Credits Shopify orders to the campaign or automation SMS that led to them
+ * (see services/attribution-rules.js) and stores them as AttributedOrder.
+ * Campaign totals are also kept on CampaignMetrics.
+ *
+ * Touch sources:
+ * - campaign clicks: ClickEvent (every click is recorded)
+ * - automation clicks: ShortLink.lastClickedAt of links sent by automations
+ * - campaign views: CampaignRecipient.deliveredAt
+ * - automation views: outbound MessageLog of automations (send time)
+ * - redeemed codes: DiscountLink matched to the order (services/discount-codes.js)
+ */
+
+async function findTouches(shopId, contact, orderId, orderedAt, windows) {
+  const clickSince = new Date(orderedAt.getTime() - windows.clickMs);
+  const viewSince = new Date(orderedAt.getTime() - windows.viewMs);
+  const viewsEnabled = windows.viewMs > 0;
+
+  const [redeemed, campaignClick, automationClick, campaignView, automationView] =
+    await Promise.all([
+      prisma.discountLink.findFirst({
+        where: { shopId, orderId, campaignId: { not: null } },
+        select: { campaignId: true, createdAt: true },
+      }),
+      prisma.clickEvent.findFirst({
+        where: {
+          contactId: contact.id,
+          campaign: { shopId },
+          linkType: { not: 'unsubscribe' },
+          clickedAt: { gte: clickSince, lte: orderedAt },
+        },
+        orderBy: { clickedAt: 'desc' },
+        select: { campaignId: true, clickedAt: true },
+      }),
+      prisma.shortLink.findFirst({
+        where: {
+          shopId,
+          contactId: contact.id,
+          automationId: { not: null },
+          lastClickedAt: { gte: clickSince, lte: orderedAt },
+        },
+        orderBy: { lastClickedAt: 'desc' },
+        select: { automationId: true, lastClickedAt: true },
+      }),
+      viewsEnabled
+        ? prisma.campaignRecipient.findFirst({
+          where: {
+            contactId: contact.id,
+            campaign: { shopId },
+            deliveredAt: { gte: viewSince, lte: orderedAt },
+          },
+          orderBy: { deliveredAt: 'desc' },
+          select: { campaignId: true, deliveredAt: true },
+        })
+        : null,
+      viewsEnabled && contact.phoneE164
+        ? prisma.messageLog.findFirst({
+          where: {
+            shopId,
+            phoneE164: contact.phoneE164,
+            direction: 'outbound',
+            automationId: { not: null },
+            status: { not: 'failed' },
+            createdAt: { gte: viewSince, lte: orderedAt },
+          },
+          orderBy: { createdAt: 'desc' },
+          select: { automationId: true, createdAt: true },
+        })
+        : null,
+    ]);
+
+  const touches = [];
+  if (redeemed) {
+    touches.push({
+      model: AttributionModel.discount,
+      at: redeemed.createdAt,
+      campaignId: redeemed.campaignId,
+    });
+  }
+  if (campaignClick) {
+    touches.push({
+      model: AttributionModel.click,
+      at: campaignClick.clickedAt,
+      campaignId: campaignClick.campaignId,
+    });
+  }
+  if (automationClick) {
+    touches.push({
+      model: AttributionModel.click,
+      at: automationClick.lastClickedAt,
+      automationId: automationClick.automationId,
+    });
+  }
+  if (campaignView) {
+    touches.push({
+      model: AttributionModel.view,
+      at: campaignView.deliveredAt,
+      campaignId: campaignView.campaignId,
+    });
+  }
+  if (automationView) {
+    touches.push({
+      model: AttributionModel.view,
+      at: automationView.createdAt,
+      automationId: automationView.automationId,
+    });
+  }
+  return touches;
+}
+
+/**
+ * Attribute an order to the SMS that led to it
+ * An order is attributed once; webhook retries are ignored.
+ * @param {string} shopId - Shop ID
+ * @param {Object} contact - Ordering contact { id, phoneE164 }
+ * @param {Object} order - { orderId, orderedAt, totalPrice, currency }
+ * @returns {Promise<Object|null>} AttributedOrder, null if not attributed
+ */
+export async function attributeOrder(shopId, contact, order) {
+  const orderId = String(order.orderId);
+  const existing = await prisma.attributedOrder.findUnique({
+    where: { shopId_orderId: { shopId, orderId } },
+    select: { id: true },
+  });
+  if (existing) {
+    return null;
+  }
+
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId },
+    select: {
+      attributionClickWindowDays: true,
+      attributionViewWindowHours: true,
+    },
+  });
+  const windows = getAttributionWindows(settings);
+  const orderedAt = order.orderedAt ? new Date(order.orderedAt) : new Date();
+
+  const touches = await findTouches(shopId, contact, orderId, orderedAt, windows);
+  const touch = pickAttribution(touches, orderedAt, windows);
+  if (!touch) {
+    return null;
+  }
+
+  const total = Number(order.totalPrice);
+  const revenue = Number.isFinite(total) ? total : 0;
+
+  try {
+    const attributed = await prisma.$transaction(async tx => {
+      const created = await tx.attributedOrder.create({
+        data: {
+          shopId,
+          orderId,
+          contactId: contact.id,
+          campaignId: touch.campaignId || null,
+          automationId: touch.automationId || null,
+          model: touch.model,
+          touchAt: touch.at,
+          revenue,
+          currency: order.currency || null,
+          orderedAt,
+        },
+      });
+
+      if (touch.campaignId) {
+        await tx.campaignMetrics.updateMany({
+          where: { campaignId: touch.campaignId },
+          data: {
+            attributedOrders: { increment: 1 },
+            attributedRevenue: { increment: revenue },
+          },
+        });
+      }
+      return created;
+    });
+
+    logger.info('Order attributed', {
+      shopId,
+      orderId,
+      model: touch.model,
+      campaignId: touch.campaignId,
+      automationId: touch.automationId,
+      revenue,
+    });
+
+    return attributed;
+  } catch (error) {
+    // Attributed concurrently by a webhook retry
+    if (error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+export default {
+  attributeOrder,
+};
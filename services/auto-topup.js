@@ -0,0 +1,378 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { chargeSavedPaymentMethod } from './stripe.js';
+import { credit, getBalance } from './wallet.js';
+import { sendEmail } from './email.js';
+import { createNotification, NotificationType } from './notifications.js';
+import { getAutoTopUpSpend, getLowBalanceSettings } from './low-balance.js';
+import {
+  AlertChannel,
+  AutoTopUpSkipReason,
+  AutoTopUpStatus,
+  checkAutoTopUp,
+} from './balance-alerts.js';
+import { CreditLotSource } from './credit-lot-rules.js';
+import { issueInvoice } from './invoices.js';
+import { InvoiceType } from './invoice-rules.js';
+import { getShopVat } from './billing-profiles.js';
+import { addVat } from './vat-rules.js';
+
+/**
+ * Auto Top-up Service
+ * Charges the saved Stripe card of a shop for its chosen package when the
+ * balance falls below its threshold, then credits the wallet like a
+ * regular purchase. Like a manual top-up, the package price is net and the
+ * VAT of the shop's billing profile is charged on top; the attempt keeps
+ * that VAT for its invoice. Each attempt is an AutoTopUp row whose idempotency key
+ * is also sent to Stripe, so a retried job never charges twice.
+ */
+
+const SUPPORTED_CURRENCIES = ['EUR', 'USD'];
+// Stripe failures worth retrying (network, Stripe outage, rate limit)
+const RETRYABLE_STRIPE_ERRORS = [
+  'StripeConnectionError',
+  'StripeAPIError',
+  'StripeRateLimitError',
+];
+
+function formatAutoTopUp(autoTopUp) {
+  return {
+    id: autoTopUp.id,
+    status: autoTopUp.status,
+    packageId: autoTopUp.packageId,
+    purchaseId: autoTopUp.purchaseId,
+    credits: autoTopUp.units,
+    amountCents: autoTopUp.amountCents,
+    currency: autoTopUp.currency,
+    balanceBefore: autoTopUp.balanceBefore,
+    error: autoTopUp.error,
+    createdAt: autoTopUp.createdAt,
+    updatedAt: autoTopUp.updatedAt,
+  };
+}
+
+async function notifyMerchant(shopId, settings, notification, options = {}) {
+  try {
+    await createNotification(shopId, notification, options);
+    if (settings.alertChannels.includes(AlertChannel.email) && settings.alertEmail) {
+      await sendEmail({
+        to: settings.alertEmail,
+        subject: notification.title,
+        text: notification.message,
+      });
+    }
+  } catch (error) {
+    logger.warn('Failed to notify auto top-up result', {
+      shopId,
+      type: notification.type,
+      error: error.message,
+    });
+  }
+}
+
+async function markFailed(attempt, settings, error) {
+  const message = error.message || String(error);
+  await prisma.autoTopUp.update({
+    where: { id: attempt.id },
+    data: { status: AutoTopUpStatus.failed, error: message.slice(0, 500) },
+  });
+
+  logger.warn('Auto top-up failed', {
+    shopId: attempt.shopId,
+    autoTopUpId: attempt.id,
+    error: message,
+    code: error.code,
+  });
+
+  await notifyMerchant(attempt.shopId, settings, {
+    type: NotificationType.autoTopUpFailed,
+    title: 'Automatic top-up failed',
+    message:
+      error.code === 'authentication_required'
+        ? 'Your bank asked to confirm the automatic top-up. Buy credits manually to confirm your card.'
+        : `Your card could not be charged for the automatic top-up (${message}). Update your payment method or buy credits manually.`,
+    data: { autoTopUpId: attempt.id, code: error.code || null },
+  });
+
+  return { status: AutoTopUpStatus.failed, autoTopUpId: attempt.id };
+}
+
+async function createAttempt(shop, idempotencyKey, settings) {
+  const shopId = shop.id;
+  const [balance, spentThisMonthCents, vat] = await Promise.all([
+    getBalance(shopId),
+    getAutoTopUpSpend(shopId),
+    getShopVat(shopId),
+  ]);
+  const pkg = settings.autoTopUp.package;
+  const amountCents = pkg ? addVat(pkg.priceCents, vat.rate).totalCents : null;
+
+  const decision = checkAutoTopUp({
+    enabled: settings.autoTopUp.enabled,
+    packagePriceCents: amountCents,
+    monthlyCapCents: settings.autoTopUp.monthlyCapCents,
+    spentThisMonthCents,
+    balance,
+    threshold: settings.threshold,
+    hasCustomer: Boolean(shop.stripeCustomerId),
+  });
+
+  if (!decision.allowed) {
+    logger.info('Auto top-up skipped', {
+      shopId,
+      idempotencyKey,
+      reason: decision.reason,
+      balance,
+    });
+    if (decision.reason === AutoTopUpSkipReason.monthlyCapReached) {
+      await notifyMerchant(
+        shopId,
+        settings,
+        {
+          type: NotificationType.autoTopUpCapReached,
+          title: 'Automatic top-up limit reached',
+          message:
+            'Your balance is low but this month\'s automatic top-up limit has been reached. Buy credits manually or raise the limit.',
+          data: { spentThisMonthCents, monthlyCapCents: settings.autoTopUp.monthlyCapCents },
+        },
+        { dedupeHours: 24 },
+      );
+    }
+    return { skipped: decision.reason };
+  }
+
+  const currency = SUPPORTED_CURRENCIES.includes(shop.currency?.toUpperCase())
+    ? shop.currency.toUpperCase()
+    : 'EUR';
+
+  try {
+    const attempt = await prisma.autoTopUp.create({
+      data: {
+        shopId,
+        packageId: pkg.id,
+        idempotencyKey,
+        status: AutoTopUpStatus.pending,
+        units: pkg.credits,
+        amountCents,
+        currency,
+        vatRate: vat.rate,
+        vatTreatment: vat.treatment,
+        balanceBefore: balance,
+      },
+    });
+    return { attempt };
+  } catch (error) {
+    if (error.code === 'P2002') {
+      // Another job of the same window created it first
+      return { skipped: 'duplicate' };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run an auto top-up
+ * @param {Object} params - { shopId, idempotencyKey }
+ * @param {Object} [options] - { finalAttempt } last job attempt, retryable
+ *   Stripe errors then fail the top-up instead of being thrown
+ * @returns {Promise<Object>} { status, autoTopUpId?, reason? }
+ */
+export async function runAutoTopUp({ shopId, idempotencyKey }, options = {}) {
+  let attempt = await prisma.autoTopUp.findUnique({ where: { idempotencyKey } });
+  if (attempt && attempt.status !== AutoTopUpStatus.pending) {
+    return { status: attempt.status, autoTopUpId: attempt.id, duplicate: true };
+  }
+
+  const [settings, shop] = await Promise.all([
+    getLowBalanceSettings(shopId),
+    prisma.shop.findUnique({
+      where: { id: shopId },
+      select: {
+        id: true,
+        currency: true,
+        stripeCustomerId: true,
+        stripeSubscriptionId: true,
+      },
+    }),
+  ]);
+  if (!shop) {
+    return { status: AutoTopUpStatus.skipped, reason: 'shop_not_found' };
+  }
+
+  // A pending attempt is a retried job: charge again with the same key
+  if (!attempt) {
+    const created = await createAttempt(shop, idempotencyKey, settings);
+    if (created.skipped) {
+      return { status: AutoTopUpStatus.skipped, reason: created.skipped };
+    }
+    attempt = created.attempt;
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await chargeSavedPaymentMethod({
+      customerId: shop.stripeCustomerId,
+      subscriptionId: shop.stripeSubscriptionId,
+      amountCents: attempt.amountCents,
+      currency: attempt.currency,
+      description: `Automatic top-up: ${attempt.units} SMS credits`,
+      metadata: {
+        shopId,
+        autoTopUpId: attempt.id,
+        packageId: attempt.packageId,
+        credits: String(attempt.units),
+        type: 'auto_topup',
+        ...(attempt.vatTreatment && {
+          vatRate: String(attempt.vatRate),
+          vatTreatment: attempt.vatTreatment,
+        }),
+      },
+      idempotencyKey,
+    });
+  } catch (error) {
+    if (RETRYABLE_STRIPE_ERRORS.includes(error.type) && !options.finalAttempt) {
+      throw error;
+    }
+    return markFailed(attempt, settings, error);
+  }
+
+  if (paymentIntent.status !== 'succeeded') {
+    return markFailed(attempt, settings, {
+      message: `Payment ${paymentIntent.status}`,
+      code:
+        paymentIntent.status === 'requires_action' ? 'authentication_required' : null,
+    });
+  }
+
+  const result = await prisma.$transaction(async tx => {
+    const claimed = await tx.autoTopUp.updateMany({
+      where: { id: attempt.id, status: AutoTopUpStatus.pending },
+      data: {
+        status: AutoTopUpStatus.succeeded,
+        stripePaymentIntentId: paymentIntent.id,
+      },
+    });
+    if (claimed.count === 0) {
+      return null; // Credited by a concurrent run
+    }
+
+    const purchase = await tx.purchase.create({
+      data: {
+        shopId,
+        packageId: attempt.packageId,
+        units: attempt.units,
+        priceCents: attempt.amountCents,
+        status: 'paid',
+        currency: attempt.currency,
+        stripePaymentIntentId: paymentIntent.id,
+        stripeCustomerId: shop.stripeCustomerId,
+      },
+      include: { package: { select: { name: true } } },
+    });
+
+    const wallet = await credit(
+      shopId,
+      attempt.units,
+      {
+        reason: `stripe:auto_topup:${purchase.package.name}`,
+        meta: {
+          autoTopUpId: attempt.id,
+          purchaseId: purchase.id,
+          packageId: attempt.packageId,
+          stripePaymentIntentId: paymentIntent.id,
+          currency: attempt.currency,
+        },
+        lot: { source: CreditLotSource.purchase },
+      },
+      tx,
+    );
+
+    await tx.autoTopUp.update({
+      where: { id: attempt.id },
+      data: { purchaseId: purchase.id },
+    });
+
+    return { purchaseId: purchase.id, balance: wallet.balance };
+  });
+
+  if (!result) {
+    return { status: AutoTopUpStatus.succeeded, autoTopUpId: attempt.id, duplicate: true };
+  }
+
+  logger.info('Auto top-up succeeded', {
+    shopId,
+    autoTopUpId: attempt.id,
+    credits: attempt.units,
+    amountCents: attempt.amountCents,
+    balance: result.balance,
+  });
+
+  await issueInvoice({
+    shopId,
+    sourceKey: `purchase:${result.purchaseId}`,
+    type: InvoiceType.credits,
+    description: `Automatic top-up - ${attempt.units} SMS credits`,
+    credits: attempt.units,
+    currency: attempt.currency,
+    totalCents: attempt.amountCents,
+    // VAT the amount was computed with when the attempt was created
+    vat: attempt.vatTreatment
+      ? { rate: attempt.vatRate, treatment: attempt.vatTreatment }
+      : undefined,
+    purchaseId: result.purchaseId,
+    stripePaymentIntentId: paymentIntent.id,
+  });
+
+  await notifyMerchant(shopId, settings, {
+    type: NotificationType.autoTopUpSucceeded,
+    title: 'Credits topped up automatically',
+    message: `${attempt.units} credits were added to your balance (now ${result.balance}).`,
+    data: { autoTopUpId: attempt.id, purchaseId: result.purchaseId },
+  });
+
+  return {
+    status: AutoTopUpStatus.succeeded,
+    autoTopUpId: attempt.id,
+    purchaseId: result.purchaseId,
+    balance: result.balance,
+  };
+}
+
+/**
+ * List auto top-up attempts, newest first
+ * @param {string} shopId - Shop ID
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Promise<Object>} { autoTopUps, pagination }
+ */
+export async function listAutoTopUps(shopId, filters = {}) {
+  const { page = 1, pageSize = 20 } = filters;
+  const where = { shopId };
+
+  const [autoTopUps, total] = await Promise.all([
+    prisma.autoTopUp.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.autoTopUp.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    autoTopUps: autoTopUps.map(formatAutoTopUp),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+export default {
+  runAutoTopUp,
+  listAutoTopUps,
+};
@@ -1,9 +1,12 @@
 import { logger } from '../utils/logger.js';
 import { automationQueue } from '../queue/index.js';
 import prisma from './prisma.js';
+import { getShopSendTime, deferJobForQuietHours } from './quiet-hours.js';
 
 /**
  * Schedule an automation job with optional delay
+ * Send times inside the shop's quiet hours are moved to the end of the
+ * quiet window.
  * @param {Object} options - Scheduling options
  * @param {string} options.jobName - Job name (e.g., 'order-confirmation', 'abandoned-cart')
  * @param {Object} options.data - Job data
@@ -18,6 +21,20 @@ export async function scheduleAutomation({
   jobId = null,
 }) {
   try {
+    if (data.shopId) {
+      const dueAt = new Date(Date.now() + delayMs);
+      const sendAt = await getShopSendTime(data.shopId, dueAt);
+      if (sendAt > dueAt) {
+        logger.info('Automation moved out of quiet hours', {
+          jobName,
+          shopId: data.shopId,
+          dueAt: dueAt.toISOString(),
+          sendAt: sendAt.toISOString(),
+        });
+        delayMs = sendAt.getTime() - Date.now();
+      }
+    }
+
     const jobOptions = {
       attempts: 3,
       backoff: {
@@ -79,6 +96,68 @@ export async function scheduleAutomation({
   }
 }
 
+/**
+ * Defer a delayed automation job that became due inside quiet hours
+ * (e.g. quiet hours changed after it was scheduled). Tracking records
+ * (ScheduledAutomation, AutomationSequence.scheduledJobs,
+ * AbandonedCheckout.scheduledJobIds) follow the new job.
+ * @param {Object} job - BullMQ automation job
+ * @returns {Promise<Object|null>} { jobId, deferredUntil } or null if the job may run now
+ */
+export async function deferAutomationForQuietHours(job) {
+  const deferred = await deferJobForQuietHours(job, automationQueue);
+  if (!deferred) return null;
+
+  const { shopId } = job.data;
+  const oldJobId = String(job.id);
+
+  try {
+    await prisma.scheduledAutomation.updateMany({
+      where: { shopId, jobId: oldJobId },
+      data: { jobId: deferred.jobId, scheduledFor: deferred.deferredUntil },
+    });
+
+    const sequences = await prisma.automationSequence.findMany({
+      where: { shopId, status: 'active', scheduledJobs: { has: oldJobId } },
+      select: { id: true, scheduledJobs: true },
+    });
+    for (const sequence of sequences) {
+      await prisma.automationSequence.update({
+        where: { id: sequence.id },
+        data: {
+          scheduledJobs: sequence.scheduledJobs.map(id =>
+            id === oldJobId ? deferred.jobId : id,
+          ),
+        },
+      });
+    }
+
+    const checkouts = await prisma.abandonedCheckout.findMany({
+      where: { shopId, scheduledJobIds: { has: oldJobId } },
+      select: { id: true, scheduledJobIds: true },
+    });
+    for (const checkout of checkouts) {
+      await prisma.abandonedCheckout.update({
+        where: { id: checkout.id },
+        data: {
+          scheduledJobIds: checkout.scheduledJobIds.map(id =>
+            id === oldJobId ? deferred.jobId : id,
+          ),
+        },
+      });
+    }
+  } catch (dbError) {
+    // The deferred job is queued either way, only tracking is stale
+    logger.warn('Failed to update tracking for deferred automation', {
+      jobId: oldJobId,
+      deferredJobId: deferred.jobId,
+      error: dbError.message,
+    });
+  }
+
+  return deferred;
+}
+
 /**
  * Cancel a scheduled automation job
  * @param {string} jobId - Bull job ID
@@ -276,6 +355,77 @@ export async function cancelAutomationsForCheckout(shopId, checkoutId) {
   }
 }
 
+/**
+ * Cancel every pending automation for a contact (e.g. after an opt-out)
+ * Cancels scheduled jobs and marks active sequences as cancelled.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object>} { cancelledJobs, cancelledSequences }
+ */
+export async function cancelAutomationsForContact(shopId, contactId) {
+  try {
+    const scheduledAutomations = await prisma.scheduledAutomation.findMany({
+      where: {
+        shopId,
+        contactId,
+        status: 'scheduled',
+      },
+      select: { jobId: true },
+    });
+
+    let cancelledJobs = 0;
+
+    for (const scheduled of scheduledAutomations) {
+      const cancelled = await cancelScheduledAutomation(scheduled.jobId, shopId);
+      if (cancelled) {
+        cancelledJobs++;
+      }
+    }
+
+    // Jobs that were already gone from the queue are still marked cancelled
+    await prisma.scheduledAutomation.updateMany({
+      where: {
+        shopId,
+        contactId,
+        status: 'scheduled',
+      },
+      data: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+      },
+    });
+
+    const sequences = await prisma.automationSequence.updateMany({
+      where: {
+        shopId,
+        contactId,
+        status: 'active',
+      },
+      data: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        scheduledJobs: [],
+      },
+    });
+
+    logger.info('Cancelled automations for contact', {
+      shopId,
+      contactId,
+      cancelledJobs,
+      cancelledSequences: sequences.count,
+    });
+
+    return { cancelledJobs, cancelledSequences: sequences.count };
+  } catch (error) {
+    logger.error('Failed to cancel automations for contact', {
+      shopId,
+      contactId,
+      error: error.message,
+    });
+    return { cancelledJobs: 0, cancelledSequences: 0 };
+  }
+}
+
 /**
  * Get scheduled automations for a shop
  * @param {string} shopId - Shop ID
@@ -311,8 +461,10 @@ export async function getScheduledAutomations(shopId, automationType = null) {
 
 export default {
   scheduleAutomation,
+  deferAutomationForQuietHours,
   cancelScheduledAutomation,
   cancelAutomationsForOrder,
   cancelAutomationsForCheckout,
+  cancelAutomationsForContact,
   getScheduledAutomations,
 };
@@ -1,9 +1,14 @@
 import prisma from './prisma.js';
-import { sendSms } from './mitto.js';
+import { sendSms } from './sms-provider.js';
 import { logger } from '../utils/logger.js';
 import { generateUnsubscribeUrl } from '../utils/unsubscribe.js';
 import { shortenUrlsInText } from '../utils/urlShortener.js';
 import { formatLineItems } from './shopify-graphql.js';
+import { scheduleAutomation } from './automation-scheduler.js';
+import { getQuietHoursWindow, isQuietTime } from '../utils/quiet-hours.js';
+import { getMessageCredits } from './message-pricing.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { WebhookEvent } from './webhook-events.js';
 
 /**
  * Trigger an automation for a specific contact
@@ -70,66 +75,17 @@ export async function triggerAutomation({
       return { success: false, reason: 'No SMS consent' };
     }
 
-    // Prepare message content
-    const messageContent =
-      userAutomation.userMessage || userAutomation.automation.defaultMessage;
-
-    // Replace template variables
-    let processedMessage = processMessageTemplate(messageContent, {
+    const smsResult = await sendAutomationMessage({
+      shopId,
       contact,
       shop: userAutomation.shop,
-      ...additionalData,
-    });
-
-    // Shorten any URLs in the message text
-    processedMessage = await shortenUrlsInText(processedMessage);
-
-    // Get frontend base URL for unsubscribe links
-    const frontendBaseUrl =
-      process.env.FRONTEND_URL ||
-      process.env.FRONTEND_BASE_URL ||
-      'https://astronote-shopify-frontend.onrender.com';
-
-    // Append unsubscribe link (use full URL, not shortened)
-    // IMPORTANT: Do NOT shorten the unsubscribe URL - it would cause 404 errors
-    const unsubscribeUrl = generateUnsubscribeUrl(
-      contact.id,
-      shopId,
-      contact.phoneE164,
-      frontendBaseUrl,
-    );
-    processedMessage += `\n\nUnsubscribe: ${unsubscribeUrl}`;
-
-    // Get sender information
-    const senderNumber =
-      userAutomation.shop.settings?.senderNumber ||
-      userAutomation.shop.settings?.senderName ||
-      process.env.MITTO_SENDER_NAME ||
-      'Astronote';
-
-    // Send SMS
-    const smsResult = await sendSms({
-      to: contact.phoneE164,
-      text: processedMessage,
-      senderOverride: senderNumber,
-      shopId,
+      message: userAutomation.userMessage || userAutomation.automation.defaultMessage,
+      automationId: userAutomation.automationId,
+      additionalData,
     });
 
     // sendSms returns {messageId, status} on success, throws error on failure
     if (smsResult && smsResult.messageId) {
-      // Log the automation trigger
-      await prisma.messageLog.create({
-        data: {
-          shopId,
-          phoneE164: contact.phoneE164,
-          direction: 'outbound',
-          provider: 'mitto',
-          providerMsgId: smsResult.messageId,
-          status: 'sent',
-          campaignId: null, // Automation, not campaign
-        },
-      });
-
       logger.info('Automation triggered successfully', {
         shopId,
         contactId,
@@ -138,6 +94,15 @@ export async function triggerAutomation({
         automationId: userAutomation.automationId,
       });
 
+      await emitWebhookEvent(shopId, WebhookEvent.automationTriggered, {
+        automationId: userAutomation.automationId,
+        triggerEvent,
+        contactId,
+        phoneE164: contact.phoneE164,
+        messageId: smsResult.messageId,
+        occurredAt: new Date().toISOString(),
+      });
+
       return {
         success: true,
         messageId: smsResult.messageId,
@@ -508,6 +473,94 @@ function processMessageTemplate(template, data) {
   return processedMessage;
 }
 
+/**
+ * Send an automation message to a contact
+ * Fills in the template variables, shortens links (attributed to the
+ * automation), appends the unsubscribe link and logs the message.
+ * @param {Object} params
+ * @param {string} params.shopId - Shop ID
+ * @param {Object} params.contact - Contact
+ * @param {Object} params.shop - Shop with settings
+ * @param {string} params.message - Message template
+ * @param {string} params.automationId - Automation (or flow) the message is attributed to
+ * @param {Object} [params.additionalData] - Extra template data (order, checkout...)
+ * @returns {Promise<Object>} sendSms result, throws when sending fails
+ */
+export async function sendAutomationMessage({
+  shopId,
+  contact,
+  shop,
+  message,
+  automationId,
+  additionalData = {},
+}) {
+  // Replace template variables
+  let processedMessage = processMessageTemplate(message, {
+    contact,
+    shop,
+    ...additionalData,
+  });
+
+  // Shorten any URLs in the message text
+  // Links carry the automation so clicks can be attributed to it
+  processedMessage = await shortenUrlsInText(processedMessage, {
+    shopId,
+    contactId: contact.id,
+    automationId,
+  });
+
+  // Get frontend base URL for unsubscribe links
+  const frontendBaseUrl =
+    process.env.FRONTEND_URL ||
+    process.env.FRONTEND_BASE_URL ||
+    'https://astronote-shopify-frontend.onrender.com';
+
+  // Append unsubscribe link (use full URL, not shortened)
+  // IMPORTANT: Do NOT shorten the unsubscribe URL - it would cause 404 errors
+  const unsubscribeUrl = generateUnsubscribeUrl(
+    contact.id,
+    shopId,
+    contact.phoneE164,
+    frontendBaseUrl,
+  );
+  processedMessage += `\n\nUnsubscribe: ${unsubscribeUrl}`;
+
+  // Get sender information
+  const senderNumber =
+    shop.settings?.senderNumber ||
+    shop.settings?.senderName ||
+    process.env.MITTO_SENDER_NAME ||
+    'Astronote';
+
+  // Send SMS
+  const smsResult = await sendSms({
+    to: contact.phoneE164,
+    text: processedMessage,
+    senderOverride: senderNumber,
+    shopId,
+  });
+
+  if (smsResult && smsResult.messageId) {
+    // Log the automation message
+    await prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164: contact.phoneE164,
+        direction: 'outbound',
+        provider: smsResult.provider,
+        providerMsgId: smsResult.messageId,
+        status: 'sent',
+        campaignId: null, // Automation, not campaign
+        automationId,
+        credits: getMessageCredits(processedMessage),
+        text: processedMessage,
+      },
+    });
+  }
+
+  return smsResult;
+}
+
 /**
  * Trigger abandoned cart automation
  */
@@ -757,6 +810,7 @@ export async function processDailyBirthdayAutomations() {
     const results = {
       total: birthdayContacts.length,
       sent: 0,
+      deferred: 0,
       skipped: 0,
       failed: 0,
       details: [],
@@ -784,6 +838,33 @@ export async function processDailyBirthdayAutomations() {
           continue;
         }
 
+        // Inside quiet hours the birthday SMS is queued for the end of
+        // the shop's quiet window instead of being sent now
+        const now = new Date();
+        const quietHours = getQuietHoursWindow(contact.shop.settings);
+        if (isQuietTime(now, quietHours)) {
+          const job = await scheduleAutomation({
+            jobName: 'birthday',
+            data: {
+              shopId: contact.shopId,
+              contactId: contact.id,
+              birthdayData: {
+                firstName: contact.firstName,
+                lastName: contact.lastName,
+              },
+            },
+            jobId: `birthday-${contact.shopId}-${contact.id}-${now.toISOString().slice(0, 10)}`,
+          });
+          results.deferred++;
+          results.details.push({
+            contactId: contact.id,
+            shopId: contact.shopId,
+            status: 'deferred',
+            jobId: job.id,
+          });
+          continue;
+        }
+
         // Trigger birthday automation
         const result = await triggerBirthdayOffer({
           shopId: contact.shopId,
@@ -850,6 +931,7 @@ export async function processDailyBirthdayAutomations() {
 
 export default {
   triggerAutomation,
+  sendAutomationMessage,
   triggerAbandonedCart,
   triggerOrderConfirmation,
   triggerOrderFulfilled,
@@ -0,0 +1,161 @@
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Low Balance Rules
+ * When a debit takes a shop's balance below its threshold, the shop is
+ * alerted on its channels and, if enabled, the wallet is refilled by
+ * charging the saved Stripe card for the chosen package. Alerts fire once
+ * per crossing; auto top-ups are bounded by a monthly spend cap and keyed
+ * by an idempotency window so concurrent crossings charge only once.
+ */
+
+export const AlertChannel = {
+  email: 'email',
+  webhook: 'webhook',
+  inApp: 'in_app',
+};
+
+export const ALERT_CHANNELS = Object.values(AlertChannel);
+export const DEFAULT_ALERT_CHANNELS = [AlertChannel.webhook, AlertChannel.inApp];
+
+export const AutoTopUpStatus = {
+  pending: 'pending',
+  succeeded: 'succeeded',
+  failed: 'failed',
+  skipped: 'skipped',
+};
+
+export const AutoTopUpSkipReason = {
+  disabled: 'disabled',
+  noPackage: 'no_package',
+  noCustomer: 'no_customer',
+  aboveThreshold: 'above_threshold',
+  monthlyCapReached: 'monthly_cap_reached',
+};
+
+// Crossings within the same window share one top-up
+export const AUTO_TOP_UP_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Check whether a balance change crossed the threshold downwards
+ * @param {number} previousBalance - Balance before the change
+ * @param {number} balance - Balance after the change
+ * @param {number} threshold - Low balance threshold
+ * @returns {boolean}
+ */
+export function hasCrossedThreshold(previousBalance, balance, threshold) {
+  return previousBalance >= threshold && balance < threshold;
+}
+
+/**
+ * Start of the calendar month (UTC) the monthly cap applies to
+ * @param {Date} [now] - Current time
+ * @returns {Date}
+ */
+export function getMonthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Idempotency key of an auto top-up (also sent to Stripe)
+ * @param {string} shopId - Shop ID
+ * @param {Date} [now] - Crossing time
+ * @returns {string}
+ */
+export function getAutoTopUpKey(shopId, now = new Date()) {
+  const window = Math.floor(now.getTime() / AUTO_TOP_UP_WINDOW_MS);
+  return `auto-topup:${shopId}:${window}`;
+}
+
+/**
+ * Decide whether an auto top-up may charge the shop
+ * @param {Object} params - { enabled, packagePriceCents, monthlyCapCents,
+ *   spentThisMonthCents, balance, threshold, hasCustomer } the package
+ *   price is the amount charged, VAT included
+ * @returns {Object} { allowed, reason }
+ */
+export function checkAutoTopUp({
+  enabled,
+  packagePriceCents,
+  monthlyCapCents,
+  spentThisMonthCents = 0,
+  balance,
+  threshold,
+  hasCustomer,
+}) {
+  if (!enabled) {
+    return { allowed: false, reason: AutoTopUpSkipReason.disabled };
+  }
+  if (!packagePriceCents) {
+    return { allowed: false, reason: AutoTopUpSkipReason.noPackage };
+  }
+  if (!hasCustomer) {
+    return { allowed: false, reason: AutoTopUpSkipReason.noCustomer };
+  }
+  if (balance >= threshold) {
+    return { allowed: false, reason: AutoTopUpSkipReason.aboveThreshold };
+  }
+  if (spentThisMonthCents + packagePriceCents > monthlyCapCents) {
+    return { allowed: false, reason: AutoTopUpSkipReason.monthlyCapReached };
+  }
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Validate low balance settings
+ * @param {Object} settings - Merged settings { threshold, alertChannels,
+ *   alertEmail, autoTopUp: { enabled, packageId, monthlyCapCents } }
+ * @throws {ValidationError} If inconsistent
+ */
+export function validateLowBalanceSettings(settings) {
+  const errors = [];
+  const channels = settings.alertChannels || [];
+
+  const unknown = channels.filter(channel => !ALERT_CHANNELS.includes(channel));
+  if (unknown.length > 0) {
+    errors.push({
+      field: 'alertChannels',
+      message: `Unknown channels: ${unknown.join(', ')}`,
+    });
+  }
+  if (channels.includes(AlertChannel.email) && !settings.alertEmail) {
+    errors.push({
+      field: 'alertEmail',
+      message: 'An email address is required for email alerts',
+    });
+  }
+
+  const autoTopUp = settings.autoTopUp || {};
+  if (autoTopUp.enabled) {
+    if (!autoTopUp.packageId) {
+      errors.push({
+        field: 'autoTopUp.packageId',
+        message: 'A package is required for automatic top-up',
+      });
+    }
+    if (!autoTopUp.monthlyCapCents) {
+      errors.push({
+        field: 'autoTopUp.monthlyCapCents',
+        message: 'A monthly spend cap is required for automatic top-up',
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid low balance settings', errors);
+  }
+}
+
+export default {
+  AlertChannel,
+  ALERT_CHANNELS,
+  DEFAULT_ALERT_CHANNELS,
+  AutoTopUpStatus,
+  AutoTopUpSkipReason,
+  AUTO_TOP_UP_WINDOW_MS,
+  hasCrossedThreshold,
+  getMonthStart,
+  getAutoTopUpKey,
+  checkAutoTopUp,
+  validateLowBalanceSettings,
+};
@@ -0,0 +1,188 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError } from '../utils/errors.js';
+import {
+  computeVat,
+  normalizeCountry,
+  normalizeVatId,
+  validateVatId,
+} from './vat-rules.js';
+
+/**
+ * Billing Profiles Service
+ * Company details a shop is invoiced to, and the VAT that applies to it
+ * (see services/vat-rules.js). Shops without a profile are invoiced to
+ * their shop name with the seller's domestic VAT.
+ */
+
+export const SELLER_COUNTRY =
+  normalizeCountry(process.env.INVOICE_SELLER_COUNTRY) || 'GR';
+
+/**
+ * Seller details printed on invoices
+ * @returns {Object} Party { name, addressLines, country, vatId, email }
+ */
+export function getSeller() {
+  return {
+    name: process.env.INVOICE_SELLER_NAME || 'Astronote',
+    addressLines: (process.env.INVOICE_SELLER_ADDRESS || '')
+      .split(';')
+      .map(line => line.trim())
+      .filter(Boolean),
+    country: SELLER_COUNTRY,
+    vatId: process.env.INVOICE_SELLER_VAT_ID || null,
+    email: process.env.INVOICE_SELLER_EMAIL || null,
+  };
+}
+
+function formatProfile(profile) {
+  if (!profile) return null;
+  return {
+    companyName: profile.companyName,
+    vatId: profile.vatId,
+    email: profile.email,
+    addressLine1: profile.addressLine1,
+    addressLine2: profile.addressLine2,
+    city: profile.city,
+    postalCode: profile.postalCode,
+    region: profile.region,
+    country: profile.country,
+    updatedAt: profile.updatedAt,
+  };
+}
+
+/**
+ * VAT of a billing profile
+ * @param {Object|null} profile - Billing profile { country, vatId }
+ * @returns {Object} { rate, treatment, country, note }
+ */
+export function getProfileVat(profile) {
+  return computeVat({
+    sellerCountry: SELLER_COUNTRY,
+    country: profile?.country,
+    vatId: profile?.vatId,
+  });
+}
+
+/**
+ * Get the billing profile of a shop
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { profile, vat } profile is null until saved
+ */
+export async function getBillingProfile(shopId) {
+  const profile = await prisma.billingProfile.findUnique({ where: { shopId } });
+  return { profile: formatProfile(profile), vat: getProfileVat(profile) };
+}
+
+/**
+ * Create or replace the billing profile of a shop
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - { companyName, vatId?, email?, addressLine1,
+ *   addressLine2?, city, postalCode, region?, country }
+ * @returns {Promise<Object>} { profile, vat }
+ */
+export async function updateBillingProfile(shopId, data) {
+  const country = normalizeCountry(data.country);
+  if (!country) {
+    throw new ValidationError('Invalid billing profile', [
+      { field: 'country', message: 'Country must be an ISO 3166-1 alpha-2 code' },
+    ]);
+  }
+  const vatId = normalizeVatId(data.vatId, country);
+  const vatIdError = vatId ? validateVatId(vatId, country) : null;
+  if (vatIdError) {
+    throw new ValidationError('Invalid billing profile', [
+      { field: 'vatId', message: vatIdError },
+    ]);
+  }
+
+  const profileData = {
+    companyName: data.companyName,
+    vatId,
+    email: data.email || null,
+    addressLine1: data.addressLine1,
+    addressLine2: data.addressLine2 || null,
+    city: data.city,
+    postalCode: data.postalCode,
+    region: data.region || null,
+    country,
+  };
+
+  const profile = await prisma.billingProfile.upsert({
+    where: { shopId },
+    update: profileData,
+    create: { shopId, ...profileData },
+  });
+  const vat = getProfileVat(profile);
+
+  logger.info('Billing profile updated', {
+    shopId,
+    country,
+    hasVatId: Boolean(vatId),
+    vatTreatment: vat.treatment,
+  });
+
+  return { profile: formatProfile(profile), vat };
+}
+
+/**
+ * VAT that applies to a shop
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { rate, treatment, country, note }
+ */
+export async function getShopVat(shopId) {
+  const profile = await prisma.billingProfile.findUnique({
+    where: { shopId },
+    select: { country: true, vatId: true },
+  });
+  return getProfileVat(profile);
+}
+
+/**
+ * Customer details printed on an invoice
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { customer, vat } customer is a party snapshot
+ */
+export async function getInvoiceCustomer(client, shopId) {
+  const [profile, shop] = await Promise.all([
+    client.billingProfile.findUnique({ where: { shopId } }),
+    client.shop.findUnique({
+      where: { id: shopId },
+      select: { shopName: true, shopDomain: true },
+    }),
+  ]);
+
+  const customer = profile
+    ? {
+      name: profile.companyName,
+      addressLines: [
+        profile.addressLine1,
+        profile.addressLine2,
+        [profile.postalCode, profile.city].filter(Boolean).join(' '),
+        profile.region,
+      ].filter(Boolean),
+      country: profile.country,
+      vatId: profile.vatId,
+      email: profile.email,
+    }
+    : {
+      name: shop?.shopName || shop?.shopDomain || shopId,
+      addressLines: shop?.shopName && shop?.shopDomain ? [shop.shopDomain] : [],
+      country: null,
+      vatId: null,
+      email: null,
+    };
+
+  return { customer, vat: getProfileVat(profile) };
+}
+
+export default {
+  SELLER_COUNTRY,
+  getSeller,
+  getProfileVat,
+  getBillingProfile,
+  updateBillingProfile,
+  getShopVat,
+  getInvoiceCustomer,
+};
@@ -8,6 +8,10 @@ import {
   refund as refundCredits,
   getBalance as getWalletBalance,
 } from './wallet.js';
+import { getLotBreakdown } from './credit-lots.js';
+import { CreditLotSource } from './credit-lot-rules.js';
+import { getInvoicesBySession, issueInvoice } from './invoices.js';
+import { InvoiceType } from './invoice-rules.js';
 
 /**
  * Billing Service
@@ -89,7 +93,10 @@ export async function getBalance(storeId) {
   }
 
   // Use Wallet service instead of Shop.credits
-  const balance = await getWalletBalance(storeId);
+  const [balance, lots] = await Promise.all([
+    getWalletBalance(storeId),
+    getLotBreakdown(storeId),
+  ]);
 
   logger.info('Balance retrieved', { storeId, credits: balance });
 
@@ -97,6 +104,8 @@ export async function getBalance(storeId) {
     credits: balance,
     balance, // Alias for consistency
     currency: shop.currency || 'EUR',
+    // Credits by source and expiry (consumed earliest-expiring first)
+    lots,
   };
 }
 
@@ -526,6 +535,7 @@ export async function handleStripeWebhook(stripeEvent) {
               stripePaymentIntentId: session.payment_intent,
               currency: purchase.currency || 'EUR',
             },
+            lot: { source: CreditLotSource.purchase },
           },
           tx,
         );
@@ -549,6 +559,19 @@ export async function handleStripeWebhook(stripeEvent) {
       creditsAdded: credits,
     });
 
+    await issueInvoice({
+      shopId: storeId,
+      sourceKey: `purchase:${purchase.id}`,
+      type: InvoiceType.credits,
+      description: `${purchase.package.name} - ${purchase.units} SMS credits`,
+      credits: purchase.units,
+      currency: purchase.currency || session.currency || 'EUR',
+      totalCents: actualAmountCents,
+      purchaseId: purchase.id,
+      stripeSessionId: session.id,
+      stripePaymentIntentId: session.payment_intent || null,
+    });
+
     return {
       status: 'success',
       storeId,
@@ -939,6 +962,11 @@ export async function getBillingHistory(storeId, filters = {}) {
     returned: transactions.length,
   });
 
+  const invoices = await getInvoicesBySession(
+    storeId,
+    transactions.map(transaction => transaction.stripeSessionId),
+  );
+
   // Transform transactions to include frontend-friendly fields
   // Use Promise.all to handle async package lookups
   const transformedTransactions = await Promise.all(
@@ -987,6 +1015,7 @@ export async function getBillingHistory(storeId, filters = {}) {
           name: packageName,
           credits: packageCredits,
         },
+        invoice: invoices.get(transaction.stripeSessionId) || null,
       };
     }),
   );
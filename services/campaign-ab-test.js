@@ -0,0 +1,281 @@
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Campaign A/B Tests
+ * Rules for campaigns sent with several message variants
+ * (CampaignVariant) and an optional test configuration (Campaign.abTest).
+ *
+ * Variants: [{ label: 'A', message, weight: 50 }, ...], weights in percent
+ * summing to 100. Without weights the audience is split evenly.
+ *
+ * Test format:
+ * {
+ *   mode: 'split' | 'winner',
+ *   testPercent: 20, // winner only: share of the audience in the test
+ *   waitHours: 4,    // winner only: delay before picking the winner
+ * }
+ *
+ * In split mode the whole audience is divided between the variants. In
+ * winner mode only testPercent of the audience is divided; the rest is held
+ * back and receives the variant with the best click-through rate once
+ * waitHours have passed.
+ */
+
+export const AbTestMode = {
+  split: 'split',
+  winner: 'winner',
+};
+
+export const MIN_VARIANTS = 2;
+export const MAX_VARIANTS = 5;
+const MAX_MESSAGE_LENGTH = 1600;
+const TEST_PERCENT = [5, 50];
+const WAIT_HOURS = [1, 72];
+const LABELS = 'ABCDE';
+
+/**
+ * Validate and normalize campaign variants
+ * @param {Array<Object>} variants - [{ label?, message, weight? }]
+ * @returns {Array<Object>} [{ label, message, weight }]
+ * @throws {ValidationError} If the variants are invalid
+ */
+export function validateVariants(variants) {
+  if (
+    !Array.isArray(variants) ||
+    variants.length < MIN_VARIANTS ||
+    variants.length > MAX_VARIANTS
+  ) {
+    throw new ValidationError('Invalid variants', [
+      {
+        field: 'variants',
+        message: `Between ${MIN_VARIANTS} and ${MAX_VARIANTS} variants are required`,
+      },
+    ]);
+  }
+
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const hasWeights = variants.some(
+    variant => variant.weight !== undefined && variant.weight !== null,
+  );
+  const evenWeight = Math.floor(100 / variants.length);
+
+  const normalized = variants.map((variant, index) => {
+    const label = (variant.label || LABELS[index]).trim().toUpperCase();
+    const message = String(variant.message || '').trim();
+    // The remainder of an even split goes to the first variant
+    const weight = hasWeights
+      ? variant.weight
+      : evenWeight + (index === 0 ? 100 - evenWeight * variants.length : 0);
+
+    if (!label || label.length > 10) {
+      fail(`variants.${index}.label`, 'Label must be 1 to 10 characters');
+    }
+    if (!message) {
+      fail(`variants.${index}.message`, 'Variant message is required');
+    } else if (message.length > MAX_MESSAGE_LENGTH) {
+      fail(
+        `variants.${index}.message`,
+        `Message is too long (max ${MAX_MESSAGE_LENGTH} characters)`,
+      );
+    }
+    if (!Number.isInteger(weight) || weight < 1 || weight > 99) {
+      fail(`variants.${index}.weight`, 'Weight must be an integer between 1 and 99');
+    }
+
+    return { label, message, weight };
+  });
+
+  if (new Set(normalized.map(variant => variant.label)).size !== normalized.length) {
+    fail('variants', 'Variant labels must be unique');
+  }
+  if (
+    errors.length === 0 &&
+    normalized.reduce((sum, variant) => sum + variant.weight, 0) !== 100
+  ) {
+    fail('variants', 'Variant weights must add up to 100');
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid variants', errors);
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate and normalize an A/B test configuration
+ * @param {Object} [abTest] - { mode, testPercent, waitHours }
+ * @returns {Object} Normalized configuration
+ * @throws {ValidationError} If the configuration is invalid
+ */
+export function validateAbTest(abTest = {}) {
+  const config = abTest || {};
+  const mode = config.mode || AbTestMode.split;
+  const errors = [];
+
+  if (!Object.values(AbTestMode).includes(mode)) {
+    errors.push({
+      field: 'abTest.mode',
+      message: `Mode must be one of: ${Object.values(AbTestMode).join(', ')}`,
+    });
+  }
+
+  if (mode !== AbTestMode.winner) {
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid A/B test', errors);
+    }
+    return { mode };
+  }
+
+  const { testPercent, waitHours } = config;
+  if (
+    !Number.isInteger(testPercent) ||
+    testPercent < TEST_PERCENT[0] ||
+    testPercent > TEST_PERCENT[1]
+  ) {
+    errors.push({
+      field: 'abTest.testPercent',
+      message: `Test percent must be an integer between ${TEST_PERCENT[0]} and ${TEST_PERCENT[1]}`,
+    });
+  }
+  if (
+    typeof waitHours !== 'number' ||
+    waitHours < WAIT_HOURS[0] ||
+    waitHours > WAIT_HOURS[1]
+  ) {
+    errors.push({
+      field: 'abTest.waitHours',
+      message: `Wait must be between ${WAIT_HOURS[0]} and ${WAIT_HOURS[1]} hours`,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid A/B test', errors);
+  }
+
+  return { mode, testPercent, waitHours };
+}
+
+/**
+ * Split a number of recipients between variants by weight
+ * Uses largest remainders so that the counts add up exactly.
+ * @param {number} total - Number of recipients
+ * @param {Array<Object>} variants - [{ weight }]
+ * @returns {Array<number>} Count per variant, in variant order
+ */
+export function allocateVariantCounts(total, variants) {
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const exact = variants.map(variant => (total * variant.weight) / totalWeight);
+  const counts = exact.map(Math.floor);
+  let remaining = total - counts.reduce((sum, count) => sum + count, 0);
+
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (remaining === 0) break;
+    counts[index] += 1;
+    remaining -= 1;
+  }
+
+  return counts;
+}
+
+/**
+ * Assign recipients to variants
+ * Recipients are shuffled first so that each variant gets a random sample
+ * of the audience rather than e.g. the oldest contacts.
+ * @param {Array<Object>} recipients - Recipients to assign
+ * @param {Array<Object>} variants - [{ id, weight }]
+ * @param {Object} [abTest] - Normalized A/B test configuration
+ * @param {Function} [random] - Random number generator in [0, 1)
+ * @returns {Array<Object>} [{ recipient, variantId }], variantId null for held recipients
+ */
+export function assignVariants(
+  recipients,
+  variants,
+  abTest = { mode: AbTestMode.split },
+  random = Math.random,
+) {
+  const shuffled = [...recipients];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  let testSize = shuffled.length;
+  if (abTest.mode === AbTestMode.winner) {
+    // Every variant needs at least one recipient to be compared
+    testSize = Math.min(
+      shuffled.length,
+      Math.max(
+        variants.length,
+        Math.round((shuffled.length * abTest.testPercent) / 100),
+      ),
+    );
+  }
+
+  const counts = allocateVariantCounts(testSize, variants);
+  const assignments = [];
+  let offset = 0;
+  variants.forEach((variant, index) => {
+    for (const recipient of shuffled.slice(offset, offset + counts[index])) {
+      assignments.push({ recipient, variantId: variant.id });
+    }
+    offset += counts[index];
+  });
+  for (const recipient of shuffled.slice(offset)) {
+    assignments.push({ recipient, variantId: null });
+  }
+
+  return assignments;
+}
+
+function rate(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+/**
+ * Compute rates for variant counts
+ * @param {Object} stats - { sent, delivered, clicked, ... }
+ * @returns {Object} Stats with ctr and deliveryRate in percent
+ */
+export function withVariantRates(stats) {
+  return {
+    ...stats,
+    deliveryRate: rate(stats.delivered, stats.sent),
+    ctr: rate(stats.clicked, stats.sent),
+  };
+}
+
+/**
+ * Pick the winning variant
+ * Best click-through rate wins; ties go to the better delivery rate, then
+ * to the first label.
+ * @param {Array<Object>} stats - [{ variantId, label, sent, delivered, clicked }]
+ * @returns {Object|null} Winning stats entry, null without variants
+ */
+export function pickWinner(stats) {
+  const ranked = stats
+    .map(withVariantRates)
+    .sort(
+      (a, b) =>
+        b.ctr - a.ctr ||
+        b.deliveryRate - a.deliveryRate ||
+        a.label.localeCompare(b.label),
+    );
+  return ranked[0] || null;
+}
+
+export default {
+  AbTestMode,
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  validateVariants,
+  validateAbTest,
+  allocateVariantCounts,
+  assignVariants,
+  withVariantRates,
+  pickWinner,
+};
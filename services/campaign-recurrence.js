@@ -0,0 +1,272 @@
+import { ValidationError } from '../utils/errors.js';
+import { getZonedParts, zonedTimeToUtc } from '../utils/timezone.js';
+
+/**
+ * Campaign Recurrence Rules
+ * Computes the occurrences of a recurring campaign (Campaign.recurrenceRule).
+ *
+ * Rule format:
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly',
+ *   interval: 1,             // every N days / weeks / months
+ *   weekdays: [1, 3],        // weekly only, 0 = Sunday ... 6 = Saturday
+ *   dayOfMonth: 15,          // monthly only, clamped to the last day of short months
+ *   endAt: '2025-12-31T...', // optional, no occurrence after this instant
+ *   maxOccurrences: 10,      // optional
+ * }
+ *
+ * The first occurrence is anchored on Campaign.scheduleAt: its wall-clock
+ * time in the shop timezone is the send time of every occurrence, so runs
+ * keep their local time across DST changes.
+ */
+
+export const RecurrenceFrequency = {
+  daily: 'daily',
+  weekly: 'weekly',
+  monthly: 'monthly',
+};
+
+const MAX_INTERVAL = {
+  [RecurrenceFrequency.daily]: 365,
+  [RecurrenceFrequency.weekly]: 52,
+  [RecurrenceFrequency.monthly]: 12,
+};
+
+const MAX_OCCURRENCES = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Longest gap between two occurrences is 12 months, search a little further
+const SEARCH_DAYS = 400;
+
+/**
+ * Resolve the recurrence rule of a campaign
+ * Campaigns created before recurrence rules only had recurringDays,
+ * which means "every N days".
+ * @param {Object} campaign - { recurrenceRule, recurringDays }
+ * @returns {Object|null} Recurrence rule
+ */
+export function getCampaignRecurrenceRule(campaign) {
+  if (campaign?.recurrenceRule && typeof campaign.recurrenceRule === 'object') {
+    return campaign.recurrenceRule;
+  }
+  if (campaign?.recurringDays) {
+    return {
+      frequency: RecurrenceFrequency.daily,
+      interval: campaign.recurringDays,
+    };
+  }
+  return null;
+}
+
+/**
+ * Validate and normalize a recurrence rule
+ * @param {Object} rule - Recurrence rule
+ * @returns {Object} Normalized rule
+ * @throws {ValidationError} If the rule is invalid
+ */
+export function validateRecurrenceRule(rule) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new ValidationError('Invalid recurrence rule', [
+      { field: 'recurrence', message: 'Recurrence rule must be an object' },
+    ]);
+  }
+
+  const frequency = rule.frequency;
+  if (!Object.values(RecurrenceFrequency).includes(frequency)) {
+    fail(
+      'recurrence.frequency',
+      `Frequency must be one of: ${Object.values(RecurrenceFrequency).join(', ')}`,
+    );
+  }
+
+  const interval = rule.interval === undefined ? 1 : rule.interval;
+  if (
+    !Number.isInteger(interval) ||
+    interval < 1 ||
+    interval > (MAX_INTERVAL[frequency] || 365)
+  ) {
+    fail(
+      'recurrence.interval',
+      `Interval must be an integer between 1 and ${MAX_INTERVAL[frequency] || 365}`,
+    );
+  }
+
+  const normalized = { frequency, interval };
+
+  if (frequency === RecurrenceFrequency.weekly) {
+    const weekdays = rule.weekdays;
+    if (
+      !Array.isArray(weekdays) ||
+      weekdays.length === 0 ||
+      weekdays.some(d => !Number.isInteger(d) || d < 0 || d > 6)
+    ) {
+      fail(
+        'recurrence.weekdays',
+        'Weekdays must be a non-empty list of days (0 = Sunday ... 6 = Saturday)',
+      );
+    } else {
+      normalized.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+    }
+  }
+
+  if (frequency === RecurrenceFrequency.monthly) {
+    if (
+      !Number.isInteger(rule.dayOfMonth) ||
+      rule.dayOfMonth < 1 ||
+      rule.dayOfMonth > 31
+    ) {
+      fail('recurrence.dayOfMonth', 'Day of month must be between 1 and 31');
+    } else {
+      normalized.dayOfMonth = rule.dayOfMonth;
+    }
+  }
+
+  if (rule.endAt !== undefined && rule.endAt !== null) {
+    const endAt = new Date(rule.endAt);
+    if (isNaN(endAt.getTime())) {
+      fail('recurrence.endAt', 'End date must be a valid ISO 8601 datetime');
+    } else {
+      normalized.endAt = endAt.toISOString();
+    }
+  }
+
+  if (rule.maxOccurrences !== undefined && rule.maxOccurrences !== null) {
+    if (
+      !Number.isInteger(rule.maxOccurrences) ||
+      rule.maxOccurrences < 1 ||
+      rule.maxOccurrences > MAX_OCCURRENCES
+    ) {
+      fail(
+        'recurrence.maxOccurrences',
+        `Max occurrences must be between 1 and ${MAX_OCCURRENCES}`,
+      );
+    } else {
+      normalized.maxOccurrences = rule.maxOccurrences;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid recurrence rule', errors);
+  }
+
+  return normalized;
+}
+
+function civilDay({ year, month, day }) {
+  return Date.UTC(year, month - 1, day);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function matchesRule(rule, date, anchor) {
+  const days = Math.round((civilDay(date) - civilDay(anchor)) / DAY_MS);
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+  case RecurrenceFrequency.daily:
+    return days % interval === 0;
+  case RecurrenceFrequency.weekly: {
+    // Weeks start on Sunday; count weeks from the anchor's week
+    const weeks = Math.floor((days + anchor.weekday) / 7);
+    return weeks % interval === 0 && rule.weekdays.includes(date.weekday);
+  }
+  case RecurrenceFrequency.monthly: {
+    const months =
+        (date.year - anchor.year) * 12 + (date.month - anchor.month);
+    const targetDay = Math.min(
+      rule.dayOfMonth,
+      daysInMonth(date.year, date.month),
+    );
+    return months % interval === 0 && date.day === targetDay;
+  }
+  default:
+    return false;
+  }
+}
+
+/**
+ * Next occurrence of a recurrence rule strictly after a given instant
+ * @param {Object} rule - Validated recurrence rule
+ * @param {Object} options
+ * @param {Date} options.anchor - First scheduled send (Campaign.scheduleAt)
+ * @param {Date} options.after - Return the first occurrence after this instant
+ * @param {string} [options.timezone] - Shop timezone (default UTC)
+ * @param {number} [options.occurrences] - Occurrences already run (for maxOccurrences)
+ * @returns {Date|null} Next occurrence or null if the series has ended
+ */
+export function getNextOccurrence(
+  rule,
+  { anchor, after, timezone = 'UTC', occurrences = 0 },
+) {
+  if (rule.maxOccurrences && occurrences >= rule.maxOccurrences) {
+    return null;
+  }
+
+  const anchorParts = getZonedParts(anchor, timezone);
+  const start = after >= anchor ? after : new Date(anchor.getTime() - 1);
+  const startParts = getZonedParts(start, timezone);
+  const endAt = rule.endAt ? new Date(rule.endAt) : null;
+
+  for (let i = 0; i <= SEARCH_DAYS; i++) {
+    const day = new Date(civilDay(startParts) + i * DAY_MS);
+    const date = {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      weekday: day.getUTCDay(),
+    };
+
+    if (!matchesRule(rule, date, anchorParts)) continue;
+
+    const occurrence = zonedTimeToUtc(
+      {
+        ...date,
+        hour: anchorParts.hour,
+        minute: anchorParts.minute,
+        second: anchorParts.second,
+      },
+      timezone,
+    );
+
+    if (occurrence <= start) continue;
+    if (endAt && occurrence > endAt) return null;
+    return occurrence;
+  }
+
+  return null;
+}
+
+/**
+ * List upcoming occurrences (for previews)
+ * @param {Object} rule - Validated recurrence rule
+ * @param {Object} options - Same as getNextOccurrence
+ * @param {number} count - Maximum number of occurrences
+ * @returns {Array<Date>} Occurrences in order
+ */
+export function listOccurrences(rule, options, count = 5) {
+  const result = [];
+  let after = options.after;
+  let occurrences = options.occurrences || 0;
+
+  while (result.length < count) {
+    const next = getNextOccurrence(rule, { ...options, after, occurrences });
+    if (!next) break;
+    result.push(next);
+    after = next;
+    occurrences++;
+  }
+
+  return result;
+}
+
+export default {
+  RecurrenceFrequency,
+  getCampaignRecurrenceRule,
+  validateRecurrenceRule,
+  getNextOccurrence,
+  listOccurrences,
+};
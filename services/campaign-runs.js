@@ -0,0 +1,329 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { CampaignStatus, ScheduleType } from '../utils/prismaEnums.js';
+import {
+  getCampaignRecurrenceRule,
+  getNextOccurrence,
+  listOccurrences,
+  validateRecurrenceRule,
+} from './campaign-recurrence.js';
+import { saveCampaignVariants } from './campaign-variants.js';
+
+/**
+ * Campaign Runs Service
+ * A recurring campaign is a template: at each occurrence it spawns a run,
+ * a regular one-shot campaign (parentCampaignId + occurrence) scheduled for
+ * that occurrence. Runs go through the normal scheduled send pipeline and
+ * keep their own recipients and metrics.
+ */
+
+async function getShopTimezone(shopId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId },
+    select: { timezone: true },
+  });
+  return settings?.timezone || 'UTC';
+}
+
+/**
+ * Build the run name (campaign names are unique per shop)
+ * @param {Object} campaign - Parent campaign
+ * @param {number} occurrence - Run number
+ * @param {Date} scheduledFor - Occurrence date
+ * @returns {string} Run name
+ */
+function buildRunName(campaign, occurrence, scheduledFor) {
+  const suffix = ` (run ${occurrence}, ${scheduledFor.toISOString().slice(0, 10)})`;
+  return `${campaign.name.slice(0, 200 - suffix.length)}${suffix}`;
+}
+
+/**
+ * Compute the first occurrence of a recurring campaign
+ * @param {string} shopId - Shop ID
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} scheduleAt - Requested first send (series anchor)
+ * @param {Object} [options]
+ * @param {Date} [options.after] - Only consider occurrences after this instant
+ * @param {number} [options.occurrences] - Runs already spawned
+ * @returns {Promise<Date>} First occurrence at or after scheduleAt
+ * @throws {ValidationError} If the rule has no occurrence
+ */
+export async function getFirstRunAt(
+  shopId,
+  rule,
+  scheduleAt,
+  { after, occurrences = 0 } = {},
+) {
+  const timezone = await getShopTimezone(shopId);
+  const firstRunAt = getNextOccurrence(validateRecurrenceRule(rule), {
+    anchor: scheduleAt,
+    after: after || new Date(scheduleAt.getTime() - 1),
+    timezone,
+    occurrences,
+  });
+
+  if (!firstRunAt) {
+    throw new ValidationError(
+      'Recurrence rule has no occurrence after the schedule date',
+    );
+  }
+
+  return firstRunAt;
+}
+
+/**
+ * Spawn the due run of a recurring campaign and advance its schedule
+ * Claims the occurrence atomically (nextRunAt must be unchanged), so
+ * concurrent schedulers cannot spawn the same run twice. Missed occurrences
+ * (e.g. downtime) are not replayed: only the due one runs, then the
+ * schedule resumes from now.
+ * @param {Object} campaign - Recurring campaign (status scheduled, nextRunAt due)
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} Spawned run or null if already claimed
+ */
+export async function spawnCampaignRun(campaign, now = new Date()) {
+  const rule = getCampaignRecurrenceRule(campaign);
+  const scheduledFor = campaign.nextRunAt;
+  const occurrence = campaign.runCount + 1;
+
+  let nextRunAt = null;
+  if (rule) {
+    const timezone = await getShopTimezone(campaign.shopId);
+    nextRunAt = getNextOccurrence(rule, {
+      anchor: campaign.scheduleAt || scheduledFor,
+      after: now > scheduledFor ? now : scheduledFor,
+      timezone,
+      occurrences: occurrence,
+    });
+  } else {
+    logger.warn('Recurring campaign has no recurrence rule, ending series', {
+      campaignId: campaign.id,
+    });
+  }
+
+  const run = await prisma.$transaction(async tx => {
+    const claim = await tx.campaign.updateMany({
+      where: {
+        id: campaign.id,
+        status: CampaignStatus.scheduled,
+        nextRunAt: scheduledFor,
+      },
+      data: {
+        nextRunAt,
+        runCount: occurrence,
+        // A finished series is complete once its last run is spawned
+        status: nextRunAt ? CampaignStatus.scheduled : CampaignStatus.sent,
+      },
+    });
+
+    if (claim.count === 0) {
+      return null;
+    }
+
+    const created = await tx.campaign.create({
+      data: {
+        shopId: campaign.shopId,
+        name: buildRunName(campaign, occurrence, scheduledFor),
+        message: campaign.message,
+        audience: campaign.audience,
+        discountId: campaign.discountId,
+        uniqueDiscountCodes: campaign.uniqueDiscountCodes,
+        priority: campaign.priority,
+        scheduleType: ScheduleType.scheduled,
+        scheduleAt: scheduledFor,
+        status: CampaignStatus.scheduled,
+        parentCampaignId: campaign.id,
+        occurrence,
+        abTest: campaign.abTest ?? undefined,
+      },
+    });
+
+    // Each run repeats the series' A/B test with its own variants
+    const variants = await tx.campaignVariant.findMany({
+      where: { campaignId: campaign.id },
+      select: { label: true, message: true, weight: true },
+    });
+    await saveCampaignVariants(tx, created.id, variants);
+
+    await tx.campaignMetrics.create({
+      data: { campaignId: created.id },
+    });
+
+    return created;
+  });
+
+  if (run) {
+    logger.info('Spawned recurring campaign run', {
+      campaignId: campaign.id,
+      runId: run.id,
+      occurrence,
+      scheduledFor: scheduledFor.toISOString(),
+      nextRunAt: nextRunAt?.toISOString() || null,
+    });
+  }
+
+  return run;
+}
+
+/**
+ * Spawn runs for all recurring campaigns that are due
+ * Spawned runs are 'scheduled' one-shot campaigns picked up by
+ * processScheduledCampaigns.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { processed, spawned, errors }
+ */
+export async function processRecurringCampaigns(now = new Date()) {
+  const dueCampaigns = await prisma.campaign.findMany({
+    where: {
+      scheduleType: ScheduleType.recurring,
+      status: CampaignStatus.scheduled,
+      nextRunAt: { lte: now },
+    },
+    take: 50,
+  });
+
+  let spawned = 0;
+  let errors = 0;
+
+  for (const campaign of dueCampaigns) {
+    try {
+      const run = await spawnCampaignRun(campaign, now);
+      if (run) spawned++;
+    } catch (error) {
+      errors++;
+      logger.error('Failed to spawn recurring campaign run', {
+        campaignId: campaign.id,
+        shopId: campaign.shopId,
+        error: error.message,
+      });
+    }
+  }
+
+  return { processed: dueCampaigns.length, spawned, errors };
+}
+
+/**
+ * List the runs of a recurring campaign with their metrics
+ * @param {string} storeId - Store ID
+ * @param {string} campaignId - Recurring campaign ID
+ * @param {Object} options - { page, pageSize }
+ * @returns {Promise<Object>} Series info, runs and pagination
+ */
+export async function listCampaignRuns(
+  storeId,
+  campaignId,
+  { page = 1, pageSize = 20 } = {},
+) {
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId: storeId },
+    select: {
+      id: true,
+      name: true,
+      status: true,
+      scheduleType: true,
+      scheduleAt: true,
+      recurringDays: true,
+      recurrenceRule: true,
+      nextRunAt: true,
+      runCount: true,
+    },
+  });
+
+  if (!campaign) {
+    throw new NotFoundError('Campaign');
+  }
+
+  const where = { parentCampaignId: campaignId, shopId: storeId };
+  const [runs, total] = await Promise.all([
+    prisma.campaign.findMany({
+      where,
+      orderBy: { occurrence: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      select: {
+        id: true,
+        name: true,
+        occurrence: true,
+        status: true,
+        scheduleAt: true,
+        createdAt: true,
+        updatedAt: true,
+        metrics: true,
+      },
+    }),
+    prisma.campaign.count({ where }),
+  ]);
+
+  const rule = getCampaignRecurrenceRule(campaign);
+  let upcoming = [];
+  if (
+    rule &&
+    campaign.nextRunAt &&
+    campaign.status === CampaignStatus.scheduled
+  ) {
+    const timezone = await getShopTimezone(storeId);
+    upcoming = [
+      campaign.nextRunAt,
+      ...listOccurrences(
+        rule,
+        {
+          anchor: campaign.scheduleAt || campaign.nextRunAt,
+          after: campaign.nextRunAt,
+          timezone,
+          occurrences: campaign.runCount + 1,
+        },
+        4,
+      ),
+    ];
+  }
+
+  return {
+    campaign: {
+      id: campaign.id,
+      name: campaign.name,
+      status: campaign.status,
+      scheduleType: campaign.scheduleType,
+      firstRunAt: campaign.scheduleAt,
+      recurrence: rule,
+      nextRunAt: campaign.nextRunAt,
+      runCount: campaign.runCount,
+      upcoming,
+    },
+    runs: runs.map(run => {
+      const metrics = run.metrics || {};
+      const sent = metrics.totalSent || 0;
+      return {
+        id: run.id,
+        name: run.name,
+        occurrence: run.occurrence,
+        status: run.status,
+        scheduledFor: run.scheduleAt,
+        createdAt: run.createdAt,
+        updatedAt: run.updatedAt,
+        metrics: {
+          totalSent: sent,
+          totalDelivered: metrics.totalDelivered || 0,
+          totalFailed: metrics.totalFailed || 0,
+          totalProcessed: metrics.totalProcessed || 0,
+          totalClicked: metrics.totalClicked || 0,
+          deliveryRate: sent > 0 ? (metrics.totalDelivered || 0) / sent : 0,
+          clickRate: sent > 0 ? (metrics.totalClicked || 0) / sent : 0,
+        },
+      };
+    }),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages: Math.ceil(total / pageSize),
+    },
+  };
+}
+
+export default {
+  getFirstRunAt,
+  spawnCampaignRun,
+  processRecurringCampaigns,
+  listCampaignRuns,
+};
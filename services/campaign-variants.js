@@ -0,0 +1,321 @@
+import { createHash } from 'crypto';
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { campaignQueue, smsQueue } from '../queue/index.js';
+import { CampaignStatus } from '../utils/prismaEnums.js';
+import { AbTestMode, pickWinner, withVariantRates } from './campaign-ab-test.js';
+
+/**
+ * Campaign Variants Service
+ * Stores A/B test variants, keeps per-variant metrics and sends the
+ * winning variant to held recipients (see services/campaign-ab-test.js).
+ *
+ * Held recipients have status 'held' and no variant until the winner is
+ * selected; they then become 'pending' and are sent like any other batch.
+ */
+
+export const HELD_STATUS = 'held';
+
+const BATCH_SIZE = Number(process.env.SMS_BATCH_SIZE || 5000);
+const QUEUE_PRIORITY = { low: 1, normal: 5, high: 10, urgent: 20 };
+
+/**
+ * Replace the variants of a campaign
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} campaignId - Campaign ID
+ * @param {Array<Object>|null} variants - Normalized variants, null to remove them
+ * @returns {Promise<void>}
+ */
+export async function saveCampaignVariants(tx, campaignId, variants) {
+  await tx.campaignVariant.deleteMany({ where: { campaignId } });
+  if (variants?.length) {
+    await tx.campaignVariant.createMany({
+      data: variants.map(variant => ({ campaignId, ...variant })),
+    });
+  }
+}
+
+/**
+ * Count sent, delivered, failed and clicked recipients per variant
+ * Clicks are unique recipients with a tracked link click (unsubscribe
+ * clicks excluded).
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<Object>>} Stats per variant with ctr and deliveryRate
+ */
+export async function getVariantStats(campaignId) {
+  const variants = await prisma.campaignVariant.findMany({
+    where: { campaignId },
+    orderBy: { label: 'asc' },
+    select: { id: true, label: true, weight: true },
+  });
+  if (variants.length === 0) {
+    return [];
+  }
+
+  const variantWhere = { campaignId, variantId: { not: null } };
+  const [byStatus, delivered, clicked] = await Promise.all([
+    prisma.campaignRecipient.groupBy({
+      by: ['variantId', 'status'],
+      where: variantWhere,
+      _count: { _all: true },
+    }),
+    prisma.campaignRecipient.groupBy({
+      by: ['variantId'],
+      where: { ...variantWhere, deliveredAt: { not: null } },
+      _count: { _all: true },
+    }),
+    prisma.campaignRecipient.groupBy({
+      by: ['variantId'],
+      where: {
+        ...variantWhere,
+        clickEvents: { some: { linkType: { not: 'unsubscribe' } } },
+      },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const countFor = (rows, variantId, status) =>
+    rows
+      .filter(
+        row =>
+          row.variantId === variantId && (!status || row.status === status),
+      )
+      .reduce((sum, row) => sum + row._count._all, 0);
+
+  return variants.map(variant =>
+    withVariantRates({
+      variantId: variant.id,
+      label: variant.label,
+      weight: variant.weight,
+      recipients: countFor(byStatus, variant.id),
+      sent: countFor(byStatus, variant.id, 'sent'),
+      failed: countFor(byStatus, variant.id, 'failed'),
+      delivered: countFor(delivered, variant.id),
+      clicked: countFor(clicked, variant.id),
+    }),
+  );
+}
+
+/**
+ * Recompute and store per-variant metrics (CampaignMetrics.variantMetrics)
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array<Object>>} Stats per variant (empty without variants)
+ */
+export async function refreshVariantMetrics(campaignId) {
+  const stats = await getVariantStats(campaignId);
+  if (stats.length > 0) {
+    await prisma.campaignMetrics.updateMany({
+      where: { campaignId },
+      data: { variantMetrics: stats },
+    });
+  }
+  return stats;
+}
+
+/**
+ * Queue winner selection for a test-then-winner campaign
+ * @param {Object} campaign - { id, abTest }
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<void>}
+ */
+export async function scheduleWinnerSelection(campaign, shopId) {
+  const delay = Math.round(campaign.abTest.waitHours * 60 * 60 * 1000);
+
+  await campaignQueue.add(
+    'select-ab-winner',
+    { campaignId: campaign.id, shopId },
+    {
+      // One selection per campaign, even if the campaign is enqueued again
+      jobId: `ab-winner:${campaign.id}`,
+      delay,
+      attempts: 5,
+      backoff: { type: 'exponential', delay: 60000 },
+      removeOnComplete: true,
+    },
+  );
+
+  logger.info(
+    { campaignId: campaign.id, shopId, waitHours: campaign.abTest.waitHours },
+    'A/B test winner selection scheduled',
+  );
+}
+
+async function enqueueRecipientBatches(campaign, shopId, recipientIds) {
+  let enqueued = 0;
+  for (let i = 0; i < recipientIds.length; i += BATCH_SIZE) {
+    const batch = recipientIds.slice(i, i + BATCH_SIZE);
+    // Same job ID scheme as enqueueCampaign, so a batch is never sent twice
+    const hash = createHash('sha256')
+      .update([...batch].sort((a, b) => a.localeCompare(b)).join(','))
+      .digest('hex')
+      .substring(0, 8);
+
+    await smsQueue.add(
+      'sendBulkSMS',
+      { campaignId: campaign.id, shopId, recipientIds: batch },
+      {
+        jobId: `batch:${campaign.id}:${hash}`,
+        priority: QUEUE_PRIORITY[campaign.priority] || QUEUE_PRIORITY.normal,
+        attempts: 5,
+        backoff: { type: 'exponential', delay: 3000 },
+        removeOnComplete: { age: 3600, count: 1000 },
+        removeOnFail: false,
+      },
+    );
+    enqueued += batch.length;
+  }
+  return enqueued;
+}
+
+async function enqueueWinnerRecipients(campaign, shopId, winnerVariantId) {
+  const pending = await prisma.campaignRecipient.findMany({
+    where: {
+      campaignId: campaign.id,
+      status: 'pending',
+      variantId: winnerVariantId,
+      mittoMessageId: null,
+    },
+    select: { id: true },
+  });
+  const enqueued = await enqueueRecipientBatches(
+    campaign,
+    shopId,
+    pending.map(recipient => recipient.id),
+  );
+
+  // Completes the campaign right away when nobody was held back
+  const { updateCampaignAggregates } = await import('./campaignAggregates.js');
+  await updateCampaignAggregates(campaign.id, shopId);
+
+  return enqueued;
+}
+
+/**
+ * Queue the released recipients again for an already selected winner
+ * The selection may have committed while queueing failed (e.g. Redis was
+ * down); batch job IDs are deterministic, so this never sends twice.
+ */
+async function resumeWinnerSend(campaign, shopId, winnerVariantId) {
+  if (campaign.status !== CampaignStatus.sending) {
+    return { ok: false, reason: 'already_selected' };
+  }
+
+  const enqueued = await enqueueWinnerRecipients(
+    campaign,
+    shopId,
+    winnerVariantId,
+  );
+
+  logger.info(
+    { campaignId: campaign.id, shopId, winnerVariantId, enqueued },
+    'A/B test winner already selected, pending recipients queued again',
+  );
+
+  return { ok: true, winnerVariantId, released: 0, enqueued, resumed: true };
+}
+
+/**
+ * Select the winning variant and send it to the held recipients
+ * Does nothing if the campaign was cancelled. If a winner is already set,
+ * its pending recipients are queued again instead.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { ok, reason?, winnerVariantId, released, enqueued, resumed? }
+ */
+export async function selectAbTestWinner(campaignId, shopId) {
+  const campaign = await prisma.campaign.findFirst({
+    where: { id: campaignId, shopId },
+    select: {
+      id: true,
+      status: true,
+      priority: true,
+      abTest: true,
+      winnerVariantId: true,
+    },
+  });
+
+  if (!campaign) {
+    return { ok: false, reason: 'not_found' };
+  }
+  if (campaign.abTest?.mode !== AbTestMode.winner) {
+    return { ok: false, reason: 'not_winner_test' };
+  }
+  if (campaign.winnerVariantId) {
+    return resumeWinnerSend(campaign, shopId, campaign.winnerVariantId);
+  }
+  if (campaign.status !== CampaignStatus.sending) {
+    return { ok: false, reason: `invalid_status:${campaign.status}` };
+  }
+
+  const stats = await refreshVariantMetrics(campaignId);
+  const winner = pickWinner(stats);
+  if (!winner) {
+    return { ok: false, reason: 'no_variants' };
+  }
+
+  const released = await prisma.$transaction(async tx => {
+    const claim = await tx.campaign.updateMany({
+      where: {
+        id: campaignId,
+        winnerVariantId: null,
+        status: CampaignStatus.sending,
+      },
+      data: { winnerVariantId: winner.variantId, winnerSelectedAt: new Date() },
+    });
+    if (claim.count === 0) {
+      return null;
+    }
+
+    const result = await tx.campaignRecipient.updateMany({
+      where: { campaignId, status: HELD_STATUS },
+      data: { status: 'pending', variantId: winner.variantId },
+    });
+    return result.count;
+  });
+
+  if (released === null) {
+    // Selected concurrently: make sure its recipients are queued
+    const current = await prisma.campaign.findFirst({
+      where: { id: campaignId, shopId },
+      select: { status: true, winnerVariantId: true },
+    });
+    if (!current?.winnerVariantId) {
+      return { ok: false, reason: `invalid_status:${current?.status}` };
+    }
+    return resumeWinnerSend(
+      { ...campaign, status: current.status },
+      shopId,
+      current.winnerVariantId,
+    );
+  }
+
+  const enqueued = await enqueueWinnerRecipients(
+    campaign,
+    shopId,
+    winner.variantId,
+  );
+
+  logger.info(
+    {
+      campaignId,
+      shopId,
+      winnerVariantId: winner.variantId,
+      winnerLabel: winner.label,
+      ctr: winner.ctr,
+      released,
+      enqueued,
+    },
+    'A/B test winner selected',
+  );
+
+  return { ok: true, winnerVariantId: winner.variantId, released, enqueued };
+}
+
+export default {
+  HELD_STATUS,
+  saveCampaignVariants,
+  getVariantStats,
+  refreshVariantMetrics,
+  scheduleWinnerSelection,
+  selectAbTestWinner,
+};
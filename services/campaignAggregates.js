@@ -2,6 +2,9 @@ import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
 import { CampaignStatus } from '../utils/prismaEnums.js';
 import { releaseCredits } from './wallet.js';
+import { HELD_STATUS, refreshVariantMetrics } from './campaign-variants.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { WebhookEvent } from './webhook-events.js';
 
 /**
  * Update campaign aggregates (total, sent, failed, processed) from CampaignRecipient counts
@@ -17,7 +20,7 @@ export async function updateCampaignAggregates(campaignId, shopId) {
     // Verify campaign exists and belongs to shop
     const campaign = await prisma.campaign.findFirst({
       where: { id: campaignId, shopId },
-      select: { id: true },
+      select: { id: true, name: true, status: true },
     });
 
     if (!campaign) {
@@ -48,10 +51,11 @@ export async function updateCampaignAggregates(campaignId, shopId) {
     const processed = success + failed;
 
     // Check if all recipients are processed (no pending recipients remaining)
+    // Recipients held back for an A/B test winner are still to be sent
     const pendingCount = await prisma.campaignRecipient.count({
       where: {
         campaignId,
-        status: 'pending',
+        status: { in: ['pending', HELD_STATUS] },
       },
     });
 
@@ -89,6 +93,8 @@ export async function updateCampaignAggregates(campaignId, shopId) {
       update: updateData,
     });
 
+    await refreshVariantMetrics(campaignId);
+
     // Only update campaign status if we determined a new status
     if (campaignStatus) {
       await prisma.campaign.updateMany({
@@ -99,6 +105,22 @@ export async function updateCampaignAggregates(campaignId, shopId) {
         },
       });
 
+      if (
+        campaign.status !== campaignStatus &&
+        (campaignStatus === CampaignStatus.sent ||
+          campaignStatus === CampaignStatus.failed)
+      ) {
+        await emitWebhookEvent(shopId, WebhookEvent.campaignCompleted, {
+          campaignId,
+          name: campaign.name,
+          status: campaignStatus,
+          total,
+          sent: success,
+          failed,
+          completedAt: new Date().toISOString(),
+        });
+      }
+
       // Release credit reservation when campaign completes (sent or failed)
       // This happens only once when campaign transitions from 'sending' to final status
       if (
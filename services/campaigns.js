@@ -1,8 +1,34 @@
+import { Prisma } from '@prisma/client';
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
 import { InsufficientCreditsError } from './credit-validation.js';
+import { notifyCreditsExhausted } from './low-balance.js';
 import { smsQueue } from '../queue/index.js';
+import {
+  getSegmentContactWhere,
+  countStoredSegmentContactsById,
+} from './segments.js';
+import { useTemplate } from './shop-templates.js';
+import {
+  getCampaignRecurrenceRule,
+  validateRecurrenceRule,
+} from './campaign-recurrence.js';
+import { getFirstRunAt } from './campaign-runs.js';
+import { describeMessage, estimateCampaignCredits } from './message-pricing.js';
+import { getCampaignDiscountStats } from './discount-codes.js';
+import {
+  AbTestMode,
+  assignVariants,
+  validateAbTest,
+  validateVariants,
+} from './campaign-ab-test.js';
+import {
+  HELD_STATUS,
+  refreshVariantMetrics,
+  saveCampaignVariants,
+  scheduleWinnerSelection,
+} from './campaign-variants.js';
 import { createHash } from 'crypto';
 import {
   CampaignStatus,
@@ -61,20 +87,25 @@ async function resolveRecipients(shopId, audience) {
     }));
   }
 
-  // Handle segment-based audience
+  // Handle segment-based audience (rule-based segments resolve live)
   if (audience.startsWith('segment:')) {
     const segmentId = audience.split(':')[1];
 
-    // ✅ Security: First validate segment belongs to shop
-    const segment = await prisma.segment.findFirst({
-      where: {
-        id: segmentId,
-        shopId, // ✅ Validate segment ownership
-      },
-      select: { id: true },
-    });
+    // ✅ Security: Segment lookup is scoped to the shop
+    let where;
+    try {
+      where = await getSegmentContactWhere(shopId, segmentId);
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      throw new ValidationError(
+        'The campaign segment has invalid rules. Update the segment before sending.',
+        [{ field: 'audience', message: error.message }],
+      );
+    }
 
-    if (!segment) {
+    if (!where) {
       logger.warn('Segment not found or does not belong to shop', {
         segmentId,
         shopId,
@@ -82,32 +113,16 @@ async function resolveRecipients(shopId, audience) {
       return []; // Return empty if segment doesn't belong to shop
     }
 
-    // ✅ Security: Query memberships with shopId filter at database level
-    const members = await prisma.segmentMembership.findMany({
-      where: {
-        segmentId,
-        contact: {
-          shopId, // ✅ Filter at database level for efficiency and security
-          smsConsent: 'opted_in',
-        },
-      },
-      include: {
-        contact: {
-          select: {
-            id: true,
-            phoneE164: true,
-            firstName: true,
-            lastName: true,
-          },
-        },
-      },
+    const contacts = await prisma.contact.findMany({
+      where,
+      select: { id: true, phoneE164: true, firstName: true, lastName: true },
     });
 
-    return members.map(m => ({
-      contactId: m.contactId,
-      phoneE164: m.contact.phoneE164,
-      firstName: m.contact.firstName,
-      lastName: m.contact.lastName,
+    return contacts.map(c => ({
+      contactId: c.id,
+      phoneE164: c.phoneE164,
+      firstName: c.firstName,
+      lastName: c.lastName,
     }));
   }
 
@@ -118,7 +133,7 @@ async function resolveRecipients(shopId, audience) {
  * Calculate recipient count without fetching all data
  * @param {string} shopId - Store ID
  * @param {string} audience - Audience filter
- * @returns {Promise<number>} Recipient count
+ * @returns {Promise<number|null>} Recipient count, null for segments with invalid rules
  */
 // Unused function - kept for potential future API use
 // eslint-disable-next-line no-unused-vars
@@ -134,29 +149,8 @@ async function calculateRecipientCount(shopId, audience) {
   if (audience.startsWith('segment:')) {
     const segmentId = audience.split(':')[1];
 
-    // ✅ Security: Validate segment belongs to shop
-    const segment = await prisma.segment.findFirst({
-      where: {
-        id: segmentId,
-        shopId,
-      },
-      select: { id: true },
-    });
-
-    if (!segment) {
-      return 0; // Segment doesn't belong to shop
-    }
-
-    // ✅ Security: Count with shopId filter at database level
-    return await prisma.segmentMembership.count({
-      where: {
-        segmentId,
-        contact: {
-          shopId,
-          smsConsent: 'opted_in',
-        },
-      },
-    });
+    // ✅ Security: Segment lookup is scoped to the shop (null for invalid rules)
+    return await countStoredSegmentContactsById(shopId, segmentId);
   }
 
   return 0;
@@ -201,12 +195,36 @@ function validateCampaignData(campaignData) {
 
   if (
     campaignData.scheduleType === ScheduleType.recurring &&
-    !campaignData.recurringDays
+    !campaignData.recurringDays &&
+    !campaignData.recurrence
   ) {
     throw new ValidationError(
-      'Recurring days is required for recurring campaigns',
+      'Recurrence or recurring days is required for recurring campaigns',
     );
   }
+
+  if (campaignData.recurrence) {
+    validateRecurrenceRule(campaignData.recurrence);
+  }
+}
+
+/**
+ * Validate the A/B test variants of campaign data
+ * @param {Object} campaignData - { variants, abTest }
+ * @returns {Object|null} { variants, abTest } or null without variants
+ * @throws {ValidationError} If the variants or the test are invalid
+ */
+function resolveCampaignVariants(campaignData) {
+  if (!campaignData.variants) {
+    if (campaignData.abTest) {
+      throw new ValidationError('A/B test requires variants');
+    }
+    return null;
+  }
+  return {
+    variants: validateVariants(campaignData.variants),
+    abTest: validateAbTest(campaignData.abTest),
+  };
 }
 
 /**
@@ -226,7 +244,8 @@ export async function listCampaigns(storeId, filters = {}) {
 
   logger.info('Listing campaigns', { storeId, filters });
 
-  const where = { shopId: storeId };
+  // Runs of recurring campaigns are listed under their parent (GET /:id/runs)
+  const where = { shopId: storeId, parentCampaignId: null };
 
   if (
     status &&
@@ -284,26 +303,11 @@ export async function listCampaigns(storeId, filters = {}) {
           });
         } else if (campaign.audience.startsWith('segment:')) {
           const segmentId = campaign.audience.split(':')[1];
-          // Validate segment belongs to shop
-          const segment = await prisma.segment.findFirst({
-            where: {
-              id: segmentId,
-              shopId: storeId,
-            },
-            select: { id: true },
-          });
-
-          if (segment) {
-            recipientCount = await prisma.segmentMembership.count({
-              where: {
-                segmentId,
-                contact: {
-                  shopId: storeId,
-                  smsConsent: 'opted_in',
-                },
-              },
-            });
-          }
+          // Segment lookup is scoped to the shop; null for invalid rules
+          recipientCount = await countStoredSegmentContactsById(
+            storeId,
+            segmentId,
+          );
         }
       }
 
@@ -352,6 +356,7 @@ export async function getCampaignById(storeId, campaignId) {
     },
     include: {
       metrics: true,
+      variants: { orderBy: { label: 'asc' } },
       recipients: {
         take: 100, // Limit recipients for performance
       },
@@ -385,26 +390,8 @@ export async function getCampaignById(storeId, campaignId) {
       });
     } else if (campaign.audience.startsWith('segment:')) {
       const segmentId = campaign.audience.split(':')[1];
-      // Validate segment belongs to shop
-      const segment = await prisma.segment.findFirst({
-        where: {
-          id: segmentId,
-          shopId: storeId,
-        },
-        select: { id: true },
-      });
-
-      if (segment) {
-        recipientCount = await prisma.segmentMembership.count({
-          where: {
-            segmentId,
-            contact: {
-              shopId: storeId,
-              smsConsent: 'opted_in',
-            },
-          },
-        });
-      }
+      // Segment lookup is scoped to the shop; null for invalid rules
+      recipientCount = await countStoredSegmentContactsById(storeId, segmentId);
     }
   }
 
@@ -431,6 +418,16 @@ export async function getCampaignById(storeId, campaignId) {
 export async function createCampaign(storeId, campaignData) {
   logger.info('Creating campaign', { storeId, name: campaignData.name });
 
+  // The campaign message is the first variant's unless given
+  const variantConfig = resolveCampaignVariants(campaignData);
+  if (variantConfig && !campaignData.message) {
+    campaignData = { ...campaignData, message: variantConfig.variants[0].message };
+  }
+  if (campaignData.templateId && !campaignData.message) {
+    const template = await useTemplate(storeId, campaignData.templateId);
+    campaignData = { ...campaignData, message: template.content };
+  }
+
   // Validate campaign data
   validateCampaignData(campaignData);
 
@@ -498,14 +495,25 @@ export async function createCampaign(storeId, campaignData) {
           message: campaignData.message.trim(),
           audience: campaignData.audience || 'all',
           discountId: campaignData.discountId || null,
+          uniqueDiscountCodes: Boolean(
+            campaignData.uniqueDiscountCodes && campaignData.discountId,
+          ),
           scheduleType: campaignData.scheduleType || ScheduleType.immediate,
           scheduleAt: scheduleAtDate,
           recurringDays: campaignData.recurringDays || null,
+          recurrenceRule: campaignData.recurrence
+            ? validateRecurrenceRule(campaignData.recurrence)
+            : undefined,
+          abTest: variantConfig ? variantConfig.abTest : undefined,
           status: CampaignStatus.draft,
           priority: campaignData.priority || CampaignPriority.normal,
         },
       });
 
+      if (variantConfig) {
+        await saveCampaignVariants(tx, campaign.id, variantConfig.variants);
+      }
+
       // Create metrics record
       await tx.campaignMetrics.create({
         data: { campaignId: campaign.id },
@@ -593,8 +601,23 @@ export async function updateCampaign(storeId, campaignId, campaignData) {
 
   if (campaignData.audience !== undefined)
     updateData.audience = campaignData.audience;
-  if (campaignData.discountId !== undefined)
+  if (campaignData.discountId !== undefined) {
     updateData.discountId = campaignData.discountId;
+    if (campaignData.discountId !== existing.discountId) {
+      // Codes are minted again from the new discount
+      updateData.uniqueDiscountId = null;
+    }
+  }
+  if (campaignData.uniqueDiscountCodes !== undefined)
+    updateData.uniqueDiscountCodes = campaignData.uniqueDiscountCodes;
+  if (
+    (updateData.uniqueDiscountCodes ?? existing.uniqueDiscountCodes) &&
+    !(updateData.discountId !== undefined
+      ? updateData.discountId
+      : existing.discountId)
+  ) {
+    throw new ValidationError('Unique discount codes require a discount');
+  }
   if (campaignData.priority !== undefined) {
     // Validate priority value
     const validPriorities = Object.values(CampaignPriority);
@@ -635,11 +658,72 @@ export async function updateCampaign(storeId, campaignId, campaignData) {
   }
   if (campaignData.recurringDays !== undefined)
     updateData.recurringDays = campaignData.recurringDays;
+  if (campaignData.recurrence !== undefined) {
+    updateData.recurrenceRule = campaignData.recurrence
+      ? validateRecurrenceRule(campaignData.recurrence)
+      : Prisma.DbNull;
+  }
+
+  // variants: null removes the A/B test, an abTest alone updates its settings
+  let variantConfig;
+  if (campaignData.variants === null) {
+    variantConfig = null;
+    updateData.abTest = Prisma.DbNull;
+  } else if (campaignData.variants) {
+    variantConfig = resolveCampaignVariants(campaignData);
+    updateData.abTest = variantConfig.abTest;
+    if (campaignData.message === undefined) {
+      updateData.message = variantConfig.variants[0].message;
+    }
+  } else if (campaignData.abTest) {
+    const variantCount = await prisma.campaignVariant.count({
+      where: { campaignId },
+    });
+    if (variantCount === 0) {
+      throw new ValidationError('A/B test requires variants');
+    }
+    updateData.abTest = validateAbTest(campaignData.abTest);
+  }
+
+  // A scheduled recurring campaign picks up its new rule from the next run on
+  if (
+    existing.status === CampaignStatus.scheduled &&
+    existing.scheduleType === ScheduleType.recurring &&
+    (campaignData.recurrence !== undefined ||
+      campaignData.recurringDays !== undefined ||
+      updateData.scheduleAt)
+  ) {
+    const rule = getCampaignRecurrenceRule({
+      recurrenceRule:
+        campaignData.recurrence !== undefined
+          ? campaignData.recurrence
+          : existing.recurrenceRule,
+      recurringDays:
+        campaignData.recurringDays !== undefined
+          ? campaignData.recurringDays
+          : existing.recurringDays,
+    });
+    if (!rule) {
+      throw new ValidationError(
+        'Recurrence or recurring days is required for recurring campaigns',
+      );
+    }
+    const anchor = updateData.scheduleAt || existing.scheduleAt;
+    updateData.nextRunAt = await getFirstRunAt(storeId, rule, anchor, {
+      after: anchor > new Date() ? undefined : new Date(),
+      occurrences: existing.runCount,
+    });
+  }
 
   // Update campaign
-  const campaign = await prisma.campaign.update({
-    where: { id: campaignId },
-    data: updateData,
+  const campaign = await prisma.$transaction(async tx => {
+    if (variantConfig !== undefined) {
+      await saveCampaignVariants(tx, campaignId, variantConfig?.variants);
+    }
+    return tx.campaign.update({
+      where: { id: campaignId },
+      data: updateData,
+    });
   });
 
   logger.info('Campaign updated successfully', { storeId, campaignId });
@@ -764,13 +848,18 @@ export async function enqueueCampaign(storeId, campaignId) {
       // Get current campaign status
       const campaign = await tx.campaign.findUnique({
         where: { id: campaignId, shopId: storeId },
-        select: { id: true, status: true },
+        select: { id: true, status: true, scheduleType: true },
       });
 
       if (!campaign) {
         return { ok: false, reason: 'not_found' };
       }
 
+      // Recurring campaigns are templates: their runs are sent, not them
+      if (campaign.scheduleType === ScheduleType.recurring) {
+        return { ok: false, reason: 'recurring_campaign' };
+      }
+
       // If campaign is already sending, check if there are pending recipients
       if (campaign.status === CampaignStatus.sending) {
         const pendingCount = await tx.campaignRecipient.count({
@@ -904,6 +993,12 @@ export async function enqueueCampaign(storeId, campaignId) {
       audience: true,
       status: true,
       priority: true,
+      abTest: true,
+      winnerVariantId: true,
+      variants: {
+        orderBy: { label: 'asc' },
+        select: { id: true, label: true, weight: true, message: true },
+      },
     },
   });
 
@@ -911,6 +1006,9 @@ export async function enqueueCampaign(storeId, campaignId) {
     return { ok: false, reason: 'not_found', enqueuedJobs: 0 };
   }
 
+  const abTest = campaign.variants.length > 0 ? validateAbTest(campaign.abTest) : null;
+  const isWinnerTest = abTest?.mode === AbTestMode.winner;
+
   // Build audience OUTSIDE transaction (this can be slow with many contacts)
   let contacts = [];
   try {
@@ -1019,15 +1117,28 @@ export async function enqueueCampaign(storeId, campaignId) {
   }
 
   // 2) Check and reserve credits BEFORE starting heavy work
+  // Credits are per segment of each recipient's estimated final text; with
+  // A/B variants the longest variant is reserved for everyone
   const { getAvailableBalance, reserveCredits } = await import('./wallet.js');
   const availableBalance = await getAvailableBalance(storeId);
-  const requiredCredits = contacts.length;
+  const { credits: requiredCredits } = await estimateCampaignCredits(
+    storeId,
+    campaign.variants.length > 0
+      ? campaign.variants.map(variant => variant.message)
+      : [campaign.message],
+    contacts,
+  );
 
   if (availableBalance < requiredCredits) {
     logger.warn(
       { storeId, campaignId, availableBalance, requiredCredits },
       'Insufficient credits (including reservations)',
     );
+    await notifyCreditsExhausted(storeId, {
+      campaignId,
+      availableCredits: availableBalance,
+      requiredCredits,
+    });
     // Revert campaign status back to scheduled/draft
     await prisma.campaign.updateMany({
       where: {
@@ -1059,9 +1170,11 @@ export async function enqueueCampaign(storeId, campaignId) {
   // Reserve credits for this campaign (prevents depletion mid-campaign)
   let creditReservation;
   try {
+    // Held A/B test recipients are sent after the test, keep their credits
+    const reservationHours = 24 + (isWinnerTest ? abTest.waitHours : 0);
     creditReservation = await reserveCredits(storeId, requiredCredits, {
       campaignId,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24h expiration
+      expiresAt: new Date(Date.now() + reservationHours * 60 * 60 * 1000),
       meta: {
         campaignName: campaign.name,
         recipientCount: contacts.length,
@@ -1216,6 +1329,18 @@ export async function enqueueCampaign(storeId, campaignId) {
       };
     });
 
+    // A/B test: split recipients between variants; in winner mode the
+    // recipients outside the test are held until the winner is selected
+    if (abTest) {
+      recipientsData = assignVariants(recipientsData, campaign.variants, abTest).map(
+        ({ recipient, variantId }) => ({
+          ...recipient,
+          variantId,
+          status: variantId ? 'pending' : HELD_STATUS,
+        }),
+      );
+    }
+
     try {
       // For large campaigns (>10k recipients), batch the createMany operation
       const BATCH_SIZE = 10000;
@@ -1600,6 +1725,17 @@ export async function enqueueCampaign(storeId, campaignId) {
     );
   }
 
+  if (isWinnerTest && !campaign.winnerVariantId) {
+    try {
+      await scheduleWinnerSelection({ id: campaign.id, abTest }, storeId);
+    } catch (err) {
+      logger.error(
+        { storeId, campaignId, err: err.message },
+        'Failed to schedule A/B test winner selection',
+      );
+    }
+  }
+
   logger.info(
     {
       storeId,
@@ -1643,6 +1779,11 @@ export async function sendCampaign(storeId, campaignId) {
     if (result.reason === 'insufficient_credits') {
       throw new InsufficientCreditsError(0, 0); // Will be handled by caller
     }
+    if (result.reason === 'recurring_campaign') {
+      throw new ValidationError(
+        'Recurring campaigns cannot be sent directly. Schedule the campaign to start its runs.',
+      );
+    }
     throw new ValidationError(
       `Campaign cannot be sent: ${result.reason}`,
     );
@@ -1669,13 +1810,29 @@ export async function cancelCampaign(storeId, campaignId) {
   // 1. Verify campaign exists and belongs to store
   const campaign = await prisma.campaign.findFirst({
     where: { id: campaignId, shopId: storeId },
-    select: { id: true, status: true },
+    select: { id: true, status: true, scheduleType: true },
   });
 
   if (!campaign) {
     return { ok: false, reason: 'not_found' };
   }
 
+  // A scheduled recurring campaign is cancelled by stopping its series;
+  // runs already spawned are cancelled individually
+  if (
+    campaign.scheduleType === ScheduleType.recurring &&
+    campaign.status === CampaignStatus.scheduled
+  ) {
+    await prisma.campaign.updateMany({
+      where: { id: campaignId, shopId: storeId, status: CampaignStatus.scheduled },
+      data: { status: CampaignStatus.cancelled, nextRunAt: null },
+    });
+
+    logger.info({ storeId, campaignId }, 'Recurring campaign series cancelled');
+
+    return { ok: true, campaignId, cancelledRecipients: 0, removedJobs: 0 };
+  }
+
   // 2. Only allow cancellation if campaign is in 'sending' status
   if (campaign.status !== CampaignStatus.sending) {
     return {
@@ -1729,11 +1886,11 @@ export async function cancelCampaign(storeId, campaignId) {
     }
   }
 
-  // 5. Mark pending recipients as cancelled
+  // 5. Mark pending (and A/B test held) recipients as cancelled
   const cancelledCount = await prisma.campaignRecipient.updateMany({
     where: {
       campaignId,
-      status: 'pending',
+      status: { in: ['pending', HELD_STATUS] },
     },
     data: {
       status: 'cancelled',
@@ -1799,7 +1956,11 @@ export async function cancelCampaign(storeId, campaignId) {
 }
 
 /**
- * Get campaign preview (recipient count and estimated cost)
+ * Get campaign preview (recipient count, segments and estimated cost)
+ * The cost is one credit per segment of each recipient's final text (see
+ * services/message-pricing.js); `messages` describes the encoding of each
+ * message (one per A/B variant) on a sample recipient, with a warning when
+ * characters switch it to UCS-2.
  * Does not modify campaign status - safe to call multiple times
  * @param {string} storeId - Store ID
  * @param {string} campaignId - Campaign ID
@@ -1817,6 +1978,10 @@ export async function getCampaignPreview(storeId, campaignId) {
       message: true,
       audience: true,
       status: true,
+      variants: {
+        orderBy: { label: 'asc' },
+        select: { id: true, label: true, message: true },
+      },
     },
   });
 
@@ -1851,16 +2016,49 @@ export async function getCampaignPreview(storeId, campaignId) {
     };
   }
 
-  // 4. Get available balance (including reservations)
+  // 4. Estimate segments and get available balance (including reservations)
+  const templates =
+    campaign.variants.length > 0
+      ? campaign.variants.map(variant => ({
+        variantId: variant.id,
+        label: variant.label,
+        message: variant.message,
+      }))
+      : [{ variantId: null, label: null, message: campaign.message }];
+  const estimate = await estimateCampaignCredits(
+    storeId,
+    templates.map(template => template.message),
+    contacts,
+  );
+  const sample = contacts[0] || {};
+  const messages = await Promise.all(
+    templates.map(async template => ({
+      variantId: template.variantId,
+      label: template.label,
+      ...(await describeMessage(template.message, sample, { shopId: storeId })),
+    })),
+  );
+
   const { getAvailableBalance } = await import('./wallet.js');
   const availableBalance = await getAvailableBalance(storeId);
-  const requiredCredits = contacts.length;
+  const requiredCredits = estimate.credits;
 
   // 5. Return preview data
   return {
     ok: true,
     recipientCount: contacts.length,
-    estimatedCost: requiredCredits, // 1 credit per SMS
+    estimatedCost: requiredCredits, // 1 credit per segment
+    segments: {
+      min: estimate.minSegments,
+      max: estimate.maxSegments,
+      total: estimate.credits,
+    },
+    messages,
+    warnings: messages.filter(message => message.warning).map(message => ({
+      variantId: message.variantId,
+      label: message.label,
+      ...message.warning,
+    })),
     availableCredits: availableBalance,
     canSend: contacts.length > 0 && availableBalance >= requiredCredits,
     insufficientCredits: availableBalance < requiredCredits,
@@ -1915,6 +2113,37 @@ export async function scheduleCampaign(storeId, campaignId, scheduleData) {
   });
   const shopTimezone = shopSettings?.timezone || 'UTC';
 
+  const scheduleType = scheduleData.scheduleType || ScheduleType.scheduled;
+  const data = {
+    scheduleType,
+    scheduleAt,
+    status: CampaignStatus.scheduled,
+    nextRunAt: null,
+  };
+
+  // Recurring: the scheduler spawns a run at every occurrence, starting with
+  // the first one at or after scheduleAt (in the shop timezone)
+  if (scheduleType === ScheduleType.recurring) {
+    if (scheduleData.recurrence) {
+      data.recurrenceRule = validateRecurrenceRule(scheduleData.recurrence);
+    }
+    if (scheduleData.recurringDays) {
+      data.recurringDays = scheduleData.recurringDays;
+    }
+
+    const rule = getCampaignRecurrenceRule({
+      recurrenceRule: data.recurrenceRule || campaign.recurrenceRule,
+      recurringDays: data.recurringDays || campaign.recurringDays,
+    });
+    if (!rule) {
+      throw new ValidationError(
+        'Recurrence or recurring days is required for recurring campaigns',
+      );
+    }
+
+    data.nextRunAt = await getFirstRunAt(storeId, rule, scheduleAt);
+  }
+
   // Update campaign
   // Note: scheduleAt is stored in UTC. When a scheduler processes scheduled campaigns,
   // it should check campaigns where status='scheduled' and scheduleAt <= now(),
@@ -1922,17 +2151,14 @@ export async function scheduleCampaign(storeId, campaignId, scheduleData) {
   // timezone setting when determining the correct send time (though scheduleAt is in UTC).
   const updated = await prisma.campaign.update({
     where: { id: campaignId },
-    data: {
-      scheduleType: scheduleData.scheduleType || ScheduleType.scheduled,
-      scheduleAt,
-      status: CampaignStatus.scheduled,
-    },
+    data,
   });
 
   logger.info('Campaign scheduled successfully', {
     storeId,
     campaignId,
     scheduleAt: scheduleAt.toISOString(),
+    nextRunAt: data.nextRunAt?.toISOString() || null,
     shopTimezone,
     note: 'scheduleAt is stored in UTC. Frontend converts shop timezone to UTC before sending.',
   });
@@ -2075,6 +2301,14 @@ export async function getCampaignMetrics(storeId, campaignId) {
     where: { campaignId },
   });
 
+  // A/B tests: per-variant sent/delivered/clicked (empty without variants)
+  const variants = await refreshVariantMetrics(campaignId);
+
+  // Unique discount codes: issued, redeemed and revenue of redeeming orders
+  const discountCodes = campaign.uniqueDiscountCodes
+    ? await getCampaignDiscountStats(campaignId)
+    : null;
+
   // Calculate percentages
   const sentPercentage =
     totalRecipients > 0
@@ -2099,6 +2333,9 @@ export async function getCampaignMetrics(storeId, campaignId) {
     sentPercentage,
     failedPercentage,
     deliveredPercentage,
+    variants,
+    winnerVariantId: campaign.winnerVariantId,
+    discountCodes,
   };
 }
 
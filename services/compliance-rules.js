@@ -0,0 +1,231 @@
+import crypto from 'crypto';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+/**
+ * Compliance Rules
+ * Shopify's mandatory privacy webhooks: a customer data request exports
+ * what we hold on a customer, a customer redact removes it, and a shop is
+ * purged SHOP_PURGE_DELAY_HOURS after the app is uninstalled. Customers are
+ * matched to contacts by email and phone; records we must keep for message
+ * and consent statistics are anonymized instead of deleted.
+ */
+
+export const ComplianceTopic = {
+  customersDataRequest: 'customers/data_request',
+  customersRedact: 'customers/redact',
+  shopRedact: 'shop/redact',
+};
+
+export const COMPLIANCE_TOPICS = Object.values(ComplianceTopic);
+
+export const ComplianceStatus = {
+  pending: 'pending',
+  scheduled: 'scheduled',
+  processing: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled',
+};
+
+export const SHOP_PURGE_DELAY_HOURS = 48;
+
+// Rows per table in a data request export
+export const DATA_EXPORT_MAX_ROWS = 10000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Customer a privacy webhook is about
+ * @param {Object} payload - Webhook payload { customer: { id, email, phone } }
+ * @param {string} [defaultCountry] - Country for phones in national format
+ * @returns {Object} { customerId, email, phones }
+ */
+export function getCustomerSubject(payload, defaultCountry = null) {
+  const customer = payload?.customer || {};
+  const email = customer.email ? String(customer.email).trim().toLowerCase() : null;
+  const phone = normalizePhoneNumber(customer.phone, defaultCountry);
+  return {
+    customerId: customer.id ? String(customer.id) : null,
+    email: email || null,
+    phones: phone ? [phone] : [],
+  };
+}
+
+/**
+ * Check whether a subject can be matched to any contact
+ * @param {Object} subject - See getCustomerSubject
+ * @returns {boolean}
+ */
+export function hasSubjectIdentifiers(subject) {
+  return Boolean(subject.email || subject.phones.length);
+}
+
+/**
+ * One-way fingerprint of a subject, kept on the audit record once its
+ * email and phone have been erased; a later redact request finds the
+ * customer's earlier data requests by it
+ * @param {Object} subject - See getCustomerSubject
+ * @returns {string} Hex SHA-256
+ */
+export function hashSubject(subject) {
+  const key = [subject.customerId || '', subject.email || '', ...subject.phones].join('|');
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Earlier data requests about the customer a redact request is about
+ * Their export bundles hold the customer's data and are erased with it.
+ * Requests are matched by subject fingerprint or Shopify customer ID.
+ * @param {Object} request - Redact ComplianceRequest { id, shopId,
+ *   shopifyCustomerId, subjectHash }
+ * @returns {Object} Prisma where clause for ComplianceRequest
+ */
+export function getSubjectDataRequestsWhere(request) {
+  const matches = [
+    request.subjectHash && { subjectHash: request.subjectHash },
+    request.shopifyCustomerId && { shopifyCustomerId: request.shopifyCustomerId },
+  ].filter(Boolean);
+
+  return {
+    shopId: request.shopId,
+    topic: ComplianceTopic.customersDataRequest,
+    id: { not: request.id },
+    // An impossible match keeps a request without identifiers from
+    // touching every data request of the shop
+    OR: matches.length ? matches : [{ id: request.id }],
+  };
+}
+
+/**
+ * Placeholders replacing redacted phone numbers
+ * Each phone gets its own value so per-campaign uniqueness still holds.
+ * @param {string} requestId - Compliance request ID
+ * @param {Array<string>} phones - Phones being redacted
+ * @returns {Map} Phone → placeholder
+ */
+export function getRedactedPhones(requestId, phones) {
+  return new Map(
+    [...new Set(phones)].map((phone, i) => [phone, `redacted:${requestId}:${i + 1}`]),
+  );
+}
+
+/**
+ * Placeholders replacing the Shopify order IDs of a redacted customer
+ * Order IDs are unique per shop, so each order gets its own value.
+ * @param {string} requestId - Compliance request ID
+ * @param {Array<string>} orderIds - Order IDs being redacted
+ * @returns {Map} Order ID → placeholder
+ */
+export function getRedactedOrderIds(requestId, orderIds) {
+  return new Map(
+    [...new Set(orderIds)].map((orderId, i) => [
+      orderId,
+      `redacted:${requestId}:order:${i + 1}`,
+    ]),
+  );
+}
+
+/**
+ * Check whether raw values (e.g. a CSV row of a contact import) mention a
+ * customer, by email or by phone in any format
+ * @param {Array} values - Raw values
+ * @param {Object} subject - { emails, phones } (lowercase emails, E.164 phones)
+ * @param {string} [defaultCountry] - Country for phones in national format
+ * @returns {boolean}
+ */
+export function mentionsSubject(values, subject, defaultCountry = null) {
+  return (values || []).some(value => {
+    const text = String(value ?? '').trim();
+    if (!text) {
+      return false;
+    }
+    const lower = text.toLowerCase();
+    if (
+      subject.emails.some(email => lower.includes(email)) ||
+      subject.phones.some(phone => text.includes(phone))
+    ) {
+      return true;
+    }
+    // Only a value that is a phone number, so "Row 12" never matches
+    if (!/^[\d\s()+.-]+$/.test(text)) {
+      return false;
+    }
+    const phone = normalizePhoneNumber(text, defaultCountry);
+    return Boolean(phone && subject.phones.includes(phone));
+  });
+}
+
+/**
+ * When an uninstalled shop is purged
+ * @param {Date|null} uninstalledAt - Uninstall time, null if unknown
+ * @param {Date} [now] - Current time
+ * @returns {Date} SHOP_PURGE_DELAY_HOURS after uninstall, never in the past
+ */
+export function getShopPurgeTime(uninstalledAt, now = new Date()) {
+  if (!uninstalledAt) {
+    return now;
+  }
+  const due = new Date(new Date(uninstalledAt).getTime() + SHOP_PURGE_DELAY_HOURS * HOUR_MS);
+  return due > now ? due : now;
+}
+
+function limitRows(rows) {
+  return rows.slice(0, DATA_EXPORT_MAX_ROWS);
+}
+
+/**
+ * Assemble the export of a customer data request
+ * @param {Object} params - { shopDomain, subject, ordersRequested, contacts,
+ *   messages, campaignRecipients, clickEvents, shortLinks, discountLinks,
+ *   attributedOrders, abandonedCheckouts, automationSequences,
+ *   scheduledAutomations, consentEvents, contactImportRows, now }
+ * @returns {Object} JSON bundle with one array per table and the tables cut
+ *   at DATA_EXPORT_MAX_ROWS
+ */
+export function buildCustomerDataBundle({
+  shopDomain,
+  subject,
+  ordersRequested = [],
+  now = new Date(),
+  ...tables
+}) {
+  const records = {};
+  const truncated = [];
+  for (const [name, rows = []] of Object.entries(tables)) {
+    records[name] = limitRows(rows);
+    if (rows.length > DATA_EXPORT_MAX_ROWS) truncated.push(name);
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    shopDomain,
+    customer: {
+      shopifyCustomerId: subject.customerId,
+      email: subject.email,
+      phones: subject.phones,
+    },
+    ordersRequested: ordersRequested.map(String),
+    counts: Object.fromEntries(
+      Object.entries(tables).map(([name, rows = []]) => [name, rows.length]),
+    ),
+    truncated,
+    records,
+  };
+}
+
+export default {
+  ComplianceTopic,
+  COMPLIANCE_TOPICS,
+  ComplianceStatus,
+  SHOP_PURGE_DELAY_HOURS,
+  DATA_EXPORT_MAX_ROWS,
+  getCustomerSubject,
+  hasSubjectIdentifiers,
+  hashSubject,
+  getSubjectDataRequestsWhere,
+  getRedactedPhones,
+  getRedactedOrderIds,
+  mentionsSubject,
+  getShopPurgeTime,
+  buildCustomerDataBundle,
+};
@@ -0,0 +1,760 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { complianceQueue } from '../queue/index.js';
+import { createNotification, NotificationType } from './notifications.js';
+import { findContactImportRows, redactContactImports } from './contact-imports.js';
+import {
+  ComplianceStatus,
+  ComplianceTopic,
+  DATA_EXPORT_MAX_ROWS,
+  buildCustomerDataBundle,
+  getCustomerSubject,
+  getRedactedPhones,
+  getRedactedOrderIds,
+  getShopPurgeTime,
+  getSubjectDataRequestsWhere,
+  hasSubjectIdentifiers,
+  hashSubject,
+  mentionsSubject,
+} from './compliance-rules.js';
+
+/**
+ * Compliance Service
+ * Records Shopify privacy webhooks as ComplianceRequest rows and carries
+ * them out on the compliance queue (see services/compliance-rules.js).
+ * Shop purges are scheduled rows picked up by the hourly compliance sweep,
+ * so a lost queue never loses a purge.
+ */
+
+const PROCESS_JOB = 'process-request';
+// Redactions and purges can touch many rows
+const TRANSACTION_OPTIONS = { timeout: 120000 };
+
+function formatRequest(request) {
+  return {
+    id: request.id,
+    topic: request.topic,
+    status: request.status,
+    shopifyCustomerId: request.shopifyCustomerId,
+    ordersRequested: request.ordersRequested,
+    scheduledFor: request.scheduledFor,
+    startedAt: request.startedAt,
+    completedAt: request.completedAt,
+    result: request.result,
+    error: request.error,
+    hasExport: Boolean(request.exportData),
+    createdAt: request.createdAt,
+  };
+}
+
+function enqueueRequest(requestId) {
+  return complianceQueue.add(PROCESS_JOB, { requestId }, { jobId: `compliance-${requestId}` });
+}
+
+async function findByWebhookId(webhookId) {
+  return webhookId
+    ? prisma.complianceRequest.findUnique({ where: { webhookId } })
+    : null;
+}
+
+// Schedules the purge of a shop, reusing a purge already scheduled for it
+async function scheduleShopPurge(shop, shopDomain, webhookId = null) {
+  const scheduledFor = getShopPurgeTime(shop.uninstalledAt);
+  const existing = await prisma.complianceRequest.findFirst({
+    where: {
+      shopDomain,
+      topic: ComplianceTopic.shopRedact,
+      status: ComplianceStatus.scheduled,
+    },
+  });
+
+  if (existing) {
+    return prisma.complianceRequest.update({
+      where: { id: existing.id },
+      data: {
+        scheduledFor: existing.scheduledFor < scheduledFor ? existing.scheduledFor : scheduledFor,
+        ...(webhookId && !existing.webhookId && { webhookId }),
+      },
+    });
+  }
+
+  return prisma.complianceRequest.create({
+    data: {
+      shopId: shop.id,
+      shopDomain,
+      topic: ComplianceTopic.shopRedact,
+      status: ComplianceStatus.scheduled,
+      webhookId,
+      scheduledFor,
+    },
+  });
+}
+
+/**
+ * Record a Shopify privacy webhook
+ * Customer requests are queued; shop/redact schedules the purge of the
+ * shop (SHOP_PURGE_DELAY_HOURS after uninstall). Redelivered webhooks
+ * (same X-Shopify-Webhook-Id) return the original request.
+ * @param {Object} params - { topic, webhookId, shopDomain, payload }
+ * @returns {Promise<Object>} { request, duplicate }
+ */
+export async function receiveComplianceWebhook({ topic, webhookId, shopDomain, payload }) {
+  const existing = await findByWebhookId(webhookId);
+  if (existing) {
+    return { request: formatRequest(existing), duplicate: true };
+  }
+
+  const shop = await prisma.shop.findUnique({
+    where: { shopDomain },
+    select: { id: true, status: true, uninstalledAt: true },
+  });
+
+  if (topic === ComplianceTopic.shopRedact) {
+    if (!shop) {
+      const request = await prisma.complianceRequest.create({
+        data: {
+          shopDomain,
+          topic,
+          status: ComplianceStatus.completed,
+          webhookId,
+          completedAt: new Date(),
+          result: { skipped: 'shop_not_found' },
+        },
+      });
+      return { request: formatRequest(request), duplicate: false };
+    }
+
+    // Shopify only sends shop/redact for uninstalled shops; it stands in
+    // for an app/uninstalled we never received
+    const uninstalledAt = shop.uninstalledAt || new Date();
+    if (!shop.uninstalledAt) {
+      await prisma.shop.update({
+        where: { id: shop.id },
+        data: { status: 'inactive', uninstalledAt },
+      });
+    }
+    const request = await scheduleShopPurge({ ...shop, uninstalledAt }, shopDomain, webhookId);
+    logger.info('Shop purge scheduled', {
+      shopId: shop.id,
+      shopDomain,
+      requestId: request.id,
+      scheduledFor: request.scheduledFor,
+    });
+    return { request: formatRequest(request), duplicate: false };
+  }
+
+  const subject = getCustomerSubject(payload);
+  const skipped = !shop
+    ? 'shop_not_found'
+    : !hasSubjectIdentifiers(subject)
+      ? 'no_customer_identifiers'
+      : null;
+  const ordersRequested = payload?.orders_requested || payload?.orders_to_redact || [];
+
+  const request = await prisma.complianceRequest.create({
+    data: {
+      shopId: shop?.id || null,
+      shopDomain,
+      topic,
+      status: skipped ? ComplianceStatus.completed : ComplianceStatus.pending,
+      webhookId,
+      shopifyCustomerId: subject.customerId,
+      subject: skipped ? Prisma.DbNull : { email: subject.email, phones: subject.phones },
+      subjectHash: hashSubject(subject),
+      ordersRequested: ordersRequested.map(String),
+      ...(skipped && { completedAt: new Date(), result: { skipped } }),
+    },
+  });
+
+  if (!skipped) {
+    await enqueueRequest(request.id);
+  }
+
+  logger.info('Compliance request received', {
+    requestId: request.id,
+    topic,
+    shopDomain,
+    skipped,
+  });
+
+  return { request: formatRequest(request), duplicate: false };
+}
+
+/**
+ * Mark a shop uninstalled and schedule its purge
+ * @param {string} shopDomain - Shop domain
+ * @returns {Promise<Object|null>} { shopId, requestId, scheduledFor }, null
+ *   for unknown shops
+ */
+export async function handleAppUninstalled(shopDomain) {
+  const shop = await prisma.shop.findUnique({
+    where: { shopDomain },
+    select: { id: true, uninstalledAt: true },
+  });
+  if (!shop) {
+    return null;
+  }
+
+  const uninstalledAt = shop.uninstalledAt || new Date();
+  await prisma.shop.update({
+    where: { id: shop.id },
+    data: { status: 'inactive', uninstalledAt },
+  });
+  const request = await scheduleShopPurge({ ...shop, uninstalledAt }, shopDomain);
+
+  logger.info('Shop uninstalled, purge scheduled', {
+    shopId: shop.id,
+    shopDomain,
+    requestId: request.id,
+    scheduledFor: request.scheduledFor,
+  });
+
+  return { shopId: shop.id, requestId: request.id, scheduledFor: request.scheduledFor };
+}
+
+/**
+ * Cancel the scheduled purge of a reinstalled shop
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<number>} Purges cancelled
+ */
+export async function cancelShopPurge(shopId) {
+  const { count } = await prisma.complianceRequest.updateMany({
+    where: {
+      shopId,
+      topic: ComplianceTopic.shopRedact,
+      status: ComplianceStatus.scheduled,
+    },
+    data: {
+      status: ComplianceStatus.cancelled,
+      completedAt: new Date(),
+      result: { cancelled: 'reinstalled' },
+    },
+  });
+  if (count > 0) {
+    logger.info('Shop purge cancelled on reinstall', { shopId, count });
+  }
+  return count;
+}
+
+async function findCustomerContacts(client, shopId, subject) {
+  const contacts = await client.contact.findMany({
+    where: {
+      shopId,
+      OR: [
+        ...(subject.customerId ? [{ shopifyCustomerId: subject.customerId }] : []),
+        ...(subject.email ? [{ email: subject.email }] : []),
+        ...(subject.phones.length ? [{ phoneE164: { in: subject.phones } }] : []),
+      ],
+    },
+  });
+  return {
+    contacts,
+    contactIds: contacts.map(contact => contact.id),
+    phones: [...new Set([...subject.phones, ...contacts.map(contact => contact.phoneE164)])],
+    emails: [
+      ...new Set(
+        [subject.email, ...contacts.map(contact => contact.email?.toLowerCase())].filter(
+          Boolean,
+        ),
+      ),
+    ],
+  };
+}
+
+// Rows of stored contact import files that mention the customer
+function findSubjectImportRows(shopId, { emails, phones }) {
+  return findContactImportRows(shopId, (values, defaultCountry) =>
+    mentionsSubject(values, { emails, phones }, defaultCountry),
+  );
+}
+
+async function exportCustomerData(request) {
+  const { shopId } = request;
+  const subject = { customerId: request.shopifyCustomerId, ...request.subject };
+  const { contacts, contactIds, phones, emails } = await findCustomerContacts(
+    prisma,
+    shopId,
+    subject,
+  );
+  const byContactOrPhone = [{ contactId: { in: contactIds } }, { phoneE164: { in: phones } }];
+  // Links and clicks of the customer's campaign messages
+  const byRecipient = { recipient: { OR: byContactOrPhone } };
+  const orderIds = (request.ordersRequested || []).map(String);
+  const take = DATA_EXPORT_MAX_ROWS + 1;
+
+  const [
+    messages,
+    campaignRecipients,
+    clickEvents,
+    shortLinks,
+    discountLinks,
+    attributedOrders,
+    abandonedCheckouts,
+    automationSequences,
+    scheduledAutomations,
+    consentEvents,
+    contactImportRows,
+  ] = await Promise.all([
+    prisma.messageLog.findMany({
+      where: { shopId, phoneE164: { in: phones } },
+      orderBy: { createdAt: 'asc' },
+      take,
+      select: {
+        id: true,
+        direction: true,
+        phoneE164: true,
+        text: true,
+        status: true,
+        deliveryStatus: true,
+        senderNumber: true,
+        campaignId: true,
+        automationId: true,
+        createdAt: true,
+      },
+    }),
+    prisma.campaignRecipient.findMany({
+      where: { campaign: { shopId }, OR: byContactOrPhone },
+      take,
+      select: {
+        id: true,
+        campaignId: true,
+        phoneE164: true,
+        status: true,
+        deliveryStatus: true,
+        sentAt: true,
+        deliveredAt: true,
+      },
+    }),
+    prisma.clickEvent.findMany({
+      where: {
+        campaign: { shopId },
+        OR: [...byContactOrPhone, byRecipient],
+      },
+      orderBy: { clickedAt: 'asc' },
+      take,
+    }),
+    prisma.shortLink.findMany({
+      where: { shopId, OR: [{ contactId: { in: contactIds } }, byRecipient] },
+      orderBy: { createdAt: 'asc' },
+      take,
+    }),
+    prisma.discountLink.findMany({
+      where: {
+        shopId,
+        OR: [{ contactId: { in: contactIds } }, byRecipient, { orderId: { in: orderIds } }],
+      },
+      orderBy: { createdAt: 'asc' },
+      take,
+    }),
+    prisma.attributedOrder.findMany({
+      where: {
+        shopId,
+        OR: [{ contactId: { in: contactIds } }, { orderId: { in: orderIds } }],
+      },
+      orderBy: { orderedAt: 'asc' },
+      take,
+    }),
+    prisma.abandonedCheckout.findMany({
+      where: { shopId, contactId: { in: contactIds } },
+      take,
+    }),
+    prisma.automationSequence.findMany({
+      where: { shopId, contactId: { in: contactIds } },
+      take,
+    }),
+    prisma.scheduledAutomation.findMany({
+      where: { shopId, contactId: { in: contactIds } },
+      take,
+    }),
+    prisma.consentEvent.findMany({
+      where: { shopId, OR: byContactOrPhone },
+      orderBy: { createdAt: 'asc' },
+      take,
+    }),
+    findSubjectImportRows(shopId, { emails, phones }),
+  ]);
+
+  const bundle = buildCustomerDataBundle({
+    shopDomain: request.shopDomain,
+    subject,
+    ordersRequested: request.ordersRequested || [],
+    contacts,
+    messages,
+    campaignRecipients,
+    clickEvents,
+    shortLinks,
+    discountLinks,
+    attributedOrders,
+    abandonedCheckouts,
+    automationSequences,
+    scheduledAutomations,
+    consentEvents,
+    contactImportRows,
+  });
+
+  try {
+    await createNotification(shopId, {
+      type: NotificationType.privacyDataRequest,
+      title: 'Customer data request',
+      message:
+        'A customer asked for the data we hold about them. Download the export and send it to the customer.',
+      data: { requestId: request.id },
+    });
+  } catch (error) {
+    logger.warn('Failed to notify data request', {
+      requestId: request.id,
+      error: error.message,
+    });
+  }
+
+  // JSON round trip turns dates into strings for the Json column
+  return { result: bundle.counts, exportData: JSON.parse(JSON.stringify(bundle)) };
+}
+
+async function redactCustomer(request) {
+  const { shopId } = request;
+  const subject = { customerId: request.shopifyCustomerId, ...request.subject };
+  const orderIds = (request.ordersRequested || []).map(String);
+
+  // Stored import files cannot join the transaction; they are erased first,
+  // so a retry still finds the contacts they are matched by
+  const importRows = await findSubjectImportRows(
+    shopId,
+    await findCustomerContacts(prisma, shopId, subject),
+  );
+  const contactImports = await redactContactImports(shopId, [
+    ...new Set(importRows.map(row => row.importId)),
+  ]);
+
+  const result = await prisma.$transaction(async tx => {
+    const { contactIds, phones } = await findCustomerContacts(tx, shopId, subject);
+    const recipientIds = (
+      await tx.campaignRecipient.findMany({
+        where: {
+          campaign: { shopId },
+          OR: [{ contactId: { in: contactIds } }, { phoneE164: { in: phones } }],
+        },
+        select: { id: true },
+      })
+    ).map(recipient => recipient.id);
+    const byContactOrRecipient = [
+      { contactId: { in: contactIds } },
+      { recipientId: { in: recipientIds } },
+    ];
+    const counts = {
+      contacts: contactIds.length,
+      messages: 0,
+      campaignRecipients: 0,
+      clickEvents: 0,
+      consentEvents: 0,
+    };
+
+    for (const [phone, placeholder] of getRedactedPhones(request.id, phones)) {
+      const [messages, recipients, clicks, consents] = await Promise.all([
+        tx.messageLog.updateMany({
+          where: { shopId, phoneE164: phone },
+          data: { phoneE164: placeholder, text: null, payload: Prisma.DbNull },
+        }),
+        tx.campaignRecipient.updateMany({
+          where: { campaign: { shopId }, phoneE164: phone },
+          data: { phoneE164: placeholder, error: null },
+        }),
+        tx.clickEvent.updateMany({
+          where: { campaign: { shopId }, phoneE164: phone },
+          data: { phoneE164: placeholder, ipAddress: null, userAgent: null },
+        }),
+        tx.consentEvent.updateMany({
+          where: { shopId, phoneE164: phone },
+          data: { phoneE164: placeholder, ipAddress: null, userAgent: null, meta: Prisma.DbNull },
+        }),
+      ]);
+      counts.messages += messages.count;
+      counts.campaignRecipients += recipients.count;
+      counts.clickEvents += clicks.count;
+      counts.consentEvents += consents.count;
+    }
+
+    // Clicks recorded under another number still carry the IP and user agent
+    await tx.clickEvent.updateMany({
+      where: { campaign: { shopId }, OR: byContactOrRecipient },
+      data: { ipAddress: null, userAgent: null },
+    });
+    // Personal links go; codes stay (unlinked) for the discount statistics
+    const [shortLinks, discountLinks] = await Promise.all([
+      tx.shortLink.deleteMany({ where: { shopId, OR: byContactOrRecipient } }),
+      tx.discountLink.updateMany({
+        where: { shopId, OR: [...byContactOrRecipient, { orderId: { in: orderIds } }] },
+        data: { contactId: null, orderId: null },
+      }),
+    ]);
+    // Attributed revenue is kept under placeholder order IDs
+    const attributedOrders = await tx.attributedOrder.findMany({
+      where: {
+        shopId,
+        OR: [{ contactId: { in: contactIds } }, { orderId: { in: orderIds } }],
+      },
+      select: { id: true, orderId: true },
+    });
+    const redactedOrderIds = getRedactedOrderIds(
+      request.id,
+      attributedOrders.map(order => order.orderId),
+    );
+    for (const order of attributedOrders) {
+      await tx.attributedOrder.update({
+        where: { id: order.id },
+        data: { orderId: redactedOrderIds.get(order.orderId), contactId: null },
+      });
+    }
+
+    const [conversations, sequences, scheduled] = await Promise.all([
+      tx.conversation.deleteMany({ where: { shopId, phoneE164: { in: phones } } }),
+      tx.automationSequence.deleteMany({ where: { shopId, contactId: { in: contactIds } } }),
+      tx.scheduledAutomation.deleteMany({ where: { shopId, contactId: { in: contactIds } } }),
+    ]);
+    // Abandoned checkouts, confirmations and memberships go with the contact
+    const abandonedCheckouts = await tx.abandonedCheckout.count({
+      where: { shopId, contactId: { in: contactIds } },
+    });
+    await tx.contact.deleteMany({ where: { id: { in: contactIds } } });
+    // Exports of earlier data requests hold the same data
+    const dataRequestExports = await tx.complianceRequest.updateMany({
+      where: getSubjectDataRequestsWhere(request),
+      data: { subject: Prisma.DbNull, exportData: Prisma.DbNull },
+    });
+
+    return {
+      ...counts,
+      dataRequestExports: dataRequestExports.count,
+      shortLinks: shortLinks.count,
+      discountLinks: discountLinks.count,
+      attributedOrders: attributedOrders.length,
+      contactImports,
+      conversations: conversations.count,
+      automationSequences: sequences.count,
+      scheduledAutomations: scheduled.count,
+      abandonedCheckouts,
+    };
+  }, TRANSACTION_OPTIONS);
+
+  return { result };
+}
+
+async function purgeShop(request) {
+  const shop = await prisma.shop.findFirst({
+    where: request.shopId ? { id: request.shopId } : { shopDomain: request.shopDomain },
+    select: { id: true, status: true, uninstalledAt: true },
+  });
+  if (!shop) {
+    return { result: { skipped: 'shop_not_found' } };
+  }
+  if (!shop.uninstalledAt) {
+    return { status: ComplianceStatus.cancelled, result: { cancelled: 'reinstalled' } };
+  }
+
+  const [contacts, messages, campaigns] = await Promise.all([
+    prisma.contact.count({ where: { shopId: shop.id } }),
+    prisma.messageLog.count({ where: { shopId: shop.id } }),
+    prisma.campaign.count({ where: { shopId: shop.id } }),
+  ]);
+
+  await prisma.$transaction(async tx => {
+    // Exports and identifiers held for the shop's customers go too
+    await tx.complianceRequest.updateMany({
+      where: { shopDomain: request.shopDomain, id: { not: request.id } },
+      data: { subject: Prisma.DbNull, exportData: Prisma.DbNull },
+    });
+    await tx.shop.delete({ where: { id: shop.id } });
+  }, TRANSACTION_OPTIONS);
+
+  return {
+    result: {
+      shopId: shop.id,
+      uninstalledAt: shop.uninstalledAt,
+      deleted: { shop: 1, contacts, messages, campaigns },
+    },
+  };
+}
+
+const processors = {
+  [ComplianceTopic.customersDataRequest]: exportCustomerData,
+  [ComplianceTopic.customersRedact]: redactCustomer,
+  [ComplianceTopic.shopRedact]: purgeShop,
+};
+
+/**
+ * Carry out a compliance request
+ * The request is claimed first, so a redelivered job does nothing.
+ * @param {string} requestId - Compliance request ID
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} { status, result } or { skipped }
+ */
+export async function processComplianceRequest(requestId, options = {}) {
+  const { now = new Date() } = options;
+  const claimed = await prisma.complianceRequest.updateMany({
+    where: {
+      id: requestId,
+      OR: [
+        { status: { in: [ComplianceStatus.pending, ComplianceStatus.failed] } },
+        { status: ComplianceStatus.scheduled, scheduledFor: { lte: now } },
+      ],
+    },
+    data: { status: ComplianceStatus.processing, startedAt: now, error: null },
+  });
+  if (claimed.count === 0) {
+    return { skipped: 'not_claimable' };
+  }
+
+  const request = await prisma.complianceRequest.findUnique({ where: { id: requestId } });
+  try {
+    const outcome = await processors[request.topic](request);
+    const status = outcome.status || ComplianceStatus.completed;
+    await prisma.complianceRequest.update({
+      where: { id: requestId },
+      data: {
+        status,
+        completedAt: new Date(),
+        result: outcome.result,
+        // Identifiers are only kept until the request is carried out
+        subject: Prisma.DbNull,
+        ...(outcome.exportData && { exportData: outcome.exportData }),
+      },
+    });
+
+    logger.info('Compliance request processed', {
+      requestId,
+      topic: request.topic,
+      shopDomain: request.shopDomain,
+      status,
+      result: outcome.result,
+    });
+    return { status, result: outcome.result };
+  } catch (error) {
+    await prisma.complianceRequest.update({
+      where: { id: requestId },
+      data: { status: ComplianceStatus.failed, error: error.message },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Purge the shops whose purge is due
+ * @param {Object} [options] - { now }
+ * @returns {Promise<Object>} { purged, cancelled, failed }
+ */
+export async function runDueShopPurges(options = {}) {
+  const { now = new Date() } = options;
+  const totals = { purged: 0, cancelled: 0, failed: 0 };
+
+  const due = await prisma.complianceRequest.findMany({
+    where: {
+      topic: ComplianceTopic.shopRedact,
+      status: { in: [ComplianceStatus.scheduled, ComplianceStatus.failed] },
+      scheduledFor: { lte: now },
+    },
+    orderBy: { scheduledFor: 'asc' },
+    select: { id: true, shopDomain: true },
+  });
+
+  for (const request of due) {
+    try {
+      const outcome = await processComplianceRequest(request.id, { now });
+      if (outcome.status === ComplianceStatus.cancelled) totals.cancelled++;
+      else if (outcome.status) totals.purged++;
+    } catch (error) {
+      totals.failed++;
+      logger.error('Shop purge failed', {
+        requestId: request.id,
+        shopDomain: request.shopDomain,
+        error: error.message,
+      });
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Queue the purge of the shops whose purge is due
+ * @param {string} [jobId] - Job ID, sweeps sharing one are queued once
+ * @returns {Promise<string>} Job ID
+ */
+export async function enqueueShopPurgeSweep(jobId = `purge-due-shops-${Date.now()}`) {
+  await complianceQueue.add('purge-due-shops', {}, { jobId });
+  return jobId;
+}
+
+/**
+ * List the privacy requests of a shop, newest first
+ * @param {string} shopId - Shop ID
+ * @param {Object} filters - { page, pageSize, topic }
+ * @returns {Promise<Object>} { requests, pagination }
+ */
+export async function listComplianceRequests(shopId, filters = {}) {
+  const { page = 1, pageSize = 20, topic } = filters;
+  const where = { shopId, ...(topic && { topic }) };
+
+  const [requests, total] = await Promise.all([
+    prisma.complianceRequest.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      omit: { exportData: true, subject: true },
+    }),
+    prisma.complianceRequest.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    requests: requests.map(formatRequest),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Get the export of a completed customer data request
+ * @param {string} shopId - Shop ID
+ * @param {string} requestId - Compliance request ID
+ * @returns {Promise<Object>} { fileName, bundle }
+ */
+export async function getDataRequestExport(shopId, requestId) {
+  const request = await prisma.complianceRequest.findFirst({
+    where: { id: requestId, shopId, topic: ComplianceTopic.customersDataRequest },
+  });
+  if (!request) {
+    throw new NotFoundError('Data request');
+  }
+  if (!request.exportData) {
+    // Completed without an export: skipped, or erased by a later redaction
+    if (request.status === ComplianceStatus.completed) {
+      throw new NotFoundError('Data request export');
+    }
+    throw new ConflictError('The export of this data request is not ready');
+  }
+
+  return {
+    fileName: `customer-data-${request.shopifyCustomerId || request.id}.json`,
+    bundle: request.exportData,
+  };
+}
+
+export default {
+  receiveComplianceWebhook,
+  handleAppUninstalled,
+  cancelShopPurge,
+  processComplianceRequest,
+  runDueShopPurges,
+  enqueueShopPurgeSweep,
+  listComplianceRequests,
+  getDataRequestExport,
+};
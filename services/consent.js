@@ -0,0 +1,537 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { sendSms } from './sms-provider.js';
+import { getFrontendBaseUrl } from '../utils/frontendUrl.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { WebhookEvent } from './webhook-events.js';
+import { FlowTrigger } from './flow-rules.js';
+import {
+  generateConfirmationToken,
+  verifyConfirmationToken,
+  buildConfirmationUrl,
+  buildConfirmationText,
+} from '../utils/opt-in-confirmation.js';
+
+/**
+ * Consent Service
+ * Central place for changing Contact.smsConsent so every change is audited
+ * in ConsentEvent. Also runs the double opt-in flow: the contact stays
+ * unconfirmed until they reply YES or open the signed link sent by SMS.
+ */
+
+export const ConsentSource = {
+  inbound_keyword: 'inbound_keyword',
+  unsubscribe_link: 'unsubscribe_link',
+  opt_in_form: 'opt_in_form',
+  double_opt_in: 'double_opt_in',
+  manual: 'manual',
+  import: 'import',
+  shopify_sync: 'shopify_sync',
+};
+
+export const ConfirmationStatus = {
+  pending: 'pending',
+  confirmed: 'confirmed',
+  cancelled: 'cancelled',
+};
+
+export const ConfirmationMethod = {
+  reply: 'reply',
+  link: 'link',
+};
+
+const DEFAULT_CONFIRMATION_HOURS = 48;
+// A new opt-in within this window does not send another SMS
+const RESEND_COOLDOWN_MS = 10 * 60 * 1000;
+
+function getConfirmationTtlMs() {
+  const hours = Number(process.env.DOUBLE_OPT_IN_EXPIRY_HOURS);
+  return (hours > 0 ? hours : DEFAULT_CONFIRMATION_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Record a consent event
+ * @param {Object} event - Event data
+ * @param {Object} client - Prisma client or transaction (optional)
+ * @returns {Promise<Object>} Created consent event
+ */
+export async function recordConsentEvent(
+  {
+    shopId,
+    contactId = null,
+    phoneE164,
+    previousState = null,
+    newState,
+    source,
+    keyword = null,
+    ipAddress = null,
+    userAgent = null,
+    meta = null,
+  },
+  client = prisma,
+) {
+  return client.consentEvent.create({
+    data: {
+      shopId,
+      contactId,
+      phoneE164,
+      previousState,
+      newState,
+      source,
+      keyword,
+      ipAddress,
+      userAgent,
+      meta,
+    },
+  });
+}
+
+/**
+ * Change a contact's SMS consent and record the change
+ * No-op (no event) if the contact is already in the requested state.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @param {string} newState - New SmsConsent value
+ * @param {Object} context - { source, keyword, ipAddress, userAgent, meta }
+ * @returns {Promise<Object>} { contact, previousState, changed }
+ */
+export async function setContactConsent(shopId, contactId, newState, context) {
+  const result = await prisma.$transaction(async tx => {
+    const contact = await tx.contact.findFirst({
+      where: { id: contactId, shopId },
+      select: { id: true, phoneE164: true, smsConsent: true },
+    });
+
+    if (!contact) {
+      throw new NotFoundError('Contact');
+    }
+
+    if (contact.smsConsent === newState) {
+      return { contact, previousState: contact.smsConsent, changed: false };
+    }
+
+    const updated = await tx.contact.update({
+      where: { id: contact.id },
+      data: { smsConsent: newState },
+    });
+
+    // An opt-out voids any double opt-in confirmation still pending
+    if (newState === 'opted_out') {
+      await tx.consentConfirmation.updateMany({
+        where: { contactId: contact.id, status: ConfirmationStatus.pending },
+        data: { status: ConfirmationStatus.cancelled },
+      });
+    }
+
+    await recordConsentEvent(
+      {
+        shopId,
+        contactId: contact.id,
+        phoneE164: contact.phoneE164,
+        previousState: contact.smsConsent,
+        newState,
+        ...context,
+      },
+      tx,
+    );
+
+    return {
+      contact: updated,
+      previousState: contact.smsConsent,
+      changed: true,
+    };
+  });
+
+  if (result.changed) {
+    logger.info('Contact consent changed', {
+      shopId,
+      contactId,
+      previousState: result.previousState,
+      newState,
+      source: context?.source,
+    });
+
+    if (newState === 'opted_out') {
+      await emitWebhookEvent(shopId, WebhookEvent.contactOptedOut, {
+        contactId,
+        phoneE164: result.contact.phoneE164,
+        previousState: result.previousState,
+        source: context?.source || null,
+        occurredAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check if a shop requires double opt-in for opt-in form subscribers
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<boolean>}
+ */
+export async function isDoubleOptInEnabled(shopId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId },
+    select: { doubleOptInEnabled: true },
+  });
+  return Boolean(settings?.doubleOptInEnabled);
+}
+
+/**
+ * Ask a contact to confirm their opt-in by SMS
+ * Replaces any earlier pending confirmation; repeated requests within a
+ * few minutes reuse the pending one without sending another SMS.
+ * @param {string} shopId - Shop ID
+ * @param {Object} contact - { id, phoneE164 }
+ * @param {Object} context - { source, ipAddress, userAgent } of the opt-in request
+ * @returns {Promise<Object>} { confirmation, sent }
+ */
+export async function requestOptInConfirmation(shopId, contact, context = {}) {
+  const now = new Date();
+
+  const pending = await prisma.consentConfirmation.findFirst({
+    where: {
+      shopId,
+      contactId: contact.id,
+      status: ConfirmationStatus.pending,
+      expiresAt: { gt: now },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (pending && now - pending.createdAt < RESEND_COOLDOWN_MS) {
+    return { confirmation: pending, sent: false };
+  }
+
+  const confirmation = await prisma.$transaction(async tx => {
+    await tx.consentConfirmation.updateMany({
+      where: {
+        shopId,
+        contactId: contact.id,
+        status: ConfirmationStatus.pending,
+      },
+      data: { status: ConfirmationStatus.cancelled },
+    });
+
+    return tx.consentConfirmation.create({
+      data: {
+        shopId,
+        contactId: contact.id,
+        phoneE164: contact.phoneE164,
+        source: context.source || null,
+        ipAddress: context.ipAddress || null,
+        userAgent: context.userAgent || null,
+        expiresAt: new Date(now.getTime() + getConfirmationTtlMs()),
+      },
+    });
+  });
+
+  const shop = await prisma.shop.findUnique({
+    where: { id: shopId },
+    select: { shopName: true, shopDomain: true },
+  });
+  const shopName =
+    shop?.shopName || shop?.shopDomain?.replace('.myshopify.com', '') || 'Store';
+  const text = buildConfirmationText(
+    shopName,
+    buildConfirmationUrl(
+      generateConfirmationToken(confirmation.id, confirmation.expiresAt),
+      getFrontendBaseUrl(),
+    ),
+  );
+
+  let sent = false;
+  try {
+    // Confirmation requests are free, like the keyword compliance replies
+    const result = await sendSms({
+      to: contact.phoneE164,
+      text,
+      shopId,
+      skipCreditCheck: true,
+    });
+
+    await prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164: contact.phoneE164,
+        direction: 'outbound',
+        provider: result.provider,
+        providerMsgId: result.messageId,
+        status: 'sent',
+        text,
+        payload: {
+          type: 'opt_in_confirmation',
+          confirmationId: confirmation.id,
+        },
+      },
+    });
+    sent = true;
+  } catch (error) {
+    logger.error('Failed to send opt-in confirmation', {
+      shopId,
+      contactId: contact.id,
+      confirmationId: confirmation.id,
+      error: error.message,
+    });
+  }
+
+  logger.info('Opt-in confirmation requested', {
+    shopId,
+    contactId: contact.id,
+    confirmationId: confirmation.id,
+    sent,
+  });
+
+  return { confirmation, sent };
+}
+
+async function confirmOptIn(confirmation, { method, keyword, ipAddress, userAgent }) {
+  // Claim the confirmation so a reply and a link click cannot both apply
+  const claimed = await prisma.consentConfirmation.updateMany({
+    where: { id: confirmation.id, status: ConfirmationStatus.pending },
+    data: {
+      status: ConfirmationStatus.confirmed,
+      method,
+      confirmedAt: new Date(),
+      confirmIpAddress: ipAddress || null,
+      confirmUserAgent: userAgent || null,
+    },
+  });
+  if (claimed.count === 0) {
+    return { confirmed: false, changed: false };
+  }
+
+  const result = await setContactConsent(
+    confirmation.shopId,
+    confirmation.contactId,
+    'opted_in',
+    {
+      source: ConsentSource.double_opt_in,
+      keyword: keyword || null,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent || null,
+      meta: {
+        confirmationId: confirmation.id,
+        method,
+        requestedAt: confirmation.createdAt,
+        requestSource: confirmation.source,
+        requestIpAddress: confirmation.ipAddress,
+        requestUserAgent: confirmation.userAgent,
+      },
+    },
+  );
+
+  if (result.changed) {
+    try {
+      const { scheduleWelcomeSeries } = await import('./welcome-series.js');
+      await scheduleWelcomeSeries(confirmation.contactId, confirmation.shopId);
+    } catch (error) {
+      logger.warn('Failed to schedule welcome series', {
+        contactId: confirmation.contactId,
+        shopId: confirmation.shopId,
+        error: error.message,
+      });
+    }
+
+    // Custom flows started by new subscribers (never throws)
+    const { startFlowsForTrigger } = await import('./flows.js');
+    await startFlowsForTrigger(
+      confirmation.shopId,
+      confirmation.contactId,
+      FlowTrigger.subscribed,
+    );
+  }
+
+  logger.info('Opt-in confirmed', {
+    shopId: confirmation.shopId,
+    contactId: confirmation.contactId,
+    confirmationId: confirmation.id,
+    method,
+  });
+
+  return { confirmed: true, changed: result.changed };
+}
+
+/**
+ * Confirm a contact's pending opt-in after a YES/START reply
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @param {Object} [context] - { keyword }
+ * @returns {Promise<Object|null>} { confirmed, changed } or null if nothing was pending
+ */
+export async function confirmPendingOptIn(shopId, contactId, context = {}) {
+  const confirmation = await prisma.consentConfirmation.findFirst({
+    where: {
+      shopId,
+      contactId,
+      status: ConfirmationStatus.pending,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+  if (!confirmation) {
+    return null;
+  }
+
+  return confirmOptIn(confirmation, {
+    method: ConfirmationMethod.reply,
+    keyword: context.keyword,
+  });
+}
+
+async function findConfirmationByToken(token) {
+  const confirmationId = verifyConfirmationToken(token);
+  if (!confirmationId) {
+    throw new ValidationError('Invalid or expired confirmation link');
+  }
+
+  const confirmation = await prisma.consentConfirmation.findUnique({
+    where: { id: confirmationId },
+    include: {
+      shop: { select: { shopName: true, shopDomain: true } },
+    },
+  });
+  if (!confirmation) {
+    throw new NotFoundError('Confirmation');
+  }
+  return confirmation;
+}
+
+function formatConfirmation(confirmation) {
+  return {
+    status: confirmation.status,
+    phoneE164: `${confirmation.phoneE164.substring(0, 5)}***`,
+    shopName:
+      confirmation.shop.shopName ||
+      confirmation.shop.shopDomain.replace('.myshopify.com', ''),
+    confirmedAt: confirmation.confirmedAt,
+  };
+}
+
+/**
+ * Get the confirmation page data for a signed link
+ * Does not confirm: link previews must not opt people in.
+ * @param {string} token - Confirmation token
+ * @returns {Promise<Object>} { status, phoneE164 (masked), shopName, confirmedAt }
+ */
+export async function getOptInConfirmation(token) {
+  return formatConfirmation(await findConfirmationByToken(token));
+}
+
+/**
+ * Confirm an opt-in from the signed link
+ * @param {string} token - Confirmation token
+ * @param {Object} context - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Confirmation page data
+ */
+export async function confirmOptInByToken(token, context = {}) {
+  const confirmation = await findConfirmationByToken(token);
+
+  if (confirmation.status === ConfirmationStatus.cancelled) {
+    throw new ValidationError(
+      'This confirmation link has been replaced by a newer one',
+    );
+  }
+
+  await confirmOptIn(confirmation, {
+    method: ConfirmationMethod.link,
+    ipAddress: context.ipAddress,
+    userAgent: context.userAgent,
+  });
+
+  return formatConfirmation(await findConfirmationByToken(token));
+}
+
+export const CONSENT_AUDIT_COLUMNS = [
+  { key: 'occurredAt', header: 'Date' },
+  { key: 'type', header: 'Type' },
+  { key: 'phoneE164', header: 'Phone' },
+  { key: 'previousState', header: 'Previous State' },
+  { key: 'newState', header: 'New State' },
+  { key: 'source', header: 'Source' },
+  { key: 'keyword', header: 'Keyword' },
+  { key: 'ipAddress', header: 'IP Address' },
+  { key: 'userAgent', header: 'User Agent' },
+  { key: 'details', header: 'Details' },
+];
+
+/**
+ * Consent audit trail of a contact (oldest first)
+ * Consent changes and double opt-in requests in one timeline, with the
+ * columns of CONSENT_AUDIT_COLUMNS.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Object>} { contact, entries }
+ */
+export async function getContactConsentAudit(shopId, contactId) {
+  const contact = await prisma.contact.findFirst({
+    where: { id: contactId, shopId },
+    select: { id: true, phoneE164: true, smsConsent: true },
+  });
+  if (!contact) {
+    throw new NotFoundError('Contact');
+  }
+
+  const [events, confirmations] = await Promise.all([
+    prisma.consentEvent.findMany({
+      where: { shopId, contactId },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.consentConfirmation.findMany({
+      where: { shopId, contactId },
+      orderBy: { createdAt: 'asc' },
+    }),
+  ]);
+
+  const entries = [
+    ...events.map(event => ({
+      occurredAt: event.createdAt,
+      type: 'consent_change',
+      phoneE164: event.phoneE164,
+      previousState: event.previousState,
+      newState: event.newState,
+      source: event.source,
+      keyword: event.keyword,
+      ipAddress: event.ipAddress,
+      userAgent: event.userAgent,
+      details: event.meta,
+    })),
+    ...confirmations.map(confirmation => ({
+      occurredAt: confirmation.createdAt,
+      type: 'confirmation_requested',
+      phoneE164: confirmation.phoneE164,
+      previousState: null,
+      newState: null,
+      source: ConsentSource.double_opt_in,
+      keyword: null,
+      ipAddress: confirmation.ipAddress,
+      userAgent: confirmation.userAgent,
+      details: {
+        confirmationId: confirmation.id,
+        status: confirmation.status,
+        formSource: confirmation.source,
+        expiresAt: confirmation.expiresAt,
+        confirmedAt: confirmation.confirmedAt,
+        method: confirmation.method,
+      },
+    })),
+  ].sort((a, b) => a.occurredAt - b.occurredAt);
+
+  return { contact, entries };
+}
+
+export default {
+  ConsentSource,
+  ConfirmationStatus,
+  ConfirmationMethod,
+  CONSENT_AUDIT_COLUMNS,
+  recordConsentEvent,
+  setContactConsent,
+  isDoubleOptInEnabled,
+  requestOptInConfirmation,
+  confirmPendingOptIn,
+  getOptInConfirmation,
+  confirmOptInByToken,
+  getContactConsentAudit,
+};
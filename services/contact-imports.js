@@ -0,0 +1,883 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { StringDecoder } from 'string_decoder';
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { importQueue } from '../queue/index.js';
+import { getStorageAdapter } from './export-storage.js';
+import { ConsentSource } from './consent.js';
+import { logger } from '../utils/logger.js';
+import {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from '../utils/errors.js';
+import { CsvParser, readCsvRows } from '../utils/csv-parser.js';
+import {
+  CSV_BOM,
+  formatCsvHeader,
+  formatCsvRow,
+} from '../utils/export-format.js';
+import { isSupportedCountry } from '../utils/phone.js';
+import {
+  suggestMapping,
+  validateMapping,
+  mapContactRow,
+} from '../utils/contact-import.js';
+
+/**
+ * Contact Imports Service
+ * CSV imports in three steps:
+ * 1. Upload: the file is streamed to the file storage (never buffered),
+ *    its header and first rows are kept for the mapping UI
+ * 2. Run: with a column mapping, the contact-import queue validates the
+ *    file (dry run) or imports it in batches, tracking progress
+ * 3. Result: counters, a validation report and a CSV of rejected rows
+ *
+ * Imports never re-subscribe opted-out contacts: consent can only be
+ * withdrawn by a file, and every consent change is recorded in ConsentEvent.
+ */
+
+export const ContactImportStatus = {
+  uploaded: 'uploaded',
+  validating: 'validating',
+  validated: 'validated',
+  importing: 'importing',
+  completed: 'completed',
+  failed: 'failed',
+};
+
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+const DEFAULT_RETENTION_HOURS = 72;
+const SAMPLE_ROWS = 5;
+const BATCH_SIZE = 500;
+const REPORT_ERRORS = 20;
+
+export function getMaxImportBytes() {
+  const bytes = Number(process.env.CONTACT_IMPORT_MAX_BYTES);
+  return bytes > 0 ? bytes : DEFAULT_MAX_BYTES;
+}
+
+function getRetentionMs() {
+  const hours = Number(process.env.CONTACT_IMPORT_RETENTION_HOURS);
+  return (hours > 0 ? hours : DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000;
+}
+
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => stream.once('drain', resolve));
+}
+
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+}
+
+// Blank and repeated headers get unique names so they can be mapped
+function uniqueHeaders(row) {
+  const seen = new Map();
+  return row.map((header, index) => {
+    const base = header.trim() || `Column ${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base} (${count})` : base;
+  });
+}
+
+function formatContactImport(contactImport) {
+  return {
+    id: contactImport.id,
+    status: contactImport.status,
+    fileName: contactImport.fileName,
+    fileSize: contactImport.fileSize,
+    headers: contactImport.headers,
+    sampleRows: contactImport.sampleRows,
+    suggestedMapping: suggestMapping(contactImport.headers),
+    totalRows: contactImport.totalRows,
+    mapping: contactImport.mapping,
+    options: contactImport.options,
+    dryRun: contactImport.dryRun,
+    progress: contactImport.progress,
+    processedRows: contactImport.processedRows,
+    createdCount: contactImport.createdCount,
+    updatedCount: contactImport.updatedCount,
+    skippedCount: contactImport.skippedCount,
+    errorCount: contactImport.errorCount,
+    report: contactImport.report,
+    hasErrorFile: Boolean(contactImport.errorStorageKey),
+    error: contactImport.error,
+    createdAt: contactImport.createdAt,
+    startedAt: contactImport.startedAt,
+    completedAt: contactImport.completedAt,
+  };
+}
+
+async function findContactImport(shopId, importId) {
+  const contactImport = await prisma.contactImport.findFirst({
+    where: { id: importId, shopId },
+  });
+  if (!contactImport) {
+    throw new NotFoundError('Contact import');
+  }
+  return contactImport;
+}
+
+/**
+ * Upload a CSV file
+ * @param {string} shopId - Shop ID
+ * @param {Readable} stream - File contents (e.g. the request)
+ * @param {Object} [params] - { fileName }
+ * @returns {Promise<Object>} Import with headers, sample rows and suggested mapping
+ */
+export async function createContactImport(shopId, stream, { fileName } = {}) {
+  const maxBytes = getMaxImportBytes();
+  const tmpPath = path.join(
+    os.tmpdir(),
+    `contact-import-${crypto.randomUUID()}.csv`,
+  );
+  const file = fs.createWriteStream(tmpPath);
+  const parser = new CsvParser();
+  const decoder = new StringDecoder('utf8');
+  let headers = null;
+  const sampleRows = [];
+  let totalRows = 0;
+  let fileSize = 0;
+
+  const collect = rows => {
+    for (const row of rows) {
+      if (!headers) {
+        headers = uniqueHeaders(row);
+      } else {
+        totalRows++;
+        if (sampleRows.length < SAMPLE_ROWS) sampleRows.push(row);
+      }
+    }
+  };
+
+  try {
+    try {
+      for await (const chunk of stream) {
+        fileSize += chunk.length;
+        if (fileSize > maxBytes) {
+          throw new AppError(
+            `File exceeds the maximum import size of ${maxBytes} bytes`,
+            413,
+            'IMPORT_TOO_LARGE',
+          );
+        }
+        await writeChunk(file, chunk);
+        collect(parser.push(decoder.write(chunk)));
+      }
+      collect(parser.push(decoder.end()));
+      collect(parser.end());
+    } finally {
+      await closeStream(file);
+    }
+
+    if (!headers || totalRows === 0) {
+      throw new ValidationError('The file has no contact rows');
+    }
+
+    const storage = getStorageAdapter();
+    const storageKey = `contact-imports/${shopId}/${crypto.randomUUID()}.csv`;
+    await storage.save(storageKey, tmpPath, { contentType: 'text/csv' });
+
+    const contactImport = await prisma.contactImport.create({
+      data: {
+        shopId,
+        status: ContactImportStatus.uploaded,
+        fileName: fileName || null,
+        fileSize,
+        storage: storage.name,
+        storageKey,
+        headers,
+        sampleRows,
+        delimiter: parser.delimiter,
+        totalRows,
+      },
+    });
+
+    logger.info('Contact import uploaded', {
+      shopId,
+      importId: contactImport.id,
+      fileSize,
+      totalRows,
+    });
+
+    return formatContactImport(contactImport);
+  } finally {
+    await rm(tmpPath, { force: true });
+  }
+}
+
+/**
+ * Get an import with its progress and results
+ * @param {string} shopId - Shop ID
+ * @param {string} importId - Contact import ID
+ * @returns {Promise<Object>} Import
+ */
+export async function getContactImport(shopId, importId) {
+  return formatContactImport(await findContactImport(shopId, importId));
+}
+
+/**
+ * Validate (dry run) or run an import in the background
+ * @param {string} shopId - Shop ID
+ * @param {string} importId - Contact import ID
+ * @param {Object} params - { mapping, defaultCountry, tags, dateFormat, updateExisting, dryRun }
+ * @returns {Promise<Object>} Import (validating or importing)
+ */
+export async function startContactImport(
+  shopId,
+  importId,
+  {
+    mapping,
+    defaultCountry = null,
+    tags = [],
+    dateFormat = 'DMY',
+    updateExisting = true,
+    dryRun = false,
+  },
+) {
+  const contactImport = await findContactImport(shopId, importId);
+
+  if (
+    contactImport.status === ContactImportStatus.validating ||
+    contactImport.status === ContactImportStatus.importing
+  ) {
+    throw new ConflictError('Import is already running');
+  }
+  if (
+    contactImport.status === ContactImportStatus.completed ||
+    !contactImport.storageKey
+  ) {
+    throw new ConflictError('Import is already completed');
+  }
+
+  const mappingErrors = validateMapping(mapping, contactImport.headers);
+  if (mappingErrors.length > 0) {
+    throw new ValidationError('Invalid column mapping', mappingErrors);
+  }
+
+  // Fall back to the shop's country for national numbers
+  let country = defaultCountry;
+  if (!country) {
+    const shop = await prisma.shop.findUnique({
+      where: { id: shopId },
+      select: { country: true },
+    });
+    country = isSupportedCountry(shop?.country) ? shop.country : null;
+  }
+  if (country && !isSupportedCountry(country)) {
+    throw new ValidationError(`Unsupported default country: ${country}`);
+  }
+
+  // Only one run at a time: claim the import
+  const claimed = await prisma.contactImport.updateMany({
+    where: { id: importId, shopId, status: contactImport.status },
+    data: {
+      status: dryRun
+        ? ContactImportStatus.validating
+        : ContactImportStatus.importing,
+      dryRun,
+      mapping,
+      options: {
+        defaultCountry: country ? country.toUpperCase() : null,
+        tags,
+        dateFormat,
+        updateExisting,
+      },
+      progress: 0,
+      processedRows: 0,
+      createdCount: 0,
+      updatedCount: 0,
+      skippedCount: 0,
+      errorCount: 0,
+      report: null,
+      error: null,
+      startedAt: new Date(),
+      completedAt: null,
+    },
+  });
+  if (claimed.count === 0) {
+    throw new ConflictError('Import is already running');
+  }
+
+  let job;
+  try {
+    job = await importQueue.add(
+      'process-contact-import',
+      { importId, shopId },
+      { jobId: `contact-import-${importId}-${Date.now()}` },
+    );
+  } catch (error) {
+    await prisma.contactImport.update({
+      where: { id: importId },
+      data: {
+        status: ContactImportStatus.failed,
+        error: 'Failed to queue import',
+      },
+    });
+    throw error;
+  }
+
+  const started = await prisma.contactImport.update({
+    where: { id: importId },
+    data: { jobId: String(job.id) },
+  });
+
+  logger.info('Contact import started', { shopId, importId, dryRun });
+
+  return formatContactImport(started);
+}
+
+/**
+ * Open the CSV of rejected rows
+ * @param {string} shopId - Shop ID
+ * @param {string} importId - Contact import ID
+ * @returns {Promise<Object>} { stream, fileName }
+ */
+export async function openContactImportErrors(shopId, importId) {
+  const contactImport = await findContactImport(shopId, importId);
+  if (!contactImport.errorStorageKey) {
+    throw new NotFoundError('Error file');
+  }
+
+  const stream = await getStorageAdapter(contactImport.storage).createReadStream(
+    contactImport.errorStorageKey,
+  );
+  const baseName = (contactImport.fileName || 'contacts').replace(/\.csv$/i, '');
+
+  return { stream, fileName: `${baseName}-errors.csv` };
+}
+
+/**
+ * Create or update a batch of mapped contacts
+ * Existing contacts (same phone) are updated with the non-empty fields and
+ * their tags are merged; opted-out contacts are never re-subscribed. A phone
+ * repeated within the batch is only written once: later rows are skipped.
+ * @param {string} shopId - Shop ID
+ * @param {Array<Object>} rows - [{ key, contact }] (contact from mapContactRow)
+ * @param {Object} [options] - { updateExisting, dryRun, emailOwners }
+ *   emailOwners: Map of email → phone seen earlier in the same import
+ * @returns {Promise<Array<Object>>} [{ key, status, error }] with status
+ *   created | updated | skipped | error
+ */
+export async function importContactBatch(shopId, rows, options = {}) {
+  const { updateExisting = true, dryRun = false } = options;
+  const emailOwners = options.emailOwners || new Map();
+  const results = [];
+
+  const phones = rows.map(row => row.contact.phoneE164);
+  const emails = rows.map(row => row.contact.email).filter(Boolean);
+
+  const [existingContacts, emailContacts] = await Promise.all([
+    prisma.contact.findMany({
+      where: { shopId, phoneE164: { in: phones } },
+      select: { id: true, phoneE164: true, tags: true, smsConsent: true },
+    }),
+    emails.length > 0
+      ? prisma.contact.findMany({
+        where: { shopId, email: { in: emails } },
+        select: { phoneE164: true, email: true },
+      })
+      : [],
+  ]);
+  const existingByPhone = new Map(existingContacts.map(c => [c.phoneE164, c]));
+  for (const contact of emailContacts) {
+    if (!emailOwners.has(contact.email)) {
+      emailOwners.set(contact.email, contact.phoneE164);
+    }
+  }
+
+  const creates = [];
+  const updates = [];
+  const consentEvents = [];
+  const seenPhones = new Set();
+
+  for (const { key, contact } of rows) {
+    // createMany skips duplicates silently, so both rows would count as created
+    if (seenPhones.has(contact.phoneE164)) {
+      results.push({ key, status: 'skipped', error: 'Duplicate phone in import' });
+      continue;
+    }
+    seenPhones.add(contact.phoneE164);
+
+    const existing = existingByPhone.get(contact.phoneE164);
+    const emailOwner = contact.email && emailOwners.get(contact.email);
+
+    if (emailOwner && emailOwner !== contact.phoneE164) {
+      results.push({
+        key,
+        status: 'error',
+        error: `Email ${contact.email} is already used by another contact`,
+      });
+      continue;
+    }
+    if (contact.email) emailOwners.set(contact.email, contact.phoneE164);
+
+    if (!existing) {
+      creates.push({
+        shopId,
+        phoneE164: contact.phoneE164,
+        firstName: contact.firstName || null,
+        lastName: contact.lastName || null,
+        email: contact.email || null,
+        gender: contact.gender || null,
+        birthDate: contact.birthDate || null,
+        smsConsent: contact.smsConsent || 'unknown',
+        tags: contact.tags || [],
+      });
+      results.push({ key, status: 'created' });
+      continue;
+    }
+
+    if (!updateExisting) {
+      results.push({ key, status: 'skipped', error: 'Contact already exists' });
+      continue;
+    }
+
+    const data = {};
+    for (const field of ['firstName', 'lastName', 'email', 'gender', 'birthDate']) {
+      if (contact[field]) data[field] = contact[field];
+    }
+    if (contact.tags?.length > 0) {
+      data.tags = [...new Set([...existing.tags, ...contact.tags])];
+    }
+    if (
+      contact.smsConsent &&
+      contact.smsConsent !== existing.smsConsent &&
+      !(existing.smsConsent === 'opted_out' && contact.smsConsent === 'opted_in')
+    ) {
+      data.smsConsent = contact.smsConsent;
+      consentEvents.push({
+        shopId,
+        contactId: existing.id,
+        phoneE164: existing.phoneE164,
+        previousState: existing.smsConsent,
+        newState: contact.smsConsent,
+        source: ConsentSource.import,
+      });
+    }
+
+    updates.push({ id: existing.id, data });
+    results.push({ key, status: 'updated' });
+  }
+
+  if (dryRun) {
+    return results;
+  }
+
+  if (creates.length > 0) {
+    await prisma.contact.createMany({ data: creates, skipDuplicates: true });
+
+    // Audit the consent of imported contacts
+    const withConsent = creates.filter(c => c.smsConsent !== 'unknown');
+    if (withConsent.length > 0) {
+      const created = await prisma.contact.findMany({
+        where: {
+          shopId,
+          phoneE164: { in: withConsent.map(c => c.phoneE164) },
+        },
+        select: { id: true, phoneE164: true, smsConsent: true },
+      });
+      for (const contact of created) {
+        consentEvents.push({
+          shopId,
+          contactId: contact.id,
+          phoneE164: contact.phoneE164,
+          previousState: null,
+          newState: contact.smsConsent,
+          source: ConsentSource.import,
+        });
+      }
+    }
+  }
+
+  if (updates.length > 0) {
+    await prisma.$transaction(
+      updates.map(({ id, data }) => prisma.contact.update({ where: { id }, data })),
+    );
+  }
+
+  if (consentEvents.length > 0) {
+    await prisma.consentEvent.createMany({ data: consentEvents });
+  }
+
+  return results;
+}
+
+/**
+ * Validate or import an uploaded file (worker side)
+ * @param {string} importId - Contact import ID
+ * @returns {Promise<Object>} Report
+ */
+export async function processContactImport(importId) {
+  const contactImport = await prisma.contactImport.findUnique({
+    where: { id: importId },
+  });
+
+  if (!contactImport) {
+    throw new Error(`Contact import ${importId} not found`);
+  }
+
+  if (
+    contactImport.status !== ContactImportStatus.validating &&
+    contactImport.status !== ContactImportStatus.importing
+  ) {
+    return { importId, status: contactImport.status, skipped: true };
+  }
+
+  const { shopId, headers, mapping, dryRun } = contactImport;
+  const options = contactImport.options || {};
+  const storage = getStorageAdapter(contactImport.storage);
+  const errorPath = path.join(os.tmpdir(), `contact-import-errors-${importId}.csv`);
+  const errorColumns = [
+    { key: 'row', header: 'Row' },
+    ...headers.map((header, index) => ({ key: index, header })),
+    { key: 'error', header: 'Error' },
+  ];
+
+  const counters = { created: 0, updated: 0, skipped: 0, errors: 0 };
+  const sampleErrors = [];
+  const phoneRows = new Map();
+  const emailOwners = new Map();
+  let processedRows = 0;
+  let rowNumber = 0;
+  let isHeader = true;
+
+  const errorFile = fs.createWriteStream(errorPath);
+
+  const reject = async (number, values, message) => {
+    counters.errors++;
+    counters.skipped++;
+    if (sampleErrors.length < REPORT_ERRORS) {
+      sampleErrors.push({ row: number, error: message });
+    }
+    const row = { row: number, error: message };
+    values.forEach((value, index) => {
+      row[index] = value;
+    });
+    await writeChunk(errorFile, formatCsvRow(errorColumns, row));
+  };
+
+  const processBatch = async batch => {
+    const valid = [];
+    const valuesByRow = new Map();
+
+    for (const { number, values } of batch) {
+      const { contact, errors } = mapContactRow(headers, values, mapping, options);
+      if (errors.length > 0) {
+        await reject(number, values, errors.map(e => e.message).join('; '));
+        continue;
+      }
+
+      const firstRow = phoneRows.get(contact.phoneE164);
+      if (firstRow) {
+        await reject(
+          number,
+          values,
+          `Duplicate phone ${contact.phoneE164} (first seen on row ${firstRow})`,
+        );
+        continue;
+      }
+      phoneRows.set(contact.phoneE164, number);
+
+      valid.push({ key: number, contact });
+      valuesByRow.set(number, values);
+    }
+
+    if (valid.length > 0) {
+      const results = await importContactBatch(shopId, valid, {
+        updateExisting: options.updateExisting !== false,
+        dryRun,
+        emailOwners,
+      });
+      for (const result of results) {
+        if (result.status === 'created') counters.created++;
+        else if (result.status === 'updated') counters.updated++;
+        else if (result.status === 'skipped') counters.skipped++;
+        else await reject(result.key, valuesByRow.get(result.key), result.error);
+      }
+    }
+
+    processedRows += batch.length;
+    await prisma.contactImport.update({
+      where: { id: importId },
+      data: {
+        processedRows,
+        progress: Math.min(
+          99,
+          Math.floor((processedRows / Math.max(contactImport.totalRows, 1)) * 100),
+        ),
+        createdCount: counters.created,
+        updatedCount: counters.updated,
+        skippedCount: counters.skipped,
+        errorCount: counters.errors,
+      },
+    });
+  };
+
+  try {
+    await writeChunk(errorFile, CSV_BOM + formatCsvHeader(errorColumns));
+
+    const source = await storage.createReadStream(contactImport.storageKey);
+    let batch = [];
+    for await (const rows of readCsvRows(source, {
+      delimiter: contactImport.delimiter,
+    })) {
+      for (const values of rows) {
+        if (isHeader) {
+          isHeader = false;
+          continue;
+        }
+        rowNumber++;
+        batch.push({ number: rowNumber, values });
+        if (batch.length >= BATCH_SIZE) {
+          await processBatch(batch);
+          batch = [];
+        }
+      }
+    }
+    if (batch.length > 0) {
+      await processBatch(batch);
+    }
+    await closeStream(errorFile);
+
+    // Replace the error file of a previous run
+    if (contactImport.errorStorageKey) {
+      await storage.remove(contactImport.errorStorageKey);
+    }
+    let errorStorageKey = null;
+    if (counters.errors > 0) {
+      errorStorageKey = `contact-imports/${shopId}/${importId}-errors-${Date.now()}.csv`;
+      await storage.save(errorStorageKey, errorPath, { contentType: 'text/csv' });
+    }
+
+    // The uploaded file is no longer needed once imported
+    if (!dryRun) {
+      await storage.remove(contactImport.storageKey);
+    }
+
+    const report = {
+      dryRun,
+      totalRows: rowNumber,
+      validRows: rowNumber - counters.errors,
+      invalidRows: counters.errors,
+      [dryRun ? 'wouldCreate' : 'created']: counters.created,
+      [dryRun ? 'wouldUpdate' : 'updated']: counters.updated,
+      skipped: counters.skipped,
+      errors: sampleErrors,
+    };
+
+    await prisma.contactImport.update({
+      where: { id: importId },
+      data: {
+        status: dryRun
+          ? ContactImportStatus.validated
+          : ContactImportStatus.completed,
+        progress: 100,
+        processedRows,
+        totalRows: rowNumber,
+        createdCount: counters.created,
+        updatedCount: counters.updated,
+        skippedCount: counters.skipped,
+        errorCount: counters.errors,
+        report,
+        errorStorageKey,
+        ...(!dryRun && { storageKey: null }),
+        completedAt: new Date(),
+      },
+    });
+
+    if (!dryRun) {
+      // Delete the error file after the retention period
+      await importQueue.add(
+        'delete-contact-import-files',
+        { importId, shopId },
+        { jobId: `contact-import-cleanup-${importId}`, delay: getRetentionMs() },
+      );
+    }
+
+    logger.info('Contact import processed', {
+      shopId,
+      importId,
+      dryRun,
+      totalRows: rowNumber,
+      created: counters.created,
+      updated: counters.updated,
+      skipped: counters.skipped,
+      errors: counters.errors,
+    });
+
+    return report;
+  } catch (error) {
+    errorFile.destroy();
+    await prisma.contactImport.update({
+      where: { id: importId },
+      data: { status: ContactImportStatus.failed, error: error.message },
+    });
+    throw error;
+  } finally {
+    await rm(errorPath, { force: true });
+  }
+}
+
+/**
+ * Delete the files of an import (worker side)
+ * @param {string} importId - Contact import ID
+ * @returns {Promise<Object>} { importId, deleted }
+ */
+export async function deleteContactImportFiles(importId) {
+  const contactImport = await prisma.contactImport.findUnique({
+    where: { id: importId },
+  });
+  if (!contactImport) {
+    return { importId, deleted: false };
+  }
+
+  const storage = getStorageAdapter(contactImport.storage);
+  for (const key of [contactImport.storageKey, contactImport.errorStorageKey]) {
+    if (key) await storage.remove(key);
+  }
+
+  await prisma.contactImport.update({
+    where: { id: importId },
+    data: { storageKey: null, errorStorageKey: null },
+  });
+
+  return { importId, deleted: true };
+}
+
+async function findStoredFileRows(storage, key, delimiter, matches) {
+  const found = [];
+  let isHeader = true;
+  const source = await storage.createReadStream(key);
+  for await (const rows of readCsvRows(source, { delimiter })) {
+    for (const values of rows) {
+      if (isHeader) {
+        isHeader = false;
+        continue;
+      }
+      if (matches(values)) found.push(values);
+    }
+  }
+  return found;
+}
+
+/**
+ * Stored rows of a shop's imports that match a predicate (privacy requests)
+ * Searches the uploaded CSV, the CSV of rejected rows, the mapping sample
+ * and the errors of the validation report.
+ * @param {string} shopId - Shop ID
+ * @param {Function} matches - (values, defaultCountry) => boolean
+ * @returns {Promise<Array<Object>>} [{ importId, source, values }] with
+ *   source upload | errors | sample | report
+ */
+export async function findContactImportRows(shopId, matches) {
+  const imports = await prisma.contactImport.findMany({
+    where: { shopId },
+    select: {
+      id: true,
+      storage: true,
+      storageKey: true,
+      errorStorageKey: true,
+      delimiter: true,
+      sampleRows: true,
+      report: true,
+      options: true,
+    },
+  });
+
+  const found = [];
+  for (const contactImport of imports) {
+    const defaultCountry = contactImport.options?.defaultCountry || null;
+    const test = values => matches(values, defaultCountry);
+    const add = (source, rows) =>
+      rows.forEach(values =>
+        found.push({ importId: contactImport.id, source, values }),
+      );
+    const storage = getStorageAdapter(contactImport.storage);
+
+    if (contactImport.storageKey) {
+      add(
+        'upload',
+        await findStoredFileRows(
+          storage,
+          contactImport.storageKey,
+          contactImport.delimiter,
+          test,
+        ),
+      );
+    }
+    if (contactImport.errorStorageKey) {
+      // Rejected rows are always written comma separated
+      add(
+        'errors',
+        await findStoredFileRows(storage, contactImport.errorStorageKey, ',', test),
+      );
+    }
+    add('sample', (contactImport.sampleRows || []).filter(test));
+    add(
+      'report',
+      (contactImport.report?.errors || [])
+        .map(error => [String(error.row), error.error])
+        .filter(test),
+    );
+  }
+
+  return found;
+}
+
+/**
+ * Erase the stored rows of imports (privacy requests)
+ * Deletes the uploaded and rejected-rows files and clears the mapping
+ * sample and the validation report; the counters are kept.
+ * @param {string} shopId - Shop ID
+ * @param {Array<string>} importIds - Contact import IDs
+ * @returns {Promise<number>} Imports erased
+ */
+export async function redactContactImports(shopId, importIds) {
+  const imports = await prisma.contactImport.findMany({
+    where: { shopId, id: { in: importIds } },
+    select: { id: true, storage: true, storageKey: true, errorStorageKey: true },
+  });
+
+  for (const contactImport of imports) {
+    const storage = getStorageAdapter(contactImport.storage);
+    for (const key of [contactImport.storageKey, contactImport.errorStorageKey]) {
+      if (key) await storage.remove(key);
+    }
+  }
+
+  const { count } = await prisma.contactImport.updateMany({
+    where: { shopId, id: { in: imports.map(contactImport => contactImport.id) } },
+    data: {
+      storageKey: null,
+      errorStorageKey: null,
+      sampleRows: Prisma.DbNull,
+      report: Prisma.DbNull,
+    },
+  });
+  return count;
+}
+
+export default {
+  ContactImportStatus,
+  getMaxImportBytes,
+  createContactImport,
+  getContactImport,
+  startContactImport,
+  openContactImportErrors,
+  importContactBatch,
+  processContactImport,
+  deleteContactImportFiles,
+  findContactImportRows,
+  redactContactImports,
+};
@@ -7,6 +7,8 @@ import {
 } from '../utils/errors.js';
 import { automationQueue } from '../queue/index.js';
 import { hasActiveAutomation } from './automations.js';
+import { importContactBatch } from './contact-imports.js';
+import { recordConsentEvent, ConsentSource } from './consent.js';
 
 /**
  * Contacts Service
@@ -14,6 +16,8 @@ import { hasActiveAutomation } from './automations.js';
  * validation, duplicate detection, and import/export functionality
  */
 
+const IMPORT_BATCH_SIZE = 500;
+
 /**
  * Validate phone number format (E.164)
  * @param {string} phone - Phone number to validate
@@ -250,9 +254,15 @@ export async function getContactById(storeId, contactId) {
  * Create new contact
  * @param {string} storeId - Store ID
  * @param {Object} contactData - Contact data
+ * @param {Object} [consentContext] - Consent audit context
+ *   ({ source, ipAddress, userAgent, meta }, source defaults to manual)
  * @returns {Promise<Object>} Created contact
  */
-export async function createContact(storeId, contactData) {
+export async function createContact(
+  storeId,
+  contactData,
+  consentContext = { source: ConsentSource.manual },
+) {
   logger.info('Creating contact', { storeId, phone: contactData.phoneE164 });
 
   // Validate required fields
@@ -368,9 +378,26 @@ export async function createContact(storeId, contactData) {
     smsConsent: prismaData.smsConsent,
   });
 
-  // Create contact
-  const contact = await prisma.contact.create({
-    data: prismaData,
+  // Create contact (with the audit of its initial consent)
+  const contact = await prisma.$transaction(async tx => {
+    const created = await tx.contact.create({
+      data: prismaData,
+    });
+
+    if (created.smsConsent !== 'unknown') {
+      await recordConsentEvent(
+        {
+          shopId: storeId,
+          contactId: created.id,
+          phoneE164: created.phoneE164,
+          newState: created.smsConsent,
+          ...consentContext,
+        },
+        tx,
+      );
+    }
+
+    return created;
   });
 
   logger.info('Contact created successfully', {
@@ -454,9 +481,16 @@ export async function createContact(storeId, contactData) {
  * @param {string} storeId - Store ID
  * @param {string} contactId - Contact ID
  * @param {Object} contactData - Updated contact data
+ * @param {Object} [consentContext] - Consent audit context
+ *   ({ source, ipAddress, userAgent, meta }, source defaults to manual)
  * @returns {Promise<Object>} Updated contact
  */
-export async function updateContact(storeId, contactId, contactData) {
+export async function updateContact(
+  storeId,
+  contactId,
+  contactData,
+  consentContext = { source: ConsentSource.manual },
+) {
   logger.info('Updating contact', { storeId, contactId });
 
   // Check if contact exists
@@ -603,24 +637,42 @@ export async function updateContact(storeId, contactId, contactData) {
     return existing;
   }
 
-  // Update contact
+  // Update contact (with the audit of a consent change)
   try {
-    const contact = await prisma.contact.update({
-      where: { id: contactId },
-      data: updateData,
-      select: {
-        id: true,
-        firstName: true,
-        lastName: true,
-        phoneE164: true,
-        email: true,
-        gender: true,
-        birthDate: true,
-        smsConsent: true,
-        tags: true,
-        createdAt: true,
-        updatedAt: true,
-      },
+    const contact = await prisma.$transaction(async tx => {
+      const updated = await tx.contact.update({
+        where: { id: contactId },
+        data: updateData,
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          phoneE164: true,
+          email: true,
+          gender: true,
+          birthDate: true,
+          smsConsent: true,
+          tags: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      });
+
+      if (updated.smsConsent !== existing.smsConsent) {
+        await recordConsentEvent(
+          {
+            shopId: storeId,
+            contactId,
+            phoneE164: updated.phoneE164,
+            previousState: existing.smsConsent,
+            newState: updated.smsConsent,
+            ...consentContext,
+          },
+          tx,
+        );
+      }
+
+      return updated;
     });
 
     logger.info('Contact updated successfully', { storeId, contactId });
@@ -798,6 +850,8 @@ export async function getBirthdayContacts(storeId, daysAhead = 7) {
 
 /**
  * Import contacts in bulk
+ * Contacts are written in batches (see importContactBatch); large files
+ * should go through the CSV import (services/contact-imports.js) instead.
  * @param {string} storeId - Store ID
  * @param {Array} contactsData - Array of contact data
  * @returns {Promise<Object>} Import results
@@ -813,67 +867,75 @@ export async function importContacts(storeId, contactsData) {
     errors: [],
   };
 
-  for (const contactData of contactsData) {
-    try {
-      // Normalize phone
-      const phoneE164 = normalizePhone(contactData.phoneE164);
-
-      if (!isValidPhoneE164(phoneE164)) {
-        results.skipped++;
-        results.errors.push({
-          phone: contactData.phoneE164,
-          error: 'Invalid phone format',
-        });
-        continue;
-      }
+  const rows = [];
+  const seenPhones = new Set();
+  contactsData.forEach((contactData, index) => {
+    // Normalize phone
+    const phoneE164 = normalizePhone(contactData.phoneE164);
 
-      // Check if contact exists
-      const existing = await prisma.contact.findFirst({
-        where: { shopId: storeId, phoneE164 },
+    if (!isValidPhoneE164(phoneE164)) {
+      results.skipped++;
+      results.errors.push({
+        phone: contactData.phoneE164,
+        error: 'Invalid phone format',
       });
-
-      if (existing) {
-        // Update existing contact
-        await prisma.contact.update({
-          where: { id: existing.id },
-          data: {
-            firstName: contactData.firstName || existing.firstName,
-            lastName: contactData.lastName || existing.lastName,
-            email: contactData.email || existing.email,
-            gender: contactData.gender || existing.gender,
-            birthDate: contactData.birthDate
-              ? new Date(contactData.birthDate)
-              : existing.birthDate,
-            smsConsent: contactData.smsConsent || existing.smsConsent,
-            tags: contactData.tags || existing.tags,
-          },
-        });
-        results.updated++;
-      } else {
-        // Create new contact
-        await prisma.contact.create({
-          data: {
-            shopId: storeId,
-            phoneE164,
-            firstName: contactData.firstName || null,
-            lastName: contactData.lastName || null,
-            email: contactData.email || null,
-            gender: contactData.gender || null,
-            birthDate: contactData.birthDate
-              ? new Date(contactData.birthDate)
-              : null,
-            smsConsent: contactData.smsConsent || 'unknown',
-            tags: contactData.tags || [],
-          },
-        });
-        results.created++;
-      }
-    } catch (error) {
+      return;
+    }
+    if (seenPhones.has(phoneE164)) {
       results.skipped++;
       results.errors.push({
         phone: contactData.phoneE164,
-        error: error.message,
+        error: 'Duplicate phone in import',
       });
+      return;
+    }
+    seenPhones.add(phoneE164);
+
+    rows.push({
+      key: index,
+      contact: {
+        phoneE164,
+        firstName: contactData.firstName,
+        lastName: contactData.lastName,
+        email: contactData.email,
+        gender: contactData.gender,
+        birthDate: contactData.birthDate
+          ? new Date(contactData.birthDate)
+          : null,
+        smsConsent: contactData.smsConsent,
+        tags: contactData.tags || [],
+      },
+    });
+  });
+
+  const emailOwners = new Map();
+  for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + IMPORT_BATCH_SIZE);
+    try {
+      const batchResults = await importContactBatch(storeId, batch, {
+        emailOwners,
+      });
+      for (const result of batchResults) {
+        if (result.status === 'created') {
+          results.created++;
+        } else if (result.status === 'updated') {
+          results.updated++;
+        } else {
+          results.skipped++;
+          results.errors.push({
+            phone: contactsData[result.key].phoneE164,
+            error: result.error,
+          });
+        }
+      }
+    } catch (error) {
+      results.skipped += batch.length;
+      for (const { key } of batch) {
+        results.errors.push({
+          phone: contactsData[key].phoneE164,
+          error: error.message,
+        });
+      }
     }
   }
 
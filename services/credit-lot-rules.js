@@ -0,0 +1,143 @@
+/**
+ * Credit Lot Rules
+ * Every credit added to a wallet is a lot with a source and an optional
+ * expiry date. Debits consume the earliest-expiring lots first (lots that
+ * never expire last, oldest first on ties), so plan credits are used before
+ * purchased ones and nothing is left to expire that could have been spent.
+ */
+
+export const CreditLotSource = {
+  subscription: 'subscription',
+  purchase: 'purchase',
+  refund: 'refund',
+  adjustment: 'adjustment',
+};
+
+export const CREDIT_LOT_SOURCES = Object.values(CreditLotSource);
+
+// Lots expiring within this many days are reported as "expiring soon"
+export const EXPIRING_SOON_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compare two lots in consumption order
+ * @param {Object} a - Lot { expiresAt, createdAt }
+ * @param {Object} b - Lot { expiresAt, createdAt }
+ * @returns {number}
+ */
+export function compareLots(a, b) {
+  const aExpires = a.expiresAt ? new Date(a.expiresAt).getTime() : Infinity;
+  const bExpires = b.expiresAt ? new Date(b.expiresAt).getTime() : Infinity;
+  if (aExpires !== bExpires) {
+    return aExpires < bExpires ? -1 : 1;
+  }
+  return new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+}
+
+/**
+ * Check whether a lot can still be consumed
+ * @param {Object} lot - Lot { remaining, expiresAt }
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+export function isLotLive(lot, now = new Date()) {
+  return lot.remaining > 0 && (!lot.expiresAt || new Date(lot.expiresAt) > now);
+}
+
+/**
+ * Split a debit across lots, earliest-expiring first
+ * @param {Array} lots - Lots { id, remaining, expiresAt, createdAt }
+ * @param {number} amount - Credits to consume
+ * @param {Date} [now] - Current time, expired lots are skipped
+ * @returns {Object} { allocations: [{ lotId, amount }], shortfall }
+ */
+export function planLotConsumption(lots, amount, now = new Date()) {
+  const allocations = [];
+  let left = amount;
+
+  for (const lot of lots.filter(l => isLotLive(l, now)).sort(compareLots)) {
+    if (left === 0) break;
+    const take = Math.min(lot.remaining, left);
+    allocations.push({ lotId: lot.id, amount: take });
+    left -= take;
+  }
+
+  return { allocations, shortfall: left };
+}
+
+/**
+ * Default expiry date of a new lot
+ * Subscription credits last until the end of the billing period they were
+ * granted for, purchases for a configurable number of days. Refunds and
+ * adjustments never expire.
+ * @param {string} source - CreditLotSource
+ * @param {Object} [options] - { now, periodEnd, purchaseExpiryDays }
+ *   purchaseExpiryDays of 0 or less means purchases never expire
+ * @returns {Date|null}
+ */
+export function getLotExpiry(source, options = {}) {
+  const { now = new Date(), periodEnd = null, purchaseExpiryDays = 0 } = options;
+
+  if (source === CreditLotSource.subscription) {
+    if (periodEnd) {
+      return new Date(periodEnd);
+    }
+    const end = new Date(now);
+    end.setUTCMonth(end.getUTCMonth() + 1);
+    return end;
+  }
+  if (source === CreditLotSource.purchase && purchaseExpiryDays > 0) {
+    return new Date(now.getTime() + purchaseExpiryDays * DAY_MS);
+  }
+  return null;
+}
+
+/**
+ * Break live lots down for display
+ * @param {Array} lots - Lots { id, source, amount, remaining, expiresAt, createdAt }
+ * @param {Date} [now] - Current time
+ * @returns {Object} { total, bySource, expiringSoon, nextExpiry, lots }
+ */
+export function summarizeLots(lots, now = new Date()) {
+  const live = lots.filter(lot => isLotLive(lot, now)).sort(compareLots);
+  const soon = new Date(now.getTime() + EXPIRING_SOON_DAYS * DAY_MS);
+
+  const bySource = Object.fromEntries(CREDIT_LOT_SOURCES.map(source => [source, 0]));
+  let total = 0;
+  let expiringSoon = 0;
+  for (const lot of live) {
+    bySource[lot.source] = (bySource[lot.source] || 0) + lot.remaining;
+    total += lot.remaining;
+    if (lot.expiresAt && new Date(lot.expiresAt) <= soon) {
+      expiringSoon += lot.remaining;
+    }
+  }
+
+  const next = live.find(lot => lot.expiresAt);
+  return {
+    total,
+    bySource,
+    expiringSoon,
+    nextExpiry: next ? { credits: next.remaining, expiresAt: next.expiresAt } : null,
+    lots: live.map(lot => ({
+      id: lot.id,
+      source: lot.source,
+      amount: lot.amount,
+      remaining: lot.remaining,
+      expiresAt: lot.expiresAt,
+      createdAt: lot.createdAt,
+    })),
+  };
+}
+
+export default {
+  CreditLotSource,
+  CREDIT_LOT_SOURCES,
+  EXPIRING_SOON_DAYS,
+  compareLots,
+  isLotLive,
+  planLotConsumption,
+  getLotExpiry,
+  summarizeLots,
+};
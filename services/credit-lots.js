@@ -0,0 +1,271 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { handleBalanceChange } from './low-balance.js';
+import {
+  CreditLotSource,
+  getLotExpiry,
+  planLotConsumption,
+  summarizeLots,
+} from './credit-lot-rules.js';
+
+/**
+ * Credit Lots Service
+ * Keeps the lots of a wallet in step with Wallet.balance (see
+ * services/credit-lot-rules.js). Lot writes take the Prisma client of the
+ * wallet transaction they belong to.
+ */
+
+// Days purchased credits stay valid, 0 = never expire
+export const PURCHASED_CREDITS_EXPIRY_DAYS =
+  Number(process.env.PURCHASED_CREDITS_EXPIRY_DAYS) || 0;
+
+const EXPIRY_REASON = 'credits:expired';
+// Balance that predates lot tracking (or was written outside the wallet)
+const UNTRACKED_REASON = 'legacy:untracked_balance';
+const MAX_CONSUME_ATTEMPTS = 3;
+
+/**
+ * Create a lot for credits added to a wallet
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} params - { shopId, walletId, source, amount, expiresAt?,
+ *   periodEnd?, reason?, creditTransactionId? } expiresAt defaults to the
+ *   source's expiry (see getLotExpiry), null never expires
+ * @returns {Promise<Object>} Lot
+ */
+export async function createLot(client, params) {
+  const {
+    shopId,
+    walletId,
+    source = CreditLotSource.adjustment,
+    amount,
+    periodEnd,
+    reason,
+    creditTransactionId,
+  } = params;
+  const expiresAt =
+    params.expiresAt !== undefined
+      ? params.expiresAt
+      : getLotExpiry(source, {
+        periodEnd,
+        purchaseExpiryDays: PURCHASED_CREDITS_EXPIRY_DAYS,
+      });
+
+  return client.creditLot.create({
+    data: {
+      shopId,
+      walletId: walletId || null,
+      source,
+      amount,
+      remaining: amount,
+      expiresAt,
+      reason: reason || null,
+      creditTransactionId: creditTransactionId || null,
+    },
+  });
+}
+
+/**
+ * Consume lots for a debit, earliest-expiring first
+ * Balance not covered by lots (older than lot tracking) is first turned
+ * into a non-expiring adjustment lot.
+ * @param {Object} client - Prisma client or transaction
+ * @param {Object} params - { shopId, walletId, walletBalance, amount, now? }
+ *   walletBalance is the balance before the debit
+ * @returns {Promise<Array>} Consumed [{ lotId, source, amount }]
+ */
+export async function consumeLots(client, params) {
+  const { shopId, walletId, walletBalance, amount, now = new Date() } = params;
+
+  let lots = await client.creditLot.findMany({
+    where: { shopId, remaining: { gt: 0 } },
+  });
+  const tracked = lots.reduce((sum, lot) => sum + lot.remaining, 0);
+  if (tracked < walletBalance) {
+    const lot = await createLot(client, {
+      shopId,
+      walletId,
+      source: CreditLotSource.adjustment,
+      amount: walletBalance - tracked,
+      expiresAt: null,
+      reason: UNTRACKED_REASON,
+    });
+    lots = [...lots, lot];
+  }
+
+  const consumed = [];
+  let left = amount;
+  for (let attempt = 0; attempt < MAX_CONSUME_ATTEMPTS && left > 0; attempt++) {
+    if (attempt > 0) {
+      lots = await client.creditLot.findMany({
+        where: { shopId, remaining: { gt: 0 } },
+      });
+    }
+    const { allocations } = planLotConsumption(lots, left, now);
+    if (allocations.length === 0) break;
+
+    for (const allocation of allocations) {
+      // Concurrent debits may have consumed the lot since it was read
+      const claimed = await client.creditLot.updateMany({
+        where: { id: allocation.lotId, remaining: { gte: allocation.amount } },
+        data: { remaining: { decrement: allocation.amount } },
+      });
+      if (claimed.count === 0) continue;
+
+      const lot = lots.find(l => l.id === allocation.lotId);
+      consumed.push({ lotId: lot.id, source: lot.source, amount: allocation.amount });
+      left -= allocation.amount;
+    }
+  }
+
+  if (left > 0) {
+    // The wallet allowed the debit, so the lots are out of step with it;
+    // the reconciliation job reports it
+    logger.warn('Credit lots do not cover debit', {
+      shopId,
+      amount,
+      uncovered: left,
+      walletBalance,
+    });
+  }
+
+  return consumed;
+}
+
+/**
+ * Expire the due lots of a shop
+ * Each lot gets an expiry CreditTransaction and its remaining credits are
+ * removed from the wallet.
+ * @param {Object} client - Prisma client or transaction
+ * @param {string} shopId - Shop ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { expired, credits, balanceBefore, balanceAfter }
+ */
+export async function expireLotsForShop(client, shopId, now = new Date()) {
+  const due = await client.creditLot.findMany({
+    where: { shopId, remaining: { gt: 0 }, expiresAt: { lte: now } },
+    orderBy: { expiresAt: 'asc' },
+  });
+  const wallet = due.length
+    ? await client.wallet.findUnique({
+      where: { shopId },
+      select: { id: true, balance: true },
+    })
+    : null;
+  if (!wallet) {
+    return { expired: 0, credits: 0, balanceBefore: null, balanceAfter: null };
+  }
+
+  let balance = wallet.balance;
+  let credits = 0;
+  let expired = 0;
+  for (const lot of due) {
+    const claimed = await client.creditLot.updateMany({
+      where: { id: lot.id, remaining: lot.remaining },
+      data: { remaining: 0, expiredAt: now },
+    });
+    if (claimed.count === 0) continue;
+
+    const amount = Math.min(lot.remaining, balance);
+    balance -= amount;
+    credits += amount;
+    expired++;
+
+    await client.creditTransaction.create({
+      data: {
+        shopId,
+        type: 'expiry',
+        amount,
+        balanceAfter: balance,
+        reason: EXPIRY_REASON,
+        meta: {
+          lotId: lot.id,
+          source: lot.source,
+          expiresAt: lot.expiresAt.toISOString(),
+          lotRemaining: lot.remaining,
+        },
+        walletId: wallet.id,
+      },
+    });
+  }
+
+  if (credits > 0) {
+    await client.wallet.update({
+      where: { shopId },
+      data: { balance },
+    });
+  }
+
+  return { expired, credits, balanceBefore: wallet.balance, balanceAfter: balance };
+}
+
+/**
+ * Expire all due lots
+ * @param {Object} [options] - { now, batchSize }
+ * @returns {Promise<Object>} { shops, lots, credits, failed }
+ */
+export async function expireDueCreditLots(options = {}) {
+  const { now = new Date(), batchSize = 100 } = options;
+  const totals = { shops: 0, lots: 0, credits: 0, failed: 0 };
+  // Each shop is visited once per run, even if some of its lots remain
+  const visitedShopIds = [];
+
+  for (;;) {
+    const due = await prisma.creditLot.findMany({
+      where: {
+        remaining: { gt: 0 },
+        expiresAt: { lte: now },
+        ...(visitedShopIds.length && { shopId: { notIn: visitedShopIds } }),
+      },
+      distinct: ['shopId'],
+      select: { shopId: true },
+      take: batchSize,
+    });
+    if (due.length === 0) break;
+
+    for (const { shopId } of due) {
+      visitedShopIds.push(shopId);
+      try {
+        const result = await prisma.$transaction(tx =>
+          expireLotsForShop(tx, shopId, now),
+        );
+        totals.shops++;
+        totals.lots += result.expired;
+        totals.credits += result.credits;
+
+        if (result.credits > 0) {
+          logger.info('Credit lots expired', { shopId, ...result });
+          await handleBalanceChange(shopId, result.balanceBefore, result.balanceAfter);
+        }
+      } catch (error) {
+        totals.failed++;
+        logger.error('Failed to expire credit lots', {
+          shopId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Live lots of a shop, grouped for display
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} See summarizeLots
+ */
+export async function getLotBreakdown(shopId) {
+  const lots = await prisma.creditLot.findMany({
+    where: { shopId, remaining: { gt: 0 } },
+  });
+  return summarizeLots(lots);
+}
+
+export default {
+  PURCHASED_CREDITS_EXPIRY_DAYS,
+  createLot,
+  consumeLots,
+  expireLotsForShop,
+  expireDueCreditLots,
+  getLotBreakdown,
+};
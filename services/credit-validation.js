@@ -1,5 +1,6 @@
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
+import { handleBalanceChange, notifyCreditsExhausted } from './low-balance.js';
 
 /**
  * Credit Validation Service
@@ -78,6 +79,12 @@ export async function validateAndConsumeCredits(storeId, messageCount) {
       };
     });
 
+    await handleBalanceChange(
+      storeId,
+      result.creditsRemaining + messageCount,
+      result.creditsRemaining,
+    );
+
     return result;
   } catch (error) {
     if (error instanceof InsufficientCreditsError) {
@@ -204,6 +211,8 @@ export async function logAutomationSkip(
       shopId,
       reason,
     });
+
+    await notifyCreditsExhausted(shopId, { automationId });
   } catch (error) {
     logger.error('Failed to log automation skip', {
       automationId,
@@ -0,0 +1,286 @@
+import { ValidationError } from '../utils/errors.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+/**
+ * Customer Sync Rules
+ * Maps Shopify customers (webhook payloads and bulk export rows) onto
+ * contacts. Shopify's SMS marketing consent is applied according to the
+ * shop's consent mode, but a local opt-out always wins: Shopify can never
+ * re-subscribe a contact who unsubscribed here. Tags coming from Shopify are
+ * tracked apart from local tags so they can be replaced on every sync.
+ */
+
+export const CustomerConsentMode = {
+  // Apply Shopify opt-ins and opt-outs
+  mirror: 'mirror',
+  // Only set the consent of contacts whose consent is unknown
+  fillUnknown: 'fill_unknown',
+  // Never change consent from Shopify
+  ignore: 'ignore',
+};
+
+export const CUSTOMER_CONSENT_MODES = Object.values(CustomerConsentMode);
+
+export const ShopifyConsentState = {
+  subscribed: 'SUBSCRIBED',
+  notSubscribed: 'NOT_SUBSCRIBED',
+  pending: 'PENDING',
+  unsubscribed: 'UNSUBSCRIBED',
+  redacted: 'REDACTED',
+  invalid: 'INVALID',
+};
+
+export const ShopifyOptInLevel = {
+  singleOptIn: 'SINGLE_OPT_IN',
+  confirmedOptIn: 'CONFIRMED_OPT_IN',
+  unknown: 'UNKNOWN',
+};
+
+export const DEFAULT_SYNC_SETTINGS = {
+  enabled: true,
+  consentMode: CustomerConsentMode.mirror,
+  confirmedOptInOnly: false,
+  deleteContacts: false,
+};
+
+/**
+ * Customer sync settings of a shop
+ * @param {Object|null} settings - ShopSettings row
+ * @returns {Object} { enabled, consentMode, confirmedOptInOnly, deleteContacts }
+ */
+export function getSyncSettings(settings) {
+  return {
+    enabled: settings?.customerSyncEnabled ?? DEFAULT_SYNC_SETTINGS.enabled,
+    consentMode: CUSTOMER_CONSENT_MODES.includes(settings?.customerSyncConsentMode)
+      ? settings.customerSyncConsentMode
+      : DEFAULT_SYNC_SETTINGS.consentMode,
+    confirmedOptInOnly:
+      settings?.customerSyncConfirmedOptInOnly ?? DEFAULT_SYNC_SETTINGS.confirmedOptInOnly,
+    deleteContacts: settings?.customerSyncDeleteContacts ?? DEFAULT_SYNC_SETTINGS.deleteContacts,
+  };
+}
+
+const BOOLEAN_SETTINGS = [
+  'customerSyncEnabled',
+  'customerSyncConfirmedOptInOnly',
+  'customerSyncDeleteContacts',
+];
+
+/**
+ * Validate customer sync settings
+ * @param {Object} settings - { customerSyncEnabled?, customerSyncConsentMode?,
+ *   customerSyncConfirmedOptInOnly?, customerSyncDeleteContacts? }
+ * @throws {ValidationError} If a setting is invalid
+ */
+export function validateSyncSettings(settings) {
+  const errors = [];
+
+  for (const field of BOOLEAN_SETTINGS) {
+    if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+      errors.push({ field, message: `${field} must be a boolean` });
+    }
+  }
+  if (
+    settings.customerSyncConsentMode !== undefined &&
+    !CUSTOMER_CONSENT_MODES.includes(settings.customerSyncConsentMode)
+  ) {
+    errors.push({
+      field: 'customerSyncConsentMode',
+      message: `Consent mode must be one of: ${CUSTOMER_CONSENT_MODES.join(', ')}`,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid customer sync settings', errors);
+  }
+}
+
+function toNumericId(id) {
+  if (id === null || id === undefined || id === '') return null;
+  return String(id).split('/').pop();
+}
+
+function cleanText(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text || null;
+}
+
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+/**
+ * Read a Shopify customer
+ * Accepts webhook payloads (REST, snake_case) and bulk export rows
+ * (GraphQL, camelCase).
+ * @param {Object} raw - Shopify customer
+ * @returns {Object} { customerId, firstName, lastName, email, phone, country,
+ *   tags, consent: { state, optInLevel, updatedAt } | null }
+ */
+export function parseShopifyCustomer(raw) {
+  const address = raw.default_address || raw.defaultAddress || {};
+  const consent = raw.sms_marketing_consent || raw.smsMarketingConsent || null;
+  const email = cleanText(raw.email);
+
+  return {
+    customerId: toNumericId(raw.id),
+    firstName: cleanText(raw.first_name ?? raw.firstName),
+    lastName: cleanText(raw.last_name ?? raw.lastName),
+    email: email ? email.toLowerCase() : null,
+    phone: cleanText(raw.phone) || cleanText(address.phone),
+    country: cleanText(address.country_code || address.countryCodeV2 || address.countryCode),
+    tags: parseTags(raw.tags),
+    consent: consent
+      ? {
+        state: String(consent.state || consent.marketingState || '').toUpperCase() || null,
+        optInLevel:
+          String(consent.opt_in_level || consent.marketingOptInLevel || '').toUpperCase() ||
+          null,
+        updatedAt: consent.consent_updated_at || consent.consentUpdatedAt || null,
+      }
+      : null,
+  };
+}
+
+/**
+ * Phone of a customer in E.164
+ * @param {Object} customer - See parseShopifyCustomer
+ * @param {string} [defaultCountry] - Country for numbers without a calling code
+ * @returns {string|null}
+ */
+export function getCustomerPhone(customer, defaultCountry = null) {
+  return normalizePhoneNumber(customer.phone, customer.country || defaultCountry);
+}
+
+/**
+ * Map Shopify SMS marketing consent onto Contact.smsConsent
+ * @param {Object|null} consent - { state, optInLevel }
+ * @param {Object} [options] - { confirmedOptInOnly }
+ * @returns {string|null} SmsConsent value, null when Shopify says nothing
+ */
+export function mapShopifyConsent(consent, { confirmedOptInOnly = false } = {}) {
+  switch (consent?.state) {
+  case ShopifyConsentState.subscribed:
+    return !confirmedOptInOnly || consent.optInLevel === ShopifyOptInLevel.confirmedOptIn
+      ? 'opted_in'
+      : 'unknown';
+  case ShopifyConsentState.unsubscribed:
+    return 'opted_out';
+  case ShopifyConsentState.notSubscribed:
+  case ShopifyConsentState.pending:
+  case ShopifyConsentState.invalid:
+    return 'unknown';
+  default:
+    return null;
+  }
+}
+
+/**
+ * Consent a contact should get from a Shopify state
+ * @param {Object} params - { local, shopify, mode } local is the contact's
+ *   current consent (null for a new contact), shopify from mapShopifyConsent
+ * @returns {string|null} New consent, null to leave it unchanged
+ */
+export function resolveConsent({ local, shopify, mode }) {
+  if (local === 'opted_out') {
+    return null;
+  }
+  if (local === null || local === undefined) {
+    return mode === CustomerConsentMode.ignore ? 'unknown' : shopify || 'unknown';
+  }
+  if (!shopify || shopify === local || mode === CustomerConsentMode.ignore) {
+    return null;
+  }
+  if (mode === CustomerConsentMode.fillUnknown) {
+    return local === 'unknown' ? shopify : null;
+  }
+  // Shopify not knowing about a consent given here does not withdraw it
+  return shopify === 'unknown' ? null : shopify;
+}
+
+/**
+ * Replace the Shopify tags of a contact, keeping its local tags
+ * @param {Array<string>} tags - Current tags
+ * @param {Array<string>} previousShopifyTags - Tags set by the last sync
+ * @param {Array<string>} shopifyTags - Tags of the customer now
+ * @returns {Array<string>}
+ */
+export function mergeShopifyTags(tags, previousShopifyTags, shopifyTags) {
+  const previous = new Set(previousShopifyTags);
+  return [...new Set([...tags.filter(tag => !previous.has(tag)), ...shopifyTags])];
+}
+
+function sameTags(a, b) {
+  return a.length === b.length && a.every((tag, i) => tag === b[i]);
+}
+
+/**
+ * Changes a Shopify customer brings to a contact
+ * Empty Shopify fields never clear local ones.
+ * @param {Object|null} contact - Existing contact, null to create one
+ * @param {Object} customer - See parseShopifyCustomer
+ * @param {Object} options - { phoneE164, consentMode, confirmedOptInOnly }
+ *   phoneE164 is the customer's phone, null if it cannot be used
+ * @returns {Object} { data, consent } data holds the changed fields (the
+ *   whole contact for a new one), consent the new consent or null
+ */
+export function buildContactChanges(contact, customer, options) {
+  const { phoneE164, consentMode, confirmedOptInOnly } = options;
+  const consent = resolveConsent({
+    local: contact ? contact.smsConsent : null,
+    shopify: mapShopifyConsent(customer.consent, { confirmedOptInOnly }),
+    mode: consentMode,
+  });
+
+  if (!contact) {
+    return {
+      data: {
+        shopifyCustomerId: customer.customerId,
+        phoneE164,
+        firstName: customer.firstName,
+        lastName: customer.lastName,
+        email: customer.email,
+        tags: customer.tags,
+        shopifyTags: customer.tags,
+        smsConsent: consent,
+      },
+      consent: consent === 'unknown' ? null : consent,
+    };
+  }
+
+  const data = {};
+  if (contact.shopifyCustomerId !== customer.customerId) {
+    data.shopifyCustomerId = customer.customerId;
+  }
+  if (phoneE164 && phoneE164 !== contact.phoneE164) data.phoneE164 = phoneE164;
+  for (const field of ['firstName', 'lastName', 'email']) {
+    if (customer[field] && customer[field] !== contact[field]) {
+      data[field] = customer[field];
+    }
+  }
+
+  const previousShopifyTags = contact.shopifyTags || [];
+  if (!sameTags(previousShopifyTags, customer.tags)) {
+    data.tags = mergeShopifyTags(contact.tags || [], previousShopifyTags, customer.tags);
+    data.shopifyTags = customer.tags;
+  }
+
+  return { data, consent };
+}
+
+export default {
+  CustomerConsentMode,
+  CUSTOMER_CONSENT_MODES,
+  ShopifyConsentState,
+  ShopifyOptInLevel,
+  DEFAULT_SYNC_SETTINGS,
+  validateSyncSettings,
+  getSyncSettings,
+  parseShopifyCustomer,
+  getCustomerPhone,
+  mapShopifyConsent,
+  resolveConsent,
+  mergeShopifyTags,
+  buildContactChanges,
+};
@@ -0,0 +1,472 @@
+import readline from 'readline';
+import { Readable } from 'stream';
+import prisma from './prisma.js';
+import { importQueue } from '../queue/index.js';
+import { ConsentSource, recordConsentEvent, setContactConsent } from './consent.js';
+import { startCustomerBulkExport, getBulkOperation } from './shopify-graphql.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import {
+  buildContactChanges,
+  getCustomerPhone,
+  getSyncSettings,
+  parseShopifyCustomer,
+} from './customer-sync-rules.js';
+
+/**
+ * Customer Sync Service
+ * Keeps contacts in step with Shopify customers: a backfill exports every
+ * customer with a GraphQL bulk operation and imports the JSONL result, and
+ * the customers/create, customers/update and customers/delete webhooks keep
+ * them current. Consent follows the shop's sync settings
+ * (see services/customer-sync-rules.js) and every change is recorded in
+ * ConsentEvent.
+ */
+
+export const CustomerSyncStatus = {
+  pending: 'pending',
+  exporting: 'exporting',
+  importing: 'importing',
+  completed: 'completed',
+  failed: 'failed',
+};
+
+const ACTIVE_STATUSES = [
+  CustomerSyncStatus.pending,
+  CustomerSyncStatus.exporting,
+  CustomerSyncStatus.importing,
+];
+const SYNC_JOB = 'run-customer-sync';
+const POLL_DELAY_MS = 15 * 1000;
+// Bulk operations of very large shops can take hours
+const MAX_EXPORT_MS = 12 * 60 * 60 * 1000;
+const PROGRESS_EVERY = 500;
+const MAX_SYNC_ATTEMPTS = 2;
+
+const CONTACT_SELECT = {
+  id: true,
+  phoneE164: true,
+  email: true,
+  firstName: true,
+  lastName: true,
+  tags: true,
+  shopifyTags: true,
+  shopifyCustomerId: true,
+  smsConsent: true,
+};
+
+function formatCustomerSync(sync) {
+  return {
+    id: sync.id,
+    status: sync.status,
+    objectCount: sync.objectCount,
+    processedCount: sync.processedCount,
+    createdCount: sync.createdCount,
+    updatedCount: sync.updatedCount,
+    skippedCount: sync.skippedCount,
+    errorCount: sync.errorCount,
+    progress: sync.objectCount > 0
+      ? Math.min(100, Math.round((sync.processedCount / sync.objectCount) * 100))
+      : sync.status === CustomerSyncStatus.completed ? 100 : 0,
+    error: sync.error,
+    createdAt: sync.createdAt,
+    startedAt: sync.startedAt,
+    completedAt: sync.completedAt,
+  };
+}
+
+async function findContactForCustomer(shopId, customer, phoneE164) {
+  const linked = await prisma.contact.findFirst({
+    where: { shopId, shopifyCustomerId: customer.customerId },
+    select: CONTACT_SELECT,
+  });
+  if (linked) return linked;
+
+  const candidates = [
+    ...(phoneE164 ? [{ phoneE164 }] : []),
+    ...(customer.email ? [{ email: customer.email }] : []),
+  ];
+  if (candidates.length === 0) return null;
+
+  const matches = await prisma.contact.findMany({
+    where: { shopId, OR: candidates },
+    select: CONTACT_SELECT,
+  });
+  // Phone first: consent belongs to the number
+  return matches.find(contact => contact.phoneE164 === phoneE164) || matches[0] || null;
+}
+
+// Drops phone and email changes that belong to another contact
+async function dropTakenIdentifiers(shopId, contactId, data) {
+  const checks = [
+    ...(data.phoneE164 ? [{ phoneE164: data.phoneE164 }] : []),
+    ...(data.email ? [{ email: data.email }] : []),
+  ];
+  if (checks.length === 0) return;
+
+  const owners = await prisma.contact.findMany({
+    where: { shopId, id: { not: contactId }, OR: checks },
+    select: { phoneE164: true, email: true },
+  });
+  for (const owner of owners) {
+    if (data.phoneE164 && owner.phoneE164 === data.phoneE164) delete data.phoneE164;
+    if (data.email && owner.email === data.email) delete data.email;
+  }
+}
+
+async function applyCustomer(shopId, raw, options) {
+  const customer = parseShopifyCustomer(raw);
+  if (!customer.customerId) {
+    return 'skipped';
+  }
+
+  const phoneE164 = getCustomerPhone(customer, options.defaultCountry);
+  const contact = await findContactForCustomer(shopId, customer, phoneE164);
+  if (contact?.shopifyCustomerId && contact.shopifyCustomerId !== customer.customerId) {
+    // The phone or email belongs to a contact of another Shopify customer
+    return 'skipped';
+  }
+  if (!contact && !phoneE164) {
+    // Contacts need a phone number
+    return 'skipped';
+  }
+
+  const { data, consent } = buildContactChanges(contact, customer, {
+    phoneE164,
+    consentMode: options.consentMode,
+    confirmedOptInOnly: options.confirmedOptInOnly,
+  });
+  const consentMeta = {
+    shopifyCustomerId: customer.customerId,
+    shopifyState: customer.consent?.state || null,
+    shopifyOptInLevel: customer.consent?.optInLevel || null,
+  };
+
+  if (!contact) {
+    const created = await prisma.contact.create({
+      data: { shopId, ...data, shopifySyncedAt: new Date() },
+      select: { id: true, phoneE164: true },
+    });
+    if (consent) {
+      await recordConsentEvent({
+        shopId,
+        contactId: created.id,
+        phoneE164: created.phoneE164,
+        newState: consent,
+        source: ConsentSource.shopify_sync,
+        meta: consentMeta,
+      });
+    }
+    return 'created';
+  }
+
+  await dropTakenIdentifiers(shopId, contact.id, data);
+  await prisma.contact.update({
+    where: { id: contact.id },
+    data: { ...data, shopifySyncedAt: new Date() },
+  });
+
+  let consentChanged = false;
+  if (consent) {
+    const result = await setContactConsent(shopId, contact.id, consent, {
+      source: ConsentSource.shopify_sync,
+      meta: consentMeta,
+    });
+    consentChanged = result.changed;
+  }
+
+  return Object.keys(data).length > 0 || consentChanged ? 'updated' : 'unchanged';
+}
+
+/**
+ * Create or update the contact of a Shopify customer
+ * Customers without a usable phone only update an already linked contact.
+ * @param {string} shopId - Shop ID
+ * @param {Object} raw - Shopify customer (webhook payload or bulk export row)
+ * @param {Object} options - { defaultCountry, consentMode, confirmedOptInOnly }
+ * @returns {Promise<string>} created | updated | unchanged | skipped
+ */
+export async function syncShopifyCustomer(shopId, raw, options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await applyCustomer(shopId, raw, options);
+    } catch (error) {
+      // A webhook and the backfill created the same contact together
+      if (error.code !== 'P2002' || attempt >= MAX_SYNC_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Unlink or delete the contact of a deleted Shopify customer
+ * Opted-out contacts are always kept so their opt-out is not lost.
+ * @param {string} shopId - Shop ID
+ * @param {string} customerId - Shopify customer ID
+ * @param {Object} options - { deleteContacts }
+ * @returns {Promise<string>} deleted | unlinked | skipped
+ */
+export async function removeShopifyCustomer(shopId, customerId, { deleteContacts }) {
+  const contact = await prisma.contact.findFirst({
+    where: { shopId, shopifyCustomerId: customerId },
+    select: CONTACT_SELECT,
+  });
+  if (!contact) {
+    return 'skipped';
+  }
+
+  if (deleteContacts && contact.smsConsent !== 'opted_out') {
+    await prisma.contact.delete({ where: { id: contact.id } });
+    return 'deleted';
+  }
+
+  const shopifyTags = new Set(contact.shopifyTags);
+  await prisma.contact.update({
+    where: { id: contact.id },
+    data: {
+      shopifyCustomerId: null,
+      tags: contact.tags.filter(tag => !shopifyTags.has(tag)),
+      shopifyTags: [],
+      shopifySyncedAt: new Date(),
+    },
+  });
+  return 'unlinked';
+}
+
+async function getShopSyncContext(where) {
+  const shop = await prisma.shop.findUnique({
+    where,
+    select: { id: true, shopDomain: true, country: true, settings: true },
+  });
+  if (!shop) return null;
+
+  return {
+    shop,
+    options: { ...getSyncSettings(shop.settings), defaultCountry: shop.country },
+  };
+}
+
+/**
+ * Apply a customers/create, customers/update or customers/delete webhook
+ * @param {string} shopDomain - Shop domain
+ * @param {string} topic - Webhook topic
+ * @param {Object} payload - Shopify customer
+ * @returns {Promise<Object>} { status } or { skipped }
+ */
+export async function handleCustomerWebhook(shopDomain, topic, payload) {
+  const context = await getShopSyncContext({ shopDomain });
+  if (!context) {
+    return { skipped: 'shop_not_found' };
+  }
+  const { shop, options } = context;
+  if (!options.enabled) {
+    return { skipped: 'sync_disabled' };
+  }
+
+  const status =
+    topic === 'customers/delete'
+      ? await removeShopifyCustomer(shop.id, String(payload.id), options)
+      : await syncShopifyCustomer(shop.id, payload, options);
+
+  logger.info('Shopify customer synced', {
+    shopId: shop.id,
+    topic,
+    shopifyCustomerId: payload.id,
+    status,
+  });
+  return { status };
+}
+
+/**
+ * Start a backfill of all Shopify customers
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} Customer sync
+ */
+export async function startCustomerSync(shopId) {
+  const active = await prisma.customerSync.findFirst({
+    where: { shopId, status: { in: ACTIVE_STATUSES } },
+  });
+  if (active) {
+    throw new ConflictError('A customer sync is already running');
+  }
+
+  const sync = await prisma.customerSync.create({ data: { shopId } });
+  await importQueue.add(SYNC_JOB, { syncId: sync.id, shopId }, { jobId: `customer-sync-${sync.id}` });
+
+  logger.info('Customer sync started', { shopId, syncId: sync.id });
+  return formatCustomerSync(sync);
+}
+
+/**
+ * Get a customer sync of a shop
+ * @param {string} shopId - Shop ID
+ * @param {string} syncId - Customer sync ID
+ * @returns {Promise<Object>} Customer sync
+ */
+export async function getCustomerSync(shopId, syncId) {
+  const sync = await prisma.customerSync.findFirst({
+    where: { id: syncId, shopId },
+  });
+  if (!sync) {
+    throw new NotFoundError('Customer sync');
+  }
+  return formatCustomerSync(sync);
+}
+
+/**
+ * Latest customer syncs of a shop, newest first
+ * @param {string} shopId - Shop ID
+ * @param {number} [limit] - Syncs returned
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listCustomerSyncs(shopId, limit = 10) {
+  const syncs = await prisma.customerSync.findMany({
+    where: { shopId },
+    orderBy: { createdAt: 'desc' },
+    take: limit,
+  });
+  return syncs.map(formatCustomerSync);
+}
+
+function schedulePoll(sync) {
+  return importQueue.add(
+    SYNC_JOB,
+    { syncId: sync.id, shopId: sync.shopId },
+    { jobId: `customer-sync-${sync.id}-${Date.now()}`, delay: POLL_DELAY_MS },
+  );
+}
+
+async function importBulkExport(sync, url, options) {
+  const counts = {
+    processedCount: 0,
+    createdCount: 0,
+    updatedCount: 0,
+    skippedCount: 0,
+    errorCount: 0,
+  };
+  const saveProgress = () =>
+    prisma.customerSync.update({ where: { id: sync.id }, data: counts });
+
+  if (url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Customer export download failed: ${response.status}`);
+    }
+
+    const lines = readline.createInterface({
+      input: Readable.fromWeb(response.body),
+      crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      counts.processedCount++;
+      try {
+        const status = await syncShopifyCustomer(sync.shopId, JSON.parse(line), options);
+        if (status === 'created') counts.createdCount++;
+        else if (status === 'updated') counts.updatedCount++;
+        else counts.skippedCount++;
+      } catch (error) {
+        counts.errorCount++;
+        logger.warn('Customer sync row failed', {
+          shopId: sync.shopId,
+          syncId: sync.id,
+          error: error.message,
+        });
+      }
+      if (counts.processedCount % PROGRESS_EVERY === 0) {
+        await saveProgress();
+      }
+    }
+  }
+
+  await prisma.customerSync.update({
+    where: { id: sync.id },
+    data: { ...counts, status: CustomerSyncStatus.completed, completedAt: new Date() },
+  });
+  return counts;
+}
+
+/**
+ * Advance a customer sync (worker side)
+ * Starts the bulk export, then polls it until Shopify has written the
+ * file and imports it.
+ * @param {string} syncId - Customer sync ID
+ * @returns {Promise<Object>} { status }
+ */
+export async function runCustomerSync(syncId) {
+  const sync = await prisma.customerSync.findUnique({ where: { id: syncId } });
+  if (!sync || !ACTIVE_STATUSES.includes(sync.status)) {
+    return { status: sync?.status || null };
+  }
+
+  const fail = async message => {
+    await prisma.customerSync.update({
+      where: { id: sync.id },
+      data: { status: CustomerSyncStatus.failed, error: message, completedAt: new Date() },
+    });
+    logger.error('Customer sync failed', { shopId: sync.shopId, syncId, error: message });
+    return { status: CustomerSyncStatus.failed };
+  };
+
+  try {
+    const context = await getShopSyncContext({ id: sync.shopId });
+    if (!context) {
+      return fail('Shop not found');
+    }
+    const { shop, options } = context;
+
+    if (sync.status === CustomerSyncStatus.pending) {
+      const operation = await startCustomerBulkExport(shop.shopDomain);
+      const started = await prisma.customerSync.update({
+        where: { id: sync.id },
+        data: {
+          status: CustomerSyncStatus.exporting,
+          bulkOperationId: operation.id,
+          startedAt: new Date(),
+        },
+      });
+      await schedulePoll(started);
+      return { status: started.status };
+    }
+
+    const operation = await getBulkOperation(shop.shopDomain, sync.bulkOperationId);
+    if (!operation) {
+      return fail('Customer export not found');
+    }
+    if (['FAILED', 'CANCELED', 'CANCELING', 'EXPIRED'].includes(operation.status)) {
+      return fail(`Customer export ${operation.status.toLowerCase()}: ${operation.errorCode || 'unknown error'}`);
+    }
+    if (operation.status !== 'COMPLETED') {
+      if (Date.now() - sync.startedAt.getTime() > MAX_EXPORT_MS) {
+        return fail('Customer export timed out');
+      }
+      await schedulePoll(sync);
+      return { status: sync.status };
+    }
+
+    // Re-importing after an interrupted run is safe, customers are upserted
+    await prisma.customerSync.update({
+      where: { id: sync.id },
+      data: {
+        status: CustomerSyncStatus.importing,
+        objectCount: Number(operation.objectCount) || 0,
+      },
+    });
+    const counts = await importBulkExport(sync, operation.url, options);
+
+    logger.info('Customer sync completed', { shopId: sync.shopId, syncId, ...counts });
+    return { status: CustomerSyncStatus.completed, ...counts };
+  } catch (error) {
+    return fail(error.message);
+  }
+}
+
+export default {
+  CustomerSyncStatus,
+  syncShopifyCustomer,
+  removeShopifyCustomer,
+  handleCustomerWebhook,
+  startCustomerSync,
+  getCustomerSync,
+  listCustomerSyncs,
+  runCustomerSync,
+};
@@ -1,5 +1,6 @@
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
+import { getRevenueAttribution } from './reports.js';
 
 /**
  * Dashboard Service
@@ -124,6 +125,7 @@ export async function getOverview(storeId) {
       wallet: { balance: 0, currency: 'EUR' },
       recentMessages: [],
       recentTransactions: [],
+      revenue: null,
     };
   }
 
@@ -150,6 +152,7 @@ export async function getOverview(storeId) {
       wallet: { balance: 0, currency: 'EUR' },
       recentMessages: [],
       recentTransactions: [],
+      revenue: null,
     };
   }
 
@@ -158,6 +161,7 @@ export async function getOverview(storeId) {
   let contactStats = { total: 0, optedIn: 0, optedOut: 0 };
   let recentMessages = [];
   let recentTransactions = [];
+  let revenue = null;
 
   try {
     const results = await Promise.allSettled([
@@ -165,6 +169,7 @@ export async function getOverview(storeId) {
       getContactStats(shop.id),
       getRecentMessages(shop.id),
       getRecentTransactions(shop.id),
+      getRevenueAttribution(shop.id),
     ]);
 
     smsStats = results[0].status === 'fulfilled' ? results[0].value : smsStats;
@@ -174,6 +179,9 @@ export async function getOverview(storeId) {
       results[2].status === 'fulfilled' ? results[2].value : recentMessages;
     recentTransactions =
       results[3].status === 'fulfilled' ? results[3].value : recentTransactions;
+    // Revenue attributed to SMS over the last 30 days, with ROI
+    revenue =
+      results[4].status === 'fulfilled' ? results[4].value.summary : revenue;
 
     // Log any errors
     results.forEach((result, index) => {
@@ -211,6 +219,7 @@ export async function getOverview(storeId) {
     wallet,
     recentMessages: recentMessages || [],
     recentTransactions: recentTransactions || [],
+    revenue,
   };
 }
 
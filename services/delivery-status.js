@@ -1,6 +1,9 @@
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
-import { getMessageStatus, MittoApiError } from './mitto.js';
+import { MittoApiError } from './mitto.js';
+import { getProvider, getProviderForShop } from './sms-provider.js';
+import { HELD_STATUS } from './campaign-variants.js';
+import { emitMessageStatusEvent } from './webhooks.js';
 import {
   CampaignStatus,
   MessageStatus,
@@ -8,7 +11,7 @@ import {
 
 /**
  * Delivery Status Service
- * Handles updating message delivery statuses from Mitto API
+ * Handles updating message delivery statuses from the SMS provider API
  * and updating campaign statuses based on recipient statuses
  */
 
@@ -41,14 +44,34 @@ export function mapMittoStatusToInternal(mittoStatus) {
 }
 
 /**
- * Update delivery status for a single message from Mitto
- * @param {string} mittoMessageId - Mitto message ID
+ * Resolve the provider that sent a campaign's messages
  * @param {string} campaignId - Campaign ID (optional)
+ * @returns {Promise<Object>} SMS provider
+ */
+async function resolveCampaignProvider(campaignId) {
+  if (campaignId) {
+    const campaign = await prisma.campaign.findUnique({
+      where: { id: campaignId },
+      select: { shopId: true },
+    });
+    if (campaign) {
+      return getProviderForShop(campaign.shopId);
+    }
+  }
+  return getProvider();
+}
+
+/**
+ * Update delivery status for a single message from the SMS provider
+ * @param {string} mittoMessageId - Provider message ID
+ * @param {string} campaignId - Campaign ID (optional)
+ * @param {Object} provider - SMS provider (optional, resolved from the campaign's shop)
  * @returns {Promise<Object>} Updated status info
  */
 export async function updateMessageDeliveryStatus(
   mittoMessageId,
   campaignId = null,
+  provider = null,
 ) {
   try {
     if (!mittoMessageId) {
@@ -56,8 +79,9 @@ export async function updateMessageDeliveryStatus(
       return null;
     }
 
-    // Fetch status from Mitto
-    const mittoStatus = await getMessageStatus(mittoMessageId);
+    // Fetch status from the provider
+    const smsProvider = provider || (await resolveCampaignProvider(campaignId));
+    const mittoStatus = await smsProvider.getStatus(mittoMessageId);
     const internalStatus = mapMittoStatusToInternal(mittoStatus.deliveryStatus);
 
     logger.info('Updating message delivery status', {
@@ -74,6 +98,7 @@ export async function updateMessageDeliveryStatus(
           campaignId,
           mittoMessageId,
         },
+        include: { campaign: { select: { shopId: true } } },
       });
 
       if (recipient) {
@@ -118,6 +143,18 @@ export async function updateMessageDeliveryStatus(
             data: { totalFailed: { increment: 1 } },
           });
         }
+
+        if (previousDeliveryStatus !== mittoStatus.deliveryStatus) {
+          await emitMessageStatusEvent(recipient.campaign.shopId, {
+            messageId: mittoMessageId,
+            phoneE164: recipient.phoneE164,
+            contactId: recipient.contactId,
+            campaignId,
+            deliveryStatus: mittoStatus.deliveryStatus,
+            internalStatus,
+            error: updateData.error,
+          });
+        }
       }
     }
 
@@ -139,6 +176,18 @@ export async function updateMessageDeliveryStatus(
         where: { id: messageLog.id },
         data: updateData,
       });
+
+      // Campaign messages were reported with their recipient
+      if (!campaignId && messageLog.deliveryStatus !== mittoStatus.deliveryStatus) {
+        await emitMessageStatusEvent(messageLog.shopId, {
+          messageId: mittoMessageId,
+          phoneE164: messageLog.phoneE164,
+          campaignId: messageLog.campaignId,
+          automationId: messageLog.automationId,
+          deliveryStatus: mittoStatus.deliveryStatus,
+          internalStatus,
+        });
+      }
     }
 
     return {
@@ -233,8 +282,9 @@ export async function updateCampaignDeliveryStatuses(campaignId) {
   });
 
   // Update statuses in parallel (with rate limiting consideration)
+  const provider = await resolveCampaignProvider(campaignId);
   const updatePromises = recipientsToUpdate.map(recipient =>
-    updateMessageDeliveryStatus(recipient.mittoMessageId, campaignId).catch(
+    updateMessageDeliveryStatus(recipient.mittoMessageId, campaignId, provider).catch(
       error => {
         logger.error('Failed to update recipient status', {
           campaignId,
@@ -324,7 +374,8 @@ export async function updateCampaignStatusFromRecipients(campaignId) {
   });
 
   const total = recipients.length;
-  const pending = statusCounts.pending || 0;
+  // Held A/B test recipients are still waiting for the winning variant
+  const pending = (statusCounts.pending || 0) + (statusCounts[HELD_STATUS] || 0);
   const sent = statusCounts.sent || 0;
   const failed = statusCounts.failed || 0;
 
@@ -0,0 +1,328 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import {
+  addDiscountCodes,
+  createSingleUseDiscount,
+  deleteDiscount,
+  getDiscountTemplate,
+} from './shopify.js';
+import {
+  buildCodePrefix,
+  extractOrderDiscountCodes,
+  generateDiscountCode,
+  generateDiscountCodes,
+} from '../utils/discount-codes.js';
+
+/**
+ * Discount Codes Service
+ * Mints unique single-use Shopify discount codes for campaign recipients
+ * and welcome series subscribers, records them in DiscountLink and matches
+ * redeemed codes from orders back to their campaign.
+ *
+ * Codes are added to a dedicated Shopify discount copying the value of the
+ * merchant's discount (Campaign.discountId, ShopSettings.welcomeDiscountId),
+ * created on first use. A link is "synced" once its code was sent to Shopify.
+ */
+
+export const DiscountSource = {
+  campaign: 'campaign',
+  welcome: 'welcome',
+};
+
+// Codes are random: a collision with an existing code is retried
+const MAX_MINT_ATTEMPTS = 3;
+
+async function getShopDomain(shopId) {
+  const shop = await prisma.shop.findUnique({
+    where: { id: shopId },
+    select: { shopDomain: true },
+  });
+  if (!shop) {
+    throw new NotFoundError('Shop');
+  }
+  return shop.shopDomain;
+}
+
+/**
+ * Create the single-use discount for a template, unless another worker
+ * claimed one first (the losing discount is deleted)
+ * @returns {Promise<string>} Discount ID to use
+ */
+async function createCodesDiscount(shopDomain, templateId, title, prefix, claim) {
+  const template = await getDiscountTemplate(shopDomain, templateId);
+  // Shopify requires a code at creation; this one is never sent
+  const discountId = await createSingleUseDiscount(shopDomain, template, {
+    title,
+    code: generateDiscountCode(prefix),
+  });
+
+  const claimedId = await claim(discountId);
+  if (claimedId !== discountId) {
+    try {
+      await deleteDiscount(shopDomain, discountId);
+    } catch (error) {
+      logger.warn('Failed to delete duplicate unique codes discount', {
+        shopDomain,
+        discountId,
+        error: error.message,
+      });
+    }
+  }
+  return claimedId;
+}
+
+async function ensureCampaignDiscount(shopDomain, campaign) {
+  if (campaign.uniqueDiscountId) {
+    return campaign.uniqueDiscountId;
+  }
+
+  return createCodesDiscount(
+    shopDomain,
+    campaign.discountId,
+    `${campaign.name} (SMS unique codes)`,
+    buildCodePrefix(campaign.name),
+    async discountId => {
+      await prisma.campaign.updateMany({
+        where: { id: campaign.id, uniqueDiscountId: null },
+        data: { uniqueDiscountId: discountId },
+      });
+      const current = await prisma.campaign.findUnique({
+        where: { id: campaign.id },
+        select: { uniqueDiscountId: true },
+      });
+      return current.uniqueDiscountId;
+    },
+  );
+}
+
+async function syncCodes(shopDomain, discountId, links) {
+  const unsynced = links.filter(link => !link.syncedAt);
+  if (unsynced.length === 0) {
+    return;
+  }
+
+  await addDiscountCodes(
+    shopDomain,
+    discountId,
+    unsynced.map(link => link.code),
+  );
+  await prisma.discountLink.updateMany({
+    where: { id: { in: unsynced.map(link => link.id) } },
+    data: { syncedAt: new Date() },
+  });
+}
+
+/**
+ * Get the unique codes of campaign recipients, minting missing ones
+ * Recipients keep their code across retries of a batch.
+ * @param {string} shopId - Shop ID
+ * @param {Object} campaign - { id, name, discountId, uniqueDiscountId }
+ * @param {Array<Object>} recipients - [{ id, contactId }]
+ * @returns {Promise<Map<string, string>>} Code by recipient ID
+ */
+export async function assignCampaignDiscountCodes(shopId, campaign, recipients) {
+  const shopDomain = await getShopDomain(shopId);
+  const discountId = await ensureCampaignDiscount(shopDomain, campaign);
+  const recipientIds = recipients.map(recipient => recipient.id);
+
+  let minted = 0;
+  let links = [];
+  for (let attempt = 1; ; attempt++) {
+    links = await prisma.discountLink.findMany({
+      where: { recipientId: { in: recipientIds } },
+      select: { id: true, recipientId: true, code: true, syncedAt: true },
+    });
+    const withCode = new Set(links.map(link => link.recipientId));
+    const missing = recipients.filter(recipient => !withCode.has(recipient.id));
+    if (missing.length === 0) {
+      break;
+    }
+    if (attempt > MAX_MINT_ATTEMPTS) {
+      throw new Error(`Failed to mint discount codes for ${missing.length} recipients`);
+    }
+
+    const codes = generateDiscountCodes(
+      missing.length,
+      buildCodePrefix(campaign.name),
+    );
+    // Recipients minted by a concurrent or retried batch, and code
+    // collisions, are skipped; the next pass picks up what is still missing
+    const created = await prisma.discountLink.createMany({
+      data: missing.map((recipient, index) => ({
+        shopId,
+        code: codes[index],
+        campaignId: campaign.id,
+        contactId: recipient.contactId || null,
+        recipientId: recipient.id,
+        source: DiscountSource.campaign,
+        discountId,
+      })),
+      skipDuplicates: true,
+    });
+    minted += created.count;
+  }
+
+  await syncCodes(shopDomain, discountId, links);
+
+  logger.info('Campaign discount codes assigned', {
+    shopId,
+    campaignId: campaign.id,
+    recipients: recipients.length,
+    minted,
+  });
+
+  return new Map(links.map(link => [link.recipientId, link.code]));
+}
+
+/**
+ * Get the welcome series code of a contact, minting it if needed
+ * The same unredeemed code is used by every step of the series.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<string|null>} Code, null if no welcome discount is configured
+ */
+export async function getWelcomeDiscountCode(shopId, contactId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId },
+    select: { welcomeDiscountId: true, welcomeCodesDiscountId: true },
+  });
+  if (!settings?.welcomeDiscountId) {
+    return null;
+  }
+
+  const shopDomain = await getShopDomain(shopId);
+
+  // Codes of a previous welcome discount are left to expire with it
+  if (settings.welcomeCodesDiscountId) {
+    const existing = await prisma.discountLink.findFirst({
+      where: {
+        shopId,
+        contactId,
+        source: DiscountSource.welcome,
+        discountId: settings.welcomeCodesDiscountId,
+        redeemedAt: null,
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { id: true, code: true, syncedAt: true },
+    });
+    if (existing) {
+      await syncCodes(shopDomain, settings.welcomeCodesDiscountId, [existing]);
+      return existing.code;
+    }
+  }
+
+  const prefix = buildCodePrefix('welcome');
+  const discountId =
+    settings.welcomeCodesDiscountId ||
+    (await createCodesDiscount(
+      shopDomain,
+      settings.welcomeDiscountId,
+      'Welcome series (SMS unique codes)',
+      prefix,
+      async createdId => {
+        await prisma.shopSettings.updateMany({
+          where: { shopId, welcomeCodesDiscountId: null },
+          data: { welcomeCodesDiscountId: createdId },
+        });
+        const current = await prisma.shopSettings.findUnique({
+          where: { shopId },
+          select: { welcomeCodesDiscountId: true },
+        });
+        return current.welcomeCodesDiscountId;
+      },
+    ));
+
+  let link;
+  for (let attempt = 1; !link; attempt++) {
+    try {
+      link = await prisma.discountLink.create({
+        data: {
+          shopId,
+          code: generateDiscountCode(prefix),
+          contactId,
+          source: DiscountSource.welcome,
+          discountId,
+        },
+      });
+    } catch (error) {
+      // Code collision, try a new one
+      if (error.code !== 'P2002' || attempt >= MAX_MINT_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+  await syncCodes(shopDomain, discountId, [link]);
+
+  logger.info('Welcome discount code minted', { shopId, contactId });
+
+  return link.code;
+}
+
+/**
+ * Record the redemption of unique codes used by an order
+ * Webhook retries are ignored: a code is redeemed once.
+ * @param {string} shopId - Shop ID
+ * @param {Object} order - { orderId, discountCodes, totalPrice, currency }
+ * @returns {Promise<number>} Number of codes matched
+ */
+export async function matchDiscountRedemptions(shopId, order) {
+  const codes = extractOrderDiscountCodes(order.discountCodes);
+  if (codes.length === 0) {
+    return 0;
+  }
+
+  const total = Number(order.totalPrice);
+  const result = await prisma.discountLink.updateMany({
+    where: { shopId, code: { in: codes }, redeemedAt: null },
+    data: {
+      redeemedAt: new Date(),
+      orderId: String(order.orderId),
+      orderTotal: Number.isFinite(total) ? total : null,
+      currency: order.currency || null,
+    },
+  });
+
+  if (result.count > 0) {
+    logger.info('Discount code redemptions matched', {
+      shopId,
+      orderId: order.orderId,
+      matched: result.count,
+    });
+  }
+
+  return result.count;
+}
+
+/**
+ * Unique code stats of a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} { issued, redeemed, redemptionRate, revenue }
+ */
+export async function getCampaignDiscountStats(campaignId) {
+  const [issued, redeemed] = await Promise.all([
+    prisma.discountLink.count({ where: { campaignId } }),
+    prisma.discountLink.aggregate({
+      where: { campaignId, redeemedAt: { not: null } },
+      _count: { _all: true },
+      _sum: { orderTotal: true },
+    }),
+  ]);
+
+  const redeemedCount = redeemed._count._all;
+  return {
+    issued,
+    redeemed: redeemedCount,
+    redemptionRate:
+      issued > 0 ? Math.round((redeemedCount / issued) * 10000) / 100 : 0,
+    revenue: Math.round((redeemed._sum.orderTotal || 0) * 100) / 100,
+  };
+}
+
+export default {
+  DiscountSource,
+  assignCampaignDiscountCodes,
+  getWelcomeDiscountCode,
+  matchDiscountRedemptions,
+  getCampaignDiscountStats,
+};
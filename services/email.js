@@ -0,0 +1,59 @@
+import { logger } from '../utils/logger.js';
+import { ExternalServiceError } from '../utils/errors.js';
+
+/**
+ * Email Service
+ * Transactional emails to merchants (billing alerts). Supports:
+ * 1. log - emails are only written to the log (default, development)
+ * 2. sendgrid - SendGrid v3 mail API
+ */
+
+const EMAIL_PROVIDER = process.env.EMAIL_PROVIDER || 'log'; // 'log', 'sendgrid'
+const EMAIL_FROM = process.env.EMAIL_FROM || 'no-reply@astronote.com';
+const EMAIL_FROM_NAME = process.env.EMAIL_FROM_NAME || 'Astronote';
+const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY;
+
+async function sendWithSendGrid({ to, subject, text }) {
+  if (!SENDGRID_API_KEY) {
+    throw new ExternalServiceError('SendGrid', 'SENDGRID_API_KEY is not configured');
+  }
+
+  const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${SENDGRID_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      personalizations: [{ to: [{ email: to }] }],
+      from: { email: EMAIL_FROM, name: EMAIL_FROM_NAME },
+      subject,
+      content: [{ type: 'text/plain', value: text }],
+    }),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new ExternalServiceError('SendGrid', `${response.status} - ${errorText}`);
+  }
+}
+
+/**
+ * Send a plain text email
+ * @param {Object} params - { to, subject, text }
+ * @returns {Promise<Object>} { provider }
+ */
+export async function sendEmail({ to, subject, text }) {
+  if (EMAIL_PROVIDER === 'sendgrid') {
+    await sendWithSendGrid({ to, subject, text });
+  } else {
+    logger.info('Email (log provider)', { to, subject, text });
+  }
+
+  logger.info('Email sent', { to, subject, provider: EMAIL_PROVIDER });
+  return { provider: EMAIL_PROVIDER };
+}
+
+export default {
+  sendEmail,
+};
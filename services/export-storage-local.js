@@ -0,0 +1,74 @@
+import fs from 'fs';
+import { mkdir, copyFile, rm, stat } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Local Export Storage
+ * Keeps export files on the local disk under EXPORT_STORAGE_DIR
+ * (default: <tmp>/astronote-exports). Only suitable when the API and the
+ * workers share a disk; use the s3 adapter otherwise.
+ */
+
+export const name = 'local';
+
+function getRoot() {
+  return path.resolve(
+    process.env.EXPORT_STORAGE_DIR ||
+      path.join(os.tmpdir(), 'astronote-exports'),
+  );
+}
+
+function resolveKey(key) {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Invalid export storage key: ${key}`);
+  }
+  return filePath;
+}
+
+/**
+ * Store a file
+ * @param {string} key - Storage key (relative path)
+ * @param {string} sourcePath - Local file to store
+ */
+export async function save(key, sourcePath) {
+  const filePath = resolveKey(key);
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await copyFile(sourcePath, filePath);
+}
+
+/**
+ * Open a stored file
+ * @param {string} key - Storage key
+ * @returns {Promise<Readable>} File stream
+ */
+export async function createReadStream(key) {
+  const filePath = resolveKey(key);
+  try {
+    await stat(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new NotFoundError('Export file');
+    }
+    throw error;
+  }
+  return fs.createReadStream(filePath);
+}
+
+/**
+ * Delete a stored file (missing files are ignored)
+ * @param {string} key - Storage key
+ */
+export async function remove(key) {
+  await rm(resolveKey(key), { force: true });
+}
+
+export default {
+  name,
+  save,
+  createReadStream,
+  remove,
+};
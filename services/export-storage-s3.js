@@ -0,0 +1,184 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { stat } from 'fs/promises';
+import axios from 'axios';
+import { NotFoundError, ExternalServiceError } from '../utils/errors.js';
+
+/**
+ * S3-compatible Export Storage
+ * Stores export files in an S3 bucket (or R2, MinIO, Spaces... through
+ * EXPORT_S3_ENDPOINT) using SigV4-signed requests.
+ *
+ * Configuration:
+ * - EXPORT_S3_BUCKET, EXPORT_S3_REGION (default us-east-1)
+ * - EXPORT_S3_ACCESS_KEY_ID, EXPORT_S3_SECRET_ACCESS_KEY
+ * - EXPORT_S3_ENDPOINT (optional, path-style addressing when set)
+ */
+
+export const name = 's3';
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+function getConfig() {
+  const config = {
+    bucket: process.env.EXPORT_S3_BUCKET,
+    region: process.env.EXPORT_S3_REGION || 'us-east-1',
+    accessKeyId: process.env.EXPORT_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.EXPORT_S3_SECRET_ACCESS_KEY,
+    endpoint: process.env.EXPORT_S3_ENDPOINT
+      ? process.env.EXPORT_S3_ENDPOINT.replace(/\/$/, '')
+      : null,
+  };
+
+  if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+    throw new Error(
+      'S3 export storage requires EXPORT_S3_BUCKET, EXPORT_S3_ACCESS_KEY_ID and EXPORT_S3_SECRET_ACCESS_KEY',
+    );
+  }
+  return config;
+}
+
+function encodeKey(key) {
+  return key
+    .split('/')
+    .map(segment =>
+      encodeURIComponent(segment).replace(
+        /[!'()*]/g,
+        c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+      ),
+    )
+    .join('/');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Signed request for an object
+ * The payload is sent unsigned (UNSIGNED-PAYLOAD) so files can be streamed.
+ */
+function signedRequest(config, method, key, headers = {}) {
+  const url = config.endpoint
+    ? new URL(`${config.endpoint}/${config.bucket}/${encodeKey(key)}`)
+    : new URL(
+      `https://${config.bucket}.s3.${config.region}.amazonaws.com/${encodeKey(key)}`,
+    );
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${config.region}/s3/aws4_request`;
+
+  const signed = {
+    host: url.host,
+    'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+    'x-amz-date': amzDate,
+  };
+  const signedHeaders = Object.keys(signed).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    ...signedHeaders.map(header => `${header}:${signed[header]}`),
+    '',
+    signedHeaders.join(';'),
+    'UNSIGNED-PAYLOAD',
+  ].join('\n');
+
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    hmac,
+    hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region),
+  );
+  const signature = crypto
+    .createHmac('sha256', signingKey)
+    .update(stringToSign)
+    .digest('hex');
+
+  return {
+    method,
+    url: url.toString(),
+    timeout: REQUEST_TIMEOUT_MS,
+    headers: {
+      ...headers,
+      'x-amz-content-sha256': signed['x-amz-content-sha256'],
+      'x-amz-date': amzDate,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`,
+    },
+  };
+}
+
+async function send(request) {
+  try {
+    return await axios(request);
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new NotFoundError('Export file');
+    }
+    throw new ExternalServiceError(
+      'S3',
+      `${request.method} failed: ${error.response?.status || error.message}`,
+    );
+  }
+}
+
+/**
+ * Store a file
+ * @param {string} key - Object key
+ * @param {string} sourcePath - Local file to upload
+ * @param {Object} [options] - { contentType }
+ */
+export async function save(key, sourcePath, options = {}) {
+  const config = getConfig();
+  const { size } = await stat(sourcePath);
+  await send({
+    ...signedRequest(config, 'PUT', key, {
+      'Content-Type': options.contentType || 'application/octet-stream',
+      'Content-Length': size,
+    }),
+    data: fs.createReadStream(sourcePath),
+    maxBodyLength: Infinity,
+  });
+}
+
+/**
+ * Open a stored file
+ * @param {string} key - Object key
+ * @returns {Promise<Readable>} Object stream
+ */
+export async function createReadStream(key) {
+  const response = await send({
+    ...signedRequest(getConfig(), 'GET', key),
+    responseType: 'stream',
+  });
+  return response.data;
+}
+
+/**
+ * Delete a stored file
+ * @param {string} key - Object key
+ */
+export async function remove(key) {
+  try {
+    await send(signedRequest(getConfig(), 'DELETE', key));
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+  }
+}
+
+export default {
+  name,
+  save,
+  createReadStream,
+  remove,
+};
@@ -0,0 +1,54 @@
+import localStorage from './export-storage-local.js';
+import s3Storage from './export-storage-s3.js';
+
+/**
+ * Export Storage Registry
+ * Report exports are written through a storage adapter selected with
+ * EXPORT_STORAGE ('local' by default). Each export records the adapter it
+ * was stored with, so switching adapters keeps older files downloadable.
+ *
+ * An adapter is an object with:
+ * - name: string
+ * - save(key, sourcePath, { contentType }) → Promise<void>
+ * - createReadStream(key) → Promise<Readable> (NotFoundError if missing)
+ * - remove(key) → Promise<void> (missing files are ignored)
+ */
+
+const adapters = new Map();
+
+/**
+ * Register (or replace) a storage adapter
+ * @param {Object} adapter - Adapter implementation
+ */
+export function registerStorageAdapter(adapter) {
+  for (const fn of ['save', 'createReadStream', 'remove']) {
+    if (typeof adapter?.[fn] !== 'function') {
+      throw new Error(
+        `Export storage adapter ${adapter?.name} must implement ${fn}()`,
+      );
+    }
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+registerStorageAdapter(localStorage);
+registerStorageAdapter(s3Storage);
+
+/**
+ * Get a storage adapter
+ * @param {string} [name] - Adapter name (default: EXPORT_STORAGE or 'local')
+ * @returns {Object} Adapter
+ */
+export function getStorageAdapter(name = null) {
+  const adapterName = name || process.env.EXPORT_STORAGE || localStorage.name;
+  const adapter = adapters.get(adapterName);
+  if (!adapter) {
+    throw new Error(`Unknown export storage adapter: ${adapterName}`);
+  }
+  return adapter;
+}
+
+export default {
+  registerStorageAdapter,
+  getStorageAdapter,
+};
@@ -0,0 +1,434 @@
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Flow Rules
+ * The JSON model of custom automation flows, as saved by the visual builder:
+ *
+ *   { nodes: [{ id, type, next?, position?, ...fields }] }
+ *
+ * Every flow has one trigger node. Contacts walk the graph from it:
+ * - wait:      { delay: { amount, unit } } then next
+ * - condition: { condition } then yes or no
+ * - branch:    { branches: [{ condition, next }], defaultNext } first match wins
+ * - send_sms:  { message } then next
+ * - exit:      ends the run (so does a node without next)
+ *
+ * Graphs must be acyclic so every run ends. Node positions are kept for the
+ * builder and ignored by the engine.
+ */
+
+export const MAX_FLOW_NODES = 50;
+export const MAX_BRANCHES = 5;
+export const MAX_WAIT_DAYS = 90;
+// Sequence type of the AutomationSequence rows that track flow runs
+export const FLOW_SEQUENCE_PREFIX = 'flow:';
+
+export const FlowTrigger = {
+  subscribed: 'subscribed', // SMS opt-in confirmed
+  orderPlaced: 'order_placed',
+  orderFulfilled: 'order_fulfilled',
+  checkoutAbandoned: 'checkout_abandoned',
+};
+
+export const FLOW_TRIGGERS = Object.values(FlowTrigger);
+
+export const FlowStatus = {
+  draft: 'draft',
+  active: 'active',
+  paused: 'paused',
+};
+
+export const FLOW_STATUSES = Object.values(FlowStatus);
+
+export const NodeType = {
+  trigger: 'trigger',
+  wait: 'wait',
+  condition: 'condition',
+  branch: 'branch',
+  sendSms: 'send_sms',
+  exit: 'exit',
+};
+
+export const NODE_TYPES = Object.values(NodeType);
+
+export const ConditionType = {
+  hasPurchased: 'has_purchased', // { value, sinceEntry? }
+  clicked: 'clicked', // { value } a link sent by this flow run
+  hasTag: 'has_tag', // { tag }
+  orderValue: 'order_value', // { operator, value } of the triggering order
+};
+
+export const CONDITION_TYPES = Object.values(ConditionType);
+
+export const ComparisonOperator = {
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  eq: 'eq',
+};
+
+export const COMPARISON_OPERATORS = Object.values(ComparisonOperator);
+
+export const WaitUnit = {
+  minutes: 'minutes',
+  hours: 'hours',
+  days: 'days',
+};
+
+export const WAIT_UNITS = Object.values(WaitUnit);
+
+const UNIT_MS = {
+  [WaitUnit.minutes]: 60 * 1000,
+  [WaitUnit.hours]: 60 * 60 * 1000,
+  [WaitUnit.days]: 24 * 60 * 60 * 1000,
+};
+
+// Per-node stat events (AutomationFlowNodeStat.event)
+export const NodeEvent = {
+  entered: 'entered',
+  sent: 'sent',
+  skipped: 'skipped',
+  failed: 'failed',
+  yes: 'yes',
+  no: 'no',
+  defaultBranch: 'default',
+  exited: 'exited',
+};
+
+/**
+ * Stat event of a branch taken
+ * @param {number} index - Branch index
+ * @returns {string} e.g. branch_0
+ */
+export function branchEvent(index) {
+  return `branch_${index}`;
+}
+
+/**
+ * Sequence type of a flow's runs
+ * @param {string} flowId - Flow ID
+ * @returns {string}
+ */
+export function getSequenceType(flowId) {
+  return `${FLOW_SEQUENCE_PREFIX}${flowId}`;
+}
+
+/**
+ * Shopify object a trigger fired for
+ * Webhook retries carry the same key, so they never start a second run.
+ * @param {Object} [triggerData] - { orderId?, checkoutId? }
+ * @returns {string|null} order-<id>, checkout-<id> or null
+ */
+export function getTriggerKey(triggerData = {}) {
+  if (triggerData.orderId) {
+    return `order-${triggerData.orderId}`;
+  }
+  if (triggerData.checkoutId) {
+    return `checkout-${triggerData.checkoutId}`;
+  }
+  return null;
+}
+
+/**
+ * Node IDs a node leads to
+ * @param {Object} node - Flow node
+ * @returns {Array<string>}
+ */
+export function getNodeTargets(node) {
+  switch (node.type) {
+  case NodeType.condition:
+    return [node.yes, node.no].filter(Boolean);
+  case NodeType.branch:
+    return [...(node.branches || []).map(branch => branch.next), node.defaultNext].filter(
+      Boolean,
+    );
+  case NodeType.exit:
+    return [];
+  default:
+    return node.next ? [node.next] : [];
+  }
+}
+
+/**
+ * Find the trigger node of a graph
+ * @param {Object} graph - { nodes }
+ * @returns {Object|null}
+ */
+export function getTriggerNode(graph) {
+  return graph?.nodes?.find(node => node.type === NodeType.trigger) || null;
+}
+
+function validateCondition(condition, field, errors) {
+  if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+    errors.push({ field, message: 'Unknown condition type' });
+    return;
+  }
+  if (condition.type === ConditionType.hasTag && !condition.tag) {
+    errors.push({ field, message: 'has_tag needs a tag' });
+  }
+  if (
+    condition.type === ConditionType.orderValue &&
+    (!COMPARISON_OPERATORS.includes(condition.operator) || typeof condition.value !== 'number')
+  ) {
+    errors.push({ field, message: 'order_value needs an operator and a numeric value' });
+  }
+}
+
+function findCycle(nodesById, startId) {
+  const visiting = new Set();
+  const done = new Set();
+
+  const visit = id => {
+    if (done.has(id)) return null;
+    if (visiting.has(id)) return id;
+    visiting.add(id);
+    for (const target of getNodeTargets(nodesById.get(id))) {
+      const cycle = visit(target);
+      if (cycle) return cycle;
+    }
+    visiting.delete(id);
+    done.add(id);
+    return null;
+  };
+
+  return visit(startId);
+}
+
+/**
+ * Validate a flow graph
+ * Structure is checked by the request schema; this checks the graph itself.
+ * @param {Object} graph - { nodes }
+ * @throws {ValidationError} With one detail per problem
+ */
+export function validateFlowGraph(graph) {
+  const nodes = graph?.nodes || [];
+  const errors = [];
+
+  if (nodes.length > MAX_FLOW_NODES) {
+    errors.push({ field: 'graph.nodes', message: `A flow has at most ${MAX_FLOW_NODES} nodes` });
+  }
+
+  const nodesById = new Map();
+  nodes.forEach((node, index) => {
+    if (nodesById.has(node.id)) {
+      errors.push({ field: `graph.nodes.${index}.id`, message: `Duplicate node id '${node.id}'` });
+    }
+    nodesById.set(node.id, node);
+  });
+
+  const triggers = nodes.filter(node => node.type === NodeType.trigger);
+  if (triggers.length !== 1) {
+    errors.push({ field: 'graph.nodes', message: 'A flow needs exactly one trigger node' });
+  }
+
+  nodes.forEach((node, index) => {
+    const field = `graph.nodes.${index}`;
+
+    for (const target of getNodeTargets(node)) {
+      if (!nodesById.has(target)) {
+        errors.push({ field, message: `Node '${node.id}' links to unknown node '${target}'` });
+      } else if (nodesById.get(target).type === NodeType.trigger) {
+        errors.push({ field, message: `Node '${node.id}' links back to the trigger` });
+      }
+    }
+
+    if (node.type === NodeType.wait) {
+      const delayMs = getWaitDelayMs(node);
+      const maxDelayMs = MAX_WAIT_DAYS * UNIT_MS[WaitUnit.days];
+      if (!(delayMs >= UNIT_MS[WaitUnit.minutes]) || delayMs > maxDelayMs) {
+        errors.push({
+          field: `${field}.delay`,
+          message: `Waits must last between 1 minute and ${MAX_WAIT_DAYS} days`,
+        });
+      }
+    }
+    if (node.type === NodeType.condition) {
+      validateCondition(node.condition, `${field}.condition`, errors);
+    }
+    if (node.type === NodeType.branch) {
+      if (!node.branches?.length || node.branches.length > MAX_BRANCHES) {
+        errors.push({
+          field: `${field}.branches`,
+          message: `A branch has between 1 and ${MAX_BRANCHES} paths`,
+        });
+      }
+      (node.branches || []).forEach((branch, branchIndex) =>
+        validateCondition(branch.condition, `${field}.branches.${branchIndex}.condition`, errors),
+      );
+    }
+    if (node.type === NodeType.sendSms && !node.message?.trim()) {
+      errors.push({ field: `${field}.message`, message: 'SMS nodes need a message' });
+    }
+  });
+
+  if (errors.length === 0 && triggers.length === 1) {
+    const cycleAt = findCycle(nodesById, triggers[0].id);
+    if (cycleAt) {
+      errors.push({ field: 'graph.nodes', message: `The flow loops back to node '${cycleAt}'` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid flow', errors);
+  }
+}
+
+/**
+ * Delay of a wait node
+ * @param {Object} node - Wait node { delay: { amount, unit } }
+ * @returns {number} Milliseconds (NaN when malformed)
+ */
+export function getWaitDelayMs(node) {
+  const { amount, unit } = node?.delay || {};
+  return Number(amount) * (UNIT_MS[unit] ?? NaN);
+}
+
+function compare(actual, operator, expected) {
+  switch (operator) {
+  case ComparisonOperator.gt:
+    return actual > expected;
+  case ComparisonOperator.gte:
+    return actual >= expected;
+  case ComparisonOperator.lt:
+    return actual < expected;
+  case ComparisonOperator.lte:
+    return actual <= expected;
+  case ComparisonOperator.eq:
+    return actual === expected;
+  default:
+    return false;
+  }
+}
+
+/**
+ * Evaluate a condition for a contact
+ * @param {Object} condition - { type, ...fields }
+ * @param {Object} facts - { contact: { hasPurchased, lastOrderAt, tags, shopifyTags },
+ *   startedAt, clicked, orderValue }
+ * @returns {boolean}
+ */
+export function evaluateCondition(condition, facts) {
+  const contact = facts.contact || {};
+
+  switch (condition.type) {
+  case ConditionType.hasPurchased: {
+    const purchased = condition.sinceEntry
+      ? Boolean(contact.lastOrderAt && new Date(contact.lastOrderAt) > new Date(facts.startedAt))
+      : Boolean(contact.hasPurchased);
+    return purchased === (condition.value ?? true);
+  }
+  case ConditionType.clicked:
+    return Boolean(facts.clicked) === (condition.value ?? true);
+  case ConditionType.hasTag: {
+    const tag = String(condition.tag).trim().toLowerCase();
+    return [...(contact.tags || []), ...(contact.shopifyTags || [])].some(
+      value => value.trim().toLowerCase() === tag,
+    );
+  }
+  case ConditionType.orderValue: {
+    const value = Number(facts.orderValue);
+    return facts.orderValue != null && Number.isFinite(value)
+      ? compare(value, condition.operator, condition.value)
+      : false;
+  }
+  default:
+    return false;
+  }
+}
+
+/**
+ * Pick the path out of a condition or branch node
+ * @param {Object} node - Condition or branch node
+ * @param {Object} facts - See evaluateCondition
+ * @returns {Object} { event, next } next is null when the path is not linked
+ */
+export function resolvePath(node, facts) {
+  if (node.type === NodeType.condition) {
+    const matched = evaluateCondition(node.condition, facts);
+    return {
+      event: matched ? NodeEvent.yes : NodeEvent.no,
+      next: (matched ? node.yes : node.no) || null,
+    };
+  }
+
+  const index = (node.branches || []).findIndex(branch =>
+    evaluateCondition(branch.condition, facts),
+  );
+  return index === -1
+    ? { event: NodeEvent.defaultBranch, next: node.defaultNext || null }
+    : { event: branchEvent(index), next: node.branches[index].next || null };
+}
+
+/**
+ * Condition types a graph uses
+ * Lets the engine skip lookups (e.g. link clicks) no node needs.
+ * @param {Object} graph - { nodes }
+ * @returns {Set<string>}
+ */
+export function getUsedConditionTypes(graph) {
+  const types = new Set();
+  for (const node of graph?.nodes || []) {
+    if (node.type === NodeType.condition) types.add(node.condition?.type);
+    if (node.type === NodeType.branch) {
+      (node.branches || []).forEach(branch => types.add(branch.condition?.type));
+    }
+  }
+  return types;
+}
+
+/**
+ * Per-node stats of a flow
+ * @param {Object} graph - { nodes }
+ * @param {Array} rows - [{ nodeId, event, count }]
+ * @returns {Array} [{ nodeId, type, entered, events: { [event]: count } }] in graph order;
+ *   stats of removed nodes are dropped
+ */
+export function summarizeNodeStats(graph, rows) {
+  const byNode = new Map(
+    (graph?.nodes || []).map(node => [node.id, { nodeId: node.id, type: node.type, events: {} }]),
+  );
+
+  for (const row of rows) {
+    const stat = byNode.get(row.nodeId);
+    if (stat) {
+      stat.events[row.event] = (stat.events[row.event] || 0) + row.count;
+    }
+  }
+
+  return [...byNode.values()].map(stat => ({
+    ...stat,
+    entered: stat.events[NodeEvent.entered] || 0,
+  }));
+}
+
+export default {
+  MAX_FLOW_NODES,
+  MAX_BRANCHES,
+  MAX_WAIT_DAYS,
+  FLOW_SEQUENCE_PREFIX,
+  FlowTrigger,
+  FLOW_TRIGGERS,
+  FlowStatus,
+  FLOW_STATUSES,
+  NodeType,
+  NODE_TYPES,
+  ConditionType,
+  CONDITION_TYPES,
+  ComparisonOperator,
+  COMPARISON_OPERATORS,
+  WaitUnit,
+  WAIT_UNITS,
+  NodeEvent,
+  branchEvent,
+  getSequenceType,
+  getTriggerKey,
+  getNodeTargets,
+  getTriggerNode,
+  validateFlowGraph,
+  getWaitDelayMs,
+  evaluateCondition,
+  resolvePath,
+  getUsedConditionTypes,
+  summarizeNodeStats,
+};
@@ -0,0 +1,669 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+import { scheduleAutomation, cancelScheduledAutomation } from './automation-scheduler.js';
+import { sendAutomationMessage } from './automations.js';
+import { useTemplate } from './shop-templates.js';
+import {
+  MAX_FLOW_NODES,
+  ConditionType,
+  FlowStatus,
+  NodeEvent,
+  NodeType,
+  getSequenceType,
+  getTriggerKey,
+  getTriggerNode,
+  getUsedConditionTypes,
+  getWaitDelayMs,
+  resolvePath,
+  summarizeNodeStats,
+  validateFlowGraph,
+} from './flow-rules.js';
+
+/**
+ * Flows Service
+ * Custom automation flows built by shops (see services/flow-rules.js for the
+ * graph model). Each contact entering a flow gets an AutomationSequence row
+ * (sequenceType flow:<flowId>) that follows it through the graph. The step
+ * after the trigger and the step after each wait run as 'flow-step'
+ * automation jobs, so quiet hours, retries and opt-out cancellation apply as
+ * for the built-in series. Messages and their links are attributed to the
+ * flow ID.
+ */
+
+export const FLOW_STEP_JOB = 'flow-step';
+
+const RunStatus = {
+  active: 'active',
+  completed: 'completed',
+  cancelled: 'cancelled',
+};
+
+async function findFlow(storeId, flowId) {
+  const flow = await prisma.automationFlow.findFirst({
+    where: { id: flowId, shopId: storeId },
+  });
+  if (!flow) {
+    throw new NotFoundError('Flow');
+  }
+  return flow;
+}
+
+/**
+ * Copy the content of linked templates into SMS nodes without a message
+ */
+async function resolveTemplates(storeId, graph) {
+  const nodes = await Promise.all(
+    graph.nodes.map(async node => {
+      if (node.type !== NodeType.sendSms || node.message || !node.templateId) {
+        return node;
+      }
+      const template = await useTemplate(storeId, node.templateId);
+      return { ...node, message: template.content };
+    }),
+  );
+  return { ...graph, nodes };
+}
+
+async function recordNodeEvent(flowId, nodeId, event) {
+  try {
+    await prisma.automationFlowNodeStat.upsert({
+      where: { flowId_nodeId_event: { flowId, nodeId, event } },
+      create: { flowId, nodeId, event, count: 1 },
+      update: { count: { increment: 1 } },
+    });
+  } catch (error) {
+    // Stats never stop a run
+    logger.warn('Failed to record flow node stat', { flowId, nodeId, event, error: error.message });
+  }
+}
+
+async function saveProgress(run, node, extra = {}) {
+  run.currentStep += 1;
+  run.metadata = { ...run.metadata, currentNodeId: node.id };
+  await prisma.automationSequence.update({
+    where: { id: run.id },
+    data: { currentStep: run.currentStep, metadata: run.metadata, ...extra },
+  });
+}
+
+async function finishRun(run, status, endReason = null) {
+  await prisma.automationSequence.update({
+    where: { id: run.id },
+    data: {
+      status,
+      scheduledJobs: [],
+      ...(status === RunStatus.completed
+        ? { completedAt: new Date() }
+        : { cancelledAt: new Date() }),
+      metadata: { ...run.metadata, ...(endReason && { endReason }) },
+    },
+  });
+  logger.info('Flow run finished', {
+    runId: run.id,
+    shopId: run.shopId,
+    flowId: run.metadata?.flowId,
+    status,
+    endReason,
+  });
+}
+
+/**
+ * Queue the step that continues a run after a node
+ */
+async function scheduleFlowStep(flow, run, node, delayMs, jobId) {
+  const job = await scheduleAutomation({
+    jobName: FLOW_STEP_JOB,
+    data: {
+      shopId: flow.shopId,
+      contactId: run.contactId,
+      flowId: flow.id,
+      runId: run.id,
+      fromNodeId: node.id,
+    },
+    delayMs,
+    jobId,
+  });
+  return String(job.id);
+}
+
+async function hasClickedFlowLink(flow, run) {
+  const clicked = await prisma.shortLink.count({
+    where: {
+      shopId: flow.shopId,
+      contactId: run.contactId,
+      automationId: flow.id,
+      clicks: { gt: 0 },
+      createdAt: { gte: run.startedAt },
+    },
+  });
+  return clicked > 0;
+}
+
+/**
+ * Walk a run from a node until it waits or ends
+ * @param {Object} flow - AutomationFlow
+ * @param {Object} run - AutomationSequence of the contact
+ * @param {string|null} nodeId - Node to continue at
+ * @returns {Promise<Object>} { status, nodeId? }
+ */
+async function advanceRun(flow, run, nodeId) {
+  const nodesById = new Map(flow.graph.nodes.map(node => [node.id, node]));
+  const contact = await prisma.contact.findFirst({
+    where: { id: run.contactId, shopId: flow.shopId },
+  });
+  if (!contact) {
+    await finishRun(run, RunStatus.cancelled, 'contact_deleted');
+    return { status: RunStatus.cancelled };
+  }
+
+  let shop = null;
+  let facts = null;
+  const getFacts = async () => {
+    if (!facts) {
+      facts = {
+        contact,
+        startedAt: run.startedAt,
+        orderValue: run.metadata?.triggerData?.orderValue ?? null,
+        clicked: getUsedConditionTypes(flow.graph).has(ConditionType.clicked)
+          ? await hasClickedFlowLink(flow, run)
+          : false,
+      };
+    }
+    return facts;
+  };
+
+  let currentId = nodeId;
+  // Graphs are acyclic, so a run passes each node at most once
+  for (let steps = 0; currentId && steps < MAX_FLOW_NODES; steps++) {
+    const node = nodesById.get(currentId);
+    if (!node) {
+      await finishRun(run, RunStatus.cancelled, 'node_removed');
+      return { status: RunStatus.cancelled };
+    }
+
+    await recordNodeEvent(flow.id, node.id, NodeEvent.entered);
+
+    switch (node.type) {
+    case NodeType.wait: {
+      const jobId = await scheduleFlowStep(
+        flow,
+        run,
+        node,
+        getWaitDelayMs(node),
+        `flow-${run.id}-${node.id}-${Date.now()}`,
+      );
+      await saveProgress(run, node, { scheduledJobs: [jobId] });
+      return { status: RunStatus.active, nodeId: node.id };
+    }
+    case NodeType.condition:
+    case NodeType.branch: {
+      const { event, next } = resolvePath(node, await getFacts());
+      await recordNodeEvent(flow.id, node.id, event);
+      await saveProgress(run, node);
+      currentId = next;
+      break;
+    }
+    case NodeType.sendSms: {
+      if (contact.smsConsent !== 'opted_in') {
+        await recordNodeEvent(flow.id, node.id, NodeEvent.skipped);
+        await finishRun(run, RunStatus.cancelled, 'no_consent');
+        return { status: RunStatus.cancelled };
+      }
+
+      try {
+        if (!shop) {
+          shop = await prisma.shop.findUnique({
+            where: { id: flow.shopId },
+            include: { settings: true },
+          });
+        }
+        const smsResult = await sendAutomationMessage({
+          shopId: flow.shopId,
+          contact,
+          shop,
+          message: node.message,
+          automationId: flow.id,
+          additionalData: run.metadata?.triggerData?.variables || {},
+        });
+        if (!smsResult?.messageId) {
+          throw new Error('SMS sending failed - unexpected result');
+        }
+        await recordNodeEvent(flow.id, node.id, NodeEvent.sent);
+      } catch (error) {
+        // A failed message does not stop the flow
+        await recordNodeEvent(flow.id, node.id, NodeEvent.failed);
+        logger.warn('Flow message failed', {
+          flowId: flow.id,
+          runId: run.id,
+          nodeId: node.id,
+          error: error.message,
+        });
+      }
+      await saveProgress(run, node);
+      currentId = node.next || null;
+      break;
+    }
+    case NodeType.exit:
+      await recordNodeEvent(flow.id, node.id, NodeEvent.exited);
+      await saveProgress(run, node);
+      currentId = null;
+      break;
+    default:
+      await saveProgress(run, node);
+      currentId = node.next || null;
+    }
+  }
+
+  await finishRun(run, RunStatus.completed);
+  return { status: RunStatus.completed };
+}
+
+/**
+ * Start a flow for a contact
+ * Contacts without SMS consent, already in the flow, done with a flow that
+ * does not allow re-entry, or already run for the same order or checkout are
+ * skipped. The run continues in a queued step, never inside the caller.
+ * @param {Object} flow - Active AutomationFlow
+ * @param {string} contactId - Contact ID
+ * @param {Object} [triggerData] - { orderValue?, orderId?, checkoutId?, variables? }
+ * @returns {Promise<Object|null>} { runId, status } or null when skipped
+ */
+export async function startFlowRun(flow, contactId, triggerData = {}) {
+  const contact = await prisma.contact.findFirst({
+    where: { id: contactId, shopId: flow.shopId },
+    select: { id: true, smsConsent: true },
+  });
+  if (!contact || contact.smsConsent !== 'opted_in') {
+    return null;
+  }
+
+  const sequenceType = getSequenceType(flow.id);
+  const existing = await prisma.automationSequence.findUnique({
+    where: {
+      shopId_contactId_sequenceType: { shopId: flow.shopId, contactId, sequenceType },
+    },
+  });
+  const triggerKey = getTriggerKey(triggerData);
+  if (
+    existing &&
+    (existing.status === RunStatus.active ||
+      !flow.allowReentry ||
+      (triggerKey && existing.metadata?.triggerKey === triggerKey))
+  ) {
+    return null;
+  }
+
+  const trigger = getTriggerNode(flow.graph);
+  const data = {
+    currentStep: 1,
+    totalSteps: flow.graph.nodes.length,
+    status: RunStatus.active,
+    startedAt: new Date(),
+    completedAt: null,
+    cancelledAt: null,
+    scheduledJobs: [],
+    metadata: {
+      flowId: flow.id,
+      flowVersion: flow.version,
+      currentNodeId: trigger.id,
+      triggerKey,
+      triggerData,
+    },
+  };
+
+  let run;
+  try {
+    run = existing
+      ? await prisma.automationSequence.update({ where: { id: existing.id }, data })
+      : await prisma.automationSequence.create({
+        data: { shopId: flow.shopId, contactId, sequenceType, ...data },
+      });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return null; // Started concurrently by the same event
+    }
+    throw error;
+  }
+
+  await recordNodeEvent(flow.id, trigger.id, NodeEvent.entered);
+
+  let jobId;
+  try {
+    jobId = await scheduleFlowStep(
+      flow,
+      run,
+      trigger,
+      0,
+      triggerKey
+        ? `flow-${flow.id}-${contactId}-${triggerKey}`
+        : `flow-${run.id}-${trigger.id}-${Date.now()}`,
+    );
+  } catch (error) {
+    await finishRun(run, RunStatus.cancelled, 'schedule_failed');
+    throw error;
+  }
+  await prisma.automationSequence.update({
+    where: { id: run.id },
+    data: { scheduledJobs: [jobId] },
+  });
+
+  logger.info('Flow run started', {
+    flowId: flow.id,
+    shopId: flow.shopId,
+    contactId,
+    runId: run.id,
+    jobId,
+  });
+
+  return { runId: run.id, status: RunStatus.active };
+}
+
+/**
+ * Start every active flow of a shop listening to a trigger
+ * Never throws: triggers come from webhooks and opt-in handlers.
+ * @param {string} shopId - Shop ID
+ * @param {string} contactId - Contact ID
+ * @param {string} trigger - FlowTrigger
+ * @param {Object} [triggerData] - See startFlowRun
+ * @returns {Promise<number>} Runs started
+ */
+export async function startFlowsForTrigger(shopId, contactId, trigger, triggerData = {}) {
+  let started = 0;
+  try {
+    const flows = await prisma.automationFlow.findMany({
+      where: { shopId, trigger, status: FlowStatus.active },
+    });
+
+    for (const flow of flows) {
+      try {
+        if (await startFlowRun(flow, contactId, triggerData)) {
+          started++;
+        }
+      } catch (error) {
+        logger.error('Failed to start flow run', {
+          flowId: flow.id,
+          shopId,
+          contactId,
+          error: error.message,
+        });
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to start flows for trigger', {
+      shopId,
+      contactId,
+      trigger,
+      error: error.message,
+    });
+  }
+  return started;
+}
+
+/**
+ * Continue a run after its trigger or a wait (flow-step automation job)
+ * @param {Object} data - Job data { shopId, flowId, runId, fromNodeId }
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} { success, status?, reason? }
+ */
+export async function executeFlowStep({ shopId, flowId, runId, fromNodeId }, jobId) {
+  await prisma.scheduledAutomation.updateMany({
+    where: { shopId, jobId: String(jobId) },
+    data: { status: 'executed', executedAt: new Date() },
+  });
+
+  const run = await prisma.automationSequence.findFirst({
+    where: { id: runId, shopId },
+  });
+  // A retried job must not repeat steps taken after this node
+  if (run?.status !== RunStatus.active || run.metadata?.currentNodeId !== fromNodeId) {
+    return { success: false, reason: 'run_not_waiting' };
+  }
+
+  const flow = await prisma.automationFlow.findFirst({
+    where: { id: flowId, shopId },
+  });
+  if (!flow || flow.status !== FlowStatus.active) {
+    await finishRun(run, RunStatus.cancelled, 'flow_inactive');
+    return { success: false, reason: 'flow_inactive' };
+  }
+
+  const fromNode = flow.graph.nodes.find(node => node.id === fromNodeId);
+  if (!fromNode) {
+    await finishRun(run, RunStatus.cancelled, 'node_removed');
+    return { success: false, reason: 'node_removed' };
+  }
+
+  const result = await advanceRun(flow, run, fromNode.next || null);
+  return { success: true, ...result };
+}
+
+/**
+ * Cancel the runs of a flow still in progress
+ * @param {Object} flow - AutomationFlow
+ * @returns {Promise<number>} Runs cancelled
+ */
+async function cancelFlowRuns(flow) {
+  const runs = await prisma.automationSequence.findMany({
+    where: {
+      shopId: flow.shopId,
+      sequenceType: getSequenceType(flow.id),
+      status: RunStatus.active,
+    },
+    select: { id: true, scheduledJobs: true },
+  });
+
+  for (const run of runs) {
+    for (const jobId of run.scheduledJobs) {
+      await cancelScheduledAutomation(jobId, flow.shopId);
+    }
+  }
+
+  if (runs.length > 0) {
+    await prisma.automationSequence.updateMany({
+      where: { id: { in: runs.map(run => run.id) } },
+      data: { status: RunStatus.cancelled, cancelledAt: new Date(), scheduledJobs: [] },
+    });
+  }
+
+  return runs.length;
+}
+
+async function getRunCounts(flow) {
+  const groups = await prisma.automationSequence.groupBy({
+    by: ['status'],
+    where: { shopId: flow.shopId, sequenceType: getSequenceType(flow.id) },
+    _count: { _all: true },
+  });
+  return Object.fromEntries(
+    Object.values(RunStatus).map(status => [
+      status,
+      groups.find(group => group.status === status)?._count._all || 0,
+    ]),
+  );
+}
+
+/**
+ * List the flows of a shop
+ * @param {string} storeId - Store ID
+ * @param {Object} filters - { status, trigger }
+ * @returns {Promise<Array>} Flows without their graph
+ */
+export async function listFlows(storeId, { status, trigger } = {}) {
+  const flows = await prisma.automationFlow.findMany({
+    where: {
+      shopId: storeId,
+      ...(status && { status }),
+      ...(trigger && { trigger }),
+    },
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  return flows.map(({ graph, ...flow }) => ({ ...flow, nodeCount: graph?.nodes?.length || 0 }));
+}
+
+/**
+ * Get a flow
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @returns {Promise<Object>} Flow with its graph
+ */
+export async function getFlow(storeId, flowId) {
+  return findFlow(storeId, flowId);
+}
+
+/**
+ * Per-node and per-run stats of a flow
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @returns {Promise<Object>} { flowId, version, runs, nodes }
+ */
+export async function getFlowStats(storeId, flowId) {
+  const flow = await findFlow(storeId, flowId);
+  const [rows, runs] = await Promise.all([
+    prisma.automationFlowNodeStat.findMany({
+      where: { flowId },
+      select: { nodeId: true, event: true, count: true },
+    }),
+    getRunCounts(flow),
+  ]);
+
+  return {
+    flowId,
+    version: flow.version,
+    runs,
+    nodes: summarizeNodeStats(flow.graph, rows),
+  };
+}
+
+/**
+ * Create a flow (as a draft)
+ * @param {string} storeId - Store ID
+ * @param {Object} data - { name, description?, trigger, graph, allowReentry? }
+ * @returns {Promise<Object>} Flow
+ */
+export async function createFlow(storeId, data) {
+  const graph = await resolveTemplates(storeId, data.graph);
+  validateFlowGraph(graph);
+
+  const flow = await prisma.automationFlow.create({
+    data: {
+      shopId: storeId,
+      name: data.name,
+      description: data.description || null,
+      trigger: data.trigger,
+      graph,
+      allowReentry: data.allowReentry ?? false,
+    },
+  });
+
+  logger.info('Flow created', { storeId, flowId: flow.id, trigger: flow.trigger });
+  return flow;
+}
+
+/**
+ * Update a flow
+ * Runs in progress continue on the new graph; runs waiting on a removed
+ * node end when they resume.
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @param {Object} data - { name?, description?, trigger?, graph?, allowReentry? }
+ * @returns {Promise<Object>} Flow
+ */
+export async function updateFlow(storeId, flowId, data) {
+  const existing = await findFlow(storeId, flowId);
+
+  let graph;
+  if (data.graph !== undefined) {
+    graph = await resolveTemplates(storeId, data.graph);
+    validateFlowGraph(graph);
+  }
+
+  const flow = await prisma.automationFlow.update({
+    where: { id: existing.id },
+    data: {
+      ...(data.name !== undefined && { name: data.name }),
+      ...(data.description !== undefined && { description: data.description }),
+      ...(data.trigger !== undefined && { trigger: data.trigger }),
+      ...(data.allowReentry !== undefined && { allowReentry: data.allowReentry }),
+      ...(graph && { graph, version: { increment: 1 } }),
+    },
+  });
+
+  logger.info('Flow updated', { storeId, flowId, version: flow.version });
+  return flow;
+}
+
+/**
+ * Activate a flow
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @returns {Promise<Object>} Flow
+ */
+export async function activateFlow(storeId, flowId) {
+  const existing = await findFlow(storeId, flowId);
+  if (existing.status === FlowStatus.active) {
+    throw new ConflictError('Flow is already active');
+  }
+  validateFlowGraph(existing.graph);
+
+  const flow = await prisma.automationFlow.update({
+    where: { id: existing.id },
+    data: { status: FlowStatus.active, activatedAt: new Date() },
+  });
+
+  logger.info('Flow activated', { storeId, flowId });
+  return flow;
+}
+
+/**
+ * Pause a flow
+ * No new contacts enter it and runs in progress are cancelled.
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ * @returns {Promise<Object>} { flow, cancelledRuns }
+ */
+export async function pauseFlow(storeId, flowId) {
+  const existing = await findFlow(storeId, flowId);
+  if (existing.status !== FlowStatus.active) {
+    throw new ConflictError('Flow is not active');
+  }
+
+  const flow = await prisma.automationFlow.update({
+    where: { id: existing.id },
+    data: { status: FlowStatus.paused },
+  });
+  const cancelledRuns = await cancelFlowRuns(flow);
+
+  logger.info('Flow paused', { storeId, flowId, cancelledRuns });
+  return { flow, cancelledRuns };
+}
+
+/**
+ * Delete a flow, cancelling its runs in progress
+ * @param {string} storeId - Store ID
+ * @param {string} flowId - Flow ID
+ */
+export async function deleteFlow(storeId, flowId) {
+  const flow = await findFlow(storeId, flowId);
+  const cancelledRuns = await cancelFlowRuns(flow);
+
+  await prisma.automationFlow.delete({ where: { id: flow.id } });
+
+  logger.info('Flow deleted', { storeId, flowId, cancelledRuns });
+}
+
+export default {
+  FLOW_STEP_JOB,
+  startFlowRun,
+  startFlowsForTrigger,
+  executeFlowStep,
+  listFlows,
+  getFlow,
+  getFlowStats,
+  createFlow,
+  updateFlow,
+  activateFlow,
+  pauseFlow,
+  deleteFlow,
+};
@@ -0,0 +1,120 @@
+/**
+ * Inbound Keyword Rules
+ * STOP/START/HELP keyword lists and how an inbound reply is matched
+ * against them
+ */
+
+export const KeywordAction = {
+  stop: 'stop',
+  start: 'start',
+  help: 'help',
+  confirm: 'confirm',
+};
+
+/**
+ * Built-in keywords, always active for every shop
+ * Stored already normalized (uppercase, no accents). Confirm keywords only
+ * confirm a pending double opt-in: a bare "yes" to an ordinary message
+ * must never re-subscribe an opted-out contact.
+ */
+export const DEFAULT_KEYWORDS = {
+  [KeywordAction.stop]: [
+    'STOP',
+    'STOPALL',
+    'UNSUBSCRIBE',
+    'CANCEL',
+    'END',
+    'QUIT',
+    'OPTOUT',
+    'ΔΙΑΚΟΠΗ',
+    'ΣΤΟΠ',
+  ],
+  [KeywordAction.start]: ['START', 'UNSTOP', 'SUBSCRIBE', 'ΕΝΑΡΞΗ'],
+  [KeywordAction.help]: ['HELP', 'INFO', 'ΒΟΗΘΕΙΑ'],
+  [KeywordAction.confirm]: ['YES'],
+};
+
+/**
+ * Normalize a keyword or message for comparison
+ * Uppercases, strips accents (e.g. "Διακοπή" → "ΔΙΑΚΟΠΗ") and punctuation
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+export function normalizeKeyword(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .trim();
+}
+
+/**
+ * Build the keyword lists for a shop (defaults + shop additions)
+ * @param {Object|null} settings - ShopSettings with keyword fields
+ * @returns {Object} Keyword lists keyed by action
+ */
+export function buildKeywordLists(settings) {
+  const merge = (defaults, custom) => [
+    ...new Set([
+      ...defaults,
+      ...(custom || []).map(normalizeKeyword).filter(Boolean),
+    ]),
+  ];
+
+  return {
+    [KeywordAction.stop]: merge(
+      DEFAULT_KEYWORDS[KeywordAction.stop],
+      settings?.stopKeywords,
+    ),
+    [KeywordAction.start]: merge(
+      DEFAULT_KEYWORDS[KeywordAction.start],
+      settings?.startKeywords,
+    ),
+    [KeywordAction.help]: merge(
+      DEFAULT_KEYWORDS[KeywordAction.help],
+      settings?.helpKeywords,
+    ),
+    [KeywordAction.confirm]: [...DEFAULT_KEYWORDS[KeywordAction.confirm]],
+  };
+}
+
+/**
+ * Match an inbound message against keyword lists
+ * The whole message must be the keyword; punctuation, emoji and spacing
+ * are ignored ("Stop!", "stop 🙏", "Opt out"), so ordinary replies that
+ * merely start with a keyword ("Stop by tomorrow?") never change consent.
+ * STOP wins over START/HELP if a shop configured overlapping keywords;
+ * shop keywords win over the built-in confirm keywords.
+ * @param {string} text - Inbound message text
+ * @param {Object} keywordLists - Output of buildKeywordLists
+ * @returns {Object|null} { action, keyword } or null if no keyword matched
+ */
+export function matchKeyword(text, keywordLists) {
+  const normalized = normalizeKeyword(text);
+  if (!normalized) return null;
+
+  const candidates = [normalized.replace(/\s+/g, ' '), normalized.replace(/\s+/g, '')];
+
+  for (const action of [
+    KeywordAction.stop,
+    KeywordAction.start,
+    KeywordAction.help,
+    KeywordAction.confirm,
+  ]) {
+    const keyword = keywordLists[action].find(k => candidates.includes(k));
+    if (keyword) {
+      return { action, keyword };
+    }
+  }
+
+  return null;
+}
+
+export default {
+  KeywordAction,
+  DEFAULT_KEYWORDS,
+  normalizeKeyword,
+  buildKeywordLists,
+  matchKeyword,
+};
@@ -0,0 +1,200 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { sendSms } from './sms-provider.js';
+import {
+  setContactConsent,
+  recordConsentEvent,
+  confirmPendingOptIn,
+  ConsentSource,
+} from './consent.js';
+import { cancelAutomationsForContact } from './automation-scheduler.js';
+import { SmsConsent } from '../utils/prismaEnums.js';
+import {
+  KeywordAction,
+  DEFAULT_KEYWORDS,
+  normalizeKeyword,
+  buildKeywordLists,
+  matchKeyword,
+} from './inbound-keyword-rules.js';
+
+/**
+ * Inbound Keywords Service
+ * Handles STOP/START/HELP replies: updates consent, cancels pending
+ * automations and sends the compliance auto-reply. YES only confirms a
+ * pending double opt-in.
+ */
+
+function buildReplyText(action, shopName, settings) {
+  switch (action) {
+  case KeywordAction.stop:
+    return `${shopName}: You have been unsubscribed and will receive no further messages. Reply START to resubscribe.`;
+  case KeywordAction.start:
+  case KeywordAction.confirm:
+    return `${shopName}: You are now subscribed to SMS messages. Msg frequency varies. Reply HELP for help, STOP to unsubscribe.`;
+  case KeywordAction.help:
+    return (
+      settings?.helpReplyText ||
+      `${shopName}: For help contact the store. Reply STOP to unsubscribe, START to resubscribe.`
+    );
+  default:
+    return null;
+  }
+}
+
+async function sendAutoReply(shopId, phoneE164, text, action) {
+  try {
+    // Compliance replies are free: they must go out even with no credits left
+    const result = await sendSms({
+      to: phoneE164,
+      text,
+      shopId,
+      skipCreditCheck: true,
+    });
+
+    await prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164,
+        direction: 'outbound',
+        provider: result.provider,
+        providerMsgId: result.messageId,
+        status: 'sent',
+        text,
+        payload: { type: 'keyword_reply', action, text },
+      },
+    });
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to send keyword auto-reply', {
+      shopId,
+      phoneE164,
+      action,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Process an inbound message for STOP/START/HELP keywords
+ * @param {Object} params
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.phoneE164 - Sender phone number
+ * @param {string} params.text - Message text
+ * @returns {Promise<Object>} { matched, action, keyword, consentChanged, replied }
+ */
+export async function processInboundKeyword({ shopId, phoneE164, text }) {
+  const [settings, shop] = await Promise.all([
+    prisma.shopSettings.findUnique({
+      where: { shopId },
+      select: {
+        stopKeywords: true,
+        startKeywords: true,
+        helpKeywords: true,
+        helpReplyText: true,
+      },
+    }),
+    prisma.shop.findUnique({
+      where: { id: shopId },
+      select: { shopName: true, shopDomain: true },
+    }),
+  ]);
+
+  const match = matchKeyword(text, buildKeywordLists(settings));
+  if (!match) {
+    return { matched: false };
+  }
+
+  const { action, keyword } = match;
+  const shopName =
+    shop?.shopName || shop?.shopDomain?.replace('.myshopify.com', '') || 'Store';
+
+  const contact = await prisma.contact.findFirst({
+    where: { shopId, phoneE164 },
+    select: { id: true, smsConsent: true },
+  });
+
+  let consentChanged = false;
+
+  // YES/START confirms a pending double opt-in (audited as double_opt_in)
+  const confirmation =
+    contact &&
+    (action === KeywordAction.start || action === KeywordAction.confirm)
+      ? await confirmPendingOptIn(shopId, contact.id, { keyword })
+      : null;
+
+  // Without a pending confirmation YES is an ordinary reply
+  if (action === KeywordAction.confirm && !confirmation) {
+    return { matched: false };
+  }
+
+  if (confirmation) {
+    consentChanged = confirmation.changed;
+  } else if (contact && action !== KeywordAction.help) {
+    const newState =
+      action === KeywordAction.stop ? SmsConsent.opted_out : SmsConsent.opted_in;
+
+    const result = await setContactConsent(shopId, contact.id, newState, {
+      source: ConsentSource.inbound_keyword,
+      keyword,
+      meta: { text },
+    });
+    consentChanged = result.changed;
+
+    if (action === KeywordAction.stop) {
+      await cancelAutomationsForContact(shopId, contact.id);
+    }
+  } else if (!contact && action === KeywordAction.stop) {
+    // Keep evidence of the opt-out even if the number is not a contact yet
+    await recordConsentEvent({
+      shopId,
+      phoneE164,
+      newState: SmsConsent.opted_out,
+      source: ConsentSource.inbound_keyword,
+      keyword,
+      meta: { text, contactFound: false },
+    });
+  }
+
+  // START from an unknown number is not a consent: there is no contact to opt in
+  const shouldReply = action !== KeywordAction.start || !!contact;
+  const replied = shouldReply
+    ? await sendAutoReply(
+      shopId,
+      phoneE164,
+      buildReplyText(action, shopName, settings),
+      action,
+    )
+    : false;
+
+  logger.info('Inbound keyword processed', {
+    shopId,
+    phoneE164: `${phoneE164.substring(0, 5)}***`,
+    action,
+    keyword,
+    contactFound: !!contact,
+    confirmedOptIn: !!confirmation,
+    consentChanged,
+    replied,
+  });
+
+  return { matched: true, action, keyword, consentChanged, replied };
+}
+
+export {
+  KeywordAction,
+  DEFAULT_KEYWORDS,
+  normalizeKeyword,
+  buildKeywordLists,
+  matchKeyword,
+};
+
+export default {
+  KeywordAction,
+  DEFAULT_KEYWORDS,
+  normalizeKeyword,
+  buildKeywordLists,
+  matchKeyword,
+  processInboundKeyword,
+};
@@ -0,0 +1,151 @@
+/**
+ * Inbox Thread Rules
+ * Build the history of a conversation from the two places SMS are recorded:
+ *
+ * - MessageLog: inbound messages, automations, inbox replies, keyword
+ *   auto-replies and single campaign sends
+ * - CampaignRecipient: bulk campaign sends (no MessageLog row). Their text
+ *   is the campaign (or variant) template, before personalization.
+ *
+ * A campaign send logged in both places is shown once (same provider
+ * message ID).
+ */
+
+export const ThreadMessageSource = {
+  inbound: 'inbound',
+  campaign: 'campaign',
+  automation: 'automation',
+  reply: 'reply',
+  system: 'system',
+};
+
+export const INBOX_REPLY_TYPE = 'inbox_reply';
+export const PREVIEW_LENGTH = 160;
+
+/**
+ * Text of a MessageLog row
+ * Rows logged before MessageLog.text existed keep it in the payload.
+ * @param {Object} log - MessageLog
+ * @returns {string|null} Text
+ */
+export function getMessageLogText(log) {
+  if (log.text) {
+    return log.text;
+  }
+  const payload = log.payload || {};
+  return payload.text || payload.message || payload.body || null;
+}
+
+/**
+ * Shorten a message for conversation lists
+ * @param {string|null} text - Message text
+ * @returns {string|null} Preview
+ */
+export function buildPreview(text) {
+  if (!text) {
+    return null;
+  }
+  const compact = String(text).replace(/\s+/g, ' ').trim();
+  return compact.length > PREVIEW_LENGTH
+    ? `${compact.slice(0, PREVIEW_LENGTH - 1)}…`
+    : compact;
+}
+
+function getLogSource(log) {
+  if (log.direction === 'inbound') {
+    return ThreadMessageSource.inbound;
+  }
+  if (log.campaignId) {
+    return ThreadMessageSource.campaign;
+  }
+  if (log.automationId) {
+    return ThreadMessageSource.automation;
+  }
+  if (log.payload?.type === INBOX_REPLY_TYPE) {
+    return ThreadMessageSource.reply;
+  }
+  return ThreadMessageSource.system;
+}
+
+/**
+ * Convert a MessageLog row to a thread message
+ * @param {Object} log - MessageLog
+ * @returns {Object} Thread message
+ */
+export function logToThreadMessage(log) {
+  return {
+    id: log.id,
+    direction: log.direction,
+    source: getLogSource(log),
+    text: getMessageLogText(log),
+    template: false,
+    status: log.status || null,
+    deliveryStatus: log.deliveryStatus || null,
+    campaignId: log.campaignId || null,
+    automationId: log.automationId || null,
+    createdAt: log.createdAt,
+  };
+}
+
+/**
+ * Convert a CampaignRecipient row to a thread message
+ * @param {Object} recipient - CampaignRecipient with campaign and variant
+ * @returns {Object} Thread message
+ */
+export function recipientToThreadMessage(recipient) {
+  return {
+    id: recipient.id,
+    direction: 'outbound',
+    source: ThreadMessageSource.campaign,
+    text: recipient.variant?.message || recipient.campaign?.message || null,
+    template: true,
+    status: recipient.status || null,
+    deliveryStatus: recipient.deliveryStatus || null,
+    campaignId: recipient.campaignId,
+    campaignName: recipient.campaign?.name || null,
+    automationId: null,
+    createdAt: recipient.sentAt,
+  };
+}
+
+/**
+ * Merge one page of thread history, newest first
+ * Each source must be sorted newest first and hold up to `limit` rows
+ * older than the page cursor.
+ * @param {Array<Object>} logs - MessageLog rows
+ * @param {Array<Object>} recipients - CampaignRecipient rows (sentAt set)
+ * @param {number} limit - Page size
+ * @returns {Object} { messages, nextBefore } (nextBefore null on the last page)
+ */
+export function mergeThreadMessages(logs, recipients, limit) {
+  const loggedIds = new Set(
+    logs.map(log => log.providerMsgId).filter(Boolean),
+  );
+
+  const messages = [
+    ...logs.map(logToThreadMessage),
+    ...recipients
+      .filter(recipient => !loggedIds.has(recipient.mittoMessageId))
+      .map(recipientToThreadMessage),
+  ].sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime());
+
+  const page = messages.slice(0, limit);
+  const hasMore =
+    messages.length > limit || logs.length >= limit || recipients.length >= limit;
+
+  return {
+    messages: page,
+    nextBefore: hasMore && page.length > 0 ? page[page.length - 1].createdAt : null,
+  };
+}
+
+export default {
+  ThreadMessageSource,
+  INBOX_REPLY_TYPE,
+  PREVIEW_LENGTH,
+  getMessageLogText,
+  buildPreview,
+  logToThreadMessage,
+  recipientToThreadMessage,
+  mergeThreadMessages,
+};
@@ -0,0 +1,376 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { sendSms } from './sms-provider.js';
+import { getMessageCredits } from './message-pricing.js';
+import {
+  INBOX_REPLY_TYPE,
+  buildPreview,
+  mergeThreadMessages,
+} from './inbox-threads.js';
+import { SmsConsent } from '../utils/prismaEnums.js';
+
+/**
+ * Inbox Service
+ * Two-way SMS conversations between a shop and its customers. A
+ * Conversation is opened by the first inbound message of a phone number and
+ * tracks unread inbound messages; its history merges every SMS exchanged
+ * with that number (see services/inbox-threads.js).
+ */
+
+const DEFAULT_THREAD_LIMIT = 50;
+
+/**
+ * Find the shop an inbound message is addressed to
+ * The dedicated sender number wins; otherwise the shop that last texted the
+ * number (a customer replies to the last SMS received), then any shop
+ * having the number as a contact.
+ * @param {Object} params - { from, to }
+ * @returns {Promise<string|null>} Shop ID, null if unknown
+ */
+export async function resolveInboundShop({ from, to }) {
+  if (to) {
+    const senders = await prisma.shopSettings.findMany({
+      where: { senderNumber: to },
+      select: { shopId: true },
+      take: 2,
+    });
+    if (senders.length === 1) {
+      return senders[0].shopId;
+    }
+  }
+
+  if (!from) {
+    return null;
+  }
+
+  const [lastLog, lastRecipient] = await Promise.all([
+    prisma.messageLog.findFirst({
+      where: { phoneE164: from, direction: 'outbound' },
+      orderBy: { createdAt: 'desc' },
+      select: { shopId: true, createdAt: true },
+    }),
+    prisma.campaignRecipient.findFirst({
+      where: { phoneE164: from, sentAt: { not: null } },
+      orderBy: { sentAt: 'desc' },
+      select: { sentAt: true, campaign: { select: { shopId: true } } },
+    }),
+  ]);
+
+  if (lastLog && (!lastRecipient || lastLog.createdAt >= lastRecipient.sentAt)) {
+    return lastLog.shopId;
+  }
+  if (lastRecipient) {
+    return lastRecipient.campaign.shopId;
+  }
+
+  const contact = await prisma.contact.findFirst({
+    where: { phoneE164: from },
+    orderBy: { updatedAt: 'desc' },
+    select: { shopId: true },
+  });
+  return contact?.shopId || null;
+}
+
+/**
+ * Record an inbound message and update its conversation
+ * @param {Object} params - { shopId, phoneE164, text, provider, payload }
+ * @returns {Promise<Object>} { message, conversation }
+ */
+export async function recordInboundMessage({
+  shopId,
+  phoneE164,
+  text,
+  provider,
+  payload,
+}) {
+  const contact = await prisma.contact.findFirst({
+    where: { shopId, phoneE164 },
+    select: { id: true },
+  });
+  const now = new Date();
+  const preview = buildPreview(text);
+
+  const [message, conversation] = await prisma.$transaction([
+    prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164,
+        direction: 'inbound',
+        provider,
+        status: 'received',
+        text: text || null,
+        payload,
+      },
+    }),
+    prisma.conversation.upsert({
+      where: { shopId_phoneE164: { shopId, phoneE164 } },
+      create: {
+        shopId,
+        phoneE164,
+        contactId: contact?.id || null,
+        lastMessageAt: now,
+        lastMessageText: preview,
+        lastDirection: 'inbound',
+        unreadCount: 1,
+      },
+      update: {
+        contactId: contact?.id || null,
+        lastMessageAt: now,
+        lastMessageText: preview,
+        lastDirection: 'inbound',
+        unreadCount: { increment: 1 },
+      },
+    }),
+  ]);
+
+  return { message, conversation };
+}
+
+function formatConversation(conversation) {
+  const contact = conversation.contact;
+  return {
+    id: conversation.id,
+    phoneE164: conversation.phoneE164,
+    contact: contact
+      ? {
+        id: contact.id,
+        firstName: contact.firstName,
+        lastName: contact.lastName,
+        smsConsent: contact.smsConsent,
+      }
+      : null,
+    lastMessageAt: conversation.lastMessageAt,
+    lastMessageText: conversation.lastMessageText,
+    lastDirection: conversation.lastDirection,
+    unreadCount: conversation.unreadCount,
+    lastReadAt: conversation.lastReadAt,
+  };
+}
+
+const conversationInclude = {
+  contact: {
+    select: { id: true, firstName: true, lastName: true, smsConsent: true },
+  },
+};
+
+async function getConversation(shopId, conversationId) {
+  const conversation = await prisma.conversation.findFirst({
+    where: { id: conversationId, shopId },
+    include: conversationInclude,
+  });
+  if (!conversation) {
+    throw new NotFoundError('Conversation');
+  }
+  return conversation;
+}
+
+/**
+ * List conversations, most recent first
+ * @param {string} shopId - Shop ID
+ * @param {Object} filters - { page, pageSize, unread, q }
+ * @returns {Promise<Object>} { conversations, pagination }
+ */
+export async function listConversations(shopId, filters = {}) {
+  const { page = 1, pageSize = 20, unread, q } = filters;
+
+  const where = { shopId };
+  if (unread) {
+    where.unreadCount = { gt: 0 };
+  }
+  if (q) {
+    where.OR = [
+      { phoneE164: { contains: q } },
+      { contact: { firstName: { contains: q, mode: 'insensitive' } } },
+      { contact: { lastName: { contains: q, mode: 'insensitive' } } },
+    ];
+  }
+
+  const [conversations, total] = await Promise.all([
+    prisma.conversation.findMany({
+      where,
+      include: conversationInclude,
+      orderBy: { lastMessageAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.conversation.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    conversations: conversations.map(formatConversation),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Unread inbox counters
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { conversations, messages }
+ */
+export async function getUnreadCount(shopId) {
+  const result = await prisma.conversation.aggregate({
+    where: { shopId, unreadCount: { gt: 0 } },
+    _count: { _all: true },
+    _sum: { unreadCount: true },
+  });
+
+  return {
+    conversations: result._count._all,
+    messages: result._sum.unreadCount || 0,
+  };
+}
+
+/**
+ * Get a conversation with one page of its history
+ * @param {string} shopId - Shop ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { before, limit }
+ * @returns {Promise<Object>} { conversation, messages, nextBefore }
+ */
+export async function getConversationThread(shopId, conversationId, options = {}) {
+  const conversation = await getConversation(shopId, conversationId);
+  const limit = options.limit || DEFAULT_THREAD_LIMIT;
+  const before = options.before ? new Date(options.before) : null;
+  const { phoneE164 } = conversation;
+
+  const [logs, recipients] = await Promise.all([
+    prisma.messageLog.findMany({
+      where: {
+        shopId,
+        phoneE164,
+        ...(before && { createdAt: { lt: before } }),
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    }),
+    prisma.campaignRecipient.findMany({
+      where: {
+        phoneE164,
+        campaign: { shopId },
+        sentAt: before ? { lt: before } : { not: null },
+      },
+      orderBy: { sentAt: 'desc' },
+      take: limit,
+      include: {
+        campaign: { select: { name: true, message: true } },
+        variant: { select: { message: true } },
+      },
+    }),
+  ]);
+
+  const { messages, nextBefore } = mergeThreadMessages(logs, recipients, limit);
+
+  return {
+    conversation: formatConversation(conversation),
+    messages,
+    nextBefore,
+  };
+}
+
+/**
+ * Mark a conversation as read
+ * @param {string} shopId - Shop ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Conversation
+ */
+export async function markConversationRead(shopId, conversationId) {
+  await getConversation(shopId, conversationId);
+
+  const conversation = await prisma.conversation.update({
+    where: { id: conversationId },
+    data: { unreadCount: 0, lastReadAt: new Date() },
+    include: conversationInclude,
+  });
+  return formatConversation(conversation);
+}
+
+/**
+ * Reply to a conversation
+ * Sent through the shop's SMS provider and charged like any other SMS.
+ * Replying marks the conversation as read.
+ * @param {string} shopId - Shop ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} text - Reply text
+ * @returns {Promise<Object>} { message, conversation }
+ */
+export async function replyToConversation(shopId, conversationId, text) {
+  const conversation = await getConversation(shopId, conversationId);
+
+  if (conversation.contact?.smsConsent === SmsConsent.opted_out) {
+    throw new ValidationError('This contact has unsubscribed from SMS');
+  }
+
+  const credits = getMessageCredits(text);
+  // Throws ValidationError when the shop has not enough credits
+  const result = await sendSms({
+    to: conversation.phoneE164,
+    text,
+    shopId,
+  });
+
+  const now = new Date();
+  const [message, updated] = await prisma.$transaction([
+    prisma.messageLog.create({
+      data: {
+        shopId,
+        phoneE164: conversation.phoneE164,
+        direction: 'outbound',
+        provider: result.provider,
+        providerMsgId: result.messageId,
+        status: 'sent',
+        text,
+        credits,
+        payload: { type: INBOX_REPLY_TYPE, conversationId },
+      },
+    }),
+    prisma.conversation.update({
+      where: { id: conversationId },
+      data: {
+        lastMessageAt: now,
+        lastMessageText: buildPreview(text),
+        lastDirection: 'outbound',
+        unreadCount: 0,
+        lastReadAt: now,
+      },
+      include: conversationInclude,
+    }),
+  ]);
+
+  logger.info('Inbox reply sent', {
+    shopId,
+    conversationId,
+    messageId: result.messageId,
+    credits,
+  });
+
+  return {
+    message: {
+      id: message.id,
+      direction: message.direction,
+      text,
+      status: message.status,
+      credits,
+      createdAt: message.createdAt,
+    },
+    conversation: formatConversation(updated),
+  };
+}
+
+export default {
+  resolveInboundShop,
+  recordInboundMessage,
+  listConversations,
+  getUnreadCount,
+  getConversationThread,
+  markConversationRead,
+  replyToConversation,
+};
@@ -0,0 +1,176 @@
+import { A4, buildPdf, measureText, wrapText } from '../utils/pdf.js';
+
+/**
+ * Invoice Rules
+ * Invoice numbers are sequential per calendar year (PREFIX-YYYY-000001) and
+ * never reused. An invoice keeps a snapshot of the seller and the customer
+ * at issue time, so the PDF renders the same whenever it is downloaded.
+ */
+
+export const InvoiceType = {
+  credits: 'credits',
+  subscription: 'subscription',
+};
+
+const MARGIN = 50;
+const RIGHT = A4.width - MARGIN;
+const COLUMN = 310;
+const LINE = 13;
+
+/**
+ * Format an invoice number
+ * @param {string} prefix - Series prefix
+ * @param {number} year - Calendar year of the series
+ * @param {number} sequence - Number within the year, from 1
+ * @returns {string}
+ */
+export function formatInvoiceNumber(prefix, year, sequence) {
+  return `${prefix}-${year}-${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Format an amount in cents
+ * @param {number} cents - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} e.g. "49.60 EUR"
+ */
+export function formatMoney(cents, currency) {
+  return `${(cents / 100).toFixed(2)} ${String(currency).toUpperCase()}`;
+}
+
+/**
+ * Format a VAT rate
+ * @param {number} rate - Rate (0.255)
+ * @returns {string} e.g. "25.5%"
+ */
+export function formatRate(rate) {
+  return `${Number((Number(rate) * 100).toFixed(2))}%`;
+}
+
+function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Printable lines of a party (seller or customer snapshot)
+ * @param {Object} party - { name, addressLines, country, vatId, email }
+ * @returns {Array<string>}
+ */
+export function getPartyLines(party = {}) {
+  return [
+    party.name,
+    ...(party.addressLines || []),
+    party.country,
+    party.vatId && `VAT ID: ${party.vatId}`,
+    party.email,
+  ].filter(Boolean);
+}
+
+function text(x, y, value, options = {}) {
+  return { type: 'text', x, y, text: String(value), ...options };
+}
+
+/**
+ * Lay out an invoice on A4 pages
+ * @param {Object} invoice - Invoice { number, issuedAt, description, credits,
+ *   currency, netCents, vatRate, vatCents, totalCents, vatNote, seller,
+ *   customer, periodStart, periodEnd, paymentReference }
+ * @returns {Array<Array<Object>>} Pages for buildPdf
+ */
+export function buildInvoicePages(invoice) {
+  const els = [];
+  const { currency } = invoice;
+
+  els.push(text(MARGIN, 80, 'INVOICE', { size: 22, bold: true }));
+  els.push(text(RIGHT, 62, `Invoice no. ${invoice.number}`, { bold: true, align: 'right' }));
+  els.push(text(RIGHT, 62 + LINE, `Issue date: ${formatDate(invoice.issuedAt)}`, { align: 'right' }));
+  els.push(text(RIGHT, 62 + 2 * LINE, 'Status: Paid', { align: 'right' }));
+
+  let y = 130;
+  els.push(text(MARGIN, y, 'From', { size: 9, bold: true }));
+  els.push(text(COLUMN, y, 'Bill to', { size: 9, bold: true }));
+  const sellerLines = getPartyLines(invoice.seller);
+  const customerLines = getPartyLines(invoice.customer);
+  sellerLines.forEach((line, i) => els.push(text(MARGIN, y + (i + 1) * LINE, line)));
+  customerLines.forEach((line, i) => els.push(text(COLUMN, y + (i + 1) * LINE, line)));
+  y += (Math.max(sellerLines.length, customerLines.length) + 3) * LINE;
+
+  els.push(text(MARGIN, y, 'Description', { size: 9, bold: true }));
+  els.push(text(400, y, 'Quantity', { size: 9, bold: true, align: 'right' }));
+  els.push(text(RIGHT, y, 'Amount', { size: 9, bold: true, align: 'right' }));
+  els.push({ type: 'line', x1: MARGIN, y1: y + 5, x2: RIGHT, y2: y + 5 });
+
+  y += LINE + 6;
+  els.push(text(400, y, invoice.credits ? `${invoice.credits} credits` : '1', { align: 'right' }));
+  els.push(text(RIGHT, y, formatMoney(invoice.netCents, currency), { align: 'right' }));
+  for (const line of wrapText(invoice.description, 280, 10)) {
+    els.push(text(MARGIN, y, line));
+    y += LINE;
+  }
+  if (invoice.periodStart && invoice.periodEnd) {
+    els.push(
+      text(
+        MARGIN,
+        y,
+        `Period: ${formatDate(invoice.periodStart)} - ${formatDate(invoice.periodEnd)}`,
+        { size: 9 },
+      ),
+    );
+    y += LINE;
+  }
+  els.push({ type: 'line', x1: MARGIN, y1: y - 4, x2: RIGHT, y2: y - 4 });
+
+  y += LINE;
+  const totals = [
+    ['Subtotal', formatMoney(invoice.netCents, currency), false],
+    [`VAT (${formatRate(invoice.vatRate)})`, formatMoney(invoice.vatCents, currency), false],
+    ['Total', formatMoney(invoice.totalCents, currency), true],
+  ];
+  for (const [label, amount, bold] of totals) {
+    els.push(text(440, y, label, { bold, align: 'right' }));
+    els.push(text(RIGHT, y, amount, { bold, align: 'right' }));
+    y += LINE + 2;
+  }
+
+  y += LINE;
+  const notes = [
+    invoice.vatNote,
+    invoice.paymentReference && `Paid by card. Payment reference: ${invoice.paymentReference}`,
+  ].filter(Boolean);
+  for (const note of notes) {
+    for (const line of wrapText(note, RIGHT - MARGIN, 9)) {
+      els.push(text(MARGIN, y, line, { size: 9 }));
+      y += LINE - 2;
+    }
+    y += 4;
+  }
+
+  const footer = [invoice.seller?.name, invoice.seller?.vatId && `VAT ID ${invoice.seller.vatId}`]
+    .filter(Boolean)
+    .join(' - ');
+  if (footer) {
+    const x = (A4.width - measureText(footer, 8)) / 2;
+    els.push(text(x, A4.height - 40, footer, { size: 8 }));
+  }
+
+  return [els];
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - See buildInvoicePages
+ * @returns {Buffer}
+ */
+export function renderInvoicePdf(invoice) {
+  return buildPdf(buildInvoicePages(invoice), { title: `Invoice ${invoice.number}` });
+}
+
+export default {
+  InvoiceType,
+  formatInvoiceNumber,
+  formatMoney,
+  formatRate,
+  getPartyLines,
+  buildInvoicePages,
+  renderInvoicePdf,
+};
@@ -0,0 +1,256 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import { getInvoiceCustomer, getSeller } from './billing-profiles.js';
+import { VAT_NOTES, splitGrossAmount } from './vat-rules.js';
+import { formatInvoiceNumber, renderInvoicePdf } from './invoice-rules.js';
+
+/**
+ * Invoices Service
+ * Issues a numbered invoice for every paid top-up, credit pack and
+ * subscription period (see services/invoice-rules.js). Amounts paid include
+ * VAT; the invoice splits them with the VAT of the shop's billing profile.
+ * issueInvoice never throws, a payment must not fail because of its invoice.
+ */
+
+export const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+
+const MAX_SEQUENCE_ATTEMPTS = 3;
+
+function formatInvoice(invoice) {
+  return {
+    id: invoice.id,
+    number: invoice.number,
+    type: invoice.type,
+    description: invoice.description,
+    credits: invoice.credits,
+    currency: invoice.currency,
+    netCents: invoice.netCents,
+    vatRate: invoice.vatRate,
+    vatCents: invoice.vatCents,
+    totalCents: invoice.totalCents,
+    vatTreatment: invoice.vatTreatment,
+    vatNote: invoice.vatNote,
+    periodStart: invoice.periodStart,
+    periodEnd: invoice.periodEnd,
+    seller: invoice.seller,
+    customer: invoice.customer,
+    issuedAt: invoice.issuedAt,
+    downloadUrl: `/billing/invoices/${invoice.id}/pdf`,
+  };
+}
+
+// Takes the next number of the year; the row stays locked until the
+// invoice transaction commits, so numbers are gapless
+async function nextSequence(tx, year) {
+  const sequence = await tx.invoiceSequence.upsert({
+    where: { year },
+    update: { lastNumber: { increment: 1 } },
+    create: { year, lastNumber: 1 },
+  });
+  return sequence.lastNumber;
+}
+
+async function createInvoice(params) {
+  const issuedAt = params.issuedAt || new Date();
+  const year = issuedAt.getUTCFullYear();
+
+  return prisma.$transaction(async tx => {
+    const { customer, vat: profileVat } = await getInvoiceCustomer(tx, params.shopId);
+    const vat = params.vat
+      ? { ...params.vat, note: VAT_NOTES[params.vat.treatment] || null }
+      : profileVat;
+    const amounts = splitGrossAmount(params.totalCents, vat.rate);
+    const sequence = await nextSequence(tx, year);
+
+    return tx.invoice.create({
+      data: {
+        shopId: params.shopId,
+        number: formatInvoiceNumber(INVOICE_NUMBER_PREFIX, year, sequence),
+        year,
+        sequence,
+        sourceKey: params.sourceKey,
+        type: params.type,
+        description: params.description,
+        credits: params.credits ?? null,
+        currency: String(params.currency || 'EUR').toUpperCase(),
+        ...amounts,
+        vatRate: vat.rate,
+        vatTreatment: vat.treatment,
+        vatNote: vat.note,
+        seller: getSeller(),
+        customer,
+        periodStart: params.periodStart || null,
+        periodEnd: params.periodEnd || null,
+        purchaseId: params.purchaseId || null,
+        stripeSessionId: params.stripeSessionId || null,
+        stripeInvoiceId: params.stripeInvoiceId || null,
+        stripePaymentIntentId: params.stripePaymentIntentId || null,
+        issuedAt,
+      },
+    });
+  });
+}
+
+/**
+ * Issue the invoice of a payment (idempotent per sourceKey)
+ * @param {Object} params - { shopId, sourceKey, type, description, credits?,
+ *   currency, totalCents, vat?: { rate, treatment }, periodStart?,
+ *   periodEnd?, purchaseId?, stripeSessionId?, stripeInvoiceId?,
+ *   stripePaymentIntentId? } vat defaults to the shop's current VAT, pass
+ *   the one the price was computed with when known
+ * @returns {Promise<Object|null>} Invoice, null if nothing was paid or it failed
+ */
+export async function issueInvoice(params) {
+  const { shopId, sourceKey, totalCents } = params;
+  if (!totalCents || totalCents <= 0) {
+    return null;
+  }
+
+  try {
+    const existing = await prisma.invoice.findUnique({ where: { sourceKey } });
+    if (existing) {
+      return formatInvoice(existing);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const invoice = await createInvoice(params);
+        logger.info('Invoice issued', {
+          shopId,
+          invoiceId: invoice.id,
+          number: invoice.number,
+          sourceKey,
+          totalCents,
+          vatTreatment: invoice.vatTreatment,
+        });
+        return formatInvoice(invoice);
+      } catch (error) {
+        if (error.code !== 'P2002') throw error;
+
+        const duplicate = await prisma.invoice.findUnique({ where: { sourceKey } });
+        if (duplicate) {
+          return formatInvoice(duplicate);
+        }
+        // Two first invoices of a year created the sequence row together
+        if (attempt >= MAX_SEQUENCE_ATTEMPTS) throw error;
+      }
+    }
+  } catch (error) {
+    logger.error('Failed to issue invoice', {
+      shopId,
+      sourceKey,
+      totalCents,
+      error: error.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * List the invoices of a shop, newest first
+ * @param {string} shopId - Shop ID
+ * @param {Object} filters - { page, pageSize, type }
+ * @returns {Promise<Object>} { invoices, pagination }
+ */
+export async function listInvoices(shopId, filters = {}) {
+  const { page = 1, pageSize = 20, type } = filters;
+  const where = { shopId, ...(type && { type }) };
+
+  const [invoices, total] = await Promise.all([
+    prisma.invoice.findMany({
+      where,
+      orderBy: [{ issuedAt: 'desc' }, { sequence: 'desc' }],
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.invoice.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    invoices: invoices.map(formatInvoice),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+async function findInvoice(shopId, invoiceId) {
+  const invoice = await prisma.invoice.findFirst({
+    where: { id: invoiceId, shopId },
+  });
+  if (!invoice) {
+    throw new NotFoundError('Invoice');
+  }
+  return invoice;
+}
+
+/**
+ * Get an invoice of a shop
+ * @param {string} shopId - Shop ID
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} Invoice
+ */
+export async function getInvoice(shopId, invoiceId) {
+  return formatInvoice(await findInvoice(shopId, invoiceId));
+}
+
+/**
+ * Render an invoice of a shop as a PDF
+ * @param {string} shopId - Shop ID
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object>} { fileName, buffer }
+ */
+export async function getInvoicePdf(shopId, invoiceId) {
+  const invoice = await findInvoice(shopId, invoiceId);
+  return {
+    fileName: `invoice-${invoice.number}.pdf`,
+    buffer: renderInvoicePdf({
+      ...invoice,
+      paymentReference:
+        invoice.stripePaymentIntentId || invoice.stripeInvoiceId || invoice.stripeSessionId,
+    }),
+  };
+}
+
+/**
+ * Invoices of Stripe checkout sessions, for the billing history
+ * @param {string} shopId - Shop ID
+ * @param {Array<string>} sessionIds - Stripe checkout session IDs
+ * @returns {Promise<Map>} Session ID → { id, number, downloadUrl }
+ */
+export async function getInvoicesBySession(shopId, sessionIds) {
+  const ids = sessionIds.filter(Boolean);
+  if (ids.length === 0) {
+    return new Map();
+  }
+  const invoices = await prisma.invoice.findMany({
+    where: { shopId, stripeSessionId: { in: ids } },
+    select: { id: true, number: true, stripeSessionId: true },
+  });
+  return new Map(
+    invoices.map(invoice => [
+      invoice.stripeSessionId,
+      {
+        id: invoice.id,
+        number: invoice.number,
+        downloadUrl: `/billing/invoices/${invoice.id}/pdf`,
+      },
+    ]),
+  );
+}
+
+export default {
+  INVOICE_NUMBER_PREFIX,
+  issueInvoice,
+  listInvoices,
+  getInvoice,
+  getInvoicePdf,
+  getInvoicesBySession,
+};
@@ -0,0 +1,327 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { autoTopUpQueue } from '../queue/index.js';
+import { emitWebhookEvent } from './webhooks.js';
+import { WebhookEvent } from './webhook-events.js';
+import { sendEmail } from './email.js';
+import { createNotification, NotificationType } from './notifications.js';
+import {
+  AlertChannel,
+  AutoTopUpStatus,
+  DEFAULT_ALERT_CHANNELS,
+  getAutoTopUpKey,
+  getMonthStart,
+  hasCrossedThreshold,
+  validateLowBalanceSettings,
+} from './balance-alerts.js';
+import { getShopVat } from './billing-profiles.js';
+import { addVat } from './vat-rules.js';
+
+/**
+ * Low Balance Service
+ * Per-shop low balance threshold, alert channels and auto top-up settings
+ * (see services/balance-alerts.js). handleBalanceChange is called after
+ * every debit of the wallet or the shop credits; it never throws, a send
+ * must not fail because of an alert.
+ */
+
+export const LOW_CREDITS_THRESHOLD =
+  Number(process.env.LOW_CREDITS_THRESHOLD) || 100;
+
+const settingsSelect = {
+  lowBalanceThreshold: true,
+  lowBalanceAlertChannels: true,
+  lowBalanceAlertEmail: true,
+  autoTopUpEnabled: true,
+  autoTopUpPackageId: true,
+  autoTopUpMonthlyCapCents: true,
+};
+
+function toLowBalanceSettings(settings) {
+  return {
+    threshold: settings?.lowBalanceThreshold ?? LOW_CREDITS_THRESHOLD,
+    alertChannels: settings?.lowBalanceAlertChannels ?? DEFAULT_ALERT_CHANNELS,
+    alertEmail: settings?.lowBalanceAlertEmail || null,
+    autoTopUp: {
+      enabled: Boolean(settings?.autoTopUpEnabled),
+      packageId: settings?.autoTopUpPackageId || null,
+      monthlyCapCents: settings?.autoTopUpMonthlyCapCents ?? null,
+    },
+  };
+}
+
+async function loadSettings(shopId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId },
+    select: settingsSelect,
+  });
+  return toLowBalanceSettings(settings);
+}
+
+/**
+ * Amount charged by auto top-ups this calendar month
+ * @param {string} shopId - Shop ID
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number>} Cents
+ */
+export async function getAutoTopUpSpend(shopId, client = prisma) {
+  const result = await client.autoTopUp.aggregate({
+    where: {
+      shopId,
+      status: { in: [AutoTopUpStatus.pending, AutoTopUpStatus.succeeded] },
+      createdAt: { gte: getMonthStart() },
+    },
+    _sum: { amountCents: true },
+  });
+  return result._sum.amountCents || 0;
+}
+
+/**
+ * Get the low balance settings of a shop
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} Settings with the current month's top-up spend
+ */
+export async function getLowBalanceSettings(shopId) {
+  const [settings, shop, spentThisMonthCents] = await Promise.all([
+    loadSettings(shopId),
+    prisma.shop.findUnique({
+      where: { id: shopId },
+      select: { stripeCustomerId: true },
+    }),
+    getAutoTopUpSpend(shopId),
+  ]);
+
+  const pkg = settings.autoTopUp.packageId
+    ? await prisma.package.findUnique({
+      where: { id: settings.autoTopUp.packageId },
+      select: { id: true, name: true, units: true, priceCents: true },
+    })
+    : null;
+
+  return {
+    ...settings,
+    defaultThreshold: LOW_CREDITS_THRESHOLD,
+    autoTopUp: {
+      ...settings.autoTopUp,
+      package: pkg
+        ? { id: pkg.id, name: pkg.name, credits: pkg.units, priceCents: pkg.priceCents }
+        : null,
+      spentThisMonthCents,
+      hasPaymentMethod: Boolean(shop?.stripeCustomerId),
+    },
+  };
+}
+
+/**
+ * Update the low balance settings of a shop
+ * Enabling auto top-up requires an active package whose price with VAT is
+ * within the monthly cap, and a Stripe customer (created by the first subscription or purchase).
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - { threshold?, alertChannels?, alertEmail?,
+ *   autoTopUp?: { enabled?, packageId?, monthlyCapCents? } }
+ * @returns {Promise<Object>} Settings
+ */
+export async function updateLowBalanceSettings(shopId, data) {
+  const current = await loadSettings(shopId);
+  const merged = {
+    threshold: data.threshold !== undefined ? data.threshold : current.threshold,
+    alertChannels: data.alertChannels ?? current.alertChannels,
+    alertEmail: data.alertEmail !== undefined ? data.alertEmail : current.alertEmail,
+    autoTopUp: { ...current.autoTopUp, ...(data.autoTopUp || {}) },
+  };
+  validateLowBalanceSettings(merged);
+
+  if (merged.autoTopUp.enabled) {
+    const [pkg, shop, vat] = await Promise.all([
+      prisma.package.findUnique({ where: { id: merged.autoTopUp.packageId } }),
+      prisma.shop.findUnique({
+        where: { id: shopId },
+        select: { stripeCustomerId: true },
+      }),
+      getShopVat(shopId),
+    ]);
+    if (!pkg || !pkg.active) {
+      throw new NotFoundError('Package');
+    }
+    if (addVat(pkg.priceCents, vat.rate).totalCents > merged.autoTopUp.monthlyCapCents) {
+      throw new ValidationError('Invalid low balance settings', [
+        {
+          field: 'autoTopUp.monthlyCapCents',
+          message: 'The monthly cap is lower than the package price with VAT',
+        },
+      ]);
+    }
+    if (!shop?.stripeCustomerId) {
+      throw new ValidationError(
+        'Automatic top-up needs a saved card. Subscribe or buy credits first.',
+      );
+    }
+  }
+
+  const updateData = {
+    lowBalanceThreshold: data.threshold !== undefined ? data.threshold : undefined,
+    lowBalanceAlertChannels: [...new Set(merged.alertChannels)],
+    lowBalanceAlertEmail: merged.alertEmail || null,
+    autoTopUpEnabled: merged.autoTopUp.enabled,
+    autoTopUpPackageId: merged.autoTopUp.packageId || null,
+    autoTopUpMonthlyCapCents: merged.autoTopUp.monthlyCapCents ?? null,
+  };
+
+  await prisma.shopSettings.upsert({
+    where: { shopId },
+    update: updateData,
+    create: { shopId, ...updateData },
+  });
+
+  logger.info('Low balance settings updated', {
+    shopId,
+    threshold: merged.threshold,
+    alertChannels: updateData.lowBalanceAlertChannels,
+    autoTopUpEnabled: updateData.autoTopUpEnabled,
+  });
+
+  return getLowBalanceSettings(shopId);
+}
+
+async function sendAlert(channel, send, context) {
+  try {
+    await send();
+  } catch (error) {
+    logger.warn('Low balance alert failed', {
+      ...context,
+      channel,
+      error: error.message,
+    });
+  }
+}
+
+async function sendLowBalanceAlerts(shopId, settings, balance) {
+  const { threshold, alertChannels, alertEmail, autoTopUp } = settings;
+  const context = { shopId, balance, threshold };
+  const message = autoTopUp.enabled
+    ? `Your SMS balance is ${balance} credits, below your alert threshold of ${threshold}. An automatic top-up will be attempted.`
+    : `Your SMS balance is ${balance} credits, below your alert threshold of ${threshold}. Top up to keep campaigns and automations running.`;
+
+  if (alertChannels.includes(AlertChannel.webhook)) {
+    await sendAlert(
+      AlertChannel.webhook,
+      () => emitWebhookEvent(shopId, WebhookEvent.creditsLow, { balance, threshold }),
+      context,
+    );
+  }
+  if (alertChannels.includes(AlertChannel.inApp)) {
+    await sendAlert(
+      AlertChannel.inApp,
+      () =>
+        createNotification(shopId, {
+          type: NotificationType.creditsLow,
+          title: 'Low SMS balance',
+          message,
+          data: { balance, threshold },
+        }),
+      context,
+    );
+  }
+  if (alertChannels.includes(AlertChannel.email) && alertEmail) {
+    await sendAlert(
+      AlertChannel.email,
+      () =>
+        sendEmail({
+          to: alertEmail,
+          subject: `Low SMS balance: ${balance} credits left`,
+          text: message,
+        }),
+      context,
+    );
+  }
+}
+
+/**
+ * Queue an auto top-up of a shop
+ * Crossings within the same window share one job and one charge.
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<string>} Idempotency key
+ */
+export async function enqueueAutoTopUp(shopId) {
+  const idempotencyKey = getAutoTopUpKey(shopId);
+  await autoTopUpQueue.add(
+    'auto-topup',
+    { shopId, idempotencyKey },
+    { jobId: idempotencyKey.replace(/:/g, '-') },
+  );
+  return idempotencyKey;
+}
+
+/**
+ * Alert the shop and start an auto top-up when a debit crosses its threshold
+ * @param {string} shopId - Shop ID
+ * @param {number} previousBalance - Balance before the debit
+ * @param {number} balance - Balance after the debit
+ * @returns {Promise<boolean>} True if the threshold was crossed
+ */
+export async function handleBalanceChange(shopId, previousBalance, balance) {
+  try {
+    const settings = await loadSettings(shopId);
+    if (!hasCrossedThreshold(previousBalance, balance, settings.threshold)) {
+      return false;
+    }
+
+    logger.info('Balance crossed low threshold', {
+      shopId,
+      balance,
+      threshold: settings.threshold,
+      autoTopUp: settings.autoTopUp.enabled,
+    });
+
+    await sendLowBalanceAlerts(shopId, settings, balance);
+    if (settings.autoTopUp.enabled) {
+      await enqueueAutoTopUp(shopId);
+    }
+    return true;
+  } catch (error) {
+    logger.error('Failed to handle low balance', {
+      shopId,
+      balance,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Tell the merchant that sends are being skipped for lack of credits
+ * At most one unread notification a day.
+ * @param {string} shopId - Shop ID
+ * @param {Object} [data] - Context (automationId, campaignId...)
+ */
+export async function notifyCreditsExhausted(shopId, data = {}) {
+  try {
+    await createNotification(
+      shopId,
+      {
+        type: NotificationType.creditsExhausted,
+        title: 'Messages skipped: not enough credits',
+        message:
+          'Campaigns and automations cannot send SMS until you top up your balance.',
+        data,
+      },
+      { dedupeHours: 24 },
+    );
+  } catch (error) {
+    logger.warn('Failed to notify exhausted credits', {
+      shopId,
+      error: error.message,
+    });
+  }
+}
+
+export default {
+  LOW_CREDITS_THRESHOLD,
+  getAutoTopUpSpend,
+  getLowBalanceSettings,
+  updateLowBalanceSettings,
+  enqueueAutoTopUp,
+  handleBalanceChange,
+  notifyCreditsExhausted,
+};
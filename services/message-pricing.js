@@ -0,0 +1,147 @@
+import { replacePlaceholders } from '../utils/personalization.js';
+import { appendUnsubscribeLink } from '../utils/unsubscribe.js';
+import { getFrontendBaseUrl } from '../utils/frontendUrl.js';
+import {
+  analyzeSmsText,
+  getEncodingWarning,
+  getSegmentCount,
+} from '../utils/sms-encoding.js';
+import { getShortLinkUrl } from './short-links.js';
+
+/**
+ * Message Pricing Service
+ * SMS are charged per segment (see utils/sms-encoding.js). Sends are
+ * debited on the final text; campaign reservations and previews estimate
+ * the final text of every recipient before it exists: placeholders are
+ * filled with the contact's data, links are replaced with a short link of
+ * the real length and the unsubscribe link is appended.
+ */
+
+export const CREDITS_PER_SEGMENT = 1;
+
+// Stand-ins for values only known at send time
+const SAMPLE_SHORT_URL = getShortLinkUrl('x'.repeat(8));
+const SAMPLE_DISCOUNT_CODE = 'X'.repeat(12);
+const URL_PATTERN = /(https?:\/\/[^\s]+|www\.[^\s]+)/gi;
+
+/**
+ * Credits charged for an SMS text
+ * @param {string} text - Final message text
+ * @returns {number} Credits (at least one segment)
+ */
+export function getMessageCredits(text) {
+  return Math.max(1, getSegmentCount(text)) * CREDITS_PER_SEGMENT;
+}
+
+/**
+ * Estimate the final text of a campaign message for a recipient
+ * @param {string} template - Message template
+ * @param {Object} contact - { contactId, phoneE164, firstName, lastName }
+ * @param {Object} context - { shopId, discountCode }
+ * @returns {Promise<string>} Estimated final text
+ */
+export async function estimateFinalText(template, contact, context) {
+  let text = replacePlaceholders(template, {
+    firstName: contact.firstName || '',
+    lastName: contact.lastName || '',
+    discountCode: context.discountCode ?? SAMPLE_DISCOUNT_CODE,
+  });
+
+  if ((process.env.URL_SHORTENER_TYPE || 'custom') !== 'none') {
+    text = text.replace(URL_PATTERN, SAMPLE_SHORT_URL);
+  }
+
+  return appendUnsubscribeLink(
+    text,
+    contact.contactId,
+    context.shopId,
+    contact.phoneE164,
+    getFrontendBaseUrl(),
+  );
+}
+
+/**
+ * Estimate the credits of a campaign send
+ * A recipient that may receive any of several templates (A/B test held
+ * recipients) is estimated with the longest one.
+ * @param {string} shopId - Shop ID
+ * @param {Array<string>} templates - Message templates
+ * @param {Array<Object>} contacts - Recipients as returned by resolveRecipients
+ * @param {Object} [options] - { discountCode }
+ * @returns {Promise<Object>} { credits, messages, minSegments, maxSegments }
+ */
+export async function estimateCampaignCredits(
+  shopId,
+  templates,
+  contacts,
+  options = {},
+) {
+  let credits = 0;
+  let minSegments = null;
+  let maxSegments = 0;
+
+  for (const contact of contacts) {
+    let contactCredits = 0;
+    for (const template of templates) {
+      const text = await estimateFinalText(template, contact, {
+        shopId,
+        discountCode: options.discountCode,
+      });
+      contactCredits = Math.max(contactCredits, getMessageCredits(text));
+    }
+    credits += contactCredits;
+    const segments = contactCredits / CREDITS_PER_SEGMENT;
+    minSegments = minSegments === null ? segments : Math.min(minSegments, segments);
+    maxSegments = Math.max(maxSegments, segments);
+  }
+
+  return {
+    credits,
+    messages: contacts.length,
+    minSegments: minSegments ?? 0,
+    maxSegments,
+  };
+}
+
+/**
+ * Describe the encoding of a message template for previews
+ * Analyzed on the estimated final text of a sample recipient. The sample's
+ * IDs are masked (same lengths) so the preview never carries a valid
+ * unsubscribe link.
+ * @param {string} template - Message template
+ * @param {Object} sample - Sample contact
+ * @param {Object} context - { shopId, discountCode }
+ * @returns {Promise<Object>} { text, encoding, characters, segments, ..., credits, warning }
+ */
+export async function describeMessage(template, sample, context) {
+  const text = await estimateFinalText(
+    template,
+    {
+      ...sample,
+      contactId: 'x'.repeat(sample.contactId?.length || 25),
+      phoneE164: `+${'0'.repeat(Math.max(1, (sample.phoneE164?.length || 12) - 1))}`,
+    },
+    context,
+  );
+
+  // Look-alike suggestions apply to the template, not the rendered text
+  const warning = getEncodingWarning(text);
+  if (warning) {
+    warning.suggestion = getEncodingWarning(template)?.suggestion ?? null;
+  }
+
+  return {
+    text,
+    ...analyzeSmsText(text),
+    credits: getMessageCredits(text),
+    warning,
+  };
+}
+
+export default {
+  CREDITS_PER_SEGMENT,
+  getMessageCredits,
+  estimateFinalText,
+  estimateCampaignCredits,
+  describeMessage,
+};
@@ -3,8 +3,10 @@
 
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
-import { getMessageStatus, MittoApiError } from './mitto.js';
+import { MittoApiError } from './mitto.js';
+import { getProvider, getProviderForShop } from './sms-provider.js';
 import { updateCampaignAggregates } from './campaignAggregates.js';
+import { emitMessageStatusEvent } from './webhooks.js';
 
 /**
  * Map Mitto deliveryStatus to our internal status (Phase 2.2)
@@ -50,8 +52,9 @@ export async function refreshMessageStatus(providerMessageId, shopId = null) {
   logger.info({ providerMessageId, shopId }, 'Refreshing message status from Mitto');
 
   try {
-    // Fetch status from Mitto API
-    const mittoStatus = await getMessageStatus(providerMessageId);
+    // Fetch status from the shop's SMS provider
+    const provider = shopId ? await getProviderForShop(shopId) : getProvider();
+    const mittoStatus = await provider.getStatus(providerMessageId);
     const internalStatus = mapMittoStatusToInternal(mittoStatus.deliveryStatus);
 
     logger.info('Mitto status retrieved', {
@@ -106,6 +109,18 @@ export async function refreshMessageStatus(providerMessageId, shopId = null) {
 
       updatedRecipient = true;
       affectedCampaignIds.add(recipient.campaignId);
+
+      if (recipient.deliveryStatus !== mittoStatus.deliveryStatus) {
+        await emitMessageStatusEvent(recipient.campaign.shopId, {
+          messageId: providerMessageId,
+          phoneE164: recipient.phoneE164,
+          contactId: recipient.contactId,
+          campaignId: recipient.campaignId,
+          deliveryStatus: mittoStatus.deliveryStatus,
+          internalStatus,
+          error: updateData.error,
+        });
+      }
     }
 
     // Also update MessageLog if exists
@@ -132,6 +147,18 @@ export async function refreshMessageStatus(providerMessageId, shopId = null) {
       if (log.campaignId) {
         affectedCampaignIds.add(log.campaignId);
       }
+
+      // Campaign messages were reported with their recipient
+      if (!recipient && log.deliveryStatus !== mittoStatus.deliveryStatus) {
+        await emitMessageStatusEvent(log.shopId, {
+          messageId: providerMessageId,
+          phoneE164: log.phoneE164,
+          campaignId: log.campaignId,
+          automationId: log.automationId,
+          deliveryStatus: mittoStatus.deliveryStatus,
+          internalStatus,
+        });
+      }
     }
 
     // Update campaign aggregates for affected campaigns (non-blocking)
@@ -189,7 +216,7 @@ export async function refreshMessageStatus(providerMessageId, shopId = null) {
       affectedCampaignIds: Array.from(affectedCampaignIds),
     };
   } catch (err) {
-    if (err instanceof MittoApiError && err.status === 404) {
+    if ((err instanceof MittoApiError && err.status === 404) || err.statusCode === 404) {
       logger.warn('Message not found in Mitto', { providerMessageId });
       throw new Error(`Message not found in Mitto: ${providerMessageId}`);
     }
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { logger } from '../utils/logger.js';
+import { getMessageCredits } from './message-pricing.js';
 import {
   validateAndConsumeCredits,
   InsufficientCreditsError,
@@ -120,7 +121,7 @@ export async function sendSms({
     // Validate and consume credits if shopId is provided AND not skipping (campaign messages already consumed credits)
     if (shopId && !skipCreditCheck) {
       try {
-        const creditResult = await validateAndConsumeCredits(shopId, 1);
+        const creditResult = await validateAndConsumeCredits(shopId, getMessageCredits(text));
         logger.info('Credits validated and consumed for SMS', {
           shopId,
           creditsConsumed: creditResult.creditsConsumed,
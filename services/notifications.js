@@ -0,0 +1,157 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Notifications Service
+ * In-app notifications shown to merchants in the admin (low balance,
+ * auto top-up results...).
+ */
+
+export const NotificationType = {
+  creditsLow: 'credits.low',
+  creditsExhausted: 'credits.exhausted',
+  autoTopUpSucceeded: 'auto_topup.succeeded',
+  autoTopUpFailed: 'auto_topup.failed',
+  autoTopUpCapReached: 'auto_topup.cap_reached',
+  privacyDataRequest: 'privacy.data_request',
+  templateSourceUpdated: 'template.source_updated',
+};
+
+function formatNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    data: notification.data,
+    read: Boolean(notification.readAt),
+    readAt: notification.readAt,
+    createdAt: notification.createdAt,
+  };
+}
+
+/**
+ * Create a notification
+ * @param {string} shopId - Shop ID
+ * @param {Object} notification - { type, title, message, data? }
+ * @param {Object} [options] - { dedupeHours } skip if an unread notification
+ *   of the same type was created within that many hours
+ * @returns {Promise<Object|null>} Notification, null if deduplicated
+ */
+export async function createNotification(shopId, notification, options = {}) {
+  if (options.dedupeHours) {
+    const since = new Date(Date.now() - options.dedupeHours * 60 * 60 * 1000);
+    const existing = await prisma.shopNotification.findFirst({
+      where: {
+        shopId,
+        type: notification.type,
+        readAt: null,
+        createdAt: { gte: since },
+      },
+      select: { id: true },
+    });
+    if (existing) {
+      return null;
+    }
+  }
+
+  const created = await prisma.shopNotification.create({
+    data: {
+      shopId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data || undefined,
+    },
+  });
+
+  logger.info('Notification created', {
+    shopId,
+    notificationId: created.id,
+    type: created.type,
+  });
+
+  return formatNotification(created);
+}
+
+/**
+ * List notifications, newest first
+ * @param {string} shopId - Shop ID
+ * @param {Object} filters - { page, pageSize, unread }
+ * @returns {Promise<Object>} { notifications, pagination, unreadCount }
+ */
+export async function listNotifications(shopId, filters = {}) {
+  const { page = 1, pageSize = 20, unread } = filters;
+  const where = { shopId, ...(unread && { readAt: null }) };
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    prisma.shopNotification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.shopNotification.count({ where }),
+    prisma.shopNotification.count({ where: { shopId, readAt: null } }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    notifications: notifications.map(formatNotification),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+    unreadCount,
+  };
+}
+
+/**
+ * Mark a notification as read
+ * @param {string} shopId - Shop ID
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} Notification
+ */
+export async function markNotificationRead(shopId, notificationId) {
+  const notification = await prisma.shopNotification.findFirst({
+    where: { id: notificationId, shopId },
+  });
+  if (!notification) {
+    throw new NotFoundError('Notification');
+  }
+  if (notification.readAt) {
+    return formatNotification(notification);
+  }
+
+  const updated = await prisma.shopNotification.update({
+    where: { id: notificationId },
+    data: { readAt: new Date() },
+  });
+  return formatNotification(updated);
+}
+
+/**
+ * Mark every notification of a shop as read
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<number>} Number of notifications updated
+ */
+export async function markAllNotificationsRead(shopId) {
+  const result = await prisma.shopNotification.updateMany({
+    where: { shopId, readAt: null },
+    data: { readAt: new Date() },
+  });
+  return result.count;
+}
+
+export default {
+  NotificationType,
+  createNotification,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
@@ -0,0 +1,86 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import {
+  getQuietHoursWindow,
+  getNextAllowedTime,
+} from '../utils/quiet-hours.js';
+
+/**
+ * Quiet Hours Service
+ * Resolves a shop's quiet hours (ShopSettings.quietHoursStart/End in
+ * ShopSettings.timezone) and defers queued sends that fall inside them.
+ */
+
+/**
+ * Get the quiet hours window of a shop
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object|null>} Window or null if quiet hours are disabled
+ */
+export async function getShopQuietHours(shopId) {
+  const settings = await prisma.shopSettings.findUnique({
+    where: { shopId },
+    select: { quietHoursStart: true, quietHoursEnd: true, timezone: true },
+  });
+  return getQuietHoursWindow(settings);
+}
+
+/**
+ * Earliest time a shop may send an SMS due at `at`
+ * @param {string} shopId - Shop ID
+ * @param {Date} at - Requested send time
+ * @returns {Promise<Date>} `at`, or the end of the quiet hours it falls in
+ */
+export async function getShopSendTime(shopId, at = new Date()) {
+  return getNextAllowedTime(at, await getShopQuietHours(shopId));
+}
+
+/**
+ * Re-queue a job at the end of the shop's quiet hours if it is due inside them
+ * The caller must stop processing the job when a deferral is returned; the
+ * deferred copy keeps the job name, data and retry options.
+ * @param {Object} job - BullMQ job (data.shopId required)
+ * @param {Object} queue - Queue the job belongs to
+ * @returns {Promise<Object|null>} { jobId, deferredUntil } or null if the job may run now
+ */
+export async function deferJobForQuietHours(job, queue) {
+  const shopId = job.data?.shopId;
+  if (!shopId) return null;
+
+  const now = new Date();
+  const sendAt = await getShopSendTime(shopId, now);
+  if (sendAt <= now) return null;
+
+  const jobId = `${job.id}-qh-${sendAt.getTime()}`;
+  const options = { jobId, delay: sendAt.getTime() - now.getTime() };
+  // Keep the original retry settings (unset ones fall back to queue defaults)
+  for (const key of [
+    'attempts',
+    'backoff',
+    'priority',
+    'removeOnComplete',
+    'removeOnFail',
+  ]) {
+    if (job.opts?.[key] !== undefined) {
+      options[key] = job.opts[key];
+    }
+  }
+
+  await queue.add(job.name, job.data, options);
+
+  logger.info('Job deferred until the end of quiet hours', {
+    queue: queue.name,
+    jobName: job.name,
+    jobId: job.id,
+    deferredJobId: jobId,
+    shopId,
+    deferredUntil: sendAt.toISOString(),
+  });
+
+  return { jobId, deferredUntil: sendAt };
+}
+
+export default {
+  getShopQuietHours,
+  getShopSendTime,
+  deferJobForQuietHours,
+};
@@ -0,0 +1,602 @@
+import fs from 'fs';
+import { rm, stat, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import prisma from './prisma.js';
+import { exportQueue } from '../queue/index.js';
+import { getStorageAdapter } from './export-storage.js';
+import { logger } from '../utils/logger.js';
+import { AppError, NotFoundError, ValidationError } from '../utils/errors.js';
+import {
+  ExportFormat,
+  CSV_BOM,
+  getExportFileInfo,
+  formatCsvHeader,
+  formatCsvRow,
+  formatJsonLine,
+} from '../utils/export-format.js';
+import { buildXlsx, XLSX_MAX_ROWS } from '../utils/xlsx.js';
+import {
+  buildExportDownloadUrl,
+  verifyExportDownload,
+} from '../utils/export-download.js';
+
+/**
+ * Report Exports Service
+ * Exports run as jobs on the report-export queue: the request creates a
+ * ReportExport record, the worker renders the rows in batches (tracking
+ * progress), stores the file through the export storage adapter and a
+ * delayed job deletes it once the export expires. Files are served through
+ * signed, expiring download URLs (GET /exports/:id/download).
+ */
+
+export const ReportExportType = {
+  campaigns: 'campaigns',
+  automations: 'automations',
+  credits: 'credits',
+  contacts: 'contacts',
+  messages: 'messages',
+};
+
+export const ReportExportStatus = {
+  pending: 'pending',
+  processing: 'processing',
+  completed: 'completed',
+  failed: 'failed',
+  expired: 'expired',
+};
+
+const BATCH_SIZE = 1000;
+const DEFAULT_RETENTION_HOURS = 24;
+const DEFAULT_DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+
+function getRetentionMs() {
+  const hours = Number(process.env.EXPORT_RETENTION_HOURS);
+  return (hours > 0 ? hours : DEFAULT_RETENTION_HOURS) * 60 * 60 * 1000;
+}
+
+function getDownloadUrlTtlMs() {
+  const seconds = Number(process.env.EXPORT_DOWNLOAD_URL_TTL_SECONDS);
+  return (seconds > 0 ? seconds : DEFAULT_DOWNLOAD_URL_TTL_SECONDS) * 1000;
+}
+
+function getDownloadBaseUrl() {
+  return (
+    process.env.HOST || 'https://astronote-shopify-backend.onrender.com'
+  ).replace(/\/$/, '');
+}
+
+function dateRange(field, filters = {}) {
+  const range = {};
+  if (filters.from) range.gte = new Date(filters.from);
+  if (filters.to) range.lte = new Date(filters.to);
+  return Object.keys(range).length > 0 ? { [field]: range } : {};
+}
+
+/**
+ * Export sources
+ * Each source reads one model in id order (cursor pagination) and maps
+ * records to flat rows matching its columns.
+ */
+const SOURCES = {
+  campaigns: {
+    model: 'campaign',
+    dateField: 'createdAt',
+    query: { include: { metrics: true } },
+    columns: [
+      { key: 'id', header: 'Campaign ID' },
+      { key: 'name', header: 'Name' },
+      { key: 'status', header: 'Status' },
+      { key: 'scheduleType', header: 'Schedule Type' },
+      { key: 'scheduleAt', header: 'Scheduled At' },
+      { key: 'parentCampaignId', header: 'Recurring Campaign ID' },
+      { key: 'totalSent', header: 'Sent' },
+      { key: 'totalDelivered', header: 'Delivered' },
+      { key: 'totalFailed', header: 'Failed' },
+      { key: 'totalClicked', header: 'Clicks' },
+      { key: 'deliveryRate', header: 'Delivery Rate (%)' },
+      { key: 'createdAt', header: 'Created At' },
+    ],
+    toRow: campaign => {
+      const metrics = campaign.metrics || {};
+      const sent = metrics.totalSent || 0;
+      return {
+        ...campaign,
+        totalSent: sent,
+        totalDelivered: metrics.totalDelivered || 0,
+        totalFailed: metrics.totalFailed || 0,
+        totalClicked: metrics.totalClicked || 0,
+        deliveryRate:
+          sent > 0
+            ? Math.round(((metrics.totalDelivered || 0) / sent) * 10000) / 100
+            : 0,
+      };
+    },
+  },
+  automations: {
+    model: 'automationLog',
+    dateField: 'triggeredAt',
+    columns: [
+      { key: 'id', header: 'Log ID' },
+      { key: 'automationId', header: 'Automation ID' },
+      { key: 'title', header: 'Automation' },
+      { key: 'triggerEvent', header: 'Trigger' },
+      { key: 'status', header: 'Status' },
+      { key: 'reason', header: 'Reason' },
+      { key: 'triggeredAt', header: 'Triggered At' },
+    ],
+    // Logs reference either the shop's automation or the catalog entry
+    prepare: async shopId => {
+      const userAutomations = await prisma.userAutomation.findMany({
+        where: { shopId },
+        select: {
+          id: true,
+          automationId: true,
+          automation: { select: { title: true, triggerEvent: true } },
+        },
+      });
+      const automations = new Map();
+      for (const ua of userAutomations) {
+        automations.set(ua.id, ua.automation);
+        automations.set(ua.automationId, ua.automation);
+      }
+      return { automations };
+    },
+    toRow: (log, { automations }) => ({
+      ...log,
+      title: automations.get(log.automationId)?.title || null,
+      triggerEvent: automations.get(log.automationId)?.triggerEvent || null,
+    }),
+  },
+  credits: {
+    model: 'creditTransaction',
+    dateField: 'createdAt',
+    columns: [
+      { key: 'id', header: 'Transaction ID' },
+      { key: 'createdAt', header: 'Date' },
+      { key: 'type', header: 'Type' },
+      { key: 'amount', header: 'Credits' },
+      { key: 'balanceAfter', header: 'Balance After' },
+      { key: 'reason', header: 'Reason' },
+      { key: 'campaignId', header: 'Campaign ID' },
+      { key: 'messageId', header: 'Message ID' },
+    ],
+  },
+  contacts: {
+    model: 'contact',
+    dateField: 'createdAt',
+    columns: [
+      { key: 'id', header: 'Contact ID' },
+      { key: 'firstName', header: 'First Name' },
+      { key: 'lastName', header: 'Last Name' },
+      { key: 'phoneE164', header: 'Phone' },
+      { key: 'email', header: 'Email' },
+      { key: 'gender', header: 'Gender' },
+      { key: 'birthDate', header: 'Birth Date' },
+      { key: 'smsConsent', header: 'SMS Consent' },
+      { key: 'tags', header: 'Tags' },
+      { key: 'hasPurchased', header: 'Has Purchased' },
+      { key: 'lastOrderAt', header: 'Last Order At' },
+      { key: 'createdAt', header: 'Created At' },
+    ],
+  },
+  messages: {
+    model: 'messageLog',
+    dateField: 'createdAt',
+    columns: [
+      { key: 'id', header: 'Message ID' },
+      { key: 'createdAt', header: 'Date' },
+      { key: 'direction', header: 'Direction' },
+      { key: 'phoneE164', header: 'Phone' },
+      { key: 'status', header: 'Status' },
+      { key: 'deliveryStatus', header: 'Delivery Status' },
+      { key: 'campaignId', header: 'Campaign ID' },
+      { key: 'senderNumber', header: 'Sender' },
+      { key: 'provider', header: 'Provider' },
+      { key: 'providerMsgId', header: 'Provider Message ID' },
+      { key: 'error', header: 'Error' },
+    ],
+    query: {
+      select: {
+        id: true,
+        createdAt: true,
+        direction: true,
+        phoneE164: true,
+        status: true,
+        deliveryStatus: true,
+        campaignId: true,
+        senderNumber: true,
+        provider: true,
+        providerMsgId: true,
+        error: true,
+      },
+    },
+  },
+};
+
+/**
+ * Format an export for API responses
+ * Completed exports get a fresh signed download URL on every call.
+ * @param {Object} reportExport - ReportExport record
+ * @param {Date} [now] - Current time
+ * @returns {Object} Export status
+ */
+function formatReportExport(reportExport, now = new Date()) {
+  let downloadUrl = null;
+  let downloadUrlExpiresAt = null;
+
+  if (
+    reportExport.status === ReportExportStatus.completed &&
+    reportExport.expiresAt > now
+  ) {
+    downloadUrlExpiresAt = new Date(
+      Math.min(
+        now.getTime() + getDownloadUrlTtlMs(),
+        reportExport.expiresAt.getTime(),
+      ),
+    );
+    downloadUrl = buildExportDownloadUrl(
+      getDownloadBaseUrl(),
+      reportExport.id,
+      downloadUrlExpiresAt,
+    );
+  }
+
+  return {
+    id: reportExport.id,
+    type: reportExport.type,
+    format: reportExport.format,
+    status: reportExport.status,
+    progress: reportExport.progress,
+    rowCount: reportExport.rowCount,
+    fileName: reportExport.fileName,
+    fileSize: reportExport.fileSize,
+    filters: reportExport.filters,
+    error: reportExport.error,
+    createdAt: reportExport.createdAt,
+    completedAt: reportExport.completedAt,
+    expiresAt: reportExport.expiresAt,
+    downloadUrl,
+    downloadUrlExpiresAt,
+  };
+}
+
+/**
+ * Request an export
+ * @param {string} shopId - Shop ID
+ * @param {Object} params - { type, format, from, to }
+ * @returns {Promise<Object>} Export status (pending)
+ */
+export async function createReportExport(
+  shopId,
+  { type, format = ExportFormat.csv, from, to } = {},
+) {
+  if (!SOURCES[type]) {
+    throw new ValidationError(
+      `Invalid export type. Must be one of: ${Object.keys(SOURCES).join(', ')}`,
+    );
+  }
+  if (!Object.values(ExportFormat).includes(format)) {
+    throw new ValidationError(
+      `Invalid export format. Must be one of: ${Object.values(ExportFormat).join(', ')}`,
+    );
+  }
+
+  const filters = {};
+  if (from) filters.from = new Date(from).toISOString();
+  if (to) filters.to = new Date(to).toISOString();
+
+  const reportExport = await prisma.reportExport.create({
+    data: {
+      shopId,
+      type,
+      format,
+      status: ReportExportStatus.pending,
+      filters,
+    },
+  });
+
+  try {
+    const job = await exportQueue.add(
+      'generate-report-export',
+      { exportId: reportExport.id, shopId },
+      { jobId: `report-export-${reportExport.id}` },
+    );
+
+    const queued = await prisma.reportExport.update({
+      where: { id: reportExport.id },
+      data: { jobId: String(job.id) },
+    });
+
+    logger.info('Report export queued', {
+      shopId,
+      exportId: reportExport.id,
+      type,
+      format,
+    });
+
+    return formatReportExport(queued);
+  } catch (error) {
+    await prisma.reportExport.update({
+      where: { id: reportExport.id },
+      data: {
+        status: ReportExportStatus.failed,
+        error: 'Failed to queue export',
+      },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the status of an export
+ * @param {string} shopId - Shop ID
+ * @param {string} exportId - Report export ID
+ * @returns {Promise<Object>} Export status
+ */
+export async function getReportExport(shopId, exportId) {
+  const reportExport = await prisma.reportExport.findFirst({
+    where: { id: exportId, shopId },
+  });
+
+  if (!reportExport) {
+    throw new NotFoundError('Export');
+  }
+
+  return formatReportExport(reportExport);
+}
+
+function writeChunk(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => stream.once('drain', resolve));
+}
+
+function closeStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+  });
+}
+
+async function* readBatches(source, where) {
+  let cursor = null;
+  for (;;) {
+    const batch = await prisma[source.model].findMany({
+      ...source.query,
+      where,
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (batch.length === 0) return;
+    yield batch;
+    if (batch.length < BATCH_SIZE) return;
+    cursor = batch[batch.length - 1].id;
+  }
+}
+
+/**
+ * Render an export file (worker side)
+ * @param {string} exportId - Report export ID
+ * @returns {Promise<Object>} { exportId, status, rowCount }
+ */
+export async function generateReportExport(exportId) {
+  const reportExport = await prisma.reportExport.findUnique({
+    where: { id: exportId },
+  });
+
+  if (!reportExport) {
+    throw new Error(`Report export ${exportId} not found`);
+  }
+
+  if (
+    reportExport.status === ReportExportStatus.completed ||
+    reportExport.status === ReportExportStatus.expired
+  ) {
+    return { exportId, status: reportExport.status, skipped: true };
+  }
+
+  const { shopId, type, format } = reportExport;
+  const source = SOURCES[type];
+  const { extension, contentType } = getExportFileInfo(format);
+  const tmpPath = path.join(os.tmpdir(), `report-export-${exportId}.${extension}`);
+
+  await prisma.reportExport.update({
+    where: { id: exportId },
+    data: {
+      status: ReportExportStatus.processing,
+      startedAt: new Date(),
+      progress: 0,
+      error: null,
+    },
+  });
+
+  try {
+    const where = {
+      shopId,
+      ...dateRange(source.dateField, reportExport.filters || {}),
+    };
+    const total = await prisma[source.model].count({ where });
+
+    if (format === ExportFormat.xlsx && total >= XLSX_MAX_ROWS) {
+      throw new ValidationError(
+        `Too many rows for XLSX (${total}), use CSV or JSON lines`,
+      );
+    }
+
+    const context = source.prepare ? await source.prepare(shopId) : {};
+    const toRow = source.toRow || (record => record);
+    const formatRow =
+      format === ExportFormat.csv ? formatCsvRow : formatJsonLine;
+    const xlsxRows = [];
+    const stream =
+      format === ExportFormat.xlsx ? null : fs.createWriteStream(tmpPath);
+    let rowCount = 0;
+
+    try {
+      if (format === ExportFormat.csv) {
+        await writeChunk(stream, CSV_BOM + formatCsvHeader(source.columns));
+      }
+
+      for await (const batch of readBatches(source, where)) {
+        const rows = batch.map(record => toRow(record, context));
+        if (format === ExportFormat.xlsx) {
+          xlsxRows.push(...rows);
+        } else {
+          await writeChunk(
+            stream,
+            rows.map(row => formatRow(source.columns, row)).join(''),
+          );
+        }
+
+        rowCount += rows.length;
+        await prisma.reportExport.update({
+          where: { id: exportId },
+          data: {
+            rowCount,
+            progress: total > 0 ? Math.min(99, Math.floor((rowCount / total) * 100)) : 0,
+          },
+        });
+      }
+    } finally {
+      if (stream) await closeStream(stream);
+    }
+
+    if (format === ExportFormat.xlsx) {
+      await writeFile(
+        tmpPath,
+        buildXlsx(source.columns, xlsxRows, { sheetName: type }),
+      );
+    }
+
+    const storage = getStorageAdapter();
+    const completedAt = new Date();
+    const fileName = `${type}-${completedAt.toISOString().slice(0, 10)}.${extension}`;
+    const storageKey = `${shopId}/${exportId}.${extension}`;
+    const { size } = await stat(tmpPath);
+
+    await storage.save(storageKey, tmpPath, { contentType });
+
+    const expiresAt = new Date(completedAt.getTime() + getRetentionMs());
+    await prisma.reportExport.update({
+      where: { id: exportId },
+      data: {
+        status: ReportExportStatus.completed,
+        progress: 100,
+        rowCount,
+        fileSize: size,
+        fileName,
+        storage: storage.name,
+        storageKey,
+        completedAt,
+        expiresAt,
+      },
+    });
+
+    // Delete the file when the export expires
+    await exportQueue.add(
+      'delete-report-export',
+      { exportId, shopId },
+      {
+        jobId: `report-export-delete-${exportId}`,
+        delay: expiresAt.getTime() - Date.now(),
+      },
+    );
+
+    logger.info('Report export completed', {
+      shopId,
+      exportId,
+      type,
+      format,
+      rowCount,
+      fileSize: size,
+      storage: storage.name,
+    });
+
+    return { exportId, status: ReportExportStatus.completed, rowCount };
+  } catch (error) {
+    await prisma.reportExport.update({
+      where: { id: exportId },
+      data: { status: ReportExportStatus.failed, error: error.message },
+    });
+    throw error;
+  } finally {
+    await rm(tmpPath, { force: true });
+  }
+}
+
+/**
+ * Delete the file of an export and mark it expired (worker side)
+ * @param {string} exportId - Report export ID
+ * @returns {Promise<Object>} { exportId, deleted }
+ */
+export async function expireReportExport(exportId) {
+  const reportExport = await prisma.reportExport.findUnique({
+    where: { id: exportId },
+  });
+
+  if (!reportExport || !reportExport.storageKey) {
+    return { exportId, deleted: false };
+  }
+
+  await getStorageAdapter(reportExport.storage).remove(reportExport.storageKey);
+
+  await prisma.reportExport.update({
+    where: { id: exportId },
+    data: { status: ReportExportStatus.expired, storageKey: null },
+  });
+
+  logger.info('Report export expired', { shopId: reportExport.shopId, exportId });
+
+  return { exportId, deleted: true };
+}
+
+/**
+ * Open the file behind a signed download link
+ * @param {string} exportId - Report export ID
+ * @param {Object} link - { expires, signature } from the download URL
+ * @returns {Promise<Object>} { stream, fileName, contentType, fileSize }
+ */
+export async function openReportExportDownload(exportId, { expires, signature }) {
+  if (!verifyExportDownload(exportId, expires, signature)) {
+    throw new AppError(
+      'Download link is invalid or has expired',
+      403,
+      'INVALID_DOWNLOAD_LINK',
+    );
+  }
+
+  const reportExport = await prisma.reportExport.findUnique({
+    where: { id: exportId },
+  });
+
+  if (
+    !reportExport ||
+    reportExport.status !== ReportExportStatus.completed ||
+    !reportExport.storageKey ||
+    reportExport.expiresAt <= new Date()
+  ) {
+    throw new NotFoundError('Export');
+  }
+
+  const stream = await getStorageAdapter(reportExport.storage).createReadStream(
+    reportExport.storageKey,
+  );
+
+  return {
+    stream,
+    fileName: reportExport.fileName,
+    contentType: getExportFileInfo(reportExport.format).contentType,
+    fileSize: reportExport.fileSize,
+  };
+}
+
+export default {
+  ReportExportType,
+  ReportExportStatus,
+  createReportExport,
+  getReportExport,
+  generateReportExport,
+  expireReportExport,
+  openReportExportDownload,
+};
@@ -2,6 +2,12 @@ import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
 import { getCreditUsageStats } from './credit-validation.js';
 import { getCachedReport, cacheReport } from './reports-cache.js';
+import {
+  DEFAULT_CLICK_WINDOW_DAYS,
+  DEFAULT_VIEW_WINDOW_HOURS,
+  computeRoi,
+} from './attribution-rules.js';
+import { CREDIT_PRICE_EUR } from './subscription.js';
 
 /**
  * Reports Service
@@ -641,10 +647,208 @@ export async function getKPIs(storeId) {
   }
 }
 
+/**
+ * Get revenue attributed to SMS and return on SMS spend
+ * Orders are attributed by services/attribution.js; credits spent are the
+ * net campaign debits and the credits of automation messages in the range.
+ * @param {string} storeId - Store ID
+ * @param {Object} filters - Date range (defaults to the last 30 days)
+ * @returns {Promise<Object>} { summary, byModel, campaigns, automations, windows }
+ */
+export async function getRevenueAttribution(storeId, filters = {}) {
+  const to = filters.to ? new Date(filters.to) : new Date();
+  const from = filters.from
+    ? new Date(filters.from)
+    : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const range = { gte: from, lte: to };
+
+  try {
+    const [
+      shop,
+      byCampaign,
+      byAutomation,
+      byModel,
+      campaignCredits,
+      automationCredits,
+    ] = await Promise.all([
+      prisma.shop.findUnique({
+        where: { id: storeId },
+        select: {
+          currency: true,
+          settings: {
+            select: {
+              attributionClickWindowDays: true,
+              attributionViewWindowHours: true,
+            },
+          },
+        },
+      }),
+      prisma.attributedOrder.groupBy({
+        by: ['campaignId'],
+        where: { shopId: storeId, orderedAt: range, campaignId: { not: null } },
+        _count: { _all: true },
+        _sum: { revenue: true },
+      }),
+      prisma.attributedOrder.groupBy({
+        by: ['automationId'],
+        where: { shopId: storeId, orderedAt: range, automationId: { not: null } },
+        _count: { _all: true },
+        _sum: { revenue: true },
+      }),
+      prisma.attributedOrder.groupBy({
+        by: ['model'],
+        where: { shopId: storeId, orderedAt: range },
+        _count: { _all: true },
+        _sum: { revenue: true },
+      }),
+      prisma.creditTransaction.groupBy({
+        by: ['campaignId', 'type'],
+        where: {
+          shopId: storeId,
+          campaignId: { not: null },
+          type: { in: ['debit', 'refund'] },
+          createdAt: range,
+        },
+        _sum: { amount: true },
+      }),
+      prisma.messageLog.groupBy({
+        by: ['automationId'],
+        where: {
+          shopId: storeId,
+          automationId: { not: null },
+          direction: 'outbound',
+          createdAt: range,
+        },
+        _count: { _all: true, credits: true },
+        _sum: { credits: true },
+      }),
+    ]);
+
+    const currency = shop?.currency || 'EUR';
+    const roi = (revenue, credits) =>
+      computeRoi({
+        revenue,
+        currency,
+        credits,
+        creditPrice: CREDIT_PRICE_EUR,
+        creditCurrency: 'EUR',
+      });
+
+    // Net credits per campaign (debits minus refunds)
+    const creditsByCampaign = new Map();
+    for (const row of campaignCredits) {
+      const amount = row._sum.amount || 0;
+      const net = row.type === 'refund' ? -amount : amount;
+      creditsByCampaign.set(
+        row.campaignId,
+        (creditsByCampaign.get(row.campaignId) || 0) + net,
+      );
+    }
+    const creditsByAutomation = new Map(
+      automationCredits.map(row => [
+        row.automationId,
+        // Messages logged before credits were recorded count one segment
+        (row._sum.credits || 0) + row._count._all - row._count.credits,
+      ]),
+    );
+
+    const campaignIds = [
+      ...new Set([
+        ...byCampaign.map(row => row.campaignId),
+        ...creditsByCampaign.keys(),
+      ]),
+    ];
+    const automationIds = [
+      ...new Set([
+        ...byAutomation.map(row => row.automationId),
+        ...creditsByAutomation.keys(),
+      ]),
+    ];
+    const [campaigns, automations] = await Promise.all([
+      prisma.campaign.findMany({
+        where: { id: { in: campaignIds }, shopId: storeId },
+        select: { id: true, name: true },
+      }),
+      prisma.automation.findMany({
+        where: { id: { in: automationIds } },
+        select: { id: true, title: true, triggerEvent: true },
+      }),
+    ]);
+
+    const campaignRows = campaigns
+      .map(campaign => {
+        const attributed = byCampaign.find(row => row.campaignId === campaign.id);
+        return {
+          campaignId: campaign.id,
+          name: campaign.name,
+          orders: attributed?._count._all || 0,
+          ...roi(
+            attributed?._sum.revenue || 0,
+            creditsByCampaign.get(campaign.id) || 0,
+          ),
+        };
+      })
+      .sort((a, b) => b.revenue - a.revenue);
+    const automationRows = automations
+      .map(automation => {
+        const attributed = byAutomation.find(
+          row => row.automationId === automation.id,
+        );
+        return {
+          automationId: automation.id,
+          title: automation.title,
+          triggerEvent: automation.triggerEvent,
+          orders: attributed?._count._all || 0,
+          ...roi(
+            attributed?._sum.revenue || 0,
+            creditsByAutomation.get(automation.id) || 0,
+          ),
+        };
+      })
+      .sort((a, b) => b.revenue - a.revenue);
+
+    const totalRevenue = byModel.reduce(
+      (sum, row) => sum + (row._sum.revenue || 0),
+      0,
+    );
+    const totalCredits =
+      [...creditsByCampaign.values()].reduce((sum, credits) => sum + credits, 0) +
+      [...creditsByAutomation.values()].reduce((sum, credits) => sum + credits, 0);
+
+    return {
+      summary: {
+        orders: byModel.reduce((sum, row) => sum + row._count._all, 0),
+        ...roi(totalRevenue, totalCredits),
+      },
+      byModel: byModel.map(row => ({
+        model: row.model,
+        orders: row._count._all,
+        revenue: Math.round((row._sum.revenue || 0) * 100) / 100,
+      })),
+      campaigns: campaignRows,
+      automations: automationRows,
+      windows: {
+        clickDays:
+          shop?.settings?.attributionClickWindowDays ?? DEFAULT_CLICK_WINDOW_DAYS,
+        viewHours:
+          shop?.settings?.attributionViewWindowHours ?? DEFAULT_VIEW_WINDOW_HOURS,
+      },
+      dateRange: { from: from.toISOString(), to: to.toISOString() },
+    };
+  } catch (error) {
+    logger.error('Failed to get revenue attribution', {
+      storeId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
 export default {
   getCampaignPerformance,
   getAutomationInsights,
   getCreditUsage,
   getContactInsights,
   getKPIs,
+  getRevenueAttribution,
 };
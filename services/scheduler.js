@@ -1,8 +1,15 @@
 import { logger } from '../utils/logger.js';
-import { allCampaignsStatusQueue, campaignQueue } from '../queue/index.js';
+import {
+  allCampaignsStatusQueue,
+  campaignQueue,
+  walletMaintenanceQueue,
+} from '../queue/index.js';
 import prisma from './prisma.js';
 import { processDailyBirthdayAutomations } from './automations.js';
-import { CampaignStatus } from '../utils/prismaEnums.js';
+import { processRecurringCampaigns } from './campaign-runs.js';
+import { enqueueWalletReconciliation } from './wallet-reconciliation.js';
+import { enqueueShopPurgeSweep } from './compliance.js';
+import { CampaignStatus, ScheduleType } from '../utils/prismaEnums.js';
 
 /**
  * Scheduler Service
@@ -17,10 +24,23 @@ export async function processScheduledCampaigns() {
   try {
     const now = new Date();
 
+    // Spawn due runs of recurring campaigns first so they are queued below
+    let spawned = 0;
+    try {
+      ({ spawned } = await processRecurringCampaigns(now));
+    } catch (error) {
+      logger.error('Error processing recurring campaigns', {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+
     // Find all campaigns that are scheduled and due to be sent
+    // (recurring campaigns are templates, only their runs are sent)
     const dueCampaigns = await prisma.campaign.findMany({
       where: {
         status: CampaignStatus.scheduled,
+        scheduleType: { not: ScheduleType.recurring },
         scheduleAt: {
           lte: now, // scheduleAt is in UTC, so we compare with UTC now
         },
@@ -35,7 +55,7 @@ export async function processScheduledCampaigns() {
     });
 
     if (dueCampaigns.length === 0) {
-      return { processed: 0, queued: 0 };
+      return { processed: 0, queued: 0, spawned };
     }
 
     logger.info('Found due scheduled campaigns', {
@@ -130,7 +150,7 @@ export async function processScheduledCampaigns() {
       errors,
     });
 
-    return { processed: dueCampaigns.length, queued, errors };
+    return { processed: dueCampaigns.length, queued, errors, spawned };
   } catch (error) {
     logger.error('Error processing scheduled campaigns', {
       error: error.message,
@@ -210,7 +230,7 @@ export function startScheduledCampaignsProcessor() {
         // We have the lock, process scheduled campaigns
         processScheduledCampaigns()
           .then(result => {
-            if (result.queued > 0) {
+            if (result.queued > 0 || result.spawned > 0) {
               logger.info('Scheduled campaigns processed', result);
             }
           })
@@ -394,9 +414,137 @@ export function startBirthdayAutomationScheduler() {
   });
 }
 
+/**
+ * Schedule wallet maintenance
+ * Expires due credit lots every hour and reconciles every wallet once a day
+ * (at WALLET_RECONCILIATION_HOUR_UTC, default 3).
+ * This should be called on application startup
+ */
+export function startWalletMaintenanceScheduler() {
+  // CRITICAL: Check if scheduler should run on this instance
+  if (process.env.RUN_SCHEDULER === 'false') {
+    logger.info('Wallet maintenance scheduler disabled (RUN_SCHEDULER=false)');
+    return;
+  }
+
+  // Skip in test mode
+  if (process.env.NODE_ENV === 'test' && process.env.SKIP_QUEUES === 'true') {
+    logger.info('Skipping wallet maintenance scheduler in test mode');
+    return;
+  }
+
+  const INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+  const parsedHour = parseInt(process.env.WALLET_RECONCILIATION_HOUR_UTC, 10);
+  const RECONCILIATION_HOUR = Number.isInteger(parsedHour) ? parsedHour : 3;
+
+  // Initial delay of 2 minutes to let the app fully start
+  setTimeout(() => {
+    scheduleNextMaintenance();
+  }, 2 * 60 * 1000);
+
+  async function scheduleNextMaintenance() {
+    // Use Redis lock to prevent multiple instances from scheduling simultaneously
+    const hasLock = await acquireSchedulerLock('wallet-maintenance');
+
+    if (!hasLock) {
+      logger.debug('Skipping wallet maintenance - another instance has the lock');
+      setTimeout(scheduleNextMaintenance, INTERVAL_MS);
+      return;
+    }
+
+    try {
+      await walletMaintenanceQueue.add(
+        'expire-credit-lots',
+        {},
+        {
+          jobId: `expire-credit-lots-${Date.now()}`,
+          removeOnComplete: true,
+        },
+      );
+
+      const now = new Date();
+      if (now.getUTCHours() === RECONCILIATION_HOUR) {
+        await enqueueWalletReconciliation(
+          `reconcile-wallets-${now.toISOString().slice(0, 10)}`,
+        );
+      }
+
+      logger.info('Scheduled wallet maintenance');
+      setTimeout(scheduleNextMaintenance, INTERVAL_MS);
+    } catch (error) {
+      logger.error('Failed to schedule wallet maintenance', {
+        error: error.message,
+      });
+      // Retry after 1 minute if scheduling fails
+      setTimeout(scheduleNextMaintenance, 60000);
+    }
+  }
+
+  logger.info('Wallet maintenance scheduler started with distributed lock', {
+    interval: `${INTERVAL_MS / 1000}s`,
+    reconciliationHourUtc: RECONCILIATION_HOUR,
+  });
+}
+
+/**
+ * Schedule the purge of uninstalled shops
+ * Queues a sweep every hour; shops are purged SHOP_PURGE_DELAY_HOURS after
+ * uninstall (see services/compliance-rules.js).
+ * This should be called on application startup
+ */
+export function startComplianceScheduler() {
+  // CRITICAL: Check if scheduler should run on this instance
+  if (process.env.RUN_SCHEDULER === 'false') {
+    logger.info('Compliance scheduler disabled (RUN_SCHEDULER=false)');
+    return;
+  }
+
+  // Skip in test mode
+  if (process.env.NODE_ENV === 'test' && process.env.SKIP_QUEUES === 'true') {
+    logger.info('Skipping compliance scheduler in test mode');
+    return;
+  }
+
+  const INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+  // Initial delay of 2 minutes to let the app fully start
+  setTimeout(() => {
+    scheduleNextSweep();
+  }, 2 * 60 * 1000);
+
+  async function scheduleNextSweep() {
+    // Use Redis lock to prevent multiple instances from scheduling simultaneously
+    const hasLock = await acquireSchedulerLock('compliance');
+
+    if (!hasLock) {
+      logger.debug('Skipping shop purge sweep - another instance has the lock');
+      setTimeout(scheduleNextSweep, INTERVAL_MS);
+      return;
+    }
+
+    try {
+      await enqueueShopPurgeSweep(`purge-due-shops-${new Date().toISOString().slice(0, 13)}`);
+      logger.info('Scheduled shop purge sweep');
+      setTimeout(scheduleNextSweep, INTERVAL_MS);
+    } catch (error) {
+      logger.error('Failed to schedule shop purge sweep', {
+        error: error.message,
+      });
+      // Retry after 1 minute if scheduling fails
+      setTimeout(scheduleNextSweep, 60000);
+    }
+  }
+
+  logger.info('Compliance scheduler started with distributed lock', {
+    interval: `${INTERVAL_MS / 1000}s`,
+  });
+}
+
 export default {
   startPeriodicStatusUpdates,
   startScheduledCampaignsProcessor,
   processScheduledCampaigns,
   startBirthdayAutomationScheduler,
+  startWalletMaintenanceScheduler,
+  startComplianceScheduler,
 };
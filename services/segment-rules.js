@@ -0,0 +1,331 @@
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Segment Rules Engine
+ * Translates Segment.ruleJson into Prisma `where` clauses for the Contact model.
+ *
+ * Rule format:
+ * {
+ *   "operator": "AND",            // AND | OR (default AND)
+ *   "conditions": [
+ *     { "field": "tags", "op": "has_any", "value": ["vip"] },
+ *     { "field": "lastOrderAt", "op": "within_last_days", "value": 30 },
+ *     { "operator": "OR", "conditions": [ ... ] }   // nested group
+ *   ]
+ * }
+ *
+ * An empty rule ({} or no conditions) means the segment is static and
+ * resolves through SegmentMembership rows instead.
+ */
+
+const MAX_DEPTH = 5;
+const MAX_CONDITIONS = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_OPS = [
+  'before',
+  'after',
+  'between',
+  'within_last_days',
+  'more_than_days_ago',
+  'is_set',
+  'is_not_set',
+];
+
+/**
+ * Supported fields and the operators allowed for each
+ */
+export const SEGMENT_RULE_FIELDS = {
+  tags: ['has', 'not_has', 'has_any', 'has_all', 'is_empty', 'is_not_empty'],
+  gender: ['eq', 'neq', 'in', 'is_set', 'is_not_set'],
+  birthDate: DATE_OPS,
+  hasPurchased: ['eq'],
+  lastOrderAt: DATE_OPS,
+  createdAt: DATE_OPS,
+  smsConsent: ['eq', 'neq', 'in'],
+};
+
+const GENDERS = ['male', 'female', 'other'];
+const CONSENT_STATES = ['opted_in', 'opted_out', 'unknown'];
+
+/**
+ * Check whether a rule has any conditions to evaluate
+ * @param {Object} ruleJson - Segment rule
+ * @returns {boolean} True if the rule is dynamic (has conditions)
+ */
+export function isDynamicRule(ruleJson) {
+  return (
+    !!ruleJson &&
+    typeof ruleJson === 'object' &&
+    Array.isArray(ruleJson.conditions) &&
+    ruleJson.conditions.length > 0
+  );
+}
+
+function toDate(value, path) {
+  const date = new Date(value);
+  if (value === null || value === undefined || isNaN(date.getTime())) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: path, message: 'Value must be a valid ISO 8601 date' },
+    ]);
+  }
+  return date;
+}
+
+function toPositiveInt(value, path) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: path, message: 'Value must be a non-negative integer' },
+    ]);
+  }
+  return n;
+}
+
+function toStringArray(value, path, allowed = null) {
+  const arr = Array.isArray(value) ? value : [value];
+  if (
+    arr.length === 0 ||
+    arr.some(v => typeof v !== 'string' || v.trim().length === 0)
+  ) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: path, message: 'Value must be a non-empty list of strings' },
+    ]);
+  }
+  if (allowed && arr.some(v => !allowed.includes(v))) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: path, message: `Value must be one of: ${allowed.join(', ')}` },
+    ]);
+  }
+  return arr.map(v => v.trim());
+}
+
+function toEnumValue(value, path, allowed) {
+  if (!allowed.includes(value)) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: path, message: `Value must be one of: ${allowed.join(', ')}` },
+    ]);
+  }
+  return value;
+}
+
+/**
+ * Build a date comparison clause
+ */
+function buildDateCondition(field, op, value, path, now) {
+  switch (op) {
+  case 'before':
+    return { [field]: { lt: toDate(value, path) } };
+  case 'after':
+    return { [field]: { gt: toDate(value, path) } };
+  case 'between': {
+    if (!value || typeof value !== 'object') {
+      throw new ValidationError('Invalid segment rule', [
+        { field: path, message: 'Value must be { from, to }' },
+      ]);
+    }
+    const from = toDate(value.from, `${path}.from`);
+    const to = toDate(value.to, `${path}.to`);
+    return { [field]: { gte: from, lte: to } };
+  }
+  case 'within_last_days': {
+    const days = toPositiveInt(value, path);
+    return { [field]: { gte: new Date(now.getTime() - days * DAY_MS) } };
+  }
+  case 'more_than_days_ago': {
+    const days = toPositiveInt(value, path);
+    return { [field]: { lt: new Date(now.getTime() - days * DAY_MS) } };
+  }
+  case 'is_set':
+    return { [field]: { not: null } };
+  case 'is_not_set':
+    return { [field]: null };
+  default:
+    return null;
+  }
+}
+
+/**
+ * Build a single condition clause
+ */
+function buildCondition(condition, path, now) {
+  const { field, op, value } = condition;
+  const allowedOps = SEGMENT_RULE_FIELDS[field];
+
+  if (!allowedOps) {
+    throw new ValidationError('Invalid segment rule', [
+      {
+        field: `${path}.field`,
+        message: `Unsupported field. Must be one of: ${Object.keys(SEGMENT_RULE_FIELDS).join(', ')}`,
+      },
+    ]);
+  }
+
+  if (!allowedOps.includes(op)) {
+    throw new ValidationError('Invalid segment rule', [
+      {
+        field: `${path}.op`,
+        message: `Unsupported operator for ${field}. Must be one of: ${allowedOps.join(', ')}`,
+      },
+    ]);
+  }
+
+  const valuePath = `${path}.value`;
+
+  if (DATE_OPS.includes(op) && allowedOps === DATE_OPS) {
+    return buildDateCondition(field, op, value, valuePath, now);
+  }
+
+  switch (field) {
+  case 'tags':
+    if (op === 'is_empty') return { tags: { isEmpty: true } };
+    if (op === 'is_not_empty') return { tags: { isEmpty: false } };
+    if (op === 'has') {
+      return { tags: { has: toStringArray(value, valuePath)[0] } };
+    }
+    if (op === 'not_has') {
+      return { NOT: { tags: { has: toStringArray(value, valuePath)[0] } } };
+    }
+    if (op === 'has_any') {
+      return { tags: { hasSome: toStringArray(value, valuePath) } };
+    }
+    return { tags: { hasEvery: toStringArray(value, valuePath) } };
+
+  case 'gender':
+    if (op === 'is_set') return { gender: { not: null } };
+    if (op === 'is_not_set') return { gender: null };
+    if (op === 'in') {
+      return { gender: { in: toStringArray(value, valuePath, GENDERS) } };
+    }
+    if (op === 'neq') {
+      return {
+        NOT: { gender: toEnumValue(value, valuePath, GENDERS) },
+      };
+    }
+    return { gender: toEnumValue(value, valuePath, GENDERS) };
+
+  case 'smsConsent':
+    if (op === 'in') {
+      return {
+        smsConsent: { in: toStringArray(value, valuePath, CONSENT_STATES) },
+      };
+    }
+    if (op === 'neq') {
+      return {
+        smsConsent: { not: toEnumValue(value, valuePath, CONSENT_STATES) },
+      };
+    }
+    return { smsConsent: toEnumValue(value, valuePath, CONSENT_STATES) };
+
+  case 'hasPurchased':
+    if (typeof value !== 'boolean') {
+      throw new ValidationError('Invalid segment rule', [
+        { field: valuePath, message: 'Value must be a boolean' },
+      ]);
+    }
+    return { hasPurchased: value };
+
+  default:
+    return null;
+  }
+}
+
+/**
+ * Recursively build a group clause (AND/OR of conditions and sub-groups)
+ */
+function buildGroup(group, path, depth, counter, now) {
+  if (depth > MAX_DEPTH) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: path, message: `Rule nesting exceeds ${MAX_DEPTH} levels` },
+    ]);
+  }
+
+  if (!group || typeof group !== 'object' || Array.isArray(group)) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: path, message: 'Rule group must be an object' },
+    ]);
+  }
+
+  const operator =
+    group.operator === undefined || group.operator === null
+      ? 'AND'
+      : typeof group.operator === 'string'
+        ? group.operator.toUpperCase()
+        : null;
+  if (!['AND', 'OR'].includes(operator)) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: `${path}.operator`, message: 'Operator must be AND or OR' },
+    ]);
+  }
+
+  if (!Array.isArray(group.conditions) || group.conditions.length === 0) {
+    throw new ValidationError('Invalid segment rule', [
+      {
+        field: `${path}.conditions`,
+        message: 'Rule group must contain at least one condition',
+      },
+    ]);
+  }
+
+  const clauses = group.conditions.map((condition, index) => {
+    const childPath = `${path}.conditions.${index}`;
+    counter.count += 1;
+    if (counter.count > MAX_CONDITIONS) {
+      throw new ValidationError('Invalid segment rule', [
+        {
+          field: childPath,
+          message: `Rule cannot contain more than ${MAX_CONDITIONS} conditions`,
+        },
+      ]);
+    }
+
+    if (condition && Array.isArray(condition.conditions)) {
+      return buildGroup(condition, childPath, depth + 1, counter, now);
+    }
+    if (!condition || typeof condition !== 'object') {
+      throw new ValidationError('Invalid segment rule', [
+        { field: childPath, message: 'Condition must be an object' },
+      ]);
+    }
+    return buildCondition(condition, childPath, now);
+  });
+
+  return { [operator]: clauses };
+}
+
+/**
+ * Convert a segment rule into a Prisma Contact `where` clause
+ * @param {Object} ruleJson - Segment rule
+ * @param {Object} options - Options
+ * @param {Date} options.now - Reference time for relative date operators
+ * @returns {Object|null} Prisma where clause, or null for static (empty) rules
+ * @throws {ValidationError} If the rule is malformed
+ */
+export function buildSegmentWhere(ruleJson, { now = new Date() } = {}) {
+  if (!isDynamicRule(ruleJson)) {
+    return null;
+  }
+  return buildGroup(ruleJson, 'ruleJson', 1, { count: 0 }, now);
+}
+
+/**
+ * Validate a segment rule without building it for a query
+ * @param {Object} ruleJson - Segment rule
+ * @throws {ValidationError} If the rule is malformed
+ */
+export function validateSegmentRule(ruleJson) {
+  if (ruleJson === null || ruleJson === undefined) return;
+  if (typeof ruleJson !== 'object' || Array.isArray(ruleJson)) {
+    throw new ValidationError('Invalid segment rule', [
+      { field: 'ruleJson', message: 'Rule must be an object' },
+    ]);
+  }
+  buildSegmentWhere(ruleJson);
+}
+
+export default {
+  SEGMENT_RULE_FIELDS,
+  isDynamicRule,
+  buildSegmentWhere,
+  validateSegmentRule,
+};
@@ -0,0 +1,368 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { SmsConsent } from '../utils/prismaEnums.js';
+import {
+  buildSegmentWhere,
+  isDynamicRule,
+  validateSegmentRule,
+} from './segment-rules.js';
+
+/**
+ * Segments Service
+ * Handles segment CRUD and live resolution of rule-based segments
+ */
+
+const PREVIEW_SAMPLE_SIZE = 10;
+
+/**
+ * Build the Contact `where` clause for a segment
+ * Dynamic segments are evaluated from ruleJson; static segments fall back
+ * to their SegmentMembership rows.
+ * @param {string} shopId - Store ID
+ * @param {Object} segment - Segment with id and ruleJson
+ * @param {Object} options - Options
+ * @param {boolean} options.consentedOnly - Restrict to opted-in contacts (default: true)
+ * @returns {Object} Prisma Contact where clause
+ */
+export function buildSegmentContactWhere(
+  shopId,
+  segment,
+  { consentedOnly = true } = {},
+) {
+  const ruleWhere = buildSegmentWhere(segment.ruleJson);
+  const where = { shopId };
+
+  if (consentedOnly) {
+    where.smsConsent = SmsConsent.opted_in;
+  }
+
+  if (ruleWhere) {
+    where.AND = [ruleWhere];
+  } else {
+    where.memberships = { some: { segmentId: segment.id } };
+  }
+
+  return where;
+}
+
+/**
+ * Resolve the Contact where clause for a segment ID scoped to a shop
+ * @param {string} shopId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @param {Object} options - See buildSegmentContactWhere
+ * @returns {Promise<Object|null>} Where clause, or null if the segment does not belong to the shop
+ */
+export async function getSegmentContactWhere(shopId, segmentId, options = {}) {
+  const segment = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId },
+    select: { id: true, ruleJson: true },
+  });
+
+  if (!segment) {
+    return null;
+  }
+
+  return buildSegmentContactWhere(shopId, segment, options);
+}
+
+/**
+ * Count opted-in contacts in a segment
+ * @param {string} shopId - Store ID
+ * @param {Object} segment - Segment with id and ruleJson
+ * @returns {Promise<number>} Contact count
+ */
+export async function countSegmentContacts(shopId, segment) {
+  return prisma.contact.count({
+    where: buildSegmentContactWhere(shopId, segment),
+  });
+}
+
+function warnInvalidRule(shopId, segmentId, error) {
+  logger.warn('Stored segment rule is invalid', {
+    shopId,
+    segmentId,
+    error: error.message,
+  });
+}
+
+/**
+ * Count a stored segment for listings
+ * A segment whose stored rule no longer validates gets a null count instead
+ * of failing the whole listing.
+ * @param {string} shopId - Store ID
+ * @param {Object} segment - Segment with id and ruleJson
+ * @returns {Promise<number|null>} Contact count, null for invalid rules
+ */
+export async function countStoredSegmentContacts(shopId, segment) {
+  try {
+    return await countSegmentContacts(shopId, segment);
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    warnInvalidRule(shopId, segment.id, error);
+    return null;
+  }
+}
+
+/**
+ * Count a stored segment by ID for read paths (campaign listings, details)
+ * @param {string} shopId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @returns {Promise<number|null>} Contact count (0 if the segment does not belong to the shop), null for invalid rules
+ */
+export async function countStoredSegmentContactsById(shopId, segmentId) {
+  try {
+    const where = await getSegmentContactWhere(shopId, segmentId);
+    return where ? await prisma.contact.count({ where }) : 0;
+  } catch (error) {
+    if (!(error instanceof ValidationError)) {
+      throw error;
+    }
+    warnInvalidRule(shopId, segmentId, error);
+    return null;
+  }
+}
+
+function formatSegment(segment, contactCount) {
+  return {
+    id: segment.id,
+    name: segment.name,
+    ruleJson: segment.ruleJson,
+    type: isDynamicRule(segment.ruleJson) ? 'dynamic' : 'static',
+    contactCount,
+    createdAt: segment.createdAt,
+    updatedAt: segment.updatedAt,
+  };
+}
+
+/**
+ * List segments for a store with live contact counts
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Segments
+ */
+export async function listSegments(storeId) {
+  logger.info('Listing segments', { storeId });
+
+  const segments = await prisma.segment.findMany({
+    where: { shopId: storeId },
+    orderBy: { createdAt: 'desc' },
+  });
+
+  return Promise.all(
+    segments.map(async segment =>
+      formatSegment(segment, await countStoredSegmentContacts(storeId, segment)),
+    ),
+  );
+}
+
+/**
+ * Get a segment by ID
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @returns {Promise<Object>} Segment
+ */
+export async function getSegmentById(storeId, segmentId) {
+  const segment = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+  });
+
+  if (!segment) {
+    throw new NotFoundError('Segment');
+  }
+
+  return formatSegment(segment, await countStoredSegmentContacts(storeId, segment));
+}
+
+async function assertUniqueName(storeId, name, excludeId = null) {
+  const existing = await prisma.segment.findFirst({
+    where: {
+      shopId: storeId,
+      name,
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+    },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new ValidationError(
+      `A segment with the name "${name}" already exists for this store. Please choose a different name.`,
+    );
+  }
+}
+
+/**
+ * Create a segment
+ * @param {string} storeId - Store ID
+ * @param {Object} segmentData - { name, ruleJson }
+ * @returns {Promise<Object>} Created segment
+ */
+export async function createSegment(storeId, segmentData) {
+  const name = segmentData.name.trim();
+  const ruleJson = segmentData.ruleJson || {};
+
+  logger.info('Creating segment', { storeId, name });
+
+  validateSegmentRule(ruleJson);
+  await assertUniqueName(storeId, name);
+
+  const segment = await prisma.segment.create({
+    data: {
+      shopId: storeId,
+      name,
+      ruleJson,
+    },
+  });
+
+  logger.info('Segment created successfully', {
+    storeId,
+    segmentId: segment.id,
+    dynamic: isDynamicRule(ruleJson),
+  });
+
+  return formatSegment(segment, await countSegmentContacts(storeId, segment));
+}
+
+/**
+ * Update a segment
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @param {Object} segmentData - { name?, ruleJson? }
+ * @returns {Promise<Object>} Updated segment
+ */
+export async function updateSegment(storeId, segmentId, segmentData) {
+  logger.info('Updating segment', { storeId, segmentId });
+
+  const existing = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+    select: { id: true },
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Segment');
+  }
+
+  const updateData = {};
+
+  if (segmentData.name !== undefined) {
+    updateData.name = segmentData.name.trim();
+    await assertUniqueName(storeId, updateData.name, segmentId);
+  }
+
+  if (segmentData.ruleJson !== undefined) {
+    validateSegmentRule(segmentData.ruleJson);
+    updateData.ruleJson = segmentData.ruleJson || {};
+  }
+
+  const segment = await prisma.segment.update({
+    where: { id: segmentId },
+    data: updateData,
+  });
+
+  logger.info('Segment updated successfully', { storeId, segmentId });
+
+  return formatSegment(segment, await countSegmentContacts(storeId, segment));
+}
+
+/**
+ * Delete a segment
+ * Refuses to delete segments used by draft or scheduled campaigns.
+ * @param {string} storeId - Store ID
+ * @param {string} segmentId - Segment ID
+ * @returns {Promise<void>}
+ */
+export async function deleteSegment(storeId, segmentId) {
+  logger.info('Deleting segment', { storeId, segmentId });
+
+  const existing = await prisma.segment.findFirst({
+    where: { id: segmentId, shopId: storeId },
+    select: { id: true },
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Segment');
+  }
+
+  const pendingCampaigns = await prisma.campaign.count({
+    where: {
+      shopId: storeId,
+      audience: `segment:${segmentId}`,
+      status: { in: ['draft', 'scheduled', 'sending'] },
+    },
+  });
+
+  if (pendingCampaigns > 0) {
+    throw new ValidationError(
+      'Cannot delete a segment that is used by draft, scheduled or sending campaigns',
+    );
+  }
+
+  await prisma.segment.delete({ where: { id: segmentId } });
+
+  logger.info('Segment deleted successfully', { storeId, segmentId });
+}
+
+/**
+ * Preview a rule before saving it
+ * @param {string} storeId - Store ID
+ * @param {Object} ruleJson - Segment rule
+ * @returns {Promise<Object>} Audience size and a small sample of contacts
+ */
+export async function previewSegment(storeId, ruleJson) {
+  validateSegmentRule(ruleJson);
+
+  const ruleWhere = buildSegmentWhere(ruleJson);
+  if (!ruleWhere) {
+    throw new ValidationError(
+      'Segment rule must contain at least one condition to preview',
+    );
+  }
+
+  const where = { shopId: storeId, AND: [ruleWhere] };
+  const consentedWhere = { ...where, smsConsent: SmsConsent.opted_in };
+
+  const [totalMatching, contactCount, sample] = await Promise.all([
+    prisma.contact.count({ where }),
+    prisma.contact.count({ where: consentedWhere }),
+    prisma.contact.findMany({
+      where: consentedWhere,
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        phoneE164: true,
+        email: true,
+        tags: true,
+      },
+      orderBy: { createdAt: 'desc' },
+      take: PREVIEW_SAMPLE_SIZE,
+    }),
+  ]);
+
+  logger.info('Segment preview computed', {
+    storeId,
+    totalMatching,
+    contactCount,
+  });
+
+  return {
+    contactCount, // Opted-in contacts that would receive a campaign
+    totalMatching, // All contacts matching the rule, regardless of consent
+    sample,
+  };
+}
+
+export default {
+  buildSegmentContactWhere,
+  getSegmentContactWhere,
+  countSegmentContacts,
+  countStoredSegmentContacts,
+  countStoredSegmentContactsById,
+  listSegments,
+  getSegmentById,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+  previewSegment,
+};
@@ -1,6 +1,15 @@
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
 import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { listProviders, isProviderSelectable } from './sms-provider.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { parseTimeOfDay } from '../utils/quiet-hours.js';
+import {
+  DEFAULT_CLICK_WINDOW_DAYS,
+  DEFAULT_VIEW_WINDOW_HOURS,
+  validateAttributionWindows,
+} from './attribution-rules.js';
+import { DEFAULT_SYNC_SETTINGS, validateSyncSettings } from './customer-sync-rules.js';
 
 /**
  * Settings Service
@@ -98,6 +107,80 @@ export async function updateSettings(storeId, settingsData) {
     }
   }
 
+  // Validate inbound keyword lists if provided
+  const keywordFields = ['stopKeywords', 'startKeywords', 'helpKeywords'];
+  for (const field of keywordFields) {
+    if (settingsData[field] !== undefined) {
+      const list = settingsData[field];
+      if (
+        !Array.isArray(list) ||
+        list.length > 20 ||
+        list.some(k => typeof k !== 'string' || !/^[\p{L}\p{N}]{2,20}$/u.test(k.trim()))
+      ) {
+        throw new ValidationError(
+          `${field} must be a list of up to 20 single-word keywords (2-20 letters or digits)`,
+        );
+      }
+    }
+  }
+
+  if (
+    settingsData.helpReplyText !== undefined &&
+    settingsData.helpReplyText &&
+    settingsData.helpReplyText.length > 320
+  ) {
+    throw new ValidationError('HELP reply must be 320 characters or less');
+  }
+
+  // Validate SMS provider if provided (null resets to the platform default)
+  if (settingsData.smsProvider !== undefined && settingsData.smsProvider) {
+    if (!isProviderSelectable(settingsData.smsProvider)) {
+      throw new ValidationError(
+        `SMS provider must be one of: ${listProviders().filter(isProviderSelectable).join(', ')}`,
+      );
+    }
+  }
+
+  // Validate timezone if provided (used for schedules and quiet hours)
+  if (
+    settingsData.timezone !== undefined &&
+    !isValidTimezone(settingsData.timezone)
+  ) {
+    throw new ValidationError(
+      'Timezone must be a valid IANA timezone (e.g. Europe/Athens)',
+    );
+  }
+
+  // Validate quiet hours if provided ("HH:MM", null disables them)
+  for (const field of ['quietHoursStart', 'quietHoursEnd']) {
+    if (
+      settingsData[field] !== undefined &&
+      settingsData[field] &&
+      parseTimeOfDay(settingsData[field]) === null
+    ) {
+      throw new ValidationError(`${field} must be a time in HH:MM format`);
+    }
+  }
+
+  if (
+    settingsData.doubleOptInEnabled !== undefined &&
+    typeof settingsData.doubleOptInEnabled !== 'boolean'
+  ) {
+    throw new ValidationError('doubleOptInEnabled must be a boolean');
+  }
+
+  if (
+    settingsData.welcomeDiscountId !== undefined &&
+    settingsData.welcomeDiscountId !== null &&
+    (typeof settingsData.welcomeDiscountId !== 'string' ||
+      !settingsData.welcomeDiscountId.startsWith('gid://shopify/DiscountCodeNode/'))
+  ) {
+    throw new ValidationError('welcomeDiscountId must be a Shopify discount ID');
+  }
+
+  validateAttributionWindows(settingsData);
+  validateSyncSettings(settingsData);
+
   // Check if settings exist
   const existingSettings = await prisma.shopSettings.findUnique({
     where: { shopId: storeId },
@@ -116,6 +199,43 @@ export async function updateSettings(storeId, settingsData) {
   if (settingsData.currency !== undefined) {
     updateData.currency = settingsData.currency.toUpperCase();
   }
+  for (const field of keywordFields) {
+    if (settingsData[field] !== undefined) {
+      updateData[field] = [
+        ...new Set(settingsData[field].map(k => k.trim().toUpperCase())),
+      ];
+    }
+  }
+  if (settingsData.helpReplyText !== undefined)
+    updateData.helpReplyText = settingsData.helpReplyText || null;
+  if (settingsData.smsProvider !== undefined)
+    updateData.smsProvider = settingsData.smsProvider || null;
+  if (settingsData.quietHoursStart !== undefined)
+    updateData.quietHoursStart = settingsData.quietHoursStart || null;
+  if (settingsData.quietHoursEnd !== undefined)
+    updateData.quietHoursEnd = settingsData.quietHoursEnd || null;
+  if (settingsData.doubleOptInEnabled !== undefined)
+    updateData.doubleOptInEnabled = settingsData.doubleOptInEnabled;
+  if (
+    settingsData.welcomeDiscountId !== undefined &&
+    settingsData.welcomeDiscountId !== existingSettings?.welcomeDiscountId
+  ) {
+    updateData.welcomeDiscountId = settingsData.welcomeDiscountId || null;
+    // Codes are minted again from the new discount
+    updateData.welcomeCodesDiscountId = null;
+  }
+  if (settingsData.attributionClickWindowDays !== undefined)
+    updateData.attributionClickWindowDays = settingsData.attributionClickWindowDays;
+  if (settingsData.attributionViewWindowHours !== undefined)
+    updateData.attributionViewWindowHours = settingsData.attributionViewWindowHours;
+  for (const field of [
+    'customerSyncEnabled',
+    'customerSyncConsentMode',
+    'customerSyncConfirmedOptInOnly',
+    'customerSyncDeleteContacts',
+  ]) {
+    if (settingsData[field] !== undefined) updateData[field] = settingsData[field];
+  }
 
   if (existingSettings) {
     // Update existing settings - only update provided fields
@@ -134,6 +254,26 @@ export async function updateSettings(storeId, settingsData) {
         currency: settingsData.currency
           ? settingsData.currency.toUpperCase()
           : 'EUR',
+        stopKeywords: updateData.stopKeywords || [],
+        startKeywords: updateData.startKeywords || [],
+        helpKeywords: updateData.helpKeywords || [],
+        helpReplyText: updateData.helpReplyText || null,
+        smsProvider: updateData.smsProvider || null,
+        quietHoursStart: updateData.quietHoursStart || null,
+        quietHoursEnd: updateData.quietHoursEnd || null,
+        doubleOptInEnabled: updateData.doubleOptInEnabled ?? false,
+        welcomeDiscountId: updateData.welcomeDiscountId || null,
+        attributionClickWindowDays:
+          updateData.attributionClickWindowDays ?? DEFAULT_CLICK_WINDOW_DAYS,
+        attributionViewWindowHours:
+          updateData.attributionViewWindowHours ?? DEFAULT_VIEW_WINDOW_HOURS,
+        customerSyncEnabled: updateData.customerSyncEnabled ?? DEFAULT_SYNC_SETTINGS.enabled,
+        customerSyncConsentMode:
+          updateData.customerSyncConsentMode ?? DEFAULT_SYNC_SETTINGS.consentMode,
+        customerSyncConfirmedOptInOnly:
+          updateData.customerSyncConfirmedOptInOnly ?? DEFAULT_SYNC_SETTINGS.confirmedOptInOnly,
+        customerSyncDeleteContacts:
+          updateData.customerSyncDeleteContacts ?? DEFAULT_SYNC_SETTINGS.deleteContacts,
       },
     });
   }
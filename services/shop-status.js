@@ -0,0 +1,31 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Shop Status Service
+ * A shop suspended by a platform admin (see services/admin-shops.js) can
+ * neither use the API nor send messages until it is unsuspended.
+ */
+
+/**
+ * Check whether a shop is suspended
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<boolean>}
+ */
+export async function isShopSuspended(shopId) {
+  try {
+    const shop = await prisma.shop.findUnique({
+      where: { id: shopId },
+      select: { suspendedAt: true },
+    });
+    return Boolean(shop?.suspendedAt);
+  } catch (error) {
+    // Sending is not blocked on a failed lookup; the API check still applies
+    logger.error('Failed to check shop suspension', { shopId, error: error.message });
+    return false;
+  }
+}
+
+export default {
+  isShopSuspended,
+};
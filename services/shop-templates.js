@@ -0,0 +1,692 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { createNotification, NotificationType } from './notifications.js';
+import {
+  VersionSource,
+  diffVersions,
+  getChangedFields,
+  getVersionSnapshot,
+} from './template-rules.js';
+
+/**
+ * Shop Templates Service
+ * Private templates of a shop, organised in folders. A shop template is
+ * either written from scratch or forked from a global template; every change
+ * is saved as a TemplateVersion (see template-rules.js).
+ */
+
+function formatFolder(folder) {
+  return {
+    id: folder.id,
+    name: folder.name,
+    templateCount: folder._count?.templates ?? 0,
+    createdAt: folder.createdAt,
+    updatedAt: folder.updatedAt,
+  };
+}
+
+function formatTemplate(template) {
+  return {
+    id: template.id,
+    title: template.title,
+    category: template.category,
+    content: template.content,
+    tags: template.tags,
+    folderId: template.folderId,
+    version: template.version,
+    forkedFromId: template.forkedFromId,
+    forkedFromVersion: template.forkedFromVersion,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt,
+  };
+}
+
+function formatVersion(version) {
+  return {
+    version: version.version,
+    title: version.title,
+    category: version.category,
+    content: version.content,
+    tags: version.tags,
+    source: version.source,
+    restoredFromVersion: version.restoredFromVersion,
+    createdAt: version.createdAt,
+  };
+}
+
+function paginate(page, pageSize, total) {
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    page,
+    pageSize,
+    total,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+}
+
+function recordVersion(tx, template, source, extra = {}) {
+  return tx.templateVersion.create({
+    data: {
+      templateId: template.id,
+      version: template.version,
+      ...getVersionSnapshot(template),
+      source,
+      restoredFromVersion: extra.restoredFromVersion ?? null,
+    },
+  });
+}
+
+/**
+ * Create a template together with its first version
+ * @param {Object} data - Template data
+ * @param {string} source - VersionSource of the first version
+ * @returns {Promise<Object>} Template
+ */
+export async function createVersionedTemplate(data, source) {
+  return prisma.$transaction(async tx => {
+    const template = await tx.template.create({ data: { ...data, version: 1 } });
+    await recordVersion(tx, template, source);
+    return template;
+  });
+}
+
+/**
+ * Update a template, saving a new version when a versioned field changes
+ * @param {Object} template - Current template
+ * @param {Object} data - Changes (undefined fields are ignored)
+ * @param {string} source - VersionSource of the new version
+ * @param {Object} [extra] - { restoredFromVersion }
+ * @returns {Promise<Object>} { template, versioned }
+ */
+export async function saveTemplateVersion(template, data, source, extra = {}) {
+  const changes = Object.fromEntries(
+    Object.entries(data).filter(([, value]) => value !== undefined),
+  );
+
+  if (getChangedFields(template, changes).length === 0) {
+    const updated = Object.keys(changes).length
+      ? await prisma.template.update({ where: { id: template.id }, data: changes })
+      : template;
+    return { template: updated, versioned: false };
+  }
+
+  // The row update serialises concurrent edits of the same template
+  const updated = await prisma.$transaction(async tx => {
+    const saved = await tx.template.update({
+      where: { id: template.id },
+      data: { ...changes, version: { increment: 1 } },
+    });
+    await recordVersion(tx, saved, source, extra);
+    return saved;
+  });
+
+  return { template: updated, versioned: true };
+}
+
+async function findShopTemplate(storeId, templateId) {
+  const template = await prisma.template.findFirst({
+    where: { id: templateId, shopId: storeId },
+  });
+
+  if (!template) {
+    throw new NotFoundError('Template');
+  }
+
+  return template;
+}
+
+async function assertFolder(storeId, folderId) {
+  if (!folderId) return;
+
+  const folder = await prisma.templateFolder.findFirst({
+    where: { id: folderId, shopId: storeId },
+    select: { id: true },
+  });
+
+  if (!folder) {
+    throw new NotFoundError('Template folder');
+  }
+}
+
+async function assertUniqueFolderName(storeId, name, excludeId = null) {
+  const existing = await prisma.templateFolder.findFirst({
+    where: {
+      shopId: storeId,
+      name,
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+    },
+    select: { id: true },
+  });
+
+  if (existing) {
+    throw new ConflictError(`A template folder named "${name}" already exists`);
+  }
+}
+
+/**
+ * List template folders
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array>} Folders with their template counts
+ */
+export async function listFolders(storeId) {
+  const folders = await prisma.templateFolder.findMany({
+    where: { shopId: storeId },
+    include: { _count: { select: { templates: true } } },
+    orderBy: { name: 'asc' },
+  });
+
+  return folders.map(formatFolder);
+}
+
+/**
+ * Create a template folder
+ * @param {string} storeId - Store ID
+ * @param {Object} data - { name }
+ * @returns {Promise<Object>} Folder
+ */
+export async function createFolder(storeId, { name }) {
+  const trimmed = name.trim();
+  await assertUniqueFolderName(storeId, trimmed);
+
+  const folder = await prisma.templateFolder.create({
+    data: { shopId: storeId, name: trimmed },
+  });
+
+  logger.info('Template folder created', { storeId, folderId: folder.id });
+
+  return formatFolder(folder);
+}
+
+/**
+ * Rename a template folder
+ * @param {string} storeId - Store ID
+ * @param {string} folderId - Folder ID
+ * @param {Object} data - { name }
+ * @returns {Promise<Object>} Folder
+ */
+export async function renameFolder(storeId, folderId, { name }) {
+  await assertFolder(storeId, folderId);
+
+  const trimmed = name.trim();
+  await assertUniqueFolderName(storeId, trimmed, folderId);
+
+  const folder = await prisma.templateFolder.update({
+    where: { id: folderId },
+    data: { name: trimmed },
+    include: { _count: { select: { templates: true } } },
+  });
+
+  return formatFolder(folder);
+}
+
+/**
+ * Delete a template folder
+ * Its templates are kept and become unfiled.
+ * @param {string} storeId - Store ID
+ * @param {string} folderId - Folder ID
+ */
+export async function deleteFolder(storeId, folderId) {
+  await assertFolder(storeId, folderId);
+  await prisma.templateFolder.delete({ where: { id: folderId } });
+
+  logger.info('Template folder deleted', { storeId, folderId });
+}
+
+/**
+ * List the templates of a shop
+ * @param {string} storeId - Store ID
+ * @param {Object} filters - { folderId, category, search, page, pageSize }
+ *   folderId 'none' lists unfiled templates
+ * @returns {Promise<Object>} { templates, pagination, categories }
+ */
+export async function listShopTemplates(storeId, filters = {}) {
+  const { folderId, category, search, page = 1, pageSize = 20 } = filters;
+  const where = { shopId: storeId };
+
+  if (folderId) {
+    where.folderId = folderId === 'none' ? null : folderId;
+  }
+  if (category) {
+    where.category = category;
+  }
+  if (search) {
+    where.OR = [
+      { title: { contains: search, mode: 'insensitive' } },
+      { content: { contains: search, mode: 'insensitive' } },
+      { tags: { has: search } },
+    ];
+  }
+
+  const [templates, total, categories] = await Promise.all([
+    prisma.template.findMany({
+      where,
+      orderBy: { updatedAt: 'desc' },
+      take: pageSize,
+      skip: (page - 1) * pageSize,
+    }),
+    prisma.template.count({ where }),
+    prisma.template.findMany({
+      where: { shopId: storeId },
+      select: { category: true },
+      distinct: ['category'],
+    }),
+  ]);
+
+  return {
+    templates: templates.map(formatTemplate),
+    pagination: paginate(page, pageSize, total),
+    categories: categories.map(c => c.category),
+  };
+}
+
+/**
+ * Get a shop template
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template, with `source` describing the global
+ *   template it was forked from (hasUpdates when it changed since the fork)
+ */
+export async function getShopTemplate(storeId, templateId) {
+  const template = await findShopTemplate(storeId, templateId);
+  const source = template.forkedFromId
+    ? await prisma.template.findUnique({
+      where: { id: template.forkedFromId },
+      select: { id: true, title: true, version: true },
+    })
+    : null;
+
+  return {
+    ...formatTemplate(template),
+    source: source
+      ? { ...source, hasUpdates: source.version > (template.forkedFromVersion ?? 0) }
+      : null,
+  };
+}
+
+/**
+ * Create a shop template
+ * @param {string} storeId - Store ID
+ * @param {Object} data - { title, category, content, tags, folderId }
+ * @returns {Promise<Object>} Template
+ */
+export async function createShopTemplate(storeId, data) {
+  await assertFolder(storeId, data.folderId);
+
+  const template = await createVersionedTemplate(
+    {
+      shopId: storeId,
+      folderId: data.folderId || null,
+      title: data.title,
+      category: data.category,
+      content: data.content,
+      tags: data.tags || [],
+      isPublic: false,
+    },
+    VersionSource.created,
+  );
+
+  logger.info('Shop template created', { storeId, templateId: template.id });
+
+  return formatTemplate(template);
+}
+
+/**
+ * Fork a global template into the shop
+ * @param {string} storeId - Store ID
+ * @param {Object} data - { templateId, folderId, title }
+ * @returns {Promise<Object>} Template
+ */
+export async function forkTemplate(storeId, { templateId, folderId, title }) {
+  const global = await prisma.template.findFirst({
+    where: { id: templateId, shopId: null, isPublic: true },
+  });
+
+  if (!global) {
+    throw new NotFoundError('Template');
+  }
+
+  await assertFolder(storeId, folderId);
+
+  const template = await createVersionedTemplate(
+    {
+      shopId: storeId,
+      folderId: folderId || null,
+      forkedFromId: global.id,
+      forkedFromVersion: global.version,
+      title: title || global.title,
+      category: global.category,
+      content: global.content,
+      tags: global.tags,
+      isPublic: false,
+    },
+    VersionSource.forked,
+  );
+
+  logger.info('Template forked', {
+    storeId,
+    templateId: template.id,
+    forkedFromId: global.id,
+    forkedFromVersion: global.version,
+  });
+
+  return formatTemplate(template);
+}
+
+/**
+ * Update a shop template
+ * Moving a template to another folder does not create a version.
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @param {Object} data - { title, category, content, tags, folderId }
+ * @returns {Promise<Object>} Template
+ */
+export async function updateShopTemplate(storeId, templateId, data) {
+  const template = await findShopTemplate(storeId, templateId);
+  if (data.folderId !== undefined) {
+    await assertFolder(storeId, data.folderId);
+  }
+
+  const { template: updated, versioned } = await saveTemplateVersion(
+    template,
+    {
+      title: data.title,
+      category: data.category,
+      content: data.content,
+      tags: data.tags,
+      folderId: data.folderId === undefined ? undefined : data.folderId || null,
+    },
+    VersionSource.edited,
+  );
+
+  if (versioned) {
+    logger.info('Shop template updated', { storeId, templateId, version: updated.version });
+  }
+
+  return formatTemplate(updated);
+}
+
+/**
+ * Delete a shop template and its versions
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ */
+export async function deleteShopTemplate(storeId, templateId) {
+  await findShopTemplate(storeId, templateId);
+  await prisma.template.delete({ where: { id: templateId } });
+
+  logger.info('Shop template deleted', { storeId, templateId });
+}
+
+/**
+ * List the versions of a shop template, newest first
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @param {Object} filters - { page, pageSize }
+ * @returns {Promise<Object>} { versions, pagination }
+ */
+export async function listVersions(storeId, templateId, filters = {}) {
+  const { page = 1, pageSize = 20 } = filters;
+  await findShopTemplate(storeId, templateId);
+
+  const [versions, total] = await Promise.all([
+    prisma.templateVersion.findMany({
+      where: { templateId },
+      orderBy: { version: 'desc' },
+      take: pageSize,
+      skip: (page - 1) * pageSize,
+    }),
+    prisma.templateVersion.count({ where: { templateId } }),
+  ]);
+
+  return {
+    versions: versions.map(formatVersion),
+    pagination: paginate(page, pageSize, total),
+  };
+}
+
+async function findVersion(templateId, version) {
+  const found = await prisma.templateVersion.findUnique({
+    where: { templateId_version: { templateId, version } },
+  });
+
+  if (!found) {
+    throw new NotFoundError('Template version');
+  }
+
+  return found;
+}
+
+/**
+ * Get a version of a shop template
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} Version
+ */
+export async function getVersion(storeId, templateId, version) {
+  await findShopTemplate(storeId, templateId);
+  return formatVersion(await findVersion(templateId, version));
+}
+
+/**
+ * Compare two versions of a shop template
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @param {Object} range - { from, to } to defaults to the latest version and
+ *   from to the one before it
+ * @returns {Promise<Object>} { from, to, changed, fields, content, stats }
+ */
+export async function diffTemplateVersions(storeId, templateId, range = {}) {
+  const template = await findShopTemplate(storeId, templateId);
+  const to = range.to ?? template.version;
+  const from = range.from ?? Math.max(to - 1, 1);
+
+  const [fromVersion, toVersion] = await Promise.all([
+    findVersion(templateId, from),
+    findVersion(templateId, to),
+  ]);
+
+  return { from, to, ...diffVersions(fromVersion, toVersion) };
+}
+
+/**
+ * Restore an old version of a shop template
+ * The restored content is saved as a new version.
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} Template
+ */
+export async function restoreVersion(storeId, templateId, version) {
+  const template = await findShopTemplate(storeId, templateId);
+  const snapshot = getVersionSnapshot(await findVersion(templateId, version));
+
+  if (getChangedFields(template, snapshot).length === 0) {
+    throw new ConflictError('The template already matches this version');
+  }
+
+  const { template: updated } = await saveTemplateVersion(
+    template,
+    snapshot,
+    VersionSource.restored,
+    { restoredFromVersion: version },
+  );
+
+  logger.info('Template version restored', {
+    storeId,
+    templateId,
+    restoredFromVersion: version,
+    version: updated.version,
+  });
+
+  return formatTemplate(updated);
+}
+
+async function findSource(template) {
+  const source = template.forkedFromId
+    ? await prisma.template.findUnique({ where: { id: template.forkedFromId } })
+    : null;
+
+  if (!source) {
+    throw new ValidationError('This template is not based on a library template');
+  }
+
+  return source;
+}
+
+/**
+ * Compare a forked template with the global template it came from
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} { source, forkedFromVersion, upstream, template }
+ *   upstream diffs the global template from the forked version to its
+ *   latest one (null if that version is unknown), template diffs the shop
+ *   template against the latest global one
+ */
+export async function getSourceDiff(storeId, templateId) {
+  const template = await findShopTemplate(storeId, templateId);
+  const source = await findSource(template);
+
+  const forkedAt = template.forkedFromVersion
+    ? await prisma.templateVersion.findUnique({
+      where: {
+        templateId_version: { templateId: source.id, version: template.forkedFromVersion },
+      },
+    })
+    : null;
+
+  return {
+    source: { id: source.id, title: source.title, version: source.version },
+    forkedFromVersion: template.forkedFromVersion,
+    upstream: forkedAt ? diffVersions(forkedAt, source) : null,
+    template: diffVersions(template, source),
+  };
+}
+
+/**
+ * Pull the latest global template into a forked template
+ * Saved as a new version; the fork is then up to date with its source.
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template
+ */
+export async function syncWithSource(storeId, templateId) {
+  const template = await findShopTemplate(storeId, templateId);
+  const source = await findSource(template);
+
+  const { template: updated } = await saveTemplateVersion(
+    template,
+    { ...getVersionSnapshot(source), forkedFromVersion: source.version },
+    VersionSource.forked,
+  );
+
+  logger.info('Template synced with source', {
+    storeId,
+    templateId,
+    forkedFromId: source.id,
+    forkedFromVersion: source.version,
+  });
+
+  return formatTemplate(updated);
+}
+
+/**
+ * Notify the shops that forked a global template that it changed
+ * One notification per shop, whatever its number of forks.
+ * @param {Object} template - Updated global template
+ * @returns {Promise<number>} Shops notified
+ */
+export async function notifyForkedShops(template) {
+  const forks = await prisma.template.findMany({
+    where: { forkedFromId: template.id },
+    select: { id: true, shopId: true },
+  });
+
+  const forksByShop = new Map();
+  for (const fork of forks) {
+    forksByShop.set(fork.shopId, [...(forksByShop.get(fork.shopId) || []), fork.id]);
+  }
+
+  for (const [shopId, templateIds] of forksByShop) {
+    try {
+      await createNotification(shopId, {
+        type: NotificationType.templateSourceUpdated,
+        title: 'Library template updated',
+        message: `"${template.title}" was updated in the template library. ${
+          templateIds.length === 1 ? 'One of your templates is' : `${templateIds.length} of your templates are`
+        } based on it.`,
+        data: { sourceTemplateId: template.id, version: template.version, templateIds },
+      });
+    } catch (error) {
+      logger.error('Failed to notify shop of template update', {
+        shopId,
+        templateId: template.id,
+        error: error.message,
+      });
+    }
+  }
+
+  return forksByShop.size;
+}
+
+/**
+ * Resolve a template for a campaign or automation and track its use
+ * @param {string} storeId - Store ID
+ * @param {string} templateId - A shop template or a public global template
+ * @returns {Promise<Object>} Template
+ */
+export async function useTemplate(storeId, templateId) {
+  const template = await prisma.template.findFirst({
+    where: {
+      id: templateId,
+      OR: [{ shopId: storeId }, { shopId: null, isPublic: true }],
+    },
+  });
+
+  if (!template) {
+    throw new NotFoundError('Template');
+  }
+
+  const usage = await prisma.templateUsage.findFirst({
+    where: { shopId: storeId, templateId },
+    select: { id: true },
+  });
+  if (usage) {
+    await prisma.templateUsage.update({
+      where: { id: usage.id },
+      data: { usedCount: { increment: 1 }, lastUsedAt: new Date() },
+    });
+  } else {
+    await prisma.templateUsage.create({
+      data: { shopId: storeId, templateId, usedCount: 1, lastUsedAt: new Date() },
+    });
+  }
+
+  return template;
+}
+
+export default {
+  createVersionedTemplate,
+  saveTemplateVersion,
+  listFolders,
+  createFolder,
+  renameFolder,
+  deleteFolder,
+  listShopTemplates,
+  getShopTemplate,
+  createShopTemplate,
+  forkTemplate,
+  updateShopTemplate,
+  deleteShopTemplate,
+  listVersions,
+  getVersion,
+  diffTemplateVersions,
+  restoreVersion,
+  getSourceDiff,
+  syncWithSource,
+  notifyForkedShops,
+  useTemplate,
+};
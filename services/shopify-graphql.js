@@ -461,6 +461,89 @@ export function formatLineItems(lineItemsEdges) {
     .join(', ');
 }
 
+/**
+ * Start a bulk operation exporting all customers with their SMS consent
+ * @param {string} shopDomain - Shop domain
+ * @returns {Promise<Object>} Bulk operation { id, status }
+ */
+export async function startCustomerBulkExport(shopDomain) {
+  const query = `
+    mutation RunCustomerExport($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `;
+  const exportQuery = `
+    {
+      customers {
+        edges {
+          node {
+            id
+            firstName
+            lastName
+            email
+            phone
+            tags
+            defaultAddress {
+              phone
+              countryCodeV2
+            }
+            smsMarketingConsent {
+              marketingState
+              marketingOptInLevel
+              consentUpdatedAt
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQLQuery(shopDomain, query, { query: exportQuery });
+  const result = data.bulkOperationRunQuery;
+
+  if (result.userErrors?.length > 0) {
+    throw new Error(
+      `Customer export failed to start: ${result.userErrors.map(err => err.message).join('; ')}`,
+    );
+  }
+
+  return result.bulkOperation;
+}
+
+/**
+ * Get a bulk operation
+ * @param {string} shopDomain - Shop domain
+ * @param {string} operationId - Bulk operation ID (gid://shopify/BulkOperation/...)
+ * @returns {Promise<Object|null>} { id, status, errorCode, objectCount, url }
+ */
+export async function getBulkOperation(shopDomain, operationId) {
+  const query = `
+    query GetBulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQLQuery(shopDomain, query, { id: operationId });
+  return data.node || null;
+}
+
 export default {
   getOrderDetails,
   getFulfillmentDetails,
@@ -468,5 +551,7 @@ export default {
   getAbandonedCheckouts,
   getCustomerDetails,
   getProductRecommendations,
+  startCustomerBulkExport,
+  getBulkOperation,
   formatLineItems,
 };
@@ -518,10 +518,314 @@ export async function getDiscountCode(shopDomain, discountId) {
   }
 }
 
+/**
+ * Run a GraphQL operation for a shop
+ * @param {string} shopDomain - Shop domain
+ * @param {string} operation - Operation name (for logs)
+ * @param {string} query - GraphQL query or mutation
+ * @param {Object} variables - Variables
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} On GraphQL errors
+ */
+async function runGraphql(shopDomain, operation, query, variables) {
+  const session = await getShopifySession(shopDomain);
+  const api = initShopifyContext();
+  const GraphqlClient = getGraphQLClient(api);
+  const client = new GraphqlClient({ session });
+
+  const response = await client.query({ data: { query, variables } });
+
+  if (response.body.errors && response.body.errors.length > 0) {
+    const graphqlErrors = response.body.errors
+      .map(err => err.message)
+      .join('; ');
+    logger.error(`Shopify GraphQL errors in ${operation}`, {
+      shopDomain,
+      errors: response.body.errors,
+      errorMessages: graphqlErrors,
+    });
+    throw new Error(`Shopify GraphQL error: ${graphqlErrors}`);
+  }
+
+  return response.body.data;
+}
+
+function throwUserErrors(shopDomain, operation, userErrors) {
+  if (userErrors && userErrors.length > 0) {
+    const messages = userErrors.map(err => err.message).join('; ');
+    logger.error(`Shopify user errors in ${operation}`, {
+      shopDomain,
+      userErrors,
+    });
+    throw new Error(`Shopify ${operation} failed: ${messages}`);
+  }
+}
+
+/**
+ * Get the value and conditions of a basic code discount
+ * Used as the template of the single-use discounts minted for unique codes.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} discountId - Discount ID (gid://shopify/DiscountCodeNode/...)
+ * @returns {Promise<Object>} { id, title, endsAt, customerGets, minimumRequirement, combinesWith }
+ * @throws {Error} If the discount is not a basic (percentage/amount) discount
+ */
+export async function getDiscountTemplate(shopDomain, discountId) {
+  const query = `
+    query getDiscountTemplate($id: ID!) {
+      codeDiscountNode(id: $id) {
+        id
+        codeDiscount {
+          __typename
+          ... on DiscountCodeBasic {
+            title
+            endsAt
+            combinesWith {
+              orderDiscounts
+              productDiscounts
+              shippingDiscounts
+            }
+            minimumRequirement {
+              ... on DiscountMinimumSubtotal {
+                greaterThanOrEqualToSubtotal {
+                  amount
+                }
+              }
+              ... on DiscountMinimumQuantity {
+                greaterThanOrEqualToQuantity
+              }
+            }
+            customerGets {
+              value {
+                ... on DiscountPercentage {
+                  percentage
+                }
+                ... on DiscountAmount {
+                  amount {
+                    amount
+                  }
+                  appliesOnEachItem
+                }
+              }
+              items {
+                ... on AllDiscountItems {
+                  allItems
+                }
+                ... on DiscountProducts {
+                  products(first: 250) {
+                    edges {
+                      node {
+                        id
+                      }
+                    }
+                  }
+                  productVariants(first: 250) {
+                    edges {
+                      node {
+                        id
+                      }
+                    }
+                  }
+                }
+                ... on DiscountCollections {
+                  collections(first: 250) {
+                    edges {
+                      node {
+                        id
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  const data = await runGraphql(shopDomain, 'getDiscountTemplate', query, {
+    id: discountId,
+  });
+  const discount = data?.codeDiscountNode?.codeDiscount;
+  if (!discount) {
+    throw new Error('Discount code not found');
+  }
+  if (discount.__typename !== 'DiscountCodeBasic') {
+    throw new Error(
+      'Unique codes require a percentage or fixed amount discount',
+    );
+  }
+
+  const { value, items } = discount.customerGets;
+  const ids = connection => (connection?.edges || []).map(edge => edge.node.id);
+
+  let itemsInput = { all: true };
+  if (items?.collections) {
+    itemsInput = { collections: { add: ids(items.collections) } };
+  } else if (items?.products || items?.productVariants) {
+    itemsInput = {
+      products: {
+        productsToAdd: ids(items.products),
+        productVariantsToAdd: ids(items.productVariants),
+      },
+    };
+  }
+
+  let minimumRequirement = null;
+  if (discount.minimumRequirement?.greaterThanOrEqualToSubtotal) {
+    minimumRequirement = {
+      subtotal: {
+        greaterThanOrEqualToSubtotal:
+          discount.minimumRequirement.greaterThanOrEqualToSubtotal.amount,
+      },
+    };
+  } else if (discount.minimumRequirement?.greaterThanOrEqualToQuantity) {
+    minimumRequirement = {
+      quantity: {
+        greaterThanOrEqualToQuantity:
+          discount.minimumRequirement.greaterThanOrEqualToQuantity,
+      },
+    };
+  }
+
+  return {
+    id: data.codeDiscountNode.id,
+    title: discount.title,
+    endsAt: discount.endsAt || null,
+    customerGets: {
+      value:
+        value?.percentage !== undefined
+          ? { percentage: value.percentage }
+          : {
+            discountAmount: {
+              amount: value.amount.amount,
+              appliesOnEachItem: value.appliesOnEachItem,
+            },
+          },
+      items: itemsInput,
+    },
+    minimumRequirement,
+    combinesWith: discount.combinesWith,
+  };
+}
+
+/**
+ * Create a discount for single-use codes copying a template discount
+ * Every code of the discount can be used once (usageLimit applies per code
+ * on discounts with several codes).
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} template - Result of getDiscountTemplate
+ * @param {Object} options - { title, code, startsAt }
+ * @returns {Promise<string>} Created discount ID
+ */
+export async function createSingleUseDiscount(shopDomain, template, options) {
+  const mutation = `
+    mutation createSingleUseDiscount($basicCodeDiscount: DiscountCodeBasicInput!) {
+      discountCodeBasicCreate(basicCodeDiscount: $basicCodeDiscount) {
+        codeDiscountNode {
+          id
+        }
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await runGraphql(shopDomain, 'createSingleUseDiscount', mutation, {
+    basicCodeDiscount: {
+      title: options.title,
+      code: options.code,
+      startsAt: (options.startsAt || new Date()).toISOString(),
+      endsAt: template.endsAt,
+      customerSelection: { all: true },
+      customerGets: template.customerGets,
+      minimumRequirement: template.minimumRequirement,
+      combinesWith: template.combinesWith,
+      usageLimit: 1,
+      appliesOncePerCustomer: true,
+    },
+  });
+  const result = data?.discountCodeBasicCreate;
+  throwUserErrors(shopDomain, 'createSingleUseDiscount', result?.userErrors);
+
+  return result.codeDiscountNode.id;
+}
+
+/**
+ * Add codes to a discount
+ * Shopify creates the codes asynchronously, 250 codes per call at most.
+ * @param {string} shopDomain - Shop domain
+ * @param {string} discountId - Discount ID
+ * @param {Array<string>} codes - Codes to add
+ * @returns {Promise<Array<string>>} Bulk creation IDs
+ */
+export async function addDiscountCodes(shopDomain, discountId, codes) {
+  const mutation = `
+    mutation addDiscountCodes($discountId: ID!, $codes: [DiscountRedeemCodeInput!]!) {
+      discountRedeemCodeBulkAdd(discountId: $discountId, codes: $codes) {
+        bulkCreation {
+          id
+        }
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }
+  `;
+
+  const bulkCreationIds = [];
+  for (let i = 0; i < codes.length; i += 250) {
+    const data = await runGraphql(shopDomain, 'addDiscountCodes', mutation, {
+      discountId,
+      codes: codes.slice(i, i + 250).map(code => ({ code })),
+    });
+    const result = data?.discountRedeemCodeBulkAdd;
+    throwUserErrors(shopDomain, 'addDiscountCodes', result?.userErrors);
+    bulkCreationIds.push(result.bulkCreation?.id);
+  }
+
+  return bulkCreationIds;
+}
+
+/**
+ * Delete a code discount
+ * @param {string} shopDomain - Shop domain
+ * @param {string} discountId - Discount ID
+ * @returns {Promise<void>}
+ */
+export async function deleteDiscount(shopDomain, discountId) {
+  const mutation = `
+    mutation deleteDiscount($id: ID!) {
+      discountCodeDelete(id: $id) {
+        deletedCodeDiscountId
+        userErrors {
+          field
+          code
+          message
+        }
+      }
+    }
+  `;
+
+  const data = await runGraphql(shopDomain, 'deleteDiscount', mutation, {
+    id: discountId,
+  });
+  throwUserErrors(shopDomain, 'deleteDiscount', data?.discountCodeDelete?.userErrors);
+}
+
 export default {
   initShopifyContext,
   diagnostics,
   getShopifySession,
   getDiscountCodes,
   getDiscountCode,
+  getDiscountTemplate,
+  createSingleUseDiscount,
+  addDiscountCodes,
+  deleteDiscount,
 };
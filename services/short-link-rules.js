@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+
+/**
+ * Short Link Rules
+ * Codes of self-hosted short links, the attribution context stored on each
+ * link and how a click is recorded. CampaignMetrics.totalClicked counts
+ * people: a recipient clicking several times (or several links of the same
+ * campaign) is counted once.
+ */
+
+const CODE_BYTES = 6; // 8 base64url characters
+
+/**
+ * Generate a short link code
+ * @returns {string} 8 URL-safe characters
+ */
+export function generateShortCode() {
+  return crypto.randomBytes(CODE_BYTES).toString('base64url');
+}
+
+/**
+ * Purpose of a link, recorded as ClickEvent.linkType
+ * @param {string} url - Link URL
+ * @param {Object} context - Link context
+ * @returns {string} Link type
+ */
+export function getLinkType(url, context = {}) {
+  if (context.linkType) return context.linkType;
+  if (url.includes('/discount/')) return 'discount';
+  return 'link';
+}
+
+/**
+ * ShortLink fields for a link shortened in a message
+ * @param {string} targetUrl - Destination URL
+ * @param {Object} context - { shopId, campaignId?, recipientId?, contactId?,
+ *   automationId?, linkType?, expiresAt? }
+ * @returns {Object} ShortLink data without code
+ */
+export function buildShortLinkData(targetUrl, context = {}) {
+  return {
+    shopId: context.shopId,
+    targetUrl,
+    linkType: getLinkType(targetUrl, context),
+    campaignId: context.campaignId || null,
+    recipientId: context.recipientId || null,
+    contactId: context.contactId || null,
+    automationId: context.automationId || null,
+    expiresAt: context.expiresAt || null,
+  };
+}
+
+/**
+ * Phone a click is attributed to
+ * @param {Object} link - ShortLink with recipient and contact phones
+ * @returns {string|null}
+ */
+export function getClickPhone(link) {
+  return link.recipient?.phoneE164 || link.contact?.phoneE164 || null;
+}
+
+/**
+ * ClickEvent recorded for a click on a campaign link
+ * @param {Object} link - ShortLink with recipient and contact phones
+ * @param {Object} [context] - { clickedAt, ipAddress, userAgent }
+ * @returns {Object|null} ClickEvent data, null outside campaigns or when
+ *   the link cannot be tied to a phone
+ */
+export function buildClickEvent(link, context = {}) {
+  const phoneE164 = getClickPhone(link);
+  if (!link.campaignId || !phoneE164) {
+    return null;
+  }
+  return {
+    campaignId: link.campaignId,
+    recipientId: link.recipientId || null,
+    contactId: link.contactId || null,
+    phoneE164,
+    linkType: link.linkType,
+    shortLinkId: link.id,
+    clickedAt: context.clickedAt || new Date(),
+    ipAddress: context.ipAddress || null,
+    userAgent: context.userAgent || null,
+  };
+}
+
+/**
+ * Check whether a click adds a clicker to the campaign metrics
+ * @param {number} earlierClicks - Campaign clicks already recorded for the
+ *   same phone
+ * @returns {boolean}
+ */
+export function isNewClicker(earlierClicks) {
+  return earlierClicks === 0;
+}
+
+export default {
+  generateShortCode,
+  getLinkType,
+  buildShortLinkData,
+  getClickPhone,
+  buildClickEvent,
+  isNewClicker,
+};
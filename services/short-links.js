@@ -0,0 +1,137 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import {
+  buildClickEvent,
+  buildShortLinkData,
+  generateShortCode,
+  isNewClicker,
+} from './short-link-rules.js';
+
+/**
+ * Short Links Service
+ * Self-hosted short links served by GET /s/:code. Campaign links are created
+ * per recipient so that every click is attributed to the campaign, the
+ * recipient and the contact (ClickEvent + CampaignMetrics.totalClicked, see
+ * services/short-link-rules.js).
+ */
+
+const MAX_CODE_ATTEMPTS = 3;
+
+/**
+ * Base URL of the short-link redirect (must route /s/* to this backend)
+ * @returns {string} Base URL without trailing slash
+ */
+export function getShortLinkBaseUrl() {
+  return (
+    process.env.URL_SHORTENER_BASE_URL ||
+    process.env.HOST ||
+    process.env.FRONTEND_URL ||
+    'https://astronote-shopify-frontend.onrender.com'
+  ).replace(/\/$/, '');
+}
+
+/**
+ * Public URL of a short link
+ * @param {string} code - Short link code
+ * @returns {string} Short URL
+ */
+export function getShortLinkUrl(code) {
+  return `${getShortLinkBaseUrl()}/s/${code}`;
+}
+
+/**
+ * Create a short link
+ * @param {Object} params
+ * @param {string} params.shopId - Shop ID
+ * @param {string} params.targetUrl - Destination URL
+ * @param {string} [params.linkType] - Link purpose, recorded on clicks (link, discount, ...);
+ *   detected from the URL when omitted
+ * @param {string} [params.campaignId] - Campaign the link was sent in
+ * @param {string} [params.recipientId] - Campaign recipient the link was sent to
+ * @param {string} [params.contactId] - Contact the link was sent to
+ * @param {string} [params.automationId] - Automation the link was sent by
+ * @param {Date} [params.expiresAt] - Stop redirecting after this date
+ * @returns {Promise<Object>} { id, code, url }
+ */
+export async function createShortLink({ targetUrl, ...context }) {
+  const data = buildShortLinkData(targetUrl, context);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const link = await prisma.shortLink.create({
+        data: { code: generateShortCode(), ...data },
+        select: { id: true, code: true },
+      });
+      return { ...link, url: getShortLinkUrl(link.code) };
+    } catch (error) {
+      // Code collision, try a new one
+      if (error.code === 'P2002' && attempt < MAX_CODE_ATTEMPTS) {
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+/**
+ * Resolve a short link and record the click
+ * Click tracking never blocks the redirect: failures are logged only.
+ * @param {string} code - Short link code
+ * @param {Object} [context] - { ipAddress, userAgent }
+ * @returns {Promise<string|null>} Target URL or null if unknown/expired
+ */
+export async function resolveShortLinkClick(code, context = {}) {
+  const link = await prisma.shortLink.findUnique({
+    where: { code },
+    include: {
+      recipient: { select: { phoneE164: true } },
+      contact: { select: { phoneE164: true } },
+    },
+  });
+
+  if (!link || (link.expiresAt && link.expiresAt < new Date())) {
+    return null;
+  }
+
+  try {
+    const clickedAt = new Date();
+    const clickEvent = buildClickEvent(link, { ...context, clickedAt });
+
+    await prisma.$transaction(async tx => {
+      await tx.shortLink.update({
+        where: { id: link.id },
+        data: { clicks: { increment: 1 }, lastClickedAt: clickedAt },
+      });
+
+      // Campaign clicks count towards the campaign's CTR
+      if (clickEvent) {
+        const earlierClicks = await tx.clickEvent.count({
+          where: { campaignId: clickEvent.campaignId, phoneE164: clickEvent.phoneE164 },
+        });
+        await tx.clickEvent.create({ data: clickEvent });
+
+        if (isNewClicker(earlierClicks)) {
+          await tx.campaignMetrics.updateMany({
+            where: { campaignId: clickEvent.campaignId },
+            data: { totalClicked: { increment: 1 } },
+          });
+        }
+      }
+    });
+  } catch (error) {
+    logger.warn('Failed to track short link click', {
+      code,
+      shortLinkId: link.id,
+      campaignId: link.campaignId,
+      error: error.message,
+    });
+  }
+
+  return link.targetUrl;
+}
+
+export default {
+  getShortLinkBaseUrl,
+  getShortLinkUrl,
+  createShortLink,
+  resolveShortLinkClick,
+};
@@ -0,0 +1,287 @@
+import crypto from 'crypto';
+import { appendFile } from 'fs/promises';
+import { logger } from '../utils/logger.js';
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * Loopback SMS Provider
+ * Never touches the network: records every message in memory (and
+ * optionally appends it to SMS_LOOPBACK_FILE as JSON lines) and simulates
+ * delivery reports. Used for local development and tests.
+ *
+ * Destinations listed in SMS_LOOPBACK_FAIL_NUMBERS (comma separated)
+ * are reported as failed, everything else as delivered.
+ */
+
+export const name = 'loopback';
+
+// Keep memory bounded on long-running dev servers
+const MAX_RECORDED_MESSAGES = 5000;
+
+const outbox = new Map();
+
+function isE164(phone) {
+  return /^\+[1-9]\d{1,14}$/.test(phone || '');
+}
+
+function failingNumbers() {
+  return (process.env.SMS_LOOPBACK_FAIL_NUMBERS || '')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
+}
+
+function finalStatusFor(destination) {
+  return failingNumbers().includes(destination) ? 'Failure' : 'Delivered';
+}
+
+async function persist(record) {
+  const file = process.env.SMS_LOOPBACK_FILE;
+  if (!file) return;
+
+  try {
+    await appendFile(file, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    logger.warn('Failed to write loopback SMS record', {
+      file,
+      error: error.message,
+    });
+  }
+}
+
+async function record({ destination, text, sender, accountId, bulkId }) {
+  const now = new Date().toISOString();
+  const message = {
+    messageId: `loopback-${crypto.randomUUID()}`,
+    bulkId: bulkId || null,
+    destination,
+    text,
+    sender: sender || null,
+    accountId: accountId || getAccountId(),
+    deliveryStatus: 'Queued',
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  outbox.set(message.messageId, message);
+  if (outbox.size > MAX_RECORDED_MESSAGES) {
+    outbox.delete(outbox.keys().next().value);
+  }
+
+  await persist(message);
+  return message;
+}
+
+/**
+ * Loopback has a single virtual account
+ * @returns {string} Account ID
+ */
+export function getAccountId() {
+  return 'loopback';
+}
+
+/**
+ * Map a simulated deliveryStatus to our internal status
+ * @param {string} s - deliveryStatus
+ * @returns {string} 'sent' | 'failed' | 'unknown'
+ */
+export function mapStatus(s) {
+  const v = String(s || '').toLowerCase().trim();
+  if (v === 'queued' || v === 'sent' || v === 'delivered') return 'sent';
+  if (v === 'failure' || v === 'failed') return 'failed';
+  return 'unknown';
+}
+
+/**
+ * Record a single SMS
+ * @param {Object} params - { to, text, sender }
+ * @returns {Promise<{messageId: string, status: string}>}
+ */
+export async function send({ to, text, sender }) {
+  if (!isE164(to)) {
+    throw new ValidationError(
+      `Invalid phone number format. Expected E.164 format (e.g., +357123456789), got: ${to}`,
+    );
+  }
+
+  const message = await record({ destination: to, text, sender });
+  return { messageId: message.messageId, status: message.deliveryStatus };
+}
+
+/**
+ * Record a batch of SMS
+ * Invalid numbers fail individually instead of failing the whole batch,
+ * so the per-recipient failure path can be exercised.
+ * @param {Array<Object>} messages - [{ destination, text, sender, accountId }]
+ * @returns {Promise<{bulkId: string, messages: Array}>} Results in request order
+ */
+export async function sendBulk(messages) {
+  const bulkId = `loopback-bulk-${crypto.randomUUID()}`;
+  const results = [];
+
+  for (const msg of messages) {
+    if (!isE164(msg.destination)) {
+      results.push({ messageId: null, error: 'Invalid phone number' });
+      continue;
+    }
+    const message = await record({ ...msg, bulkId });
+    results.push({
+      messageId: message.messageId,
+      status: message.deliveryStatus,
+    });
+  }
+
+  return { bulkId, messages: results };
+}
+
+/**
+ * Current status of a recorded message
+ * Status polling acts as a delivery report: the first lookup settles the
+ * message to its simulated final status.
+ * @param {string} messageId - Loopback message ID
+ * @returns {Promise<Object>} { messageId, deliveryStatus, createdAt, updatedAt }
+ */
+export async function getStatus(messageId) {
+  const message = outbox.get(messageId);
+  if (!message) {
+    throw new NotFoundError('Message');
+  }
+
+  const dlr = simulateDlr(messageId);
+  return {
+    messageId,
+    deliveryStatus: dlr.deliveryStatus,
+    createdAt: message.createdAt,
+    updatedAt: dlr.updatedAt,
+  };
+}
+
+/**
+ * Settle a recorded message and build the DLR webhook body for it
+ * POST the result to /webhooks/sms/loopback/dlr to run the DLR pipeline.
+ * @param {string} messageId - Loopback message ID
+ * @returns {Object|null} DLR body or null if the message is unknown
+ */
+export function simulateDlr(messageId) {
+  const message = outbox.get(messageId);
+  if (!message) return null;
+
+  if (message.deliveryStatus === 'Queued') {
+    message.deliveryStatus = finalStatusFor(message.destination);
+    message.updatedAt = new Date().toISOString();
+  }
+
+  return {
+    messageId,
+    deliveryStatus: message.deliveryStatus,
+    updatedAt: message.updatedAt,
+    error:
+      message.deliveryStatus === 'Failure' ? 'Simulated delivery failure' : null,
+  };
+}
+
+/**
+ * Settle every pending message and return their DLR bodies
+ * @returns {Array<Object>} DLR bodies
+ */
+export function simulatePendingDlrs() {
+  return [...outbox.values()]
+    .filter(message => message.deliveryStatus === 'Queued')
+    .map(message => simulateDlr(message.messageId));
+}
+
+/**
+ * Parse a DLR webhook body (same shape as simulateDlr output)
+ * @param {Object|Array} body - Webhook body
+ * @returns {Array<Object>} [{ messageId, status, internalStatus, doneAt, error, raw }]
+ */
+export function parseDlr(body) {
+  const events = Array.isArray(body) ? body : [body || {}];
+
+  return events.map(ev => {
+    let doneAt = new Date(ev?.updatedAt || Date.now());
+    if (isNaN(doneAt.getTime())) {
+      doneAt = new Date();
+    }
+
+    return {
+      messageId: ev?.messageId || null,
+      status: ev?.deliveryStatus || null,
+      internalStatus: mapStatus(ev?.deliveryStatus),
+      doneAt,
+      error: ev?.error || null,
+      raw: ev,
+    };
+  });
+}
+
+/**
+ * Parse an inbound webhook body ({ from, to, text })
+ * @param {Object} body - Webhook body
+ * @returns {Object} { from, to, text, raw }
+ */
+export function parseInbound(body) {
+  const payload = body || {};
+  const digits = String(payload.from || '').replace(/[^\d]/g, '');
+
+  return {
+    from: digits ? `+${digits}` : null,
+    to: payload.to || null,
+    text: payload.text || '',
+    raw: payload,
+  };
+}
+
+/**
+ * Whether loopback may be used. It never delivers anything and its
+ * webhooks are unauthenticated, so it must be enabled explicitly with
+ * SMS_LOOPBACK_ENABLED=true in every environment.
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return process.env.SMS_LOOPBACK_ENABLED === 'true';
+}
+
+/**
+ * Loopback webhooks are unauthenticated, so they are only accepted while
+ * the provider is enabled
+ * @returns {boolean} True if the request is accepted
+ */
+export function verifyWebhook() {
+  return isEnabled();
+}
+
+/**
+ * Messages recorded so far (oldest first)
+ * @param {Object} filter - { destination } (optional)
+ * @returns {Array<Object>} Recorded messages
+ */
+export function getSentMessages({ destination } = {}) {
+  const messages = [...outbox.values()];
+  return destination
+    ? messages.filter(message => message.destination === destination)
+    : messages;
+}
+
+/**
+ * Forget all recorded messages
+ */
+export function reset() {
+  outbox.clear();
+}
+
+export default {
+  name,
+  getAccountId,
+  send,
+  sendBulk,
+  getStatus,
+  parseDlr,
+  parseInbound,
+  isEnabled,
+  verifyWebhook,
+  simulateDlr,
+  simulatePendingDlrs,
+  getSentMessages,
+  reset,
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import {
+  sendSms,
+  sendBulkMessages,
+  getMessageStatus,
+} from './mitto.js';
+
+/**
+ * Mitto SMS Provider
+ * Adapts the Mitto API client (services/mitto.js) to the SMS provider
+ * interface described in services/sms-provider.js
+ */
+
+export const name = 'mitto';
+
+/**
+ * Traffic account used for sending (also the rate limit key)
+ * @returns {string|null} Traffic account ID
+ */
+export function getAccountId() {
+  return (
+    process.env.SMS_TRAFFIC_ACCOUNT_ID ||
+    process.env.MITTO_TRAFFIC_ACCOUNT_ID ||
+    null
+  );
+}
+
+/**
+ * Map Mitto deliveryStatus → our internal status
+ * Mitto sends: "Sent", "Delivered", "Failure" (capitalized)
+ * We only use "sent" and "failed" - map "Delivered" to "sent"
+ * @param {string} s - Mitto deliveryStatus
+ * @returns {string} 'sent' | 'failed' | 'unknown'
+ */
+export function mapStatus(s) {
+  const v = String(s || '').toLowerCase().trim();
+  if (v === 'delivered' || v === 'delivrd' || v === 'completed' || v === 'ok') {
+    // Map delivered to sent (we don't track delivered separately)
+    return 'sent';
+  }
+  if (v === 'failure' || v === 'failed' || v === 'undelivered' || v === 'expired' || v === 'rejected' || v === 'error') {
+    return 'failed';
+  }
+  if (v === 'sent' || v === 'queued' || v === 'accepted' || v === 'submitted' || v === 'enroute') {
+    return 'sent';
+  }
+  return 'unknown';
+}
+
+/**
+ * Send a single SMS
+ * Credits and sender resolution are handled by the caller.
+ * @param {Object} params - { to, text, sender }
+ * @returns {Promise<{messageId: string, status: string}>}
+ */
+export async function send({ to, text, sender }) {
+  return sendSms({ to, text, senderOverride: sender, skipCreditCheck: true });
+}
+
+/**
+ * Send a batch of SMS in one bulk request
+ * @param {Array<Object>} messages - [{ destination, text, sender, accountId }]
+ * @returns {Promise<{bulkId: string, messages: Array}>} Results in request order
+ */
+export async function sendBulk(messages) {
+  return sendBulkMessages(
+    messages.map(msg => ({
+      trafficAccountId: msg.accountId || getAccountId(),
+      destination: msg.destination,
+      sms: {
+        text: msg.text,
+        sender: msg.sender,
+      },
+    })),
+  );
+}
+
+/**
+ * Fetch the current delivery status of a message
+ * @param {string} messageId - Mitto message ID
+ * @returns {Promise<Object>} { messageId, deliveryStatus, createdAt, updatedAt }
+ */
+export async function getStatus(messageId) {
+  return getMessageStatus(messageId);
+}
+
+/**
+ * Parse a DLR webhook body into normalized delivery events
+ * Accepts a single object or an array of objects.
+ * @param {Object|Array} body - Webhook body
+ * @returns {Array<Object>} [{ messageId, status, internalStatus, doneAt, error, raw }]
+ */
+export function parseDlr(body) {
+  const events = Array.isArray(body) ? body : [body || {}];
+
+  return events.map(ev => {
+    // Mitto webhook format: { messageId, deliveryStatus, ... }
+    // Also support alternative field names for flexibility
+    const messageId = ev?.messageId || ev?.message_id || ev?.id || ev?.MessageId || null;
+    const status = ev?.deliveryStatus || ev?.status || ev?.Status || ev?.dlr_status || ev?.delivery_status || null;
+    const doneAtRaw = ev?.updatedAt || ev?.doneAt || ev?.timestamp || ev?.Timestamp || ev?.createdAt || new Date().toISOString();
+    let doneAt = new Date(doneAtRaw);
+    if (isNaN(doneAt.getTime())) {
+      doneAt = new Date();
+    }
+
+    return {
+      messageId,
+      status,
+      internalStatus: mapStatus(status),
+      doneAt,
+      error: ev?.error || ev?.Error || ev?.description || ev?.errorMessage || null,
+      raw: ev,
+    };
+  });
+}
+
+/**
+ * Parse an inbound (MO) webhook body
+ * @param {Object} body - Webhook body
+ * @returns {Object} { from, to, text, raw }
+ */
+export function parseInbound(body) {
+  const payload = body || {};
+  const rawFrom = payload.from || payload.msisdn || null;
+
+  return {
+    // Mitto may send numbers without the leading '+'
+    from: rawFrom ? `+${String(rawFrom).replace(/[^\d]/g, '')}` : null,
+    to: payload.to || payload.destination || null,
+    text: payload.text || payload.message || payload.body || '',
+    raw: payload,
+  };
+}
+
+/**
+ * Verify a webhook request signature
+ * @param {Object} req - Express request
+ * @returns {boolean} True if the request is authentic
+ */
+export function verifyWebhook(req) {
+  const secret = process.env.MITTO_WEBHOOK_SECRET;
+  if (!secret) return true; // skip if not configured
+  const sig = req.header('x-mitto-signature') || '';
+  const body = JSON.stringify(req.body || {});
+  const mac = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return sig === mac;
+}
+
+export default {
+  name,
+  getAccountId,
+  send,
+  sendBulk,
+  getStatus,
+  parseDlr,
+  parseInbound,
+  verifyWebhook,
+};
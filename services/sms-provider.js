@@ -0,0 +1,228 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { getMessageCredits } from './message-pricing.js';
+import { AuthorizationError, ValidationError, NotFoundError } from '../utils/errors.js';
+import { isShopSuspended } from './shop-status.js';
+import {
+  validateAndConsumeCredits,
+  InsufficientCreditsError,
+} from './credit-validation.js';
+import mittoProvider from './sms-provider-mitto.js';
+import loopbackProvider from './sms-provider-loopback.js';
+
+/**
+ * SMS Provider Registry
+ * Campaigns, automations and webhooks talk to an SMS provider through this
+ * module instead of a specific API client. Each shop can pick its provider
+ * (ShopSettings.smsProvider), otherwise SMS_PROVIDER / 'mitto' is used.
+ *
+ * A provider is an object with:
+ * - name: string
+ * - getAccountId(): string|null - sending account, also used as rate limit key
+ * - send({ to, text, sender }) → { messageId, status }
+ * - sendBulk([{ destination, text, sender, accountId }]) → { bulkId, messages: [{ messageId, error }] }
+ *   (results in request order)
+ * - getStatus(messageId) → { messageId, deliveryStatus, createdAt, updatedAt }
+ * - parseDlr(body) → [{ messageId, status, internalStatus, doneAt, error, raw }]
+ *   (internalStatus is 'sent' | 'failed' | 'unknown')
+ * - parseInbound(body) → { from, to, text, raw }
+ * - verifyWebhook(req) → boolean
+ */
+
+export const SmsProviderName = {
+  mitto: 'mitto',
+  loopback: 'loopback',
+};
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a provider
+ * @param {Object} provider - Provider implementation
+ */
+export function registerProvider(provider) {
+  for (const fn of [
+    'getAccountId',
+    'send',
+    'sendBulk',
+    'getStatus',
+    'parseDlr',
+    'parseInbound',
+    'verifyWebhook',
+  ]) {
+    if (typeof provider?.[fn] !== 'function') {
+      throw new Error(`SMS provider ${provider?.name} must implement ${fn}()`);
+    }
+  }
+  providers.set(provider.name, provider);
+}
+
+registerProvider(mittoProvider);
+registerProvider(loopbackProvider);
+
+/**
+ * Names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Platform default provider name
+ * @returns {string} Provider name
+ */
+export function getDefaultProviderName() {
+  return process.env.SMS_PROVIDER || SmsProviderName.mitto;
+}
+
+/**
+ * Whether a shop may select the given provider
+ * Loopback never delivers anything, so it is only selectable when
+ * explicitly enabled.
+ * @param {string} providerName - Provider name
+ * @returns {boolean}
+ */
+export function isProviderSelectable(providerName) {
+  if (!providers.has(providerName)) return false;
+  if (providerName === SmsProviderName.loopback) {
+    return loopbackProvider.isEnabled();
+  }
+  return true;
+}
+
+/**
+ * Get a provider by name
+ * @param {string} providerName - Provider name (defaults to the platform default)
+ * @returns {Object} Provider
+ */
+export function getProvider(providerName = getDefaultProviderName()) {
+  const provider = providers.get(providerName);
+  if (!provider) {
+    throw new NotFoundError(`SMS provider '${providerName}'`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve the provider and default sender for a shop
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} { provider, sender }
+ */
+export async function getShopSmsConfig(shopId) {
+  const fallbackSender =
+    process.env.SMS_SENDER_NAME || process.env.MITTO_SENDER_NAME || 'Astronote';
+
+  let settings = null;
+  if (shopId) {
+    try {
+      settings = await prisma.shopSettings.findUnique({
+        where: { shopId },
+        select: { senderName: true, senderNumber: true, smsProvider: true },
+      });
+    } catch (error) {
+      logger.warn('Failed to fetch shop SMS settings, using defaults', {
+        shopId,
+        error: error.message,
+      });
+    }
+  }
+
+  let provider;
+  if (settings?.smsProvider && isProviderSelectable(settings.smsProvider)) {
+    provider = providers.get(settings.smsProvider);
+  } else {
+    if (settings?.smsProvider) {
+      logger.warn('Shop SMS provider is not available, using default', {
+        shopId,
+        smsProvider: settings.smsProvider,
+      });
+    }
+    provider = getProvider();
+  }
+
+  return {
+    provider,
+    sender: settings?.senderName || settings?.senderNumber || fallbackSender,
+  };
+}
+
+/**
+ * Get the provider a shop sends with
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} Provider
+ */
+export async function getProviderForShop(shopId) {
+  const { provider } = await getShopSmsConfig(shopId);
+  return provider;
+}
+
+/**
+ * Send a single SMS through the shop's provider
+ * Same contract as the former services/mitto.js sendSms.
+ * @param {Object} params
+ * @param {string} params.to - E.164 phone number
+ * @param {string} params.text - SMS message text
+ * @param {string} [params.senderOverride] - Override sender name
+ * @param {string} [params.shopId] - Shop ID for provider/sender lookup and credits
+ * @param {boolean} [params.skipCreditCheck] - Skip credit consumption (credits already handled)
+ * @param {Object} [params.provider] - Provider to use instead of the shop's
+ * @returns {Promise<{messageId: string, status: string, provider: string}>}
+ */
+export async function sendSms({
+  to,
+  text,
+  senderOverride = null,
+  shopId = null,
+  skipCreditCheck = false,
+  provider = null,
+}) {
+  if (!/^\+[1-9]\d{1,14}$/.test(to || '')) {
+    throw new ValidationError(
+      `Invalid phone number format. Expected E.164 format (e.g., +357123456789), got: ${to}`,
+    );
+  }
+
+  if (shopId && (await isShopSuspended(shopId))) {
+    throw new AuthorizationError('Sending is disabled for suspended shops');
+  }
+
+  if (shopId && !skipCreditCheck) {
+    try {
+      const creditResult = await validateAndConsumeCredits(shopId, getMessageCredits(text));
+      logger.info('Credits validated and consumed for SMS', {
+        shopId,
+        creditsConsumed: creditResult.creditsConsumed,
+        creditsRemaining: creditResult.creditsRemaining,
+      });
+    } catch (error) {
+      if (error instanceof InsufficientCreditsError) {
+        throw new ValidationError(error.message);
+      }
+      throw error;
+    }
+  }
+
+  const config = await getShopSmsConfig(shopId);
+  const smsProvider = provider || config.provider;
+
+  const result = await smsProvider.send({
+    to,
+    text,
+    sender: senderOverride || config.sender,
+  });
+
+  return { ...result, provider: smsProvider.name };
+}
+
+export default {
+  SmsProviderName,
+  registerProvider,
+  listProviders,
+  getDefaultProviderName,
+  isProviderSelectable,
+  getProvider,
+  getShopSmsConfig,
+  getProviderForShop,
+  sendSms,
+};
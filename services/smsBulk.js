@@ -1,16 +1,17 @@
 // services/smsBulk.js
 // Bulk SMS sending service with credit enforcement
 
-import { sendBulkMessages } from './mitto.js';
+import { getShopSmsConfig } from './sms-provider.js';
 import { getAvailableBalance, debit } from './wallet.js';
 import { shortenUrlsInText } from '../utils/urlShortener.js';
 import { isSubscriptionActive } from './subscription.js';
+import { isShopSuspended } from './shop-status.js';
 import { checkAllLimits } from './rateLimiter.js';
 import { logger } from '../utils/logger.js';
-import prisma from './prisma.js';
+import { getMessageCredits } from './message-pricing.js';
 
 /**
- * Send bulk SMS with credit enforcement
+ * Send bulk SMS with credit enforcement through the shop's SMS provider
  * Checks balance before sending, debits ONLY after successful send (when messageId is received)
  *
  * @param {Array<Object>} messages - Array of message data objects
@@ -69,11 +70,38 @@ export async function sendBulkSMSWithCredits(messages) {
     };
   }
 
+  // Suspended shops cannot send (see services/admin-shops.js)
+  if (await isShopSuspended(shopId)) {
+    logger.warn(
+      { shopId, messageCount: messages.length },
+      'Suspended shop - bulk SMS send blocked',
+    );
+    return {
+      bulkId: null,
+      results: messages.map(msg => ({
+        internalRecipientId: msg.internalRecipientId,
+        sent: false,
+        reason: 'shop_suspended',
+        error: 'Sending is disabled for suspended shops.',
+      })),
+      summary: {
+        total: messages.length,
+        sent: 0,
+        failed: messages.length,
+      },
+    };
+  }
+
   // 2. Check available balance before sending (balance minus active reservations)
   // For campaigns, credits are already reserved, so this check ensures we have enough
   // even with reservations in place
+  // Messages are charged per segment; texts already carry their shortened
+  // links and unsubscribe link (see queue/jobs/bulkSms.js)
   const availableBalance = await getAvailableBalance(shopId);
-  const requiredCredits = messages.length;
+  const requiredCredits = messages.reduce(
+    (sum, msg) => sum + getMessageCredits(msg.text),
+    0,
+  );
 
   if (availableBalance < requiredCredits) {
     logger.warn(
@@ -97,70 +125,50 @@ export async function sendBulkSMSWithCredits(messages) {
     };
   }
 
-  // 3. Prepare messages for Mitto API
-  const TRAFFIC_ACCOUNT_ID =
-    process.env.SMS_TRAFFIC_ACCOUNT_ID ||
-    process.env.MITTO_TRAFFIC_ACCOUNT_ID;
+  // 3. Prepare messages for the shop's SMS provider
+  const { provider, sender: defaultSender } = await getShopSmsConfig(shopId);
 
-  const mittoMessages = [];
-  const messageMapping = []; // Maps index in mittoMessages to internal recipient data
+  const providerMessages = [];
+  const messageMapping = []; // Maps index in providerMessages to internal recipient data
 
   for (let i = 0; i < messages.length; i++) {
     const msg = messages[i];
 
-    // Resolve sender
-    let finalSender = msg.sender;
-    if (!finalSender) {
-      try {
-        const settings = await prisma.shopSettings.findUnique({
-          where: { shopId },
-          select: { senderName: true, senderNumber: true },
-        });
-        finalSender =
-          settings?.senderName ||
-          settings?.senderNumber ||
-          process.env.MITTO_SENDER_NAME ||
-          'Astronote';
-      } catch (senderErr) {
-        logger.warn(
-          { shopId, messageIndex: i, err: senderErr.message },
-          'Failed to resolve sender, using default',
-        );
-        finalSender = process.env.MITTO_SENDER_NAME || 'Astronote';
-      }
-    }
-
     // Shorten any URLs in the message text
     // Note: Unsubscribe link is already added in queue/jobs/bulkSms.js via appendUnsubscribeLink()
     // Do NOT add it here again to avoid duplicates
-    const finalText = await shortenUrlsInText(msg.text);
+    const finalText = await shortenUrlsInText(msg.text, {
+      shopId,
+      campaignId: msg.meta?.campaignId,
+      recipientId: msg.internalRecipientId,
+      contactId: msg.contactId,
+    });
 
-    const trafficAccountId = msg.trafficAccountId || TRAFFIC_ACCOUNT_ID;
-    if (!trafficAccountId) {
-      logger.warn({ shopId, messageIndex: i }, 'No traffic account ID, skipping message');
+    const accountId = msg.trafficAccountId || provider.getAccountId();
+    if (!accountId) {
+      logger.warn({ shopId, messageIndex: i, provider: provider.name }, 'No traffic account ID, skipping message');
       continue; // Skip this message
     }
 
-    mittoMessages.push({
-      trafficAccountId,
+    providerMessages.push({
+      accountId,
       destination: msg.destination,
-      sms: {
-        text: finalText,
-        sender: finalSender,
-      },
+      text: finalText,
+      sender: msg.sender || defaultSender,
     });
 
     messageMapping.push({
-      index: mittoMessages.length - 1,
+      index: providerMessages.length - 1,
       internalRecipientId: msg.internalRecipientId,
       shopId: msg.shopId,
       destination: msg.destination,
       text: finalText,
+      credits: getMessageCredits(finalText),
       meta: msg.meta || {},
     });
   }
 
-  if (mittoMessages.length === 0) {
+  if (providerMessages.length === 0) {
     logger.error({ shopId }, 'No valid messages to send after preparation');
     return {
       bulkId: null,
@@ -179,8 +187,7 @@ export async function sendBulkSMSWithCredits(messages) {
   }
 
   // 4. Check rate limits before sending
-  const trafficAccountId =
-    mittoMessages[0]?.trafficAccountId || TRAFFIC_ACCOUNT_ID;
+  const trafficAccountId = providerMessages[0]?.accountId;
 
   const rateLimitCheck = await checkAllLimits(trafficAccountId, shopId);
   if (!rateLimitCheck.allowed) {
@@ -203,49 +210,49 @@ export async function sendBulkSMSWithCredits(messages) {
     throw error;
   }
 
-  // 5. Call Mitto bulk API
+  // 5. Call the provider bulk API
   logger.info(
-    { shopId, messageCount: mittoMessages.length },
-    'Calling Mitto bulk API',
+    { shopId, messageCount: providerMessages.length, provider: provider.name },
+    'Calling SMS provider bulk API',
   );
   // #region agent log
-  fetch('http://127.0.0.1:7242/ingest/72a17531-4a03-4868-9574-6d14ee68fc32',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'smsBulk.js:204',message:'BEFORE Mitto API call',data:{shopId,messageCount:mittoMessages.length,campaignId:messages[0]?.meta?.campaignId},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(() => {});
+  fetch('http://127.0.0.1:7242/ingest/72a17531-4a03-4868-9574-6d14ee68fc32',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'smsBulk.js:204',message:'BEFORE Mitto API call',data:{shopId,messageCount:providerMessages.length,campaignId:messages[0]?.meta?.campaignId},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(() => {});
   // #endregion
 
-  let mittoResult;
+  let sendResult;
   try {
-    mittoResult = await sendBulkMessages(mittoMessages);
+    sendResult = await provider.sendBulk(providerMessages);
     // #region agent log
-    fetch('http://127.0.0.1:7242/ingest/72a17531-4a03-4868-9574-6d14ee68fc32',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'smsBulk.js:211',message:'AFTER Mitto API call SUCCESS',data:{shopId,requestedCount:mittoMessages.length,responseCount:mittoResult?.messages?.length,bulkId:mittoResult?.bulkId},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(() => {});
+    fetch('http://127.0.0.1:7242/ingest/72a17531-4a03-4868-9574-6d14ee68fc32',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'smsBulk.js:211',message:'AFTER Mitto API call SUCCESS',data:{shopId,requestedCount:providerMessages.length,responseCount:sendResult?.messages?.length,bulkId:sendResult?.bulkId},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(() => {});
     // #endregion
-  } catch (mittoError) {
+  } catch (sendError) {
     // #region agent log
-    fetch('http://127.0.0.1:7242/ingest/72a17531-4a03-4868-9574-6d14ee68fc32',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'smsBulk.js:213',message:'Mitto API call ERROR',data:{shopId,messageCount:mittoMessages.length,error:mittoError.message},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(() => {});
+    fetch('http://127.0.0.1:7242/ingest/72a17531-4a03-4868-9574-6d14ee68fc32',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'smsBulk.js:213',message:'Mitto API call ERROR',data:{shopId,messageCount:providerMessages.length,error:sendError.message},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'A'})}).catch(() => {});
     // #endregion
     logger.error(
-      { shopId, messageCount: mittoMessages.length, error: mittoError.message },
-      'Mitto bulk API call failed',
+      { shopId, messageCount: providerMessages.length, provider: provider.name, error: sendError.message },
+      'SMS provider bulk API call failed',
     );
-    throw mittoError;
+    throw sendError;
   }
 
   // 6. Map response to internal recipient IDs
-  // Note: Mitto API preserves order, so index-based mapping is safe
+  // Note: providers return results in request order, so index-based mapping is safe
   // However, we validate that response length matches request length
-  if (mittoResult.messages.length !== messageMapping.length) {
-    logger.error('Mitto response length mismatch', {
+  if (sendResult.messages.length !== messageMapping.length) {
+    logger.error('SMS provider response length mismatch', {
       shopId,
       requested: messageMapping.length,
-      received: mittoResult.messages.length,
+      received: sendResult.messages.length,
     });
     // This should not happen, but handle gracefully
     // Map what we can and mark the rest as failed
   }
 
   const results = messageMapping.map((mapping, idx) => {
-    const mittoResponse = mittoResult.messages[idx];
-    if (!mittoResponse) {
-      logger.warn('Missing Mitto response for message', {
+    const providerResponse = sendResult.messages[idx];
+    if (!providerResponse) {
+      logger.warn('Missing SMS provider response for message', {
         shopId,
         index: idx,
         internalRecipientId: mapping.internalRecipientId,
@@ -254,34 +261,39 @@ export async function sendBulkSMSWithCredits(messages) {
         internalRecipientId: mapping.internalRecipientId,
         sent: false,
         messageId: null,
-        bulkId: mittoResult.bulkId,
-        error: 'Missing response from Mitto API',
+        bulkId: sendResult.bulkId,
+        error: 'Missing response from SMS provider',
       };
     }
     return {
       internalRecipientId: mapping.internalRecipientId,
-      sent: !!mittoResponse?.messageId,
-      messageId: mittoResponse?.messageId || null,
-      bulkId: mittoResult.bulkId,
-      error: mittoResponse?.error || null,
+      sent: !!providerResponse?.messageId,
+      messageId: providerResponse?.messageId || null,
+      bulkId: sendResult.bulkId,
+      credits: mapping.credits,
+      error: providerResponse?.error || null,
     };
   });
 
-  // 7. Debit credits only for successful sends
+  // 7. Debit credits only for successful sends (one credit per segment)
   const successfulCount = results.filter(r => r.sent).length;
-  if (successfulCount > 0) {
+  const creditsUsed = results
+    .filter(r => r.sent)
+    .reduce((sum, r) => sum + r.credits, 0);
+  if (creditsUsed > 0) {
     try {
-      await debit(shopId, successfulCount, {
+      await debit(shopId, creditsUsed, {
         reason: `sms:send:campaign:${messages[0]?.meta?.campaignId || 'unknown'}`,
         campaignId: messages[0]?.meta?.campaignId || null,
+        meta: { messages: successfulCount, segments: creditsUsed },
       });
       logger.info(
-        { shopId, successfulCount, campaignId: messages[0]?.meta?.campaignId },
+        { shopId, successfulCount, creditsUsed, campaignId: messages[0]?.meta?.campaignId },
         'Credits debited for successful bulk SMS sends',
       );
     } catch (debitError) {
       logger.error(
-        { shopId, successfulCount, error: debitError.message },
+        { shopId, successfulCount, creditsUsed, error: debitError.message },
         'Failed to debit credits after successful send',
       );
       // Don't throw - credits will be tracked manually if needed
@@ -291,7 +303,7 @@ export async function sendBulkSMSWithCredits(messages) {
   logger.info(
     {
       shopId,
-      bulkId: mittoResult.bulkId,
+      bulkId: sendResult.bulkId,
       total: messages.length,
       sent: successfulCount,
       failed: messages.length - successfulCount,
@@ -300,7 +312,8 @@ export async function sendBulkSMSWithCredits(messages) {
   );
 
   return {
-    bulkId: mittoResult.bulkId,
+    bulkId: sendResult.bulkId,
+    provider: provider.name,
     results,
     summary: {
       total: messages.length,
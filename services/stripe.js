@@ -623,6 +623,8 @@ export async function createSubscriptionCheckoutSession({
  * @param {number} params.credits - Number of credits to purchase
  * @param {number} params.priceEur - Price in EUR (including VAT)
  * @param {string} params.currency - Currency code (EUR, USD, etc.)
+ * @param {Object} [params.vat] - VAT the price includes { rate, treatment },
+ *   kept in the metadata for the invoice
  * @param {string} params.successUrl - Success redirect URL
  * @param {string} params.cancelUrl - Cancel redirect URL
  * @returns {Promise<Object>} Stripe checkout session
@@ -633,6 +635,7 @@ export async function createCreditTopupCheckoutSession({
   credits,
   priceEur,
   currency = 'EUR',
+  vat = null,
   successUrl,
   cancelUrl,
 }) {
@@ -669,6 +672,10 @@ export async function createCreditTopupCheckoutSession({
         storeId: String(shopId), // Keep for backward compatibility
         credits: String(credits),
         priceEur: String(priceEur),
+        ...(vat && {
+          vatRate: String(vat.rate),
+          vatTreatment: vat.treatment,
+        }),
         type: 'credit_topup',
       },
       customer_email: `${shopDomain}@astronote.com`,
@@ -736,6 +743,10 @@ export async function createCreditTopupCheckoutSession({
         storeId: String(shopId), // Keep for backward compatibility
         credits: String(credits),
         priceEur: String(priceEur),
+        ...(vat && {
+          vatRate: String(vat.rate),
+          vatTreatment: vat.treatment,
+        }),
         type: 'credit_topup',
       },
       customer_email: `${shopDomain}@astronote.com`,
@@ -764,6 +775,10 @@ export async function createCreditTopupCheckoutSession({
       storeId: String(shopId), // Keep for backward compatibility
       credits: String(credits),
       priceEur: String(priceEur),
+      ...(vat && {
+        vatRate: String(vat.rate),
+        vatTreatment: vat.treatment,
+      }),
       type: 'credit_topup',
     },
     customer_email: `${shopDomain}@astronote.com`,
@@ -860,6 +875,73 @@ export async function getCustomerPortalUrl(customerId, returnUrl) {
   return session.url;
 }
 
+/**
+ * Charge a customer's saved card without the customer being present
+ * Uses the default payment method of the customer, then of the
+ * subscription, then the first saved card. Declines and cards requiring
+ * authentication (SCA) are thrown as Stripe errors.
+ * @param {Object} params - { customerId, subscriptionId?, amountCents,
+ *   currency, description, metadata, idempotencyKey }
+ * @returns {Promise<Object>} Stripe PaymentIntent
+ */
+export async function chargeSavedPaymentMethod({
+  customerId,
+  subscriptionId,
+  amountCents,
+  currency,
+  description,
+  metadata = {},
+  idempotencyKey,
+}) {
+  if (!stripe) {
+    throw new Error('Stripe is not configured');
+  }
+
+  const customer = await stripe.customers.retrieve(customerId);
+  let paymentMethod = customer.invoice_settings?.default_payment_method || null;
+
+  if (!paymentMethod && subscriptionId) {
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId);
+    paymentMethod = subscription.default_payment_method || null;
+  }
+  if (!paymentMethod) {
+    const methods = await stripe.paymentMethods.list({
+      customer: customerId,
+      type: 'card',
+      limit: 1,
+    });
+    paymentMethod = methods.data[0]?.id || null;
+  }
+  if (!paymentMethod) {
+    throw new Error('No saved payment method for this customer');
+  }
+
+  const paymentIntent = await stripe.paymentIntents.create(
+    {
+      amount: amountCents,
+      currency: currency.toLowerCase(),
+      customer: customerId,
+      payment_method:
+        typeof paymentMethod === 'string' ? paymentMethod : paymentMethod.id,
+      off_session: true,
+      confirm: true,
+      description,
+      metadata,
+    },
+    { idempotencyKey },
+  );
+
+  logger.info('Off-session payment created', {
+    paymentIntentId: paymentIntent.id,
+    customerId,
+    amountCents,
+    currency,
+    status: paymentIntent.status,
+  });
+
+  return paymentIntent;
+}
+
 export default {
   createStripeCheckoutSession,
   getCheckoutSession,
@@ -876,4 +958,5 @@ export default {
   updateSubscription,
   cancelSubscription,
   getCustomerPortalUrl,
+  chargeSavedPaymentMethod,
 };
@@ -1,5 +1,7 @@
 import prisma from './prisma.js';
 import { credit } from './wallet.js';
+import { CreditLotSource } from './credit-lot-rules.js';
+import { getProfileVat } from './billing-profiles.js';
 import { logger } from '../utils/logger.js';
 import {
   SubscriptionStatus,
@@ -30,7 +32,9 @@ export const PLANS = {
 
 // Credit top-up pricing
 export const CREDIT_PRICE_EUR = 0.045; // Base price per credit
-export const VAT_RATE = 0.24; // 24% VAT
+// Domestic VAT of the seller, shops are charged the VAT of their billing
+// profile (see services/vat-rules.js)
+export const VAT_RATE = getProfileVat(null).rate;
 
 /**
  * Get free credits for a plan
@@ -259,6 +263,13 @@ export async function allocateFreeCredits(
               ? billingPeriodStart.toISOString()
               : null,
           },
+          // Plan credits expire at the end of the billing period
+          lot: {
+            source: CreditLotSource.subscription,
+            periodEnd: stripeSubscription?.current_period_end
+              ? new Date(stripeSubscription.current_period_end * 1000)
+              : null,
+          },
         },
         tx,
       );
@@ -380,15 +391,17 @@ export async function deactivateSubscription(shopId, reason = 'cancelled') {
 /**
  * Calculate credit top-up price
  * @param {number} credits - Number of credits
+ * @param {Object} [vat] - VAT of the shop { rate, treatment } (see
+ *   getShopVat), defaults to the seller's domestic VAT
  * @returns {Object} Price breakdown
  */
-export function calculateTopupPrice(credits) {
+export function calculateTopupPrice(credits, vat = getProfileVat(null)) {
   if (!Number.isInteger(credits) || credits <= 0) {
     throw new Error('Invalid credits amount');
   }
 
   const basePrice = credits * CREDIT_PRICE_EUR;
-  const vatAmount = basePrice * VAT_RATE;
+  const vatAmount = basePrice * vat.rate;
   const totalPrice = basePrice + vatAmount;
 
   return {
@@ -396,6 +409,8 @@ export function calculateTopupPrice(credits) {
     priceEur: Number(basePrice.toFixed(2)),
     vatAmount: Number(vatAmount.toFixed(2)),
     priceEurWithVat: Number(totalPrice.toFixed(2)),
+    vatRate: vat.rate,
+    vatTreatment: vat.treatment,
   };
 }
 
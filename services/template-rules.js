@@ -0,0 +1,133 @@
+/**
+ * Template Rules
+ * Shops keep their own templates next to the global library. Every change
+ * to the versioned fields of a template is saved as a new TemplateVersion,
+ * so any two versions can be compared line by line and an old version can
+ * be restored (restoring saves it again as the newest version).
+ */
+
+export const VERSIONED_FIELDS = ['title', 'category', 'content', 'tags'];
+
+export const VersionSource = {
+  created: 'created',
+  edited: 'edited',
+  restored: 'restored',
+  forked: 'forked',
+  admin: 'admin',
+};
+
+// Line diffs beyond this many lines per side fall back to replace-all
+export const MAX_DIFF_LINES = 500;
+
+function sameValue(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const left = a || [];
+    const right = b || [];
+    return left.length === right.length && left.every((value, i) => value === right[i]);
+  }
+  return (a ?? null) === (b ?? null);
+}
+
+/**
+ * Versioned fields an update changes
+ * @param {Object} template - Current template
+ * @param {Object} changes - Requested changes (undefined fields are ignored)
+ * @returns {Array<string>} Changed fields
+ */
+export function getChangedFields(template, changes) {
+  return VERSIONED_FIELDS.filter(
+    field => changes[field] !== undefined && !sameValue(template[field], changes[field]),
+  );
+}
+
+/**
+ * Snapshot of the versioned fields of a template
+ * @param {Object} template - Template
+ * @returns {Object} { title, category, content, tags }
+ */
+export function getVersionSnapshot(template) {
+  return Object.fromEntries(
+    VERSIONED_FIELDS.map(field => [field, field === 'tags' ? template.tags || [] : template[field]]),
+  );
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} [{ type: equal | added | removed, text }]
+ */
+export function diffLines(before, after) {
+  const a = String(before ?? '').split('\n');
+  const b = String(after ?? '').split('\n');
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text })),
+    ];
+  }
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+  return lines;
+}
+
+/**
+ * Compare two template versions
+ * @param {Object} from - Older snapshot { title, category, content, tags }
+ * @param {Object} to - Newer snapshot
+ * @returns {Object} { changed, fields: [{ field, from, to }], content, stats }
+ *   fields lists the changed fields other than content, content is its line
+ *   diff and stats counts the added and removed lines
+ */
+export function diffVersions(from, to) {
+  const fields = VERSIONED_FIELDS.filter(
+    field => field !== 'content' && !sameValue(from[field], to[field]),
+  ).map(field => ({ field, from: from[field], to: to[field] }));
+  const content = diffLines(from.content, to.content);
+  const stats = {
+    added: content.filter(line => line.type === 'added').length,
+    removed: content.filter(line => line.type === 'removed').length,
+  };
+
+  return {
+    changed: fields.length > 0 || stats.added > 0 || stats.removed > 0,
+    fields,
+    content,
+    stats,
+  };
+}
+
+export default {
+  VERSIONED_FIELDS,
+  VersionSource,
+  MAX_DIFF_LINES,
+  getChangedFields,
+  getVersionSnapshot,
+  diffLines,
+  diffVersions,
+};
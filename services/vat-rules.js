@@ -0,0 +1,207 @@
+/**
+ * VAT Rules
+ * VAT of a sale from the seller's country to a shop, by the country and
+ * VAT ID of the shop's billing profile:
+ * - same country as the seller (or unknown): seller's standard rate
+ * - other EU country with a VAT ID: reverse charge, no VAT charged
+ * - other EU country without a VAT ID: customer country's rate (OSS)
+ * - outside the EU: no EU VAT
+ * VAT IDs are checked for format only (no VIES lookup).
+ */
+
+export const VatTreatment = {
+  domestic: 'domestic',
+  reverseCharge: 'reverse_charge',
+  euConsumer: 'eu_consumer',
+  outsideEu: 'outside_eu',
+};
+
+// Standard rates of the EU member states, review when a rate changes
+export const EU_VAT_RATES = {
+  AT: 0.2,
+  BE: 0.21,
+  BG: 0.2,
+  CY: 0.19,
+  CZ: 0.21,
+  DE: 0.19,
+  DK: 0.25,
+  EE: 0.24,
+  ES: 0.21,
+  FI: 0.255,
+  FR: 0.2,
+  GR: 0.24,
+  HR: 0.25,
+  HU: 0.27,
+  IE: 0.23,
+  IT: 0.22,
+  LT: 0.21,
+  LU: 0.17,
+  LV: 0.21,
+  MT: 0.18,
+  NL: 0.21,
+  PL: 0.23,
+  PT: 0.23,
+  RO: 0.21,
+  SE: 0.25,
+  SI: 0.22,
+  SK: 0.23,
+};
+
+export const EU_COUNTRIES = Object.keys(EU_VAT_RATES);
+
+// VAT ID prefixes that differ from the ISO country code
+const VAT_ID_PREFIXES = { GR: 'EL' };
+
+export const VAT_NOTES = {
+  [VatTreatment.reverseCharge]:
+    'Reverse charge: VAT to be accounted for by the recipient (Article 196, Council Directive 2006/112/EC).',
+  [VatTreatment.outsideEu]: 'Supply outside the scope of EU VAT.',
+};
+
+/**
+ * Normalize a country code
+ * @param {string|null} country - ISO 3166-1 alpha-2 code (EL is read as GR)
+ * @returns {string|null} Upper-case code, null if not a two-letter code
+ */
+export function normalizeCountry(country) {
+  if (!country) return null;
+  const code = String(country).trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(code)) return null;
+  return code === 'EL' ? 'GR' : code;
+}
+
+/**
+ * Check whether a country is an EU member state
+ * @param {string|null} country - Country code
+ * @returns {boolean}
+ */
+export function isEuCountry(country) {
+  return EU_COUNTRIES.includes(normalizeCountry(country));
+}
+
+/**
+ * VAT ID prefix of a country (EL for Greece)
+ * @param {string} country - Country code
+ * @returns {string}
+ */
+export function getVatIdPrefix(country) {
+  const code = normalizeCountry(country);
+  return VAT_ID_PREFIXES[code] || code;
+}
+
+/**
+ * Normalize a VAT ID: upper case, no separators, country prefix added
+ * @param {string|null} vatId - VAT ID as entered
+ * @param {string|null} [country] - Country used when the prefix is missing
+ * @returns {string|null}
+ */
+export function normalizeVatId(vatId, country = null) {
+  if (!vatId) return null;
+  const value = String(vatId).toUpperCase().replace(/[\s.\-/]/g, '');
+  if (!value) return null;
+  if (/^[0-9]/.test(value) && normalizeCountry(country)) {
+    return `${getVatIdPrefix(country)}${value}`;
+  }
+  return value;
+}
+
+/**
+ * Validate the format of an EU VAT ID against its country
+ * @param {string} vatId - Normalized VAT ID
+ * @param {string} country - Country of the billing profile
+ * @returns {string|null} Error message, null if valid
+ */
+export function validateVatId(vatId, country) {
+  if (!isEuCountry(country)) {
+    return null; // Non-EU tax IDs are printed as entered
+  }
+  if (!/^[A-Z]{2}[0-9A-Z+*]{2,12}$/.test(vatId)) {
+    return 'VAT ID must be a country prefix followed by 2 to 12 letters or digits';
+  }
+  const prefix = getVatIdPrefix(country);
+  if (!vatId.startsWith(prefix)) {
+    return `VAT ID must start with ${prefix} for this country`;
+  }
+  return null;
+}
+
+/**
+ * Standard VAT rate of an EU country
+ * @param {string} country - Country code
+ * @returns {number} Rate (0.24 = 24%), 0 outside the EU
+ */
+export function getVatRate(country) {
+  return EU_VAT_RATES[normalizeCountry(country)] ?? 0;
+}
+
+/**
+ * VAT of a sale to a customer
+ * @param {Object} params - { sellerCountry, country, vatId } country and
+ *   vatId of the customer's billing profile
+ * @returns {Object} { rate, treatment, country, note }
+ */
+export function computeVat({ sellerCountry, country, vatId = null }) {
+  const seller = normalizeCountry(sellerCountry);
+  const customer = normalizeCountry(country);
+
+  let treatment;
+  let rate;
+  if (!customer || customer === seller) {
+    treatment = VatTreatment.domestic;
+    rate = getVatRate(seller);
+  } else if (!isEuCountry(customer)) {
+    treatment = VatTreatment.outsideEu;
+    rate = 0;
+  } else if (vatId) {
+    treatment = VatTreatment.reverseCharge;
+    rate = 0;
+  } else {
+    treatment = VatTreatment.euConsumer;
+    rate = getVatRate(customer);
+  }
+
+  return {
+    rate,
+    treatment,
+    country: customer || seller,
+    note: VAT_NOTES[treatment] || null,
+  };
+}
+
+/**
+ * Split an amount paid (VAT included) into net and VAT
+ * @param {number} totalCents - Amount paid in cents
+ * @param {number} rate - VAT rate
+ * @returns {Object} { netCents, vatCents, totalCents }
+ */
+export function splitGrossAmount(totalCents, rate) {
+  const netCents = Math.round(totalCents / (1 + rate));
+  return { netCents, vatCents: totalCents - netCents, totalCents };
+}
+
+/**
+ * Add VAT to a net amount
+ * @param {number} netCents - Net amount in cents
+ * @param {number} rate - VAT rate
+ * @returns {Object} { netCents, vatCents, totalCents }
+ */
+export function addVat(netCents, rate) {
+  const vatCents = Math.round(netCents * rate);
+  return { netCents, vatCents, totalCents: netCents + vatCents };
+}
+
+export default {
+  VatTreatment,
+  EU_VAT_RATES,
+  EU_COUNTRIES,
+  VAT_NOTES,
+  normalizeCountry,
+  isEuCountry,
+  getVatIdPrefix,
+  normalizeVatId,
+  validateVatId,
+  getVatRate,
+  computeVat,
+  splitGrossAmount,
+  addVat,
+};
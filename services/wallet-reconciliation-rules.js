@@ -0,0 +1,283 @@
+/**
+ * Wallet Reconciliation Rules
+ * The CreditTransaction ledger of a shop is replayed from zero and compared
+ * with Wallet.balance, the credit lots, the legacy Shop.credits balance and
+ * the active reservations. Ledger and lot mismatches are errors support can
+ * correct; the rest are warnings to investigate.
+ */
+
+export const ReconciliationStatus = {
+  ok: 'ok',
+  mismatch: 'mismatch',
+  corrected: 'corrected',
+};
+
+export const ReconciliationTrigger = {
+  job: 'job',
+  admin: 'admin',
+};
+
+export const IssueType = {
+  ledgerMismatch: 'ledger_balance_mismatch',
+  balanceAfterBreak: 'balance_after_break',
+  lotMismatch: 'lot_balance_mismatch',
+  shopCreditsMismatch: 'shop_credits_mismatch',
+  expiredReservation: 'expired_reservation',
+  orphanedReservation: 'orphaned_reservation',
+  overReserved: 'reserved_exceeds_balance',
+  purchaseNotInLedger: 'purchase_not_in_ledger',
+};
+
+export const IssueSeverity = {
+  error: 'error',
+  warning: 'warning',
+};
+
+// Side taken as correct when the ledger and the wallet disagree
+export const TrustSource = {
+  ledger: 'ledger',
+  wallet: 'wallet',
+};
+
+// Campaign statuses after which a reservation should have been released
+const FINISHED_CAMPAIGN_STATUSES = ['sent', 'failed', 'cancelled'];
+
+// Breaks listed in a report (the count is always complete)
+const MAX_LISTED_BREAKS = 20;
+
+/**
+ * Signed balance change of a ledger entry
+ * @param {Object} txn - CreditTransaction { type, amount }
+ * @returns {number}
+ */
+export function getTxnDelta(txn) {
+  return txn.type === 'credit' || txn.type === 'refund' ? txn.amount : -txn.amount;
+}
+
+/**
+ * Replay a ledger in chronological order
+ * A break is an entry whose balanceAfter does not follow from the previous
+ * one; the replay resumes from the recorded value so one drift is reported
+ * once.
+ * @param {Array} transactions - CreditTransactions { id, type, amount,
+ *   balanceAfter, createdAt } oldest first
+ * @returns {Object} { ledgerBalance, lastBalanceAfter, breaks, breakCount }
+ */
+export function replayLedger(transactions) {
+  let ledgerBalance = 0;
+  let chained = 0;
+  const breaks = [];
+
+  for (const txn of transactions) {
+    const delta = getTxnDelta(txn);
+    ledgerBalance += delta;
+    const expected = chained + delta;
+    if (expected !== txn.balanceAfter) {
+      breaks.push({
+        transactionId: txn.id,
+        createdAt: txn.createdAt,
+        expected,
+        recorded: txn.balanceAfter,
+      });
+    }
+    chained = txn.balanceAfter;
+  }
+
+  return {
+    ledgerBalance,
+    lastBalanceAfter: transactions.length ? chained : null,
+    breaks: breaks.slice(0, MAX_LISTED_BREAKS),
+    breakCount: breaks.length,
+  };
+}
+
+/**
+ * Classify an active reservation that should no longer be active
+ * @param {Object} reservation - { expiresAt, campaignId, campaign: { status } | null }
+ * @param {Date} [now] - Current time
+ * @returns {string|null} IssueType, null if the reservation is valid
+ */
+export function classifyReservation(reservation, now = new Date()) {
+  if (reservation.expiresAt && new Date(reservation.expiresAt) <= now) {
+    return IssueType.expiredReservation;
+  }
+  if (
+    reservation.campaignId &&
+    (!reservation.campaign ||
+      FINISHED_CAMPAIGN_STATUSES.includes(reservation.campaign.status))
+  ) {
+    return IssueType.orphanedReservation;
+  }
+  return null;
+}
+
+/**
+ * Purchases in the legacy WalletTransaction log without a ledger entry
+ * @param {Array} walletTransactions - Purchase rows { id, credits, meta, createdAt }
+ * @param {Array} creditTransactions - Ledger credits { meta }
+ * @returns {Array} Unmatched purchase rows
+ */
+export function findUnmatchedPurchases(walletTransactions, creditTransactions) {
+  const sessions = new Set();
+  for (const txn of creditTransactions) {
+    const sessionId = txn.meta?.stripeSessionId || txn.meta?.sessionId;
+    if (sessionId) sessions.add(sessionId);
+  }
+  return walletTransactions.filter(
+    row => row.meta?.sessionId && !sessions.has(row.meta.sessionId),
+  );
+}
+
+/**
+ * Build the reconciliation report of a shop
+ * @param {Object} params - { walletBalance, shopCredits, transactions,
+ *   lotBalance, reservations, unmatchedPurchases, now }
+ * @returns {Object} { status, ledgerBalance, walletBalance, difference,
+ *   lotBalance, shopCredits, reservedCredits, issues }
+ */
+export function buildReconciliationReport({
+  walletBalance,
+  shopCredits,
+  transactions,
+  lotBalance,
+  reservations = [],
+  unmatchedPurchases = [],
+  now = new Date(),
+}) {
+  const issues = [];
+  const replay = replayLedger(transactions);
+  const difference = walletBalance - replay.ledgerBalance;
+
+  if (difference !== 0) {
+    issues.push({
+      type: IssueType.ledgerMismatch,
+      severity: IssueSeverity.error,
+      message: `Wallet balance ${walletBalance} differs from the ledger (${replay.ledgerBalance}) by ${difference}`,
+      ledgerBalance: replay.ledgerBalance,
+      walletBalance,
+      difference,
+    });
+  }
+  if (replay.breakCount > 0) {
+    issues.push({
+      type: IssueType.balanceAfterBreak,
+      severity: IssueSeverity.warning,
+      message: `${replay.breakCount} ledger entries have a balanceAfter that does not follow from the previous entry`,
+      count: replay.breakCount,
+      breaks: replay.breaks,
+    });
+  }
+  if (lotBalance !== walletBalance) {
+    issues.push({
+      type: IssueType.lotMismatch,
+      severity: IssueSeverity.error,
+      message: `Credit lots hold ${lotBalance} credits but the wallet holds ${walletBalance}`,
+      lotBalance,
+      walletBalance,
+    });
+  }
+  if (shopCredits !== walletBalance) {
+    issues.push({
+      type: IssueType.shopCreditsMismatch,
+      severity: IssueSeverity.warning,
+      message: `Shop.credits (${shopCredits}) differs from the wallet balance (${walletBalance})`,
+      shopCredits,
+      walletBalance,
+    });
+  }
+
+  let reservedCredits = 0;
+  for (const reservation of reservations) {
+    const type = classifyReservation(reservation, now);
+    if (!type) {
+      reservedCredits += reservation.amount;
+      continue;
+    }
+    issues.push({
+      type,
+      severity: IssueSeverity.error,
+      message:
+        type === IssueType.expiredReservation
+          ? `Reservation of ${reservation.amount} credits expired but is still active`
+          : `Reservation of ${reservation.amount} credits is active for a finished or deleted campaign`,
+      reservationId: reservation.id,
+      campaignId: reservation.campaignId,
+      amount: reservation.amount,
+    });
+  }
+  if (reservedCredits > walletBalance) {
+    issues.push({
+      type: IssueType.overReserved,
+      severity: IssueSeverity.warning,
+      message: `Active reservations (${reservedCredits}) exceed the wallet balance (${walletBalance})`,
+      reservedCredits,
+      walletBalance,
+    });
+  }
+
+  for (const purchase of unmatchedPurchases) {
+    issues.push({
+      type: IssueType.purchaseNotInLedger,
+      severity: IssueSeverity.warning,
+      message: `Purchase of ${purchase.credits} credits has no ledger entry`,
+      walletTransactionId: purchase.id,
+      sessionId: purchase.meta.sessionId,
+      credits: purchase.credits,
+    });
+  }
+
+  return {
+    status: issues.length ? ReconciliationStatus.mismatch : ReconciliationStatus.ok,
+    ledgerBalance: replay.ledgerBalance,
+    walletBalance,
+    difference,
+    lotBalance,
+    shopCredits,
+    reservedCredits,
+    transactionCount: transactions.length,
+    issues,
+  };
+}
+
+/**
+ * Balance change that reconciles the ledger and the wallet
+ * Trusting the wallet appends a ledger entry; trusting the ledger resets
+ * the wallet to the replayed balance.
+ * @param {Object} report - Reconciliation report
+ * @param {string} trust - TrustSource
+ * @returns {Object|null} { target, type, amount, balance } or null if in step
+ */
+export function getLedgerCorrection(report, trust) {
+  const { difference, ledgerBalance, walletBalance } = report;
+  if (difference === 0) {
+    return null;
+  }
+  if (trust === TrustSource.wallet) {
+    return {
+      target: 'ledger',
+      type: difference > 0 ? 'credit' : 'debit',
+      amount: Math.abs(difference),
+      balance: walletBalance,
+    };
+  }
+  return {
+    target: 'wallet',
+    type: difference > 0 ? 'debit' : 'credit',
+    amount: Math.abs(difference),
+    balance: ledgerBalance,
+  };
+}
+
+export default {
+  ReconciliationStatus,
+  ReconciliationTrigger,
+  IssueType,
+  IssueSeverity,
+  TrustSource,
+  getTxnDelta,
+  replayLedger,
+  classifyReservation,
+  findUnmatchedPurchases,
+  buildReconciliationReport,
+  getLedgerCorrection,
+};
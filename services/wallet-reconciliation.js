@@ -0,0 +1,375 @@
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import { walletMaintenanceQueue } from '../queue/index.js';
+import { consumeLots, createLot } from './credit-lots.js';
+import { CreditLotSource } from './credit-lot-rules.js';
+import {
+  IssueType,
+  ReconciliationStatus,
+  ReconciliationTrigger,
+  TrustSource,
+  buildReconciliationReport,
+  findUnmatchedPurchases,
+  getLedgerCorrection,
+} from './wallet-reconciliation-rules.js';
+
+/**
+ * Wallet Reconciliation Service
+ * Checks a shop's wallet against its CreditTransaction ledger (see
+ * services/wallet-reconciliation-rules.js) and lets support correct the
+ * drift with audited adjustment entries. The daily job only reports.
+ */
+
+const ADJUSTMENT_REASON = 'adjustment:reconciliation';
+const RESERVATION_ISSUES = [IssueType.expiredReservation, IssueType.orphanedReservation];
+
+async function loadShopState(client, shopId) {
+  const shop = await client.shop.findUnique({
+    where: { id: shopId },
+    select: { id: true, credits: true },
+  });
+  if (!shop) {
+    throw new NotFoundError('Shop');
+  }
+
+  const [wallet, transactions, ledgerCredits, lots, reservations, purchases] =
+    await Promise.all([
+      client.wallet.findUnique({
+        where: { shopId },
+        select: { id: true, balance: true },
+      }),
+      client.creditTransaction.findMany({
+        where: { shopId },
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        select: {
+          id: true,
+          type: true,
+          amount: true,
+          balanceAfter: true,
+          createdAt: true,
+        },
+      }),
+      client.creditTransaction.findMany({
+        where: { shopId, type: 'credit' },
+        select: { meta: true },
+      }),
+      client.creditLot.aggregate({
+        where: { shopId, remaining: { gt: 0 } },
+        _sum: { remaining: true },
+      }),
+      client.creditReservation.findMany({
+        where: { shopId, status: 'active' },
+        include: { campaign: { select: { status: true } } },
+      }),
+      client.walletTransaction.findMany({
+        where: { shopId, type: 'purchase' },
+        select: { id: true, credits: true, meta: true, createdAt: true },
+      }),
+    ]);
+
+  return {
+    wallet,
+    report: buildReconciliationReport({
+      walletBalance: wallet?.balance ?? 0,
+      shopCredits: shop.credits,
+      transactions,
+      lotBalance: lots._sum.remaining || 0,
+      reservations,
+      unmatchedPurchases: findUnmatchedPurchases(purchases, ledgerCredits),
+    }),
+  };
+}
+
+function formatReconciliation(row) {
+  return {
+    id: row.id,
+    shopId: row.shopId,
+    status: row.status,
+    trigger: row.trigger,
+    ledgerBalance: row.ledgerBalance,
+    walletBalance: row.walletBalance,
+    lotBalance: row.lotBalance,
+    shopCredits: row.shopCredits,
+    reservedCredits: row.reservedCredits,
+    issues: row.issues,
+    corrections: row.corrections,
+    actor: row.actor,
+    auditReason: row.auditReason,
+    createdAt: row.createdAt,
+  };
+}
+
+function recordReconciliation(client, shopId, report, extra = {}) {
+  return client.walletReconciliation.create({
+    data: {
+      shopId,
+      status: report.status,
+      trigger: ReconciliationTrigger.job,
+      ledgerBalance: report.ledgerBalance,
+      walletBalance: report.walletBalance,
+      lotBalance: report.lotBalance,
+      shopCredits: report.shopCredits,
+      reservedCredits: report.reservedCredits,
+      issues: report.issues,
+      ...extra,
+    },
+  });
+}
+
+/**
+ * Reconcile the wallet of a shop (read-only)
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Object>} Report { status, ledgerBalance, walletBalance,
+ *   difference, lotBalance, shopCredits, reservedCredits, issues }
+ */
+export async function reconcileShop(shopId) {
+  const { report } = await loadShopState(prisma, shopId);
+  return { shopId, ...report };
+}
+
+/**
+ * Correct the wallet of a shop
+ * - ledger/wallet mismatch: trust 'wallet' appends a credit or debit entry
+ *   bringing the ledger to the wallet balance; trust 'ledger' resets the
+ *   wallet to the replayed balance (logged as a WalletTransaction adjustment)
+ * - credit lots are topped up or trimmed to the resulting balance
+ * - expired and orphaned active reservations are marked expired
+ * @param {string} shopId - Shop ID
+ * @param {Object} options - { trust, auditReason, actor, releaseReservations }
+ * @returns {Promise<Object>} { reconciliation, report } report after correction
+ */
+export async function correctShop(shopId, options) {
+  const {
+    trust = TrustSource.ledger,
+    auditReason,
+    actor = null,
+    releaseReservations = true,
+  } = options;
+  const audit = { auditReason, actor, trust };
+
+  const reconciliation = await prisma.$transaction(async tx => {
+    const { wallet: existing, report } = await loadShopState(tx, shopId);
+    const wallet =
+      existing ||
+      (await tx.wallet.create({
+        data: { shopId, balance: 0 },
+        select: { id: true, balance: true },
+      }));
+    const corrections = [];
+
+    const ledgerCorrection = getLedgerCorrection(report, trust);
+    if (ledgerCorrection?.target === 'ledger') {
+      const txn = await tx.creditTransaction.create({
+        data: {
+          shopId,
+          type: ledgerCorrection.type,
+          amount: ledgerCorrection.amount,
+          balanceAfter: ledgerCorrection.balance,
+          reason: ADJUSTMENT_REASON,
+          meta: {
+            ...audit,
+            ledgerBalance: report.ledgerBalance,
+            walletBalance: report.walletBalance,
+          },
+          walletId: wallet.id,
+        },
+      });
+      corrections.push({ ...ledgerCorrection, creditTransactionId: txn.id });
+    } else if (ledgerCorrection?.target === 'wallet') {
+      await tx.wallet.update({
+        where: { shopId },
+        data: { balance: ledgerCorrection.balance },
+      });
+      await tx.walletTransaction.create({
+        data: {
+          shopId,
+          type: 'adjustment',
+          credits:
+            ledgerCorrection.type === 'credit'
+              ? ledgerCorrection.amount
+              : -ledgerCorrection.amount,
+          ref: ADJUSTMENT_REASON,
+          meta: {
+            ...audit,
+            walletBalanceBefore: report.walletBalance,
+            walletBalanceAfter: ledgerCorrection.balance,
+          },
+        },
+      });
+      corrections.push(ledgerCorrection);
+    }
+
+    const balance = ledgerCorrection ? ledgerCorrection.balance : report.walletBalance;
+    if (report.lotBalance < balance) {
+      const lot = await createLot(tx, {
+        shopId,
+        walletId: wallet.id,
+        source: CreditLotSource.adjustment,
+        amount: balance - report.lotBalance,
+        expiresAt: null,
+        reason: ADJUSTMENT_REASON,
+      });
+      corrections.push({ target: 'lots', type: 'credit', amount: lot.amount, lotId: lot.id });
+    } else if (report.lotBalance > balance) {
+      const consumed = await consumeLots(tx, {
+        shopId,
+        walletId: wallet.id,
+        walletBalance: report.lotBalance,
+        amount: report.lotBalance - balance,
+      });
+      corrections.push({
+        target: 'lots',
+        type: 'debit',
+        amount: report.lotBalance - balance,
+        lots: consumed,
+      });
+    }
+
+    if (releaseReservations) {
+      const stale = report.issues.filter(issue => RESERVATION_ISSUES.includes(issue.type));
+      for (const issue of stale) {
+        const reservation = await tx.creditReservation.findUnique({
+          where: { id: issue.reservationId },
+        });
+        await tx.creditReservation.update({
+          where: { id: issue.reservationId },
+          data: {
+            status: 'expired',
+            releasedAt: new Date(),
+            meta: {
+              ...(reservation.meta || {}),
+              releaseReason: `reconciliation:${issue.type}`,
+            },
+          },
+        });
+        corrections.push({
+          target: 'reservation',
+          reservationId: issue.reservationId,
+          amount: issue.amount,
+        });
+      }
+    }
+
+    return recordReconciliation(tx, shopId, report, {
+      status: corrections.length ? ReconciliationStatus.corrected : report.status,
+      trigger: ReconciliationTrigger.admin,
+      corrections,
+      actor,
+      auditReason,
+    });
+  });
+
+  logger.info('Wallet reconciliation corrected', {
+    shopId,
+    reconciliationId: reconciliation.id,
+    trust,
+    actor,
+    corrections: reconciliation.corrections?.length || 0,
+  });
+
+  return {
+    reconciliation: formatReconciliation(reconciliation),
+    report: await reconcileShop(shopId),
+  };
+}
+
+/**
+ * Reconcile every wallet and record the shops with issues
+ * @param {Object} [options] - { batchSize }
+ * @returns {Promise<Object>} { checked, mismatched, failed }
+ */
+export async function runWalletReconciliation(options = {}) {
+  const { batchSize = 200 } = options;
+  const totals = { checked: 0, mismatched: 0, failed: 0 };
+  let cursor = null;
+
+  for (;;) {
+    const wallets = await prisma.wallet.findMany({
+      orderBy: { id: 'asc' },
+      take: batchSize,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      select: { id: true, shopId: true },
+    });
+    if (wallets.length === 0) break;
+    cursor = wallets[wallets.length - 1].id;
+
+    for (const { shopId } of wallets) {
+      try {
+        const { report } = await loadShopState(prisma, shopId);
+        totals.checked++;
+        if (report.status === ReconciliationStatus.ok) continue;
+
+        totals.mismatched++;
+        await recordReconciliation(prisma, shopId, report);
+        logger.warn('Wallet reconciliation mismatch', {
+          shopId,
+          issues: report.issues.map(issue => issue.type),
+          difference: report.difference,
+        });
+      } catch (error) {
+        totals.failed++;
+        logger.error('Wallet reconciliation failed', {
+          shopId,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Queue a reconciliation of every wallet
+ * @param {string} [jobId] - Job ID, runs sharing one are queued once
+ * @returns {Promise<string>} Job ID
+ */
+export async function enqueueWalletReconciliation(jobId = `reconcile-wallets-${Date.now()}`) {
+  await walletMaintenanceQueue.add('reconcile-wallets', {}, { jobId });
+  return jobId;
+}
+
+/**
+ * List recorded reconciliations, newest first
+ * @param {Object} filters - { page, pageSize, status, shopId }
+ * @returns {Promise<Object>} { reconciliations, pagination }
+ */
+export async function listReconciliations(filters = {}) {
+  const { page = 1, pageSize = 20, status, shopId } = filters;
+  const where = {
+    ...(status && { status }),
+    ...(shopId && { shopId }),
+  };
+
+  const [rows, total] = await Promise.all([
+    prisma.walletReconciliation.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.walletReconciliation.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    reconciliations: rows.map(formatReconciliation),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+export default {
+  reconcileShop,
+  correctShop,
+  runWalletReconciliation,
+  enqueueWalletReconciliation,
+  listReconciliations,
+};
@@ -1,6 +1,9 @@
 import prisma from './prisma.js';
 import { logger } from '../utils/logger.js';
 import { ValidationError } from '../utils/errors.js';
+import { handleBalanceChange } from './low-balance.js';
+import { consumeLots, createLot, expireLotsForShop } from './credit-lots.js';
+import { CreditLotSource } from './credit-lot-rules.js';
 
 /**
  * Wallet Service
@@ -30,13 +33,15 @@ export async function getBalance(shopId) {
 
 /**
  * Internal helper to append a transaction & update wallet balance atomically.
+ * Credits and refunds add a credit lot; debits first expire due lots, then
+ * consume lots earliest-expiring first and record them in the meta.
  * Can be used within an existing transaction by passing tx parameter.
  */
 async function appendTxnAndUpdate(
   shopId,
   delta,
   type,
-  { reason, campaignId, messageId, meta } = {},
+  { reason, campaignId, messageId, meta, lot } = {},
   tx = null,
 ) {
   const execute = async client => {
@@ -46,6 +51,14 @@ async function appendTxnAndUpdate(
       create: { shopId, balance: 0 },
       select: { id: true, balance: true },
     });
+    const previousBalance = wallet.balance;
+
+    if (delta < 0) {
+      const expiry = await expireLotsForShop(client, shopId);
+      if (expiry.credits > 0) {
+        wallet.balance = expiry.balanceAfter;
+      }
+    }
 
     const newBalance = wallet.balance + delta;
     if (newBalance < 0) {
@@ -62,6 +75,16 @@ async function appendTxnAndUpdate(
       data: { balance: newBalance },
     });
 
+    const lots =
+      delta < 0
+        ? await consumeLots(client, {
+          shopId,
+          walletId: wallet.id,
+          walletBalance: wallet.balance,
+          amount: -delta,
+        })
+        : null;
+
     // Insert transaction
     const txn = await client.creditTransaction.create({
       data: {
@@ -72,11 +95,26 @@ async function appendTxnAndUpdate(
         reason: reason || null,
         campaignId: campaignId || null,
         messageId: messageId || null,
-        meta: meta || undefined,
+        meta: lots ? { ...(meta || {}), lots } : meta || undefined,
         walletId: wallet.id, // Link to wallet for referential integrity
       },
     });
 
+    if (delta > 0) {
+      await createLot(client, {
+        shopId,
+        walletId: wallet.id,
+        source:
+          lot?.source ||
+          (type === 'refund' ? CreditLotSource.refund : CreditLotSource.adjustment),
+        amount: delta,
+        expiresAt: lot?.expiresAt,
+        periodEnd: lot?.periodEnd,
+        reason,
+        creditTransactionId: txn.id,
+      });
+    }
+
     logger.info(
       {
         shopId,
@@ -88,7 +126,7 @@ async function appendTxnAndUpdate(
       'Wallet transaction completed',
     );
 
-    return { balance: newBalance, txn };
+    return { balance: newBalance, previousBalance, txn };
   };
 
   // If already in a transaction, use it; otherwise create a new one
@@ -101,6 +139,8 @@ async function appendTxnAndUpdate(
 
 /**
  * Credit (top-up/purchase/admin grant). Positive amount.
+ * opts.lot ({ source, expiresAt?, periodEnd? }) sets the source and expiry
+ * of the credit lot; without it the credits are a non-expiring adjustment.
  * Can be used within an existing transaction by passing tx parameter.
  */
 export async function credit(shopId, amount, opts = {}, tx = null) {
@@ -113,12 +153,20 @@ export async function credit(shopId, amount, opts = {}, tx = null) {
 /**
  * Debit (consume). Positive amount. Throws on insufficient credits.
  * Can be used within an existing transaction by passing tx parameter.
+ * Alerts the shop (and starts an auto top-up) when the debit crosses its
+ * low balance threshold. With tx the caller's transaction may still roll
+ * back, so the caller runs handleBalanceChange(shopId,
+ * result.previousBalance, result.balance) after it commits.
  */
 export async function debit(shopId, amount, opts = {}, tx = null) {
   if (!Number.isInteger(amount) || amount <= 0) {
     throw new ValidationError('Invalid amount: must be a positive integer');
   }
-  return appendTxnAndUpdate(shopId, -amount, 'debit', opts, tx);
+  const result = await appendTxnAndUpdate(shopId, -amount, 'debit', opts, tx);
+  if (!tx) {
+    await handleBalanceChange(shopId, result.previousBalance, result.balance);
+  }
+  return result;
 }
 
 /**
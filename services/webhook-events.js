@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import net from 'net';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Outbound Webhook Rules
+ * Event types merchants can subscribe to, endpoint validation and request
+ * signing. Every delivery is a JSON POST signed with the endpoint secret:
+ *
+ *   X-Astronote-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *   X-Astronote-Timestamp: <unix seconds>
+ *
+ * Receivers should recompute the HMAC over the raw body and reject old
+ * timestamps (see verifyWebhookSignature).
+ */
+
+export const WebhookEvent = {
+  messageDelivered: 'message.delivered',
+  messageFailed: 'message.failed',
+  contactOptedOut: 'contact.opted_out',
+  campaignCompleted: 'campaign.completed',
+  automationTriggered: 'automation.triggered',
+  creditsLow: 'credits.low',
+  test: 'webhook.test',
+};
+
+// Events an endpoint can subscribe to ('*' subscribes to all of them)
+export const SUBSCRIBABLE_EVENTS = [
+  WebhookEvent.messageDelivered,
+  WebhookEvent.messageFailed,
+  WebhookEvent.contactOptedOut,
+  WebhookEvent.campaignCompleted,
+  WebhookEvent.automationTriggered,
+  WebhookEvent.creditsLow,
+];
+export const ALL_EVENTS = '*';
+
+export const WebhookDeliveryStatus = {
+  pending: 'pending',
+  retrying: 'retrying',
+  succeeded: 'succeeded',
+  failed: 'failed',
+};
+
+export const WebhookHeader = {
+  event: 'X-Astronote-Event',
+  delivery: 'X-Astronote-Delivery',
+  timestamp: 'X-Astronote-Timestamp',
+  signature: 'X-Astronote-Signature',
+};
+
+export const MAX_ENDPOINTS_PER_SHOP = 10;
+export const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_RESPONSE_HEADERS = 20;
+const MAX_HEADER_VALUE_LENGTH = 200;
+const DELIVERED_STATUSES = ['delivered', 'delivrd'];
+
+/**
+ * Generate an endpoint signing secret
+ * @returns {string} Secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Mask a secret for display
+ * @param {string} secret - Secret
+ * @returns {string} Masked secret
+ */
+export function maskWebhookSecret(secret) {
+  return secret ? `whsec_…${secret.slice(-4)}` : null;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Endpoint secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature header value
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const mac = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${mac}`;
+}
+
+/**
+ * Verify a webhook signature (what a receiver does)
+ * @param {string} secret - Endpoint secret
+ * @param {Object} params - { timestamp, body, signature, now? }
+ * @returns {boolean} True if authentic and recent
+ */
+export function verifyWebhookSignature(secret, { timestamp, body, signature, now }) {
+  const seconds = Number(timestamp);
+  const current = Math.floor((now ?? Date.now()) / 1000);
+  if (!Number.isInteger(seconds) || Math.abs(current - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = signWebhookPayload(secret, seconds, body);
+  const provided = String(signature || '');
+  return (
+    provided.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(expected))
+  );
+}
+
+/**
+ * Build the headers of a delivery
+ * @param {Object} params - { secret, event, deliveryId, body, timestamp }
+ * @returns {Object} Headers
+ */
+export function buildWebhookHeaders({ secret, event, deliveryId, body, timestamp }) {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Astronote-Webhooks/1.0',
+    [WebhookHeader.event]: event,
+    [WebhookHeader.delivery]: deliveryId,
+    [WebhookHeader.timestamp]: String(timestamp),
+    [WebhookHeader.signature]: signWebhookPayload(secret, timestamp, body),
+  };
+}
+
+/**
+ * Check whether an endpoint receives an event
+ * @param {Array<string>} events - Endpoint events
+ * @param {string} event - Event type
+ * @returns {boolean}
+ */
+export function isSubscribed(events, event) {
+  return (events || []).includes(ALL_EVENTS) || (events || []).includes(event);
+}
+
+// Loopback, private, link-local, carrier-grade NAT, benchmark, multicast
+// and reserved ranges; IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are
+// checked against the IPv4 ranges
+const privateAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  privateAddresses.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 96], // Unspecified, loopback and IPv4-compatible
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  privateAddresses.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for anything that is not an IP address
+ */
+export function isPrivateAddress(address) {
+  const ip = String(address || '').replace(/%.*$/, '');
+  const family = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+  return family !== null && privateAddresses.check(ip, family);
+}
+
+/**
+ * Check whether a URL hostname is local or a private IP address
+ * Names are only checked against local suffixes; what they resolve to is
+ * checked when a delivery connects.
+ * @param {string} hostname - URL hostname (IPv6 in brackets)
+ * @returns {boolean}
+ */
+export function isPrivateHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    return true;
+  }
+  return isPrivateAddress(host);
+}
+
+/**
+ * Check whether endpoints may point to private hosts
+ * Only for local development, never in production.
+ * @param {Object} [env] - Environment variables
+ * @returns {boolean}
+ */
+export function privateHostsAllowed(env = process.env) {
+  return env.NODE_ENV !== 'production' && env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+}
+
+/**
+ * Validate an endpoint definition
+ * Endpoints must use HTTPS in production and a public host unless
+ * private hosts are allowed (see privateHostsAllowed).
+ * @param {Object} endpoint - { url?, events? }
+ * @param {Object} [options] - { production, allowPrivateHosts }
+ * @throws {ValidationError} If the endpoint is invalid
+ */
+export function validateWebhookEndpoint(endpoint, options = {}) {
+  const production = options.production ?? process.env.NODE_ENV === 'production';
+  const allowPrivateHosts = options.allowPrivateHosts ?? privateHostsAllowed();
+  const errors = [];
+
+  if (endpoint.url !== undefined) {
+    let url = null;
+    try {
+      url = new URL(endpoint.url);
+    } catch {
+      errors.push({ field: 'url', message: 'URL is invalid' });
+    }
+
+    if (url) {
+      if (!['https:', 'http:'].includes(url.protocol) || (production && url.protocol !== 'https:')) {
+        errors.push({ field: 'url', message: 'URL must use HTTPS' });
+      } else if (url.username || url.password) {
+        errors.push({ field: 'url', message: 'URL must not contain credentials' });
+      } else if (!allowPrivateHosts && isPrivateHost(url.hostname)) {
+        errors.push({ field: 'url', message: 'URL must point to a public host' });
+      }
+    }
+  }
+
+  if (endpoint.events !== undefined) {
+    const unknown = endpoint.events.filter(
+      event => event !== ALL_EVENTS && !SUBSCRIBABLE_EVENTS.includes(event),
+    );
+    if (endpoint.events.length === 0) {
+      errors.push({ field: 'events', message: 'At least one event is required' });
+    } else if (unknown.length > 0) {
+      errors.push({ field: 'events', message: `Unknown events: ${unknown.join(', ')}` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid webhook endpoint', errors);
+  }
+}
+
+/**
+ * Event of a provider delivery status, if any
+ * @param {string} deliveryStatus - Provider status (e.g. "Delivered")
+ * @param {string} internalStatus - Mapped status (sent, delivered, failed)
+ * @returns {string|null} message.delivered, message.failed or null
+ */
+export function getMessageEventType(deliveryStatus, internalStatus) {
+  if (internalStatus === 'failed') {
+    return WebhookEvent.messageFailed;
+  }
+  const status = String(deliveryStatus || '').toLowerCase().trim();
+  if (internalStatus === 'delivered' || DELIVERED_STATUSES.includes(status)) {
+    return WebhookEvent.messageDelivered;
+  }
+  return null;
+}
+
+/**
+ * Receiver response headers kept for the delivery log
+ * Bodies are never stored: the log is shown to the shop.
+ * @param {Object} headers - Response headers
+ * @returns {Object|null} Lowercased names → values, cookies dropped
+ */
+export function pickResponseHeaders(headers) {
+  const entries = Object.entries(headers || {})
+    .map(([name, value]) => [name.toLowerCase(), value])
+    .filter(([name, value]) => value !== undefined && value !== null && name !== 'set-cookie')
+    .slice(0, MAX_RESPONSE_HEADERS)
+    .map(([name, value]) => {
+      const text = Array.isArray(value) ? value.join(', ') : String(value);
+      return [name, text.slice(0, MAX_HEADER_VALUE_LENGTH)];
+    });
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+export default {
+  WebhookEvent,
+  SUBSCRIBABLE_EVENTS,
+  ALL_EVENTS,
+  WebhookDeliveryStatus,
+  WebhookHeader,
+  MAX_ENDPOINTS_PER_SHOP,
+  SIGNATURE_TOLERANCE_SECONDS,
+  generateWebhookSecret,
+  maskWebhookSecret,
+  signWebhookPayload,
+  verifyWebhookSignature,
+  buildWebhookHeaders,
+  isSubscribed,
+  isPrivateAddress,
+  isPrivateHost,
+  privateHostsAllowed,
+  validateWebhookEndpoint,
+  getMessageEventType,
+  pickResponseHeaders,
+};
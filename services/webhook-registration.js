@@ -40,6 +40,16 @@ export async function registerAutomationWebhooks(shopDomain) {
         address: `${webhookBaseUrl}/shopify/customers/create`,
         format: 'json',
       },
+      {
+        topic: 'customers/update',
+        address: `${webhookBaseUrl}/shopify/customers/update`,
+        format: 'json',
+      },
+      {
+        topic: 'customers/delete',
+        address: `${webhookBaseUrl}/shopify/customers/delete`,
+        format: 'json',
+      },
     ];
 
     const results = [];
@@ -0,0 +1,512 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import prisma from './prisma.js';
+import { logger } from '../utils/logger.js';
+import { ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { webhookQueue } from '../queue/index.js';
+import {
+  WebhookEvent,
+  WebhookDeliveryStatus,
+  MAX_ENDPOINTS_PER_SHOP,
+  buildWebhookHeaders,
+  generateWebhookSecret,
+  getMessageEventType,
+  isPrivateAddress,
+  isPrivateHost,
+  isSubscribed,
+  maskWebhookSecret,
+  pickResponseHeaders,
+  privateHostsAllowed,
+  validateWebhookEndpoint,
+} from './webhook-events.js';
+
+/**
+ * Outbound Webhooks Service
+ * Merchants register endpoints and receive signed deliveries for messaging
+ * events (see services/webhook-events.js). Every event is stored as one
+ * WebhookDelivery per subscribed endpoint and sent by the webhook-delivery
+ * queue, which retries failures with backoff.
+ *
+ * emitWebhookEvent never throws: events are side effects of sends, status
+ * updates and consent changes, which must not fail because of a webhook.
+ */
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Endpoint hosts are resolved when a delivery connects and private
+// addresses are refused, so a public name that resolves (or is rebound) to
+// an internal service is never reached
+function publicAddressLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new Error(`Endpoint host ${hostname} resolves to a private address`));
+    }
+    return callback(null, address, family);
+  });
+}
+
+const publicHttpAgent = new http.Agent({ lookup: publicAddressLookup });
+const publicHttpsAgent = new https.Agent({ lookup: publicAddressLookup });
+
+function formatEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    description: endpoint.description,
+    events: endpoint.events,
+    active: endpoint.active,
+    secret: maskWebhookSecret(endpoint.secret),
+    createdAt: endpoint.createdAt,
+    updatedAt: endpoint.updatedAt,
+  };
+}
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    endpointId: delivery.endpointId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    responseStatus: delivery.responseStatus,
+    responseHeaders: delivery.responseHeaders,
+    error: delivery.error,
+    durationMs: delivery.durationMs,
+    lastAttemptAt: delivery.lastAttemptAt,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt,
+    payload: delivery.payload,
+  };
+}
+
+async function getEndpoint(shopId, endpointId) {
+  const endpoint = await prisma.webhookEndpoint.findFirst({
+    where: { id: endpointId, shopId },
+  });
+  if (!endpoint) {
+    throw new NotFoundError('Webhook endpoint');
+  }
+  return endpoint;
+}
+
+/**
+ * List webhook endpoints
+ * @param {string} shopId - Shop ID
+ * @returns {Promise<Array>} Endpoints (secrets masked)
+ */
+export async function listEndpoints(shopId) {
+  const endpoints = await prisma.webhookEndpoint.findMany({
+    where: { shopId },
+    orderBy: { createdAt: 'asc' },
+  });
+  return endpoints.map(formatEndpoint);
+}
+
+/**
+ * Get a webhook endpoint
+ * @param {string} shopId - Shop ID
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<Object>} Endpoint (secret masked)
+ */
+export async function getEndpointById(shopId, endpointId) {
+  return formatEndpoint(await getEndpoint(shopId, endpointId));
+}
+
+/**
+ * Register a webhook endpoint
+ * The signing secret is only returned here and on rotation.
+ * @param {string} shopId - Shop ID
+ * @param {Object} data - { url, events, description }
+ * @returns {Promise<Object>} Endpoint with its secret
+ */
+export async function createEndpoint(shopId, data) {
+  validateWebhookEndpoint(data);
+
+  const count = await prisma.webhookEndpoint.count({ where: { shopId } });
+  if (count >= MAX_ENDPOINTS_PER_SHOP) {
+    throw new ConflictError(
+      `A shop can have at most ${MAX_ENDPOINTS_PER_SHOP} webhook endpoints`,
+    );
+  }
+
+  const endpoint = await prisma.webhookEndpoint.create({
+    data: {
+      shopId,
+      url: data.url,
+      events: [...new Set(data.events)],
+      description: data.description || null,
+      secret: generateWebhookSecret(),
+    },
+  });
+
+  logger.info('Webhook endpoint created', {
+    shopId,
+    endpointId: endpoint.id,
+    events: endpoint.events,
+  });
+
+  return { ...formatEndpoint(endpoint), secret: endpoint.secret };
+}
+
+/**
+ * Update a webhook endpoint
+ * @param {string} shopId - Shop ID
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} data - { url?, events?, description?, active? }
+ * @returns {Promise<Object>} Endpoint (secret masked)
+ */
+export async function updateEndpoint(shopId, endpointId, data) {
+  await getEndpoint(shopId, endpointId);
+  validateWebhookEndpoint(data);
+
+  const updateData = {};
+  if (data.url !== undefined) updateData.url = data.url;
+  if (data.events !== undefined) updateData.events = [...new Set(data.events)];
+  if (data.description !== undefined) updateData.description = data.description || null;
+  if (data.active !== undefined) updateData.active = data.active;
+
+  const endpoint = await prisma.webhookEndpoint.update({
+    where: { id: endpointId },
+    data: updateData,
+  });
+
+  logger.info('Webhook endpoint updated', { shopId, endpointId });
+
+  return formatEndpoint(endpoint);
+}
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * @param {string} shopId - Shop ID
+ * @param {string} endpointId - Endpoint ID
+ */
+export async function deleteEndpoint(shopId, endpointId) {
+  await getEndpoint(shopId, endpointId);
+  await prisma.webhookEndpoint.delete({ where: { id: endpointId } });
+
+  logger.info('Webhook endpoint deleted', { shopId, endpointId });
+}
+
+/**
+ * Replace the signing secret of an endpoint
+ * @param {string} shopId - Shop ID
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<Object>} Endpoint with its new secret
+ */
+export async function rotateEndpointSecret(shopId, endpointId) {
+  await getEndpoint(shopId, endpointId);
+
+  const endpoint = await prisma.webhookEndpoint.update({
+    where: { id: endpointId },
+    data: { secret: generateWebhookSecret() },
+  });
+
+  logger.info('Webhook endpoint secret rotated', { shopId, endpointId });
+
+  return { ...formatEndpoint(endpoint), secret: endpoint.secret };
+}
+
+async function enqueueDelivery(delivery, suffix = '') {
+  await webhookQueue.add(
+    'deliver-webhook',
+    { deliveryId: delivery.id, shopId: delivery.shopId },
+    { jobId: `webhook-delivery-${delivery.id}${suffix}` },
+  );
+}
+
+async function createDeliveries(shopId, endpoints, event, data) {
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const payload = {
+    id: eventId,
+    type: event,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+
+  const deliveries = [];
+  for (const endpoint of endpoints) {
+    const delivery = await prisma.webhookDelivery.create({
+      data: {
+        shopId,
+        endpointId: endpoint.id,
+        eventId,
+        event,
+        payload,
+      },
+    });
+    await enqueueDelivery(delivery);
+    deliveries.push(delivery);
+  }
+  return deliveries;
+}
+
+/**
+ * Emit an event to the shop's subscribed endpoints
+ * @param {string} shopId - Shop ID
+ * @param {string} event - Event type (WebhookEvent)
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function emitWebhookEvent(shopId, event, data) {
+  if (!shopId) {
+    return 0;
+  }
+
+  try {
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { shopId, active: true },
+      select: { id: true, events: true },
+    });
+    const subscribed = endpoints.filter(endpoint =>
+      isSubscribed(endpoint.events, event),
+    );
+    if (subscribed.length === 0) {
+      return 0;
+    }
+
+    const deliveries = await createDeliveries(shopId, subscribed, event, data);
+    return deliveries.length;
+  } catch (error) {
+    logger.error('Failed to emit webhook event', {
+      shopId,
+      event,
+      error: error.message,
+    });
+    return 0;
+  }
+}
+
+/**
+ * Emit message.delivered or message.failed for a delivery status update
+ * Callers only report status changes, so provider retries are not repeated.
+ * @param {string} shopId - Shop ID
+ * @param {Object} message - { messageId, phoneE164, contactId, campaignId,
+ *   automationId, deliveryStatus, internalStatus, error }
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function emitMessageStatusEvent(shopId, message) {
+  const { internalStatus, ...data } = message;
+  const event = getMessageEventType(data.deliveryStatus, internalStatus);
+  if (!event) {
+    return 0;
+  }
+  return emitWebhookEvent(shopId, event, {
+    messageId: data.messageId,
+    phoneE164: data.phoneE164,
+    contactId: data.contactId || null,
+    campaignId: data.campaignId || null,
+    automationId: data.automationId || null,
+    deliveryStatus: data.deliveryStatus || null,
+    error: event === WebhookEvent.messageFailed ? data.error || null : null,
+    occurredAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Send a webhook.test event to one endpoint
+ * Sent even if the endpoint is paused or not subscribed to any event.
+ * @param {string} shopId - Shop ID
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<Object>} Delivery
+ */
+export async function sendTestEvent(shopId, endpointId) {
+  const endpoint = await getEndpoint(shopId, endpointId);
+  const [delivery] = await createDeliveries(shopId, [endpoint], WebhookEvent.test, {
+    endpointId,
+    message: 'Test event',
+  });
+  return formatDelivery(delivery);
+}
+
+/**
+ * Send a delivery to its endpoint (webhook-delivery queue)
+ * @param {string} deliveryId - Webhook delivery ID
+ * @param {Object} options - { finalAttempt }
+ * @returns {Promise<Object>} { status, responseStatus }
+ * @throws {Error} If the attempt failed and will be retried
+ */
+export async function deliverWebhook(deliveryId, options = {}) {
+  const delivery = await prisma.webhookDelivery.findUnique({
+    where: { id: deliveryId },
+    include: { endpoint: true },
+  });
+  if (!delivery) {
+    logger.warn('Webhook delivery not found', { deliveryId });
+    return { status: null };
+  }
+  if (delivery.status === WebhookDeliveryStatus.succeeded) {
+    return { status: delivery.status };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const allowPrivateHosts = privateHostsAllowed();
+  let responseStatus = null;
+  let responseHeaders = null;
+  let error = null;
+  try {
+    // IP literals never go through the lookup
+    if (!allowPrivateHosts && isPrivateHost(new URL(delivery.endpoint.url).hostname)) {
+      throw new Error('Endpoint URL must point to a public host');
+    }
+
+    const response = await axios.post(delivery.endpoint.url, body, {
+      headers: buildWebhookHeaders({
+        secret: delivery.endpoint.secret,
+        event: delivery.event,
+        deliveryId: delivery.id,
+        body,
+        timestamp,
+      }),
+      timeout: DELIVERY_TIMEOUT_MS,
+      // Redirects and proxies would connect to hosts that were not checked
+      maxRedirects: 0,
+      proxy: false,
+      ...(!allowPrivateHosts && { httpAgent: publicHttpAgent, httpsAgent: publicHttpsAgent }),
+      // Any status is recorded; only 2xx counts as delivered
+      validateStatus: () => true,
+      // The body is never read: receivers could echo internal content
+      responseType: 'stream',
+    });
+    response.data.destroy();
+    responseStatus = response.status;
+    responseHeaders = pickResponseHeaders(response.headers?.toJSON?.() ?? response.headers);
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const succeeded = !error;
+  const status = succeeded
+    ? WebhookDeliveryStatus.succeeded
+    : options.finalAttempt
+      ? WebhookDeliveryStatus.failed
+      : WebhookDeliveryStatus.retrying;
+
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status,
+      attempts: { increment: 1 },
+      responseStatus,
+      responseHeaders,
+      error,
+      durationMs: Date.now() - startedAt,
+      lastAttemptAt: new Date(),
+      deliveredAt: succeeded ? new Date() : null,
+    },
+  });
+
+  if (!succeeded) {
+    logger.warn('Webhook delivery attempt failed', {
+      shopId: delivery.shopId,
+      deliveryId: delivery.id,
+      endpointId: delivery.endpointId,
+      event: delivery.event,
+      responseStatus,
+      error,
+      finalAttempt: Boolean(options.finalAttempt),
+    });
+    if (!options.finalAttempt) {
+      throw new Error(error);
+    }
+  }
+
+  return { status, responseStatus };
+}
+
+/**
+ * Delivery log
+ * @param {string} shopId - Shop ID
+ * @param {Object} filters - { endpointId, event, status, page, pageSize }
+ * @returns {Promise<Object>} { deliveries, pagination }
+ */
+export async function listDeliveries(shopId, filters = {}) {
+  const { endpointId, event, status, page = 1, pageSize = 20 } = filters;
+
+  const where = { shopId };
+  if (endpointId) where.endpointId = endpointId;
+  if (event) where.event = event;
+  if (status) where.status = status;
+
+  const [deliveries, total] = await Promise.all([
+    prisma.webhookDelivery.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.webhookDelivery.count({ where }),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    deliveries: deliveries.map(formatDelivery),
+    pagination: {
+      page,
+      pageSize,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Send a delivery again (e.g. after fixing the endpoint)
+ * @param {string} shopId - Shop ID
+ * @param {string} deliveryId - Webhook delivery ID
+ * @returns {Promise<Object>} Delivery
+ */
+export async function redeliver(shopId, deliveryId) {
+  const delivery = await prisma.webhookDelivery.findFirst({
+    where: { id: deliveryId, shopId },
+  });
+  if (!delivery) {
+    throw new NotFoundError('Webhook delivery');
+  }
+  if (
+    delivery.status === WebhookDeliveryStatus.pending ||
+    delivery.status === WebhookDeliveryStatus.retrying
+  ) {
+    throw new ValidationError('This delivery is still being retried');
+  }
+
+  const updated = await prisma.webhookDelivery.update({
+    where: { id: deliveryId },
+    data: { status: WebhookDeliveryStatus.pending, deliveredAt: null },
+  });
+  await enqueueDelivery(updated, `-${Date.now()}`);
+
+  logger.info('Webhook delivery requeued', { shopId, deliveryId });
+
+  return formatDelivery(updated);
+}
+
+export default {
+  listEndpoints,
+  getEndpointById,
+  createEndpoint,
+  updateEndpoint,
+  deleteEndpoint,
+  rotateEndpointSecret,
+  emitWebhookEvent,
+  emitMessageStatusEvent,
+  sendTestEvent,
+  deliverWebhook,
+  listDeliveries,
+  redeliver,
+};
@@ -2,6 +2,9 @@ import { logger } from '../utils/logger.js';
 import prisma from './prisma.js';
 import { scheduleAutomation, cancelScheduledAutomation } from './automation-scheduler.js';
 import { triggerWelcome } from './automations.js';
+import { getWelcomeDiscountCode } from './discount-codes.js';
+
+const DEFAULT_WELCOME_CODE = 'WELCOME10';
 
 /**
  * Schedule welcome series for a new subscriber
@@ -67,7 +70,7 @@ export async function scheduleWelcomeSeries(contactId, shopId) {
 
     const scheduledJobs = [];
 
-    // SMS #1: Immediate welcome with discount code (WELCOME10)
+    // SMS #1: Immediate welcome with discount code (minted when sent)
     const job1 = await scheduleAutomation({
       jobName: 'welcome',
       data: {
@@ -75,7 +78,6 @@ export async function scheduleWelcomeSeries(contactId, shopId) {
         contactId,
         welcomeData: {
           step: 1,
-          discountCode: 'WELCOME10',
         },
       },
       delayMs: 0, // Immediate
@@ -92,7 +94,6 @@ export async function scheduleWelcomeSeries(contactId, shopId) {
         contactId,
         welcomeData: {
           step: 2,
-          discountCode: 'WELCOME10',
         },
       },
       delayMs: delay2Days,
@@ -109,7 +110,6 @@ export async function scheduleWelcomeSeries(contactId, shopId) {
         contactId,
         welcomeData: {
           step: 3,
-          discountCode: 'WELCOME10',
         },
       },
       delayMs: delay7Days,
@@ -263,13 +263,18 @@ export async function executeWelcomeSeriesStep(
       });
     }
 
+    // Unique single-use code when the shop configured a welcome discount,
+    // the shared WELCOME10 code otherwise
+    const discountCode =
+      (await getWelcomeDiscountCode(shopId, contactId)) || DEFAULT_WELCOME_CODE;
+
     // Trigger welcome automation
     const result = await triggerWelcome({
       shopId,
       contactId,
       welcomeData: {
         step,
-        discountCode: 'WELCOME10',
+        discountCode,
       },
     });
 
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for admin rules
+ *
+ * Tests verify role permissions, admin password and session token handling,
+ * and how SSO claims map to an admin
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import {
+  ADMIN_SESSION_TTL_HOURS,
+  AdminRole,
+  AdminPermission,
+  IMPERSONATION_TOKEN_SOURCE,
+  hasPermission,
+  isReadOnlyMethod,
+  isImpersonationToken,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  DUMMY_PASSWORD_HASH,
+  hashSessionToken,
+  generateSessionToken,
+  isSessionTokenFormat,
+  isSessionActive,
+  getSsoEmail,
+} from '../../services/admin-rules.js';
+import { ValidationError } from '../../utils/errors.js';
+
+describe('Admin Rules', () => {
+  describe('hasPermission', () => {
+    it('grants every permission to super admins', () => {
+      for (const permission of Object.values(AdminPermission)) {
+        expect(hasPermission(AdminRole.superAdmin, permission)).toBe(true);
+      }
+    });
+
+    it('limits support to reading and impersonation', () => {
+      expect(hasPermission(AdminRole.support, AdminPermission.read)).toBe(true);
+      expect(hasPermission(AdminRole.support, AdminPermission.impersonate)).toBe(true);
+      expect(hasPermission(AdminRole.support, AdminPermission.grantCredits)).toBe(false);
+      expect(hasPermission(AdminRole.support, AdminPermission.manageAdmins)).toBe(false);
+    });
+
+    it('denies unknown roles', () => {
+      expect(hasPermission('owner', AdminPermission.read)).toBe(false);
+      expect(hasPermission(undefined, AdminPermission.read)).toBe(false);
+    });
+  });
+
+  describe('isReadOnlyMethod', () => {
+    it('accepts only reading methods', () => {
+      expect(isReadOnlyMethod('GET')).toBe(true);
+      expect(isReadOnlyMethod('head')).toBe(true);
+      expect(isReadOnlyMethod('OPTIONS')).toBe(true);
+      expect(isReadOnlyMethod('POST')).toBe(false);
+      expect(isReadOnlyMethod('DELETE')).toBe(false);
+      expect(isReadOnlyMethod(undefined)).toBe(false);
+    });
+  });
+
+  describe('isImpersonationToken', () => {
+    it('flags impersonation tokens so refresh rejects them, even expired ones', () => {
+      const expired = jwt.sign(
+        {
+          storeId: 'shop_1',
+          source: IMPERSONATION_TOKEN_SOURCE,
+          readOnly: true,
+          exp: Math.floor(Date.now() / 1000) - 60,
+        },
+        'test-secret',
+      );
+
+      // /auth/refresh falls back to jwt.decode for expired tokens
+      expect(isImpersonationToken(jwt.decode(expired))).toBe(true);
+    });
+
+    it('lets regular app tokens through', () => {
+      expect(isImpersonationToken({ storeId: 'shop_1', source: 'auth_service' })).toBe(false);
+      expect(isImpersonationToken({ storeId: 'shop_1' })).toBe(false);
+      expect(isImpersonationToken(null)).toBe(false);
+    });
+  });
+
+  describe('validatePassword', () => {
+    it('accepts long mixed passwords', () => {
+      expect(() => validatePassword('correct-horse-42')).not.toThrow();
+    });
+
+    it('rejects short or letter-only passwords', () => {
+      expect(() => validatePassword('short-1')).toThrow(ValidationError);
+      expect(() => validatePassword('onlylettershere')).toThrow(ValidationError);
+      expect(() => validatePassword(undefined)).toThrow(ValidationError);
+    });
+  });
+
+  describe('hashPassword / verifyPassword', () => {
+    it('verifies the original password only', async () => {
+      const stored = await hashPassword('correct-horse-42');
+
+      expect(stored).toMatch(/^scrypt\$[\w-]+\$[\w-]+$/);
+      expect(await verifyPassword('correct-horse-42', stored)).toBe(true);
+      expect(await verifyPassword('correct-horse-43', stored)).toBe(false);
+    });
+
+    it('salts each hash', async () => {
+      const first = await hashPassword('correct-horse-42');
+      const second = await hashPassword('correct-horse-42');
+
+      expect(first).not.toBe(second);
+    });
+
+    it('rejects missing or malformed hashes', async () => {
+      expect(await verifyPassword('correct-horse-42', null)).toBe(false);
+      expect(await verifyPassword('correct-horse-42', 'bcrypt$abc$def')).toBe(false);
+    });
+
+    it('has a well-formed dummy hash that matches no password', async () => {
+      const stored = await hashPassword('correct-horse-42');
+      const [, salt, hash] = stored.split('$');
+      const [, dummySalt, dummyHash] = DUMMY_PASSWORD_HASH.split('$');
+
+      // Same shape as a real hash, so checking it costs a full scrypt run
+      expect(dummySalt).toHaveLength(salt.length);
+      expect(dummyHash).toHaveLength(hash.length);
+      expect(await verifyPassword('correct-horse-42', DUMMY_PASSWORD_HASH)).toBe(false);
+      expect(await verifyPassword('', DUMMY_PASSWORD_HASH)).toBe(false);
+    });
+  });
+
+  describe('session tokens', () => {
+    it('generates prefixed tokens stored by hash', () => {
+      const now = new Date('2025-03-23T10:00:00Z');
+      const { token, tokenHash, expiresAt } = generateSessionToken(now);
+
+      expect(isSessionTokenFormat(token)).toBe(true);
+      expect(tokenHash).toBe(hashSessionToken(token));
+      expect(tokenHash).toHaveLength(64);
+      expect(expiresAt.getTime() - now.getTime()).toBe(ADMIN_SESSION_TTL_HOURS * 60 * 60 * 1000);
+    });
+
+    it('rejects other token formats', () => {
+      expect(isSessionTokenFormat('ak_live_abc')).toBe(false);
+      expect(isSessionTokenFormat('as_short')).toBe(false);
+      expect(isSessionTokenFormat(null)).toBe(false);
+    });
+  });
+
+  describe('isSessionActive', () => {
+    const now = new Date('2025-03-23T10:00:00Z');
+    const session = {
+      revokedAt: null,
+      expiresAt: new Date('2025-03-23T12:00:00Z'),
+      adminUser: { isActive: true },
+    };
+
+    it('accepts open sessions of active admins', () => {
+      expect(isSessionActive(session, now)).toBe(true);
+    });
+
+    it('rejects revoked, expired or deactivated sessions', () => {
+      expect(isSessionActive({ ...session, revokedAt: now }, now)).toBe(false);
+      expect(isSessionActive({ ...session, expiresAt: now }, now)).toBe(false);
+      expect(isSessionActive({ ...session, adminUser: { isActive: false } }, now)).toBe(false);
+      expect(isSessionActive(null, now)).toBe(false);
+    });
+  });
+
+  describe('getSsoEmail', () => {
+    it('returns the lowercased email', () => {
+      expect(getSsoEmail({ email: ' Ops@Example.com ' })).toBe('ops@example.com');
+    });
+
+    it('rejects missing or unverified emails', () => {
+      expect(() => getSsoEmail({ sub: '123' })).toThrow(ValidationError);
+      expect(() => getSsoEmail({ email: 'ops@example.com', email_verified: false })).toThrow(
+        ValidationError,
+      );
+    });
+  });
+});
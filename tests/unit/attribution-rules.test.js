@@ -0,0 +1,161 @@
+/**
+ * Unit tests for revenue attribution rules
+ *
+ * Tests verify the click and view windows, the precedence of redeemed codes
+ * and clicks over views, and ROI computation
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  AttributionModel,
+  validateAttributionWindows,
+  getAttributionWindows,
+  pickAttribution,
+  computeRoi,
+} from '../../services/attribution-rules.js';
+
+const HOUR = 60 * 60 * 1000;
+const orderedAt = new Date('2025-03-10T12:00:00Z');
+const hoursBefore = hours => new Date(orderedAt.getTime() - hours * HOUR);
+const windows = getAttributionWindows({
+  attributionClickWindowDays: 7,
+  attributionViewWindowHours: 24,
+});
+
+describe('Attribution Rules', () => {
+  describe('getAttributionWindows', () => {
+    it('should default to 7 days for clicks and 24 hours for views', () => {
+      expect(getAttributionWindows(null)).toEqual({
+        clickMs: 7 * 24 * HOUR,
+        viewMs: 24 * HOUR,
+      });
+    });
+  });
+
+  describe('validateAttributionWindows', () => {
+    it('should accept windows in range and missing fields', () => {
+      expect(() =>
+        validateAttributionWindows({
+          attributionClickWindowDays: 30,
+          attributionViewWindowHours: 0,
+        }),
+      ).not.toThrow();
+      expect(() => validateAttributionWindows({})).not.toThrow();
+    });
+
+    it('should reject windows out of range', () => {
+      expect(() =>
+        validateAttributionWindows({ attributionClickWindowDays: 0 }),
+      ).toThrow('Invalid attribution windows');
+      expect(() =>
+        validateAttributionWindows({ attributionViewWindowHours: 1.5 }),
+      ).toThrow('Invalid attribution windows');
+    });
+  });
+
+  describe('pickAttribution', () => {
+    it('should credit the last click within the click window', () => {
+      const touch = pickAttribution(
+        [
+          { model: AttributionModel.click, at: hoursBefore(48), campaignId: 'c1' },
+          { model: AttributionModel.click, at: hoursBefore(3), automationId: 'a1' },
+          { model: AttributionModel.click, at: hoursBefore(24 * 8), campaignId: 'c2' },
+        ],
+        orderedAt,
+        windows,
+      );
+      expect(touch.automationId).toBe('a1');
+    });
+
+    it('should prefer an older click to a more recent view', () => {
+      const touch = pickAttribution(
+        [
+          { model: AttributionModel.view, at: hoursBefore(1), campaignId: 'view' },
+          { model: AttributionModel.click, at: hoursBefore(100), campaignId: 'click' },
+        ],
+        orderedAt,
+        windows,
+      );
+      expect(touch.campaignId).toBe('click');
+    });
+
+    it('should fall back to a view within the view window', () => {
+      const touches = [
+        { model: AttributionModel.view, at: hoursBefore(30), campaignId: 'old' },
+        { model: AttributionModel.view, at: hoursBefore(20), campaignId: 'recent' },
+      ];
+      expect(pickAttribution(touches, orderedAt, windows).campaignId).toBe('recent');
+      expect(
+        pickAttribution(touches, orderedAt, { ...windows, viewMs: 0 }),
+      ).toBeNull();
+    });
+
+    it('should ignore touches after the order', () => {
+      expect(
+        pickAttribution(
+          [{ model: AttributionModel.click, at: hoursBefore(-1), campaignId: 'c1' }],
+          orderedAt,
+          windows,
+        ),
+      ).toBeNull();
+    });
+
+    it('should credit a redeemed code whenever it was sent', () => {
+      const touch = pickAttribution(
+        [
+          { model: AttributionModel.click, at: hoursBefore(1), campaignId: 'click' },
+          { model: AttributionModel.discount, at: hoursBefore(24 * 60), campaignId: 'code' },
+        ],
+        orderedAt,
+        windows,
+      );
+      expect(touch.campaignId).toBe('code');
+    });
+  });
+
+  describe('computeRoi', () => {
+    it('should value credits at the credit price', () => {
+      expect(
+        computeRoi({
+          revenue: 90,
+          currency: 'EUR',
+          credits: 1000,
+          creditPrice: 0.045,
+          creditCurrency: 'EUR',
+        }),
+      ).toEqual({
+        revenue: 90,
+        currency: 'EUR',
+        credits: 1000,
+        cost: 45,
+        costCurrency: 'EUR',
+        revenuePerCredit: 0.09,
+        roi: 100,
+      });
+    });
+
+    it('should not compare revenue and cost in different currencies', () => {
+      const result = computeRoi({
+        revenue: 90,
+        currency: 'USD',
+        credits: 1000,
+        creditPrice: 0.045,
+        creditCurrency: 'EUR',
+      });
+      expect(result.roi).toBeNull();
+      expect(result.revenuePerCredit).toBe(0.09);
+    });
+
+    it('should return no ROI without spend', () => {
+      expect(
+        computeRoi({
+          revenue: 0,
+          currency: 'EUR',
+          credits: 0,
+          creditPrice: 0.045,
+          creditCurrency: 'EUR',
+        }),
+      ).toMatchObject({ cost: 0, roi: null, revenuePerCredit: null });
+    });
+  });
+});
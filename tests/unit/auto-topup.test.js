@@ -0,0 +1,129 @@
+/**
+ * Unit tests for automatic top-ups
+ *
+ * Tests verify that an auto top-up charges the package price plus the VAT
+ * of the shop, like a manual top-up, and invoices it with that VAT
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const settings = {
+  threshold: 100,
+  alertChannels: [],
+  alertEmail: null,
+  autoTopUp: {
+    enabled: true,
+    monthlyCapCents: 10000,
+    package: { id: 'pkg_1', name: 'Starter', credits: 500, priceCents: 2000 },
+  },
+};
+
+const prismaMock = {
+  autoTopUp: {
+    findUnique: jest.fn(async () => null),
+    create: jest.fn(async ({ data }) => ({ id: 'topup_1', ...data })),
+    updateMany: jest.fn(async () => ({ count: 1 })),
+    update: jest.fn(async () => ({})),
+  },
+  shop: {
+    findUnique: jest.fn(async () => ({
+      id: 'shop_1',
+      currency: 'EUR',
+      stripeCustomerId: 'cus_1',
+      stripeSubscriptionId: null,
+    })),
+  },
+  purchase: {
+    create: jest.fn(async () => ({ id: 'purchase_1', package: { name: 'Starter' } })),
+  },
+};
+prismaMock.$transaction = jest.fn(async fn => fn(prismaMock));
+
+const stripe = { chargeSavedPaymentMethod: jest.fn() };
+const invoices = { issueInvoice: jest.fn(async () => ({})) };
+const billingProfiles = { getShopVat: jest.fn() };
+const lowBalance = {
+  getAutoTopUpSpend: jest.fn(async () => 0),
+  getLowBalanceSettings: jest.fn(async () => settings),
+};
+
+jest.unstable_mockModule('../../services/prisma.js', () => ({
+  default: prismaMock,
+}));
+jest.unstable_mockModule('../../services/stripe.js', () => stripe);
+jest.unstable_mockModule('../../services/wallet.js', () => ({
+  credit: jest.fn(async () => ({ balance: 520 })),
+  getBalance: jest.fn(async () => 20),
+}));
+jest.unstable_mockModule('../../services/email.js', () => ({
+  sendEmail: jest.fn(async () => {}),
+}));
+jest.unstable_mockModule('../../services/notifications.js', () => ({
+  createNotification: jest.fn(async () => {}),
+  NotificationType: {},
+}));
+jest.unstable_mockModule('../../services/low-balance.js', () => lowBalance);
+jest.unstable_mockModule('../../services/billing-profiles.js', () => billingProfiles);
+jest.unstable_mockModule('../../services/invoices.js', () => invoices);
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { runAutoTopUp } = await import('../../services/auto-topup.js');
+
+describe('Auto Top-up', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stripe.chargeSavedPaymentMethod.mockResolvedValue({
+      id: 'pi_1',
+      status: 'succeeded',
+    });
+  });
+
+  describe('runAutoTopUp', () => {
+    it('should charge the package price plus VAT and invoice it with that VAT', async () => {
+      billingProfiles.getShopVat.mockResolvedValue({ rate: 0.24, treatment: 'domestic' });
+
+      const result = await runAutoTopUp({ shopId: 'shop_1', idempotencyKey: 'key_1' });
+
+      expect(result).toMatchObject({ status: 'succeeded', purchaseId: 'purchase_1' });
+      expect(prismaMock.autoTopUp.create.mock.calls[0][0].data).toMatchObject({
+        amountCents: 2480,
+        vatRate: 0.24,
+        vatTreatment: 'domestic',
+      });
+      expect(stripe.chargeSavedPaymentMethod.mock.calls[0][0]).toMatchObject({
+        amountCents: 2480,
+        metadata: { vatRate: '0.24', vatTreatment: 'domestic' },
+      });
+      expect(invoices.issueInvoice).toHaveBeenCalledWith(
+        expect.objectContaining({
+          totalCents: 2480,
+          vat: { rate: 0.24, treatment: 'domestic' },
+        }),
+      );
+    });
+
+    it('should charge the package price alone under reverse charge', async () => {
+      billingProfiles.getShopVat.mockResolvedValue({ rate: 0, treatment: 'reverse_charge' });
+
+      await runAutoTopUp({ shopId: 'shop_1', idempotencyKey: 'key_2' });
+
+      expect(stripe.chargeSavedPaymentMethod.mock.calls[0][0].amountCents).toBe(2000);
+      expect(invoices.issueInvoice.mock.calls[0][0].vat).toEqual({
+        rate: 0,
+        treatment: 'reverse_charge',
+      });
+    });
+
+    it('should count the VAT against the monthly cap', async () => {
+      billingProfiles.getShopVat.mockResolvedValue({ rate: 0.24, treatment: 'domestic' });
+      lowBalance.getAutoTopUpSpend.mockResolvedValueOnce(7600);
+
+      const result = await runAutoTopUp({ shopId: 'shop_1', idempotencyKey: 'key_3' });
+
+      expect(result).toEqual({ status: 'skipped', reason: 'monthly_cap_reached' });
+      expect(stripe.chargeSavedPaymentMethod).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for low balance rules
+ *
+ * Tests verify threshold crossing, the monthly cap window, auto top-up
+ * idempotency keys and the auto top-up decision
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  AlertChannel,
+  AutoTopUpSkipReason,
+  AUTO_TOP_UP_WINDOW_MS,
+  hasCrossedThreshold,
+  getMonthStart,
+  getAutoTopUpKey,
+  checkAutoTopUp,
+  validateLowBalanceSettings,
+} from '../../services/balance-alerts.js';
+import { ValidationError } from '../../utils/errors.js';
+
+describe('Low Balance Rules', () => {
+  describe('hasCrossedThreshold', () => {
+    it('should detect a balance going below the threshold', () => {
+      expect(hasCrossedThreshold(100, 99, 100)).toBe(true);
+      expect(hasCrossedThreshold(150, 20, 100)).toBe(true);
+    });
+
+    it('should not fire again while already below the threshold', () => {
+      expect(hasCrossedThreshold(99, 50, 100)).toBe(false);
+    });
+
+    it('should not fire while staying at or above the threshold', () => {
+      expect(hasCrossedThreshold(200, 100, 100)).toBe(false);
+    });
+  });
+
+  describe('getMonthStart', () => {
+    it('should return the first day of the UTC month', () => {
+      const start = getMonthStart(new Date('2025-03-17T22:15:00Z'));
+      expect(start.toISOString()).toBe('2025-03-01T00:00:00.000Z');
+    });
+  });
+
+  describe('getAutoTopUpKey', () => {
+    it('should share a key within the same window', () => {
+      const now = new Date(Math.floor(Date.now() / AUTO_TOP_UP_WINDOW_MS) * AUTO_TOP_UP_WINDOW_MS);
+      const later = new Date(now.getTime() + AUTO_TOP_UP_WINDOW_MS - 1);
+
+      expect(getAutoTopUpKey('shop_1', now)).toBe(getAutoTopUpKey('shop_1', later));
+      expect(getAutoTopUpKey('shop_1', now)).toMatch(/^auto-topup:shop_1:\d+$/);
+    });
+
+    it('should change key in the next window and per shop', () => {
+      const now = new Date('2025-03-17T10:00:00Z');
+      const next = new Date(now.getTime() + AUTO_TOP_UP_WINDOW_MS);
+
+      expect(getAutoTopUpKey('shop_1', now)).not.toBe(getAutoTopUpKey('shop_1', next));
+      expect(getAutoTopUpKey('shop_1', now)).not.toBe(getAutoTopUpKey('shop_2', now));
+    });
+  });
+
+  describe('checkAutoTopUp', () => {
+    const base = {
+      enabled: true,
+      packagePriceCents: 2000,
+      monthlyCapCents: 5000,
+      spentThisMonthCents: 0,
+      balance: 50,
+      threshold: 100,
+      hasCustomer: true,
+    };
+
+    it('should allow a top-up below the threshold within the cap', () => {
+      expect(checkAutoTopUp(base)).toEqual({ allowed: true, reason: null });
+    });
+
+    it('should allow a top-up that reaches the cap exactly', () => {
+      expect(checkAutoTopUp({ ...base, spentThisMonthCents: 3000 }).allowed).toBe(true);
+    });
+
+    it('should refuse with the matching reason', () => {
+      expect(checkAutoTopUp({ ...base, enabled: false }).reason).toBe(
+        AutoTopUpSkipReason.disabled,
+      );
+      expect(checkAutoTopUp({ ...base, packagePriceCents: null }).reason).toBe(
+        AutoTopUpSkipReason.noPackage,
+      );
+      expect(checkAutoTopUp({ ...base, hasCustomer: false }).reason).toBe(
+        AutoTopUpSkipReason.noCustomer,
+      );
+      expect(checkAutoTopUp({ ...base, balance: 100 }).reason).toBe(
+        AutoTopUpSkipReason.aboveThreshold,
+      );
+      expect(checkAutoTopUp({ ...base, spentThisMonthCents: 4000 }).reason).toBe(
+        AutoTopUpSkipReason.monthlyCapReached,
+      );
+    });
+  });
+
+  describe('validateLowBalanceSettings', () => {
+    const valid = {
+      threshold: 100,
+      alertChannels: [AlertChannel.webhook, AlertChannel.inApp],
+      alertEmail: null,
+      autoTopUp: { enabled: false, packageId: null, monthlyCapCents: null },
+    };
+
+    it('should accept valid settings', () => {
+      expect(() => validateLowBalanceSettings(valid)).not.toThrow();
+    });
+
+    it('should require an email address for email alerts', () => {
+      expect(() =>
+        validateLowBalanceSettings({ ...valid, alertChannels: [AlertChannel.email] }),
+      ).toThrow(ValidationError);
+    });
+
+    it('should require a package and a cap for auto top-up', () => {
+      try {
+        validateLowBalanceSettings({ ...valid, autoTopUp: { enabled: true } });
+        throw new Error('Expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details.map(detail => detail.field)).toEqual([
+          'autoTopUp.packageId',
+          'autoTopUp.monthlyCapCents',
+        ]);
+      }
+    });
+  });
+});
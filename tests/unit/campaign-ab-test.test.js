@@ -0,0 +1,154 @@
+/**
+ * Unit tests for campaign A/B tests
+ *
+ * Tests verify variant validation, the weighted split of recipients and
+ * winner selection
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  validateVariants,
+  validateAbTest,
+  allocateVariantCounts,
+  assignVariants,
+  pickWinner,
+} from '../../services/campaign-ab-test.js';
+import { ValidationError } from '../../utils/errors.js';
+
+// Deterministic generator for shuffles
+function seeded(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state - 1) / 2147483646;
+  };
+}
+
+describe('Campaign A/B Tests', () => {
+  describe('validateVariants', () => {
+    it('should label variants and split evenly without weights', () => {
+      expect(
+        validateVariants([{ message: ' One ' }, { message: 'Two' }, { message: 'Three' }]),
+      ).toEqual([
+        { label: 'A', message: 'One', weight: 34 },
+        { label: 'B', message: 'Two', weight: 33 },
+        { label: 'C', message: 'Three', weight: 33 },
+      ]);
+    });
+
+    it('should reject weights that do not add up to 100', () => {
+      expect(() =>
+        validateVariants([
+          { message: 'One', weight: 60 },
+          { message: 'Two', weight: 30 },
+        ]),
+      ).toThrow(ValidationError);
+    });
+
+    it('should reject duplicate labels and a single variant', () => {
+      expect(() =>
+        validateVariants([
+          { label: 'a', message: 'One', weight: 50 },
+          { label: 'A', message: 'Two', weight: 50 },
+        ]),
+      ).toThrow(ValidationError);
+      expect(() => validateVariants([{ message: 'One' }])).toThrow(
+        ValidationError,
+      );
+    });
+  });
+
+  describe('validateAbTest', () => {
+    it('should default to split mode', () => {
+      expect(validateAbTest(null)).toEqual({ mode: 'split' });
+    });
+
+    it('should require test percent and wait in winner mode', () => {
+      expect(
+        validateAbTest({ mode: 'winner', testPercent: 20, waitHours: 4 }),
+      ).toEqual({ mode: 'winner', testPercent: 20, waitHours: 4 });
+      expect(() => validateAbTest({ mode: 'winner', testPercent: 80 })).toThrow(
+        ValidationError,
+      );
+    });
+  });
+
+  describe('allocateVariantCounts', () => {
+    it('should add up to the total using largest remainders', () => {
+      expect(
+        allocateVariantCounts(10, [{ weight: 34 }, { weight: 33 }, { weight: 33 }]),
+      ).toEqual([4, 3, 3]);
+      expect(allocateVariantCounts(7, [{ weight: 50 }, { weight: 50 }])).toEqual([
+        4, 3,
+      ]);
+    });
+  });
+
+  describe('assignVariants', () => {
+    const variants = [
+      { id: 'va', weight: 70 },
+      { id: 'vb', weight: 30 },
+    ];
+    const recipients = Array.from({ length: 100 }, (_, i) => ({ id: i }));
+
+    it('should split the whole audience by weight', () => {
+      const assignments = assignVariants(recipients, variants, { mode: 'split' }, seeded(1));
+      expect(assignments).toHaveLength(100);
+      expect(assignments.filter(a => a.variantId === 'va')).toHaveLength(70);
+      expect(assignments.filter(a => a.variantId === 'vb')).toHaveLength(30);
+    });
+
+    it('should hold back recipients outside the test in winner mode', () => {
+      const assignments = assignVariants(
+        recipients,
+        variants,
+        { mode: 'winner', testPercent: 20, waitHours: 2 },
+        seeded(2),
+      );
+      expect(assignments.filter(a => a.variantId === 'va')).toHaveLength(14);
+      expect(assignments.filter(a => a.variantId === 'vb')).toHaveLength(6);
+      expect(assignments.filter(a => a.variantId === null)).toHaveLength(80);
+      expect(new Set(assignments.map(a => a.recipient.id)).size).toBe(100);
+    });
+
+    it('should give every variant a recipient in small winner tests', () => {
+      const assignments = assignVariants(
+        recipients.slice(0, 5),
+        variants,
+        { mode: 'winner', testPercent: 10, waitHours: 1 },
+        seeded(3),
+      );
+      expect(assignments.filter(a => a.variantId !== null)).toHaveLength(2);
+    });
+  });
+
+  describe('pickWinner', () => {
+    it('should pick the best click-through rate', () => {
+      const winner = pickWinner([
+        { variantId: 'va', label: 'A', sent: 100, delivered: 95, clicked: 5 },
+        { variantId: 'vb', label: 'B', sent: 50, delivered: 40, clicked: 4 },
+      ]);
+      expect(winner.variantId).toBe('vb');
+      expect(winner.ctr).toBe(8);
+    });
+
+    it('should break ties by delivery rate, then label', () => {
+      expect(
+        pickWinner([
+          { variantId: 'va', label: 'A', sent: 10, delivered: 8, clicked: 1 },
+          { variantId: 'vb', label: 'B', sent: 10, delivered: 9, clicked: 1 },
+        ]).variantId,
+      ).toBe('vb');
+      expect(
+        pickWinner([
+          { variantId: 'vb', label: 'B', sent: 0, delivered: 0, clicked: 0 },
+          { variantId: 'va', label: 'A', sent: 0, delivered: 0, clicked: 0 },
+        ]).variantId,
+      ).toBe('va');
+    });
+
+    it('should return null without variants', () => {
+      expect(pickWinner([])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit tests for campaign recurrence rules
+ *
+ * Tests verify rule validation and that occurrences keep the anchor's local
+ * send time in the shop timezone
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  getCampaignRecurrenceRule,
+  validateRecurrenceRule,
+  getNextOccurrence,
+  listOccurrences,
+} from '../../services/campaign-recurrence.js';
+import { ValidationError } from '../../utils/errors.js';
+
+describe('Campaign Recurrence', () => {
+  describe('getCampaignRecurrenceRule', () => {
+    it('should fall back to recurringDays as a daily rule', () => {
+      expect(getCampaignRecurrenceRule({ recurringDays: 7 })).toEqual({
+        frequency: 'daily',
+        interval: 7,
+      });
+    });
+
+    it('should return null without a rule', () => {
+      expect(getCampaignRecurrenceRule({})).toBeNull();
+    });
+  });
+
+  describe('validateRecurrenceRule', () => {
+    it('should normalize weekdays', () => {
+      expect(
+        validateRecurrenceRule({ frequency: 'weekly', weekdays: [5, 1, 1] }),
+      ).toEqual({ frequency: 'weekly', interval: 1, weekdays: [1, 5] });
+    });
+
+    it('should reject invalid rules with field details', () => {
+      try {
+        validateRecurrenceRule({ frequency: 'monthly', interval: 13 });
+        throw new Error('expected ValidationError');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.details.map(d => d.field)).toEqual([
+          'recurrence.interval',
+          'recurrence.dayOfMonth',
+        ]);
+      }
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    const anchor = new Date('2025-01-06T08:00:00.000Z'); // Monday 10:00 Athens
+
+    it('should return the anchor as the first occurrence', () => {
+      const next = getNextOccurrence(
+        { frequency: 'daily', interval: 1 },
+        { anchor, after: new Date(anchor.getTime() - 1), timezone: 'Europe/Athens' },
+      );
+      expect(next.toISOString()).toBe('2025-01-06T08:00:00.000Z');
+    });
+
+    it('should run on the selected weekdays every other week', () => {
+      const dates = listOccurrences(
+        { frequency: 'weekly', interval: 2, weekdays: [1, 3] },
+        { anchor, after: anchor, timezone: 'Europe/Athens' },
+        3,
+      );
+      expect(dates.map(d => d.toISOString())).toEqual([
+        '2025-01-08T08:00:00.000Z',
+        '2025-01-20T08:00:00.000Z',
+        '2025-01-22T08:00:00.000Z',
+      ]);
+    });
+
+    it('should keep the local send time across DST changes', () => {
+      const next = getNextOccurrence(
+        { frequency: 'monthly', interval: 3, dayOfMonth: 6 },
+        { anchor, after: anchor, timezone: 'Europe/Athens' },
+      );
+      // Summer time (UTC+3): 10:00 local is 07:00 UTC
+      expect(next.toISOString()).toBe('2025-04-06T07:00:00.000Z');
+    });
+
+    it('should clamp the day of month in short months', () => {
+      const janEnd = new Date('2025-01-31T09:00:00.000Z');
+      const next = getNextOccurrence(
+        { frequency: 'monthly', interval: 1, dayOfMonth: 31 },
+        { anchor: janEnd, after: janEnd },
+      );
+      expect(next.toISOString()).toBe('2025-02-28T09:00:00.000Z');
+    });
+
+    it('should end the series after maxOccurrences or endAt', () => {
+      const rule = { frequency: 'daily', interval: 1 };
+      expect(
+        getNextOccurrence(
+          { ...rule, maxOccurrences: 2 },
+          { anchor, after: anchor, occurrences: 2 },
+        ),
+      ).toBeNull();
+      expect(
+        getNextOccurrence(
+          { ...rule, endAt: '2025-01-06T12:00:00.000Z' },
+          { anchor, after: anchor },
+        ),
+      ).toBeNull();
+    });
+  });
+});
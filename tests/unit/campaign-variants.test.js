@@ -0,0 +1,156 @@
+/**
+ * Unit tests for A/B test winner selection
+ *
+ * Tests verify that held recipients are released to the winning variant
+ * and that a failed enqueue is recovered on retry
+ */
+
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const db = { campaign: null, recipients: [] };
+
+const matches = (row, where) =>
+  Object.entries(where).every(([key, value]) => row[key] === value);
+
+const prismaMock = {
+  campaign: {
+    findFirst: jest.fn(async () => db.campaign && { ...db.campaign }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      if (!matches(db.campaign, where)) return { count: 0 };
+      Object.assign(db.campaign, data);
+      return { count: 1 };
+    }),
+  },
+  campaignVariant: {
+    findMany: jest.fn(async () => [
+      { id: 'variant-a', label: 'A', weight: 50 },
+      { id: 'variant-b', label: 'B', weight: 50 },
+    ]),
+  },
+  campaignRecipient: {
+    groupBy: jest.fn(async ({ where }) => {
+      // Both test groups sent 10 messages, variant B got the only click
+      if (where.clickEvents) {
+        return [{ variantId: 'variant-b', _count: { _all: 1 } }];
+      }
+      if (where.deliveredAt) return [];
+      return ['variant-a', 'variant-b'].map(variantId => ({
+        variantId,
+        status: 'sent',
+        _count: { _all: 10 },
+      }));
+    }),
+    findMany: jest.fn(async ({ where }) =>
+      db.recipients
+        .filter(recipient => matches(recipient, where))
+        .map(recipient => ({ id: recipient.id })),
+    ),
+    updateMany: jest.fn(async ({ where, data }) => {
+      const rows = db.recipients.filter(recipient =>
+        matches(recipient, where),
+      );
+      rows.forEach(recipient => Object.assign(recipient, data));
+      return { count: rows.length };
+    }),
+  },
+  campaignMetrics: {
+    updateMany: jest.fn(async () => ({ count: 1 })),
+  },
+  $transaction: jest.fn(async fn => fn(prismaMock)),
+};
+
+const smsQueue = { add: jest.fn() };
+
+jest.unstable_mockModule('../../services/prisma.js', () => ({
+  default: prismaMock,
+}));
+jest.unstable_mockModule('../../queue/index.js', () => ({
+  campaignQueue: { add: jest.fn() },
+  smsQueue,
+}));
+jest.unstable_mockModule('../../services/campaignAggregates.js', () => ({
+  updateCampaignAggregates: jest.fn(async () => {}),
+}));
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { selectAbTestWinner, HELD_STATUS } = await import(
+  '../../services/campaign-variants.js'
+);
+
+describe('Campaign Variants', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.campaign = {
+      id: 'campaign-1',
+      status: 'sending',
+      priority: 'normal',
+      abTest: { mode: 'winner', waitHours: 4 },
+      winnerVariantId: null,
+    };
+    db.recipients = ['r1', 'r2', 'r3'].map(id => ({
+      id,
+      campaignId: 'campaign-1',
+      status: HELD_STATUS,
+      variantId: null,
+      mittoMessageId: null,
+    }));
+    smsQueue.add.mockResolvedValue({ id: 'job' });
+  });
+
+  describe('selectAbTestWinner', () => {
+    it('should release held recipients to the winner and queue them', async () => {
+      const result = await selectAbTestWinner('campaign-1', 'shop-1');
+
+      expect(result).toMatchObject({
+        ok: true,
+        winnerVariantId: 'variant-b',
+        released: 3,
+        enqueued: 3,
+      });
+      expect(db.campaign.winnerVariantId).toBe('variant-b');
+      expect(smsQueue.add).toHaveBeenCalledTimes(1);
+      expect(smsQueue.add.mock.calls[0][1].recipientIds).toEqual([
+        'r1',
+        'r2',
+        'r3',
+      ]);
+    });
+
+    it('should queue the released recipients on retry after an enqueue failure', async () => {
+      smsQueue.add.mockRejectedValueOnce(new Error('Redis unavailable'));
+
+      await expect(selectAbTestWinner('campaign-1', 'shop-1')).rejects.toThrow(
+        'Redis unavailable',
+      );
+      // The selection committed before the enqueue failed
+      expect(db.campaign.winnerVariantId).toBe('variant-b');
+      expect(db.recipients.every(r => r.status === 'pending')).toBe(true);
+
+      const retry = await selectAbTestWinner('campaign-1', 'shop-1');
+
+      expect(retry).toMatchObject({
+        ok: true,
+        winnerVariantId: 'variant-b',
+        released: 0,
+        enqueued: 3,
+        resumed: true,
+      });
+      // Same recipients, so the same deterministic batch job ID
+      const [failed, retried] = smsQueue.add.mock.calls;
+      expect(retried[1].recipientIds).toEqual(failed[1].recipientIds);
+      expect(retried[2].jobId).toBe(failed[2].jobId);
+    });
+
+    it('should not queue anything again once the campaign left sending', async () => {
+      db.campaign.winnerVariantId = 'variant-b';
+      db.campaign.status = 'completed';
+
+      const result = await selectAbTestWinner('campaign-1', 'shop-1');
+
+      expect(result).toEqual({ ok: false, reason: 'already_selected' });
+      expect(smsQueue.add).not.toHaveBeenCalled();
+    });
+  });
+});
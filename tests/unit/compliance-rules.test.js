@@ -0,0 +1,180 @@
+/**
+ * Unit tests for compliance rules
+ *
+ * Tests verify how privacy webhooks are matched to customers, the redacted
+ * phone placeholders, the shop purge delay and the data request export
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  DATA_EXPORT_MAX_ROWS,
+  getCustomerSubject,
+  hasSubjectIdentifiers,
+  hashSubject,
+  getSubjectDataRequestsWhere,
+  getRedactedPhones,
+  getRedactedOrderIds,
+  mentionsSubject,
+  getShopPurgeTime,
+  buildCustomerDataBundle,
+} from '../../services/compliance-rules.js';
+
+describe('Compliance Rules', () => {
+  describe('getCustomerSubject', () => {
+    it('reads the customer ID, email and phone', () => {
+      expect(
+        getCustomerSubject({
+          customer: { id: 191167, email: ' John@Example.com ', phone: '+30 694 123 4567' },
+        }),
+      ).toEqual({
+        customerId: '191167',
+        email: 'john@example.com',
+        phones: ['+306941234567'],
+      });
+    });
+
+    it('handles customers without contact details', () => {
+      const subject = getCustomerSubject({ customer: { id: 1 } });
+      expect(subject).toEqual({ customerId: '1', email: null, phones: [] });
+      expect(hasSubjectIdentifiers(subject)).toBe(false);
+      expect(hasSubjectIdentifiers(getCustomerSubject({}))).toBe(false);
+    });
+  });
+
+  it('fingerprints a subject without exposing it', () => {
+    const subject = { customerId: '1', email: 'a@b.c', phones: [] };
+    const hash = hashSubject(subject);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).toBe(hashSubject({ ...subject }));
+    expect(hash).not.toBe(hashSubject({ ...subject, email: 'x@b.c' }));
+  });
+
+  it('gives every redacted phone its own placeholder', () => {
+    const phones = getRedactedPhones('req1', ['+301', '+302', '+301']);
+    expect([...phones.entries()]).toEqual([
+      ['+301', 'redacted:req1:1'],
+      ['+302', 'redacted:req1:2'],
+    ]);
+  });
+
+  it('gives every redacted order its own placeholder', () => {
+    const orders = getRedactedOrderIds('req1', ['5001', '5002', '5001']);
+    expect([...orders.entries()]).toEqual([
+      ['5001', 'redacted:req1:order:1'],
+      ['5002', 'redacted:req1:order:2'],
+    ]);
+  });
+
+  describe('mentionsSubject', () => {
+    const subject = { emails: ['ann@example.com'], phones: ['+306912345678'] };
+
+    it('finds the customer by email or phone in raw values', () => {
+      expect(mentionsSubject(['Ann', 'ANN@example.com '], subject)).toBe(true);
+      expect(mentionsSubject(['Duplicate phone +306912345678'], subject)).toBe(true);
+      expect(mentionsSubject(['0030 691 234 5678'], subject)).toBe(true);
+      expect(mentionsSubject(['691-234-5678'], subject, 'GR')).toBe(true);
+    });
+
+    it('ignores other customers and non-phone values', () => {
+      expect(mentionsSubject(['Bob', '+306900000000', 'bob@example.com'], subject)).toBe(false);
+      expect(mentionsSubject(['Row 306912345678'], subject)).toBe(false);
+      expect(mentionsSubject([null, '', undefined], subject)).toBe(false);
+      expect(mentionsSubject(null, subject)).toBe(false);
+    });
+  });
+
+  describe('getSubjectDataRequestsWhere', () => {
+    const subject = getCustomerSubject({
+      customer: { id: 42, email: 'ann@example.com', phone: '+306912345678' },
+    });
+
+    it('finds earlier data requests by subject hash or customer ID', () => {
+      const redact = {
+        id: 'req_redact',
+        shopId: 'shop_1',
+        shopifyCustomerId: '42',
+        subjectHash: hashSubject(subject),
+      };
+
+      expect(getSubjectDataRequestsWhere(redact)).toEqual({
+        shopId: 'shop_1',
+        topic: 'customers/data_request',
+        id: { not: 'req_redact' },
+        OR: [{ subjectHash: hashSubject(subject) }, { shopifyCustomerId: '42' }],
+      });
+    });
+
+    it('matches a data request with the same subject even without a customer ID', () => {
+      const where = getSubjectDataRequestsWhere({
+        id: 'req_redact',
+        shopId: 'shop_1',
+        shopifyCustomerId: null,
+        subjectHash: hashSubject({ ...subject, customerId: null }),
+      });
+
+      expect(where.OR).toEqual([{ subjectHash: hashSubject({ ...subject, customerId: null }) }]);
+    });
+
+    it('matches nothing else without identifiers', () => {
+      const where = getSubjectDataRequestsWhere({
+        id: 'req_redact',
+        shopId: 'shop_1',
+        shopifyCustomerId: null,
+        subjectHash: null,
+      });
+
+      expect(where.OR).toEqual([{ id: 'req_redact' }]);
+      expect(where.id).toEqual({ not: 'req_redact' });
+    });
+  });
+
+  describe('getShopPurgeTime', () => {
+    const now = new Date('2025-03-17T12:00:00Z');
+
+    it('purges 48 hours after uninstall', () => {
+      expect(getShopPurgeTime(new Date('2025-03-17T10:00:00Z'), now)).toEqual(
+        new Date('2025-03-19T10:00:00Z'),
+      );
+    });
+
+    it('purges overdue or unknown uninstalls now', () => {
+      expect(getShopPurgeTime(new Date('2025-03-01T00:00:00Z'), now)).toEqual(now);
+      expect(getShopPurgeTime(null, now)).toEqual(now);
+    });
+  });
+
+  describe('buildCustomerDataBundle', () => {
+    it('groups records by table with their counts', () => {
+      const bundle = buildCustomerDataBundle({
+        shopDomain: 'shop.myshopify.com',
+        subject: { customerId: '1', email: 'a@b.c', phones: ['+301'] },
+        ordersRequested: [101, 102],
+        now: new Date('2025-03-17T12:00:00Z'),
+        contacts: [{ id: 'c1' }],
+        messages: [{ id: 'm1' }, { id: 'm2' }],
+        clickEvents: [],
+      });
+
+      expect(bundle).toMatchObject({
+        generatedAt: '2025-03-17T12:00:00.000Z',
+        shopDomain: 'shop.myshopify.com',
+        customer: { shopifyCustomerId: '1', email: 'a@b.c', phones: ['+301'] },
+        ordersRequested: ['101', '102'],
+        counts: { contacts: 1, messages: 2, clickEvents: 0 },
+        truncated: [],
+      });
+      expect(bundle.records.messages).toHaveLength(2);
+    });
+
+    it('cuts tables at the export limit', () => {
+      const messages = Array.from({ length: DATA_EXPORT_MAX_ROWS + 1 }, (_, i) => ({ id: i }));
+      const bundle = buildCustomerDataBundle({
+        shopDomain: 'shop.myshopify.com',
+        subject: { customerId: null, email: 'a@b.c', phones: [] },
+        messages,
+      });
+      expect(bundle.records.messages).toHaveLength(DATA_EXPORT_MAX_ROWS);
+      expect(bundle.truncated).toEqual(['messages']);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Unit tests for customer privacy requests
+ *
+ * Tests verify that data requests export and redact requests erase the
+ * customer's links, discount codes, attributed orders and stored contact
+ * import rows
+ */
+
+import { Readable } from 'stream';
+import { describe, it, expect, beforeEach, jest } from '@jest/globals';
+
+const contact = {
+  id: 'contact_1',
+  phoneE164: '+306912345678',
+  email: 'ann@example.com',
+};
+
+// Every model answers with empty results unless a test says otherwise
+function model(overrides = {}) {
+  return {
+    findMany: jest.fn(async () => []),
+    findFirst: jest.fn(async () => null),
+    findUnique: jest.fn(async () => null),
+    count: jest.fn(async () => 0),
+    update: jest.fn(async () => ({})),
+    updateMany: jest.fn(async () => ({ count: 0 })),
+    deleteMany: jest.fn(async () => ({ count: 0 })),
+    ...overrides,
+  };
+}
+
+const prismaMock = {};
+const storage = { files: new Map(), remove: jest.fn() };
+
+function resetPrisma() {
+  Object.assign(prismaMock, {
+    complianceRequest: model(),
+    contact: model({ findMany: jest.fn(async () => [contact]) }),
+    messageLog: model(),
+    campaignRecipient: model({
+      findMany: jest.fn(async () => [{ id: 'recipient_1' }]),
+    }),
+    clickEvent: model(),
+    shortLink: model({ deleteMany: jest.fn(async () => ({ count: 2 })) }),
+    discountLink: model({ updateMany: jest.fn(async () => ({ count: 1 })) }),
+    attributedOrder: model({
+      findMany: jest.fn(async () => [
+        { id: 'attr_1', orderId: '5001' },
+        { id: 'attr_2', orderId: '5002' },
+      ]),
+    }),
+    abandonedCheckout: model(),
+    automationSequence: model(),
+    scheduledAutomation: model(),
+    consentEvent: model(),
+    conversation: model(),
+    contactImport: model({
+      findMany: jest.fn(async ({ where }) => [
+        {
+          id: 'import_1',
+          storage: 'local',
+          storageKey: null,
+          errorStorageKey: 'contact-imports/shop_1/import_1-errors.csv',
+          delimiter: ';',
+          sampleRows: [['Ann', '6912345678']],
+          report: { errors: [{ row: 3, error: 'Duplicate phone +306912345678' }] },
+          options: { defaultCountry: 'GR' },
+        },
+        {
+          id: 'import_2',
+          storage: 'local',
+          storageKey: null,
+          errorStorageKey: null,
+          delimiter: ',',
+          sampleRows: [['Bob', '+306900000000']],
+          report: null,
+          options: {},
+        },
+      ].filter(row => !where.id || where.id.in.includes(row.id))),
+      updateMany: jest.fn(async () => ({ count: 1 })),
+    }),
+  });
+  prismaMock.$transaction = jest.fn(async fn => fn(prismaMock));
+}
+
+jest.unstable_mockModule('@prisma/client', () => ({
+  Prisma: { DbNull: 'DbNull' },
+}));
+jest.unstable_mockModule('../../services/prisma.js', () => ({
+  default: prismaMock,
+}));
+jest.unstable_mockModule('../../queue/index.js', () => ({
+  complianceQueue: { add: jest.fn() },
+  importQueue: { add: jest.fn() },
+}));
+jest.unstable_mockModule('../../services/notifications.js', () => ({
+  createNotification: jest.fn(async () => {}),
+  NotificationType: { privacyDataRequest: 'privacy_data_request' },
+}));
+jest.unstable_mockModule('../../services/consent.js', () => ({
+  ConsentSource: { import: 'import' },
+}));
+jest.unstable_mockModule('../../services/export-storage.js', () => ({
+  getStorageAdapter: () => ({
+    createReadStream: async key => Readable.from([storage.files.get(key)]),
+    remove: storage.remove,
+  }),
+}));
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { processComplianceRequest } = await import('../../services/compliance.js');
+
+function mockRequest(topic) {
+  prismaMock.complianceRequest.updateMany.mockResolvedValueOnce({ count: 1 });
+  prismaMock.complianceRequest.findUnique.mockResolvedValueOnce({
+    id: 'req_1',
+    shopId: 'shop_1',
+    shopDomain: 'shop.myshopify.com',
+    topic,
+    shopifyCustomerId: '42',
+    subject: { email: 'ann@example.com', phones: ['+306912345678'] },
+    subjectHash: 'hash',
+    ordersRequested: ['5002'],
+  });
+}
+
+describe('Compliance', () => {
+  beforeEach(() => {
+    resetPrisma();
+    storage.remove.mockClear();
+    storage.files.set(
+      'contact-imports/shop_1/import_1-errors.csv',
+      '\uFEFFRow,Name,Phone,Error\r\n2,Ann,691 234 5678,Invalid email\r\n4,Bob,6900000000,Invalid phone\r\n',
+    );
+  });
+
+  describe('customers/data_request', () => {
+    it('exports links, discount codes, attributed orders and import rows', async () => {
+      mockRequest('customers/data_request');
+
+      const { result } = await processComplianceRequest('req_1');
+
+      expect(result).toMatchObject({
+        shortLinks: 0,
+        discountLinks: 0,
+        attributedOrders: 2,
+        contactImportRows: 3,
+      });
+      expect(prismaMock.shortLink.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            shopId: 'shop_1',
+            OR: [
+              { contactId: { in: ['contact_1'] } },
+              {
+                recipient: {
+                  OR: [
+                    { contactId: { in: ['contact_1'] } },
+                    { phoneE164: { in: ['+306912345678'] } },
+                  ],
+                },
+              },
+            ],
+          },
+        }),
+      );
+      expect(prismaMock.attributedOrder.findMany.mock.calls[0][0].where).toEqual({
+        shopId: 'shop_1',
+        OR: [{ contactId: { in: ['contact_1'] } }, { orderId: { in: ['5002'] } }],
+      });
+
+      const { exportData } = prismaMock.complianceRequest.update.mock.calls[0][0].data;
+      expect(exportData.records.contactImportRows).toEqual([
+        { importId: 'import_1', source: 'errors', values: ['2', 'Ann', '691 234 5678', 'Invalid email'] },
+        { importId: 'import_1', source: 'sample', values: ['Ann', '6912345678'] },
+        { importId: 'import_1', source: 'report', values: ['3', 'Duplicate phone +306912345678'] },
+      ]);
+    });
+  });
+
+  describe('customers/redact', () => {
+    it('erases links, order IDs and stored import rows', async () => {
+      mockRequest('customers/redact');
+
+      const { result } = await processComplianceRequest('req_1');
+
+      expect(result).toMatchObject({
+        shortLinks: 2,
+        discountLinks: 1,
+        attributedOrders: 2,
+        contactImports: 1,
+      });
+
+      const byContactOrRecipient = [
+        { contactId: { in: ['contact_1'] } },
+        { recipientId: { in: ['recipient_1'] } },
+      ];
+      expect(prismaMock.shortLink.deleteMany).toHaveBeenCalledWith({
+        where: { shopId: 'shop_1', OR: byContactOrRecipient },
+      });
+      expect(prismaMock.discountLink.updateMany).toHaveBeenCalledWith({
+        where: {
+          shopId: 'shop_1',
+          OR: [...byContactOrRecipient, { orderId: { in: ['5002'] } }],
+        },
+        data: { contactId: null, orderId: null },
+      });
+      expect(prismaMock.clickEvent.updateMany).toHaveBeenCalledWith({
+        where: { campaign: { shopId: 'shop_1' }, OR: byContactOrRecipient },
+        data: { ipAddress: null, userAgent: null },
+      });
+      expect(prismaMock.attributedOrder.update.mock.calls.map(([call]) => call)).toEqual([
+        { where: { id: 'attr_1' }, data: { orderId: 'redacted:req_1:order:1', contactId: null } },
+        { where: { id: 'attr_2' }, data: { orderId: 'redacted:req_1:order:2', contactId: null } },
+      ]);
+
+      // Only the import that mentions the customer is erased
+      expect(storage.remove).toHaveBeenCalledWith('contact-imports/shop_1/import_1-errors.csv');
+      expect(prismaMock.contactImport.updateMany).toHaveBeenCalledWith({
+        where: { shopId: 'shop_1', id: { in: ['import_1'] } },
+        data: {
+          storageKey: null,
+          errorStorageKey: null,
+          sampleRows: 'DbNull',
+          report: 'DbNull',
+        },
+      });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for contact imports
+ *
+ * Tests verify streaming CSV parsing, phone normalization with a default
+ * country and mapping CSV rows to contact fields
+ */
+
+import { Readable } from 'stream';
+import { describe, it, expect } from '@jest/globals';
+import {
+  CsvParser,
+  detectDelimiter,
+  readCsvRows,
+} from '../../utils/csv-parser.js';
+import { normalizePhoneNumber } from '../../utils/phone.js';
+import {
+  suggestMapping,
+  validateMapping,
+  parseImportDate,
+  mapContactRow,
+} from '../../utils/contact-import.js';
+
+describe('Contact Imports', () => {
+  describe('CSV parser', () => {
+    it('should detect comma, semicolon and tab delimiters', () => {
+      expect(detectDelimiter('phone,first_name,email')).toBe(',');
+      expect(detectDelimiter('phone;first_name;"a,b"')).toBe(';');
+      expect(detectDelimiter('phone\tfirst_name')).toBe('\t');
+      expect(detectDelimiter('phone')).toBe(',');
+    });
+
+    it('should parse quotes, escaped quotes and line breaks in fields', () => {
+      const parser = new CsvParser();
+      const rows = [
+        ...parser.push('\uFEFFname,note\r\n"Doe, Jane","said ""hi""\nthere"\r\n\r\n'),
+        ...parser.push('Bob,'),
+        ...parser.end(),
+      ];
+      expect(rows).toEqual([
+        ['name', 'note'],
+        ['Doe, Jane', 'said "hi"\nthere'],
+        ['Bob', ''],
+      ]);
+    });
+
+    it('should give the same rows whatever the chunk boundaries', async () => {
+      const text = 'phone;tags\r\n+306912345678;"vip;new"\r\n6912345679;x\r\n';
+      const chunks = Buffer.from(text).reduce((list, byte, index) => {
+        if (index % 3 === 0) list.push([]);
+        list[list.length - 1].push(byte);
+        return list;
+      }, []);
+
+      const rows = [];
+      for await (const batch of readCsvRows(
+        Readable.from(chunks.map(bytes => Buffer.from(bytes))),
+      )) {
+        rows.push(...batch);
+      }
+      expect(rows).toEqual([
+        ['phone', 'tags'],
+        ['+306912345678', 'vip;new'],
+        ['6912345679', 'x'],
+      ]);
+    });
+  });
+
+  describe('Phone normalization', () => {
+    it('should keep international numbers', () => {
+      expect(normalizePhoneNumber('+30 691 234 5678')).toBe('+306912345678');
+      expect(normalizePhoneNumber('0049 151 1234567', 'GR')).toBe('+491511234567');
+    });
+
+    it('should use the default country for national numbers', () => {
+      expect(normalizePhoneNumber('691 234 5678', 'GR')).toBe('+306912345678');
+      expect(normalizePhoneNumber('01511234567', 'DE')).toBe('+491511234567');
+      expect(normalizePhoneNumber('07700 900123', 'gb')).toBe('+447700900123');
+      expect(normalizePhoneNumber('(415) 555-0100', 'US')).toBe('+14155550100');
+      expect(normalizePhoneNumber('306912345678', 'GR')).toBe('+306912345678');
+    });
+
+    it('should reject numbers that cannot be normalized', () => {
+      expect(normalizePhoneNumber('', 'GR')).toBeNull();
+      expect(normalizePhoneNumber('abc', 'GR')).toBeNull();
+      expect(normalizePhoneNumber('12345', 'GR')).toBeNull();
+      expect(normalizePhoneNumber('+0123456')).toBeNull();
+    });
+  });
+
+  describe('Mapping', () => {
+    const headers = ['Mobile', 'First Name', 'E-mail', 'DOB', 'Accepts Marketing', 'Tags', 'Notes'];
+
+    it('should suggest a mapping from header names', () => {
+      expect(suggestMapping(headers)).toEqual({
+        Mobile: 'phone',
+        'First Name': 'firstName',
+        'E-mail': 'email',
+        DOB: 'birthDate',
+        'Accepts Marketing': 'smsConsent',
+        Tags: 'tags',
+        Notes: 'ignore',
+      });
+    });
+
+    it('should require a phone column and unique fields', () => {
+      expect(validateMapping({ 'First Name': 'firstName' }, headers)).toEqual([
+        { field: 'mapping', message: 'A column must be mapped to phone' },
+      ]);
+      expect(
+        validateMapping({ Mobile: 'phone', Notes: 'phone', Missing: 'tags' }, headers),
+      ).toEqual([
+        { field: 'mapping.Missing', message: 'Column "Missing" is not in the file' },
+        { field: 'mapping', message: 'Only one column can be mapped to phone' },
+      ]);
+    });
+
+    it('should parse ISO, day-first and month-first dates', () => {
+      expect(parseImportDate('1990-04-23')).toEqual(new Date('1990-04-23T00:00:00Z'));
+      expect(parseImportDate('23/04/1990')).toEqual(new Date('1990-04-23T00:00:00Z'));
+      expect(parseImportDate('04/23/1990', 'MDY')).toEqual(new Date('1990-04-23T00:00:00Z'));
+      expect(parseImportDate('31/02/1990')).toBeNull();
+    });
+
+    it('should map a row to contact fields with tags', () => {
+      const { contact, errors } = mapContactRow(
+        headers,
+        ['6912345678', ' Maria ', 'maria@example.com', '23.04.1990', 'Yes', 'vip; greece', 'x'],
+        suggestMapping(headers),
+        { defaultCountry: 'GR', tags: ['imported', 'vip'] },
+      );
+      expect(errors).toEqual([]);
+      expect(contact).toEqual({
+        phoneE164: '+306912345678',
+        firstName: 'Maria',
+        email: 'maria@example.com',
+        birthDate: new Date('1990-04-23T00:00:00Z'),
+        smsConsent: 'opted_in',
+        tags: ['imported', 'vip', 'greece'],
+      });
+    });
+
+    it('should report invalid values per field', () => {
+      const { errors } = mapContactRow(
+        headers,
+        ['123', '', 'not-an-email', '2999-01-01', 'maybe', '', ''],
+        suggestMapping(headers),
+        { defaultCountry: 'GR', now: new Date('2025-01-01T00:00:00Z') },
+      );
+      expect(errors.map(error => error.field)).toEqual([
+        'phone',
+        'email',
+        'birthDate',
+        'smsConsent',
+      ]);
+    });
+  });
+});
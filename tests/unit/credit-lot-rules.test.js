@@ -0,0 +1,134 @@
+/**
+ * Unit tests for credit lot rules
+ *
+ * Tests verify consumption order, debit splitting across lots, default
+ * expiry dates and the lot breakdown shown on the balance
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  CreditLotSource,
+  compareLots,
+  isLotLive,
+  planLotConsumption,
+  getLotExpiry,
+  summarizeLots,
+} from '../../services/credit-lot-rules.js';
+
+const now = new Date('2025-03-10T12:00:00Z');
+const days = n => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+
+const lot = (id, remaining, expiresAt, createdAt = days(-10), source = 'purchase') => ({
+  id,
+  source,
+  amount: remaining,
+  remaining,
+  expiresAt,
+  createdAt,
+});
+
+describe('Credit Lot Rules', () => {
+  describe('compareLots', () => {
+    it('should order by expiry with non-expiring lots last', () => {
+      const lots = [
+        lot('never', 10, null),
+        lot('late', 10, days(30)),
+        lot('soon', 10, days(2)),
+      ];
+
+      expect(lots.sort(compareLots).map(l => l.id)).toEqual(['soon', 'late', 'never']);
+    });
+
+    it('should order lots with the same expiry oldest first', () => {
+      const lots = [lot('new', 10, null, days(-1)), lot('old', 10, null, days(-5))];
+
+      expect(lots.sort(compareLots).map(l => l.id)).toEqual(['old', 'new']);
+    });
+  });
+
+  describe('isLotLive', () => {
+    it('should exclude empty and expired lots', () => {
+      expect(isLotLive(lot('a', 5, days(1)), now)).toBe(true);
+      expect(isLotLive(lot('b', 0, days(1)), now)).toBe(false);
+      expect(isLotLive(lot('c', 5, days(-1)), now)).toBe(false);
+      expect(isLotLive(lot('d', 5, null), now)).toBe(true);
+    });
+  });
+
+  describe('planLotConsumption', () => {
+    const lots = [
+      lot('purchase', 500, null),
+      lot('plan', 100, days(5), days(-20), CreditLotSource.subscription),
+      lot('expired', 50, days(-1)),
+    ];
+
+    it('should consume the earliest-expiring lot first', () => {
+      expect(planLotConsumption(lots, 60, now)).toEqual({
+        allocations: [{ lotId: 'plan', amount: 60 }],
+        shortfall: 0,
+      });
+    });
+
+    it('should split a debit across lots', () => {
+      expect(planLotConsumption(lots, 150, now)).toEqual({
+        allocations: [
+          { lotId: 'plan', amount: 100 },
+          { lotId: 'purchase', amount: 50 },
+        ],
+        shortfall: 0,
+      });
+    });
+
+    it('should report the credits no live lot covers', () => {
+      expect(planLotConsumption(lots, 700, now).shortfall).toBe(100);
+    });
+  });
+
+  describe('getLotExpiry', () => {
+    it('should expire subscription credits at the end of the period', () => {
+      expect(
+        getLotExpiry(CreditLotSource.subscription, { now, periodEnd: days(20) }),
+      ).toEqual(days(20));
+      expect(getLotExpiry(CreditLotSource.subscription, { now }).toISOString()).toBe(
+        '2025-04-10T12:00:00.000Z',
+      );
+    });
+
+    it('should expire purchases only when an expiry is configured', () => {
+      expect(getLotExpiry(CreditLotSource.purchase, { now })).toBeNull();
+      expect(
+        getLotExpiry(CreditLotSource.purchase, { now, purchaseExpiryDays: 365 }),
+      ).toEqual(days(365));
+    });
+
+    it('should never expire refunds and adjustments', () => {
+      expect(getLotExpiry(CreditLotSource.refund, { now })).toBeNull();
+      expect(getLotExpiry(CreditLotSource.adjustment, { now })).toBeNull();
+    });
+  });
+
+  describe('summarizeLots', () => {
+    it('should total live lots by source and flag those expiring soon', () => {
+      const summary = summarizeLots(
+        [
+          lot('plan', 100, days(3), days(-20), CreditLotSource.subscription),
+          lot('purchase', 500, null),
+          lot('refund', 20, null, days(-2), CreditLotSource.refund),
+          lot('expired', 50, days(-1)),
+        ],
+        now,
+      );
+
+      expect(summary.total).toBe(620);
+      expect(summary.bySource).toEqual({
+        subscription: 100,
+        purchase: 500,
+        refund: 20,
+        adjustment: 0,
+      });
+      expect(summary.expiringSoon).toBe(100);
+      expect(summary.nextExpiry).toEqual({ credits: 100, expiresAt: days(3) });
+      expect(summary.lots.map(l => l.id)).toEqual(['plan', 'purchase', 'refund']);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for customer sync rules
+ *
+ * Tests verify how Shopify customers are read, how their SMS marketing
+ * consent maps onto contacts under each consent mode (local opt-outs always
+ * win), and how Shopify tags are merged with local tags
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  CustomerConsentMode,
+  getSyncSettings,
+  validateSyncSettings,
+  parseShopifyCustomer,
+  getCustomerPhone,
+  mapShopifyConsent,
+  resolveConsent,
+  mergeShopifyTags,
+  buildContactChanges,
+} from '../../services/customer-sync-rules.js';
+
+const webhookCustomer = {
+  id: 706405506930370000,
+  email: 'Bob@Example.com',
+  first_name: 'Bob',
+  last_name: 'Norman',
+  phone: null,
+  tags: 'vip, newsletter ,vip',
+  default_address: { phone: '6941234567', country_code: 'GR' },
+  sms_marketing_consent: {
+    state: 'subscribed',
+    opt_in_level: 'single_opt_in',
+    consent_updated_at: '2025-03-01T10:00:00Z',
+  },
+};
+
+const bulkCustomer = {
+  id: 'gid://shopify/Customer/42',
+  firstName: 'Alice',
+  lastName: null,
+  email: null,
+  phone: '+306900000001',
+  tags: ['wholesale'],
+  defaultAddress: null,
+  smsMarketingConsent: { marketingState: 'UNSUBSCRIBED', marketingOptInLevel: 'UNKNOWN' },
+};
+
+describe('Customer Sync Rules', () => {
+  describe('parseShopifyCustomer', () => {
+    it('reads webhook payloads', () => {
+      const customer = parseShopifyCustomer(webhookCustomer);
+      expect(customer).toMatchObject({
+        customerId: '706405506930370000',
+        firstName: 'Bob',
+        email: 'bob@example.com',
+        phone: '6941234567',
+        country: 'GR',
+        tags: ['vip', 'newsletter'],
+        consent: { state: 'SUBSCRIBED', optInLevel: 'SINGLE_OPT_IN' },
+      });
+      expect(getCustomerPhone(customer)).toBe('+306941234567');
+    });
+
+    it('reads bulk export rows', () => {
+      expect(parseShopifyCustomer(bulkCustomer)).toMatchObject({
+        customerId: '42',
+        firstName: 'Alice',
+        lastName: null,
+        phone: '+306900000001',
+        tags: ['wholesale'],
+        consent: { state: 'UNSUBSCRIBED' },
+      });
+    });
+  });
+
+  describe('mapShopifyConsent', () => {
+    it('maps Shopify states onto SMS consent', () => {
+      expect(mapShopifyConsent({ state: 'SUBSCRIBED' })).toBe('opted_in');
+      expect(mapShopifyConsent({ state: 'UNSUBSCRIBED' })).toBe('opted_out');
+      expect(mapShopifyConsent({ state: 'NOT_SUBSCRIBED' })).toBe('unknown');
+      expect(mapShopifyConsent({ state: 'REDACTED' })).toBeNull();
+      expect(mapShopifyConsent(null)).toBeNull();
+    });
+
+    it('can require a confirmed opt-in', () => {
+      const options = { confirmedOptInOnly: true };
+      expect(mapShopifyConsent({ state: 'SUBSCRIBED', optInLevel: 'SINGLE_OPT_IN' }, options)).toBe(
+        'unknown',
+      );
+      expect(
+        mapShopifyConsent({ state: 'SUBSCRIBED', optInLevel: 'CONFIRMED_OPT_IN' }, options),
+      ).toBe('opted_in');
+    });
+  });
+
+  describe('resolveConsent', () => {
+    it('never overwrites a local opt-out', () => {
+      for (const mode of Object.values(CustomerConsentMode)) {
+        expect(resolveConsent({ local: 'opted_out', shopify: 'opted_in', mode })).toBeNull();
+      }
+    });
+
+    it('mirrors Shopify opt-ins and opt-outs', () => {
+      const mode = CustomerConsentMode.mirror;
+      expect(resolveConsent({ local: 'unknown', shopify: 'opted_in', mode })).toBe('opted_in');
+      expect(resolveConsent({ local: 'opted_in', shopify: 'opted_out', mode })).toBe('opted_out');
+      // A local opt-in Shopify does not know about is kept
+      expect(resolveConsent({ local: 'opted_in', shopify: 'unknown', mode })).toBeNull();
+      expect(resolveConsent({ local: null, shopify: null, mode })).toBe('unknown');
+    });
+
+    it('only fills unknown consent', () => {
+      const mode = CustomerConsentMode.fillUnknown;
+      expect(resolveConsent({ local: 'unknown', shopify: 'opted_in', mode })).toBe('opted_in');
+      expect(resolveConsent({ local: 'opted_in', shopify: 'opted_out', mode })).toBeNull();
+    });
+
+    it('ignores Shopify consent', () => {
+      const mode = CustomerConsentMode.ignore;
+      expect(resolveConsent({ local: 'unknown', shopify: 'opted_in', mode })).toBeNull();
+      expect(resolveConsent({ local: null, shopify: 'opted_in', mode })).toBe('unknown');
+    });
+  });
+
+  it('replaces Shopify tags and keeps local ones', () => {
+    expect(mergeShopifyTags(['local', 'vip', 'old'], ['vip', 'old'], ['vip', 'new'])).toEqual([
+      'local',
+      'vip',
+      'new',
+    ]);
+  });
+
+  describe('buildContactChanges', () => {
+    const options = {
+      phoneE164: '+306941234567',
+      consentMode: CustomerConsentMode.mirror,
+      confirmedOptInOnly: false,
+    };
+
+    it('creates a linked contact', () => {
+      const { data, consent } = buildContactChanges(
+        null,
+        parseShopifyCustomer(webhookCustomer),
+        options,
+      );
+      expect(data).toMatchObject({
+        shopifyCustomerId: '706405506930370000',
+        phoneE164: '+306941234567',
+        email: 'bob@example.com',
+        tags: ['vip', 'newsletter'],
+        shopifyTags: ['vip', 'newsletter'],
+        smsConsent: 'opted_in',
+      });
+      expect(consent).toBe('opted_in');
+    });
+
+    it('only changes what differs and never clears local fields', () => {
+      const contact = {
+        shopifyCustomerId: '706405506930370000',
+        phoneE164: '+306941234567',
+        firstName: 'Bob',
+        lastName: 'Local',
+        email: 'bob@example.com',
+        tags: ['local', 'vip', 'newsletter'],
+        shopifyTags: ['vip', 'newsletter'],
+        smsConsent: 'opted_out',
+      };
+      const customer = parseShopifyCustomer({ ...webhookCustomer, last_name: '' });
+      expect(buildContactChanges(contact, customer, options)).toEqual({ data: {}, consent: null });
+    });
+  });
+
+  describe('settings', () => {
+    it('defaults to mirroring with deletes unlinking', () => {
+      expect(getSyncSettings(null)).toEqual({
+        enabled: true,
+        consentMode: 'mirror',
+        confirmedOptInOnly: false,
+        deleteContacts: false,
+      });
+    });
+
+    it('rejects unknown consent modes', () => {
+      expect(() => validateSyncSettings({ customerSyncConsentMode: 'shopify_wins' })).toThrow(
+        'Invalid customer sync settings',
+      );
+      expect(() => validateSyncSettings({ customerSyncDeleteContacts: 'yes' })).toThrow();
+      expect(() => validateSyncSettings({ customerSyncConsentMode: 'ignore' })).not.toThrow();
+    });
+  });
+});
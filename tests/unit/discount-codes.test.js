@@ -0,0 +1,79 @@
+/**
+ * Unit tests for unique discount codes
+ *
+ * Tests verify code generation (prefix, alphabet, length) and the
+ * extraction of redeemed codes from orders
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  CODE_ALPHABET,
+  normalizeDiscountCode,
+  buildCodePrefix,
+  generateDiscountCode,
+  generateDiscountCodes,
+  extractOrderDiscountCodes,
+} from '../../utils/discount-codes.js';
+
+describe('Discount Codes', () => {
+  describe('buildCodePrefix', () => {
+    it('should keep up to 4 letters or digits in upper case', () => {
+      expect(buildCodePrefix('Black Friday 2025')).toBe('BLAC');
+      expect(buildCodePrefix('é-2x')).toBe('2X');
+    });
+
+    it('should fall back to SMS without letters or digits', () => {
+      expect(buildCodePrefix('  -- ')).toBe('SMS');
+      expect(buildCodePrefix(null)).toBe('SMS');
+    });
+  });
+
+  describe('generateDiscountCode', () => {
+    it('should append 8 characters from the unambiguous alphabet', () => {
+      const code = generateDiscountCode('summer');
+      expect(code).toMatch(/^SUMM[A-HJ-NP-Z2-9]{8}$/);
+      expect(code.length).toBeLessThanOrEqual(12);
+    });
+
+    it('should use the given random source', () => {
+      expect(generateDiscountCode('vip', () => 0)).toBe(
+        `VIP${CODE_ALPHABET[0].repeat(8)}`,
+      );
+    });
+
+    it('should never use look-alike characters', () => {
+      expect(CODE_ALPHABET).not.toMatch(/[01IO]/);
+    });
+  });
+
+  describe('generateDiscountCodes', () => {
+    it('should generate distinct codes', () => {
+      let calls = 0;
+      // Repeats every other code to force regeneration
+      const random = () => Math.floor(calls++ / 16) % 3;
+      const codes = generateDiscountCodes(3, 'x', random);
+      expect(codes).toHaveLength(3);
+      expect(new Set(codes).size).toBe(3);
+    });
+  });
+
+  describe('extractOrderDiscountCodes', () => {
+    it('should read webhook and GraphQL formats', () => {
+      expect(
+        extractOrderDiscountCodes([{ code: 'vipabc', amount: '5.00' }, { code: ' X1 ' }]),
+      ).toEqual(['VIPABC', 'X1']);
+      expect(extractOrderDiscountCodes(['summ2345abcd'])).toEqual(['SUMM2345ABCD']);
+    });
+
+    it('should drop empty and duplicate codes', () => {
+      expect(extractOrderDiscountCodes(['a', 'A', '', null, {}])).toEqual(['A']);
+      expect(extractOrderDiscountCodes(undefined)).toEqual([]);
+    });
+  });
+
+  describe('normalizeDiscountCode', () => {
+    it('should trim and upper-case codes', () => {
+      expect(normalizeDiscountCode(' welcome10 ')).toBe('WELCOME10');
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Unit tests for flow rules
+ *
+ * Tests verify how flow graphs are validated, how conditions and branches
+ * pick a path for a contact, and how per-node stats are summarized
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  NodeEvent,
+  getNodeTargets,
+  getTriggerNode,
+  getSequenceType,
+  getTriggerKey,
+  validateFlowGraph,
+  getWaitDelayMs,
+  evaluateCondition,
+  resolvePath,
+  getUsedConditionTypes,
+  summarizeNodeStats,
+} from '../../services/flow-rules.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const graph = {
+  nodes: [
+    { id: 'start', type: 'trigger', next: 'wait' },
+    { id: 'wait', type: 'wait', delay: { amount: 2, unit: 'days' }, next: 'bought' },
+    {
+      id: 'bought',
+      type: 'condition',
+      condition: { type: 'has_purchased', value: true },
+      yes: 'done',
+      no: 'split',
+    },
+    {
+      id: 'split',
+      type: 'branch',
+      branches: [
+        { condition: { type: 'has_tag', tag: 'VIP' }, next: 'vip' },
+        { condition: { type: 'clicked', value: true }, next: 'done' },
+      ],
+      defaultNext: 'reminder',
+    },
+    { id: 'vip', type: 'send_sms', message: 'VIP offer for {{firstName}}', next: 'done' },
+    { id: 'reminder', type: 'send_sms', message: 'Still thinking?' },
+    { id: 'done', type: 'exit' },
+  ],
+};
+
+function validationDetails(candidate) {
+  try {
+    validateFlowGraph(candidate);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ValidationError);
+    return error.details.map(detail => detail.message);
+  }
+  return [];
+}
+
+describe('Flow Rules', () => {
+  describe('graph helpers', () => {
+    it('lists the nodes each node leads to', () => {
+      expect(getNodeTargets(graph.nodes[0])).toEqual(['wait']);
+      expect(getNodeTargets(graph.nodes[2])).toEqual(['done', 'split']);
+      expect(getNodeTargets(graph.nodes[3])).toEqual(['vip', 'done', 'reminder']);
+      expect(getNodeTargets(graph.nodes[5])).toEqual([]);
+    });
+
+    it('finds the trigger node and names the run sequence', () => {
+      expect(getTriggerNode(graph).id).toBe('start');
+      expect(getSequenceType('flow_1')).toBe('flow:flow_1');
+    });
+
+    it('keys triggers by the order or checkout they fired for', () => {
+      expect(getTriggerKey({ orderId: '1001', orderValue: 20 })).toBe('order-1001');
+      expect(getTriggerKey({ checkoutId: '77' })).toBe('checkout-77');
+      expect(getTriggerKey({})).toBeNull();
+      expect(getTriggerKey()).toBeNull();
+    });
+
+    it('converts waits to milliseconds', () => {
+      expect(getWaitDelayMs(graph.nodes[1])).toBe(2 * 24 * 60 * 60 * 1000);
+      expect(getWaitDelayMs({ delay: { amount: 30, unit: 'minutes' } })).toBe(30 * 60 * 1000);
+      expect(getWaitDelayMs({ delay: { amount: 1, unit: 'weeks' } })).toBeNaN();
+    });
+  });
+
+  describe('validateFlowGraph', () => {
+    it('accepts a well-formed graph', () => {
+      expect(() => validateFlowGraph(graph)).not.toThrow();
+    });
+
+    it('needs exactly one trigger', () => {
+      const nodes = graph.nodes.filter(node => node.type !== 'trigger');
+      expect(validationDetails({ nodes })).toContain('A flow needs exactly one trigger node');
+    });
+
+    it('rejects unknown links and links back to the trigger', () => {
+      const nodes = graph.nodes.map(node =>
+        node.id === 'vip' ? { ...node, next: 'missing' } : node.id === 'reminder'
+          ? { ...node, next: 'start' }
+          : node,
+      );
+      const details = validationDetails({ nodes });
+
+      expect(details).toContain("Node 'vip' links to unknown node 'missing'");
+      expect(details).toContain("Node 'reminder' links back to the trigger");
+    });
+
+    it('rejects loops', () => {
+      const nodes = graph.nodes.map(node =>
+        node.id === 'reminder' ? { ...node, next: 'wait' } : node,
+      );
+      expect(validationDetails({ nodes })).toEqual(["The flow loops back to node 'wait'"]);
+    });
+
+    it('checks waits, conditions and messages', () => {
+      const details = validationDetails({
+        nodes: [
+          { id: 'start', type: 'trigger', next: 'wait' },
+          { id: 'wait', type: 'wait', delay: { amount: 120, unit: 'days' }, next: 'value' },
+          {
+            id: 'value',
+            type: 'condition',
+            condition: { type: 'order_value', operator: 'between', value: 10 },
+            yes: 'sms',
+          },
+          { id: 'sms', type: 'send_sms', message: ' ' },
+          { id: 'dup', type: 'exit' },
+          { id: 'dup', type: 'exit' },
+        ],
+      });
+
+      expect(details).toEqual([
+        "Duplicate node id 'dup'",
+        'Waits must last between 1 minute and 90 days',
+        'order_value needs an operator and a numeric value',
+        'SMS nodes need a message',
+      ]);
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    const startedAt = new Date('2025-03-01T10:00:00Z');
+    const contact = {
+      hasPurchased: true,
+      lastOrderAt: new Date('2025-02-20T10:00:00Z'),
+      tags: ['vip'],
+      shopifyTags: ['Wholesale'],
+    };
+    const facts = { contact, startedAt, clicked: false, orderValue: 80 };
+
+    it('checks purchases overall or since entering the flow', () => {
+      expect(evaluateCondition({ type: 'has_purchased', value: true }, facts)).toBe(true);
+      expect(
+        evaluateCondition({ type: 'has_purchased', value: true, sinceEntry: true }, facts),
+      ).toBe(false);
+      expect(
+        evaluateCondition(
+          { type: 'has_purchased', value: true, sinceEntry: true },
+          { ...facts, contact: { ...contact, lastOrderAt: new Date('2025-03-02T10:00:00Z') } },
+        ),
+      ).toBe(true);
+    });
+
+    it('checks clicks', () => {
+      expect(evaluateCondition({ type: 'clicked', value: false }, facts)).toBe(true);
+      expect(evaluateCondition({ type: 'clicked', value: true }, facts)).toBe(false);
+    });
+
+    it('matches app and Shopify tags case-insensitively', () => {
+      expect(evaluateCondition({ type: 'has_tag', tag: 'VIP' }, facts)).toBe(true);
+      expect(evaluateCondition({ type: 'has_tag', tag: 'wholesale' }, facts)).toBe(true);
+      expect(evaluateCondition({ type: 'has_tag', tag: 'new' }, facts)).toBe(false);
+    });
+
+    it('compares the order value and fails without one', () => {
+      expect(evaluateCondition({ type: 'order_value', operator: 'gte', value: 80 }, facts)).toBe(
+        true,
+      );
+      expect(evaluateCondition({ type: 'order_value', operator: 'gt', value: 80 }, facts)).toBe(
+        false,
+      );
+      expect(
+        evaluateCondition(
+          { type: 'order_value', operator: 'lt', value: 100 },
+          { ...facts, orderValue: null },
+        ),
+      ).toBe(false);
+    });
+  });
+
+  describe('resolvePath', () => {
+    const facts = {
+      contact: { hasPurchased: false, tags: [], shopifyTags: [] },
+      clicked: true,
+    };
+
+    it('follows yes or no out of a condition', () => {
+      expect(resolvePath(graph.nodes[2], facts)).toEqual({ event: NodeEvent.no, next: 'split' });
+    });
+
+    it('takes the first matching branch, else the default', () => {
+      expect(resolvePath(graph.nodes[3], facts)).toEqual({ event: 'branch_1', next: 'done' });
+      expect(resolvePath(graph.nodes[3], { ...facts, clicked: false })).toEqual({
+        event: NodeEvent.defaultBranch,
+        next: 'reminder',
+      });
+    });
+  });
+
+  describe('getUsedConditionTypes', () => {
+    it('collects condition and branch condition types', () => {
+      expect([...getUsedConditionTypes(graph)].sort()).toEqual([
+        'clicked',
+        'has_purchased',
+        'has_tag',
+      ]);
+    });
+  });
+
+  describe('summarizeNodeStats', () => {
+    it('groups events by node in graph order and drops removed nodes', () => {
+      const stats = summarizeNodeStats(graph, [
+        { nodeId: 'bought', event: 'entered', count: 10 },
+        { nodeId: 'bought', event: 'no', count: 7 },
+        { nodeId: 'bought', event: 'yes', count: 3 },
+        { nodeId: 'vip', event: 'sent', count: 2 },
+        { nodeId: 'removed', event: 'entered', count: 4 },
+      ]);
+
+      expect(stats.map(stat => stat.nodeId)).toEqual(graph.nodes.map(node => node.id));
+      expect(stats[2]).toEqual({
+        nodeId: 'bought',
+        type: 'condition',
+        entered: 10,
+        events: { entered: 10, no: 7, yes: 3 },
+      });
+      expect(stats[4].events).toEqual({ sent: 2 });
+      expect(stats[0].entered).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit tests for inbound keyword rules
+ *
+ * Tests verify how replies are normalized, how shop keywords extend the
+ * built-in lists, and that only a reply consisting of a keyword changes
+ * consent
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  KeywordAction,
+  DEFAULT_KEYWORDS,
+  normalizeKeyword,
+  buildKeywordLists,
+  matchKeyword,
+} from '../../services/inbound-keyword-rules.js';
+
+const defaults = buildKeywordLists(null);
+
+describe('Inbound Keyword Rules', () => {
+  describe('normalizeKeyword', () => {
+    it('uppercases and strips punctuation and emoji', () => {
+      expect(normalizeKeyword(' stop! ')).toBe('STOP');
+      expect(normalizeKeyword('Stop 🙏')).toBe('STOP');
+      expect(normalizeKeyword('opt-out')).toBe('OPTOUT');
+    });
+
+    it('strips accents', () => {
+      expect(normalizeKeyword('Διακοπή')).toBe('ΔΙΑΚΟΠΗ');
+      expect(normalizeKeyword('Βοήθεια')).toBe('ΒΟΗΘΕΙΑ');
+    });
+
+    it('handles empty input', () => {
+      expect(normalizeKeyword(null)).toBe('');
+      expect(normalizeKeyword('!!!')).toBe('');
+    });
+  });
+
+  describe('buildKeywordLists', () => {
+    it('uses the built-in keywords without settings', () => {
+      expect(defaults).toEqual(DEFAULT_KEYWORDS);
+    });
+
+    it('adds normalized shop keywords without duplicates', () => {
+      const lists = buildKeywordLists({
+        stopKeywords: ['basta', 'Stop', ' '],
+        startKeywords: ['Ναι'],
+        helpKeywords: null,
+      });
+
+      expect(lists[KeywordAction.stop]).toEqual([...DEFAULT_KEYWORDS.stop, 'BASTA']);
+      expect(lists[KeywordAction.start]).toEqual([...DEFAULT_KEYWORDS.start, 'ΝΑΙ']);
+      expect(lists[KeywordAction.help]).toEqual(DEFAULT_KEYWORDS.help);
+    });
+  });
+
+  describe('matchKeyword', () => {
+    it('matches a reply that is only a keyword', () => {
+      expect(matchKeyword('Stop', defaults)).toEqual({ action: 'stop', keyword: 'STOP' });
+      expect(matchKeyword('stop.', defaults)).toEqual({ action: 'stop', keyword: 'STOP' });
+      expect(matchKeyword('help?', defaults)).toEqual({ action: 'help', keyword: 'HELP' });
+      expect(matchKeyword('διακοπή', defaults)).toEqual({ action: 'stop', keyword: 'ΔΙΑΚΟΠΗ' });
+    });
+
+    it('matches YES only as a double opt-in confirmation', () => {
+      expect(DEFAULT_KEYWORDS.start).not.toContain('YES');
+      expect(matchKeyword('Yes!! 😀', defaults)).toEqual({
+        action: 'confirm',
+        keyword: 'YES',
+      });
+    });
+
+    it('lets a shop START keyword take over YES', () => {
+      const lists = buildKeywordLists({ startKeywords: ['yes'] });
+      expect(matchKeyword('yes', lists)).toEqual({ action: 'start', keyword: 'YES' });
+    });
+
+    it('ignores spacing inside a keyword', () => {
+      expect(matchKeyword('Stop all', defaults)).toEqual({ action: 'stop', keyword: 'STOPALL' });
+      expect(matchKeyword('opt out', defaults)).toEqual({ action: 'stop', keyword: 'OPTOUT' });
+    });
+
+    it('does not match ordinary replies that start with a keyword', () => {
+      expect(matchKeyword('Stop by tomorrow?', defaults)).toBeNull();
+      expect(matchKeyword('Cancel my order please', defaults)).toBeNull();
+      expect(matchKeyword('End of month sale?', defaults)).toBeNull();
+      expect(matchKeyword("Yes I'll come", defaults)).toBeNull();
+    });
+
+    it('matches shop keywords', () => {
+      const lists = buildKeywordLists({ stopKeywords: ['Basta'] });
+      expect(matchKeyword('basta!', lists)).toEqual({ action: 'stop', keyword: 'BASTA' });
+    });
+
+    it('prefers STOP when a shop keyword overlaps', () => {
+      const lists = buildKeywordLists({ startKeywords: ['STOP'] });
+      expect(matchKeyword('stop', lists).action).toBe(KeywordAction.stop);
+    });
+
+    it('returns null for empty replies', () => {
+      expect(matchKeyword('', defaults)).toBeNull();
+      expect(matchKeyword('👍', defaults)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Unit tests for inbox thread rules
+ *
+ * Tests verify how MessageLog and CampaignRecipient rows are merged into the
+ * history of a conversation
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  ThreadMessageSource,
+  INBOX_REPLY_TYPE,
+  PREVIEW_LENGTH,
+  getMessageLogText,
+  buildPreview,
+  logToThreadMessage,
+  mergeThreadMessages,
+} from '../../services/inbox-threads.js';
+
+const at = minutes => new Date(Date.UTC(2025, 2, 1, 12, minutes));
+
+const log = (id, minutes, data = {}) => ({
+  id,
+  direction: 'outbound',
+  status: 'sent',
+  createdAt: at(minutes),
+  ...data,
+});
+
+const recipient = (id, minutes, data = {}) => ({
+  id,
+  campaignId: 'campaign_1',
+  status: 'sent',
+  sentAt: at(minutes),
+  campaign: { name: 'Spring sale', message: 'Hi {{firstName}}, 20% off!' },
+  variant: null,
+  ...data,
+});
+
+describe('Inbox Threads', () => {
+  describe('getMessageLogText', () => {
+    it('should prefer the text column over the payload', () => {
+      expect(getMessageLogText({ text: 'Hello', payload: { text: 'Old' } })).toBe('Hello');
+    });
+
+    it('should read the text of older rows from the payload', () => {
+      expect(getMessageLogText({ payload: { message: 'Is it in stock?' } })).toBe(
+        'Is it in stock?',
+      );
+      expect(getMessageLogText({ payload: null })).toBeNull();
+    });
+  });
+
+  describe('buildPreview', () => {
+    it('should collapse whitespace and shorten long messages', () => {
+      expect(buildPreview('Hello\n  there')).toBe('Hello there');
+      const preview = buildPreview('a'.repeat(300));
+      expect(preview).toHaveLength(PREVIEW_LENGTH);
+      expect(preview.endsWith('…')).toBe(true);
+      expect(buildPreview(null)).toBeNull();
+    });
+  });
+
+  describe('logToThreadMessage', () => {
+    it('should classify messages by source', () => {
+      expect(logToThreadMessage(log('1', 0, { direction: 'inbound' })).source).toBe(
+        ThreadMessageSource.inbound,
+      );
+      expect(logToThreadMessage(log('2', 0, { campaignId: 'c1' })).source).toBe(
+        ThreadMessageSource.campaign,
+      );
+      expect(logToThreadMessage(log('3', 0, { automationId: 'a1' })).source).toBe(
+        ThreadMessageSource.automation,
+      );
+      expect(
+        logToThreadMessage(log('4', 0, { payload: { type: INBOX_REPLY_TYPE } })).source,
+      ).toBe(ThreadMessageSource.reply);
+      expect(
+        logToThreadMessage(log('5', 0, { payload: { type: 'keyword_reply' } })).source,
+      ).toBe(ThreadMessageSource.system);
+    });
+  });
+
+  describe('mergeThreadMessages', () => {
+    it('should merge both sources newest first', () => {
+      const { messages, nextBefore } = mergeThreadMessages(
+        [log('reply', 30, { text: 'Yes it is' }), log('in', 20, { direction: 'inbound' })],
+        [recipient('r1', 10)],
+        10,
+      );
+
+      expect(messages.map(m => m.id)).toEqual(['reply', 'in', 'r1']);
+      expect(messages[2]).toMatchObject({
+        source: ThreadMessageSource.campaign,
+        text: 'Hi {{firstName}}, 20% off!',
+        template: true,
+        campaignName: 'Spring sale',
+      });
+      expect(nextBefore).toBeNull();
+    });
+
+    it('should use the variant message of A/B test recipients', () => {
+      const { messages } = mergeThreadMessages(
+        [],
+        [recipient('r1', 10, { variant: { message: 'Variant B' } })],
+        10,
+      );
+      expect(messages[0].text).toBe('Variant B');
+    });
+
+    it('should show a campaign send logged in both places once', () => {
+      const { messages } = mergeThreadMessages(
+        [log('l1', 10, { campaignId: 'campaign_1', providerMsgId: 'msg_1' })],
+        [recipient('r1', 10, { mittoMessageId: 'msg_1' }), recipient('r2', 5)],
+        10,
+      );
+      expect(messages.map(m => m.id)).toEqual(['l1', 'r2']);
+    });
+
+    it('should return a cursor when more messages may exist', () => {
+      const { messages, nextBefore } = mergeThreadMessages(
+        [log('l1', 30), log('l2', 20)],
+        [recipient('r1', 25)],
+        2,
+      );
+      expect(messages.map(m => m.id)).toEqual(['l1', 'r1']);
+      expect(nextBefore).toEqual(at(25));
+    });
+  });
+});
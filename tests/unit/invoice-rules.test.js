@@ -0,0 +1,115 @@
+/**
+ * Unit tests for invoice rules
+ *
+ * Tests verify invoice numbering, amount formatting, the invoice layout and
+ * the PDF produced from it
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  formatInvoiceNumber,
+  formatMoney,
+  formatRate,
+  getPartyLines,
+  buildInvoicePages,
+  renderInvoicePdf,
+} from '../../services/invoice-rules.js';
+import { toWinAnsi, wrapText } from '../../utils/pdf.js';
+
+const invoice = {
+  number: 'INV-2025-000042',
+  issuedAt: new Date('2025-03-15T10:00:00Z'),
+  description: 'Top-up of 1000 SMS credits',
+  credits: 1000,
+  currency: 'EUR',
+  netCents: 4500,
+  vatRate: 0,
+  vatCents: 0,
+  totalCents: 4500,
+  vatNote: 'Reverse charge: VAT to be accounted for by the recipient.',
+  seller: { name: 'Astronote', addressLines: ['1 Main St'], country: 'GR', vatId: 'EL999999999' },
+  customer: {
+    name: 'Müller GmbH',
+    addressLines: ['Hauptstraße 5', '10115 Berlin'],
+    country: 'DE',
+    vatId: 'DE123456789',
+    email: 'billing@example.de',
+  },
+  paymentReference: 'pi_123',
+};
+
+const texts = pages => pages.flat().filter(el => el.type === 'text').map(el => el.text);
+
+describe('Invoice Rules', () => {
+  it('numbers invoices per year with zero padding', () => {
+    expect(formatInvoiceNumber('INV', 2025, 42)).toBe('INV-2025-000042');
+    expect(formatInvoiceNumber('AST', 2026, 1234567)).toBe('AST-2026-1234567');
+  });
+
+  it('formats amounts and rates', () => {
+    expect(formatMoney(5580, 'eur')).toBe('55.80 EUR');
+    expect(formatRate(0.24)).toBe('24%');
+    expect(formatRate(0.255)).toBe('25.5%');
+  });
+
+  it('prints the address, country and VAT ID of a party', () => {
+    expect(getPartyLines(invoice.customer)).toEqual([
+      'Müller GmbH',
+      'Hauptstraße 5',
+      '10115 Berlin',
+      'DE',
+      'VAT ID: DE123456789',
+      'billing@example.de',
+    ]);
+  });
+
+  it('lays out the number, parties, totals and VAT note', () => {
+    const lines = texts(buildInvoicePages(invoice));
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'Invoice no. INV-2025-000042',
+        'Issue date: 2025-03-15',
+        'VAT ID: DE123456789',
+        'VAT (0%)',
+        '45.00 EUR',
+        'Paid by card. Payment reference: pi_123',
+      ]),
+    );
+    expect(lines.some(line => line.startsWith('Reverse charge'))).toBe(true);
+  });
+
+  it('prints the subscription period', () => {
+    const lines = texts(
+      buildInvoicePages({
+        ...invoice,
+        periodStart: new Date('2025-03-01T00:00:00Z'),
+        periodEnd: new Date('2025-04-01T00:00:00Z'),
+      }),
+    );
+    expect(lines).toContain('Period: 2025-03-01 - 2025-04-01');
+  });
+
+  it('renders a well-formed PDF', () => {
+    const pdf = renderInvoicePdf(invoice).toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+    expect(pdf).toContain('(Invoice no. INV-2025-000042)');
+    // Non-ASCII text is written as WinAnsi octal escapes
+    expect(pdf).toContain('(M\\374ller GmbH)');
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const firstObject = Number(pdf.match(/xref\n0 \d+\n0000000000 65535 f \n(\d{10})/)[1]);
+    expect(pdf.slice(firstObject, firstObject + 7)).toBe('1 0 obj');
+  });
+
+  it('encodes text as WinAnsi', () => {
+    expect(toWinAnsi('€ é ő Ω')).toEqual([0x80, 0x20, 0xe9, 0x20, 0x6f, 0x20, 0x3f]);
+  });
+
+  it('wraps long text', () => {
+    const lines = wrapText('one two three four five six seven', 60, 10);
+    expect(lines.length).toBeGreaterThan(1);
+    expect(lines.join(' ')).toBe('one two three four five six seven');
+  });
+});
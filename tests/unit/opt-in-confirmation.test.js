@@ -0,0 +1,67 @@
+/**
+ * Unit tests for double opt-in confirmation links
+ *
+ * Tests verify signed confirmation tokens (expiry and tampering) and the
+ * confirmation SMS
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  generateConfirmationToken,
+  verifyConfirmationToken,
+  buildConfirmationUrl,
+  buildConfirmationText,
+} from '../../utils/opt-in-confirmation.js';
+
+describe('Opt-in Confirmation Links', () => {
+  const now = new Date('2025-02-22T12:00:00Z');
+  const expiresAt = new Date('2025-02-24T12:00:00Z');
+
+  it('should accept a valid token before it expires', () => {
+    const token = generateConfirmationToken('conf_1', expiresAt);
+    expect(token).toMatch(/^conf_1\.\d+\.[\w-]{22}$/);
+    expect(verifyConfirmationToken(token, now)).toBe('conf_1');
+  });
+
+  it('should reject expired, tampered or malformed tokens', () => {
+    const token = generateConfirmationToken('conf_1', expiresAt);
+    const [, expires, signature] = token.split('.');
+
+    expect(verifyConfirmationToken(token, expiresAt)).toBeNull();
+    expect(verifyConfirmationToken(`conf_2.${expires}.${signature}`, now)).toBeNull();
+    expect(
+      verifyConfirmationToken(`conf_1.${Number(expires) + 3600}.${signature}`, now),
+    ).toBeNull();
+    expect(verifyConfirmationToken(`${token}.extra`, now)).toBeNull();
+    expect(verifyConfirmationToken('conf_1.abc.def', now)).toBeNull();
+    expect(verifyConfirmationToken('', now)).toBeNull();
+    expect(verifyConfirmationToken(undefined, now)).toBeNull();
+  });
+
+  it('should refuse to sign or verify without a secret in production', () => {
+    const token = generateConfirmationToken('conf_1', expiresAt);
+    const env = { ...process.env };
+    try {
+      process.env.NODE_ENV = 'production';
+      delete process.env.UNSUBSCRIBE_SECRET;
+      delete process.env.JWT_SECRET;
+      expect(() => generateConfirmationToken('conf_1', expiresAt)).toThrow(
+        'UNSUBSCRIBE_SECRET or JWT_SECRET must be set',
+      );
+      expect(() => verifyConfirmationToken(token, now)).toThrow();
+    } finally {
+      process.env = env;
+    }
+  });
+
+  it('should build the frontend confirmation URL and SMS', () => {
+    const url = buildConfirmationUrl('conf_1.1.sig', 'https://app.example.com/shopify/');
+    expect(url).toBe('https://app.example.com/shopify/opt-in/confirm/conf_1.1.sig');
+
+    const text = buildConfirmationText('Demo Store', url);
+    expect(text).toContain('Demo Store:');
+    expect(text).toContain('Reply YES');
+    expect(text).toContain(url);
+    expect(text).toContain('STOP');
+  });
+});
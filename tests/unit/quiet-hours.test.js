@@ -0,0 +1,100 @@
+/**
+ * Unit tests for quiet hours
+ *
+ * Tests verify quiet windows in the shop timezone, including windows that
+ * cross midnight, and that deferred sends land at the end of the window
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  parseTimeOfDay,
+  getQuietHoursWindow,
+  isQuietTime,
+  getNextAllowedTime,
+} from '../../utils/quiet-hours.js';
+
+describe('Quiet Hours', () => {
+  // 21:00 - 09:00 Athens time (UTC+2 in winter, UTC+3 in summer)
+  const window = getQuietHoursWindow({
+    quietHoursStart: '21:00',
+    quietHoursEnd: '09:00',
+    timezone: 'Europe/Athens',
+  });
+
+  describe('parseTimeOfDay', () => {
+    it('should parse HH:MM into minutes', () => {
+      expect(parseTimeOfDay('21:30')).toBe(21 * 60 + 30);
+      expect(parseTimeOfDay('00:00')).toBe(0);
+    });
+
+    it('should reject invalid times', () => {
+      expect(parseTimeOfDay('24:00')).toBeNull();
+      expect(parseTimeOfDay('9:00')).toBeNull();
+      expect(parseTimeOfDay(null)).toBeNull();
+    });
+  });
+
+  describe('getQuietHoursWindow', () => {
+    it('should be disabled without both bounds or with an empty window', () => {
+      expect(getQuietHoursWindow({ quietHoursStart: '21:00' })).toBeNull();
+      expect(
+        getQuietHoursWindow({ quietHoursStart: '21:00', quietHoursEnd: '21:00' }),
+      ).toBeNull();
+      expect(getQuietHoursWindow(null)).toBeNull();
+    });
+  });
+
+  describe('isQuietTime', () => {
+    it('should use the shop timezone for windows crossing midnight', () => {
+      // 18:59 UTC = 20:59 Athens
+      expect(isQuietTime(new Date('2025-01-10T18:59:00Z'), window)).toBe(false);
+      // 19:00 UTC = 21:00 Athens
+      expect(isQuietTime(new Date('2025-01-10T19:00:00Z'), window)).toBe(true);
+      // 06:59 UTC = 08:59 Athens
+      expect(isQuietTime(new Date('2025-01-11T06:59:00Z'), window)).toBe(true);
+      // 07:00 UTC = 09:00 Athens
+      expect(isQuietTime(new Date('2025-01-11T07:00:00Z'), window)).toBe(false);
+    });
+
+    it('should handle windows within a single day', () => {
+      const lunch = getQuietHoursWindow({
+        quietHoursStart: '12:00',
+        quietHoursEnd: '14:00',
+      });
+      expect(isQuietTime(new Date('2025-01-10T13:00:00Z'), lunch)).toBe(true);
+      expect(isQuietTime(new Date('2025-01-10T14:00:00Z'), lunch)).toBe(false);
+    });
+
+    it('should never be quiet without a window', () => {
+      expect(isQuietTime(new Date(), null)).toBe(false);
+    });
+  });
+
+  describe('getNextAllowedTime', () => {
+    it('should keep send times outside quiet hours', () => {
+      const date = new Date('2025-01-10T12:00:00Z');
+      expect(getNextAllowedTime(date, window)).toBe(date);
+    });
+
+    it('should defer late evening sends to the next morning', () => {
+      // 22:30 Athens on Jan 10 -> 09:00 Athens on Jan 11
+      expect(
+        getNextAllowedTime(new Date('2025-01-10T20:30:00Z'), window).toISOString(),
+      ).toBe('2025-01-11T07:00:00.000Z');
+    });
+
+    it('should defer early morning sends to the same morning', () => {
+      // 03:00 Athens on Jan 11 -> 09:00 Athens on Jan 11
+      expect(
+        getNextAllowedTime(new Date('2025-01-11T01:00:00Z'), window).toISOString(),
+      ).toBe('2025-01-11T07:00:00.000Z');
+    });
+
+    it('should follow DST changes', () => {
+      // 23:00 Athens on Mar 29 (UTC+2) -> 09:00 Athens on Mar 30 (UTC+3)
+      expect(
+        getNextAllowedTime(new Date('2025-03-29T21:00:00Z'), window).toISOString(),
+      ).toBe('2025-03-30T06:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Unit tests for report export formats
+ *
+ * Tests verify CSV escaping (including spreadsheet formula injection),
+ * JSON lines output, the XLSX package and signed download links
+ */
+
+import zlib from 'zlib';
+import { describe, it, expect } from '@jest/globals';
+import {
+  escapeCsvValue,
+  formatCsvHeader,
+  formatCsvRow,
+  formatJsonLine,
+  getExportFileInfo,
+} from '../../utils/export-format.js';
+import { buildXlsx, getColumnName } from '../../utils/xlsx.js';
+import {
+  signExportDownload,
+  verifyExportDownload,
+  buildExportDownloadUrl,
+} from '../../utils/export-download.js';
+
+// Read one file from a zip built by buildXlsx (local headers only)
+function readZipEntry(buffer, name) {
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const entryName = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength;
+    if (entryName === name) {
+      return zlib
+        .inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize))
+        .toString('utf8');
+    }
+    offset = dataStart + compressedSize;
+  }
+  return null;
+}
+
+describe('Report Export Formats', () => {
+  const columns = [
+    { key: 'name', header: 'Name' },
+    { key: 'phone', header: 'Phone' },
+    { key: 'tags', header: 'Tags' },
+    { key: 'createdAt', header: 'Created At' },
+  ];
+  const row = {
+    name: 'Papadopoulos, "Nikos"',
+    phone: '+306912345678',
+    tags: ['vip', 'greece'],
+    createdAt: new Date('2025-01-10T12:00:00Z'),
+  };
+
+  describe('CSV', () => {
+    it('should quote fields with commas, quotes and line breaks', () => {
+      expect(escapeCsvValue('a,b')).toBe('"a,b"');
+      expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvValue('line\nbreak')).toBe('"line\nbreak"');
+      expect(escapeCsvValue(null)).toBe('');
+    });
+
+    it('should neutralize formulas but keep signed numbers', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsvValue('-2+3')).toBe("'-2+3");
+      expect(escapeCsvValue('+306912345678')).toBe('+306912345678');
+      expect(escapeCsvValue(-5)).toBe('-5');
+    });
+
+    it('should render header and rows in column order', () => {
+      expect(formatCsvHeader(columns)).toBe('Name,Phone,Tags,Created At\r\n');
+      expect(formatCsvRow(columns, row)).toBe(
+        '"Papadopoulos, ""Nikos""",+306912345678,vip; greece,2025-01-10T12:00:00.000Z\r\n',
+      );
+    });
+  });
+
+  describe('JSON lines', () => {
+    it('should keep only column keys, one object per line', () => {
+      const line = formatJsonLine(columns, { ...row, secret: 'x' });
+      expect(line.endsWith('\n')).toBe(true);
+      expect(JSON.parse(line)).toEqual({
+        name: 'Papadopoulos, "Nikos"',
+        phone: '+306912345678',
+        tags: ['vip', 'greece'],
+        createdAt: '2025-01-10T12:00:00.000Z',
+      });
+    });
+  });
+
+  describe('XLSX', () => {
+    it('should name columns like spreadsheets', () => {
+      expect(getColumnName(0)).toBe('A');
+      expect(getColumnName(25)).toBe('Z');
+      expect(getColumnName(26)).toBe('AA');
+      expect(getColumnName(701)).toBe('ZZ');
+      expect(getColumnName(702)).toBe('AAA');
+    });
+
+    it('should build a workbook with a header row and typed cells', () => {
+      const xlsx = buildXlsx(
+        [...columns, { key: 'count', header: 'Count' }],
+        [{ ...row, count: 3 }],
+        { sheetName: 'contacts' },
+      );
+
+      expect(xlsx.subarray(0, 4).toString('binary')).toBe('PK\x03\x04');
+      expect(readZipEntry(xlsx, 'xl/workbook.xml')).toContain(
+        '<sheet name="contacts"',
+      );
+
+      const sheet = readZipEntry(xlsx, 'xl/worksheets/sheet1.xml');
+      expect(sheet).toContain('<c r="A1" t="inlineStr"><is><t xml:space="preserve">Name</t>');
+      expect(sheet).toContain('Papadopoulos, &quot;Nikos&quot;');
+      expect(sheet).toContain('<c r="E2"><v>3</v></c>');
+    });
+  });
+
+  describe('Signed download links', () => {
+    const now = new Date('2025-01-10T12:00:00Z');
+    const expires = Math.floor(now.getTime() / 1000) + 900;
+
+    it('should accept a valid link before it expires', () => {
+      const signature = signExportDownload('exp_1', expires);
+      expect(verifyExportDownload('exp_1', String(expires), signature, now)).toBe(true);
+    });
+
+    it('should reject expired, tampered or malformed links', () => {
+      const signature = signExportDownload('exp_1', expires);
+      const later = new Date((expires + 1) * 1000);
+      expect(verifyExportDownload('exp_1', expires, signature, later)).toBe(false);
+      expect(verifyExportDownload('exp_2', expires, signature, now)).toBe(false);
+      expect(verifyExportDownload('exp_1', expires + 60, signature, now)).toBe(false);
+      expect(verifyExportDownload('exp_1', expires, 'abc', now)).toBe(false);
+    });
+
+    it('should refuse to sign without a secret in production', () => {
+      const env = { ...process.env };
+      try {
+        process.env.NODE_ENV = 'production';
+        delete process.env.EXPORT_SIGNING_SECRET;
+        delete process.env.JWT_SECRET;
+        expect(() => signExportDownload('exp_1', expires)).toThrow(
+          'EXPORT_SIGNING_SECRET or JWT_SECRET must be set',
+        );
+
+        process.env.EXPORT_SIGNING_SECRET = 'export-secret';
+        expect(signExportDownload('exp_1', expires)).toMatch(/^[0-9a-f]{64}$/);
+      } finally {
+        process.env = env;
+      }
+    });
+
+    it('should build download URLs on the backend', () => {
+      const url = buildExportDownloadUrl(
+        'https://api.example.com/',
+        'exp_1',
+        new Date(expires * 1000),
+      );
+      expect(url).toBe(
+        `https://api.example.com/exports/exp_1/download?expires=${expires}&signature=${signExportDownload('exp_1', expires)}`,
+      );
+    });
+  });
+
+  it('should describe each format', () => {
+    expect(getExportFileInfo('csv').extension).toBe('csv');
+    expect(getExportFileInfo('jsonl').contentType).toBe('application/x-ndjson');
+    expect(() => getExportFileInfo('pdf')).toThrow();
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for segment rules engine
+ *
+ * Tests verify that Segment.ruleJson is translated into the expected
+ * Prisma where clauses and that malformed rules are rejected
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  buildSegmentWhere,
+  isDynamicRule,
+  validateSegmentRule,
+} from '../../services/segment-rules.js';
+import { ValidationError } from '../../utils/errors.js';
+
+const now = new Date('2025-01-31T00:00:00.000Z');
+
+describe('Segment Rules Engine', () => {
+  describe('isDynamicRule', () => {
+    it('should treat empty rules as static', () => {
+      expect(isDynamicRule({})).toBe(false);
+      expect(isDynamicRule(null)).toBe(false);
+      expect(isDynamicRule({ conditions: [] })).toBe(false);
+    });
+
+    it('should treat rules with conditions as dynamic', () => {
+      expect(
+        isDynamicRule({
+          conditions: [{ field: 'hasPurchased', op: 'eq', value: true }],
+        }),
+      ).toBe(true);
+    });
+  });
+
+  describe('buildSegmentWhere', () => {
+    it('should return null for static rules', () => {
+      expect(buildSegmentWhere({})).toBeNull();
+    });
+
+    it('should build tag conditions', () => {
+      const where = buildSegmentWhere({
+        conditions: [
+          { field: 'tags', op: 'has_any', value: ['vip', 'wholesale'] },
+          { field: 'tags', op: 'not_has', value: 'blocked' },
+        ],
+      });
+      expect(where).toEqual({
+        AND: [
+          { tags: { hasSome: ['vip', 'wholesale'] } },
+          { NOT: { tags: { has: 'blocked' } } },
+        ],
+      });
+    });
+
+    it('should build relative date conditions', () => {
+      const where = buildSegmentWhere(
+        {
+          conditions: [
+            { field: 'lastOrderAt', op: 'more_than_days_ago', value: 30 },
+          ],
+        },
+        { now },
+      );
+      expect(where).toEqual({
+        AND: [{ lastOrderAt: { lt: new Date('2025-01-01T00:00:00.000Z') } }],
+      });
+    });
+
+    it('should build nested OR groups', () => {
+      const where = buildSegmentWhere({
+        operator: 'AND',
+        conditions: [
+          { field: 'hasPurchased', op: 'eq', value: true },
+          {
+            operator: 'OR',
+            conditions: [
+              { field: 'gender', op: 'eq', value: 'female' },
+              { field: 'birthDate', op: 'is_set' },
+            ],
+          },
+        ],
+      });
+      expect(where).toEqual({
+        AND: [
+          { hasPurchased: true },
+          { OR: [{ gender: 'female' }, { birthDate: { not: null } }] },
+        ],
+      });
+    });
+  });
+
+  describe('validateSegmentRule', () => {
+    it('should reject unsupported fields', () => {
+      expect(() =>
+        validateSegmentRule({
+          conditions: [{ field: 'password', op: 'eq', value: 'x' }],
+        }),
+      ).toThrow(ValidationError);
+    });
+
+    it('should reject unsupported operators', () => {
+      expect(() =>
+        validateSegmentRule({
+          conditions: [{ field: 'hasPurchased', op: 'before', value: true }],
+        }),
+      ).toThrow(ValidationError);
+    });
+
+    it('should reject group operators that are not AND or OR', () => {
+      for (const operator of ['XOR', 1, ['AND'], { op: 'OR' }]) {
+        expect(() =>
+          validateSegmentRule({
+            operator,
+            conditions: [{ field: 'hasPurchased', op: 'eq', value: true }],
+          }),
+        ).toThrow(ValidationError);
+      }
+    });
+
+    it('should default the group operator to AND', () => {
+      expect(
+        buildSegmentWhere({
+          operator: null,
+          conditions: [{ field: 'hasPurchased', op: 'eq', value: true }],
+        }),
+      ).toEqual({ AND: [{ hasPurchased: true }] });
+    });
+
+    it('should reject invalid enum values', () => {
+      expect(() =>
+        validateSegmentRule({
+          conditions: [{ field: 'smsConsent', op: 'eq', value: 'maybe' }],
+        }),
+      ).toThrow(ValidationError);
+    });
+
+    it('should accept empty rules', () => {
+      expect(() => validateSegmentRule({})).not.toThrow();
+    });
+  });
+});
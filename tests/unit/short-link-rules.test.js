@@ -0,0 +1,128 @@
+/**
+ * Unit tests for short link rules
+ *
+ * Tests verify short link codes, the campaign, automation and contact
+ * context stored on links, and how clicks are counted
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  generateShortCode,
+  getLinkType,
+  buildShortLinkData,
+  getClickPhone,
+  buildClickEvent,
+  isNewClicker,
+} from '../../services/short-link-rules.js';
+
+describe('Short Link Rules', () => {
+  describe('generateShortCode', () => {
+    it('generates 8 URL-safe characters', () => {
+      for (let i = 0; i < 50; i++) {
+        expect(generateShortCode()).toMatch(/^[A-Za-z0-9_-]{8}$/);
+      }
+    });
+
+    it('generates different codes', () => {
+      const codes = new Set(Array.from({ length: 200 }, generateShortCode));
+      expect(codes.size).toBe(200);
+    });
+  });
+
+  describe('getLinkType', () => {
+    it('prefers the context link type, then detects discount links', () => {
+      expect(getLinkType('https://shop.example/discount/SAVE10', { linkType: 'offer' })).toBe(
+        'offer',
+      );
+      expect(getLinkType('https://shop.example/discount/SAVE10')).toBe('discount');
+      expect(getLinkType('https://shop.example/products/a')).toBe('link');
+    });
+  });
+
+  describe('buildShortLinkData', () => {
+    it('keeps the campaign context of a recipient link', () => {
+      expect(
+        buildShortLinkData('https://shop.example/products/a', {
+          shopId: 'shop_1',
+          campaignId: 'camp_1',
+          recipientId: 'rec_1',
+          contactId: 'contact_1',
+        }),
+      ).toEqual({
+        shopId: 'shop_1',
+        targetUrl: 'https://shop.example/products/a',
+        linkType: 'link',
+        campaignId: 'camp_1',
+        recipientId: 'rec_1',
+        contactId: 'contact_1',
+        automationId: null,
+        expiresAt: null,
+      });
+    });
+
+    it('keeps the automation context and ignores unknown fields', () => {
+      const data = buildShortLinkData('https://shop.example/discount/WELCOME', {
+        shopId: 'shop_1',
+        contactId: 'contact_1',
+        automationId: 'flow_1',
+        orderId: '1001',
+      });
+
+      expect(data).toMatchObject({
+        linkType: 'discount',
+        campaignId: null,
+        recipientId: null,
+        contactId: 'contact_1',
+        automationId: 'flow_1',
+      });
+      expect(data).not.toHaveProperty('orderId');
+    });
+  });
+
+  describe('buildClickEvent', () => {
+    const link = {
+      id: 'link_1',
+      campaignId: 'camp_1',
+      recipientId: 'rec_1',
+      contactId: 'contact_1',
+      linkType: 'link',
+      recipient: { phoneE164: '+306912345678' },
+      contact: { phoneE164: '+306900000000' },
+    };
+    const clickedAt = new Date('2025-03-01T10:00:00Z');
+
+    it('attributes a campaign click to the recipient phone', () => {
+      expect(buildClickEvent(link, { clickedAt, ipAddress: '1.2.3.4' })).toEqual({
+        campaignId: 'camp_1',
+        recipientId: 'rec_1',
+        contactId: 'contact_1',
+        phoneE164: '+306912345678',
+        linkType: 'link',
+        shortLinkId: 'link_1',
+        clickedAt,
+        ipAddress: '1.2.3.4',
+        userAgent: null,
+      });
+    });
+
+    it('falls back to the contact phone', () => {
+      expect(getClickPhone({ ...link, recipient: null })).toBe('+306900000000');
+      expect(buildClickEvent({ ...link, recipient: null }, { clickedAt }).phoneE164).toBe(
+        '+306900000000',
+      );
+    });
+
+    it('records no event outside campaigns or without a phone', () => {
+      expect(buildClickEvent({ ...link, campaignId: null })).toBeNull();
+      expect(buildClickEvent({ ...link, recipient: null, contact: null })).toBeNull();
+    });
+  });
+
+  describe('isNewClicker', () => {
+    it('counts a recipient only on their first campaign click', () => {
+      expect(isNewClicker(0)).toBe(true);
+      expect(isNewClicker(1)).toBe(false);
+      expect(isNewClicker(5)).toBe(false);
+    });
+  });
+});
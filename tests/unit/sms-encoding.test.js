@@ -0,0 +1,100 @@
+/**
+ * Unit tests for SMS encoding and segments
+ *
+ * Tests verify GSM-7/UCS-2 detection, segment counts at the concatenation
+ * limits and the UCS-2 warning
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  analyzeSmsText,
+  getSegmentCount,
+  toGsmText,
+  getEncodingWarning,
+} from '../../utils/sms-encoding.js';
+
+describe('SMS Encoding', () => {
+  describe('analyzeSmsText', () => {
+    it('should detect GSM-7, including uppercase Greek letters', () => {
+      expect(analyzeSmsText('Hello ΓΔ @ £5')).toMatchObject({
+        encoding: 'GSM-7',
+        characters: 13,
+        units: 13,
+        segments: 1,
+        remaining: 147,
+      });
+    });
+
+    it('should detect UCS-2 and list the characters causing it', () => {
+      expect(analyzeSmsText('Γεια σου')).toMatchObject({
+        encoding: 'UCS-2',
+        nonGsmCharacters: ['ε', 'ι', 'α', 'σ', 'ο', 'υ'],
+      });
+    });
+
+    it('should count extension characters as two septets', () => {
+      expect(analyzeSmsText('€{}')).toMatchObject({ units: 6, segments: 1 });
+      expect(getSegmentCount(`${'a'.repeat(159)}€`)).toBe(2);
+    });
+
+    it('should split GSM-7 at 160 and 153 septets', () => {
+      expect(getSegmentCount('a'.repeat(160))).toBe(1);
+      expect(getSegmentCount('a'.repeat(161))).toBe(2);
+      expect(getSegmentCount('a'.repeat(306))).toBe(2);
+      expect(getSegmentCount('a'.repeat(307))).toBe(3);
+    });
+
+    it('should not split an escape sequence across segments', () => {
+      expect(getSegmentCount(`${'a'.repeat(152)}€${'a'.repeat(152)}`)).toBe(3);
+    });
+
+    it('should split UCS-2 at 70 and 67 characters', () => {
+      expect(getSegmentCount('α'.repeat(70))).toBe(1);
+      expect(getSegmentCount('α'.repeat(71))).toBe(2);
+      expect(getSegmentCount('α'.repeat(134))).toBe(2);
+      expect(getSegmentCount('α'.repeat(135))).toBe(3);
+    });
+
+    it('should count emoji as two UCS-2 characters', () => {
+      expect(analyzeSmsText(`${'a'.repeat(69)}😀`)).toMatchObject({
+        encoding: 'UCS-2',
+        characters: 70,
+        units: 71,
+        segments: 2,
+      });
+    });
+
+    it('should return no segments for an empty text', () => {
+      expect(getSegmentCount('')).toBe(0);
+    });
+  });
+
+  describe('getEncodingWarning', () => {
+    it('should not warn for GSM-7 messages', () => {
+      expect(getEncodingWarning('Sale starts now!')).toBeNull();
+    });
+
+    it('should name the character and suggest a GSM-7 text', () => {
+      const text = `Don’t miss out ${'a'.repeat(60)}`;
+      const warning = getEncodingWarning(text);
+      expect(warning).toMatchObject({
+        code: 'ucs2_encoding',
+        characters: ['’'],
+        segments: 2,
+        gsmSegments: 1,
+        suggestion: `Don't miss out ${'a'.repeat(60)}`,
+      });
+      expect(warning.message).toContain('The character "’" switches');
+    });
+
+    it('should not suggest a text that stays UCS-2', () => {
+      expect(getEncodingWarning('Sale 😀').suggestion).toBeNull();
+    });
+  });
+
+  describe('toGsmText', () => {
+    it('should replace look-alikes and keep other characters', () => {
+      expect(toGsmText('“Hi” – ok… 😀')).toBe('"Hi" - ok... 😀');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit tests for the loopback SMS provider
+ *
+ * Tests verify that messages are recorded without network access and that
+ * simulated delivery reports round-trip through the provider's DLR parser
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import loopback from '../../services/sms-provider-loopback.js';
+import { ValidationError } from '../../utils/errors.js';
+
+describe('Loopback SMS Provider', () => {
+  beforeEach(() => {
+    loopback.reset();
+  });
+
+  afterEach(() => {
+    delete process.env.SMS_LOOPBACK_FAIL_NUMBERS;
+    delete process.env.SMS_LOOPBACK_ENABLED;
+  });
+
+  describe('isEnabled', () => {
+    const nodeEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    it('should need SMS_LOOPBACK_ENABLED outside production', () => {
+      process.env.NODE_ENV = 'development';
+      expect(loopback.isEnabled()).toBe(false);
+      expect(loopback.verifyWebhook()).toBe(false);
+
+      process.env.SMS_LOOPBACK_ENABLED = 'true';
+      expect(loopback.isEnabled()).toBe(true);
+      expect(loopback.verifyWebhook()).toBe(true);
+    });
+
+    it('should need SMS_LOOPBACK_ENABLED in production', () => {
+      process.env.NODE_ENV = 'production';
+      expect(loopback.isEnabled()).toBe(false);
+      expect(loopback.verifyWebhook()).toBe(false);
+
+      process.env.SMS_LOOPBACK_ENABLED = 'true';
+      expect(loopback.isEnabled()).toBe(true);
+      expect(loopback.verifyWebhook()).toBe(true);
+    });
+  });
+
+  describe('send', () => {
+    it('should record the message', async () => {
+      const result = await loopback.send({
+        to: '+306900000001',
+        text: 'Hello',
+        sender: 'Shop',
+      });
+
+      expect(result.messageId).toMatch(/^loopback-/);
+      expect(result.status).toBe('Queued');
+      expect(loopback.getSentMessages()).toEqual([
+        expect.objectContaining({
+          messageId: result.messageId,
+          destination: '+306900000001',
+          text: 'Hello',
+          sender: 'Shop',
+        }),
+      ]);
+    });
+
+    it('should reject non E.164 numbers', async () => {
+      await expect(
+        loopback.send({ to: '6900000001', text: 'Hello' }),
+      ).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('sendBulk', () => {
+    it('should return results in request order and fail invalid numbers individually', async () => {
+      const result = await loopback.sendBulk([
+        { destination: '+306900000001', text: 'A', sender: 'Shop' },
+        { destination: 'invalid', text: 'B', sender: 'Shop' },
+        { destination: '+306900000003', text: 'C', sender: 'Shop' },
+      ]);
+
+      expect(result.bulkId).toMatch(/^loopback-bulk-/);
+      expect(result.messages).toHaveLength(3);
+      expect(result.messages[0].messageId).toBeTruthy();
+      expect(result.messages[1]).toEqual({
+        messageId: null,
+        error: 'Invalid phone number',
+      });
+      expect(result.messages[2].messageId).toBeTruthy();
+      expect(loopback.getSentMessages()).toHaveLength(2);
+    });
+  });
+
+  describe('delivery reports', () => {
+    it('should simulate a delivered DLR that parses as sent', async () => {
+      const { messageId } = await loopback.send({
+        to: '+306900000001',
+        text: 'Hello',
+      });
+
+      const [event] = loopback.parseDlr(loopback.simulateDlr(messageId));
+
+      expect(event.messageId).toBe(messageId);
+      expect(event.status).toBe('Delivered');
+      expect(event.internalStatus).toBe('sent');
+      expect(event.doneAt).toBeInstanceOf(Date);
+    });
+
+    it('should simulate failures for configured numbers', async () => {
+      process.env.SMS_LOOPBACK_FAIL_NUMBERS = '+306900000009';
+      const { messageId } = await loopback.send({
+        to: '+306900000009',
+        text: 'Hello',
+      });
+
+      const status = await loopback.getStatus(messageId);
+      const [event] = loopback.parseDlr(loopback.simulateDlr(messageId));
+
+      expect(status.deliveryStatus).toBe('Failure');
+      expect(event.internalStatus).toBe('failed');
+      expect(event.error).toBe('Simulated delivery failure');
+    });
+  });
+
+  describe('parseInbound', () => {
+    it('should normalize the sender number', () => {
+      expect(
+        loopback.parseInbound({ from: '306900000001', text: 'STOP' }),
+      ).toEqual(
+        expect.objectContaining({ from: '+306900000001', text: 'STOP' }),
+      );
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for template rules
+ *
+ * Tests verify which updates create a template version, and how two
+ * versions are compared field by field and line by line
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  MAX_DIFF_LINES,
+  getChangedFields,
+  getVersionSnapshot,
+  diffLines,
+  diffVersions,
+} from '../../services/template-rules.js';
+
+const template = {
+  id: 'tpl_1',
+  title: 'Welcome',
+  category: 'welcome',
+  content: 'Hi {{firstName}}!\nWelcome to our store.',
+  tags: ['welcome', 'new'],
+  folderId: null,
+  version: 3,
+};
+
+describe('Template Rules', () => {
+  describe('getChangedFields', () => {
+    it('lists the versioned fields that change', () => {
+      expect(
+        getChangedFields(template, { title: 'Hello', content: template.content }),
+      ).toEqual(['title']);
+    });
+
+    it('ignores undefined and non-versioned fields', () => {
+      expect(getChangedFields(template, { title: undefined, folderId: 'folder_1' })).toEqual([]);
+    });
+
+    it('compares tags by value and order', () => {
+      expect(getChangedFields(template, { tags: ['welcome', 'new'] })).toEqual([]);
+      expect(getChangedFields(template, { tags: ['new', 'welcome'] })).toEqual(['tags']);
+      expect(getChangedFields({ ...template, tags: null }, { tags: [] })).toEqual([]);
+    });
+  });
+
+  describe('getVersionSnapshot', () => {
+    it('keeps only the versioned fields', () => {
+      expect(getVersionSnapshot({ ...template, tags: undefined })).toEqual({
+        title: 'Welcome',
+        category: 'welcome',
+        content: template.content,
+        tags: [],
+      });
+    });
+  });
+
+  describe('diffLines', () => {
+    it('marks equal, removed and added lines', () => {
+      expect(diffLines('a\nb\nc', 'a\nx\nc\nd')).toEqual([
+        { type: 'equal', text: 'a' },
+        { type: 'removed', text: 'b' },
+        { type: 'added', text: 'x' },
+        { type: 'equal', text: 'c' },
+        { type: 'added', text: 'd' },
+      ]);
+    });
+
+    it('returns only equal lines for identical texts', () => {
+      expect(diffLines('same\ntext', 'same\ntext').every(line => line.type === 'equal')).toBe(
+        true,
+      );
+    });
+
+    it('treats missing text as empty', () => {
+      expect(diffLines(null, 'new')).toEqual([
+        { type: 'removed', text: '' },
+        { type: 'added', text: 'new' },
+      ]);
+    });
+
+    it('replaces everything beyond the line limit', () => {
+      const long = Array.from({ length: MAX_DIFF_LINES + 1 }, (_, i) => `line ${i}`).join('\n');
+      const lines = diffLines(long, long);
+
+      expect(lines).toHaveLength((MAX_DIFF_LINES + 1) * 2);
+      expect(lines[0].type).toBe('removed');
+      expect(lines[lines.length - 1].type).toBe('added');
+    });
+  });
+
+  describe('diffVersions', () => {
+    it('reports changed fields and content stats', () => {
+      const diff = diffVersions(template, {
+        ...template,
+        title: 'Welcome!',
+        content: 'Hi {{firstName}}!\nWelcome to our shop.\nEnjoy 10% off.',
+      });
+
+      expect(diff.changed).toBe(true);
+      expect(diff.fields).toEqual([{ field: 'title', from: 'Welcome', to: 'Welcome!' }]);
+      expect(diff.stats).toEqual({ added: 2, removed: 1 });
+    });
+
+    it('reports no change between identical versions', () => {
+      const diff = diffVersions(template, getVersionSnapshot(template));
+
+      expect(diff.changed).toBe(false);
+      expect(diff.fields).toEqual([]);
+      expect(diff.stats).toEqual({ added: 0, removed: 0 });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for VAT rules
+ *
+ * Tests verify VAT treatment by customer country and VAT ID (domestic,
+ * EU reverse charge, EU consumers, outside the EU), VAT ID normalization
+ * and the net/VAT split of amounts
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  VatTreatment,
+  normalizeCountry,
+  normalizeVatId,
+  validateVatId,
+  computeVat,
+  splitGrossAmount,
+  addVat,
+} from '../../services/vat-rules.js';
+
+describe('VAT Rules', () => {
+  describe('computeVat', () => {
+    it('charges the seller rate to domestic customers, with or without a VAT ID', () => {
+      expect(computeVat({ sellerCountry: 'GR', country: 'GR' })).toMatchObject({
+        rate: 0.24,
+        treatment: VatTreatment.domestic,
+        note: null,
+      });
+      expect(
+        computeVat({ sellerCountry: 'GR', country: 'GR', vatId: 'EL123456789' }).rate,
+      ).toBe(0.24);
+    });
+
+    it('falls back to domestic VAT when the country is unknown', () => {
+      expect(computeVat({ sellerCountry: 'GR', country: null })).toMatchObject({
+        rate: 0.24,
+        treatment: VatTreatment.domestic,
+        country: 'GR',
+      });
+    });
+
+    it('reverse charges EU businesses with a VAT ID', () => {
+      const vat = computeVat({ sellerCountry: 'GR', country: 'DE', vatId: 'DE123456789' });
+      expect(vat.rate).toBe(0);
+      expect(vat.treatment).toBe(VatTreatment.reverseCharge);
+      expect(vat.note).toMatch(/Reverse charge/);
+    });
+
+    it('charges the customer country rate to EU customers without a VAT ID', () => {
+      expect(computeVat({ sellerCountry: 'GR', country: 'de' })).toMatchObject({
+        rate: 0.19,
+        treatment: VatTreatment.euConsumer,
+        country: 'DE',
+      });
+    });
+
+    it('charges no VAT outside the EU', () => {
+      expect(computeVat({ sellerCountry: 'GR', country: 'US' })).toMatchObject({
+        rate: 0,
+        treatment: VatTreatment.outsideEu,
+      });
+    });
+  });
+
+  describe('VAT IDs', () => {
+    it('reads EL as Greece', () => {
+      expect(normalizeCountry('el')).toBe('GR');
+      expect(normalizeCountry('Greece')).toBeNull();
+    });
+
+    it('strips separators and adds the country prefix', () => {
+      expect(normalizeVatId(' de 123.456-789 ', 'DE')).toBe('DE123456789');
+      expect(normalizeVatId('123456789', 'GR')).toBe('EL123456789');
+      expect(normalizeVatId('', 'GR')).toBeNull();
+    });
+
+    it('checks the prefix against the country', () => {
+      expect(validateVatId('EL123456789', 'GR')).toBeNull();
+      expect(validateVatId('GR123456789', 'GR')).toMatch(/EL/);
+      expect(validateVatId('DE1', 'DE')).toMatch(/2 to 12/);
+    });
+
+    it('accepts any tax ID outside the EU', () => {
+      expect(validateVatId('12-3456789', 'US')).toBeNull();
+    });
+  });
+
+  describe('amounts', () => {
+    it('splits an amount paid into net and VAT', () => {
+      expect(splitGrossAmount(5580, 0.24)).toEqual({
+        netCents: 4500,
+        vatCents: 1080,
+        totalCents: 5580,
+      });
+      expect(splitGrossAmount(4500, 0)).toEqual({
+        netCents: 4500,
+        vatCents: 0,
+        totalCents: 4500,
+      });
+    });
+
+    it('adds VAT to a net amount', () => {
+      expect(addVat(4500, 0.255)).toEqual({
+        netCents: 4500,
+        vatCents: 1148,
+        totalCents: 5648,
+      });
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for wallet reconciliation rules
+ *
+ * Tests verify ledger replay, stale reservation detection, legacy purchase
+ * matching, the reconciliation report and ledger corrections
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  IssueType,
+  ReconciliationStatus,
+  TrustSource,
+  getTxnDelta,
+  replayLedger,
+  classifyReservation,
+  findUnmatchedPurchases,
+  buildReconciliationReport,
+  getLedgerCorrection,
+} from '../../services/wallet-reconciliation-rules.js';
+
+const now = new Date('2025-03-13T12:00:00Z');
+
+const txn = (id, type, amount, balanceAfter) => ({
+  id,
+  type,
+  amount,
+  balanceAfter,
+  createdAt: now,
+});
+
+const ledger = [
+  txn('t1', 'credit', 1000, 1000),
+  txn('t2', 'debit', 300, 700),
+  txn('t3', 'refund', 20, 720),
+  txn('t4', 'expiry', 100, 620),
+];
+
+describe('Wallet Reconciliation Rules', () => {
+  describe('getTxnDelta', () => {
+    it('should add credits and refunds and remove debits and expiries', () => {
+      expect(ledger.map(getTxnDelta)).toEqual([1000, -300, 20, -100]);
+    });
+  });
+
+  describe('replayLedger', () => {
+    it('should replay a consistent ledger without breaks', () => {
+      expect(replayLedger(ledger)).toEqual({
+        ledgerBalance: 620,
+        lastBalanceAfter: 620,
+        breaks: [],
+        breakCount: 0,
+      });
+    });
+
+    it('should report a drifted balanceAfter once', () => {
+      const drifted = [
+        txn('t1', 'credit', 1000, 1000),
+        txn('t2', 'debit', 300, 650),
+        txn('t3', 'debit', 50, 600),
+      ];
+      const result = replayLedger(drifted);
+
+      expect(result.ledgerBalance).toBe(650);
+      expect(result.breakCount).toBe(1);
+      expect(result.breaks[0]).toMatchObject({
+        transactionId: 't2',
+        expected: 700,
+        recorded: 650,
+      });
+    });
+
+    it('should handle an empty ledger', () => {
+      expect(replayLedger([]).ledgerBalance).toBe(0);
+      expect(replayLedger([]).lastBalanceAfter).toBeNull();
+    });
+  });
+
+  describe('classifyReservation', () => {
+    const later = new Date('2025-03-14T12:00:00Z');
+
+    it('should keep reservations of running campaigns', () => {
+      expect(
+        classifyReservation(
+          { expiresAt: later, campaignId: 'c1', campaign: { status: 'sending' } },
+          now,
+        ),
+      ).toBeNull();
+    });
+
+    it('should flag expired reservations', () => {
+      expect(
+        classifyReservation({ expiresAt: new Date('2025-03-12T00:00:00Z') }, now),
+      ).toBe(IssueType.expiredReservation);
+    });
+
+    it('should flag reservations of finished or deleted campaigns', () => {
+      expect(
+        classifyReservation(
+          { expiresAt: later, campaignId: 'c1', campaign: { status: 'sent' } },
+          now,
+        ),
+      ).toBe(IssueType.orphanedReservation);
+      expect(
+        classifyReservation({ expiresAt: later, campaignId: 'c1', campaign: null }, now),
+      ).toBe(IssueType.orphanedReservation);
+    });
+  });
+
+  describe('findUnmatchedPurchases', () => {
+    it('should match legacy purchases on the Stripe session', () => {
+      const purchases = [
+        { id: 'w1', credits: 500, meta: { sessionId: 'cs_1' } },
+        { id: 'w2', credits: 1000, meta: { sessionId: 'cs_2' } },
+        { id: 'w3', credits: 100, meta: null },
+      ];
+      const credits = [{ meta: { stripeSessionId: 'cs_1' } }, { meta: null }];
+
+      expect(findUnmatchedPurchases(purchases, credits).map(p => p.id)).toEqual(['w2']);
+    });
+  });
+
+  describe('buildReconciliationReport', () => {
+    const base = {
+      walletBalance: 620,
+      shopCredits: 620,
+      transactions: ledger,
+      lotBalance: 620,
+      reservations: [],
+      now,
+    };
+
+    it('should report a consistent wallet as ok', () => {
+      const report = buildReconciliationReport(base);
+
+      expect(report.status).toBe(ReconciliationStatus.ok);
+      expect(report.issues).toEqual([]);
+      expect(report.difference).toBe(0);
+    });
+
+    it('should flag ledger, lot and reservation issues', () => {
+      const report = buildReconciliationReport({
+        ...base,
+        walletBalance: 600,
+        shopCredits: 0,
+        reservations: [
+          { id: 'r1', amount: 50, expiresAt: new Date('2025-03-01T00:00:00Z') },
+          { id: 'r2', amount: 700, expiresAt: null, campaignId: null },
+        ],
+      });
+      const types = report.issues.map(issue => issue.type);
+
+      expect(report.status).toBe(ReconciliationStatus.mismatch);
+      expect(report.difference).toBe(-20);
+      expect(report.reservedCredits).toBe(700);
+      expect(types).toEqual([
+        IssueType.ledgerMismatch,
+        IssueType.lotMismatch,
+        IssueType.shopCreditsMismatch,
+        IssueType.expiredReservation,
+        IssueType.overReserved,
+      ]);
+    });
+  });
+
+  describe('getLedgerCorrection', () => {
+    const report = { difference: -20, ledgerBalance: 620, walletBalance: 600 };
+
+    it('should append a ledger entry when trusting the wallet', () => {
+      expect(getLedgerCorrection(report, TrustSource.wallet)).toEqual({
+        target: 'ledger',
+        type: 'debit',
+        amount: 20,
+        balance: 600,
+      });
+    });
+
+    it('should reset the wallet when trusting the ledger', () => {
+      expect(getLedgerCorrection(report, TrustSource.ledger)).toEqual({
+        target: 'wallet',
+        type: 'credit',
+        amount: 20,
+        balance: 620,
+      });
+    });
+
+    it('should not correct a wallet in step with its ledger', () => {
+      expect(getLedgerCorrection({ ...report, difference: 0 }, TrustSource.ledger)).toBeNull();
+    });
+  });
+});
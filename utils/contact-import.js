@@ -0,0 +1,281 @@
+import { normalizePhoneNumber } from './phone.js';
+
+/**
+ * Contact import mapping
+ * Maps CSV rows to Contact fields. A mapping assigns each CSV column
+ * (by header) to a field; several columns may be mapped to `tags`, their
+ * values are split on , ; or | and merged with the import's fixed tags.
+ */
+
+export const ImportField = {
+  phone: 'phone',
+  firstName: 'firstName',
+  lastName: 'lastName',
+  email: 'email',
+  gender: 'gender',
+  birthDate: 'birthDate',
+  smsConsent: 'smsConsent',
+  tags: 'tags',
+  ignore: 'ignore',
+};
+
+// Header names (normalized) recognized for automatic mapping
+const HEADER_ALIASES = {
+  phone: [
+    'phone',
+    'phonenumber',
+    'phonee164',
+    'mobile',
+    'mobilephone',
+    'mobilenumber',
+    'cell',
+    'cellphone',
+    'tel',
+    'telephone',
+    'msisdn',
+    'sms',
+  ],
+  firstName: ['firstname', 'first', 'givenname'],
+  lastName: ['lastname', 'last', 'surname', 'familyname'],
+  email: ['email', 'emailaddress', 'mail'],
+  gender: ['gender', 'sex'],
+  birthDate: ['birthdate', 'birthday', 'dateofbirth', 'dob'],
+  smsConsent: [
+    'smsconsent',
+    'consent',
+    'acceptsmarketing',
+    'acceptssmsmarketing',
+    'smsmarketing',
+    'optin',
+    'subscribed',
+  ],
+  tags: ['tags', 'tag', 'labels', 'segments'],
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TRUE_VALUES = ['yes', 'y', 'true', '1', 'opted_in', 'optedin', 'subscribed', 'granted'];
+const FALSE_VALUES = [
+  'no',
+  'n',
+  'false',
+  '0',
+  'opted_out',
+  'optedout',
+  'unsubscribed',
+  'denied',
+];
+const GENDERS = {
+  m: 'male',
+  male: 'male',
+  man: 'male',
+  f: 'female',
+  female: 'female',
+  woman: 'female',
+  other: 'other',
+  o: 'other',
+};
+
+function normalizeHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Suggest a mapping for CSV headers
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} { [header]: field } (unrecognized headers are ignored)
+ */
+export function suggestMapping(headers) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const header of headers) {
+    const normalized = normalizeHeader(header);
+    const field = Object.keys(HEADER_ALIASES).find(
+      candidate =>
+        HEADER_ALIASES[candidate].includes(normalized) &&
+        (candidate === ImportField.tags || !used.has(candidate)),
+    );
+    mapping[header] = field || ImportField.ignore;
+    if (field) used.add(field);
+  }
+
+  return mapping;
+}
+
+/**
+ * Validate a mapping against the CSV headers
+ * @param {Object} mapping - { [header]: field }
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Array<Object>} Errors as [{ field, message }]
+ */
+export function validateMapping(mapping, headers) {
+  const errors = [];
+  const counts = {};
+
+  for (const [header, field] of Object.entries(mapping || {})) {
+    if (!headers.includes(header)) {
+      errors.push({
+        field: `mapping.${header}`,
+        message: `Column "${header}" is not in the file`,
+      });
+    }
+    if (!Object.values(ImportField).includes(field)) {
+      errors.push({
+        field: `mapping.${header}`,
+        message: `Unknown field "${field}"`,
+      });
+    }
+    counts[field] = (counts[field] || 0) + 1;
+  }
+
+  if (!counts[ImportField.phone]) {
+    errors.push({ field: 'mapping', message: 'A column must be mapped to phone' });
+  }
+  for (const [field, count] of Object.entries(counts)) {
+    if (count > 1 && field !== ImportField.tags && field !== ImportField.ignore) {
+      errors.push({
+        field: 'mapping',
+        message: `Only one column can be mapped to ${field}`,
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a date as written in a CSV file
+ * @param {string} value - YYYY-MM-DD, or day/month/year with / . or -
+ * @param {string} [dateFormat] - 'DMY' (default) or 'MDY' for non-ISO dates
+ * @returns {Date|null} UTC midnight or null if invalid
+ */
+export function parseImportDate(value, dateFormat = 'DMY') {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/.exec(text);
+  if (match) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else {
+    match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text);
+    if (!match) return null;
+    year = Number(match[3]);
+    [day, month] =
+      dateFormat === 'MDY'
+        ? [Number(match[2]), Number(match[1])]
+        : [Number(match[1]), Number(match[2])];
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+}
+
+function splitTags(value) {
+  return String(value || '')
+    .split(/[,;|]/)
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Map a CSV row to contact fields
+ * Empty cells are left out so that updates keep existing values.
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<string>} values - CSV row
+ * @param {Object} mapping - { [header]: field }
+ * @param {Object} [options] - { defaultCountry, tags, dateFormat, now }
+ * @returns {Object} { contact, errors } (errors as [{ field, message }])
+ */
+export function mapContactRow(headers, values, mapping, options = {}) {
+  const contact = { tags: [...(options.tags || [])] };
+  const errors = [];
+  const now = options.now || new Date();
+
+  headers.forEach((header, index) => {
+    const field = mapping[header];
+    const value = (values[index] ?? '').trim();
+    if (!field || field === ImportField.ignore || value === '') return;
+
+    switch (field) {
+    case ImportField.phone: {
+      const phoneE164 = normalizePhoneNumber(value, options.defaultCountry);
+      if (phoneE164) {
+        contact.phoneE164 = phoneE164;
+      } else {
+        errors.push({ field, message: `Invalid phone number "${value}"` });
+      }
+      break;
+    }
+    case ImportField.email:
+      if (EMAIL.test(value)) {
+        contact.email = value;
+      } else {
+        errors.push({ field, message: `Invalid email "${value}"` });
+      }
+      break;
+    case ImportField.gender: {
+      const gender = GENDERS[value.toLowerCase()];
+      if (gender) {
+        contact.gender = gender;
+      } else {
+        errors.push({ field, message: `Invalid gender "${value}"` });
+      }
+      break;
+    }
+    case ImportField.birthDate: {
+      const birthDate = parseImportDate(value, options.dateFormat);
+      if (!birthDate) {
+        errors.push({ field, message: `Invalid date "${value}"` });
+      } else if (birthDate > now) {
+        errors.push({ field, message: 'Birth date cannot be in the future' });
+      } else {
+        contact.birthDate = birthDate;
+      }
+      break;
+    }
+    case ImportField.smsConsent: {
+      const normalized = value.toLowerCase().replace(/\s+/g, '_');
+      if (TRUE_VALUES.includes(normalized)) {
+        contact.smsConsent = 'opted_in';
+      } else if (FALSE_VALUES.includes(normalized)) {
+        contact.smsConsent = 'opted_out';
+      } else if (normalized !== 'unknown') {
+        errors.push({ field, message: `Invalid SMS consent "${value}"` });
+      }
+      break;
+    }
+    case ImportField.tags:
+      contact.tags.push(...splitTags(value));
+      break;
+    default:
+      contact[field] = value;
+    }
+  });
+
+  if (!contact.phoneE164 && !errors.some(e => e.field === ImportField.phone)) {
+    errors.push({ field: ImportField.phone, message: 'Phone number is required' });
+  }
+
+  contact.tags = [...new Set(contact.tags)];
+
+  return { contact, errors };
+}
+
+export default {
+  ImportField,
+  suggestMapping,
+  validateMapping,
+  parseImportDate,
+  mapContactRow,
+};
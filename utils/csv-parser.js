@@ -0,0 +1,176 @@
+import { StringDecoder } from 'string_decoder';
+
+/**
+ * Streaming CSV parser
+ * Incremental RFC 4180 parser: text is pushed in chunks of any size and
+ * complete rows are returned as soon as they are available, so large
+ * uploads never have to be held in memory. Handles quoted fields spanning
+ * lines, escaped quotes, CRLF/LF/CR line endings and a UTF-8 BOM. The
+ * delimiter (comma, semicolon or tab) is detected from the header line
+ * unless given.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter of a CSV header line
+ * @param {string} line - First line of the file
+ * @returns {string} Delimiter (',' if nothing better is found)
+ */
+export function detectDelimiter(line) {
+  // Ignore delimiters inside quoted headers
+  const unquoted = line.replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+export class CsvParser {
+  /**
+   * @param {Object} [options] - { delimiter }
+   */
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || null;
+    this.pending = '';
+    this.started = false;
+    this.field = '';
+    this.row = [];
+    this.inQuotes = false;
+    this.fieldQuoted = false;
+    this.quoteInQuotes = false;
+    this.skipLf = false;
+  }
+
+  /**
+   * Parse the next chunk of text
+   * @param {string} text - Chunk
+   * @returns {Array<Array<string>>} Rows completed by this chunk
+   */
+  push(text) {
+    if (!this.started) {
+      this.pending += text;
+      if (this.pending.charCodeAt(0) === 0xfeff) {
+        this.pending = this.pending.slice(1);
+      }
+      // Wait for the whole header line to detect the delimiter
+      if (!this.delimiter && !/[\r\n]/.test(this.pending)) {
+        return [];
+      }
+      text = this.pending;
+      this.pending = '';
+      this.started = true;
+      if (!this.delimiter) {
+        this.delimiter = detectDelimiter(text.split(/\r\n|\r|\n/)[0]);
+      }
+    }
+    return this.parse(text);
+  }
+
+  /**
+   * Flush the last row
+   * @returns {Array<Array<string>>} Remaining rows
+   */
+  end() {
+    const rows = this.started ? [] : this.push('\n');
+    if (this.quoteInQuotes) {
+      this.quoteInQuotes = false;
+      this.inQuotes = false;
+    }
+    if (this.field !== '' || this.row.length > 0 || this.fieldQuoted) {
+      this.endRow(rows);
+    }
+    return rows;
+  }
+
+  endField() {
+    this.row.push(this.field);
+    this.field = '';
+    this.fieldQuoted = false;
+  }
+
+  endRow(rows) {
+    this.endField();
+    // Skip blank lines
+    if (this.row.length > 1 || this.row[0] !== '') {
+      rows.push(this.row);
+    }
+    this.row = [];
+  }
+
+  parse(text) {
+    const rows = [];
+    for (const ch of text) {
+      if (this.inQuotes) {
+        if (this.quoteInQuotes) {
+          this.quoteInQuotes = false;
+          if (ch === '"') {
+            this.field += '"';
+            continue;
+          }
+          // Closing quote, handle ch as unquoted text below
+          this.inQuotes = false;
+        } else if (ch === '"') {
+          this.quoteInQuotes = true;
+          continue;
+        } else {
+          this.field += ch;
+          continue;
+        }
+      }
+
+      if (this.skipLf) {
+        this.skipLf = false;
+        if (ch === '\n') continue;
+      }
+
+      if (ch === '"' && this.field === '' && !this.fieldQuoted) {
+        this.inQuotes = true;
+        this.fieldQuoted = true;
+      } else if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === '\r') {
+        this.endRow(rows);
+        this.skipLf = true;
+      } else if (ch === '\n') {
+        this.endRow(rows);
+      } else {
+        this.field += ch;
+      }
+    }
+    return rows;
+  }
+}
+
+/**
+ * Read CSV rows from a byte stream
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @param {Object} [options] - { delimiter }
+ * @yields {Array<Array<string>>} Rows, in the batches they were completed in
+ */
+export async function* readCsvRows(stream, options = {}) {
+  const parser = new CsvParser(options);
+  const decoder = new StringDecoder('utf8');
+
+  for await (const chunk of stream) {
+    const rows = parser.push(
+      typeof chunk === 'string' ? chunk : decoder.write(chunk),
+    );
+    if (rows.length > 0) yield rows;
+  }
+
+  const rows = [...parser.push(decoder.end()), ...parser.end()];
+  if (rows.length > 0) yield rows;
+}
+
+export default {
+  detectDelimiter,
+  CsvParser,
+  readCsvRows,
+};
@@ -0,0 +1,92 @@
+import { randomInt } from 'crypto';
+
+/**
+ * Unique discount codes
+ * Codes minted per recipient are a short prefix followed by random
+ * characters from an alphabet without look-alikes (0/O, 1/I). They are at
+ * most 12 characters, the length assumed by SMS segment estimates
+ * (services/message-pricing.js). Shopify matches codes case-insensitively,
+ * so codes are compared normalized.
+ */
+
+export const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+export const CODE_RANDOM_LENGTH = 8;
+const MAX_PREFIX_LENGTH = 4;
+const DEFAULT_PREFIX = 'SMS';
+
+/**
+ * Normalize a discount code for comparisons
+ * @param {string} code - Discount code
+ * @returns {string} Trimmed upper-case code
+ */
+export function normalizeDiscountCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Build a code prefix from a name (campaign name, "welcome", ...)
+ * @param {string} name - Name
+ * @returns {string} Up to 4 letters or digits, 'SMS' if the name has none
+ */
+export function buildCodePrefix(name) {
+  const prefix = normalizeDiscountCode(name)
+    .replace(/[^A-Z0-9]/g, '')
+    .slice(0, MAX_PREFIX_LENGTH);
+  return prefix || DEFAULT_PREFIX;
+}
+
+/**
+ * Generate a discount code
+ * @param {string} prefix - Code prefix (see buildCodePrefix)
+ * @param {Function} [random] - (max) => integer in [0, max)
+ * @returns {string} Code
+ */
+export function generateDiscountCode(prefix, random = randomInt) {
+  let code = buildCodePrefix(prefix);
+  for (let i = 0; i < CODE_RANDOM_LENGTH; i++) {
+    code += CODE_ALPHABET[random(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Generate distinct discount codes
+ * @param {number} count - Number of codes
+ * @param {string} prefix - Code prefix
+ * @param {Function} [random] - (max) => integer in [0, max)
+ * @returns {Array<string>} Codes
+ */
+export function generateDiscountCodes(count, prefix, random = randomInt) {
+  const codes = new Set();
+  while (codes.size < count) {
+    codes.add(generateDiscountCode(prefix, random));
+  }
+  return [...codes];
+}
+
+/**
+ * Extract the discount codes used by an order
+ * Accepts the orders/create webhook format ([{ code, amount, type }]) and
+ * the GraphQL format ([code]).
+ * @param {Array} discountCodes - Order discount codes
+ * @returns {Array<string>} Distinct normalized codes
+ */
+export function extractOrderDiscountCodes(discountCodes) {
+  if (!Array.isArray(discountCodes)) {
+    return [];
+  }
+  const codes = discountCodes
+    .map(entry => normalizeDiscountCode(typeof entry === 'string' ? entry : entry?.code))
+    .filter(Boolean);
+  return [...new Set(codes)];
+}
+
+export default {
+  CODE_ALPHABET,
+  CODE_RANDOM_LENGTH,
+  normalizeDiscountCode,
+  buildCodePrefix,
+  generateDiscountCode,
+  generateDiscountCodes,
+  extractOrderDiscountCodes,
+};
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+
+/**
+ * Signed export download links
+ * A download link carries the export ID, an expiry (unix seconds) and an
+ * HMAC of both, so files can be fetched without the shop's session token
+ * (e.g. from a browser tab) but only until the link expires.
+ */
+
+// Local development only; production refuses to sign without a secret
+const DEVELOPMENT_SECRET = 'development-export-signing-secret';
+
+function getSecret() {
+  const secret = process.env.EXPORT_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (secret) {
+    return secret;
+  }
+  // A known secret would let anyone forge links to any shop's exports
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'EXPORT_SIGNING_SECRET or JWT_SECRET must be set to sign export download links',
+    );
+  }
+  return DEVELOPMENT_SECRET;
+}
+
+/**
+ * Signature of an export download link
+ * @param {string} exportId - Report export ID
+ * @param {number} expires - Expiry (unix seconds)
+ * @returns {string} Hex HMAC
+ */
+export function signExportDownload(exportId, expires) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${exportId}.${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Verify an export download link
+ * @param {string} exportId - Report export ID
+ * @param {number|string} expires - Expiry from the link (unix seconds)
+ * @param {string} signature - Signature from the link
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if the signature matches and the link is not expired
+ */
+export function verifyExportDownload(
+  exportId,
+  expires,
+  signature,
+  now = new Date(),
+) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || !/^[0-9a-f]{64}$/.test(signature || '')) {
+    return false;
+  }
+  if (expiresAt * 1000 <= now.getTime()) {
+    return false;
+  }
+
+  const expected = signExportDownload(exportId, expiresAt);
+  return crypto.timingSafeEqual(
+    Buffer.from(signature, 'hex'),
+    Buffer.from(expected, 'hex'),
+  );
+}
+
+/**
+ * Build a signed download URL
+ * @param {string} baseUrl - Backend base URL
+ * @param {string} exportId - Report export ID
+ * @param {Date} expiresAt - Link expiry
+ * @returns {string} Download URL
+ */
+export function buildExportDownloadUrl(baseUrl, exportId, expiresAt) {
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  const signature = signExportDownload(exportId, expires);
+  return `${baseUrl.replace(/\/$/, '')}/exports/${encodeURIComponent(exportId)}/download?expires=${expires}&signature=${signature}`;
+}
+
+export default {
+  signExportDownload,
+  verifyExportDownload,
+  buildExportDownloadUrl,
+};
@@ -0,0 +1,123 @@
+/**
+ * Export formats
+ * Row serializers for report exports. Rows are plain objects rendered
+ * through a column list ([{ key, header }]) so every format has the same
+ * columns in the same order.
+ */
+
+export const ExportFormat = {
+  csv: 'csv',
+  xlsx: 'xlsx',
+  jsonl: 'jsonl',
+};
+
+const FILE_INFO = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: {
+    extension: 'xlsx',
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson' },
+};
+
+// Excel only detects UTF-8 CSV files (names, accents) with a BOM
+export const CSV_BOM = '\uFEFF';
+
+const NUMERIC = /^[+-]?\d+(\.\d+)?$/;
+
+/**
+ * File extension and content type of an export format
+ * @param {string} format - Export format
+ * @returns {Object} { extension, contentType }
+ */
+export function getExportFileInfo(format) {
+  const info = FILE_INFO[format];
+  if (!info) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  return info;
+}
+
+/**
+ * Normalize a cell value (dates as ISO strings, lists joined)
+ * @param {*} value - Raw value
+ * @returns {string|number|boolean|null}
+ */
+export function toCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Escape a CSV field
+ * Text starting with a formula character is prefixed with ' so spreadsheet
+ * apps don't execute it; signed numbers (e.g. +306912345678) are kept.
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+export function escapeCsvValue(value) {
+  const cell = toCellValue(value);
+  if (cell === null) return '';
+
+  let text = String(cell);
+  if (
+    typeof cell === 'string' &&
+    (/^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !NUMERIC.test(text)))
+  ) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * CSV header line
+ * @param {Array<Object>} columns - [{ key, header }]
+ * @returns {string} Line including CRLF
+ */
+export function formatCsvHeader(columns) {
+  return `${columns.map(column => escapeCsvValue(column.header)).join(',')}\r\n`;
+}
+
+/**
+ * CSV line of a row
+ * @param {Array<Object>} columns - [{ key, header }]
+ * @param {Object} row - Row object
+ * @returns {string} Line including CRLF
+ */
+export function formatCsvRow(columns, row) {
+  return `${columns.map(column => escapeCsvValue(row[column.key])).join(',')}\r\n`;
+}
+
+/**
+ * JSON line of a row (column keys only)
+ * @param {Array<Object>} columns - [{ key, header }]
+ * @param {Object} row - Row object
+ * @returns {string} Line including LF
+ */
+export function formatJsonLine(columns, row) {
+  const record = {};
+  for (const column of columns) {
+    const value = row[column.key];
+    record[column.key] = value === undefined ? null : value;
+  }
+  return `${JSON.stringify(record)}\n`;
+}
+
+export default {
+  ExportFormat,
+  CSV_BOM,
+  getExportFileInfo,
+  toCellValue,
+  escapeCsvValue,
+  formatCsvHeader,
+  formatCsvRow,
+  formatJsonLine,
+};
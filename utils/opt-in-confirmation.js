@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { normalizeFrontendBaseUrl } from './frontendUrl.js';
+
+/**
+ * Double opt-in confirmation links
+ * A token carries the confirmation ID, an expiry (unix seconds) and a
+ * truncated HMAC of both, kept short because it is sent by SMS.
+ */
+
+const SIGNATURE_BYTES = 16;
+
+// Local development only; production refuses to sign without a secret
+const DEVELOPMENT_SECRET = 'development-opt-in-secret';
+
+function getSecret() {
+  const secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+  if (secret) {
+    return secret;
+  }
+  // A known secret would let anyone confirm arbitrary numbers into consent
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'UNSUBSCRIBE_SECRET or JWT_SECRET must be set to sign opt-in confirmation links',
+    );
+  }
+  return DEVELOPMENT_SECRET;
+}
+
+function sign(confirmationId, expires) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`opt-in.${confirmationId}.${expires}`)
+    .digest()
+    .subarray(0, SIGNATURE_BYTES)
+    .toString('base64url');
+}
+
+/**
+ * Generate a confirmation token
+ * @param {string} confirmationId - ConsentConfirmation ID
+ * @param {Date} expiresAt - Token expiry
+ * @returns {string} Token
+ */
+export function generateConfirmationToken(confirmationId, expiresAt) {
+  const expires = Math.floor(expiresAt.getTime() / 1000);
+  return `${confirmationId}.${expires}.${sign(confirmationId, expires)}`;
+}
+
+/**
+ * Verify a confirmation token
+ * @param {string} token - Token from the link
+ * @param {Date} [now] - Current time
+ * @returns {string|null} Confirmation ID or null if invalid or expired
+ */
+export function verifyConfirmationToken(token, now = new Date()) {
+  const [confirmationId, expires, signature, extra] = String(token || '').split(
+    '.',
+  );
+  if (!confirmationId || !/^\d+$/.test(expires || '') || !signature || extra) {
+    return null;
+  }
+  if (Number(expires) * 1000 <= now.getTime()) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(confirmationId, expires));
+  const actual = Buffer.from(signature);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  return confirmationId;
+}
+
+/**
+ * Build the confirmation page URL (frontend route /shopify/opt-in/confirm/:token)
+ * @param {string} token - Confirmation token
+ * @param {string} baseUrl - Frontend base URL
+ * @returns {string} Confirmation URL
+ */
+export function buildConfirmationUrl(token, baseUrl) {
+  return `${normalizeFrontendBaseUrl(baseUrl)}/shopify/opt-in/confirm/${token}`;
+}
+
+/**
+ * Confirmation SMS text
+ * @param {string} shopName - Shop name
+ * @param {string} confirmationUrl - Confirmation URL
+ * @returns {string} SMS text
+ */
+export function buildConfirmationText(shopName, confirmationUrl) {
+  return `${shopName}: Reply YES to confirm your subscription to SMS messages, or confirm here: ${confirmationUrl} Reply STOP to opt out.`;
+}
+
+export default {
+  generateConfirmationToken,
+  verifyConfirmationToken,
+  buildConfirmationUrl,
+  buildConfirmationText,
+};
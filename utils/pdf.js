@@ -0,0 +1,200 @@
+/**
+ * Minimal PDF writer
+ * Builds text-and-rule documents (invoices, receipts) with the standard
+ * Helvetica fonts, without a PDF library. Text is WinAnsi (Latin-1 plus €):
+ * accents outside it are stripped and other characters become "?".
+ * Coordinates are in points from the top-left corner of the page.
+ */
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+// Helvetica advance widths (1/1000 em) of the printable ASCII characters
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const DEFAULT_WIDTH = 556;
+// Helvetica-Bold runs about 6% wider on average
+const BOLD_FACTOR = 1.06;
+
+const EURO_SIGN = 0x80;
+
+/**
+ * Encode text as WinAnsi bytes
+ * @param {string} text - Text
+ * @returns {Array<number>} Byte values
+ */
+export function toWinAnsi(text) {
+  const bytes = [];
+  for (const char of String(text ?? '')) {
+    const code = char.codePointAt(0);
+    if (char === '€') {
+      bytes.push(EURO_SIGN);
+    } else if (code === 0x09) {
+      bytes.push(0x20);
+    } else if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) {
+      bytes.push(code);
+    } else {
+      const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      const fallback = base.length === 1 ? base.codePointAt(0) : null;
+      bytes.push(fallback !== null && fallback >= 0x20 && fallback <= 0x7e ? fallback : 0x3f);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Width of a text line
+ * @param {string} text - Text
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold] - Helvetica-Bold
+ * @returns {number} Width in points
+ */
+export function measureText(text, size, bold = false) {
+  const units = toWinAnsi(text).reduce(
+    (sum, byte) =>
+      sum + (byte >= 0x20 && byte <= 0x7e ? HELVETICA_WIDTHS[byte - 0x20] : DEFAULT_WIDTH),
+    0,
+  );
+  return (units * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+}
+
+/**
+ * Break text into lines that fit a width (words longer than it are kept whole)
+ * @param {string} text - Text
+ * @param {number} width - Maximum width in points
+ * @param {number} size - Font size in points
+ * @param {boolean} [bold] - Helvetica-Bold
+ * @returns {Array<string>}
+ */
+export function wrapText(text, width, size, bold = false) {
+  const lines = [];
+  for (const paragraph of String(text ?? '').split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && measureText(candidate, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function pdfString(text) {
+  return toWinAnsi(text)
+    .map(byte => {
+      if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+        return `\\${String.fromCharCode(byte)}`;
+      }
+      if (byte < 0x20 || byte > 0x7e) {
+        return `\\${byte.toString(8).padStart(3, '0')}`;
+      }
+      return String.fromCharCode(byte);
+    })
+    .join('');
+}
+
+function num(value) {
+  return Number(value.toFixed(2)).toString();
+}
+
+function contentStream(elements, page) {
+  const ops = [];
+  for (const element of elements) {
+    if (element.type === 'line') {
+      ops.push(
+        `${num(element.width ?? 0.5)} w ${num(element.x1)} ${num(page.height - element.y1)} m ${num(element.x2)} ${num(page.height - element.y2)} l S`,
+      );
+      continue;
+    }
+    const size = element.size ?? 10;
+    const bold = Boolean(element.bold);
+    let x = element.x;
+    if (element.align === 'right') {
+      x -= measureText(element.text, size, bold);
+    }
+    ops.push(
+      `BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x)} ${num(page.height - element.y)} Td (${pdfString(element.text)}) Tj ET`,
+    );
+  }
+  return ops.join('\n');
+}
+
+/**
+ * Build a PDF document
+ * @param {Array<Array<Object>>} pages - Elements of each page:
+ *   { type: 'text', x, y, text, size?, bold?, align?: 'left'|'right' }
+ *   (y is the baseline, x the right edge when right-aligned) or
+ *   { type: 'line', x1, y1, x2, y2, width? }
+ * @param {Object} [options] - { title, page: { width, height } }
+ * @returns {Buffer}
+ */
+export function buildPdf(pages, options = {}) {
+  const page = options.page || A4;
+  const objects = [];
+  const addObject = body => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularId = addObject(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+  );
+  const boldId = addObject(
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+  );
+  const infoId = addObject(
+    `<< /Title (${pdfString(options.title || '')}) /Producer (${pdfString('Astronote')}) >>`,
+  );
+
+  const pageIds = [];
+  for (const elements of pages.length ? pages : [[]]) {
+    const stream = contentStream(elements, page);
+    const contentId = addObject(
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`,
+    );
+    pageIds.push(
+      addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] /Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+      ),
+    );
+  }
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const offset of offsets) {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+export default {
+  A4,
+  toWinAnsi,
+  measureText,
+  wrapText,
+  buildPdf,
+};
@@ -0,0 +1,122 @@
+/**
+ * Phone number normalization
+ * Converts phone numbers as typed by people (national format, spaces,
+ * 00 prefix...) into E.164 using a default country. This is a lightweight
+ * table of calling codes, trunk prefixes and national number lengths, not
+ * a full numbering plan: numbers are only checked for a plausible length.
+ */
+
+const E164 = /^\+[1-9]\d{1,14}$/;
+
+// code: calling code, trunk: national prefix dropped in E.164 (null if
+// kept, e.g. Italy), length: [min, max] digits of the national number
+export const COUNTRIES = {
+  AE: { code: '971', trunk: '0', length: [8, 9] },
+  AT: { code: '43', trunk: '0', length: [4, 13] },
+  AU: { code: '61', trunk: '0', length: [9, 9] },
+  BE: { code: '32', trunk: '0', length: [8, 9] },
+  BG: { code: '359', trunk: '0', length: [8, 9] },
+  BR: { code: '55', trunk: '0', length: [10, 11] },
+  CA: { code: '1', trunk: '1', length: [10, 10] },
+  CH: { code: '41', trunk: '0', length: [9, 9] },
+  CY: { code: '357', trunk: null, length: [8, 8] },
+  CZ: { code: '420', trunk: null, length: [9, 9] },
+  DE: { code: '49', trunk: '0', length: [6, 11] },
+  DK: { code: '45', trunk: null, length: [8, 8] },
+  ES: { code: '34', trunk: null, length: [9, 9] },
+  FI: { code: '358', trunk: '0', length: [5, 12] },
+  FR: { code: '33', trunk: '0', length: [9, 9] },
+  GB: { code: '44', trunk: '0', length: [9, 10] },
+  GR: { code: '30', trunk: null, length: [10, 10] },
+  HR: { code: '385', trunk: '0', length: [8, 9] },
+  HU: { code: '36', trunk: '06', length: [8, 9] },
+  IE: { code: '353', trunk: '0', length: [7, 9] },
+  IL: { code: '972', trunk: '0', length: [8, 9] },
+  IN: { code: '91', trunk: '0', length: [10, 10] },
+  IT: { code: '39', trunk: null, length: [6, 11] },
+  LT: { code: '370', trunk: '8', length: [8, 8] },
+  LU: { code: '352', trunk: null, length: [4, 11] },
+  MT: { code: '356', trunk: null, length: [8, 8] },
+  MX: { code: '52', trunk: null, length: [10, 10] },
+  NL: { code: '31', trunk: '0', length: [9, 9] },
+  NO: { code: '47', trunk: null, length: [8, 8] },
+  NZ: { code: '64', trunk: '0', length: [8, 10] },
+  PL: { code: '48', trunk: null, length: [9, 9] },
+  PT: { code: '351', trunk: null, length: [9, 9] },
+  RO: { code: '40', trunk: '0', length: [9, 9] },
+  SE: { code: '46', trunk: '0', length: [7, 9] },
+  SI: { code: '386', trunk: '0', length: [8, 8] },
+  SK: { code: '421', trunk: '0', length: [9, 9] },
+  TR: { code: '90', trunk: '0', length: [10, 10] },
+  US: { code: '1', trunk: '1', length: [10, 10] },
+  ZA: { code: '27', trunk: '0', length: [9, 9] },
+};
+
+/**
+ * Check if a country is supported as default country
+ * @param {string} country - ISO 3166-1 alpha-2 code
+ * @returns {boolean}
+ */
+export function isSupportedCountry(country) {
+  return Boolean(COUNTRIES[String(country || '').toUpperCase()]);
+}
+
+function fitsLength(digits, country) {
+  return (
+    digits.length >= country.length[0] && digits.length <= country.length[1]
+  );
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string|number} input - Phone number as entered
+ * @param {string} [defaultCountry] - ISO country for numbers without a calling code
+ * @returns {string|null} E.164 number or null if it cannot be normalized
+ */
+export function normalizePhoneNumber(input, defaultCountry = null) {
+  if (input === null || input === undefined) return null;
+
+  const raw = String(input).trim();
+  if (!raw) return null;
+
+  const digits = raw.replace(/\D/g, '');
+  if (!digits) return null;
+
+  let e164;
+  if (raw.startsWith('+')) {
+    e164 = `+${digits}`;
+  } else if (digits.startsWith('00')) {
+    e164 = `+${digits.slice(2)}`;
+  } else {
+    const country = COUNTRIES[String(defaultCountry || '').toUpperCase()];
+    if (!country) {
+      // No default country: assume the calling code is included
+      e164 = `+${digits}`;
+    } else if (
+      country.trunk &&
+      digits.startsWith(country.trunk) &&
+      fitsLength(digits.slice(country.trunk.length), country)
+    ) {
+      // National format: the trunk prefix is not part of E.164
+      e164 = `+${country.code}${digits.slice(country.trunk.length)}`;
+    } else if (fitsLength(digits, country)) {
+      e164 = `+${country.code}${digits}`;
+    } else if (
+      digits.startsWith(country.code) &&
+      fitsLength(digits.slice(country.code.length), country)
+    ) {
+      // Calling code typed without + or 00
+      e164 = `+${digits}`;
+    } else {
+      return null;
+    }
+  }
+
+  return E164.test(e164) ? e164 : null;
+}
+
+export default {
+  COUNTRIES,
+  isSupportedCountry,
+  normalizePhoneNumber,
+};
@@ -72,6 +72,7 @@ export const CreditTxnType = {
   credit: 'credit',
   debit: 'debit',
   refund: 'refund',
+  expiry: 'expiry',
 };
 
 // Subscription enums
@@ -189,6 +190,7 @@ export const EnumValues = {
     credit: 'credit',
     debit: 'debit',
     refund: 'refund',
+    expiry: 'expiry',
   },
   AutomationTrigger: {
     welcome: 'welcome',
@@ -0,0 +1,94 @@
+import { getZonedParts, zonedTimeToUtc } from './timezone.js';
+
+/**
+ * Quiet hours
+ * A shop's quiet hours are a daily local-time window ("21:00" to "09:00")
+ * in which no marketing SMS may be sent. The window may cross midnight.
+ * Messages due inside the window are deferred to its end, never dropped.
+ */
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parse a "HH:MM" time of day
+ * @param {string} value - Time of day (24h)
+ * @returns {number|null} Minutes since midnight or null if invalid
+ */
+export function parseTimeOfDay(value) {
+  const match = TIME_OF_DAY.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Build the quiet hours window of a shop from its settings
+ * @param {Object} settings - { quietHoursStart, quietHoursEnd, timezone }
+ * @returns {Object|null} { start, end, timezone } (minutes) or null if disabled
+ */
+export function getQuietHoursWindow(settings) {
+  const start = parseTimeOfDay(settings?.quietHoursStart);
+  const end = parseTimeOfDay(settings?.quietHoursEnd);
+
+  if (start === null || end === null || start === end) {
+    return null;
+  }
+
+  return { start, end, timezone: settings.timezone || 'UTC' };
+}
+
+/**
+ * Check if an instant falls inside quiet hours
+ * @param {Date} date - Instant
+ * @param {Object|null} window - Quiet hours window (getQuietHoursWindow)
+ * @returns {boolean}
+ */
+export function isQuietTime(date, window) {
+  if (!window) return false;
+
+  const { hour, minute } = getZonedParts(date, window.timezone);
+  const minutes = hour * 60 + minute;
+
+  if (window.start < window.end) {
+    return minutes >= window.start && minutes < window.end;
+  }
+  // Window crosses midnight (e.g. 21:00 - 09:00)
+  return minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Earliest instant at or after `date` that is outside quiet hours
+ * @param {Date} date - Requested send time
+ * @param {Object|null} window - Quiet hours window (getQuietHoursWindow)
+ * @returns {Date} `date` itself, or the end of the quiet hours it falls in
+ */
+export function getNextAllowedTime(date, window) {
+  if (!isQuietTime(date, window)) {
+    return date;
+  }
+
+  const local = getZonedParts(date, window.timezone);
+  const minutes = local.hour * 60 + local.minute;
+  // Before midnight in an overnight window, the window ends tomorrow
+  const dayOffset = window.start > window.end && minutes >= window.start ? 1 : 0;
+  const day = new Date(
+    Date.UTC(local.year, local.month - 1, local.day + dayOffset),
+  );
+
+  return zonedTimeToUtc(
+    {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour: Math.floor(window.end / 60),
+      minute: window.end % 60,
+    },
+    window.timezone,
+  );
+}
+
+export default {
+  parseTimeOfDay,
+  getQuietHoursWindow,
+  isQuietTime,
+  getNextAllowedTime,
+};
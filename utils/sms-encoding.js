@@ -0,0 +1,167 @@
+/**
+ * SMS encoding and segments
+ * A message is sent in GSM-7 when every character is in the GSM 03.38
+ * alphabet (extension characters such as € or { take two septets), and in
+ * UCS-2 otherwise. Long messages are split in segments that carry a
+ * concatenation header: 160/153 septets per segment in GSM-7, 70/67
+ * characters in UCS-2 (emoji take two). Escape sequences and surrogate
+ * pairs are never split across segments.
+ */
+
+export const SmsEncoding = {
+  gsm7: 'GSM-7',
+  ucs2: 'UCS-2',
+};
+
+const LIMITS = {
+  [SmsEncoding.gsm7]: { single: 160, multi: 153 },
+  [SmsEncoding.ucs2]: { single: 70, multi: 67 },
+};
+
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà',
+);
+const GSM_EXTENSION = new Set('\f^{}\\[~]|€');
+
+// Common look-alikes typed by editors and phones, used to suggest GSM-7 text
+const GSM_REPLACEMENTS = {
+  '‘': '\'',
+  '’': '\'',
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '\u00a0': ' ',
+  '´': '\'',
+  '`': '\'',
+  'á': 'a',
+  'í': 'i',
+  'ó': 'o',
+  'ú': 'u',
+  'ç': 'Ç',
+};
+
+/**
+ * Check if a character is in the GSM 03.38 alphabet
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export function isGsmCharacter(char) {
+  return GSM_BASIC.has(char) || GSM_EXTENSION.has(char);
+}
+
+function countSegments(sizes, limits) {
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  if (total === 0) return 0;
+  if (total <= limits.single) return 1;
+
+  let segments = 1;
+  let used = 0;
+  for (const size of sizes) {
+    if (used + size > limits.multi) {
+      segments += 1;
+      used = 0;
+    }
+    used += size;
+  }
+  return segments;
+}
+
+/**
+ * Analyze the encoding and segments of an SMS text
+ * @param {string} text - Final message text (personalized, with links)
+ * @returns {Object} { encoding, characters, units, segments, unitsPerSegment, remaining, nonGsmCharacters }
+ */
+export function analyzeSmsText(text) {
+  const chars = [...String(text || '')];
+  const nonGsmCharacters = [...new Set(chars.filter(char => !isGsmCharacter(char)))];
+  const encoding =
+    nonGsmCharacters.length > 0 ? SmsEncoding.ucs2 : SmsEncoding.gsm7;
+  const limits = LIMITS[encoding];
+
+  const sizes = chars.map(char => {
+    if (encoding === SmsEncoding.ucs2) {
+      return char.length; // UTF-16 code units
+    }
+    return GSM_EXTENSION.has(char) ? 2 : 1;
+  });
+  const units = sizes.reduce((sum, size) => sum + size, 0);
+  const segments = countSegments(sizes, limits);
+  const unitsPerSegment = segments > 1 ? limits.multi : limits.single;
+
+  return {
+    encoding,
+    characters: chars.length,
+    units,
+    segments,
+    unitsPerSegment,
+    // Left in the last segment (approximate when segments > 1)
+    remaining: segments === 0 ? limits.single : segments * unitsPerSegment - units,
+    nonGsmCharacters,
+  };
+}
+
+/**
+ * Number of segments an SMS text is sent in
+ * @param {string} text - Final message text
+ * @returns {number} Segments (0 for an empty text)
+ */
+export function getSegmentCount(text) {
+  return analyzeSmsText(text).segments;
+}
+
+/**
+ * Replace characters outside the GSM alphabet with look-alikes
+ * Characters without a look-alike are left unchanged.
+ * @param {string} text - Message text
+ * @returns {string} Text with look-alikes replaced
+ */
+export function toGsmText(text) {
+  return [...String(text || '')]
+    .map(char => (isGsmCharacter(char) ? char : GSM_REPLACEMENTS[char] ?? char))
+    .join('');
+}
+
+/**
+ * Warn when characters outside the GSM alphabet switch a message to UCS-2
+ * @param {string} text - Message text
+ * @returns {Object|null} { code, characters, segments, gsmSegments, suggestion, message } or null for GSM-7
+ */
+export function getEncodingWarning(text) {
+  const analysis = analyzeSmsText(text);
+  if (analysis.encoding !== SmsEncoding.ucs2) {
+    return null;
+  }
+
+  // Segments if the offending characters were single GSM characters
+  const gsmSegments = getSegmentCount(
+    [...String(text)].map(char => (isGsmCharacter(char) ? char : '?')).join(''),
+  );
+  const suggestion = toGsmText(text);
+  const quoted = analysis.nonGsmCharacters.map(char => `"${char}"`).join(', ');
+
+  return {
+    code: 'ucs2_encoding',
+    characters: analysis.nonGsmCharacters,
+    segments: analysis.segments,
+    gsmSegments,
+    // Only offered when look-alikes make the whole text GSM-7
+    suggestion:
+      analyzeSmsText(suggestion).encoding === SmsEncoding.gsm7 ? suggestion : null,
+    message:
+      analysis.nonGsmCharacters.length === 1
+        ? `The character ${quoted} switches this message to UCS-2 (70 characters per segment): ${analysis.segments} segment(s) instead of ${gsmSegments}`
+        : `The characters ${quoted} switch this message to UCS-2 (70 characters per segment): ${analysis.segments} segment(s) instead of ${gsmSegments}`,
+  };
+}
+
+export default {
+  SmsEncoding,
+  isGsmCharacter,
+  analyzeSmsText,
+  getSegmentCount,
+  toGsmText,
+  getEncodingWarning,
+};
@@ -0,0 +1,103 @@
+/**
+ * Timezone utilities
+ * Convert between UTC instants and wall-clock time in an IANA timezone
+ * (ShopSettings.timezone) using Intl only
+ */
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'short',
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check if a string is a valid IANA timezone
+ * @param {string} timeZone - Timezone name (e.g. 'Europe/Athens')
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+export function getZonedParts(date, timeZone = 'UTC') {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second,
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant at which a timezone's wall clock shows the given time
+ * Times skipped by a DST jump are shifted forward by the size of the jump.
+ * @param {Object} parts - { year, month (1-12), day, hour, minute, second }
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} UTC instant
+ */
+export function zonedTimeToUtc(
+  { year, month, day, hour = 0, minute = 0, second = 0 },
+  timeZone = 'UTC',
+) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const guess = asUtc - getOffsetMs(new Date(asUtc), timeZone);
+  // Re-check: the offset at the guessed instant can differ around DST changes
+  return new Date(asUtc - getOffsetMs(new Date(guess), timeZone));
+}
+
+export default {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+};
@@ -140,9 +140,8 @@ export async function appendUnsubscribeLink(
   );
 
   // IMPORTANT: Do NOT shorten the unsubscribe URL
-  // The custom URL shortener creates URLs like /s/{shortCode} but there's no route to handle them
-  // This would cause 404 errors when users try to unsubscribe
   // The unsubscribe URL is already signed and secure, so we use it directly
+  // (unsubscribe clicks are tracked by the unsubscribe page, not short links)
   const unsubscribeText = `\n\nUnsubscribe: ${unsubscribeUrl}`;
 
   // Check if message + unsubscribe link exceeds SMS limits
@@ -1,43 +1,39 @@
 import { logger } from './logger.js';
-import crypto from 'crypto';
+import {
+  createShortLink,
+  getShortLinkBaseUrl,
+} from '../services/short-links.js';
 
 /**
  * URL Shortening Service
  * Supports multiple strategies:
- * 1. Custom shortener (using base64url encoding)
+ * 1. Custom shortener (ShortLink table, resolved by GET /s/:code)
  * 2. External services (Bitly, TinyURL, etc.)
  * 3. Fallback to original URL if shortening fails
+ *
+ * Link context ({ shopId, campaignId, recipientId, contactId, automationId,
+ * linkType }) is stored on custom short links so clicks can be attributed.
  */
 
 const SHORTENER_TYPE = process.env.URL_SHORTENER_TYPE || 'custom'; // 'custom', 'bitly', 'tinyurl', 'none'
-const SHORTENER_BASE_URL = process.env.URL_SHORTENER_BASE_URL || process.env.FRONTEND_URL || 'https://astronote-shopify-frontend.onrender.com';
 const BITLY_API_TOKEN = process.env.BITLY_API_TOKEN;
 const TINYURL_API_KEY = process.env.TINYURL_API_KEY;
 
 /**
- * Generate a short code for custom URL shortener
+ * Shorten URL using the custom shortener (persisted ShortLink)
  * @param {string} originalUrl - Original URL to shorten
- * @returns {string} Short code (base64url encoded hash)
+ * @param {Object} context - Link context (shopId required)
+ * @returns {Promise<string>} Shortened URL
  */
-function generateShortCode(originalUrl) {
-  // Create a hash of the URL for consistent short codes
-  const hash = crypto.createHash('sha256').update(originalUrl).digest('hex');
-  // Use first 8 characters of hash, encode to base64url for URL safety
-  const shortCode = Buffer.from(hash.substring(0, 8), 'hex').toString('base64url').substring(0, 8);
-  return shortCode;
-}
+async function shortenCustom(originalUrl, context = {}) {
+  if (!context.shopId) {
+    // A short link must belong to a shop; without one keep the URL working
+    return originalUrl;
+  }
 
-/**
- * Shorten URL using custom shortener (base64url encoding)
- * @param {string} originalUrl - Original URL to shorten
- * @returns {string} Shortened URL
- */
-function shortenCustom(originalUrl) {
   try {
-    const shortCode = generateShortCode(originalUrl);
-    // Ensure base URL doesn't have trailing slash
-    const baseUrl = SHORTENER_BASE_URL.replace(/\/$/, '');
-    return `${baseUrl}/s/${shortCode}`;
+    const link = await createShortLink({ ...context, targetUrl: originalUrl });
+    return link.url;
   } catch (error) {
     logger.warn({ err: error.message, originalUrl }, 'Failed to generate custom short URL');
     return originalUrl; // Fallback to original
@@ -49,10 +45,10 @@ function shortenCustom(originalUrl) {
  * @param {string} originalUrl - Original URL to shorten
  * @returns {Promise<string>} Shortened URL
  */
-async function shortenBitly(originalUrl) {
+async function shortenBitly(originalUrl, context = {}) {
   if (!BITLY_API_TOKEN) {
     logger.warn('Bitly API token not configured, falling back to custom shortener');
-    return shortenCustom(originalUrl);
+    return shortenCustom(originalUrl, context);
   }
 
   try {
@@ -74,7 +70,7 @@ async function shortenBitly(originalUrl) {
     return data.link || originalUrl;
   } catch (error) {
     logger.warn({ err: error.message, originalUrl }, 'Bitly shortening failed, falling back to custom');
-    return shortenCustom(originalUrl);
+    return shortenCustom(originalUrl, context);
   }
 }
 
@@ -83,10 +79,10 @@ async function shortenBitly(originalUrl) {
  * @param {string} originalUrl - Original URL to shorten
  * @returns {Promise<string>} Shortened URL
  */
-async function shortenTinyURL(originalUrl) {
+async function shortenTinyURL(originalUrl, context = {}) {
   if (!TINYURL_API_KEY) {
     logger.warn('TinyURL API key not configured, falling back to custom shortener');
-    return shortenCustom(originalUrl);
+    return shortenCustom(originalUrl, context);
   }
 
   try {
@@ -108,16 +104,17 @@ async function shortenTinyURL(originalUrl) {
     return data.data?.tiny_url || originalUrl;
   } catch (error) {
     logger.warn({ err: error.message, originalUrl }, 'TinyURL shortening failed, falling back to custom');
-    return shortenCustom(originalUrl);
+    return shortenCustom(originalUrl, context);
   }
 }
 
 /**
  * Shorten a single URL
  * @param {string} originalUrl - Original URL to shorten
+ * @param {Object} [context] - Link context ({ shopId, campaignId, recipientId, contactId, automationId, linkType })
  * @returns {Promise<string>} Shortened URL (or original if shortening disabled/failed)
  */
-export async function shortenUrl(originalUrl) {
+export async function shortenUrl(originalUrl, context = {}) {
   if (!originalUrl || typeof originalUrl !== 'string') {
     return originalUrl;
   }
@@ -127,20 +124,26 @@ export async function shortenUrl(originalUrl) {
     return originalUrl;
   }
 
-  // Skip shortening if URL is already short (heuristic: less than 50 chars)
-  if (originalUrl.length < 50) {
+  // Never shorten our own short links again
+  if (originalUrl.startsWith(`${getShortLinkBaseUrl()}/s/`)) {
+    return originalUrl;
+  }
+
+  // Skip shortening if URL is already short (heuristic: less than 50 chars),
+  // unless it is a campaign or automation link that needs click tracking
+  if (originalUrl.length < 50 && !context.campaignId && !context.automationId) {
     return originalUrl;
   }
 
   try {
     switch (SHORTENER_TYPE) {
     case 'bitly':
-      return await shortenBitly(originalUrl);
+      return await shortenBitly(originalUrl, context);
     case 'tinyurl':
-      return await shortenTinyURL(originalUrl);
+      return await shortenTinyURL(originalUrl, context);
     case 'custom':
     default:
-      return shortenCustom(originalUrl);
+      return await shortenCustom(originalUrl, context);
     }
   } catch (error) {
     logger.error({ err: error.message, originalUrl, type: SHORTENER_TYPE }, 'URL shortening failed, using original');
@@ -152,9 +155,10 @@ export async function shortenUrl(originalUrl) {
  * Shorten all URLs found in a text string
  * Finds URLs using regex and replaces them with shortened versions
  * @param {string} text - Text containing URLs
+ * @param {Object} [context] - Link context passed to shortenUrl
  * @returns {Promise<string>} Text with shortened URLs
  */
-export async function shortenUrlsInText(text) {
+export async function shortenUrlsInText(text, context = {}) {
   if (!text || typeof text !== 'string') {
     return text;
   }
@@ -188,7 +192,7 @@ export async function shortenUrlsInText(text) {
     }
 
     // Shorten URL
-    const shortened = await shortenUrl(normalizedUrl);
+    const shortened = await shortenUrl(normalizedUrl, context);
     urlMap.set(normalizedUrl, shortened);
 
     return { original: url, shortened };
@@ -210,10 +214,11 @@ export async function shortenUrlsInText(text) {
  * Shorten URLs in a message (synchronous version for backward compatibility)
  * This is a wrapper that processes URLs but doesn't block
  * @param {string} message - Message text
+ * @param {Object} [context] - Link context passed to shortenUrl
  * @returns {Promise<string>} Message with shortened URLs
  */
-export async function shortenMessageUrls(message) {
-  return await shortenUrlsInText(message);
+export async function shortenMessageUrls(message, context = {}) {
+  return await shortenUrlsInText(message, context);
 }
 
 export default {